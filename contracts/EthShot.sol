@@ -4,14 +4,25 @@ pragma solidity ^0.8.24;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./interfaces/IRandomnessProvider.sol";
 
 /**
  * @title EthShot
  * @dev A viral, pay-to-play, Ethereum-powered game where users take a chance to win an ETH jackpot
  * @author ETH Shot Team
- * @notice This contract uses commit-reveal scheme for secure on-chain randomness
+ * @notice Outcomes come from a commit-reveal scheme, or from a randomness oracle
+ *         when a provider is configured at deploy time. Commits and reveals can also
+ *         be submitted by a relayer with an EIP-712 signature from the player.
+ *         Accepted ERC-20 tokens can also be used to play for a separate per-token pot.
  */
-contract EthShot is Ownable, Pausable, ReentrancyGuard {
+contract EthShot is Ownable, Pausable, ReentrancyGuard, IRandomnessConsumer, EIP712, Nonces {
+    using SafeERC20 for IERC20;
+    
     // Configurable parameters (set in constructor)
     uint256 public immutable SHOT_COST;
     uint256 public immutable SPONSOR_COST;
@@ -22,6 +33,7 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
     uint256 public immutable MAX_RECENT_WINNERS;
     uint256 public immutable MIN_POT_SIZE;
     address public immutable HOUSE_ADDRESS; // Address to receive house funds
+    IRandomnessProvider public immutable RANDOMNESS_PROVIDER; // Zero address = commit-reveal mode
     
     // Commit-reveal scheme variables
     uint256 private constant REVEAL_DELAY = 1; // blocks
@@ -32,34 +44,71 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
     uint256 private constant MAX_COOLDOWN = 24 hours;
     uint256 private constant MAX_SPONSOR_NAME_LENGTH = 50;
     uint256 private constant MAX_SPONSOR_URL_LENGTH = 200;
+    uint256 private constant MAX_PRIZE_TIERS = 4;
+    uint256 public constant MAX_BATCH_SHOTS = 10;
+    uint256 public constant SPONSOR_AUCTION_DURATION = 1 hours;
+    uint256 public constant MIN_SPONSOR_BID_INCREMENT_BP = 500; // Each bid must beat the last by 5%
+    uint256 public constant MAX_SELF_EXCLUSION = 5 * 365 days;
+    uint256 public constant SPEND_LIMIT_INCREASE_DELAY = 24 hours; // Cooling-off before a limit is raised or removed
+    
+    // EIP-712 request types for relayed (gasless) shots
+    bytes32 public constant COMMIT_SHOT_TYPEHASH =
+        keccak256("CommitShot(address player,bytes32 commitment,uint256 nonce,uint256 deadline)");
+    bytes32 public constant REVEAL_SHOT_TYPEHASH =
+        keccak256("RevealShot(address player,uint256 secret,uint256 nonce,uint256 deadline)");
+    
+    // EIP-712 shot voucher issued by voucherSigner (referral discounts and bonus shots)
+    bytes32 public constant SHOT_VOUCHER_TYPEHASH =
+        keccak256("ShotVoucher(address player,bytes32 voucherId,uint256 price,uint256 deadline)");
+    
+    // Shot outcomes returned by _checkWin (prize tier i is FIRST_TIER_PRIZE + i)
+    uint256 internal constant NO_PRIZE = 0;
+    uint256 internal constant GRAND_PRIZE = 1;
+    uint256 internal constant FIRST_TIER_PRIZE = 2;
     
     // State variables
     uint256 private currentPot;
     uint256 private houseFunds;
     
+    // Prize tiers paid from their own sub-pots (the grand jackpot is currentPot)
+    PrizeTier[] internal prizeTiers;
+    mapping(uint256 => uint256) private tierPots; // tier index => sub-pot
+    
+    // ERC-20 pots - each accepted token has its own jackpot and house funds
+    struct TokenPot {
+        uint256 shotCost; // 0 = not (or no longer) accepted
+        uint256 pot;
+        uint256 houseFunds;
+        bool listed; // in acceptedTokens
+    }
+    mapping(address => TokenPot) private tokenPots;
+    address[] private acceptedTokens; // every token ever accepted, in order
+    
+    // Round tracking - a round runs from the previous jackpot (or deployment) to the next
+    uint256 public currentRound;
+    
     // Commit-reveal scheme tracking
     struct PendingShot {
         bytes32 commitment;
         uint256 blockNumber;
         uint256 amount;
         bool exists;
+        uint256 requestId; // Oracle request (oracle mode only)
+        uint256 roundId; // Round the shot was committed in
+        address token; // Payment token (zero address = ETH)
     }
     
     mapping(address => PendingShot) private pendingShots;
+    mapping(address => PendingShot[]) private pendingBatches; // shots bought with commitShots
+    mapping(uint256 => address) private randomnessRequests; // requestId => player
     mapping(address => uint256) private pendingPayouts; // player => pending payout amount
     
     // Enhanced randomness sources
     uint256 private nonce;
     mapping(address => uint256) private playerNonces;
     
-    // Test mode variables (for testing only)
-    bool public testMode = false;
-    uint256 private testWinningNumber = 0;
-    bool public testFiftyPercentMode = false; // 50% win rate for testing payouts
-    uint256 private constant TEST_COOLDOWN_PERIOD = 60; // 1 minute cooldown for test mode
-    
-    // Network detection - mainnet chain ID is 1
-    uint256 private constant MAINNET_CHAIN_ID = 1;
+    // Why canCommitShot says a player cannot shoot right now
+    enum ShotBlock { None, Paused, SelfExcluded, DailySpendLimit, PendingShot, Cooldown }
     
     // Structs
     struct PlayerStats {
@@ -76,6 +125,23 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
         uint256 blockNumber;
     }
     
+    struct PrizeTier {
+        string name;
+        uint256 chanceBP; // Basis points, evaluated after the grand jackpot
+        uint256 contributionBP; // Share of every shot paid into this tier's sub-pot
+    }
+    
+    struct Round {
+        uint256 startTime;
+        uint256 endTime; // 0 while the round is open
+        uint256 startBlock;
+        uint256 endBlock; // 0 while the round is open
+        uint256 shotCount;
+        uint256 potAmount; // Pot at the time of the win
+        uint256 payout; // Amount paid to the winner
+        address winner;
+    }
+    
     struct SponsorInfo {
         address sponsor;
         string name;
@@ -84,78 +150,140 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
         bool active;
     }
     
+    struct SponsorAuction {
+        address highestBidder;
+        uint256 highestBid;
+        uint256 endTime;
+        string name;
+        string logoUrl;
+    }
+    
+    // Daily spending limit chosen by the player, per payment token (spending is only tracked while a limit is set)
+    struct SpendLimit {
+        uint128 limit; // 0 = no limit
+        uint128 spent; // Spent on `day`
+        uint64 day; // UTC day number (block.timestamp / 1 days)
+        uint128 pendingLimit; // Raised (or removed, 0) limit waiting out the cooling-off period
+        uint64 pendingFrom; // When pendingLimit takes effect (0 = nothing pending)
+    }
+    
     // Mappings
     mapping(address => PlayerStats) public playerStats;
     mapping(address => uint256) public lastShotTime;
+    mapping(uint256 => Round) private rounds;
+    mapping(address => uint256) private selfExcludedUntil;
+    mapping(address => mapping(address => SpendLimit)) private spendLimits; // player => payment token (zero address = ETH) => limit
+    mapping(bytes32 => bool) public redeemedVouchers;
+    mapping(address => uint256) public shotDeposits; // player => ETH prepaid for relayed shots
+    
+    // Signs shot vouchers (zero address = vouchers disabled)
+    address public voucherSigner;
     
     // Arrays
-    Winner[] public recentWinners;
+    Winner[] public recentWinners; // Ring buffer of up to MAX_RECENT_WINNERS entries
+    uint256 public totalWinners; // Head of the ring buffer is totalWinners % MAX_RECENT_WINNERS
     
     // Current sponsor
     SponsorInfo public currentSponsor;
     
+    // Auction for the next sponsorship slot (endTime 0 = no auction running)
+    SponsorAuction public sponsorAuction;
+    
     // Events
-    event ShotCommitted(address indexed player, bytes32 indexed commitment, uint256 amount);
-    event ShotRevealed(address indexed player, uint256 indexed amount, bool indexed won);
-    event JackpotWon(address indexed winner, uint256 indexed amount, uint256 indexed timestamp);
+    event ShotCommitted(address indexed player, bytes32 indexed commitment, uint256 amount, uint256 indexed roundId);
+    event ShotRevealed(address indexed player, uint256 indexed amount, bool indexed won, uint256 roundId);
+    event JackpotWon(address indexed winner, uint256 indexed amount, uint256 indexed timestamp, uint256 roundId);
     event SponsorshipActivated(address indexed sponsor, string name, string logoUrl);
     event SponsorshipCleared();
+    event SponsorBidPlaced(address indexed bidder, uint256 amount, uint256 endTime);
+    event SponsorBidRefunded(address indexed bidder, uint256 amount);
     event HouseFundsWithdrawn(address indexed owner, uint256 amount);
     event PayoutFailed(address indexed player, uint256 amount);
     event PayoutClaimed(address indexed player, uint256 amount);
     event PendingShotExpired(address indexed player, uint256 indexed commitBlock, uint256 indexed currentBlock);
+    event RandomnessRequested(address indexed player, uint256 indexed requestId);
+    event TierPrizeWon(address indexed winner, uint256 indexed tier, uint256 amount, uint256 roundId);
+    event ShotRelayed(address indexed player, address indexed relayer, bool isReveal);
+    event TokenAccepted(address indexed token, uint256 shotCost);
+    event TokenShotCommitted(address indexed player, address indexed token, uint256 amount);
+    event TokenJackpotWon(address indexed winner, address indexed token, uint256 amount);
+    event TokenHouseFundsWithdrawn(address indexed token, address indexed owner, uint256 amount);
+    event SelfExclusionSet(address indexed player, uint256 until);
+    event DailySpendLimitSet(address indexed player, address indexed token, uint256 limit, uint256 effectiveFrom);
+    event VoucherRedeemed(address indexed player, bytes32 indexed voucherId, uint256 price);
+    event VoucherSignerUpdated(address indexed signer);
+    event PotSeeded(address indexed from, uint256 amount);
+    event TokenPotSeeded(address indexed from, address indexed token, uint256 amount);
+    event PotMigrated(address indexed newContract, address indexed token, uint256 amount); // token 0 = ETH jackpot and tier pots
+    event ShotDepositMade(address indexed player, address indexed from, uint256 amount);
+    event ShotDepositWithdrawn(address indexed player, uint256 amount);
+    
+    // Errors (decoded for players by src/lib/crypto/revert-decoder.js)
+    // Constructor configuration
+    error InvalidAddress();
+    error InvalidCost();
+    error InvalidCooldownPeriod();
+    error InvalidPercentages();
+    error InvalidWinChance();
+    error InvalidMaxRecentWinners();
+    error MinPotSizeTooSmall();
+    error TooManyPrizeTiers();
+    error InvalidPrizeTier(uint256 index);
+    error TierChancesTooHigh();
+    error TierContributionsTooHigh();
+    // Shots
+    error CooldownActive(uint256 remaining); // Seconds until the player can shoot again
+    error PendingShotExists();
+    error NoPendingShot();
+    error PendingShotNotExpired();
+    error NotEOA();
+    error SelfExcluded(uint256 until);
+    error DailySpendLimitReached(uint256 remaining); // Amount (in the shot's payment token) the player may still spend today
+    error IncorrectPayment(uint256 expected);
+    error InsufficientShotDeposit(uint256 required);
+    error PaymentTooLow(uint256 minimum);
+    error NotFirstShot();
+    error InvalidBatchSize();
+    error InvalidCommitment();
+    error InvalidSecret();
+    error RevealDelayNotElapsed();
+    error RevealWindowExpired();
+    error SettledByOracle();
+    error OnlyRandomnessProvider();
+    error TokenNotAccepted(address token);
+    error VoucherAlreadyRedeemed(bytes32 voucherId);
+    error SignatureExpired();
+    error InvalidSignature();
+    // Sponsorship, rounds and responsible play
+    error InvalidSponsorName();
+    error InvalidLogoUrl();
+    error BidTooLow(uint256 minimum);
+    error AuctionNotEnded();
+    error RoundDoesNotExist(uint256 roundId);
+    error InvalidExclusionPeriod();
+    error InvalidSpendLimit();
+    // Funds
+    error NoHouseFunds();
+    error NoPendingPayout();
+    error NoShotDeposit();
+    error TransferFailed();
+    error PotMigrationFailed();
     
     // Modifiers
-    modifier canCommit(address player) {
-        // Use test cooldown if test mode is enabled, otherwise use normal cooldown
-        uint256 cooldownToUse = testMode ? TEST_COOLDOWN_PERIOD : COOLDOWN_PERIOD;
-        require(
-            block.timestamp >= lastShotTime[player] + cooldownToUse,
-            "Cooldown period not elapsed"
-        );
-        
-        // Auto-cleanup expired pending shots
-        if (pendingShots[player].exists) {
-            uint256 commitBlock = pendingShots[player].blockNumber;
-            if (block.number > commitBlock + MAX_REVEAL_DELAY) {
-                // Pending shot expired, clean it up automatically
-                delete pendingShots[player];
-                emit PendingShotExpired(player, commitBlock, block.number);
-            } else {
-                revert("Previous shot still pending");
-            }
-        }
-        
-        require(tx.origin == msg.sender, "Must be called directly by EOA");
+    // Modifier bodies live in private functions so they are not inlined into every caller
+    modifier canCommit(address player, address token, uint256 amount) {
+        _checkCanCommit(player);
+        _checkResponsiblePlay(player, token, amount);
         _;
     }
     
     modifier canReveal(address player) {
-        require(pendingShots[player].exists, "No pending shot to reveal");
-        require(
-            block.number > pendingShots[player].blockNumber + REVEAL_DELAY,
-            "Reveal delay not elapsed"
-        );
-        require(
-            block.number <= pendingShots[player].blockNumber + MAX_REVEAL_DELAY,
-            "Reveal window expired"
-        );
+        _checkCanReveal(player);
         _;
     }
     
     modifier correctPayment(uint256 expectedAmount) {
-        require(msg.value == expectedAmount, "Incorrect payment amount");
-        _;
-    }
-    
-    modifier correctSponsorPayment() {
-        require(msg.value == SPONSOR_COST, "Incorrect sponsor payment");
-        _;
-    }
-    
-    // FIXED: Create separate modifiers for commit and reveal phases
-    modifier validPotSizeForReveal() {
-        require(currentPot >= MIN_POT_SIZE, "Pot too small for payout precision");
+        if (msg.value != expectedAmount) revert IncorrectPayment(expectedAmount);
         _;
     }
     
@@ -169,19 +297,32 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
         uint256 _housePercentageBP,
         uint256 _winChanceBP,
         uint256 _maxRecentWinners,
-        uint256 _minPotSize
-    ) Ownable(initialOwner) {
+        uint256 _minPotSize,
+        address _randomnessProvider,
+        PrizeTier[] memory _prizeTiers
+    ) Ownable(initialOwner) EIP712("EthShot", "1") {
         // Validate parameters
-        require(_houseAddress != address(0), "House address cannot be zero");
-        require(_shotCost > 0, "Shot cost must be greater than 0");
-        require(_sponsorCost > 0, "Sponsor cost must be greater than 0");
-        require(_cooldownPeriod > 0 && _cooldownPeriod <= MAX_COOLDOWN, "Invalid cooldown period");
-        require(_winPercentageBP > 0 && _winPercentageBP <= BASIS_POINTS, "Invalid win percentage");
-        require(_housePercentageBP > 0 && _housePercentageBP <= BASIS_POINTS, "Invalid house percentage");
-        require(_winPercentageBP + _housePercentageBP == BASIS_POINTS, "Percentages must sum to 100%");
-        require(_winChanceBP > 0 && _winChanceBP <= BASIS_POINTS, "Invalid win chance");
-        require(_maxRecentWinners > 0 && _maxRecentWinners <= 1000, "Invalid max recent winners");
-        require(_minPotSize >= _shotCost, "Min pot size too small");
+        if (_houseAddress == address(0)) revert InvalidAddress();
+        if (_shotCost == 0 || _sponsorCost == 0) revert InvalidCost();
+        if (_cooldownPeriod == 0 || _cooldownPeriod > MAX_COOLDOWN) revert InvalidCooldownPeriod();
+        if (_winPercentageBP == 0 || _housePercentageBP == 0 || _winPercentageBP + _housePercentageBP != BASIS_POINTS) {
+            revert InvalidPercentages();
+        }
+        if (_winChanceBP == 0 || _winChanceBP > BASIS_POINTS) revert InvalidWinChance();
+        if (_maxRecentWinners == 0 || _maxRecentWinners > 1000) revert InvalidMaxRecentWinners();
+        if (_minPotSize < _shotCost) revert MinPotSizeTooSmall();
+        if (_prizeTiers.length > MAX_PRIZE_TIERS) revert TooManyPrizeTiers();
+        
+        uint256 totalChanceBP = _winChanceBP;
+        uint256 totalContributionBP = 0;
+        for (uint256 i = 0; i < _prizeTiers.length; i++) {
+            if (_prizeTiers[i].chanceBP == 0 || _prizeTiers[i].contributionBP == 0) revert InvalidPrizeTier(i);
+            totalChanceBP += _prizeTiers[i].chanceBP;
+            totalContributionBP += _prizeTiers[i].contributionBP;
+            prizeTiers.push(_prizeTiers[i]);
+        }
+        if (totalChanceBP > BASIS_POINTS) revert TierChancesTooHigh();
+        if (totalContributionBP >= BASIS_POINTS) revert TierContributionsTooHigh();
         
         // Set immutable parameters
         HOUSE_ADDRESS = _houseAddress;
@@ -193,11 +334,13 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
         WIN_CHANCE_BP = _winChanceBP;
         MAX_RECENT_WINNERS = _maxRecentWinners;
         MIN_POT_SIZE = _minPotSize;
+        RANDOMNESS_PROVIDER = IRandomnessProvider(_randomnessProvider);
         
         // Initialize state
         currentPot = 0;
         houseFunds = 0;
         nonce = 0;
+        _startRound(1);
     }
     
     /**
@@ -211,34 +354,103 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
         payable
         whenNotPaused
         nonReentrant
-        canCommit(msg.sender)
+        canCommit(msg.sender, address(0), SHOT_COST)
         correctPayment(SHOT_COST)
         // REMOVED: validPotSize - this was preventing first shots
     {
-        require(commitment != bytes32(0), "Invalid commitment");
+        _commitShot(msg.sender, commitment, SHOT_COST, address(0));
+    }
+    
+    /**
+     * @dev Commit to taking a shot paid in an accepted ERC-20 token (step 1 of commit-reveal)
+     * @param token Accepted payment token
+     * @param commitment Hash of (secret + player address)
+     * @notice Pulls the token's shot cost with transferFrom, so the contract must be
+     *         approved first. Token shots play for that token's pot only and count
+     *         towards the player's daily spend limit for that token; they share the
+     *         cooldown with ETH shots and are revealed with revealShot.
+     */
+    function commitShotWithToken(address token, bytes32 commitment)
+        external
+        whenNotPaused
+        nonReentrant
+        canCommit(msg.sender, token, tokenPots[token].shotCost)
+    {
+        uint256 shotCost = tokenPots[token].shotCost;
+        if (shotCost == 0) revert TokenNotAccepted(token);
         
-        // Store pending shot
-        pendingShots[msg.sender] = PendingShot({
-            commitment: commitment,
-            blockNumber: block.number,
-            amount: SHOT_COST,
-            exists: true
-        });
+        IERC20(token).safeTransferFrom(msg.sender, address(this), shotCost);
         
-        // Update player stats
-        PlayerStats storage stats = playerStats[msg.sender];
-        unchecked {
-            stats.totalShots++;
-            stats.totalSpent += SHOT_COST;
-        }
-        lastShotTime[msg.sender] = block.timestamp;
+        _commitShot(msg.sender, commitment, shotCost, token);
+    }
+    
+    /**
+     * @dev Commit a shot on behalf of a player who signed an EIP-712 CommitShot request
+     * @param player Address of the player taking the shot
+     * @param commitment Hash of (secret + player address)
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature Player's signature over the CommitShot request
+     * @notice SHOT_COST comes out of the player's shotDeposits and the relayer only pays
+     *         gas; the shot, stats and any winnings belong to the player
+     */
+    function commitShotFor(address player, bytes32 commitment, uint256 deadline, bytes calldata signature)
+        external
+        whenNotPaused
+        nonReentrant
+        canCommit(player, address(0), SHOT_COST)
+    {
+        uint256 deposit = shotDeposits[player];
+        if (deposit < SHOT_COST) revert InsufficientShotDeposit(SHOT_COST);
+        shotDeposits[player] = deposit - SHOT_COST;
         
-        // Add to pot
-        unchecked {
-            currentPot += SHOT_COST;
-        }
+        _verifyRelayedRequest(
+            player,
+            keccak256(abi.encode(COMMIT_SHOT_TYPEHASH, player, commitment, _useNonce(player), deadline)),
+            deadline,
+            signature
+        );
+        
+        _commitShot(player, commitment, SHOT_COST, address(0));
         
-        emit ShotCommitted(msg.sender, commitment, SHOT_COST);
+        emit ShotRelayed(player, msg.sender, false);
+    }
+    
+    /**
+     * @dev Commit a shot at a reduced price using a voucher signed by voucherSigner
+     * @param commitment Hash of (secret + player address)
+     * @param voucherId Unique voucher identifier (each voucher can be redeemed once)
+     * @param price Discounted shot price in wei (0 for a bonus shot)
+     * @param deadline Timestamp after which the voucher is no longer valid
+     * @param signature voucherSigner's signature over the ShotVoucher
+     * @notice The voucher is bound to the player it was issued to
+     */
+    function commitShotWithVoucher(
+        bytes32 commitment,
+        bytes32 voucherId,
+        uint256 price,
+        uint256 deadline,
+        bytes calldata signature
+    )
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        canCommit(msg.sender, address(0), price)
+        correctPayment(price)
+    {
+        if (redeemedVouchers[voucherId]) revert VoucherAlreadyRedeemed(voucherId);
+        redeemedVouchers[voucherId] = true;
+        
+        _verifyRelayedRequest(
+            voucherSigner,
+            keccak256(abi.encode(SHOT_VOUCHER_TYPEHASH, msg.sender, voucherId, price, deadline)),
+            deadline,
+            signature
+        );
+        
+        _commitShot(msg.sender, commitment, price, address(0));
+        
+        emit VoucherRedeemed(msg.sender, voucherId, price);
     }
     
     /**
@@ -252,34 +464,66 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
         payable
         whenNotPaused
         nonReentrant
-        canCommit(msg.sender)
+        canCommit(msg.sender, address(0), msg.value)
     {
-        require(commitment != bytes32(0), "Invalid commitment");
-        require(msg.value >= SHOT_COST, "Payment too low");
-        require(currentPot == 0, "Not a first shot - pot must be empty");
+        if (msg.value < SHOT_COST) revert PaymentTooLow(SHOT_COST);
+        if (currentPot != 0) revert NotFirstShot();
         
-        // Store pending shot with actual amount paid
-        pendingShots[msg.sender] = PendingShot({
-            commitment: commitment,
-            blockNumber: block.number,
-            amount: msg.value, // Store actual amount paid
-            exists: true
-        });
+        // Store the actual amount paid
+        _commitShot(msg.sender, commitment, msg.value, address(0));
+    }
+    
+    /**
+     * @dev Commit to a bundle of shots in one transaction (step 1 of commit-reveal)
+     * @param commitments One hash of (secret + player address) per shot
+     * @notice Costs SHOT_COST ETH per shot and starts a single cooldown for the whole
+     *         bundle. Each shot is revealed on its own with revealBatchShot.
+     */
+    function commitShots(bytes32[] calldata commitments)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        canCommit(msg.sender, address(0), msg.value)
+    {
+        uint256 count = commitments.length;
+        if (count == 0 || count > MAX_BATCH_SHOTS) revert InvalidBatchSize();
+        if (msg.value != SHOT_COST * count) revert IncorrectPayment(SHOT_COST * count);
+        
+        // Oracle mode: one random word settles the whole bundle
+        uint256 requestId = 0;
+        if (address(RANDOMNESS_PROVIDER) != address(0)) {
+            requestId = _requestRandomness(msg.sender);
+        }
         
-        // Update player stats with actual amount
+        PendingShot[] storage batch = pendingBatches[msg.sender];
+        for (uint256 i = 0; i < count; i++) {
+            if (commitments[i] == bytes32(0)) revert InvalidCommitment();
+            batch.push(PendingShot({
+                commitment: commitments[i],
+                blockNumber: block.number,
+                amount: SHOT_COST,
+                exists: true,
+                requestId: requestId,
+                roundId: currentRound,
+                token: address(0)
+            }));
+            emit ShotCommitted(msg.sender, commitments[i], SHOT_COST, currentRound);
+        }
+        
+        // Update player stats
         PlayerStats storage stats = playerStats[msg.sender];
         unchecked {
-            stats.totalShots++;
+            stats.totalShots += count;
             stats.totalSpent += msg.value;
         }
         lastShotTime[msg.sender] = block.timestamp;
-        
-        // Add full amount to pot
         unchecked {
-            currentPot += msg.value;
+            rounds[currentRound].shotCount += count;
         }
         
-        emit ShotCommitted(msg.sender, commitment, msg.value);
+        // Add to pot (minus prize tier contributions)
+        _addToPots(msg.value);
     }
     
     /**
@@ -292,76 +536,205 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
         whenNotPaused
         nonReentrant
         canReveal(msg.sender)
-        validPotSizeForReveal  // MOVED: Pot validation to reveal phase
     {
-        PendingShot storage shot = pendingShots[msg.sender];
+        _revealShot(msg.sender, secret);
+    }
+    
+    /**
+     * @dev Reveal a shot on behalf of a player who signed an EIP-712 RevealShot request
+     * @param player Address of the player whose shot is revealed
+     * @param secret The secret used in the commitment
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature Player's signature over the RevealShot request
+     */
+    function revealShotFor(address player, uint256 secret, uint256 deadline, bytes calldata signature)
+        external
+        whenNotPaused
+        nonReentrant
+        canReveal(player)
+    {
+        _verifyRelayedRequest(
+            player,
+            keccak256(abi.encode(REVEAL_SHOT_TYPEHASH, player, secret, _useNonce(player), deadline)),
+            deadline,
+            signature
+        );
+        
+        _revealShot(player, secret);
+        
+        emit ShotRelayed(player, msg.sender, true);
+    }
+    
+    /**
+     * @dev Reveal one shot of a bundle bought with commitShots (step 2 of commit-reveal)
+     * @param index Position of the shot in the bundle's commitments
+     * @param secret The secret used in that shot's commitment
+     */
+    function revealBatchShot(uint256 index, uint256 secret)
+        external
+        whenNotPaused
+        nonReentrant
+    {
+        if (address(RANDOMNESS_PROVIDER) != address(0)) revert SettledByOracle();
+        PendingShot[] storage batch = pendingBatches[msg.sender];
+        if (index >= batch.length || !batch[index].exists) revert NoPendingShot();
+        
+        PendingShot storage shot = batch[index];
+        _requireRevealWindow(shot.blockNumber);
         
         // Verify commitment
         bytes32 hash = keccak256(abi.encodePacked(secret, msg.sender));
-        require(hash == shot.commitment, "Invalid secret");
+        if (hash != shot.commitment) revert InvalidSecret();
         
-        // CRITICAL FIX: Prevent winning when pot only contains current player's contribution
-        // This prevents the first shot from being able to "win" their own money
-        bool canWin = currentPot > shot.amount;
+        uint256 prize = _checkWin(msg.sender, secret, shot.blockNumber);
         
-        // Generate randomness using multiple entropy sources
-        bool won = false;
-        if (canWin) {
-            if (testMode) {
-                won = _checkWinTest();
-            } else {
-                won = _checkWin(secret, shot.blockNumber);
-            }
-        }
+        _settleBatchShot(msg.sender, index, _eligiblePrize(prize, shot.amount, address(0)));
+    }
+    
+    /**
+     * @dev Settle a pending shot with an oracle-provided random word (oracle mode)
+     * @param requestId Request identifier returned by the randomness provider
+     * @param randomWord Verifiable random value
+     * @notice Only callable by RANDOMNESS_PROVIDER. Stale requests (expired or
+     *         cleaned up shots) are ignored instead of reverting.
+     */
+    function fulfillRandomness(uint256 requestId, uint256 randomWord) external override nonReentrant {
+        if (msg.sender != address(RANDOMNESS_PROVIDER)) revert OnlyRandomnessProvider();
         
-        // Clean up pending shot
-        delete pendingShots[msg.sender];
+        address player = randomnessRequests[requestId];
+        delete randomnessRequests[requestId];
+        if (player == address(0)) {
+            return;
+        }
         
-        emit ShotRevealed(msg.sender, shot.amount, won);
+        PendingShot storage shot = pendingShots[player];
+        if (shot.exists && shot.requestId == requestId) {
+            uint256 prize = _prizeForRoll(randomWord % BASIS_POINTS);
+            _settlePendingShot(player, _eligiblePrize(prize, shot.amount, shot.token));
+            return;
+        }
         
-        if (won) {
-            _handleWin(msg.sender);
+        // Bundles derive one roll per shot from the single random word. The last
+        // settlement deletes the batch, which ends the loop.
+        PendingShot[] storage batch = pendingBatches[player];
+        if (batch.length == 0 || batch[0].requestId != requestId) {
+            return;
+        }
+        for (uint256 i = 0; i < batch.length; i++) {
+            if (!batch[i].exists) {
+                continue;
+            }
+            uint256 roll = uint256(keccak256(abi.encode(randomWord, i))) % BASIS_POINTS;
+            uint256 batchPrize = _prizeForRoll(roll);
+            _settleBatchShot(player, i, _eligiblePrize(batchPrize, batch[i].amount, address(0)));
         }
     }
     
     /**
-     * @dev Sponsor the current round with branding
+     * @dev Bid for the next sponsorship slot
      * @param name Sponsor name to display
      * @param logoUrl URL to sponsor logo image
+     * @notice The first bid (at least SPONSOR_COST) opens a SPONSOR_AUCTION_DURATION auction;
+     *         outbid bidders are refunded through claimPayout. A bid after the auction ended
+     *         settles it and opens the next one.
      */
-    function sponsorRound(string calldata name, string calldata logoUrl)
+    function bidForSponsorship(string calldata name, string calldata logoUrl)
         external
         payable
         whenNotPaused
-        correctSponsorPayment
     {
-        require(bytes(name).length > 0, "Sponsor name cannot be empty");
-        require(bytes(logoUrl).length > 0, "Logo URL cannot be empty");
+        if (bytes(name).length == 0 || bytes(name).length > MAX_SPONSOR_NAME_LENGTH) revert InvalidSponsorName();
+        if (bytes(logoUrl).length == 0 || bytes(logoUrl).length > MAX_SPONSOR_URL_LENGTH) revert InvalidLogoUrl();
         
-        // Add sponsor payment to house funds
-        houseFunds += SPONSOR_COST;
+        if (sponsorAuction.endTime != 0 && block.timestamp >= sponsorAuction.endTime) {
+            _settleSponsorAuction();
+        }
+        uint256 minimumBid = getMinimumSponsorBid();
+        if (msg.value < minimumBid) revert BidTooLow(minimumBid);
         
-        // Set current sponsor
-        currentSponsor = SponsorInfo({
-            sponsor: msg.sender,
-            name: name,
-            logoUrl: logoUrl,
-            timestamp: block.timestamp,
-            active: true
-        });
+        if (sponsorAuction.endTime == 0) {
+            sponsorAuction.endTime = block.timestamp + SPONSOR_AUCTION_DURATION;
+        } else {
+            // Pull payment: the outbid bidder withdraws with claimPayout
+            pendingPayouts[sponsorAuction.highestBidder] += sponsorAuction.highestBid;
+            emit SponsorBidRefunded(sponsorAuction.highestBidder, sponsorAuction.highestBid);
+        }
+        
+        sponsorAuction.highestBidder = msg.sender;
+        sponsorAuction.highestBid = msg.value;
+        sponsorAuction.name = name;
+        sponsorAuction.logoUrl = logoUrl;
+        
+        emit SponsorBidPlaced(msg.sender, msg.value, sponsorAuction.endTime);
+    }
+    
+    /**
+     * @dev Make the winning bidder of an ended auction the current sponsor (can be called by anyone)
+     */
+    function settleSponsorAuction() external {
+        if (sponsorAuction.endTime == 0 || block.timestamp < sponsorAuction.endTime) revert AuctionNotEnded();
+        _settleSponsorAuction();
+    }
+    
+    /**
+     * @dev Get the smallest bid that is currently accepted
+     * @return uint256 SPONSOR_COST when no auction is running, otherwise the highest bid plus the minimum increment
+     */
+    function getMinimumSponsorBid() public view returns (uint256) {
+        if (sponsorAuction.endTime == 0 || block.timestamp >= sponsorAuction.endTime) {
+            return SPONSOR_COST;
+        }
+        return sponsorAuction.highestBid + (sponsorAuction.highestBid * MIN_SPONSOR_BID_INCREMENT_BP) / BASIS_POINTS;
+    }
+    
+    /**
+     * @dev Check if a player can commit a shot, and why not if they cannot
+     * @param player Address to check
+     * @return allowed True if player can commit a shot
+     * @return reason ShotBlock reason code (None when allowed), checked in the order commits revert;
+     *         the daily limit is checked for one ETH shot (SHOT_COST)
+     */
+    function canCommitShot(address player) external view returns (bool allowed, ShotBlock reason) {
+        (uint256 limit, uint256 spent) = _dailySpending(spendLimits[player][address(0)]);
         
-        emit SponsorshipActivated(msg.sender, name, logoUrl);
+        if (paused()) {
+            reason = ShotBlock.Paused;
+        } else if (block.timestamp < _nextShotTime(player)) {
+            reason = ShotBlock.Cooldown;
+        } else if (_hasUnexpiredPendingShot(player)) {
+            reason = ShotBlock.PendingShot;
+        } else if (block.timestamp < selfExcludedUntil[player]) {
+            reason = ShotBlock.SelfExcluded;
+        } else if (limit != 0 && spent + SHOT_COST > limit) {
+            reason = ShotBlock.DailySpendLimit;
+        }
+        allowed = reason == ShotBlock.None;
     }
     
     /**
-     * @dev Check if a player can commit a shot (cooldown elapsed and no pending shots)
+     * @dev Get a player's responsible play settings for one payment token
      * @param player Address to check
-     * @return bool True if player can commit a shot
+     * @param token Payment token the limit applies to (zero address = ETH)
+     * @return excludedUntil Timestamp until which the player is self-excluded (0 if never)
+     * @return dailyLimit Daily spending limit in effect, in the token's units (0 = no limit)
+     * @return spentToday Spent today (UTC) against the limit
+     * @return pendingLimit Raised or removed limit waiting out the cooling-off period
+     * @return pendingFrom When pendingLimit takes effect (0 = nothing pending)
      */
-    function canCommitShot(address player) external view returns (bool) {
-        uint256 cooldownToUse = testMode ? TEST_COOLDOWN_PERIOD : COOLDOWN_PERIOD;
-        return block.timestamp >= lastShotTime[player] + cooldownToUse &&
-               !pendingShots[player].exists;
+    function getResponsiblePlay(address player, address token) external view returns (
+        uint256 excludedUntil,
+        uint256 dailyLimit,
+        uint256 spentToday,
+        uint256 pendingLimit,
+        uint256 pendingFrom
+    ) {
+        SpendLimit storage spending = spendLimits[player][token];
+        (dailyLimit, spentToday) = _dailySpending(spending);
+        if (block.timestamp < spending.pendingFrom) {
+            pendingLimit = spending.pendingLimit;
+            pendingFrom = spending.pendingFrom;
+        }
+        excludedUntil = selfExcludedUntil[player];
     }
     
     /**
@@ -370,6 +743,7 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
      * @return bool True if player can reveal
      */
     function canRevealShot(address player) external view returns (bool) {
+        if (address(RANDOMNESS_PROVIDER) != address(0)) return false;
         if (!pendingShots[player].exists) return false;
         
         uint256 commitBlock = pendingShots[player].blockNumber;
@@ -377,6 +751,14 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
                block.number <= commitBlock + MAX_REVEAL_DELAY;
     }
     
+    /**
+     * @dev Check whether shots are settled by the randomness oracle
+     * @return bool True in oracle mode, false in commit-reveal mode
+     */
+    function usesRandomnessOracle() external view returns (bool) {
+        return address(RANDOMNESS_PROVIDER) != address(0);
+    }
+    
     /**
      * @dev Get current pot size
      * @return uint256 Current pot in wei
@@ -411,43 +793,144 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
         uint256 returnLength = length > 10 ? 10 : length;
         
         Winner[] memory recent = new Winner[](returnLength);
+        if (returnLength == 0) return recent;
         
+        // Walk backwards from the newest entry, which sits just before the head
+        uint256 newest = totalWinners - 1;
         for (uint256 i = 0; i < returnLength; i++) {
-            recent[i] = recentWinners[length - 1 - i];
+            recent[i] = recentWinners[(newest - i) % length];
         }
         
         return recent;
     }
     
+    /**
+     * @dev Get a round by ID (past or current)
+     * @param roundId Round identifier, starting at 1
+     * @return Round Struct containing round information (endTime is 0 while open)
+     */
+    function getRound(uint256 roundId) external view returns (Round memory) {
+        if (roundId == 0 || roundId > currentRound) revert RoundDoesNotExist(roundId);
+        return rounds[roundId];
+    }
+    
     /**
      * @dev Get time remaining for player cooldown
      * @param player Address to check
      * @return uint256 Seconds remaining in cooldown (0 if can shoot)
      */
     function getCooldownRemaining(address player) external view returns (uint256) {
-        uint256 cooldownToUse = testMode ? TEST_COOLDOWN_PERIOD : COOLDOWN_PERIOD;
-        uint256 nextShotTime = lastShotTime[player] + cooldownToUse;
+        uint256 nextShotTime = _nextShotTime(player);
         if (block.timestamp >= nextShotTime) {
             return 0;
         }
         return nextShotTime - block.timestamp;
     }
     
+    /**
+     * @dev Exclude yourself from committing shots for a period
+     * @param duration Exclusion length in seconds (at most MAX_SELF_EXCLUSION)
+     * @notice Cannot be undone or shortened (a shorter period keeps the current end);
+     *         pending shots can still be revealed
+     */
+    function setSelfExclusion(uint256 duration) external {
+        if (duration == 0 || duration > MAX_SELF_EXCLUSION) revert InvalidExclusionPeriod();
+        uint256 until = block.timestamp + duration;
+        if (until < selfExcludedUntil[msg.sender]) {
+            until = selfExcludedUntil[msg.sender];
+        }
+        
+        selfExcludedUntil[msg.sender] = until;
+        emit SelfExclusionSet(msg.sender, until);
+    }
+    
+    /**
+     * @dev Set a daily (UTC) limit on what you spend on shots paid in one token
+     * @param token Payment token the limit applies to (zero address = ETH)
+     * @param amount Limit in the token's smallest unit, e.g. wei (0 = no limit)
+     * @notice Lowering the limit applies immediately; raising or removing it applies
+     *         after SPEND_LIMIT_INCREASE_DELAY. Each token has its own limit.
+     */
+    function setDailySpendLimit(address token, uint256 amount) external {
+        if (amount > type(uint128).max) revert InvalidSpendLimit();
+        SpendLimit storage spending = spendLimits[msg.sender][token];
+        (uint256 current, uint256 spent) = _dailySpending(spending);
+        
+        // Raising or removing a limit waits out the cooling-off period; the current limit stays in effect
+        uint256 pendingFrom = 0;
+        if (current != 0 && (amount == 0 || amount > current)) {
+            pendingFrom = block.timestamp + SPEND_LIMIT_INCREASE_DELAY;
+            spending.pendingLimit = uint128(amount);
+        } else {
+            current = amount;
+        }
+        
+        spending.limit = uint128(current);
+        spending.spent = uint128(spent);
+        spending.day = uint64(block.timestamp / 1 days);
+        spending.pendingFrom = uint64(pendingFrom);
+        
+        emit DailySpendLimitSet(msg.sender, token, amount, pendingFrom == 0 ? block.timestamp : pendingFrom);
+    }
+    
     /**
      * @dev Withdraw house funds (owner only)
      */
     function withdrawHouseFunds() external onlyOwner nonReentrant {
         uint256 amount = houseFunds;
-        require(amount > 0, "No house funds to withdraw");
+        if (amount == 0) revert NoHouseFunds();
         
         houseFunds = 0;
         
         (bool success, ) = payable(HOUSE_ADDRESS).call{value: amount}("");
-        require(success, "Withdrawal failed");
+        if (!success) revert TransferFailed();
         
         emit HouseFundsWithdrawn(HOUSE_ADDRESS, amount);
     }
     
+    /**
+     * @dev Withdraw house funds collected in an ERC-20 token (owner only)
+     * @param token Payment token to withdraw
+     */
+    function withdrawTokenHouseFunds(address token) external onlyOwner nonReentrant {
+        uint256 amount = tokenPots[token].houseFunds;
+        if (amount == 0) revert NoHouseFunds();
+        
+        tokenPots[token].houseFunds = 0;
+        IERC20(token).safeTransfer(HOUSE_ADDRESS, amount);
+        
+        emit TokenHouseFundsWithdrawn(token, HOUSE_ADDRESS, amount);
+    }
+    
+    /**
+     * @dev Accept an ERC-20 token for shots, change its shot cost, or stop accepting it (owner only)
+     * @param token Payment token (fee-on-transfer and rebasing tokens are not supported)
+     * @param shotCost Cost of one shot in the token's smallest unit (0 stops new token shots)
+     * @notice The token's pot and house funds are kept when it is no longer accepted,
+     *         so pending shots still settle and house funds can still be withdrawn
+     */
+    function setAcceptedToken(address token, uint256 shotCost) external onlyOwner {
+        if (token == address(0)) revert InvalidAddress();
+        
+        TokenPot storage tokenPot = tokenPots[token];
+        if (!tokenPot.listed) {
+            tokenPot.listed = true;
+            acceptedTokens.push(token);
+        }
+        tokenPot.shotCost = shotCost;
+        
+        emit TokenAccepted(token, shotCost);
+    }
+    
+    /**
+     * @dev Set the address that signs shot vouchers (owner only)
+     * @param signer Voucher signer, or the zero address to stop accepting vouchers
+     */
+    function setVoucherSigner(address signer) external onlyOwner {
+        voucherSigner = signer;
+        emit VoucherSignerUpdated(signer);
+    }
+    
     /**
      * @dev Pause the contract (owner only)
      */
@@ -463,16 +946,102 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
     }
     
     /**
-     * @dev Claim failed payout (for players whose payout failed)
+     * @dev Move the jackpot, prize tier sub-pots and token pots to a new EthShot deployment (owner only)
+     * @param newContract EthShot deployment that receives the pots through seedPot and seedTokenPot
+     * @notice Only while paused, so no shot can win the pot being moved. House funds,
+     *         pending payouts and the sponsor auction stay here and can still be
+     *         withdrawn, claimed or settled. Every token with a pot must be accepted
+     *         on the new deployment first.
+     */
+    function migratePot(address newContract) external onlyOwner whenPaused {
+        uint256 amount = currentPot;
+        currentPot = 0;
+        uint256 tierCount = prizeTiers.length;
+        for (uint256 i = 0; i < tierCount; i++) {
+            amount += tierPots[i];
+            tierPots[i] = 0;
+        }
+        (bool success, ) = newContract.call{value: amount}(abi.encodeCall(this.seedPot, ()));
+        if (!success || newContract.code.length == 0) revert PotMigrationFailed();
+        emit PotMigrated(newContract, address(0), amount);
+        
+        uint256 tokenCount = acceptedTokens.length;
+        for (uint256 i = 0; i < tokenCount; i++) {
+            address token = acceptedTokens[i];
+            uint256 tokenAmount = tokenPots[token].pot;
+            if (tokenAmount == 0) continue;
+            
+            tokenPots[token].pot = 0;
+            IERC20(token).forceApprove(newContract, tokenAmount);
+            EthShot(newContract).seedTokenPot(token, tokenAmount);
+            emit PotMigrated(newContract, token, tokenAmount);
+        }
+    }
+    
+    /**
+     * @dev Add ETH to the jackpot, e.g. the pot carried over from a previous deployment
+     */
+    function seedPot() external payable {
+        unchecked {
+            currentPot += msg.value;
+        }
+        emit PotSeeded(msg.sender, msg.value);
+    }
+    
+    /**
+     * @dev Add tokens to a token jackpot, pulled from the caller with transferFrom
+     * @param token Token that has been accepted on this deployment
+     * @param amount Amount to add
+     */
+    function seedTokenPot(address token, uint256 amount) external {
+        if (!tokenPots[token].listed) revert TokenNotAccepted(token);
+        
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        tokenPots[token].pot += amount;
+        
+        emit TokenPotSeeded(msg.sender, token, amount);
+    }
+    
+    /**
+     * @dev Prepay relayed shots for a player (commitShotFor takes SHOT_COST from the deposit)
+     * @param player Player whose relayed shots the deposit pays for
+     * @notice Anyone can fund a player, e.g. an onramp or a sponsor of new players
+     */
+    function depositForShots(address player) external payable {
+        if (player == address(0)) revert InvalidAddress();
+        if (msg.value == 0) revert InvalidCost();
+        shotDeposits[player] += msg.value;
+        emit ShotDepositMade(player, msg.sender, msg.value);
+    }
+    
+    /**
+     * @dev Withdraw your unused relayed-shot deposit
+     */
+    function withdrawShotDeposit() external nonReentrant {
+        uint256 amount = shotDeposits[msg.sender];
+        if (amount == 0) revert NoShotDeposit();
+        
+        shotDeposits[msg.sender] = 0;
+        
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+        
+        emit ShotDepositWithdrawn(msg.sender, amount);
+    }
+    
+    /**
+     * @dev Claim failed payout (for players whose payout failed) or an outbid sponsor refund
+     * @notice Forwards all gas so contract wallets (Safe, account abstraction) can claim;
+     *         the balance is cleared first and the call is nonReentrant
      */
     function claimPayout() external nonReentrant {
         uint256 amount = pendingPayouts[msg.sender];
-        require(amount > 0, "No pending payout");
+        if (amount == 0) revert NoPendingPayout();
         
         pendingPayouts[msg.sender] = 0;
         
-        (bool success, ) = payable(msg.sender).call{value: amount, gas: 2300}("");
-        require(success, "Payout claim failed");
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
         
         emit PayoutClaimed(msg.sender, amount);
     }
@@ -483,60 +1052,131 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
      * @notice This helps clean up expired pending shots to unblock players
      */
     function cleanupExpiredPendingShot(address player) external {
-        require(pendingShots[player].exists, "No pending shot to clean up");
+        bool hasSingleShot = pendingShots[player].exists;
+        if (!hasSingleShot && pendingBatches[player].length == 0) revert NoPendingShot();
         
-        uint256 commitBlock = pendingShots[player].blockNumber;
-        require(block.number > commitBlock + MAX_REVEAL_DELAY, "Pending shot not yet expired");
+        uint256 commitBlock = hasSingleShot
+            ? pendingShots[player].blockNumber
+            : pendingBatches[player][0].blockNumber;
+        if (block.number <= commitBlock + MAX_REVEAL_DELAY) revert PendingShotNotExpired();
         
-        // Clean up the expired pending shot
+        // Clean up the expired pending shot (or the rest of an expired bundle)
         delete pendingShots[player];
+        delete pendingBatches[player];
         
         emit PendingShotExpired(player, commitBlock, block.number);
     }
     
-    // Test functions (only available in test mode and not on mainnet)
-    function setTestMode(bool _testMode) external onlyOwner {
-        require(block.chainid != MAINNET_CHAIN_ID, "Test mode not allowed on mainnet");
-        testMode = _testMode;
-    }
-    
-    function setWinningNumber(uint256 _winningNumber) external onlyOwner {
-        require(testMode, "Test mode not enabled");
-        require(block.chainid != MAINNET_CHAIN_ID, "Test mode not allowed on mainnet");
-        testWinningNumber = _winningNumber;
-    }
-    
-    function setTestFiftyPercentMode(bool _enabled) external onlyOwner {
-        require(testMode, "Test mode not enabled");
-        require(block.chainid != MAINNET_CHAIN_ID, "Test mode not allowed on mainnet");
-        testFiftyPercentMode = _enabled;
-    }
-    
     /**
      * @dev Get test mode configuration
      * @return isTestMode Whether test mode is enabled
      * @return isFiftyPercentMode Whether 50% win rate mode is enabled
      * @return currentChainId Current blockchain chain ID
+     * @notice Always off here; outcomes can only be rigged on an EthShotTestable deployment
      */
-    function getTestModeConfig() external view returns (
+    function getTestModeConfig() external view virtual returns (
         bool isTestMode,
         bool isFiftyPercentMode,
         uint256 currentChainId
     ) {
-        return (testMode, testFiftyPercentMode, block.chainid);
+        return (false, false, block.chainid);
+    }
+    
+    /**
+     * @dev Store a committed shot, update stats and the pots, and request oracle randomness
+     * @param player Address of the player taking the shot
+     * @param commitment Hash of (secret + player address)
+     * @param amount Amount paid for the shot
+     * @param token Payment token (zero address = ETH)
+     */
+    function _commitShot(address player, bytes32 commitment, uint256 amount, address token) private {
+        if (commitment == bytes32(0)) revert InvalidCommitment();
+        
+        // Store pending shot
+        pendingShots[player] = PendingShot({
+            commitment: commitment,
+            blockNumber: block.number,
+            amount: amount,
+            exists: true,
+            requestId: 0,
+            roundId: currentRound,
+            token: token
+        });
+        
+        // Update player stats (spent, won and round totals are in ETH only)
+        PlayerStats storage stats = playerStats[player];
+        unchecked {
+            stats.totalShots++;
+        }
+        lastShotTime[player] = block.timestamp;
+        
+        if (token == address(0)) {
+            unchecked {
+                stats.totalSpent += amount;
+                rounds[currentRound].shotCount++;
+            }
+            
+            // Add to pot (minus prize tier contributions)
+            _addToPots(amount);
+        } else {
+            tokenPots[token].pot += amount;
+            emit TokenShotCommitted(player, token, amount);
+        }
+        
+        emit ShotCommitted(player, commitment, amount, currentRound);
+        
+        if (address(RANDOMNESS_PROVIDER) != address(0)) {
+            pendingShots[player].requestId = _requestRandomness(player);
+        }
+    }
+    
+    /**
+     * @dev Verify a player's secret and settle their pending shot
+     * @param player Address of the player whose shot is revealed
+     * @param secret The secret used in the commitment
+     */
+    function _revealShot(address player, uint256 secret) private {
+        PendingShot storage shot = pendingShots[player];
+        
+        // Verify commitment
+        bytes32 hash = keccak256(abi.encodePacked(secret, player));
+        if (hash != shot.commitment) revert InvalidSecret();
+        
+        // Generate randomness using multiple entropy sources
+        uint256 prize = _checkWin(player, secret, shot.blockNumber);
+        
+        _settlePendingShot(player, _eligiblePrize(prize, shot.amount, shot.token));
+    }
+    
+    /**
+     * @dev Revert unless a typed-data request is unexpired and signed by the expected signer
+     * @param signer Address that must have signed the request (the player, or voucherSigner for vouchers)
+     * @param structHash EIP-712 struct hash of the request (including any consumed nonce)
+     * @param deadline Timestamp after which the request is no longer valid
+     * @param signature Signer's signature
+     */
+    function _verifyRelayedRequest(
+        address signer,
+        bytes32 structHash,
+        uint256 deadline,
+        bytes calldata signature
+    ) private view {
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (ECDSA.recover(_hashTypedDataV4(structHash), signature) != signer) revert InvalidSignature();
     }
     
     /**
      * @dev Generate secure randomness using commit-reveal scheme
+     * @param player Address of the player whose shot is revealed
      * @param secret Player's secret from reveal
      * @param commitBlock Block number when commitment was made
-     * @return bool True if player wins
+     * @return uint256 Prize outcome (NO_PRIZE, GRAND_PRIZE or a prize tier)
      */
-    function _checkWin(uint256 secret, uint256 commitBlock) private returns (bool) {
+    function _checkWin(address player, uint256 secret, uint256 commitBlock) private returns (uint256) {
         // Increment global nonce for additional entropy
         unchecked {
             nonce++;
-            playerNonces[msg.sender]++;
+            playerNonces[player]++;
         }
         
         // Use multiple entropy sources:
@@ -565,32 +1205,268 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
                     secret,
                     futureBlockHash,
                     nonce,
-                    playerNonces[msg.sender],
-                    msg.sender,
+                    playerNonces[player],
+                    player,
                     block.timestamp,
                     block.prevrandao
                 )
             )
         ) % BASIS_POINTS;
         
-        return randomNumber < WIN_CHANCE_BP;
+        return _prizeForRoll(randomNumber);
     }
     
     /**
-     * @dev Internal function to check win in test mode
-     * @return bool True if shot wins
+     * @dev Map a roll in [0, BASIS_POINTS) to a prize: the grand jackpot band comes
+     *      first, followed by one band per prize tier in configuration order
+     * @param roll Random number below BASIS_POINTS
+     * @return uint256 Prize outcome
+     * @notice Every shot is settled through here; EthShotTestable overrides it to rig outcomes
      */
-    function _checkWinTest() private returns (bool) {
-        if (testFiftyPercentMode) {
-            // 50% win rate for testing pot wins and payouts
-            // Use simple alternating pattern based on global nonce
-            unchecked {
-                nonce++;
+    function _prizeForRoll(uint256 roll) internal virtual returns (uint256) {
+        uint256 threshold = WIN_CHANCE_BP;
+        if (roll < threshold) {
+            return GRAND_PRIZE;
+        }
+        
+        uint256 tierCount = prizeTiers.length;
+        for (uint256 i = 0; i < tierCount; i++) {
+            threshold += prizeTiers[i].chanceBP;
+            if (roll < threshold) {
+                return FIRST_TIER_PRIZE + i;
             }
-            return (nonce % 2) == 1;
-        } else {
-            // Original behavior: controlled by testWinningNumber
-            return testWinningNumber == 1;
+        }
+        return NO_PRIZE;
+    }
+    
+    /**
+     * @dev Downgrade a prize the pots cannot pay out
+     * @param prize Prize outcome from the roll
+     * @param shotAmount Amount the shot paid in
+     * @param token Payment token of the shot (zero address = ETH)
+     * @return uint256 Prize outcome to settle
+     * @notice The grand jackpot cannot be won while the pot only holds the player's
+     *         own contribution, or while it is too small for payout precision.
+     *         Token shots only play for their token's pot, which has no prize tiers.
+     */
+    function _eligiblePrize(uint256 prize, uint256 shotAmount, address token) private view returns (uint256) {
+        if (token != address(0)) {
+            return prize == GRAND_PRIZE && tokenPots[token].pot > shotAmount ? GRAND_PRIZE : NO_PRIZE;
+        }
+        if (prize == GRAND_PRIZE) {
+            return currentPot > shotAmount && currentPot >= MIN_POT_SIZE ? GRAND_PRIZE : NO_PRIZE;
+        }
+        if (prize >= FIRST_TIER_PRIZE) {
+            return tierPots[prize - FIRST_TIER_PRIZE] > 0 ? prize : NO_PRIZE;
+        }
+        return NO_PRIZE;
+    }
+    
+    /**
+     * @dev Request oracle randomness for freshly committed shots
+     * @param player Address of the player who committed
+     * @return requestId Request identifier to store on the pending shot(s)
+     */
+    function _requestRandomness(address player) private returns (uint256 requestId) {
+        requestId = RANDOMNESS_PROVIDER.requestRandomness();
+        randomnessRequests[requestId] = player;
+        
+        emit RandomnessRequested(player, requestId);
+    }
+    
+    /**
+     * @dev Internal function to get when a player's cooldown ends
+     * @param player Address to check
+     * @return uint256 Timestamp of the player's next allowed shot
+     */
+    function _nextShotTime(address player) private view returns (uint256) {
+        return lastShotTime[player] + _shotCooldown();
+    }
+    
+    /**
+     * @dev Cooldown between shots (EthShotTestable shortens it in test mode)
+     */
+    function _shotCooldown() internal view virtual returns (uint256) {
+        return COOLDOWN_PERIOD;
+    }
+    
+    /**
+     * @dev Internal function to check that a player has a single pending shot ready to reveal
+     * @param player Address of the player whose shot is revealed
+     */
+    function _checkCanReveal(address player) private view {
+        if (address(RANDOMNESS_PROVIDER) != address(0)) revert SettledByOracle();
+        if (!pendingShots[player].exists) revert NoPendingShot();
+        _requireRevealWindow(pendingShots[player].blockNumber);
+    }
+    
+    /**
+     * @dev Internal function to check that a player can commit a shot, cleaning up expired pending shots
+     * @param player Address of the player taking the shot
+     */
+    function _checkCanCommit(address player) private {
+        uint256 nextShotTime = _nextShotTime(player);
+        if (block.timestamp < nextShotTime) revert CooldownActive(nextShotTime - block.timestamp);
+        
+        // Auto-cleanup expired pending shots
+        if (pendingShots[player].exists) {
+            uint256 commitBlock = pendingShots[player].blockNumber;
+            if (block.number > commitBlock + MAX_REVEAL_DELAY) {
+                // Pending shot expired, clean it up automatically
+                delete pendingShots[player];
+                emit PendingShotExpired(player, commitBlock, block.number);
+            } else {
+                revert PendingShotExists();
+            }
+        }
+        
+        // Same for a batch with unrevealed shots (all shots share the commit block)
+        if (pendingBatches[player].length > 0) {
+            uint256 batchBlock = pendingBatches[player][0].blockNumber;
+            if (block.number > batchBlock + MAX_REVEAL_DELAY) {
+                delete pendingBatches[player];
+                emit PendingShotExpired(player, batchBlock, block.number);
+            } else {
+                revert PendingShotExists();
+            }
+        }
+        
+        if (tx.origin != msg.sender) revert NotEOA();
+    }
+    
+    /**
+     * @dev Whether a player has a single or batch shot pending that has not expired
+     *      (commits clean expired ones up, so they do not block the next shot)
+     * @param player Address to check
+     */
+    function _hasUnexpiredPendingShot(address player) private view returns (bool) {
+        if (pendingShots[player].exists && block.number <= pendingShots[player].blockNumber + MAX_REVEAL_DELAY) {
+            return true;
+        }
+        return pendingBatches[player].length > 0 && block.number <= pendingBatches[player][0].blockNumber + MAX_REVEAL_DELAY;
+    }
+    
+    /**
+     * @dev Internal function to enforce the player's self-exclusion and daily spend limit
+     * @param player Address of the player taking the shot
+     * @param token Payment token of the shot (zero address = ETH)
+     * @param amount What the shot costs in that token (ETH paid directly or from the player's shot deposit)
+     */
+    function _checkResponsiblePlay(address player, address token, uint256 amount) private {
+        if (block.timestamp < selfExcludedUntil[player]) revert SelfExcluded(selfExcludedUntil[player]);
+        
+        SpendLimit storage spending = spendLimits[player][token];
+        (uint256 limit, uint256 spent) = _dailySpending(spending);
+        if (limit != 0) {
+            if (spent + amount > limit) revert DailySpendLimitReached(limit > spent ? limit - spent : 0);
+            spending.spent = uint128(spent + amount);
+            spending.day = uint64(block.timestamp / 1 days);
+        }
+    }
+    
+    /**
+     * @dev Internal function to get the daily limit in effect and today's spending against it
+     * @param spending Player's spend limit settings
+     * @return limit Limit in effect (0 = no limit)
+     * @return spent Spent today (UTC)
+     */
+    function _dailySpending(SpendLimit storage spending) private view returns (uint256 limit, uint256 spent) {
+        uint256 pendingFrom = spending.pendingFrom;
+        limit = pendingFrom != 0 && block.timestamp >= pendingFrom ? spending.pendingLimit : spending.limit;
+        if (spending.day == block.timestamp / 1 days) {
+            spent = spending.spent;
+        }
+    }
+    
+    /**
+     * @dev Revert unless a shot committed at commitBlock is inside its reveal window
+     * @param commitBlock Block number when the shot was committed
+     */
+    function _requireRevealWindow(uint256 commitBlock) private view {
+        if (block.number <= commitBlock + REVEAL_DELAY) revert RevealDelayNotElapsed();
+        if (block.number > commitBlock + MAX_REVEAL_DELAY) revert RevealWindowExpired();
+    }
+    
+    /**
+     * @dev Clear a player's single pending shot and settle it
+     * @param player Address of the player whose shot is settled
+     * @param prize Prize outcome (NO_PRIZE, GRAND_PRIZE or a prize tier)
+     */
+    function _settlePendingShot(address player, uint256 prize) private {
+        PendingShot storage shot = pendingShots[player];
+        uint256 amount = shot.amount;
+        uint256 roundId = shot.roundId;
+        address token = shot.token;
+        
+        // Clean up pending shot
+        delete pendingShots[player];
+        
+        _settleShot(player, amount, roundId, token, prize);
+    }
+    
+    /**
+     * @dev Mark one shot of a bundle as settled and settle it; the bundle is
+     *      deleted once its last shot is settled
+     * @param player Address of the player whose shot is settled
+     * @param index Position of the shot in the bundle
+     * @param prize Prize outcome (NO_PRIZE, GRAND_PRIZE or a prize tier)
+     */
+    function _settleBatchShot(address player, uint256 index, uint256 prize) private {
+        PendingShot[] storage batch = pendingBatches[player];
+        uint256 amount = batch[index].amount;
+        uint256 roundId = batch[index].roundId;
+        batch[index].exists = false;
+        
+        bool batchSettled = true;
+        uint256 count = batch.length;
+        for (uint256 i = 0; i < count; i++) {
+            if (batch[i].exists) {
+                batchSettled = false;
+                break;
+            }
+        }
+        if (batchSettled) {
+            delete pendingBatches[player];
+        }
+        
+        _settleShot(player, amount, roundId, address(0), prize);
+    }
+    
+    /**
+     * @dev Emit a settled shot's outcome and pay out on a win
+     * @param player Address of the player whose shot is settled
+     * @param amount Amount the shot paid in
+     * @param roundId Round the shot was committed in
+     * @param token Payment token of the shot (zero address = ETH)
+     * @param prize Prize outcome (NO_PRIZE, GRAND_PRIZE or a prize tier)
+     */
+    function _settleShot(address player, uint256 amount, uint256 roundId, address token, uint256 prize) private {
+        emit ShotRevealed(player, amount, prize == GRAND_PRIZE, roundId);
+        
+        if (prize == GRAND_PRIZE && token != address(0)) {
+            _handleTokenWin(player, token);
+        } else if (prize == GRAND_PRIZE) {
+            _handleWin(player);
+        } else if (prize >= FIRST_TIER_PRIZE) {
+            _handleTierWin(player, prize - FIRST_TIER_PRIZE);
+        }
+    }
+    
+    /**
+     * @dev Split a shot payment between the prize tier sub-pots and the jackpot
+     * @param amount Amount paid for the shot
+     */
+    function _addToPots(uint256 amount) private {
+        uint256 remaining = amount;
+        uint256 tierCount = prizeTiers.length;
+        for (uint256 i = 0; i < tierCount; i++) {
+            uint256 contribution = (amount * prizeTiers[i].contributionBP) / BASIS_POINTS;
+            tierPots[i] += contribution;
+            remaining -= contribution;
+        }
+        
+        unchecked {
+            currentPot += remaining;
         }
     }
     
@@ -617,6 +1493,16 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
         // Reset pot
         currentPot = 0;
         
+        // Close the current round and open the next one
+        uint256 roundId = currentRound;
+        Round storage round = rounds[roundId];
+        round.endTime = block.timestamp;
+        round.endBlock = block.number;
+        round.potAmount = potAmount;
+        round.payout = winnerAmount;
+        round.winner = winner;
+        _startRound(roundId + 1);
+        
         // Clear sponsorship
         if (currentSponsor.active) {
             currentSponsor.active = false;
@@ -641,25 +1527,103 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
             emit PayoutFailed(winner, winnerAmount);
         }
         
-        emit JackpotWon(winner, winnerAmount, block.timestamp);
+        emit JackpotWon(winner, winnerAmount, block.timestamp, roundId);
     }
     
     /**
-     * @dev Add winner to bounded array
-     * @param newWinner Winner to add
+     * @dev Internal function to pay out a prize tier's sub-pot
+     * @param winner Address of the winner
+     * @param tier Index of the prize tier
+     * @notice Tier prizes do not reset the jackpot or end the round
      */
-    function _addWinner(Winner memory newWinner) private {
-        recentWinners.push(newWinner);
+    function _handleTierWin(address winner, uint256 tier) private {
+        uint256 tierPot = tierPots[tier];
+        uint256 winnerAmount = (tierPot * WIN_PERCENTAGE_BP) / BASIS_POINTS;
+        
+        tierPots[tier] = 0;
+        unchecked {
+            houseFunds += tierPot - winnerAmount;
+            playerStats[winner].totalWon += winnerAmount;
+        }
         
-        // Keep array bounded
-        if (recentWinners.length > MAX_RECENT_WINNERS) {
-            // Remove oldest winner
+        (bool success, ) = payable(winner).call{value: winnerAmount, gas: 2300}("");
+        if (!success) {
             unchecked {
-                for (uint256 i = 0; i < recentWinners.length - 1; i++) {
-                    recentWinners[i] = recentWinners[i + 1];
-                }
+                pendingPayouts[winner] += winnerAmount;
             }
-            recentWinners.pop();
+            emit PayoutFailed(winner, winnerAmount);
+        }
+        
+        emit TierPrizeWon(winner, tier, winnerAmount, currentRound);
+    }
+    
+    /**
+     * @dev Internal function to pay out an ERC-20 token's pot
+     * @param winner Address of the winner
+     * @param token Payment token whose pot was won
+     * @notice Token jackpots do not end the ETH round or clear the sponsorship
+     */
+    function _handleTokenWin(address winner, address token) private {
+        TokenPot storage tokenPot = tokenPots[token];
+        uint256 potAmount = tokenPot.pot;
+        uint256 winnerAmount = (potAmount * WIN_PERCENTAGE_BP) / BASIS_POINTS;
+        
+        tokenPot.pot = 0;
+        unchecked {
+            tokenPot.houseFunds += potAmount - winnerAmount;
+        }
+        
+        // Token transfers do not call into the winner, so there is no pull-payment fallback
+        IERC20(token).safeTransfer(winner, winnerAmount);
+        
+        emit TokenJackpotWon(winner, token, winnerAmount);
+    }
+    
+    /**
+     * @dev Open a new round
+     * @param roundId Identifier of the round to open
+     */
+    function _startRound(uint256 roundId) private {
+        currentRound = roundId;
+        rounds[roundId].startTime = block.timestamp;
+        rounds[roundId].startBlock = block.number;
+    }
+    
+    /**
+     * @dev Pay the winning bid into house funds and activate its sponsorship
+     */
+    function _settleSponsorAuction() private {
+        SponsorAuction memory auction = sponsorAuction;
+        delete sponsorAuction;
+        
+        houseFunds += auction.highestBid;
+        currentSponsor = SponsorInfo({
+            sponsor: auction.highestBidder,
+            name: auction.name,
+            logoUrl: auction.logoUrl,
+            timestamp: block.timestamp,
+            active: true
+        });
+        
+        emit SponsorshipActivated(auction.highestBidder, auction.name, auction.logoUrl);
+    }
+    
+    /**
+     * @dev Add winner to the recent winners ring buffer
+     * @param newWinner Winner to add
+     * @notice Once the buffer is full the oldest entry is overwritten in place, so
+     *         the cost of a win does not depend on MAX_RECENT_WINNERS. A running total
+     *         rather than a wrapping head index keeps the counter slot from returning
+     *         to zero, which would make every wrap-around win pay a fresh storage write.
+     */
+    function _addWinner(Winner memory newWinner) private {
+        if (recentWinners.length < MAX_RECENT_WINNERS) {
+            recentWinners.push(newWinner);
+        } else {
+            recentWinners[totalWinners % MAX_RECENT_WINNERS] = newWinner;
+        }
+        unchecked {
+            totalWinners++;
         }
     }
     
@@ -704,6 +1668,27 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
         return (shot.exists, shot.blockNumber, shot.amount);
     }
     
+    /**
+     * @dev Get the player's pending bundle from commitShots
+     * @param player Address to check
+     * @return blockNumber Block number when the bundle was committed (0 if none)
+     * @return pending Whether each shot in the bundle is still unrevealed
+     */
+    function getPendingBatch(address player) external view returns (
+        uint256 blockNumber,
+        bool[] memory pending
+    ) {
+        PendingShot[] storage batch = pendingBatches[player];
+        uint256 count = batch.length;
+        pending = new bool[](count);
+        for (uint256 i = 0; i < count; i++) {
+            pending[i] = batch[i].exists;
+        }
+        if (count > 0) {
+            blockNumber = batch[0].blockNumber;
+        }
+    }
+    
     /**
      * @dev Check if player has a pending shot
      * @param player Address to check
@@ -717,24 +1702,51 @@ contract EthShot is Ownable, Pausable, ReentrancyGuard {
      * @dev Get game configuration in basis points
      * @return winPercentageBP Winner percentage in basis points
      * @return housePercentageBP House percentage in basis points
-     * @return winChanceBP Win chance in basis points
+     * @return winChanceBP Grand jackpot win chance in basis points
+     * @return tiers Prize tiers paid from sub-pots, in roll order
      */
     function getGameConfig() external view returns (
         uint256 winPercentageBP,
         uint256 housePercentageBP,
-        uint256 winChanceBP
+        uint256 winChanceBP,
+        PrizeTier[] memory tiers
     ) {
-        return (WIN_PERCENTAGE_BP, HOUSE_PERCENTAGE_BP, WIN_CHANCE_BP);
+        return (WIN_PERCENTAGE_BP, HOUSE_PERCENTAGE_BP, WIN_CHANCE_BP, prizeTiers);
+    }
+    
+    /**
+     * @dev Get the current sub-pot of every prize tier
+     * @return pots Sub-pot balances in wei, indexed like getGameConfig().tiers
+     */
+    function getTierPots() external view returns (uint256[] memory pots) {
+        uint256 tierCount = prizeTiers.length;
+        pots = new uint256[](tierCount);
+        for (uint256 i = 0; i < tierCount; i++) {
+            pots[i] = tierPots[i];
+        }
     }
     
     /**
-     * @dev Fallback function to reject direct ETH transfers
+     * @dev Get every ERC-20 token that has been accepted for shots
+     * @return tokens Token addresses (check getTokenPot for whether each is still accepted)
      */
-    receive() external payable {
-        revert("Direct transfers not allowed");
+    function getAcceptedTokens() external view returns (address[] memory tokens) {
+        return acceptedTokens;
     }
     
-    fallback() external payable {
-        revert("Function not found");
+    /**
+     * @dev Get the shot cost, pot and house funds of an ERC-20 token
+     * @param token Payment token
+     * @return shotCost Cost of one shot in token units (0 if not accepted)
+     * @return pot Current token pot
+     * @return tokenHouseFunds House funds collected in the token
+     */
+    function getTokenPot(address token) external view returns (
+        uint256 shotCost,
+        uint256 pot,
+        uint256 tokenHouseFunds
+    ) {
+        TokenPot storage tokenPot = tokenPots[token];
+        return (tokenPot.shotCost, tokenPot.pot, tokenPot.houseFunds);
     }
 }
\ No newline at end of file
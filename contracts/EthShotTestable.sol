@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./EthShot.sol";
+
+/**
+ * @title EthShotTestable
+ * @dev EthShot with owner-controlled test hooks for Hardhat tests and testnet QA:
+ *      a 1 minute cooldown, forced outcomes and a 50% win rate mode
+ * @notice Never deploy to mainnet. The production EthShot contract has none of these
+ *         functions; the chain-id check below is only a second line of defence.
+ */
+contract EthShotTestable is EthShot {
+    uint256 private constant TEST_COOLDOWN_PERIOD = 60; // 1 minute cooldown for test mode
+    uint256 private constant MAINNET_CHAIN_ID = 1;
+
+    bool public testMode = false;
+    uint256 private testWinningNumber = 0;
+    bool public testFiftyPercentMode = false; // 50% win rate for testing payouts
+    uint256 private testShotCount;
+
+    error TestModeNotEnabled();
+    error MainnetNotAllowed();
+
+    modifier onlyTestMode() {
+        if (!testMode) revert TestModeNotEnabled();
+        _;
+    }
+
+    constructor(
+        address initialOwner,
+        address _houseAddress,
+        uint256 _shotCost,
+        uint256 _sponsorCost,
+        uint256 _cooldownPeriod,
+        uint256 _winPercentageBP,
+        uint256 _housePercentageBP,
+        uint256 _winChanceBP,
+        uint256 _maxRecentWinners,
+        uint256 _minPotSize,
+        address _randomnessProvider,
+        PrizeTier[] memory _prizeTiers
+    ) EthShot(
+        initialOwner,
+        _houseAddress,
+        _shotCost,
+        _sponsorCost,
+        _cooldownPeriod,
+        _winPercentageBP,
+        _housePercentageBP,
+        _winChanceBP,
+        _maxRecentWinners,
+        _minPotSize,
+        _randomnessProvider,
+        _prizeTiers
+    ) {
+        if (block.chainid == MAINNET_CHAIN_ID) revert MainnetNotAllowed();
+    }
+
+    /**
+     * @dev Turn test mode on or off (owner only)
+     */
+    function setTestMode(bool _testMode) external onlyOwner {
+        testMode = _testMode;
+    }
+
+    /**
+     * @dev Force the outcome of every shot in test mode (owner only)
+     * @param _winningNumber 0 = lose, 1 = grand jackpot, 2 + i = prize tier i
+     */
+    function setWinningNumber(uint256 _winningNumber) external onlyOwner onlyTestMode {
+        testWinningNumber = _winningNumber;
+    }
+
+    /**
+     * @dev Alternate wins and losses in test mode for testing payouts (owner only)
+     */
+    function setTestFiftyPercentMode(bool _enabled) external onlyOwner onlyTestMode {
+        testFiftyPercentMode = _enabled;
+    }
+
+    /**
+     * @dev Get test mode configuration
+     * @return isTestMode Whether test mode is enabled
+     * @return isFiftyPercentMode Whether 50% win rate mode is enabled
+     * @return currentChainId Current blockchain chain ID
+     */
+    function getTestModeConfig() external view override returns (
+        bool isTestMode,
+        bool isFiftyPercentMode,
+        uint256 currentChainId
+    ) {
+        return (testMode, testFiftyPercentMode, block.chainid);
+    }
+
+    /**
+     * @dev Replace the roll with the forced outcome while test mode is on
+     */
+    function _prizeForRoll(uint256 roll) internal override returns (uint256) {
+        if (!testMode) {
+            return super._prizeForRoll(roll);
+        }
+        if (testFiftyPercentMode) {
+            // Simple alternating pattern: every other shot wins the jackpot
+            return ++testShotCount % 2 == 1 ? GRAND_PRIZE : NO_PRIZE;
+        }
+        return testWinningNumber < FIRST_TIER_PRIZE + prizeTiers.length ? testWinningNumber : NO_PRIZE;
+    }
+
+    function _shotCooldown() internal view override returns (uint256) {
+        return testMode ? TEST_COOLDOWN_PERIOD : COOLDOWN_PERIOD;
+    }
+}
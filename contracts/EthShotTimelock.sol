@@ -0,0 +1,261 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IEthShotPausable {
+    function pause() external;
+}
+
+/**
+ * @title EthShotTimelock
+ * @dev Owner of an EthShot deployment that queues admin calls behind a delay and a
+ *      quorum of approvers: propose → approve → wait for the ETA → execute
+ * @notice Once EthShot ownership is transferred here, withdrawHouseFunds,
+ *         withdrawTokenHouseFunds, setAcceptedToken, setVoucherSigner, unpause,
+ *         migratePot and transferOwnership (plus the test hooks on EthShotTestable) can
+ *         only run after being public on-chain for `delay` seconds. The timelock's own
+ *         settings (approvers, threshold, delay) change through the same queue. The one
+ *         exception is pause: any single approver can pause EthShot immediately with
+ *         emergencyPause, while unpausing still goes through the queue.
+ */
+contract EthShotTimelock {
+    uint256 public constant MIN_DELAY = 1 hours;
+    uint256 public constant MAX_DELAY = 30 days;
+    uint256 public constant GRACE_PERIOD = 14 days; // Actions not executed by eta + GRACE_PERIOD expire
+
+    struct Action {
+        address target;
+        bytes data;
+        uint256 eta;
+        uint256 approvals; // Filled in by getAction from current approvers; not kept in storage
+        bool executed;
+        bool cancelled;
+    }
+
+    address public immutable ethShot;
+    uint256 public delay;
+    uint256 public threshold;
+
+    mapping(address => bool) public isApprover;
+    address[] private approvers;
+    mapping(uint256 => mapping(address => bool)) public hasApproved;
+    Action[] private actions;
+
+    event ActionProposed(uint256 indexed id, address indexed proposer, address indexed target, bytes data, uint256 eta);
+    event ActionApproved(uint256 indexed id, address indexed approver, uint256 approvals);
+    event ActionExecuted(uint256 indexed id, address indexed executor);
+    event ActionCancelled(uint256 indexed id, address indexed canceller);
+    event ApproverUpdated(address indexed approver, bool allowed);
+    event ThresholdUpdated(uint256 threshold);
+    event DelayUpdated(uint256 delay);
+    event EmergencyPaused(address indexed approver);
+
+    error InvalidAddress();
+    error InvalidDelay();
+    error InvalidThreshold();
+    error InvalidApprover(address approver);
+    error InvalidTarget(address target);
+    error MissingSelector();
+    error NotApprover();
+    error OnlyTimelock();
+    error UnknownAction(uint256 id);
+    error ActionNotPending(uint256 id);
+    error AlreadyApproved(uint256 id);
+    error NotEnoughApprovals(uint256 approvals, uint256 required);
+    error ActionTimelocked(uint256 eta);
+    error ActionExpired(uint256 expiredAt);
+    error WouldFallBelowThreshold();
+
+    modifier onlyApprover() {
+        if (!isApprover[msg.sender]) revert NotApprover();
+        _;
+    }
+
+    modifier onlyTimelock() {
+        if (msg.sender != address(this)) revert OnlyTimelock();
+        _;
+    }
+
+    /**
+     * @param _ethShot EthShot deployment this timelock will own
+     * @param _approvers Accounts that can propose, approve, execute and cancel actions
+     * @param _threshold Approvals needed before an action can execute
+     * @param _delay Seconds between a proposal and its earliest execution
+     */
+    constructor(address _ethShot, address[] memory _approvers, uint256 _threshold, uint256 _delay) {
+        if (_ethShot == address(0)) revert InvalidAddress();
+        if (_delay < MIN_DELAY || _delay > MAX_DELAY) revert InvalidDelay();
+
+        ethShot = _ethShot;
+        delay = _delay;
+
+        for (uint256 i = 0; i < _approvers.length; i++) {
+            if (_approvers[i] == address(0) || isApprover[_approvers[i]]) revert InvalidApprover(_approvers[i]);
+            isApprover[_approvers[i]] = true;
+            approvers.push(_approvers[i]);
+            emit ApproverUpdated(_approvers[i], true);
+        }
+
+        if (_threshold == 0 || _threshold > approvers.length) revert InvalidThreshold();
+        threshold = _threshold;
+    }
+
+    /**
+     * @dev Queue a call to EthShot (or to this timelock's settings); counts as the proposer's approval
+     * @param target EthShot or this timelock
+     * @param data ABI-encoded call
+     * @return id Action identifier
+     */
+    function propose(address target, bytes calldata data) external onlyApprover returns (uint256 id) {
+        if (target != ethShot && target != address(this)) revert InvalidTarget(target);
+        if (data.length < 4) revert MissingSelector();
+
+        id = actions.length;
+        uint256 eta = block.timestamp + delay;
+        actions.push(Action({
+            target: target,
+            data: data,
+            eta: eta,
+            approvals: 0,
+            executed: false,
+            cancelled: false
+        }));
+        hasApproved[id][msg.sender] = true;
+
+        emit ActionProposed(id, msg.sender, target, data, eta);
+        emit ActionApproved(id, msg.sender, 1);
+    }
+
+    /**
+     * @dev Approve a queued action
+     * @param id Action identifier
+     */
+    function approve(uint256 id) external onlyApprover {
+        _pendingAction(id);
+        if (hasApproved[id][msg.sender]) revert AlreadyApproved(id);
+
+        hasApproved[id][msg.sender] = true;
+
+        emit ActionApproved(id, msg.sender, approvalCount(id));
+    }
+
+    /**
+     * @dev Run a queued action once it has enough approvals and its ETA has passed
+     * @param id Action identifier
+     * @notice Reverts with the target's revert reason if the call fails, leaving the action queued.
+     *         Approvals from accounts that have since been removed as approvers do not count.
+     */
+    function execute(uint256 id) external onlyApprover {
+        Action storage action = _pendingAction(id);
+        uint256 approvals = approvalCount(id);
+        if (approvals < threshold) revert NotEnoughApprovals(approvals, threshold);
+        if (block.timestamp < action.eta) revert ActionTimelocked(action.eta);
+        if (block.timestamp > action.eta + GRACE_PERIOD) revert ActionExpired(action.eta + GRACE_PERIOD);
+
+        action.executed = true;
+
+        (bool success, bytes memory result) = action.target.call(action.data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit ActionExecuted(id, msg.sender);
+    }
+
+    /**
+     * @dev Drop a queued action; any approver can veto
+     * @param id Action identifier
+     */
+    function cancel(uint256 id) external onlyApprover {
+        _pendingAction(id).cancelled = true;
+        emit ActionCancelled(id, msg.sender);
+    }
+
+    /**
+     * @dev Pause EthShot right away, without a proposal, approvals or delay, as an emergency
+     *      stop. Unpausing has to be queued like any other admin call.
+     */
+    function emergencyPause() external onlyApprover {
+        IEthShotPausable(ethShot).pause();
+        emit EmergencyPaused(msg.sender);
+    }
+
+    /**
+     * @dev Add or remove an approver (through the timelock). A removed approver's approvals of
+     *      queued actions stop counting; they count again only if the account is re-added.
+     */
+    function setApprover(address approver, bool allowed) external onlyTimelock {
+        if (approver == address(0) || isApprover[approver] == allowed) revert InvalidApprover(approver);
+        if (allowed) {
+            approvers.push(approver);
+        } else {
+            if (approvers.length - 1 < threshold) revert WouldFallBelowThreshold();
+            for (uint256 i = 0; i < approvers.length; i++) {
+                if (approvers[i] == approver) {
+                    approvers[i] = approvers[approvers.length - 1];
+                    approvers.pop();
+                    break;
+                }
+            }
+        }
+        isApprover[approver] = allowed;
+        emit ApproverUpdated(approver, allowed);
+    }
+
+    /**
+     * @dev Change the number of approvals an action needs (through the timelock)
+     */
+    function setThreshold(uint256 _threshold) external onlyTimelock {
+        if (_threshold == 0 || _threshold > approvers.length) revert InvalidThreshold();
+        threshold = _threshold;
+        emit ThresholdUpdated(_threshold);
+    }
+
+    /**
+     * @dev Change the delay for actions proposed from now on (through the timelock)
+     */
+    function setDelay(uint256 _delay) external onlyTimelock {
+        if (_delay < MIN_DELAY || _delay > MAX_DELAY) revert InvalidDelay();
+        delay = _delay;
+        emit DelayUpdated(_delay);
+    }
+
+    /**
+     * @dev Get a queued, executed or cancelled action, with its approvals from current approvers
+     */
+    function getAction(uint256 id) external view returns (Action memory action) {
+        if (id >= actions.length) revert UnknownAction(id);
+        action = actions[id];
+        action.approvals = approvalCount(id);
+    }
+
+    /**
+     * @dev Number of current approvers that have approved an action
+     */
+    function approvalCount(uint256 id) public view returns (uint256 count) {
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (hasApproved[id][approvers[i]]) count++;
+        }
+    }
+
+    /**
+     * @dev Number of accounts that can propose, approve, execute and cancel actions
+     */
+    function approverCount() external view returns (uint256) {
+        return approvers.length;
+    }
+
+    /**
+     * @dev Number of actions ever proposed (ids are 0..actionCount-1)
+     */
+    function actionCount() external view returns (uint256) {
+        return actions.length;
+    }
+
+    function _pendingAction(uint256 id) private view returns (Action storage action) {
+        if (id >= actions.length) revert UnknownAction(id);
+        action = actions[id];
+        if (action.executed || action.cancelled) revert ActionNotPending(id);
+    }
+}
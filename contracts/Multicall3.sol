@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title Multicall3
+ * @dev Local deployment of the Multicall3 read aggregator (github.com/mds1/multicall)
+ * @notice Public networks already have it at the canonical address
+ *   0xcA11bde05977b3631167028862bE2a173976CA11; deploy this copy to Hardhat networks
+ *   and point VITE_MULTICALL_ADDRESS at it. Only the entry points the app uses are included,
+ *   with the same selectors and return encoding as the canonical contract.
+ */
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    error CallFailed(uint256 index);
+
+    /**
+     * @dev Execute calls in order, optionally tolerating individual failures
+     * @param calls Target, failure tolerance and calldata of each call
+     * @return returnData Success flag and raw return (or revert) data of each call
+     */
+    function aggregate3(Call3[] calldata calls) external payable returns (Result[] memory returnData) {
+        uint256 length = calls.length;
+        returnData = new Result[](length);
+        for (uint256 i = 0; i < length; i++) {
+            Call3 calldata call = calls[i];
+            (bool success, bytes memory data) = call.target.call(call.callData);
+            if (!success && !call.allowFailure) revert CallFailed(i);
+            returnData[i] = Result(success, data);
+        }
+    }
+
+    /**
+     * @dev Block the batch was executed in, so callers can tell how fresh the reads are
+     */
+    function getBlockNumber() external view returns (uint256 blockNumber) {
+        blockNumber = block.number;
+    }
+
+    /**
+     * @dev Timestamp of the block the batch was executed in
+     */
+    function getCurrentBlockTimestamp() external view returns (uint256 timestamp) {
+        timestamp = block.timestamp;
+    }
+
+    /**
+     * @dev ETH balance of any address
+     * @param addr Address to look up
+     */
+    function getEthBalance(address addr) external view returns (uint256 balance) {
+        balance = addr.balance;
+    }
+}
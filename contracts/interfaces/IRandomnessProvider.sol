@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title IRandomnessProvider
+ * @dev Minimal VRF-style randomness source used by EthShot
+ * @notice Providers must answer asynchronously by calling
+ *         IRandomnessConsumer.fulfillRandomness on the requesting contract
+ */
+interface IRandomnessProvider {
+    /**
+     * @dev Request a random word for the calling consumer
+     * @return requestId Identifier echoed back on fulfillment
+     */
+    function requestRandomness() external returns (uint256 requestId);
+}
+
+/**
+ * @title IRandomnessConsumer
+ * @dev Callback implemented by contracts that request randomness
+ */
+interface IRandomnessConsumer {
+    /**
+     * @dev Receive the random word for a previous request
+     * @param requestId Identifier returned by requestRandomness
+     * @param randomWord Verifiable random value
+     */
+    function fulfillRandomness(uint256 requestId, uint256 randomWord) external;
+}
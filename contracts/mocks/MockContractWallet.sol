@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title MockContractWallet
+ * @dev Local stand-in for a smart-contract wallet such as a Safe (Hardhat tests only)
+ * @notice Its receive() writes to storage, so it needs more than the 2300 gas stipend
+ */
+contract MockContractWallet {
+    uint256 public totalReceived;
+
+    /**
+     * @dev Make a call from the wallet, bubbling up the callee's revert
+     * @param target Contract to call
+     * @param data Calldata to send
+     */
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        totalReceived += msg.value;
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../interfaces/IRandomnessProvider.sol";
+
+/**
+ * @title MockRandomnessCoordinator
+ * @dev Local stand-in for a VRF coordinator (Hardhat tests only)
+ * @notice Requests are queued and fulfilled manually via fulfill()
+ */
+contract MockRandomnessCoordinator is IRandomnessProvider {
+    uint256 public lastRequestId;
+    mapping(uint256 => address) public consumers;
+
+    event RandomnessRequested(uint256 indexed requestId, address indexed consumer);
+    event RandomnessFulfilled(uint256 indexed requestId, uint256 randomWord);
+
+    /**
+     * @dev Queue a randomness request for the caller
+     * @return requestId Sequential request identifier (starts at 1)
+     */
+    function requestRandomness() external returns (uint256 requestId) {
+        requestId = ++lastRequestId;
+        consumers[requestId] = msg.sender;
+        emit RandomnessRequested(requestId, msg.sender);
+    }
+
+    /**
+     * @dev Deliver a chosen random word to the consumer of a pending request
+     * @param requestId Request to fulfill
+     * @param randomWord Value passed to the consumer callback
+     */
+    function fulfill(uint256 requestId, uint256 randomWord) external {
+        address consumer = consumers[requestId];
+        require(consumer != address(0), "Unknown request");
+
+        delete consumers[requestId];
+        IRandomnessConsumer(consumer).fulfillRandomness(requestId, randomWord);
+
+        emit RandomnessFulfilled(requestId, randomWord);
+    }
+}
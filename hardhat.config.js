@@ -63,8 +63,10 @@ const config = {
     settings: {
       optimizer: {
         enabled: true,
-        runs: 200,
+        // Optimize for size: EthShot is close to the 24 KB contract size limit
+        runs: 50,
       },
+      viaIR: true,
     },
   },
   networks: {
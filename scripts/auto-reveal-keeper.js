@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Auto-reveal Keeper
+ *
+ * Polls keeper_escrows for shots whose players opted in to auto-reveal and reveals them
+ * with revealShotFor inside the reveal window, then reports each reveal to /api/shots.
+ * Players get KEEPER_REVEAL_GRACE_BLOCKS blocks to reveal their own shot first.
+ *
+ * Usage:
+ *   node scripts/auto-reveal-keeper.js            # run continuously
+ *   node scripts/auto-reveal-keeper.js --once     # run a single cycle (e.g. from cron)
+ *   node scripts/auto-reveal-keeper.js --generate-keys
+ *
+ * Required environment:
+ *   RPC_URL, VITE_CONTRACT_ADDRESS, SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY,
+ *   KEEPER_PRIVATE_KEY (pays reveal gas), KEEPER_ENCRYPTION_KEY (private JWK),
+ *   KEEPER_APP_URL and KEEPER_API_KEY (for /api/shots)
+ */
+
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { createClient } from '@supabase/supabase-js';
+import { generateKeeperKeyPair } from '../src/lib/crypto/keeper-escrow.js';
+import {
+  DEFAULT_REVEAL_GRACE_BLOCKS,
+  getKeeperContract,
+  recordKeeperReveal,
+  runKeeperCycle
+} from '../src/lib/server/keeper.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.KEEPER_POLL_INTERVAL_MS || '12000', 10);
+const REVEAL_GRACE_BLOCKS = parseInt(process.env.KEEPER_REVEAL_GRACE_BLOCKS || String(DEFAULT_REVEAL_GRACE_BLOCKS), 10);
+
+/**
+ * Print a fresh encryption key pair for .env
+ */
+async function generateKeys() {
+  const { publicKey, privateKey } = await generateKeeperKeyPair();
+  console.log('🔑 Keeper encryption keys generated. Add these to your environment:\n');
+  console.log(`VITE_KEEPER_PUBLIC_KEY='${JSON.stringify(publicKey)}'`);
+  console.log(`KEEPER_ENCRYPTION_KEY='${JSON.stringify(privateKey)}'`);
+  console.log('\n⚠️  Keep KEEPER_ENCRYPTION_KEY on the keeper host only');
+}
+
+/**
+ * Read keeper configuration from the environment
+ * @returns {Object} Keeper configuration
+ */
+function loadConfig() {
+  const config = {
+    rpcUrl: (process.env.RPC_URL || process.env.VITE_RPC_URL || '').trim(),
+    contractAddress: (process.env.VITE_CONTRACT_ADDRESS || process.env.PUBLIC_CONTRACT_ADDRESS || '').trim(),
+    supabaseUrl: process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL,
+    supabaseServiceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+    keeperPrivateKey: process.env.KEEPER_PRIVATE_KEY,
+    encryptionKey: process.env.KEEPER_ENCRYPTION_KEY,
+    appUrl: process.env.KEEPER_APP_URL,
+    apiKey: process.env.KEEPER_API_KEY
+  };
+
+  const missing = Object.entries({
+    RPC_URL: config.rpcUrl,
+    VITE_CONTRACT_ADDRESS: config.contractAddress,
+    SUPABASE_URL: config.supabaseUrl,
+    SUPABASE_SERVICE_ROLE_KEY: config.supabaseServiceRoleKey,
+    KEEPER_PRIVATE_KEY: config.keeperPrivateKey,
+    KEEPER_ENCRYPTION_KEY: config.encryptionKey,
+    KEEPER_APP_URL: config.appUrl,
+    KEEPER_API_KEY: config.apiKey
+  }).filter(([, value]) => !value).map(([key]) => key);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+
+  return config;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--generate-keys')) {
+    await generateKeys();
+    return;
+  }
+
+  const config = loadConfig();
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const wallet = new ethers.NonceManager(new ethers.Wallet(config.keeperPrivateKey, provider));
+  const contract = getKeeperContract(config.contractAddress, wallet);
+  const supabase = createClient(config.supabaseUrl, config.supabaseServiceRoleKey, {
+    auth: { persistSession: false }
+  });
+  const keeperPrivateKey = JSON.parse(config.encryptionKey);
+
+  console.log('🤖 Auto-reveal keeper starting');
+  console.log(`   Keeper: ${await wallet.getAddress()}`);
+  console.log(`   Contract: ${config.contractAddress}`);
+  console.log(`   Grace: ${REVEAL_GRACE_BLOCKS} blocks`);
+
+  const runCycle = async () => {
+    try {
+      const summary = await runKeeperCycle({
+        supabase,
+        contract,
+        provider,
+        keeperPrivateKey,
+        contractAddress: config.contractAddress,
+        graceBlocks: REVEAL_GRACE_BLOCKS,
+        recordReveal: ({ commitTxHash, revealTxHash }) =>
+          recordKeeperReveal({ appUrl: config.appUrl, apiKey: config.apiKey, commitTxHash, revealTxHash })
+      });
+      const handled = Object.entries(summary).filter(([, count]) => count > 0);
+      if (handled.length > 0) {
+        console.log('📊 Keeper cycle:', Object.fromEntries(handled));
+      }
+    } catch (error) {
+      console.error('❌ Keeper cycle failed:', error.message);
+    }
+  };
+
+  if (args.includes('--once')) {
+    await runCycle();
+    return;
+  }
+
+  let stopped = false;
+  const stop = () => {
+    console.log('\n👋 Keeper stopping');
+    stopped = true;
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  while (!stopped) {
+    await runCycle();
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Keeper failed:', error.message);
+  process.exit(1);
+});
@@ -3,6 +3,7 @@ const { ethers } = pkg;
 import fs from 'fs';
 import path from 'path';
 import 'dotenv/config';
+import { archiveDeployment } from '../src/lib/utils/deployment-history.js';
 
 async function main() {
   console.log('🚀 Deploying ETH Shot to Ethereum Mainnet...\n');
@@ -25,6 +26,8 @@ async function main() {
   const winChanceBP = (parseFloat(process.env.VITE_WIN_PERCENTAGE || "1")) * 100;
   const maxRecentWinners = parseInt(process.env.VITE_RECENT_WINNERS_LIMIT || "100");
   const minPotSize = shotCost; // Minimum pot size same as shot cost
+  const randomnessProvider = process.env.RANDOMNESS_PROVIDER_ADDRESS || ethers.ZeroAddress; // Zero address = commit-reveal mode
+  const prizeTiers = JSON.parse(process.env.PRIZE_TIERS || '[]'); // Empty = single all-or-nothing jackpot
   
   console.log('📋 Contract parameters:');
   console.log(`  Initial Owner: ${initialOwner}`);
@@ -36,7 +39,9 @@ async function main() {
   console.log(`  House Percentage: ${housePercentageBP / 100}%`);
   console.log(`  Win Chance: ${winChanceBP / 100}%`);
   console.log(`  Max Recent Winners: ${maxRecentWinners}`);
-  console.log(`  Min Pot Size: ${ethers.formatEther(minPotSize)} ETH\n`);
+  console.log(`  Min Pot Size: ${ethers.formatEther(minPotSize)} ETH`);
+  console.log(`  Randomness: ${randomnessProvider === ethers.ZeroAddress ? 'commit-reveal' : `oracle (${randomnessProvider})`}`);
+  console.log(`  Prize Tiers: ${prizeTiers.length ? prizeTiers.map(t => `${t.name} (${t.chanceBP / 100}% chance, ${t.contributionBP / 100}% of each shot)`).join(', ') : 'none'}\n`);
   
   const ethShot = await EthShot.deploy(
     initialOwner,
@@ -48,7 +53,9 @@ async function main() {
     housePercentageBP,
     winChanceBP,
     maxRecentWinners,
-    minPotSize
+    minPotSize,
+    randomnessProvider,
+    prizeTiers
   );
   
   // Wait for deployment to complete
@@ -80,8 +87,10 @@ async function main() {
     etherscanUrl: `https://etherscan.io/address/${contractAddress}`
   };
 
+  // Keep earlier deployments as past seasons
   const deploymentPath = path.join(process.cwd(), 'deployment.json');
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
+  const previousDeployment = fs.existsSync(deploymentPath) ? JSON.parse(fs.readFileSync(deploymentPath, 'utf8')) : null;
+  fs.writeFileSync(deploymentPath, JSON.stringify(archiveDeployment(previousDeployment, deploymentInfo), null, 2));
   
   console.log(`📄 Deployment info saved to: ${deploymentPath}`);
 
@@ -152,7 +161,7 @@ NODE_ENV=production
     console.log(`✅ Current pot: ${ethers.formatEther(currentPot)} ETH`);
     
     const [signer2] = await ethers.getSigners();
-    const canCommit = await ethShot.canCommitShot(signer2.address);
+    const [canCommit] = await ethShot.canCommitShot(signer2.address);
     console.log(`✅ Can commit shot: ${canCommit}`);
     
     const cooldown = await ethShot.getCooldownRemaining(signer2.address);
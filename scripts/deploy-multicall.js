@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+/**
+ * Multicall3 Deployment
+ *
+ * Deploys contracts/Multicall3.sol so the front end can batch its contract reads on
+ * networks that lack the canonical Multicall3 (a local Hardhat node). Public networks
+ * already have it at 0xcA11bde05977b3631167028862bE2a173976CA11 and need nothing.
+ *
+ * Usage:
+ *   pnpm hardhat run scripts/deploy-multicall.js --network localhost
+ *
+ * Then set VITE_MULTICALL_ADDRESS to the printed address.
+ */
+
+import pkg from 'hardhat';
+const { ethers } = pkg;
+import 'dotenv/config';
+
+const CANONICAL_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+async function main() {
+  const canonicalCode = await ethers.provider.getCode(CANONICAL_ADDRESS);
+  if (canonicalCode !== '0x') {
+    console.log(`✅ Multicall3 is already deployed at ${CANONICAL_ADDRESS}; leave VITE_MULTICALL_ADDRESS empty`);
+    return;
+  }
+
+  console.log('📦 Deploying Multicall3...');
+  const Multicall3 = await ethers.getContractFactory('Multicall3');
+  const multicall = await Multicall3.deploy();
+  await multicall.waitForDeployment();
+  const address = await multicall.getAddress();
+
+  console.log(`✅ Multicall3 deployed at ${address}`);
+  console.log(`\nAdd to your .env:\nVITE_MULTICALL_ADDRESS=${address}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Multicall3 deployment failed:', error.message);
+    process.exit(1);
+  });
@@ -13,6 +13,7 @@ const { ethers } = pkg;
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { archiveDeployment } from '../src/lib/utils/deployment-history.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -296,7 +297,8 @@ async function saveDeploymentInfo(deploymentData, walletInfo, contractConfig, co
   
   // Save deployment.json
   const deploymentPath = path.join(process.cwd(), 'deployment.json');
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
+  const previousDeployment = fs.existsSync(deploymentPath) ? JSON.parse(fs.readFileSync(deploymentPath, 'utf8')) : null;
+  fs.writeFileSync(deploymentPath, JSON.stringify(archiveDeployment(previousDeployment, deploymentInfo), null, 2));
   log.success(`Deployment info saved: ${deploymentPath}`);
   
   // Create/update .env.local for frontend
@@ -3,12 +3,14 @@ const { ethers } = pkg;
 import fs from 'fs';
 import path from 'path';
 import 'dotenv/config';
+import { archiveDeployment } from '../src/lib/utils/deployment-history.js';
 
 async function main() {
   console.log('🚀 Deploying ETH Shot to Sepolia testnet...\n');
 
-  // Get the contract factory
-  const EthShot = await ethers.getContractFactory('EthShot');
+  // Get the contract factory (EthShotTestable adds the owner-only test hooks for QA)
+  const contractName = process.env.ETHSHOT_TESTABLE === 'true' ? 'EthShotTestable' : 'EthShot';
+  const EthShot = await ethers.getContractFactory(contractName);
   
   // Deploy the contract
   console.log('📝 Deploying contract...');
@@ -25,6 +27,8 @@ async function main() {
   const winChanceBP = (parseFloat(process.env.VITE_WIN_PERCENTAGE || "1")) * 100;
   const maxRecentWinners = parseInt(process.env.VITE_RECENT_WINNERS_LIMIT || "100");
   const minPotSize = shotCost; // Minimum pot size same as shot cost
+  const randomnessProvider = process.env.RANDOMNESS_PROVIDER_ADDRESS || ethers.ZeroAddress; // Zero address = commit-reveal mode
+  const prizeTiers = JSON.parse(process.env.PRIZE_TIERS || '[]'); // Empty = single all-or-nothing jackpot
   
   console.log('📋 Contract parameters:');
   console.log(`  Initial Owner: ${initialOwner}`);
@@ -36,7 +40,9 @@ async function main() {
   console.log(`  House Percentage: ${housePercentageBP / 100}%`);
   console.log(`  Win Chance: ${winChanceBP / 100}%`);
   console.log(`  Max Recent Winners: ${maxRecentWinners}`);
-  console.log(`  Min Pot Size: ${ethers.formatEther(minPotSize)} ETH\n`);
+  console.log(`  Min Pot Size: ${ethers.formatEther(minPotSize)} ETH`);
+  console.log(`  Randomness: ${randomnessProvider === ethers.ZeroAddress ? 'commit-reveal' : `oracle (${randomnessProvider})`}`);
+  console.log(`  Prize Tiers: ${prizeTiers.length ? prizeTiers.map(t => `${t.name} (${t.chanceBP / 100}% chance, ${t.contributionBP / 100}% of each shot)`).join(', ') : 'none'}\n`);
   
   const ethShot = await EthShot.deploy(
     initialOwner,
@@ -48,14 +54,16 @@ async function main() {
     housePercentageBP,
     winChanceBP,
     maxRecentWinners,
-    minPotSize
+    minPotSize,
+    randomnessProvider,
+    prizeTiers
   );
   
   // Wait for deployment to complete
   await ethShot.waitForDeployment();
   const contractAddress = await ethShot.getAddress();
   
-  console.log(`✅ EthShot deployed to: ${contractAddress}`);
+  console.log(`✅ ${contractName} deployed to: ${contractAddress}`);
   console.log(`🔗 View on Etherscan: https://sepolia.etherscan.io/address/${contractAddress}\n`);
 
   // Verify contract configuration
@@ -71,6 +79,7 @@ async function main() {
   // Save deployment info
   const deploymentInfo = {
     network: 'sepolia',
+    contractName,
     contractAddress,
     deploymentTime: new Date().toISOString(),
     deployer: (await ethers.getSigners())[0].address,
@@ -80,8 +89,10 @@ async function main() {
     etherscanUrl: `https://sepolia.etherscan.io/address/${contractAddress}`
   };
 
+  // Keep earlier deployments as past seasons
   const deploymentPath = path.join(process.cwd(), 'deployment.json');
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
+  const previousDeployment = fs.existsSync(deploymentPath) ? JSON.parse(fs.readFileSync(deploymentPath, 'utf8')) : null;
+  fs.writeFileSync(deploymentPath, JSON.stringify(archiveDeployment(previousDeployment, deploymentInfo), null, 2));
   
   console.log(`📄 Deployment info saved to: ${deploymentPath}`);
 
@@ -152,7 +163,7 @@ NODE_ENV=development
     console.log(`✅ Current pot: ${ethers.formatEther(currentPot)} ETH`);
     
     const [signer] = await ethers.getSigners();
-    const canCommit = await ethShot.canCommitShot(signer.address);
+    const [canCommit] = await ethShot.canCommitShot(signer.address);
     console.log(`✅ Can commit shot: ${canCommit}`);
     
     const cooldown = await ethShot.getCooldownRemaining(signer.address);
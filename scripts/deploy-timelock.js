@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Timelock Deployment
+ *
+ * Deploys an EthShotTimelock for the EthShot contract in deployment.json and hands it
+ * contract ownership, so owner-only calls (withdrawHouseFunds, pause, setAcceptedToken,
+ * ...) must be proposed, approved and wait out the delay before they run. Any approver
+ * can still pause the contract at once with emergencyPause.
+ * The deployer must be the current EthShot owner. Ownership cannot be taken back without
+ * a timelocked transferOwnership.
+ *
+ * Usage:
+ *   pnpm hardhat run scripts/deploy-timelock.js --network sepolia
+ *
+ * Environment:
+ *   TIMELOCK_APPROVERS    - Comma separated approver addresses (required)
+ *   TIMELOCK_THRESHOLD    - Approvals needed per action (default 1)
+ *   TIMELOCK_DELAY_HOURS  - Delay between proposal and execution (default 24, minimum 1)
+ *   ETHSHOT_ADDRESS       - EthShot contract (defaults to the deployment.json contractAddress)
+ */
+
+import pkg from 'hardhat';
+const { ethers } = pkg;
+import fs from 'fs';
+import path from 'path';
+import 'dotenv/config';
+
+/**
+ * Read timelock configuration from the environment
+ * @param {Object|null} deployment - deployment.json contents
+ * @returns {Object} Configuration
+ */
+function loadConfig(deployment) {
+  const approvers = (process.env.TIMELOCK_APPROVERS || '')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+  const config = {
+    ethShotAddress: process.env.ETHSHOT_ADDRESS || deployment?.contractAddress,
+    approvers,
+    threshold: parseInt(process.env.TIMELOCK_THRESHOLD || '1'),
+    delay: Math.round(parseFloat(process.env.TIMELOCK_DELAY_HOURS || '24') * 60 * 60)
+  };
+
+  if (!config.ethShotAddress) {
+    throw new Error('No EthShot contract found. Set ETHSHOT_ADDRESS or deploy the contract first.');
+  }
+  if (approvers.length === 0 || approvers.some((address) => !ethers.isAddress(address))) {
+    throw new Error('TIMELOCK_APPROVERS must be a comma separated list of addresses');
+  }
+  if (config.threshold < 1 || config.threshold > approvers.length) {
+    throw new Error(`TIMELOCK_THRESHOLD must be between 1 and ${approvers.length}`);
+  }
+
+  return config;
+}
+
+async function main() {
+  const deploymentPath = path.join(process.cwd(), 'deployment.json');
+  const deployment = fs.existsSync(deploymentPath) ? JSON.parse(fs.readFileSync(deploymentPath, 'utf8')) : null;
+  const config = loadConfig(deployment);
+
+  const [signer] = await ethers.getSigners();
+  const ethShot = await ethers.getContractAt('EthShot', config.ethShotAddress, signer);
+
+  const owner = await ethShot.owner();
+  if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+    throw new Error(`Signer ${signer.address} is not the owner of ${config.ethShotAddress} (${owner})`);
+  }
+
+  console.log(`🔒 Deploying timelock for ${config.ethShotAddress}...`);
+  console.log(`👥 Approvers: ${config.approvers.join(', ')}`);
+  console.log(`✅ Threshold: ${config.threshold} of ${config.approvers.length}`);
+  console.log(`⏰ Delay: ${config.delay / 3600} hours\n`);
+
+  const Timelock = await ethers.getContractFactory('EthShotTimelock');
+  const timelock = await Timelock.deploy(config.ethShotAddress, config.approvers, config.threshold, config.delay);
+  await timelock.waitForDeployment();
+  const timelockAddress = await timelock.getAddress();
+  console.log(`✅ EthShotTimelock deployed to: ${timelockAddress}`);
+
+  console.log('📝 Transferring EthShot ownership to the timelock...');
+  await (await ethShot.transferOwnership(timelockAddress)).wait();
+  console.log(`✅ EthShot owner is now ${await ethShot.owner()}\n`);
+
+  if (deployment && deployment.contractAddress?.toLowerCase() === config.ethShotAddress.toLowerCase()) {
+    deployment.timelock = {
+      address: timelockAddress,
+      approvers: config.approvers,
+      threshold: config.threshold,
+      delay: config.delay,
+      deploymentTime: new Date().toISOString()
+    };
+    fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
+    console.log(`📄 Timelock saved to: ${deploymentPath}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Timelock deployment failed:', error.message);
+    process.exit(1);
+  });
@@ -31,7 +31,7 @@ async function diagnoseContract() {
       "function WIN_CHANCE_BP() view returns (uint256)",
       "function getCurrentPot() view returns (uint256)",
       "function getTestModeConfig() view returns (bool, bool, uint256)",
-      "function canCommitShot(address) view returns (bool)",
+      "function canCommitShot(address) view returns (bool, uint8)",
       "function canRevealShot(address) view returns (bool)",
       "function hasPendingShot(address) view returns (bool)",
       "function getPendingShot(address) view returns (bool, uint256, uint256)"
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Pot Migration
+ *
+ * Carries the jackpot of a retired EthShot deployment over to the current one. The old
+ * contract is paused (if it is not already) and migratePot forwards its jackpot and prize
+ * tier pots to seedPot, and each token pot to seedTokenPot, on the new contract. Every token
+ * with a pot must already be accepted on the new contract. House funds, pending payouts and
+ * the sponsor auction stay on the old contract so they can still be withdrawn, claimed or settled.
+ *
+ * Run after deploying the new contract, which moves the old one into deployment.json
+ * history:
+ *   pnpm hardhat run scripts/migrate-pot.js --network mainnet
+ *
+ * Optional environment:
+ *   MIGRATE_FROM - Retired contract (defaults to the newest deployment.json history entry)
+ *   MIGRATE_TO   - Receiving contract (defaults to the deployment.json contractAddress)
+ */
+
+import pkg from 'hardhat';
+const { ethers } = pkg;
+import fs from 'fs';
+import path from 'path';
+import 'dotenv/config';
+import { recordPotMigration } from '../src/lib/utils/deployment-history.js';
+
+const MIGRATION_ABI = [
+  'function owner() external view returns (address)',
+  'function paused() external view returns (bool)',
+  'function pause() external',
+  'function getCurrentPot() external view returns (uint256)',
+  'function migratePot(address newContract) external',
+  'function getAcceptedTokens() external view returns (address[])',
+  'function getTokenPot(address token) external view returns (uint256 shotCost, uint256 pot, uint256 tokenHouseFunds)',
+  'event PotMigrated(address indexed newContract, address indexed token, uint256 amount)'
+];
+
+async function main() {
+  const deploymentPath = path.join(process.cwd(), 'deployment.json');
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error('deployment.json not found. Please deploy the new contract first.');
+  }
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+
+  const from = process.env.MIGRATE_FROM || deployment.history?.at(-1)?.contractAddress;
+  const to = process.env.MIGRATE_TO || deployment.contractAddress;
+  if (!from || !to) {
+    throw new Error('No retired contract found. Set MIGRATE_FROM and MIGRATE_TO.');
+  }
+  if (from.toLowerCase() === to.toLowerCase()) {
+    throw new Error('The retired and receiving contracts are the same');
+  }
+
+  const [signer] = await ethers.getSigners();
+  const oldContract = new ethers.Contract(from, MIGRATION_ABI, signer);
+  const newContract = new ethers.Contract(to, MIGRATION_ABI, signer);
+
+  console.log(`🚚 Migrating pot from ${from} to ${to}...\n`);
+
+  const owner = await oldContract.owner();
+  if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+    throw new Error(`Signer ${signer.address} is not the owner of ${from} (${owner})`);
+  }
+
+  // Fail before pausing rather than have migratePot revert on an unaccepted token
+  const acceptedByNew = new Set((await newContract.getAcceptedTokens()).map((token) => token.toLowerCase()));
+  for (const token of await oldContract.getAcceptedTokens()) {
+    const [, tokenPot] = await oldContract.getTokenPot(token);
+    if (tokenPot > 0n && !acceptedByNew.has(token.toLowerCase())) {
+      throw new Error(`${to} does not accept ${token}; call setAcceptedToken on it first`);
+    }
+  }
+
+  const potBefore = await newContract.getCurrentPot();
+
+  // No shot can win the pot while it is being moved
+  if (!(await oldContract.paused())) {
+    console.log('⏸️  Pausing the retired contract...');
+    await (await oldContract.pause()).wait();
+  }
+
+  console.log('📝 Calling migratePot...');
+  const receipt = await (await oldContract.migratePot(to)).wait();
+
+  const migrated = receipt.logs
+    .filter((log) => log.address.toLowerCase() === from.toLowerCase())
+    .map((log) => oldContract.interface.parseLog(log))
+    .filter((event) => event?.name === 'PotMigrated');
+  const ethMigration = migrated.find((event) => event.args.token === ethers.ZeroAddress);
+  const amount = ethers.formatEther(ethMigration ? ethMigration.args.amount : 0n);
+  const potAfter = await newContract.getCurrentPot();
+
+  console.log(`✅ Carried over ${amount} ETH (tx ${receipt.hash})`);
+  for (const event of migrated.filter((event) => event.args.token !== ethers.ZeroAddress)) {
+    console.log(`🪙 Carried over ${event.args.amount} base units of ${event.args.token}`);
+  }
+  console.log(`💰 New pot: ${ethers.formatEther(potBefore)} → ${ethers.formatEther(potAfter)} ETH\n`);
+
+  if (deployment.history?.some((entry) => entry.contractAddress.toLowerCase() === from.toLowerCase())) {
+    const updated = recordPotMigration(deployment, { from, to, amount, txHash: receipt.hash });
+    fs.writeFileSync(deploymentPath, JSON.stringify(updated, null, 2));
+    console.log(`📄 Migration recorded in: ${deploymentPath}`);
+  } else {
+    console.log(`⚠️ ${from} is not in deployment.json history; migration not recorded there`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Pot migration failed:', error.message);
+    process.exit(1);
+  });
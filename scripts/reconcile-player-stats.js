@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Player Stats Reconciliation
+ *
+ * Compares on-chain playerStats with the players table for every known address and
+ * prints the discrepancies. Nothing is written unless --repair is passed.
+ *
+ * Usage:
+ *   node scripts/reconcile-player-stats.js            # dry run report
+ *   node scripts/reconcile-player-stats.js --repair   # overwrite mismatching rows
+ *   node scripts/reconcile-player-stats.js --json     # print the report as JSON
+ *
+ * Required environment:
+ *   RPC_URL, VITE_CONTRACT_ADDRESS, SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+ */
+
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { createClient } from '@supabase/supabase-js';
+import {
+  formatReconciliationReport,
+  getReconciliationContract,
+  reconcilePlayerStats
+} from '../src/lib/server/reconciliation.js';
+
+/**
+ * Read reconciliation configuration from the environment
+ * @returns {Object} Configuration
+ */
+function loadConfig() {
+  const config = {
+    rpcUrl: (process.env.RPC_URL || process.env.VITE_RPC_URL || '').trim(),
+    contractAddress: (process.env.VITE_CONTRACT_ADDRESS || process.env.PUBLIC_CONTRACT_ADDRESS || '').trim(),
+    supabaseUrl: process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL,
+    supabaseServiceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY
+  };
+
+  const missing = Object.entries({
+    RPC_URL: config.rpcUrl,
+    VITE_CONTRACT_ADDRESS: config.contractAddress,
+    SUPABASE_URL: config.supabaseUrl,
+    SUPABASE_SERVICE_ROLE_KEY: config.supabaseServiceRoleKey
+  }).filter(([, value]) => !value).map(([key]) => key);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+
+  return config;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const config = loadConfig();
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const supabase = createClient(config.supabaseUrl, config.supabaseServiceRoleKey, {
+    auth: { persistSession: false }
+  });
+
+  const report = await reconcilePlayerStats({
+    contract: getReconciliationContract(config.contractAddress, provider),
+    supabase,
+    contractAddress: config.contractAddress,
+    repair: args.includes('--repair')
+  });
+
+  console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatReconciliationReport(report));
+
+  if (report.errors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Reconciliation failed:', error.message);
+  process.exit(1);
+});
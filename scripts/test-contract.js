@@ -33,7 +33,7 @@ async function main() {
     console.log(`✅ Cooldown period: ${cooldownPeriod} seconds (${Number(cooldownPeriod) / 3600} hours)`);
     
     const [signer] = await ethers.getSigners();
-    const canCommit = await ethShot.canCommitShot(signer.address);
+    const [canCommit] = await ethShot.canCommitShot(signer.address);
     console.log(`✅ Can commit shot: ${canCommit}`);
     
     const cooldown = await ethShot.getCooldownRemaining(signer.address);
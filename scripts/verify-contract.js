@@ -74,11 +74,13 @@ async function main() {
   const winChanceBP = (parseFloat(process.env.VITE_WIN_PERCENTAGE || "1")) * 100;
   const maxRecentWinners = parseInt(process.env.VITE_RECENT_WINNERS_LIMIT || "100");
   const minPotSize = shotCost;
+  const randomnessProvider = process.env.RANDOMNESS_PROVIDER_ADDRESS || ethers.ZeroAddress;
+  const prizeTiers = JSON.parse(process.env.PRIZE_TIERS || '[]');
 
-  // Format constructor arguments for CLI
+  // Prize tiers are a struct array, which the CLI cannot express - pass arguments via a module
   const constructorArgs = [
-    `"${initialOwner}"`,
-    `"${houseAddress}"`,
+    initialOwner,
+    houseAddress,
     shotCost.toString(),
     sponsorCost.toString(),
     cooldownPeriod.toString(),
@@ -86,8 +88,12 @@ async function main() {
     housePercentageBP.toString(),
     winChanceBP.toString(),
     maxRecentWinners.toString(),
-    minPotSize.toString()
-  ].join(' ');
+    minPotSize.toString(),
+    randomnessProvider,
+    prizeTiers
+  ];
+  const constructorArgsPath = path.join(process.cwd(), 'verify-constructor-args.cjs');
+  fs.writeFileSync(constructorArgsPath, `module.exports = ${JSON.stringify(constructorArgs, null, 2)};\n`);
 
   console.log('\n📝 Constructor Arguments:');
   console.log(`  Initial Owner: ${initialOwner}`);
@@ -99,13 +105,15 @@ async function main() {
   console.log(`  House Percentage: ${housePercentageBP / 100}%`);
   console.log(`  Win Chance: ${winChanceBP / 100}%`);
   console.log(`  Max Recent Winners: ${maxRecentWinners}`);
-  console.log(`  Min Pot Size: ${ethers.formatEther(minPotSize)} ETH\n`);
+  console.log(`  Min Pot Size: ${ethers.formatEther(minPotSize)} ETH`);
+  console.log(`  Randomness Provider: ${randomnessProvider}`);
+  console.log(`  Prize Tiers: ${prizeTiers.length ? prizeTiers.map(t => t.name).join(', ') : 'none'}\n`);
 
   try {
     console.log('⏳ Starting verification process...');
     
     // Use hardhat CLI directly with proper network specification
-    const command = `npx hardhat verify --network ${networkConfig.hardhatNetwork} ${contractAddress} ${constructorArgs}`;
+    const command = `npx hardhat verify --network ${networkConfig.hardhatNetwork} --constructor-args ${constructorArgsPath} ${contractAddress}`;
     console.log(`🔧 Running: ${command}\n`);
     
     const output = execSync(command, {
@@ -147,6 +155,8 @@ async function main() {
       console.log('• Wait a few minutes after deployment before verifying');
       console.log(`• Verify the network (${networkConfig.hardhatNetwork}) is correctly configured in hardhat.config.js`);
     }
+  } finally {
+    fs.rmSync(constructorArgsPath, { force: true });
   }
 }
 
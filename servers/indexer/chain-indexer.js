@@ -0,0 +1,401 @@
+/**
+ * Chain Indexer
+ * Tails EthShot contract logs into Supabase from a checkpointed block, so the shots,
+ * winners, sponsors and failed_payouts tables follow the chain instead of the browser.
+ */
+
+import { ethers } from 'ethers';
+
+// Blocks a committed shot can wait to be revealed (EthShot MAX_REVEAL_DELAY)
+export const MAX_REVEAL_DELAY = 256;
+
+// How far back to look for the bid behind a SponsorshipActivated event
+export const SPONSOR_BID_LOOKBACK_BLOCKS = 50000;
+
+// Events emitted by the current contract
+const CURRENT_EVENTS = new ethers.Interface([
+  'event ShotCommitted(address indexed player, bytes32 indexed commitment, uint256 amount, uint256 indexed roundId)',
+  'event ShotRevealed(address indexed player, uint256 indexed amount, bool indexed won, uint256 roundId)',
+  'event JackpotWon(address indexed winner, uint256 indexed amount, uint256 indexed timestamp, uint256 roundId)',
+  'event SponsorshipActivated(address indexed sponsor, string name, string logoUrl)',
+  'event PayoutFailed(address indexed player, uint256 amount)',
+  'event TokenShotCommitted(address indexed player, address indexed token, uint256 amount)',
+  'event TokenJackpotWon(address indexed winner, address indexed token, uint256 amount)'
+]);
+
+// Events emitted by contracts deployed before rounds were added
+const LEGACY_EVENTS = new ethers.Interface([
+  'event ShotCommitted(address indexed player, bytes32 indexed commitment, uint256 amount)',
+  'event ShotRevealed(address indexed player, uint256 indexed amount, bool indexed won)',
+  'event JackpotWon(address indexed winner, uint256 indexed amount, uint256 indexed timestamp)'
+]);
+
+const SPONSOR_ABI = [
+  'event SponsorBidPlaced(address indexed bidder, uint256 amount, uint256 endTime)',
+  'function SPONSOR_COST() external view returns (uint256)'
+];
+
+const INDEXED_TOPICS = [
+  ...CURRENT_EVENTS.fragments.map((fragment) => fragment.topicHash),
+  ...LEGACY_EVENTS.fragments.map((fragment) => fragment.topicHash)
+];
+
+/**
+ * Decode an EthShot log emitted by the current or a legacy contract
+ * @param {Object} log - Raw log
+ * @returns {Object|null} Parsed log, or null for events the indexer ignores
+ */
+export const parseIndexedLog = (log) => CURRENT_EVENTS.parseLog(log) || LEGACY_EVENTS.parseLog(log);
+
+/**
+ * Find the block a contract was deployed in (needs an archive node)
+ * @param {Object} provider - Ethers provider
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<number>} Deploy block
+ */
+export async function findDeployBlock(provider, contractAddress) {
+  let low = 0;
+  let high = await provider.getBlockNumber();
+
+  if ((await provider.getCode(contractAddress, high)) === '0x') {
+    throw new Error(`No contract deployed at ${contractAddress}`);
+  }
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if ((await provider.getCode(contractAddress, middle)) === '0x') {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Throw if a Supabase query failed
+ */
+const check = ({ data, error }, action) => {
+  if (error) {
+    throw new Error(`Failed to ${action}: ${error.message}`);
+  }
+  return data;
+};
+
+export class ChainIndexer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - Ethers provider
+   * @param {Object} options.supabase - Supabase client using the service role
+   * @param {string} options.contractAddress - EthShot contract to index
+   * @param {number} options.deployBlock - Block the contract was deployed in
+   * @param {number} [options.confirmations=3] - Blocks to stay behind the head
+   * @param {number} [options.batchSize=2000] - Blocks per getLogs call
+   * @param {number} [options.reorgDepth=64] - Blocks to re-index when a reorg is detected
+   */
+  constructor({ provider, supabase, contractAddress, deployBlock, confirmations = 3, batchSize = 2000, reorgDepth = 64 }) {
+    this.provider = provider;
+    this.supabase = supabase;
+    this.contractAddress = ethers.getAddress(contractAddress);
+    this.deployBlock = deployBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.sponsorContract = new ethers.Contract(this.contractAddress, SPONSOR_ABI, provider);
+  }
+
+  /**
+   * Get the last indexed block and its hash
+   * @returns {Promise<{blockNumber: number, blockHash: string}|null>}
+   */
+  async getCheckpoint() {
+    const data = check(
+      await this.supabase
+        .from('indexer_checkpoints')
+        .select('last_block, last_block_hash')
+        .eq('contract_address', this.contractAddress.toLowerCase())
+        .maybeSingle(),
+      'load checkpoint'
+    );
+    return data ? { blockNumber: Number(data.last_block), blockHash: data.last_block_hash } : null;
+  }
+
+  /**
+   * Record a block as indexed
+   */
+  async saveCheckpoint(block) {
+    const { chainId } = await this.provider.getNetwork();
+    check(
+      await this.supabase
+        .from('indexer_checkpoints')
+        .upsert({
+          contract_address: this.contractAddress.toLowerCase(),
+          chain_id: Number(chainId),
+          last_block: block.number,
+          last_block_hash: block.hash,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'contract_address' }),
+      'save checkpoint'
+    );
+  }
+
+  /**
+   * Index every confirmed block after the checkpoint, rewinding first if the checkpoint
+   * block was reorged out
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock] - Start here instead of at the checkpoint (backfills)
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorg: boolean}>}
+   */
+  async sync({ fromBlock } = {}) {
+    const head = await this.provider.getBlockNumber();
+    const toBlock = head - this.confirmations;
+    let reorg = false;
+
+    if (fromBlock === undefined) {
+      const checkpoint = await this.getCheckpoint();
+      fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.deployBlock;
+
+      if (checkpoint) {
+        const block = await this.provider.getBlock(checkpoint.blockNumber);
+        if (!block || block.hash !== checkpoint.blockHash) {
+          console.warn(`⚠️ Reorg detected at block ${checkpoint.blockNumber}`);
+          fromBlock = await this.rewind(checkpoint.blockNumber - this.reorgDepth) + 1;
+          reorg = true;
+        }
+      }
+    }
+
+    const startBlock = fromBlock;
+    let events = 0;
+    while (fromBlock <= toBlock) {
+      const batchEnd = Math.min(fromBlock + this.batchSize - 1, toBlock);
+      events += await this.indexRange(fromBlock, batchEnd);
+      await this.saveCheckpoint(await this.provider.getBlock(batchEnd));
+      fromBlock = batchEnd + 1;
+    }
+
+    return { fromBlock: startBlock, toBlock, events, reorg };
+  }
+
+  /**
+   * Undo everything indexed after a block. Shots committed up to MAX_REVEAL_DELAY blocks
+   * earlier can have been revealed in the dropped blocks, so indexing resumes from there.
+   * @param {number} toBlock - Last block known to be unaffected
+   * @returns {Promise<number>} Block indexing resumes after
+   */
+  async rewind(toBlock) {
+    const resumeBlock = Math.max(this.deployBlock - 1, toBlock - MAX_REVEAL_DELAY);
+
+    // Reveals are replayed when the range is indexed again
+    check(
+      await this.supabase
+        .from('shots')
+        .update({ won: false, reveal_tx_hash: null, reveal_block_number: null, reveal_timestamp: null })
+        .ilike('contract_address', this.contractAddress)
+        .gt('reveal_block_number', resumeBlock),
+      'reset reveals'
+    );
+
+    // Rows whose transaction is no longer on-chain are deleted; the rest are re-indexed
+    for (const table of ['shots', 'winners', 'sponsors', 'failed_payouts']) {
+      const rows = check(
+        await this.supabase
+          .from(table)
+          .select('tx_hash')
+          .ilike('contract_address', this.contractAddress)
+          .gt('block_number', resumeBlock),
+        `load ${table}`
+      );
+
+      for (const { tx_hash: txHash } of rows || []) {
+        if (!(await this.provider.getTransactionReceipt(txHash))) {
+          check(await this.supabase.from(table).delete().eq('tx_hash', txHash), `delete ${table} row`);
+          console.log(`🗑️ Removed ${table} row for dropped transaction ${txHash}`);
+        }
+      }
+    }
+
+    return resumeBlock;
+  }
+
+  /**
+   * Index the logs of a block range
+   * @returns {Promise<number>} Number of indexed events
+   */
+  async indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: this.contractAddress,
+      fromBlock,
+      toBlock,
+      topics: [INDEXED_TOPICS]
+    });
+
+    // Group events by transaction, in log order
+    const transactions = new Map();
+    for (const log of logs) {
+      const event = parseIndexedLog(log);
+      if (!event) continue;
+
+      if (!transactions.has(log.transactionHash)) {
+        transactions.set(log.transactionHash, { txHash: log.transactionHash, blockNumber: log.blockNumber, events: [] });
+      }
+      transactions.get(log.transactionHash).events.push({ ...event, logIndex: log.index });
+    }
+
+    const timestamps = new Map();
+    for (const transaction of transactions.values()) {
+      if (!timestamps.has(transaction.blockNumber)) {
+        const block = await this.provider.getBlock(transaction.blockNumber);
+        timestamps.set(transaction.blockNumber, new Date(block.timestamp * 1000).toISOString());
+      }
+      await this.indexTransaction({ ...transaction, timestamp: timestamps.get(transaction.blockNumber) });
+    }
+
+    const events = [...transactions.values()].reduce((count, transaction) => count + transaction.events.length, 0);
+    if (events > 0) {
+      console.log(`📥 Indexed ${events} events in blocks ${fromBlock}-${toBlock}`);
+    }
+    return events;
+  }
+
+  /**
+   * Write the events of one transaction
+   */
+  async indexTransaction({ txHash, blockNumber, timestamp, events }) {
+    const byName = (name) => events.filter((event) => event.name === name);
+
+    // Token-pot shots are not kept in the shots table (amounts are not in ETH)
+    const isTokenShot = byName('TokenShotCommitted').length > 0 || byName('TokenJackpotWon').length > 0;
+
+    const commits = byName('ShotCommitted');
+    if (commits.length > 0 && !isTokenShot) {
+      const amount = commits.reduce((total, event) => total + event.args.amount, 0n);
+      check(
+        await this.supabase.from('shots').upsert({
+          player_address: commits[0].args.player.toLowerCase(),
+          amount: ethers.formatEther(amount),
+          tx_hash: txHash,
+          block_number: blockNumber,
+          timestamp,
+          crypto_type: 'ETH',
+          contract_address: this.contractAddress,
+          shot_count: commits.length
+        }, { onConflict: 'tx_hash' }),
+        'record shot'
+      );
+    }
+
+    if (!isTokenShot) {
+      for (const event of byName('ShotRevealed')) {
+        await this.indexReveal({ player: event.args.player, won: event.args.won, txHash, blockNumber, timestamp });
+      }
+    }
+
+    for (const event of byName('JackpotWon')) {
+      check(
+        await this.supabase.from('winners').upsert({
+          winner_address: event.args.winner.toLowerCase(),
+          amount: ethers.formatEther(event.args.amount),
+          tx_hash: txHash,
+          block_number: blockNumber,
+          timestamp,
+          crypto_type: 'ETH',
+          contract_address: this.contractAddress
+        }, { onConflict: 'tx_hash' }),
+        'record winner'
+      );
+    }
+
+    for (const event of byName('SponsorshipActivated')) {
+      const amount = await this.getSponsorshipAmount(event.args.sponsor, blockNumber);
+      check(
+        await this.supabase.from('sponsors').upsert({
+          sponsor_address: event.args.sponsor.toLowerCase(),
+          name: event.args.name,
+          logo_url: event.args.logoUrl,
+          amount: ethers.formatEther(amount),
+          tx_hash: txHash,
+          block_number: blockNumber,
+          timestamp,
+          crypto_type: 'ETH',
+          contract_address: this.contractAddress
+        }, { onConflict: 'tx_hash' }),
+        'record sponsorship'
+      );
+    }
+
+    for (const event of byName('PayoutFailed')) {
+      check(
+        await this.supabase.from('failed_payouts').upsert({
+          player_address: event.args.player.toLowerCase(),
+          amount: ethers.formatEther(event.args.amount),
+          tx_hash: txHash,
+          log_index: event.logIndex,
+          block_number: blockNumber,
+          timestamp,
+          contract_address: this.contractAddress
+        }, { onConflict: 'tx_hash,log_index' }),
+        'record failed payout'
+      );
+    }
+  }
+
+  /**
+   * Apply a reveal to the player's shot. A player has at most one pending shot (or bundle),
+   * so the reveal belongs to their latest shot committed within MAX_REVEAL_DELAY blocks.
+   * Applying the same reveal twice has no further effect.
+   */
+  async indexReveal({ player, won, txHash, blockNumber, timestamp }) {
+    const [shot] = check(
+      await this.supabase
+        .from('shots')
+        .select('tx_hash, won, shot_count, reveal_tx_hash')
+        .ilike('contract_address', this.contractAddress)
+        .eq('player_address', player.toLowerCase())
+        .gte('block_number', blockNumber - MAX_REVEAL_DELAY)
+        .lt('block_number', blockNumber)
+        .order('block_number', { ascending: false })
+        .limit(1),
+      'load revealed shot'
+    ) || [];
+
+    // A single shot is revealed once; a second reveal belongs to a shot that is not indexed
+    if (!shot || (shot.shot_count <= 1 && shot.reveal_tx_hash && shot.reveal_tx_hash !== txHash)) {
+      console.warn(`⚠️ No indexed shot for reveal ${txHash} by ${player}`);
+      return;
+    }
+
+    check(
+      await this.supabase
+        .from('shots')
+        .update({
+          won: shot.won || won,
+          reveal_tx_hash: txHash,
+          reveal_block_number: blockNumber,
+          reveal_timestamp: timestamp
+        })
+        .eq('tx_hash', shot.tx_hash),
+      'record reveal'
+    );
+  }
+
+  /**
+   * Get the winning bid behind a sponsorship (the sponsor's last bid), falling back to
+   * SPONSOR_COST for contracts that sold sponsorships at a flat price
+   * @returns {Promise<bigint>} Amount in wei
+   */
+  async getSponsorshipAmount(sponsor, blockNumber) {
+    const filter = this.sponsorContract.filters.SponsorBidPlaced(sponsor);
+    const oldestBlock = Math.max(this.deployBlock, blockNumber - SPONSOR_BID_LOOKBACK_BLOCKS);
+
+    for (let toBlock = blockNumber; toBlock >= oldestBlock; toBlock -= this.batchSize) {
+      const fromBlock = Math.max(oldestBlock, toBlock - this.batchSize + 1);
+      const bids = await this.sponsorContract.queryFilter(filter, fromBlock, toBlock);
+      if (bids.length > 0) {
+        return bids[bids.length - 1].args.amount;
+      }
+    }
+
+    return this.sponsorContract.SPONSOR_COST();
+  }
+}
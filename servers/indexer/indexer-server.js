@@ -0,0 +1,169 @@
+/**
+ * Chain Indexer Server
+ * Keeps Supabase in sync with the EthShot contract and exposes a health check.
+ *
+ * Usage:
+ *   node indexer-server.js                                        Tail the configured contract
+ *   node indexer-server.js --backfill <address> [--from-block N]  Backfill a contract and exit
+ */
+
+import { createServer } from 'http';
+import { createClient } from '@supabase/supabase-js';
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+import { ChainIndexer, findDeployBlock } from './chain-indexer.js';
+
+// Load environment variables
+dotenv.config();
+
+const RPC_URL = process.env.RPC_URL || process.env.VITE_RPC_URL;
+const CONTRACT_ADDRESS = process.env.VITE_CONTRACT_ADDRESS;
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const DEPLOY_BLOCK = process.env.INDEXER_DEPLOY_BLOCK;
+const CONFIRMATIONS = parseInt(process.env.INDEXER_CONFIRMATIONS || '3');
+const BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE || '2000');
+const REORG_DEPTH = parseInt(process.env.INDEXER_REORG_DEPTH || '64');
+const POLL_INTERVAL_MS = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '12000');
+const INDEXER_PORT = process.env.PORT || 8081;
+
+/**
+ * Read a --flag value from the command line
+ */
+const getArg = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+class IndexerServer {
+  constructor() {
+    if (!RPC_URL || !SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error('RPC_URL, SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+    }
+
+    this.provider = new ethers.JsonRpcProvider(RPC_URL);
+    this.supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+    this.server = null;
+    this.timer = null;
+    this.stopped = false;
+    this.lastSync = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Create an indexer for a contract, finding its deploy block when not configured
+   */
+  async createIndexer(contractAddress, deployBlock) {
+    if (deployBlock === undefined) {
+      console.log(`🔍 Looking up deploy block for ${contractAddress}...`);
+      deployBlock = await findDeployBlock(this.provider, contractAddress);
+    }
+    console.log(`📦 Indexing ${contractAddress} from deploy block ${deployBlock}`);
+
+    return new ChainIndexer({
+      provider: this.provider,
+      supabase: this.supabase,
+      contractAddress,
+      deployBlock: Number(deployBlock),
+      confirmations: CONFIRMATIONS,
+      batchSize: BATCH_SIZE,
+      reorgDepth: REORG_DEPTH
+    });
+  }
+
+  /**
+   * Index a contract from its deploy block (or --from-block) up to the confirmed head
+   */
+  async backfill(contractAddress, fromBlock) {
+    const indexer = await this.createIndexer(contractAddress, fromBlock);
+    const result = await indexer.sync({ fromBlock: indexer.deployBlock });
+    console.log(`✅ Backfilled blocks ${result.fromBlock}-${result.toBlock} (${result.events} events)`);
+  }
+
+  /**
+   * Tail the configured contract and serve /health
+   */
+  async start() {
+    if (!CONTRACT_ADDRESS) {
+      throw new Error('VITE_CONTRACT_ADDRESS is required');
+    }
+
+    this.indexer = await this.createIndexer(CONTRACT_ADDRESS, DEPLOY_BLOCK);
+
+    this.server = createServer((req, res) => {
+      // Health check endpoint for Railway/other platforms
+      if (req.url === '/health') {
+        const healthy = !this.lastError;
+        res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          status: healthy ? 'healthy' : 'degraded',
+          timestamp: new Date().toISOString(),
+          contract: CONTRACT_ADDRESS,
+          lastSync: this.lastSync,
+          error: this.lastError
+        }));
+        return;
+      }
+
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Chain indexer - use /health for status');
+    });
+
+    this.server.listen(INDEXER_PORT, () => {
+      console.log(`🚀 Chain indexer running on port ${INDEXER_PORT}`);
+      console.log(`⏱️ Polling every ${POLL_INTERVAL_MS}ms, ${CONFIRMATIONS} confirmations`);
+    });
+
+    // Handle graceful shutdown
+    process.on('SIGTERM', () => this.shutdown());
+    process.on('SIGINT', () => this.shutdown());
+
+    await this.poll();
+  }
+
+  /**
+   * Sync once, then schedule the next sync
+   */
+  async poll() {
+    try {
+      const result = await this.indexer.sync();
+      this.lastSync = { ...result, at: new Date().toISOString() };
+      this.lastError = null;
+    } catch (error) {
+      console.error('❌ Sync failed:', error.message);
+      this.lastError = error.message;
+    }
+
+    if (!this.stopped) {
+      this.timer = setTimeout(() => this.poll(), POLL_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Gracefully shutdown the indexer
+   */
+  shutdown() {
+    console.log('Shutting down chain indexer...');
+    this.stopped = true;
+    clearTimeout(this.timer);
+
+    if (this.server) {
+      this.server.close();
+    }
+
+    process.exit(0);
+  }
+}
+
+const indexerServer = new IndexerServer();
+const backfillAddress = getArg('--backfill');
+const run = backfillAddress
+  ? indexerServer.backfill(backfillAddress, getArg('--from-block')).then(() => process.exit(0))
+  : indexerServer.start();
+
+run.catch((error) => {
+  console.error('Failed to start chain indexer:', error);
+  process.exit(1);
+});
+
+export default IndexerServer;
@@ -6,6 +6,7 @@
  */
 
 import { BaseApiClient } from './base.js';
+import { GAME_CONFIG } from '../config.js';
 
 /**
  * Shots API endpoints
@@ -23,23 +24,23 @@ export class ShotsAPI extends BaseApiClient {
   }
 
   /**
-   * Record a shot transaction
+   * Record a committed shot. The server reads the amount and crypto type from the commit
+   * transaction and records the shot as not won until its reveal is recorded.
    * @param {Object} shotData - Shot data to record
    * @param {string} shotData.playerAddress - Player wallet address
-   * @param {string} shotData.amount - Shot amount
-   * @param {boolean} shotData.won - Whether the shot won
-   * @param {string} shotData.txHash - Transaction hash
+   * @param {string} shotData.txHash - Commit transaction hash
    * @param {number} shotData.blockNumber - Block number
    * @param {string} [shotData.timestamp] - Timestamp (defaults to now)
-   * @param {string} [shotData.cryptoType] - Crypto type (defaults to 'ETH')
    * @param {string} shotData.contractAddress - Contract address
-   * @returns {Promise<Object>} Shot record
+   * @returns {Promise<Object|null>} Shot record, or null when the chain indexer records it
    */
   async recordShot(shotData) {
+    if (GAME_CONFIG.CHAIN_INDEXER_ENABLED) {
+      return null;
+    }
+
     console.log('🎯 Shots API: Recording shot:', {
       playerAddress: shotData.playerAddress,
-      amount: shotData.amount,
-      won: shotData.won,
       txHash: shotData.txHash
     });
 
@@ -62,18 +63,54 @@ export class ShotsAPI extends BaseApiClient {
   }
 
   /**
-   * Record a winner transaction
+   * Record the reveal of a committed shot; the server reads the outcome from the chain
+   * @param {Object} revealData - Reveal data to record
+   * @param {string} revealData.playerAddress - Player wallet address
+   * @param {string} revealData.commitTxHash - Transaction that committed the shot
+   * @param {string} revealData.revealTxHash - Transaction that revealed it
+   * @returns {Promise<boolean|null>} Whether the shot won, or null when the chain indexer records it
+   */
+  async recordReveal(revealData) {
+    if (GAME_CONFIG.CHAIN_INDEXER_ENABLED) {
+      return null;
+    }
+
+    console.log('🔓 Shots API: Recording reveal:', revealData);
+
+    try {
+      const response = await this.post(ENDPOINTS.SHOTS, {
+        action: 'record_reveal',
+        ...revealData
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to record reveal');
+      }
+
+      console.log('✅ Shots API: Reveal recorded successfully:', { won: response.won });
+      return response.won;
+    } catch (error) {
+      console.error('❌ Shots API: Failed to record reveal:', error);
+      throw new Error(`Reveal recording failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a winner transaction. The server takes the crypto type from the jackpot event.
    * @param {Object} winnerData - Winner data to record
    * @param {string} winnerData.winnerAddress - Winner wallet address
-   * @param {string} winnerData.amount - Win amount
+   * @param {string} winnerData.amount - Win amount in the pot's currency (ETH or whole tokens)
    * @param {string} winnerData.txHash - Transaction hash
    * @param {number} winnerData.blockNumber - Block number
    * @param {string} [winnerData.timestamp] - Timestamp (defaults to now)
-   * @param {string} [winnerData.cryptoType] - Crypto type (defaults to 'ETH')
    * @param {string} winnerData.contractAddress - Contract address
-   * @returns {Promise<Object>} Winner record
+   * @returns {Promise<Object|null>} Winner record, or null when the chain indexer records it
    */
   async recordWinner(winnerData) {
+    if (GAME_CONFIG.CHAIN_INDEXER_ENABLED) {
+      return null;
+    }
+
     console.log('🏆 Shots API: Recording winner:', {
       winnerAddress: winnerData.winnerAddress,
       amount: winnerData.amount,
@@ -29,6 +29,35 @@ export const SERVER_CONFIG = {
   FIRST_SHOT_COST_ETH: parseFloat(process.env.VITE_FIRST_SHOT_COST_ETH || '0.001'),
   SPONSOR_COST_ETH: parseFloat(process.env.VITE_SPONSOR_COST_ETH || '0.001'),
   
+  // Sponsor campaign booking (/api/sponsors/campaigns)
+  SPONSOR_SLOT_HOURS: parseInt(process.env.SPONSOR_SLOT_HOURS || '24', 10),
+  SPONSOR_MAX_BOOKING_DAYS: parseInt(process.env.SPONSOR_MAX_BOOKING_DAYS || '30', 10),
+  
+  // Blockchain Configuration (Server-side reads)
+  RPC_URL: (process.env.RPC_URL || process.env.VITE_RPC_URL || process.env.PUBLIC_RPC_URL || '').trim(),
+  CONTRACT_ADDRESS: (process.env.VITE_CONTRACT_ADDRESS || process.env.PUBLIC_CONTRACT_ADDRESS || '').trim(),
+
+  // ERC-20 token pots, keyed by crypto type (mirrors TOKEN_CONFIGS in crypto/config.js)
+  TOKENS: {
+    USDC: {
+      address: (process.env.VITE_USDC_TOKEN_ADDRESS || '').trim(),
+      decimals: parseInt(process.env.VITE_USDC_DECIMALS || '6', 10)
+    }
+  },
+
+  // Gasless shot relayer (/api/relay)
+  RELAYER_PRIVATE_KEY: process.env.RELAYER_PRIVATE_KEY,
+  RELAYER_MAX_SPONSORED_SHOTS: parseInt(process.env.RELAYER_MAX_SPONSORED_SHOTS || '1', 10),
+  
+  // Auto-reveal keeper (/api/keeper escrows, keeper reveals reported to /api/shots)
+  KEEPER_API_KEY: process.env.KEEPER_API_KEY,
+  
+  // Shot vouchers for referral discounts and bonus shots (/api/vouchers)
+  VOUCHER_SIGNER_PRIVATE_KEY: process.env.VOUCHER_SIGNER_PRIVATE_KEY,
+  
+  // Admin maintenance endpoints (/api/reconcile-player-stats)
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY,
+  
   // Development mode flag
   isDevelopment: dev,
   
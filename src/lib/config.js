@@ -24,6 +24,10 @@ export const GAME_CONFIG = {
   HOUSE_FEE_PERCENTAGE: parseFloat(import.meta.env.VITE_HOUSE_FEE_PERCENTAGE || import.meta.env.PUBLIC_HOUSE_FEE_PERCENTAGE || '10'),
   COOLDOWN_HOURS: parseInt(import.meta.env.VITE_COOLDOWN_HOURS || import.meta.env.PUBLIC_COOLDOWN_HOURS || '1'),
   COOLDOWN_SECONDS: parseInt(import.meta.env.VITE_COOLDOWN_HOURS || import.meta.env.PUBLIC_COOLDOWN_HOURS || '1') * 3600,
+  SHOT_BUNDLE_SIZES: (import.meta.env.VITE_SHOT_BUNDLE_SIZES || import.meta.env.PUBLIC_SHOT_BUNDLE_SIZES || '3,5,10').split(',').map(size => parseInt(size, 10)).filter(size => size > 1),
+  RELAYER_ENABLED: (import.meta.env.VITE_RELAYER_ENABLED || import.meta.env.PUBLIC_RELAYER_ENABLED || 'false') === 'true',
+  KEEPER_PUBLIC_KEY: import.meta.env.VITE_KEEPER_PUBLIC_KEY || import.meta.env.PUBLIC_KEEPER_PUBLIC_KEY || '', // JWK JSON; empty = no auto-reveal keeper
+  CHAIN_INDEXER_ENABLED: (import.meta.env.VITE_CHAIN_INDEXER_ENABLED || import.meta.env.PUBLIC_CHAIN_INDEXER_ENABLED || 'false') === 'true', // shots/winners are written by servers/indexer
   ETH_USD_PRICE: parseFloat(import.meta.env.VITE_ETH_USD_PRICE || import.meta.env.PUBLIC_ETH_USD_PRICE || '2500'),
   // TATUM_API_KEY removed for security - now handled server-side via /api/exchange-rate
 };
@@ -35,6 +39,11 @@ export const NETWORK_CONFIG = {
   NETWORK_NAME: (import.meta.env.VITE_NETWORK_NAME || import.meta.env.PUBLIC_NETWORK_NAME || 'Sepolia Testnet').trim(),
   BLOCK_EXPLORER_URL: (import.meta.env.VITE_BLOCK_EXPLORER_URL || import.meta.env.PUBLIC_BLOCK_EXPLORER_URL || 'https://sepolia.etherscan.io').trim(),
   CONTRACT_ADDRESS: (import.meta.env.VITE_CONTRACT_ADDRESS || import.meta.env.PUBLIC_CONTRACT_ADDRESS || '').trim(),
+  // Multicall3 used to batch contract reads; empty means the canonical deployment
+  MULTICALL_ADDRESS: (import.meta.env.VITE_MULTICALL_ADDRESS || import.meta.env.PUBLIC_MULTICALL_ADDRESS || '').trim(),
+  WS_RPC_URL: (import.meta.env.VITE_WS_RPC_URL || import.meta.env.PUBLIC_WS_RPC_URL || '').trim(),
+  // RPC providers that must agree on the pot and pending shot before they are shown (1 = no quorum)
+  RPC_QUORUM: parseInt(import.meta.env.VITE_RPC_QUORUM || import.meta.env.PUBLIC_RPC_QUORUM || '1'),
 };
 
 // Social Media & External URLs
@@ -119,13 +119,58 @@ export class BaseCryptoAdapter {
   }
 
   /**
-   * Sponsor a round
+   * Bid for the next sponsorship slot
    * @param {string} name - Sponsor name
    * @param {string} logoUrl - Sponsor logo URL
+   * @param {string} [bidAmount] - Bid in native currency units, defaults to the minimum accepted bid
+   * @returns {Promise<{hash: string, receipt: Object, bidAmount: string}>}
+   */
+  async bidForSponsorship(name, logoUrl, bidAmount) {
+    throw new Error('bidForSponsorship() must be implemented by crypto adapter');
+  }
+
+  /**
+   * Activate the winning bid of an ended sponsor auction
    * @returns {Promise<{hash: string, receipt: Object}>}
    */
-  async sponsorRound(name, logoUrl) {
-    throw new Error('sponsorRound() must be implemented by crypto adapter');
+  async settleSponsorAuction() {
+    throw new Error('settleSponsorAuction() must be implemented by crypto adapter');
+  }
+
+  /**
+   * Get the running sponsor auction
+   * @param {string} [address] - Bidder to include the pending refund for
+   * @returns {Promise<Object>} Auction state (see formatSponsorAuction)
+   */
+  async getSponsorAuction(address) {
+    throw new Error('getSponsorAuction() must be implemented by crypto adapter');
+  }
+
+  /**
+   * Get a player's self-exclusion and daily spend limit settings
+   * @param {string} address - Player address
+   * @returns {Promise<Object>} Settings (see formatResponsiblePlay)
+   */
+  async getResponsiblePlay(address) {
+    throw new Error('getResponsiblePlay() must be implemented by crypto adapter');
+  }
+
+  /**
+   * Self-exclude the connected player from taking shots
+   * @param {number} durationSeconds - Exclusion period in seconds
+   * @returns {Promise<{hash: string, receipt: Object}>}
+   */
+  async setSelfExclusion(durationSeconds) {
+    throw new Error('setSelfExclusion() must be implemented by crypto adapter');
+  }
+
+  /**
+   * Set the connected player's daily spend limit
+   * @param {string} amount - Limit in native currency units, 0 removes it
+   * @returns {Promise<{hash: string, receipt: Object}>}
+   */
+  async setDailySpendLimit(amount) {
+    throw new Error('setDailySpendLimit() must be implemented by crypto adapter');
   }
 
   /**
@@ -223,6 +268,16 @@ export class BaseCryptoAdapter {
     throw new Error('commitShot() must be implemented by crypto adapter');
   }
 
+  /**
+   * Commit a shot at the reduced price of a signed voucher (referral discount or bonus shot)
+   * @param {string} commitment - Commitment hash
+   * @param {Object} voucher - Voucher from /api/vouchers ({ voucherId, price, deadline, signature })
+   * @returns {Promise<{hash: string, receipt: Object, committed: boolean, commitBlock: number}>}
+   */
+  async commitShotWithVoucher(commitment, voucher) {
+    throw new Error('commitShotWithVoucher() must be implemented by crypto adapter');
+  }
+
   /**
    * Reveal a committed shot
    * @param {string} secret - The secret used in commitment
@@ -286,12 +341,20 @@ export class BaseCryptoAdapter {
 
   /**
    * Get game configuration in basis points
-   * @returns {Promise<{winPercentageBP: number, housePercentageBP: number, winChanceBP: number}>}
+   * @returns {Promise<{winPercentageBP: number, housePercentageBP: number, winChanceBP: number, prizeTiers: Array<{name: string, chanceBP: number, contributionBP: number}>}>}
    */
   async getGameConfig() {
     throw new Error('getGameConfig() must be implemented by crypto adapter');
   }
 
+  /**
+   * Get the sub-pot of every prize tier, indexed like getGameConfig().prizeTiers
+   * @returns {Promise<string[]>} Sub-pots in native currency units
+   */
+  async getTierPots() {
+    throw new Error('getTierPots() must be implemented by crypto adapter');
+  }
+
   /**
    * Get cooldown period from contract
    * @returns {Promise<number>} Cooldown period in seconds
@@ -4,8 +4,16 @@
 import { BaseCryptoAdapter } from './base.js';
 import { WALLET_PROVIDERS } from '../config.js';
 import { defaultProviderManager, setupProvidersFromEnv } from '../rpc-provider-manager.js';
-import { WALLET_CONFIG } from '../../config.js';
-import { safeBigIntToNumber } from '../../stores/game/utils.js';
+import { MULTICALL3_ADDRESS, contractRead, createMulticall } from '../multicall.js';
+import { NETWORK_CONFIG, WALLET_CONFIG } from '../../config.js';
+import { ETH_SHOT_TESTABLE_ABI, formatResponsiblePlay, formatSponsorAuction, safeBigIntToNumber } from '../../stores/game/utils.js';
+
+// Minimal ERC-20 interface for token pots
+const ERC20_ABI = [
+  'function balanceOf(address owner) external view returns (uint256)',
+  'function allowance(address owner, address spender) external view returns (uint256)',
+  'function approve(address spender, uint256 amount) external returns (bool)'
+];
 
 /**
  * Ethereum adapter for handling ETH transactions and wallet interactions
@@ -18,6 +26,10 @@ export class EthereumAdapter extends BaseCryptoAdapter {
     this.walletInstance = null;
     this.providerManager = defaultProviderManager;
     this.isProviderManagerSetup = false;
+    this.multicall = createMulticall({
+      call: (tx) => this.providerManager.makeRequest('eth_call', [tx, 'latest']),
+      address: config.contractConfig?.multicallAddress || MULTICALL3_ADDRESS
+    });
   }
 
   /**
@@ -172,13 +184,18 @@ export class EthereumAdapter extends BaseCryptoAdapter {
   }
 
   /**
-   * Get wallet balance in ETH
+   * Get wallet balance in ETH (or in the payment token for token pots)
    */
   async getBalance(address) {
     if (!this.provider) {
       throw new Error('Provider not initialized');
     }
 
+    if (this.config.paymentToken) {
+      const balance = await this.getTokenContract().balanceOf(address);
+      return this.formatUnits(balance);
+    }
+
     const balance = await this.provider.getBalance(address);
     return this.ethers.formatEther(balance);
   }
@@ -258,6 +275,17 @@ export class EthereumAdapter extends BaseCryptoAdapter {
     return this.contract;
   }
 
+  /**
+   * Get the ERC-20 contract of the payment token (token pots only)
+   */
+  getTokenContract() {
+    if (!this.config.paymentToken) {
+      throw new Error(`${this.config.symbol} is not paid with an ERC-20 token`);
+    }
+
+    return new this.ethers.Contract(this.config.paymentToken, ERC20_ABI, this.signer || this.provider);
+  }
+
   /**
    * Generate a cryptographically secure secret for commit-reveal
    */
@@ -285,6 +313,10 @@ export class EthereumAdapter extends BaseCryptoAdapter {
       throw new Error('Wallet not connected');
     }
 
+    if (this.config.paymentToken) {
+      return this.commitTokenShot(commitment);
+    }
+
     const contract = this.getContract();
     const contractWithSigner = contract.connect(this.signer);
 
@@ -313,6 +345,66 @@ export class EthereumAdapter extends BaseCryptoAdapter {
 
     console.log('✅ Shot commitment transaction sent:', tx.hash);
 
+    return this.confirmCommit(tx);
+  }
+
+  /**
+   * Commit a shot paid in the payment token, approving the contract first if needed
+   */
+  async commitTokenShot(commitment) {
+    const contract = this.getContract();
+    const token = this.getTokenContract();
+    const playerAddress = await this.signer.getAddress();
+
+    const [shotCost] = await contract.getTokenPot(this.config.paymentToken);
+    if (shotCost === 0n) {
+      throw new Error(`${this.config.symbol} shots are not accepted by the contract`);
+    }
+
+    // Approve exactly one shot so no standing allowance is left behind
+    const contractAddress = await contract.getAddress();
+    const allowance = await token.allowance(playerAddress, contractAddress);
+    if (allowance < shotCost) {
+      const approveTx = await token.approve(contractAddress, shotCost);
+      console.log(`✅ ${this.config.symbol} approval transaction sent:`, approveTx.hash);
+      await approveTx.wait();
+    }
+
+    const tx = await contract.connect(this.signer).commitShotWithToken(this.config.paymentToken, commitment);
+    console.log(`✅ ${this.config.symbol} shot commitment transaction sent:`, tx.hash);
+
+    return this.confirmCommit(tx);
+  }
+
+  /**
+   * Commit a shot at the reduced price of a signed voucher (referral discount or bonus shot)
+   * @param {string} commitment - Shot commitment
+   * @param {Object} voucher - Voucher from /api/vouchers ({ voucherId, price, deadline, signature })
+   */
+  async commitShotWithVoucher(commitment, voucher) {
+    if (!this.signer) {
+      throw new Error('Wallet not connected');
+    }
+
+    const tx = await this.getContract().connect(this.signer).commitShotWithVoucher(
+      commitment,
+      voucher.voucherId,
+      voucher.price,
+      voucher.deadline,
+      voucher.signature,
+      { value: voucher.price }
+    );
+    console.log('✅ Voucher shot commitment transaction sent:', tx.hash);
+
+    return this.confirmCommit(tx);
+  }
+
+  /**
+   * Wait for a commit transaction and check it emitted ShotCommitted
+   */
+  async confirmCommit(tx) {
+    const contract = this.getContract();
+
     // Wait for confirmation
     const receipt = await tx.wait();
 
@@ -454,9 +546,12 @@ export class EthereumAdapter extends BaseCryptoAdapter {
   }
 
   /**
-   * Sponsor a round
+   * Bid for the next sponsorship slot
+   * @param {string} name - Sponsor name
+   * @param {string} logoUrl - Sponsor logo URL
+   * @param {string} [bidAmount] - Bid in ETH, defaults to the minimum accepted bid
    */
-  async sponsorRound(name, logoUrl) {
+  async bidForSponsorship(name, logoUrl, bidAmount) {
     if (!this.signer) {
       throw new Error('Wallet not connected');
     }
@@ -464,34 +559,129 @@ export class EthereumAdapter extends BaseCryptoAdapter {
     const contract = this.getContract();
     const contractWithSigner = contract.connect(this.signer);
 
-    // Get sponsor cost
-    const sponsorCost = await contract.SPONSOR_COST();
+    const minimumBid = await contract.getMinimumSponsorBid();
+    const bid = bidAmount ? this.ethers.parseEther(bidAmount.toString()) : minimumBid;
+    if (bid < minimumBid) {
+      throw new Error(`Bid must be at least ${this.ethers.formatEther(minimumBid)} ETH`);
+    }
 
     // Estimate gas
     let gasEstimate;
     try {
-      gasEstimate = await contractWithSigner.sponsorRound.estimateGas(name, logoUrl, {
-        value: sponsorCost
+      gasEstimate = await contractWithSigner.bidForSponsorship.estimateGas(name, logoUrl, {
+        value: bid
       });
     } catch (estimateError) {
       console.warn('Failed to estimate gas, using default:', estimateError.message);
-      gasEstimate = 100000n;
+      gasEstimate = 200000n;
     }
 
     // Add 20% buffer to gas estimate
     const gasLimit = gasEstimate < 80000n ? 100000n : gasEstimate + (gasEstimate * 20n / 100n);
 
     // Send transaction
-    const tx = await contractWithSigner.sponsorRound(name, logoUrl, {
-      value: sponsorCost,
+    const tx = await contractWithSigner.bidForSponsorship(name, logoUrl, {
+      value: bid,
       gasLimit: gasLimit
     });
 
-    console.log('✅ Sponsor transaction sent:', tx.hash);
+    console.log('✅ Sponsor bid transaction sent:', tx.hash);
 
     // Wait for confirmation
     const receipt = await tx.wait();
 
+    return {
+      hash: tx.hash,
+      receipt,
+      bidAmount: this.ethers.formatEther(bid)
+    };
+  }
+
+  /**
+   * Activate the winning bid of an ended sponsor auction
+   */
+  async settleSponsorAuction() {
+    if (!this.signer) {
+      throw new Error('Wallet not connected');
+    }
+
+    const contractWithSigner = this.getContract().connect(this.signer);
+    const tx = await contractWithSigner.settleSponsorAuction();
+
+    console.log('✅ Sponsor auction settlement sent:', tx.hash);
+
+    const receipt = await tx.wait();
+
+    return {
+      hash: tx.hash,
+      receipt
+    };
+  }
+
+  /**
+   * Get the running sponsor auction
+   * @param {string} [address] - Bidder to include the pending refund for
+   */
+  async getSponsorAuction(address) {
+    const [auction, minimumBid, pendingRefund] = await Promise.all([
+      this.makeContractCall('sponsorAuction'),
+      this.makeContractCall('getMinimumSponsorBid'),
+      address ? this.makeContractCall('getPendingPayout', [address]) : [0n]
+    ]);
+
+    return formatSponsorAuction(auction, minimumBid[0], pendingRefund[0], this.ethers);
+  }
+
+  /**
+   * Get a player's self-exclusion and daily spend limit settings
+   * @param {string} address - Player address
+   * @notice Token shots count against the player's limit for that token
+   */
+  async getResponsiblePlay(address) {
+    const token = this.config.paymentToken || this.ethers.ZeroAddress;
+    const settings = await this.makeContractCall('getResponsiblePlay', [address, token]);
+    return formatResponsiblePlay(settings, this.ethers, { decimals: this.config.decimals, symbol: this.config.symbol });
+  }
+
+  /**
+   * Self-exclude the connected player from taking shots
+   * @param {number} durationSeconds - Exclusion period in seconds
+   */
+  async setSelfExclusion(durationSeconds) {
+    if (!this.signer) {
+      throw new Error('Wallet not connected');
+    }
+
+    const contractWithSigner = this.getContract().connect(this.signer);
+    const tx = await contractWithSigner.setSelfExclusion(durationSeconds);
+
+    console.log('✅ Self-exclusion transaction sent:', tx.hash);
+
+    const receipt = await tx.wait();
+
+    return {
+      hash: tx.hash,
+      receipt
+    };
+  }
+
+  /**
+   * Set the connected player's daily spend limit for this adapter's payment currency
+   * @param {string} amount - Limit in ETH (or the payment token), 0 removes it
+   */
+  async setDailySpendLimit(amount) {
+    if (!this.signer) {
+      throw new Error('Wallet not connected');
+    }
+
+    const contractWithSigner = this.getContract().connect(this.signer);
+    const token = this.config.paymentToken || this.ethers.ZeroAddress;
+    const tx = await contractWithSigner.setDailySpendLimit(token, this.parseAmount(amount));
+
+    console.log('✅ Daily spend limit transaction sent:', tx.hash);
+
+    const receipt = await tx.wait();
+
     return {
       hash: tx.hash,
       receipt
@@ -502,9 +692,10 @@ export class EthereumAdapter extends BaseCryptoAdapter {
    * Make a rate-limited contract call
    * @param {string} method - Contract method name
    * @param {Array} params - Method parameters
+   * @param {Object} [options] - { quorum }: providers that must return the same result
    * @returns {Promise<*>} Contract call result
    */
-  async makeContractCall(method, params = []) {
+  async makeContractCall(method, params = [], { quorum = 1 } = {}) {
     const contractAddress = this.config.contractConfig.address;
     if (!contractAddress) {
       throw new Error('Contract address not configured');
@@ -514,57 +705,55 @@ export class EthereumAdapter extends BaseCryptoAdapter {
     const contract = this.getContract();
     const data = contract.interface.encodeFunctionData(method, params);
     
-    // Make rate-limited call
-    const result = await this.providerManager.makeRequest('eth_call', [
+    const callParams = [
       {
         to: contractAddress,
         data: data
       },
       'latest'
-    ]);
+    ];
+
+    // Make rate-limited call
+    const result = quorum > 1
+      ? await this.providerManager.makeQuorumRequest('eth_call', callParams, { quorum })
+      : await this.providerManager.makeRequest('eth_call', callParams);
 
     // Decode the result
     return contract.interface.decodeFunctionResult(method, result);
   }
 
   /**
-   * Batch multiple contract calls for efficiency
-   * @param {Array} calls - Array of {method, params} objects
-   * @returns {Promise<Array>} Array of decoded results
+   * Read several contract values in one Multicall3 batch
+   * @param {Object} reads - {method, params} objects by key
+   * @returns {Promise<Object>} Results by the same keys, each { success, value } or { success, error }
+   * @notice Reads issued by other callers in the same tick share the batch
    */
-  async batchContractCalls(calls) {
-    const contractAddress = this.config.contractConfig.address;
-    if (!contractAddress) {
-      throw new Error('Contract address not configured');
-    }
-
+  async multicallContract(reads) {
     const contract = this.getContract();
-    
-    // Prepare batch requests
-    const requests = calls.map(call => {
-      const data = contract.interface.encodeFunctionData(call.method, call.params || []);
-      return {
-        method: 'eth_call',
-        params: [
-          {
-            to: contractAddress,
-            data: data
-          },
-          'latest'
-        ]
-      };
-    });
+    return this.multicall.read(Object.fromEntries(
+      Object.entries(reads).map(([key, { method, params }]) => [key, contractRead(contract, method, params)])
+    ));
+  }
 
-    // Execute batch request
-    const results = await this.providerManager.batchRequests(requests);
-    
-    // Decode results
-    return results.map((result, index) => {
-      if (result instanceof Error) {
-        throw result;
-      }
-      return contract.interface.decodeFunctionResult(calls[index].method, result);
-    });
+  /**
+   * Describe where the game store should watch contract logs
+   * @returns {Object|null} eventSource for startRealTimeUpdates, or null without a contract or node
+   */
+  getEventSource() {
+    const address = this.config.contractConfig.address;
+    // Filters live on the node that installed them, so every request goes to one provider
+    const node = this.providerManager.getCurrentProvider();
+    if (!address || (!NETWORK_CONFIG.WS_RPC_URL && !node)) {
+      return null;
+    }
+
+    return {
+      address,
+      wsUrl: NETWORK_CONFIG.WS_RPC_URL || null,
+      request: node ? (method, params) => node.provider.send(method, params) : null,
+      paymentToken: this.config.paymentToken || null,
+      decimals: this.config.decimals
+    };
   }
 
   /**
@@ -572,7 +761,12 @@ export class EthereumAdapter extends BaseCryptoAdapter {
    */
   async getCurrentPot() {
     try {
-      const [pot] = await this.makeContractCall('getCurrentPot');
+      if (this.config.paymentToken) {
+        const tokenPot = await this.makeContractCall('getTokenPot', [this.config.paymentToken], { quorum: NETWORK_CONFIG.RPC_QUORUM });
+        return this.formatUnits(tokenPot.pot);
+      }
+
+      const [pot] = await this.makeContractCall('getCurrentPot', [], { quorum: NETWORK_CONFIG.RPC_QUORUM });
       return this.ethers.formatEther(pot);
     } catch (error) {
       console.warn('Failed to fetch current pot, using cached value:', error.message);
@@ -648,7 +842,7 @@ export class EthereumAdapter extends BaseCryptoAdapter {
    */
   async getPendingShot(address) {
     try {
-      const result = await this.makeContractCall('getPendingShot', [address]);
+      const result = await this.makeContractCall('getPendingShot', [address], { quorum: NETWORK_CONFIG.RPC_QUORUM });
       
       return {
         exists: result.exists,
@@ -737,72 +931,72 @@ export class EthereumAdapter extends BaseCryptoAdapter {
   }
 
   /**
-   * Get multiple contract values efficiently using batch calls
+   * Get everything a game state refresh needs in one Multicall3 batch
+   * @notice Reads fail independently, so each value falls back to its own default
    */
   async getGameData() {
-    try {
-      const calls = [
-        { method: 'getCurrentPot' },
-        { method: 'SHOT_COST' },
-        { method: 'SPONSOR_COST' },
-        { method: 'getContractBalance' },
-        { method: 'getHouseFunds' },
-        { method: 'getRecentWinners' },
-        { method: 'getCurrentSponsor' }
-      ];
-
-      const results = await this.batchContractCalls(calls);
-      
-      return {
-        currentPot: this.ethers.formatEther(results[0][0]),
-        shotCost: this.ethers.formatEther(results[1][0]),
-        sponsorCost: this.ethers.formatEther(results[2][0]),
-        contractBalance: this.ethers.formatEther(results[3][0]),
-        houseFunds: this.ethers.formatEther(results[4][0]),
-        recentWinners: results[5][0].map(winner => ({
-          winner: winner.winner,
-          amount: this.ethers.formatEther(winner.amount),
-          timestamp: new Date(safeBigIntToNumber(winner.timestamp) * 1000).toISOString(),
-          blockNumber: safeBigIntToNumber(winner.blockNumber)
-        })),
-        currentSponsor: {
-          sponsor: results[6].sponsor,
-          name: results[6].name,
-          logoUrl: results[6].logoUrl,
-          timestamp: new Date(safeBigIntToNumber(results[6].timestamp) * 1000).toISOString(),
-          active: results[6].active
-        }
-      };
-    } catch (error) {
-      console.warn('Failed to fetch game data batch, falling back to individual calls:', error.message);
-      
-      // Fallback to individual calls
-      const [currentPot, shotCost, sponsorCost, contractBalance, houseFunds, recentWinners, currentSponsor] = await Promise.allSettled([
-        this.getCurrentPot(),
-        this.getShotCost(),
-        this.getSponsorCost(),
-        this.getContractBalance(),
-        this.getHouseFunds(),
-        this.getRecentWinners(),
-        this.getCurrentSponsor()
-      ]);
-
-      return {
-        currentPot: currentPot.status === 'fulfilled' ? currentPot.value : '0',
-        shotCost: shotCost.status === 'fulfilled' ? shotCost.value : '0.0005',
-        sponsorCost: sponsorCost.status === 'fulfilled' ? sponsorCost.value : '0.001',
-        contractBalance: contractBalance.status === 'fulfilled' ? contractBalance.value : '0',
-        houseFunds: houseFunds.status === 'fulfilled' ? houseFunds.value : '0',
-        recentWinners: recentWinners.status === 'fulfilled' ? recentWinners.value : [],
-        currentSponsor: currentSponsor.status === 'fulfilled' ? currentSponsor.value : {
-          sponsor: '0x0000000000000000000000000000000000000000',
-          name: '',
-          logoUrl: '',
-          timestamp: new Date().toISOString(),
-          active: false
-        }
-      };
+    const tokenMode = Boolean(this.config.paymentToken);
+    const reads = {
+      pot: tokenMode ? { method: 'getTokenPot', params: [this.config.paymentToken] } : { method: 'getCurrentPot' },
+      sponsorCost: { method: 'SPONSOR_COST' },
+      contractBalance: { method: 'getContractBalance' },
+      houseFunds: { method: 'getHouseFunds' },
+      recentWinners: { method: 'getRecentWinners' },
+      currentSponsor: { method: 'getCurrentSponsor' }
+    };
+    if (!tokenMode) {
+      // Token pots carry their own shot cost and have no prize tiers
+      reads.shotCost = { method: 'SHOT_COST' };
+      reads.gameConfig = { method: 'getGameConfig' };
+      reads.tierPots = { method: 'getTierPots' };
     }
+
+    const results = await this.multicallContract(reads);
+    const value = (key, format, fallback) => {
+      if (results[key]?.success) return format(results[key].value);
+      console.warn(`Failed to fetch ${key}:`, results[key]?.error?.message);
+      return fallback;
+    };
+    const formatEther = (amount) => this.ethers.formatEther(amount);
+
+    return {
+      // With a quorum configured the pot is read again from agreeing providers
+      currentPot: NETWORK_CONFIG.RPC_QUORUM > 1
+        ? await this.getCurrentPot()
+        : value('pot', (pot) => tokenMode ? this.formatUnits(pot.pot) : formatEther(pot), '0'),
+      shotCost: tokenMode
+        ? value('pot', (pot) => this.formatUnits(pot.shotCost), this.config.shotCost)
+        : value('shotCost', formatEther, '0.0005'),
+      sponsorCost: value('sponsorCost', formatEther, '0.001'),
+      contractBalance: value('contractBalance', formatEther, '0'),
+      houseFunds: value('houseFunds', formatEther, '0'),
+      recentWinners: value('recentWinners', (winners) => winners.map(winner => ({
+        winner: winner.winner,
+        amount: formatEther(winner.amount),
+        timestamp: new Date(safeBigIntToNumber(winner.timestamp) * 1000).toISOString(),
+        blockNumber: safeBigIntToNumber(winner.blockNumber)
+      })), []),
+      currentSponsor: value('currentSponsor', (sponsor) => ({
+        sponsor: sponsor.sponsor,
+        name: sponsor.name,
+        logoUrl: sponsor.logoUrl,
+        timestamp: new Date(safeBigIntToNumber(sponsor.timestamp) * 1000).toISOString(),
+        active: sponsor.active
+      }), {
+        sponsor: '0x0000000000000000000000000000000000000000',
+        name: '',
+        logoUrl: '',
+        timestamp: new Date().toISOString(),
+        active: false
+      }),
+      // Same shapes as getGameConfig().prizeTiers and getTierPots()
+      prizeTierConfig: tokenMode ? [] : value('gameConfig', (config) => (config.tiers || []).map(tier => ({
+        name: tier.name,
+        chanceBP: safeBigIntToNumber(tier.chanceBP),
+        contributionBP: safeBigIntToNumber(tier.contributionBP)
+      })), []),
+      tierPots: tokenMode ? [] : value('tierPots', (pots) => pots.map(formatEther), [])
+    };
   }
 
   /**
@@ -810,11 +1004,16 @@ export class EthereumAdapter extends BaseCryptoAdapter {
    */
   async getShotCost() {
     try {
+      if (this.config.paymentToken) {
+        const tokenPot = await this.makeContractCall('getTokenPot', [this.config.paymentToken]);
+        return this.formatUnits(tokenPot.shotCost);
+      }
+
       const [cost] = await this.makeContractCall('SHOT_COST');
       return this.ethers.formatEther(cost);
     } catch (error) {
       console.warn('Failed to fetch shot cost:', error.message);
-      return '0.0005'; // Fallback value
+      return this.config.paymentToken ? this.config.shotCost : '0.0005'; // Fallback value
     }
   }
 
@@ -865,12 +1064,35 @@ export class EthereumAdapter extends BaseCryptoAdapter {
     const config = await contract.getGameConfig();
     
     return {
-              winPercentageBP: safeBigIntToNumber(config.winPercentageBP),
-        housePercentageBP: safeBigIntToNumber(config.housePercentageBP),
-        winChanceBP: safeBigIntToNumber(config.winChanceBP)
+      winPercentageBP: safeBigIntToNumber(config.winPercentageBP),
+      housePercentageBP: safeBigIntToNumber(config.housePercentageBP),
+      winChanceBP: safeBigIntToNumber(config.winChanceBP),
+      // Token pots have no prize tiers
+      prizeTiers: this.config.paymentToken ? [] : (config.tiers || []).map(tier => ({
+        name: tier.name,
+        chanceBP: safeBigIntToNumber(tier.chanceBP),
+        contributionBP: safeBigIntToNumber(tier.contributionBP)
+      }))
     };
   }
 
+  /**
+   * Get the sub-pot of every prize tier
+   */
+  async getTierPots() {
+    if (this.config.paymentToken) {
+      return [];
+    }
+
+    try {
+      const [pots] = await this.makeContractCall('getTierPots');
+      return pots.map(pot => this.ethers.formatEther(pot));
+    } catch (error) {
+      console.warn('Failed to fetch prize tier pots:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Get cooldown period from contract
    */
@@ -1010,15 +1232,22 @@ export class EthereumAdapter extends BaseCryptoAdapter {
   }
 
   /**
-   * Set test mode (owner only)
+   * Get the contract with the EthShotTestable test hooks, connected to the signer
+   * @notice The calls revert on the production EthShot contract, which has no test hooks
+   */
+  getTestableContract() {
+    return new this.ethers.Contract(this.config.contractConfig.address, ETH_SHOT_TESTABLE_ABI, this.signer);
+  }
+
+  /**
+   * Set test mode (owner only, EthShotTestable)
    */
   async setTestMode(enabled) {
     if (!this.signer) {
       throw new Error('Wallet not connected');
     }
 
-    const contract = this.getContract();
-    const contractWithSigner = contract.connect(this.signer);
+    const contractWithSigner = this.getTestableContract();
     
     // Send setTestMode transaction
     const tx = await contractWithSigner.setTestMode(enabled);
@@ -1036,15 +1265,14 @@ export class EthereumAdapter extends BaseCryptoAdapter {
   }
 
   /**
-   * Set winning number for test mode (owner only)
+   * Set winning number for test mode (owner only, EthShotTestable)
    */
   async setWinningNumber(winningNumber) {
     if (!this.signer) {
       throw new Error('Wallet not connected');
     }
 
-    const contract = this.getContract();
-    const contractWithSigner = contract.connect(this.signer);
+    const contractWithSigner = this.getTestableContract();
     
     // Send setWinningNumber transaction
     const tx = await contractWithSigner.setWinningNumber(winningNumber);
@@ -1065,11 +1293,11 @@ export class EthereumAdapter extends BaseCryptoAdapter {
    * Override formatters to use ethers.js
    */
   parseAmount(amount) {
-    return this.ethers.parseEther(amount.toString());
+    return this.ethers.parseUnits(amount.toString(), this.config.decimals);
   }
 
   formatUnits(amount) {
-    return this.ethers.formatEther(amount);
+    return this.ethers.formatUnits(amount, this.config.decimals);
   }
 
   /**
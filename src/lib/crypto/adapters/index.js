@@ -3,13 +3,15 @@
 
 import { EthereumAdapter } from './ethereum.js';
 import { SolanaAdapter } from './solana.js';
-import { CRYPTO_TYPES, getCryptoConfig } from '../config.js';
+import { CRYPTO_TYPES, getCryptoConfig, getEnabledTokenCryptos } from '../config.js';
 
 /**
  * Registry of available crypto adapters
+ * ERC-20 token pots live on the EthShot contract, so they use the Ethereum adapter
  */
 const ADAPTER_REGISTRY = {
   [CRYPTO_TYPES.ETH]: EthereumAdapter,
+  ...Object.fromEntries(getEnabledTokenCryptos().map((cryptoType) => [cryptoType, EthereumAdapter])),
   [CRYPTO_TYPES.SOL]: SolanaAdapter
 };
 
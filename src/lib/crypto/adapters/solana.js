@@ -81,9 +81,44 @@ export class SolanaAdapter extends BaseCryptoAdapter {
   }
 
   /**
-   * Sponsor a round
+   * Bid for the next sponsorship slot
    */
-  async sponsorRound(name, logoUrl) {
+  async bidForSponsorship(name, logoUrl, bidAmount) {
+    throw new Error('Solana support not yet implemented.');
+  }
+
+  /**
+   * Activate the winning bid of an ended sponsor auction
+   */
+  async settleSponsorAuction() {
+    throw new Error('Solana support not yet implemented.');
+  }
+
+  /**
+   * Get the running sponsor auction
+   */
+  async getSponsorAuction(address) {
+    throw new Error('Solana support not yet implemented.');
+  }
+
+  /**
+   * Get a player's responsible play settings
+   */
+  async getResponsiblePlay(address) {
+    throw new Error('Solana support not yet implemented.');
+  }
+
+  /**
+   * Self-exclude the connected player
+   */
+  async setSelfExclusion(durationSeconds) {
+    throw new Error('Solana support not yet implemented.');
+  }
+
+  /**
+   * Set the connected player's daily spend limit
+   */
+  async setDailySpendLimit(amount) {
     throw new Error('Solana support not yet implemented.');
   }
 
@@ -129,6 +164,13 @@ export class SolanaAdapter extends BaseCryptoAdapter {
     throw new Error('Solana support not yet implemented.');
   }
 
+  /**
+   * Commit a shot with a signed voucher
+   */
+  async commitShotWithVoucher(commitment, voucher) {
+    throw new Error('Solana support not yet implemented.');
+  }
+
   /**
    * Reveal a committed shot
    */
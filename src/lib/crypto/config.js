@@ -7,86 +7,949 @@ export const CONTRACT_ABI = [
         "name": "initialOwner",
         "type": "address"
       },
+      {
+        "internalType": "address",
+        "name": "_houseAddress",
+        "type": "address"
+      },
       {
         "internalType": "uint256",
         "name": "_shotCost",
         "type": "uint256"
       },
       {
-        "internalType": "uint256",
-        "name": "_sponsorCost",
-        "type": "uint256"
+        "internalType": "uint256",
+        "name": "_sponsorCost",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_cooldownPeriod",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_winPercentageBP",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_housePercentageBP",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_winChanceBP",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_maxRecentWinners",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_minPotSize",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "_randomnessProvider",
+        "type": "address"
+      },
+      {
+        "components": [
+          {
+            "internalType": "string",
+            "name": "name",
+            "type": "string"
+          },
+          {
+            "internalType": "uint256",
+            "name": "chanceBP",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "contributionBP",
+            "type": "uint256"
+          }
+        ],
+        "internalType": "struct EthShot.PrizeTier[]",
+        "name": "_prizeTiers",
+        "type": "tuple[]"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "constructor"
+  },
+  {
+    "inputs": [],
+    "name": "AuctionNotEnded",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "minimum",
+        "type": "uint256"
+      }
+    ],
+    "name": "BidTooLow",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "remaining",
+        "type": "uint256"
+      }
+    ],
+    "name": "CooldownActive",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "remaining",
+        "type": "uint256"
+      }
+    ],
+    "name": "DailySpendLimitReached",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "ECDSAInvalidSignature",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "length",
+        "type": "uint256"
+      }
+    ],
+    "name": "ECDSAInvalidSignatureLength",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "s",
+        "type": "bytes32"
+      }
+    ],
+    "name": "ECDSAInvalidSignatureS",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "EnforcedPause",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "ExpectedPause",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "expected",
+        "type": "uint256"
+      }
+    ],
+    "name": "IncorrectPayment",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "required",
+        "type": "uint256"
+      }
+    ],
+    "name": "InsufficientShotDeposit",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "currentNonce",
+        "type": "uint256"
+      }
+    ],
+    "name": "InvalidAccountNonce",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidAddress",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidBatchSize",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidCommitment",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidCooldownPeriod",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidCost",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidExclusionPeriod",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidLogoUrl",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidMaxRecentWinners",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidPercentages",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "index",
+        "type": "uint256"
+      }
+    ],
+    "name": "InvalidPrizeTier",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidSecret",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidShortString",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidSignature",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidSpendLimit",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidSponsorName",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidWinChance",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "MinPotSizeTooSmall",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "NoHouseFunds",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "NoPendingPayout",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "NoPendingShot",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "NoShotDeposit",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "NotEOA",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "NotFirstShot",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "OnlyRandomnessProvider",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      }
+    ],
+    "name": "OwnableInvalidOwner",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      }
+    ],
+    "name": "OwnableUnauthorizedAccount",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "minimum",
+        "type": "uint256"
+      }
+    ],
+    "name": "PaymentTooLow",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "PendingShotExists",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "PendingShotNotExpired",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "PotMigrationFailed",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "ReentrancyGuardReentrantCall",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "RevealDelayNotElapsed",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "RevealWindowExpired",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "roundId",
+        "type": "uint256"
+      }
+    ],
+    "name": "RoundDoesNotExist",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      }
+    ],
+    "name": "SafeERC20FailedOperation",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "until",
+        "type": "uint256"
+      }
+    ],
+    "name": "SelfExcluded",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "SettledByOracle",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "SignatureExpired",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "str",
+        "type": "string"
+      }
+    ],
+    "name": "StringTooLong",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "TierChancesTooHigh",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "TierContributionsTooHigh",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      }
+    ],
+    "name": "TokenNotAccepted",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "TooManyPrizeTiers",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "TransferFailed",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "voucherId",
+        "type": "bytes32"
+      }
+    ],
+    "name": "VoucherAlreadyRedeemed",
+    "type": "error"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "limit",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "effectiveFrom",
+        "type": "uint256"
+      }
+    ],
+    "name": "DailySpendLimitSet",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [],
+    "name": "EIP712DomainChanged",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "HouseFundsWithdrawn",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "winner",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "timestamp",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "roundId",
+        "type": "uint256"
+      }
+    ],
+    "name": "JackpotWon",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "previousOwner",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "newOwner",
+        "type": "address"
+      }
+    ],
+    "name": "OwnershipTransferred",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      }
+    ],
+    "name": "Paused",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "PayoutClaimed",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "PayoutFailed",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "commitBlock",
+        "type": "uint256"
+      },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "currentBlock",
+        "type": "uint256"
+      }
+    ],
+    "name": "PendingShotExpired",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "newContract",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "PotMigrated",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "from",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "PotSeeded",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "requestId",
+        "type": "uint256"
+      }
+    ],
+    "name": "RandomnessRequested",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "until",
+        "type": "uint256"
+      }
+    ],
+    "name": "SelfExclusionSet",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "commitment",
+        "type": "bytes32"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "roundId",
+        "type": "uint256"
+      }
+    ],
+    "name": "ShotCommitted",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "from",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "ShotDepositMade",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "ShotDepositWithdrawn",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "relayer",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "bool",
+        "name": "isReveal",
+        "type": "bool"
+      }
+    ],
+    "name": "ShotRelayed",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
       },
       {
+        "indexed": true,
         "internalType": "uint256",
-        "name": "_cooldownPeriod",
+        "name": "amount",
         "type": "uint256"
       },
       {
-        "internalType": "uint256",
-        "name": "_winPercentageBP",
-        "type": "uint256"
+        "indexed": true,
+        "internalType": "bool",
+        "name": "won",
+        "type": "bool"
       },
       {
+        "indexed": false,
         "internalType": "uint256",
-        "name": "_housePercentageBP",
+        "name": "roundId",
         "type": "uint256"
-      },
+      }
+    ],
+    "name": "ShotRevealed",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
       {
-        "internalType": "uint256",
-        "name": "_winChanceBP",
-        "type": "uint256"
+        "indexed": true,
+        "internalType": "address",
+        "name": "bidder",
+        "type": "address"
       },
       {
+        "indexed": false,
         "internalType": "uint256",
-        "name": "_maxRecentWinners",
+        "name": "amount",
         "type": "uint256"
       },
       {
+        "indexed": false,
         "internalType": "uint256",
-        "name": "_minPotSize",
+        "name": "endTime",
         "type": "uint256"
       }
     ],
-    "stateMutability": "nonpayable",
-    "type": "constructor"
-  },
-  {
-    "inputs": [],
-    "name": "EnforcedPause",
-    "type": "error"
-  },
-  {
-    "inputs": [],
-    "name": "ExpectedPause",
-    "type": "error"
+    "name": "SponsorBidPlaced",
+    "type": "event"
   },
   {
+    "anonymous": false,
     "inputs": [
       {
+        "indexed": true,
         "internalType": "address",
-        "name": "owner",
+        "name": "bidder",
         "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
       }
     ],
-    "name": "OwnableInvalidOwner",
-    "type": "error"
+    "name": "SponsorBidRefunded",
+    "type": "event"
   },
   {
+    "anonymous": false,
     "inputs": [
       {
+        "indexed": true,
         "internalType": "address",
-        "name": "account",
+        "name": "sponsor",
         "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "name",
+        "type": "string"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "logoUrl",
+        "type": "string"
       }
     ],
-    "name": "OwnableUnauthorizedAccount",
-    "type": "error"
+    "name": "SponsorshipActivated",
+    "type": "event"
   },
   {
+    "anonymous": false,
     "inputs": [],
-    "name": "ReentrancyGuardReentrantCall",
-    "type": "error"
+    "name": "SponsorshipCleared",
+    "type": "event"
   },
   {
     "anonymous": false,
@@ -94,17 +957,29 @@ export const CONTRACT_ABI = [
       {
         "indexed": true,
         "internalType": "address",
-        "name": "owner",
+        "name": "winner",
         "type": "address"
       },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "tier",
+        "type": "uint256"
+      },
       {
         "indexed": false,
         "internalType": "uint256",
         "name": "amount",
         "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "roundId",
+        "type": "uint256"
       }
     ],
-    "name": "HouseFundsWithdrawn",
+    "name": "TierPrizeWon",
     "type": "event"
   },
   {
@@ -113,23 +988,17 @@ export const CONTRACT_ABI = [
       {
         "indexed": true,
         "internalType": "address",
-        "name": "winner",
+        "name": "token",
         "type": "address"
       },
       {
-        "indexed": true,
-        "internalType": "uint256",
-        "name": "amount",
-        "type": "uint256"
-      },
-      {
-        "indexed": true,
+        "indexed": false,
         "internalType": "uint256",
-        "name": "timestamp",
+        "name": "shotCost",
         "type": "uint256"
       }
     ],
-    "name": "JackpotWon",
+    "name": "TokenAccepted",
     "type": "event"
   },
   {
@@ -138,30 +1007,48 @@ export const CONTRACT_ABI = [
       {
         "indexed": true,
         "internalType": "address",
-        "name": "previousOwner",
+        "name": "token",
         "type": "address"
       },
       {
         "indexed": true,
         "internalType": "address",
-        "name": "newOwner",
+        "name": "owner",
         "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
       }
     ],
-    "name": "OwnershipTransferred",
+    "name": "TokenHouseFundsWithdrawn",
     "type": "event"
   },
   {
     "anonymous": false,
     "inputs": [
       {
-        "indexed": false,
+        "indexed": true,
         "internalType": "address",
-        "name": "account",
+        "name": "winner",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "token",
         "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
       }
     ],
-    "name": "Paused",
+    "name": "TokenJackpotWon",
     "type": "event"
   },
   {
@@ -170,7 +1057,13 @@ export const CONTRACT_ABI = [
       {
         "indexed": true,
         "internalType": "address",
-        "name": "player",
+        "name": "from",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "token",
         "type": "address"
       },
       {
@@ -180,7 +1073,7 @@ export const CONTRACT_ABI = [
         "type": "uint256"
       }
     ],
-    "name": "PayoutClaimed",
+    "name": "TokenPotSeeded",
     "type": "event"
   },
   {
@@ -192,6 +1085,12 @@ export const CONTRACT_ABI = [
         "name": "player",
         "type": "address"
       },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      },
       {
         "indexed": false,
         "internalType": "uint256",
@@ -199,7 +1098,20 @@ export const CONTRACT_ABI = [
         "type": "uint256"
       }
     ],
-    "name": "PayoutFailed",
+    "name": "TokenShotCommitted",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      }
+    ],
+    "name": "Unpaused",
     "type": "event"
   },
   {
@@ -214,17 +1126,17 @@ export const CONTRACT_ABI = [
       {
         "indexed": true,
         "internalType": "bytes32",
-        "name": "commitment",
+        "name": "voucherId",
         "type": "bytes32"
       },
       {
         "indexed": false,
         "internalType": "uint256",
-        "name": "amount",
+        "name": "price",
         "type": "uint256"
       }
     ],
-    "name": "ShotCommitted",
+    "name": "VoucherRedeemed",
     "type": "event"
   },
   {
@@ -233,81 +1145,151 @@ export const CONTRACT_ABI = [
       {
         "indexed": true,
         "internalType": "address",
-        "name": "player",
+        "name": "signer",
         "type": "address"
-      },
+      }
+    ],
+    "name": "VoucherSignerUpdated",
+    "type": "event"
+  },
+  {
+    "inputs": [],
+    "name": "COMMIT_SHOT_TYPEHASH",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "COOLDOWN_PERIOD",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "HOUSE_ADDRESS",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "HOUSE_PERCENTAGE_BP",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "MAX_BATCH_SHOTS",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "MAX_RECENT_WINNERS",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "MAX_SELF_EXCLUSION",
+    "outputs": [
       {
-        "indexed": true,
         "internalType": "uint256",
-        "name": "amount",
+        "name": "",
         "type": "uint256"
-      },
-      {
-        "indexed": true,
-        "internalType": "bool",
-        "name": "won",
-        "type": "bool"
       }
     ],
-    "name": "ShotRevealed",
-    "type": "event"
+    "stateMutability": "view",
+    "type": "function"
   },
   {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "sponsor",
-        "type": "address"
-      },
-      {
-        "indexed": false,
-        "internalType": "string",
-        "name": "name",
-        "type": "string"
-      },
+    "inputs": [],
+    "name": "MIN_POT_SIZE",
+    "outputs": [
       {
-        "indexed": false,
-        "internalType": "string",
-        "name": "logoUrl",
-        "type": "string"
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
       }
     ],
-    "name": "SponsorshipActivated",
-    "type": "event"
+    "stateMutability": "view",
+    "type": "function"
   },
   {
-    "anonymous": false,
     "inputs": [],
-    "name": "SponsorshipCleared",
-    "type": "event"
+    "name": "MIN_SPONSOR_BID_INCREMENT_BP",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
   },
   {
-    "anonymous": false,
-    "inputs": [
+    "inputs": [],
+    "name": "RANDOMNESS_PROVIDER",
+    "outputs": [
       {
-        "indexed": false,
-        "internalType": "address",
-        "name": "account",
+        "internalType": "contract IRandomnessProvider",
+        "name": "",
         "type": "address"
       }
     ],
-    "name": "Unpaused",
-    "type": "event"
-  },
-  {
-    "stateMutability": "payable",
-    "type": "fallback"
+    "stateMutability": "view",
+    "type": "function"
   },
   {
     "inputs": [],
-    "name": "COOLDOWN_PERIOD",
+    "name": "REVEAL_SHOT_TYPEHASH",
     "outputs": [
       {
-        "internalType": "uint256",
+        "internalType": "bytes32",
         "name": "",
-        "type": "uint256"
+        "type": "bytes32"
       }
     ],
     "stateMutability": "view",
@@ -315,7 +1297,7 @@ export const CONTRACT_ABI = [
   },
   {
     "inputs": [],
-    "name": "HOUSE_PERCENTAGE_BP",
+    "name": "SHOT_COST",
     "outputs": [
       {
         "internalType": "uint256",
@@ -328,12 +1310,12 @@ export const CONTRACT_ABI = [
   },
   {
     "inputs": [],
-    "name": "MAX_RECENT_WINNERS",
+    "name": "SHOT_VOUCHER_TYPEHASH",
     "outputs": [
       {
-        "internalType": "uint256",
+        "internalType": "bytes32",
         "name": "",
-        "type": "uint256"
+        "type": "bytes32"
       }
     ],
     "stateMutability": "view",
@@ -341,7 +1323,7 @@ export const CONTRACT_ABI = [
   },
   {
     "inputs": [],
-    "name": "MIN_POT_SIZE",
+    "name": "SPEND_LIMIT_INCREASE_DELAY",
     "outputs": [
       {
         "internalType": "uint256",
@@ -354,7 +1336,7 @@ export const CONTRACT_ABI = [
   },
   {
     "inputs": [],
-    "name": "SHOT_COST",
+    "name": "SPONSOR_AUCTION_DURATION",
     "outputs": [
       {
         "internalType": "uint256",
@@ -404,6 +1386,24 @@ export const CONTRACT_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "name",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "logoUrl",
+        "type": "string"
+      }
+    ],
+    "name": "bidForSponsorship",
+    "outputs": [],
+    "stateMutability": "payable",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -416,8 +1416,13 @@ export const CONTRACT_ABI = [
     "outputs": [
       {
         "internalType": "bool",
-        "name": "",
+        "name": "allowed",
         "type": "bool"
+      },
+      {
+        "internalType": "enum EthShot.ShotBlock",
+        "name": "reason",
+        "type": "uint8"
       }
     ],
     "stateMutability": "view",
@@ -435,54 +1440,218 @@ export const CONTRACT_ABI = [
     "outputs": [
       {
         "internalType": "bool",
-        "name": "",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "claimPayout",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      }
+    ],
+    "name": "cleanupExpiredPendingShot",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "commitment",
+        "type": "bytes32"
+      }
+    ],
+    "name": "commitFirstShot",
+    "outputs": [],
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "commitment",
+        "type": "bytes32"
+      }
+    ],
+    "name": "commitShot",
+    "outputs": [],
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "commitment",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "uint256",
+        "name": "deadline",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes",
+        "name": "signature",
+        "type": "bytes"
+      }
+    ],
+    "name": "commitShotFor",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "commitment",
+        "type": "bytes32"
+      }
+    ],
+    "name": "commitShotWithToken",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "commitment",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "voucherId",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "uint256",
+        "name": "price",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "deadline",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes",
+        "name": "signature",
+        "type": "bytes"
+      }
+    ],
+    "name": "commitShotWithVoucher",
+    "outputs": [],
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32[]",
+        "name": "commitments",
+        "type": "bytes32[]"
+      }
+    ],
+    "name": "commitShots",
+    "outputs": [],
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "currentRound",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "currentSponsor",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "sponsor",
+        "type": "address"
+      },
+      {
+        "internalType": "string",
+        "name": "name",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "logoUrl",
+        "type": "string"
+      },
+      {
+        "internalType": "uint256",
+        "name": "timestamp",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bool",
+        "name": "active",
         "type": "bool"
       }
     ],
     "stateMutability": "view",
     "type": "function"
   },
-  {
-    "inputs": [],
-    "name": "claimPayout",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "bytes32",
-        "name": "commitment",
-        "type": "bytes32"
-      }
-    ],
-    "name": "commitFirstShot",
-    "outputs": [],
-    "stateMutability": "payable",
-    "type": "function"
-  },
   {
     "inputs": [
       {
-        "internalType": "bytes32",
-        "name": "commitment",
-        "type": "bytes32"
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
       }
     ],
-    "name": "commitShot",
+    "name": "depositForShots",
     "outputs": [],
     "stateMutability": "payable",
     "type": "function"
   },
   {
     "inputs": [],
-    "name": "currentSponsor",
+    "name": "eip712Domain",
     "outputs": [
       {
-        "internalType": "address",
-        "name": "sponsor",
-        "type": "address"
+        "internalType": "bytes1",
+        "name": "fields",
+        "type": "bytes1"
       },
       {
         "internalType": "string",
@@ -491,18 +1660,59 @@ export const CONTRACT_ABI = [
       },
       {
         "internalType": "string",
-        "name": "logoUrl",
+        "name": "version",
         "type": "string"
       },
       {
         "internalType": "uint256",
-        "name": "timestamp",
+        "name": "chainId",
         "type": "uint256"
       },
       {
-        "internalType": "bool",
-        "name": "active",
-        "type": "bool"
+        "internalType": "address",
+        "name": "verifyingContract",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "salt",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "uint256[]",
+        "name": "extensions",
+        "type": "uint256[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "requestId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "randomWord",
+        "type": "uint256"
+      }
+    ],
+    "name": "fulfillRandomness",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "getAcceptedTokens",
+    "outputs": [
+      {
+        "internalType": "address[]",
+        "name": "tokens",
+        "type": "address[]"
       }
     ],
     "stateMutability": "view",
@@ -611,6 +1821,28 @@ export const CONTRACT_ABI = [
         "internalType": "uint256",
         "name": "winChanceBP",
         "type": "uint256"
+      },
+      {
+        "components": [
+          {
+            "internalType": "string",
+            "name": "name",
+            "type": "string"
+          },
+          {
+            "internalType": "uint256",
+            "name": "chanceBP",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "contributionBP",
+            "type": "uint256"
+          }
+        ],
+        "internalType": "struct EthShot.PrizeTier[]",
+        "name": "tiers",
+        "type": "tuple[]"
       }
     ],
     "stateMutability": "view",
@@ -629,6 +1861,43 @@ export const CONTRACT_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [],
+    "name": "getMinimumSponsorBid",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      }
+    ],
+    "name": "getPendingBatch",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "blockNumber",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bool[]",
+        "name": "pending",
+        "type": "bool[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -753,6 +2022,176 @@ export const CONTRACT_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      }
+    ],
+    "name": "getResponsiblePlay",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "excludedUntil",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "dailyLimit",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "spentToday",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "pendingLimit",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "pendingFrom",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "roundId",
+        "type": "uint256"
+      }
+    ],
+    "name": "getRound",
+    "outputs": [
+      {
+        "components": [
+          {
+            "internalType": "uint256",
+            "name": "startTime",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "endTime",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "startBlock",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "endBlock",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "shotCount",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "potAmount",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "payout",
+            "type": "uint256"
+          },
+          {
+            "internalType": "address",
+            "name": "winner",
+            "type": "address"
+          }
+        ],
+        "internalType": "struct EthShot.Round",
+        "name": "",
+        "type": "tuple"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "getTestModeConfig",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "isTestMode",
+        "type": "bool"
+      },
+      {
+        "internalType": "bool",
+        "name": "isFiftyPercentMode",
+        "type": "bool"
+      },
+      {
+        "internalType": "uint256",
+        "name": "currentChainId",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "getTierPots",
+    "outputs": [
+      {
+        "internalType": "uint256[]",
+        "name": "pots",
+        "type": "uint256[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      }
+    ],
+    "name": "getTokenPot",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "shotCost",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "pot",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "tokenHouseFunds",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -791,6 +2230,38 @@ export const CONTRACT_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "newContract",
+        "type": "address"
+      }
+    ],
+    "name": "migratePot",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      }
+    ],
+    "name": "nonces",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [],
     "name": "owner",
@@ -892,6 +2363,25 @@ export const CONTRACT_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "name": "redeemedVouchers",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [],
     "name": "renounceOwnership",
@@ -899,6 +2389,24 @@ export const CONTRACT_ABI = [
     "stateMutability": "nonpayable",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "index",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "secret",
+        "type": "uint256"
+      }
+    ],
+    "name": "revealBatchShot",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -915,12 +2423,88 @@ export const CONTRACT_ABI = [
   {
     "inputs": [
       {
-        "internalType": "bool",
-        "name": "_testMode",
-        "type": "bool"
+        "internalType": "address",
+        "name": "player",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "secret",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "deadline",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes",
+        "name": "signature",
+        "type": "bytes"
+      }
+    ],
+    "name": "revealShotFor",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "seedPot",
+    "outputs": [],
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "seedTokenPot",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "shotCost",
+        "type": "uint256"
+      }
+    ],
+    "name": "setAcceptedToken",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
       }
     ],
-    "name": "setTestMode",
+    "name": "setDailySpendLimit",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
@@ -929,17 +2513,73 @@ export const CONTRACT_ABI = [
     "inputs": [
       {
         "internalType": "uint256",
-        "name": "_winningNumber",
+        "name": "duration",
         "type": "uint256"
       }
     ],
-    "name": "setWinningNumber",
+    "name": "setSelfExclusion",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "signer",
+        "type": "address"
+      }
+    ],
+    "name": "setVoucherSigner",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "settleSponsorAuction",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
   },
   {
     "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "shotDeposits",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "sponsorAuction",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "highestBidder",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "highestBid",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "endTime",
+        "type": "uint256"
+      },
       {
         "internalType": "string",
         "name": "name",
@@ -951,19 +2591,17 @@ export const CONTRACT_ABI = [
         "type": "string"
       }
     ],
-    "name": "sponsorRound",
-    "outputs": [],
-    "stateMutability": "payable",
+    "stateMutability": "view",
     "type": "function"
   },
   {
     "inputs": [],
-    "name": "testMode",
+    "name": "totalWinners",
     "outputs": [
       {
-        "internalType": "bool",
+        "internalType": "uint256",
         "name": "",
-        "type": "bool"
+        "type": "uint256"
       }
     ],
     "stateMutability": "view",
@@ -989,6 +2627,32 @@ export const CONTRACT_ABI = [
     "stateMutability": "nonpayable",
     "type": "function"
   },
+  {
+    "inputs": [],
+    "name": "usesRandomnessOracle",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "voucherSigner",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [],
     "name": "withdrawHouseFunds",
@@ -997,17 +2661,60 @@ export const CONTRACT_ABI = [
     "type": "function"
   },
   {
-    "stateMutability": "payable",
-    "type": "receive"
+    "inputs": [],
+    "name": "withdrawShotDeposit",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      }
+    ],
+    "name": "withdrawTokenHouseFunds",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
   }
 ];
 
 // Cryptocurrency types
 export const CRYPTO_TYPES = {
   ETH: 'ETH',
+  USDC: 'USDC',
   SOL: 'SOL'
 };
 
+// ERC-20 tokens accepted by the EthShot contract - each plays for its own pot
+// on the same contract as ETH, so it is only available once its address is set
+export const TOKEN_CONFIGS = {
+  [CRYPTO_TYPES.USDC]: {
+    name: 'USD Coin',
+    symbol: 'USDC',
+    decimals: parseInt(import.meta.env.VITE_USDC_DECIMALS || '6'),
+    tokenAddress: (import.meta.env.VITE_USDC_TOKEN_ADDRESS || '').trim(),
+    shotCost: import.meta.env.VITE_USDC_SHOT_COST || '1'
+  }
+};
+
+/**
+ * Check whether a cryptocurrency type is an ERC-20 token pot
+ * @param {string} cryptoType - Type of cryptocurrency
+ * @returns {boolean} True for ERC-20 token types
+ */
+export const isTokenCrypto = (cryptoType) => cryptoType in TOKEN_CONFIGS;
+
+/**
+ * Get the ERC-20 token types that have a token address configured
+ * @returns {string[]} Enabled token crypto types
+ */
+export const getEnabledTokenCryptos = () =>
+  Object.keys(TOKEN_CONFIGS).filter((cryptoType) => TOKEN_CONFIGS[cryptoType].tokenAddress);
+
 // Wallet provider types
 export const WALLET_PROVIDERS = {
   METAMASK: 'metamask',
@@ -1049,6 +2756,7 @@ export const NETWORKS = {
 export const DEFAULT_CONFIG = {
   network: 'sepolia',
   contractAddress: (import.meta.env.VITE_CONTRACT_ADDRESS || '').trim(),
+  multicallAddress: (import.meta.env.VITE_MULTICALL_ADDRESS || '').trim(), // Empty: canonical Multicall3
   shotCost: import.meta.env.VITE_SHOT_COST_ETH || '0.0005',
   sponsorCost: import.meta.env.VITE_SPONSOR_COST_ETH || '0.001',
   cooldownPeriod: parseInt(import.meta.env.VITE_COOLDOWN_HOURS || '1') * 3600 // Convert hours to seconds
@@ -1069,12 +2777,32 @@ export const getCryptoConfig = (cryptoType) => {
         decimals: 18,
         contractAbi: CONTRACT_ABI,
         contractAddress: DEFAULT_CONFIG.contractAddress,
+        contractConfig: { address: DEFAULT_CONFIG.contractAddress, abi: CONTRACT_ABI, multicallAddress: DEFAULT_CONFIG.multicallAddress },
+        paymentToken: null,
         network: DEFAULT_CONFIG.network,
         networks: NETWORKS,
         shotCost: DEFAULT_CONFIG.shotCost,
         sponsorCost: DEFAULT_CONFIG.sponsorCost,
         cooldownPeriod: DEFAULT_CONFIG.cooldownPeriod
       };
+    case CRYPTO_TYPES.USDC: {
+      const token = TOKEN_CONFIGS[cryptoType];
+      return {
+        type: cryptoType,
+        name: token.name,
+        symbol: token.symbol,
+        decimals: token.decimals,
+        contractAbi: CONTRACT_ABI,
+        contractAddress: DEFAULT_CONFIG.contractAddress,
+        contractConfig: { address: DEFAULT_CONFIG.contractAddress, abi: CONTRACT_ABI, multicallAddress: DEFAULT_CONFIG.multicallAddress },
+        paymentToken: token.tokenAddress,
+        network: DEFAULT_CONFIG.network,
+        networks: NETWORKS,
+        shotCost: token.shotCost, // In token units; the contract's getTokenPot is authoritative
+        sponsorCost: DEFAULT_CONFIG.sponsorCost, // Sponsorships are always paid in ETH
+        cooldownPeriod: DEFAULT_CONFIG.cooldownPeriod // Shared with ETH shots
+      };
+    }
     case CRYPTO_TYPES.SOL:
       return {
         type: CRYPTO_TYPES.SOL,
@@ -1115,6 +2843,7 @@ export const getCryptoGameConfig = (cryptoType) => {
     contractAddress: cryptoConfig.contractAddress,
     network: cryptoConfig.network,
     symbol: cryptoConfig.symbol,
-    decimals: cryptoConfig.decimals
+    decimals: cryptoConfig.decimals,
+    paymentToken: cryptoConfig.paymentToken || null
   };
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Keeper Reveal Escrow
+ *
+ * Encrypts a player's signed RevealShot request to the auto-reveal keeper so it can
+ * reveal an abandoned shot on the player's behalf (ECDH P-256 + AES-GCM via WebCrypto,
+ * which works in both the browser and Node). Only the keeper's private key can open
+ * an escrow; the server just stores the ciphertext.
+ */
+
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+const AES_PARAMS = { name: 'AES-GCM', length: 256 };
+
+// How long a reveal request escrowed with the keeper stays valid
+export const KEEPER_REVEAL_TTL_SECONDS = 60 * 60;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (value) => Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+const importPublicKey = (jwk) => crypto.subtle.importKey('jwk', jwk, ECDH_PARAMS, true, []);
+const importPrivateKey = (jwk) => crypto.subtle.importKey('jwk', jwk, ECDH_PARAMS, false, ['deriveKey']);
+
+const deriveAesKey = (privateKey, publicKey, usage) =>
+  crypto.subtle.deriveKey({ name: 'ECDH', public: publicKey }, privateKey, AES_PARAMS, false, [usage]);
+
+/**
+ * Generate a keeper encryption key pair
+ * @returns {Promise<{publicKey: Object, privateKey: Object}>} JWK key pair
+ */
+export const generateKeeperKeyPair = async () => {
+  const keyPair = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveKey']);
+  return {
+    publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+    privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+  };
+};
+
+/**
+ * Encrypt a payload to the keeper's public key
+ * @param {Object} keeperPublicKey - Keeper public key (JWK)
+ * @param {Object} payload - JSON-serializable data, e.g. { player, secret, nonce, deadline, signature }
+ * @returns {Promise<{ephemeralPublicKey: Object, iv: string, ciphertext: string}>} Escrow envelope
+ */
+export const encryptForKeeper = async (keeperPublicKey, payload) => {
+  const ephemeral = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveKey']);
+  const aesKey = await deriveAesKey(ephemeral.privateKey, await importPublicKey(keeperPublicKey), 'encrypt');
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    aesKey,
+    new TextEncoder().encode(JSON.stringify(payload))
+  );
+
+  return {
+    ephemeralPublicKey: await crypto.subtle.exportKey('jwk', ephemeral.publicKey),
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext)
+  };
+};
+
+/**
+ * Decrypt an escrow envelope with the keeper's private key
+ * @param {Object} keeperPrivateKey - Keeper private key (JWK)
+ * @param {Object} envelope - Envelope from encryptForKeeper
+ * @returns {Promise<Object>} Decrypted payload
+ * @throws {Error} If the envelope was not encrypted to this key or was tampered with
+ */
+export const decryptKeeperEscrow = async (keeperPrivateKey, envelope) => {
+  const aesKey = await deriveAesKey(
+    await importPrivateKey(keeperPrivateKey),
+    await importPublicKey(envelope.ephemeralPublicKey),
+    'decrypt'
+  );
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+    aesKey,
+    fromBase64(envelope.ciphertext)
+  );
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
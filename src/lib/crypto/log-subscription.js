@@ -0,0 +1,221 @@
+/**
+ * Contract Log Subscription
+ *
+ * Streams a contract's logs over eth_subscribe when a WebSocket endpoint is configured, or
+ * by polling eth_getFilterChanges against an installed filter otherwise. Either way only
+ * new logs cross the wire. Callers are told when the stream drops so they can poll game
+ * state until it reconnects, and should resync once it is live again since logs emitted
+ * while it was down are not replayed.
+ */
+
+export const SUBSCRIPTION_STATUS = {
+  CONNECTING: 'connecting',
+  LIVE: 'live',
+  DISCONNECTED: 'disconnected',
+  STOPPED: 'stopped'
+};
+
+export const SUBSCRIPTION_TRANSPORTS = {
+  WEBSOCKET: 'websocket',
+  FILTER: 'filter'
+};
+
+const { CONNECTING, LIVE, DISCONNECTED, STOPPED } = SUBSCRIPTION_STATUS;
+
+/**
+ * Create a log subscription for one contract
+ * @param {Object} options - Subscription options
+ * @param {string} options.address - Contract address to watch
+ * @param {Function} options.onLogs - Called with an array of raw logs (removed: true on reorgs)
+ * @param {Function} [options.onStatusChange] - Called with (status, error) on every status change
+ * @param {string} [options.wsUrl] - WebSocket JSON-RPC endpoint; without one, filters are polled
+ * @param {Function} [options.WebSocketImpl] - WebSocket constructor (the browser's by default)
+ * @param {Function} [options.request] - Sends a JSON-RPC request: (method, params) => Promise;
+ *   must stay on one node, since filters are not shared between nodes
+ * @param {number} [options.pollIntervalMs] - eth_getFilterChanges interval
+ * @param {number} [options.reconnectDelayMs] - First reconnect delay, doubled after each failure
+ * @param {number} [options.maxReconnectDelayMs] - Reconnect delay cap
+ * @returns {Object} { start, stop, getStatus, transport }
+ */
+export const createLogSubscription = ({
+  address,
+  onLogs,
+  onStatusChange = () => {},
+  wsUrl = null,
+  WebSocketImpl = globalThis.WebSocket,
+  request = null,
+  pollIntervalMs = 4000,
+  reconnectDelayMs = 1000,
+  maxReconnectDelayMs = 30000
+}) => {
+  const transport = wsUrl && WebSocketImpl ? SUBSCRIPTION_TRANSPORTS.WEBSOCKET : SUBSCRIPTION_TRANSPORTS.FILTER;
+  if (transport === SUBSCRIPTION_TRANSPORTS.FILTER && !request) {
+    throw new Error('A WebSocket URL or a request function is required to watch contract logs');
+  }
+
+  let status = STOPPED;
+  let socket = null;
+  let filterId = null;
+  let pollTimer = null;
+  let reconnectTimer = null;
+  let failures = 0;
+  let nextRequestId = 0;
+  // Bumped on every (re)connect and stop, so callbacks from an old connection are ignored
+  let generation = 0;
+
+  const setStatus = (next, error = null) => {
+    if (status === next) return;
+    status = next;
+    onStatusChange(next, error);
+  };
+
+  const markLive = () => {
+    failures = 0;
+    setStatus(LIVE);
+  };
+
+  const scheduleReconnect = (error) => {
+    if (status === STOPPED) return;
+    setStatus(DISCONNECTED, error);
+
+    const delay = Math.min(reconnectDelayMs * 2 ** failures, maxReconnectDelayMs);
+    failures++;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const connectWebSocket = (current) => {
+    const ws = new WebSocketImpl(wsUrl);
+    const subscribeRequestId = ++nextRequestId;
+    let subscriptionId = null;
+    let lastError = null;
+    socket = ws;
+
+    ws.onopen = () => {
+      ws.send(JSON.stringify({
+        jsonrpc: '2.0',
+        id: subscribeRequestId,
+        method: 'eth_subscribe',
+        params: ['logs', { address }]
+      }));
+    };
+
+    ws.onmessage = (event) => {
+      if (current !== generation) return;
+      let message;
+      try {
+        message = JSON.parse(typeof event.data === 'string' ? event.data : event.data.toString());
+      } catch {
+        return;
+      }
+
+      if (message.id === subscribeRequestId) {
+        if (message.error) {
+          // The endpoint does not support log subscriptions; onclose schedules the retry
+          lastError = new Error(message.error.message || 'eth_subscribe failed');
+          ws.close();
+          return;
+        }
+        subscriptionId = message.result;
+        markLive();
+        return;
+      }
+
+      if (message.method === 'eth_subscription' && message.params?.subscription === subscriptionId) {
+        onLogs([message.params.result]);
+      }
+    };
+
+    // Errors are always followed by close, which decides whether to reconnect
+    ws.onerror = (event) => {
+      lastError = event?.error || new Error('WebSocket error');
+    };
+
+    ws.onclose = () => {
+      if (current !== generation) return;
+      socket = null;
+      scheduleReconnect(lastError || new Error('WebSocket closed'));
+    };
+  };
+
+  const poll = async (current) => {
+    try {
+      const logs = await request('eth_getFilterChanges', [filterId]);
+      if (current !== generation) return;
+      if (logs?.length) onLogs(logs);
+      pollTimer = setTimeout(() => poll(current), pollIntervalMs);
+    } catch (error) {
+      // Nodes drop filters that are not polled for a while; install a new one
+      if (current !== generation) return;
+      filterId = null;
+      scheduleReconnect(error);
+    }
+  };
+
+  const connectFilter = async (current) => {
+    try {
+      const id = await request('eth_newFilter', [{ address, fromBlock: 'latest' }]);
+      if (current !== generation) {
+        request('eth_uninstallFilter', [id]).catch(() => {});
+        return;
+      }
+      filterId = id;
+      markLive();
+      pollTimer = setTimeout(() => poll(current), pollIntervalMs);
+    } catch (error) {
+      if (current !== generation) return;
+      scheduleReconnect(error);
+    }
+  };
+
+  const connect = () => {
+    reconnectTimer = null;
+    const current = ++generation;
+
+    if (transport === SUBSCRIPTION_TRANSPORTS.WEBSOCKET) {
+      connectWebSocket(current);
+    } else {
+      connectFilter(current);
+    }
+  };
+
+  /**
+   * Start (or restart after stop) watching logs
+   */
+  const start = () => {
+    if (status !== STOPPED) return;
+    failures = 0;
+    setStatus(CONNECTING);
+    connect();
+  };
+
+  /**
+   * Stop watching logs and release the socket or filter
+   */
+  const stop = () => {
+    if (status === STOPPED) return;
+    generation++;
+    clearTimeout(reconnectTimer);
+    clearTimeout(pollTimer);
+    reconnectTimer = null;
+    pollTimer = null;
+
+    if (socket) {
+      socket.close();
+      socket = null;
+    }
+    if (filterId) {
+      request('eth_uninstallFilter', [filterId]).catch(() => {});
+      filterId = null;
+    }
+
+    setStatus(STOPPED);
+  };
+
+  return {
+    start,
+    stop,
+    getStatus: () => status,
+    transport
+  };
+};
@@ -0,0 +1,152 @@
+/**
+ * Multicall3 Read Batching
+ *
+ * Bundles contract reads into a single Multicall3 aggregate3 eth_call. Reads queued in the
+ * same tick (e.g. game state and player data during one refresh) share one batch, and every
+ * read is sent with allowFailure so a reverting getter only fails its own result.
+ */
+
+import { ethers } from 'ethers';
+
+// Deployed at the same address on mainnet, Sepolia, Base and most other EVM chains
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+export const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getBlockNumber() view returns (uint256 blockNumber)',
+  'function getCurrentBlockTimestamp() view returns (uint256 timestamp)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+/**
+ * Describe a contract read for a batch
+ * @param {ethers.Contract} contract - Contract to read (only its address and interface are used)
+ * @param {string} method - View function name
+ * @param {Array} params - Function arguments
+ * @returns {Object} { target, iface, method, params }
+ */
+export const contractRead = (contract, method, params = []) => ({
+  target: contract.target,
+  iface: contract.interface,
+  method,
+  params
+});
+
+/**
+ * Decode the raw outcome of one read
+ * @param {Object} read - Read descriptor (see contractRead)
+ * @param {boolean} success - Whether the call succeeded
+ * @param {string} returnData - Return data, or revert data when the call failed
+ * @returns {Object} { success: true, value } or { success: false, error }
+ * @notice Single-output functions are unwrapped the same way ethers.Contract does
+ */
+const decodeRead = (read, success, returnData) => {
+  if (!success) {
+    // Keep the revert data on the error so decodeRevert can explain it
+    const error = new Error(`${read.method} reverted`);
+    error.data = returnData;
+    return { success: false, error };
+  }
+
+  try {
+    const result = read.iface.decodeFunctionResult(read.method, returnData);
+    return { success: true, value: result.length === 1 ? result[0] : result };
+  } catch (error) {
+    // Empty return data: the target has no such function (e.g. an older deployment)
+    return { success: false, error };
+  }
+};
+
+/**
+ * Create a read batcher
+ * @param {Object} options - Batcher options
+ * @param {Function} options.call - Sends an eth_call: ({ to, data }) => Promise<string> (hex result)
+ * @param {string} [options.address] - Multicall3 address (canonical by default)
+ * @param {number} [options.batchWindowMs] - How long to collect reads before sending a batch
+ * @returns {Object} { read, address, isAvailable }
+ */
+export const createMulticall = ({ call, address = MULTICALL3_ADDRESS, batchWindowMs = 0 }) => {
+  let queue = [];
+  let timer = null;
+  let available = true;
+
+  const aggregate = async (reads) => {
+    const calls = reads.map((read) => ({
+      target: read.target,
+      allowFailure: true,
+      callData: read.iface.encodeFunctionData(read.method, read.params)
+    }));
+    const result = await call({ to: address, data: multicallInterface.encodeFunctionData('aggregate3', [calls]) });
+
+    // A call to an address without code succeeds with empty data
+    if (!result || result === '0x') {
+      return null;
+    }
+
+    const [results] = multicallInterface.decodeFunctionResult('aggregate3', result);
+    return results.map(({ success, returnData }, i) => decodeRead(reads[i], success, returnData));
+  };
+
+  // Fallback for networks without Multicall3: one eth_call per read, failures still isolated
+  const readIndividually = (reads) => Promise.all(reads.map(async (read) => {
+    try {
+      const result = await call({ to: read.target, data: read.iface.encodeFunctionData(read.method, read.params) });
+      return decodeRead(read, true, result);
+    } catch (error) {
+      return { success: false, error };
+    }
+  }));
+
+  const flush = async () => {
+    const batch = queue;
+    queue = [];
+    timer = null;
+
+    const reads = batch.flatMap((entry) => entry.reads);
+    let results;
+    try {
+      results = available ? await aggregate(reads) : null;
+      if (!results) {
+        if (available) {
+          console.warn(`Multicall3 is not deployed at ${address}; falling back to individual calls`);
+          available = false;
+        }
+        results = await readIndividually(reads);
+      }
+    } catch (error) {
+      // The batch itself failed (rate limit, network error): every caller retries on its own
+      batch.forEach((entry) => entry.reject(error));
+      return;
+    }
+
+    let offset = 0;
+    for (const entry of batch) {
+      entry.resolve(results.slice(offset, offset + entry.reads.length));
+      offset += entry.reads.length;
+    }
+  };
+
+  /**
+   * Queue reads for the next batch
+   * @param {Object} reads - Read descriptors by key, e.g. { shotCost: contractRead(contract, 'SHOT_COST') }
+   * @returns {Promise<Object>} Results by the same keys, each { success, value } or { success, error }
+   */
+  const read = async (reads) => {
+    const keys = Object.keys(reads);
+    if (keys.length === 0) return {};
+
+    const results = await new Promise((resolve, reject) => {
+      queue.push({ reads: keys.map((key) => reads[key]), resolve, reject });
+      timer ??= setTimeout(flush, batchWindowMs);
+    });
+    return Object.fromEntries(keys.map((key, i) => [key, results[i]]));
+  };
+
+  return {
+    read,
+    address,
+    isAvailable: () => available
+  };
+};
@@ -0,0 +1,128 @@
+/**
+ * RPC Provider Selection
+ *
+ * Latency tracking, weighted round-robin and quorum matching for RPCProviderManager.
+ * Kept free of provider and config imports so the selection rules can be tested alone.
+ */
+
+// Latency assumed for providers that have not answered yet, and the floor for weighting
+export const REFERENCE_LATENCY_MS = 250;
+const MIN_LATENCY_MS = 10;
+
+/**
+ * Fold a latency sample into an exponentially weighted moving average
+ * @param {number|null} average - Current average (null before the first sample)
+ * @param {number} sample - Observed latency in ms
+ * @param {number} [alpha] - Weight of the new sample
+ * @returns {number} Updated average
+ */
+export const updateLatency = (average, sample, alpha = 0.3) =>
+  average == null ? sample : Math.round(alpha * sample + (1 - alpha) * average);
+
+/**
+ * Weight of a provider: its priority, scaled up when it answers faster than the reference
+ * latency and down when slower
+ * @param {Object} config - Provider configuration ({ priority, latencyMs })
+ * @returns {number} Weight (> 0)
+ */
+export const providerWeight = (config) =>
+  (config.priority || 1) * REFERENCE_LATENCY_MS / Math.max(config.latencyMs ?? REFERENCE_LATENCY_MS, MIN_LATENCY_MS);
+
+/**
+ * Create a smooth weighted round-robin picker: over time each provider gets a share of
+ * picks proportional to its weight, without sending runs of requests to the same one
+ * @param {Function} [weightOf] - Weight of a provider configuration
+ * @returns {Function} pick(configs) => config or null
+ */
+export const createWeightedRoundRobin = (weightOf = providerWeight) => {
+  const currentWeights = new WeakMap();
+
+  return (configs) => {
+    let total = 0;
+    let best = null;
+
+    for (const config of configs) {
+      const weight = weightOf(config);
+      const current = (currentWeights.get(config) || 0) + weight;
+      currentWeights.set(config, current);
+      total += weight;
+      if (!best || current > currentWeights.get(best)) {
+        best = config;
+      }
+    }
+
+    if (best) {
+      currentWeights.set(best, currentWeights.get(best) - total);
+    }
+    return best;
+  };
+};
+
+// Stable form of an RPC result for comparison (bigint-safe, key order independent)
+const canonical = (value) => JSON.stringify(value, (key, item) => {
+  if (typeof item === 'bigint') return item.toString();
+  if (item && typeof item === 'object' && !Array.isArray(item)) {
+    return Object.fromEntries(Object.keys(item).sort().map((name) => [name, item[name]]));
+  }
+  return item;
+});
+
+/**
+ * Find a result that enough providers agree on
+ * @param {Array} responses - { provider, value } for each provider that answered
+ * @param {number} quorum - Number of identical answers required
+ * @returns {Object|null} { value, providers } for the agreed value, or null
+ */
+export const findQuorum = (responses, quorum) => {
+  const groups = new Map();
+
+  for (const response of responses) {
+    const key = canonical(response.value);
+    const group = groups.get(key) || { value: response.value, providers: [] };
+    group.providers.push(response.provider);
+    groups.set(key, group);
+    if (group.providers.length >= quorum) {
+      return group;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Ask providers in order until enough of them agree: the first `quorum` at once, then one
+ * more for each failure or disagreement
+ * @param {Array} candidates - Provider configurations in the order to ask them ({ name })
+ * @param {number} quorum - Number of identical answers required
+ * @param {Function} ask - (config) => Promise of that provider's answer
+ * @returns {Promise<Object>} { value, providers, responses } for the agreed value
+ * @throws {Error} When the candidates run out first (error.responses and error.errors attached)
+ */
+export const requestWithQuorum = async (candidates, quorum, ask) => {
+  const responses = [];
+  const errors = [];
+
+  const askProvider = async (config) => {
+    try {
+      responses.push({ provider: config.name, value: await ask(config) });
+    } catch (error) {
+      errors.push({ provider: config.name, error: error.message });
+    }
+  };
+
+  await Promise.all(candidates.slice(0, quorum).map(askProvider));
+  let agreed = findQuorum(responses, quorum);
+  for (let next = quorum; !agreed && next < candidates.length; next++) {
+    await askProvider(candidates[next]);
+    agreed = findQuorum(responses, quorum);
+  }
+
+  if (!agreed) {
+    const error = new Error(`${quorum} RPC providers did not agree (${responses.length} answered, ${errors.length} failed)`);
+    error.responses = responses;
+    error.errors = errors;
+    throw error;
+  }
+
+  return { ...agreed, responses };
+};
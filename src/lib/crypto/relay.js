@@ -0,0 +1,59 @@
+/**
+ * Relayed Shot Requests (EIP-712)
+ *
+ * Typed-data definitions shared by the browser (signing) and the relayer API
+ * (verification) for gasless commitShotFor / revealShotFor calls. Must stay in
+ * sync with COMMIT_SHOT_TYPEHASH and REVEAL_SHOT_TYPEHASH in EthShot.sol.
+ */
+
+export const RELAY_REQUEST_TYPES = {
+  commit: {
+    CommitShot: [
+      { name: 'player', type: 'address' },
+      { name: 'commitment', type: 'bytes32' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  reveal: {
+    RevealShot: [
+      { name: 'player', type: 'address' },
+      { name: 'secret', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  }
+};
+
+// How long a signed request stays valid
+export const RELAY_REQUEST_TTL_SECONDS = 10 * 60;
+
+/**
+ * Build the EIP-712 domain of an EthShot deployment
+ * @param {number|bigint} chainId - Chain the contract is deployed on
+ * @param {string} contractAddress - EthShot contract address
+ * @returns {Object} Typed-data domain
+ */
+export const buildRelayDomain = (chainId, contractAddress) => ({
+  name: 'EthShot',
+  version: '1',
+  chainId: BigInt(chainId),
+  verifyingContract: contractAddress
+});
+
+/**
+ * Sign a relayed commit or reveal request with the player's wallet
+ * @param {Object} params
+ * @param {Object} params.signer - Ethers signer of the player
+ * @param {string} params.type - 'commit' or 'reveal'
+ * @param {Object} params.domain - Domain from buildRelayDomain
+ * @param {Object} params.request - { player, commitment | secret, nonce, deadline }
+ * @returns {Promise<string>} Signature
+ */
+export const signRelayRequest = async ({ signer, type, domain, request }) => {
+  const types = RELAY_REQUEST_TYPES[type];
+  if (!types) {
+    throw new Error(`Unknown relay request type: ${type}`);
+  }
+  return signer.signTypedData(domain, types, request);
+};
@@ -0,0 +1,216 @@
+/**
+ * EthShot Revert Decoder
+ *
+ * Turns a failed call or transaction into a typed revert ({ name, args, category, message })
+ * from the revert data itself rather than the error text, which differs between wallets
+ * and RPC providers. Handles the custom errors declared in contracts/EthShot.sol and
+ * contracts/EthShotTimelock.sol as well as plain Error(string) and Panic(uint256) reverts.
+ */
+
+import { ethers } from 'ethers';
+
+// What the player can do about a revert; EthShotErrorMessage picks its styling from this
+export const REVERT_CATEGORIES = {
+  COOLDOWN: 'cooldown',
+  PENDING_SHOT: 'pending_shot',
+  REVEAL: 'reveal',
+  RESPONSIBLE_PLAY: 'responsible_play',
+  PAYMENT: 'payment',
+  SIGNATURE: 'signature',
+  GAME: 'game',
+  ADMIN: 'admin',
+  UNKNOWN: 'unknown'
+};
+
+const { COOLDOWN, PENDING_SHOT, REVEAL, RESPONSIBLE_PLAY, PAYMENT, SIGNATURE, GAME, ADMIN, UNKNOWN } = REVERT_CATEGORIES;
+
+// ABI-encoded revert data: a 4-byte selector followed by whole 32-byte words
+const REVERT_DATA_PATTERN = /^0x[0-9a-f]{8}(?:[0-9a-f]{64})*$/i;
+
+// Error properties that hold the request or mined logs rather than the revert
+const SKIPPED_KEYS = new Set(['transaction', 'tx', 'receipt', 'logs', 'request', 'payload', 'params']);
+
+const MAX_SEARCH_DEPTH = 6;
+
+/**
+ * Format a number of seconds as e.g. "1h 5m", "2m 30s" or "45s"
+ * @param {bigint|number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+const formatDuration = (seconds) => {
+  const total = Number(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${total % 60}s`;
+  return `${total}s`;
+};
+
+const formatEth = (wei) => `${ethers.formatEther(wei)} ETH`;
+
+const REVERTS = {
+  // Shots
+  CooldownActive: [COOLDOWN, ({ remaining }) => `You're on cooldown. Your next shot unlocks in ${formatDuration(remaining)}.`],
+  PendingShotExists: [PENDING_SHOT, () => 'You have a pending shot. Reveal it (or wait for it to expire) before taking another.'],
+  NoPendingShot: [REVEAL, () => 'There is no pending shot to reveal. It may already have been revealed or cleaned up.'],
+  PendingShotNotExpired: [REVEAL, () => 'This pending shot has not expired yet, so it cannot be cleaned up.'],
+  RevealDelayNotElapsed: [REVEAL, () => 'The reveal window has not opened yet. Wait a block and try again.'],
+  RevealWindowExpired: [REVEAL, () => 'The reveal window for this shot has closed. Clean up the expired shot to play again.'],
+  InvalidSecret: [REVEAL, () => 'The saved secret does not match your committed shot.'],
+  SettledByOracle: [REVEAL, () => 'Shots are settled automatically by the randomness oracle, so there is nothing to reveal.'],
+  InvalidCommitment: [GAME, () => 'The shot commitment is invalid. Please try again.'],
+  InvalidBatchSize: [GAME, () => 'That number of shots cannot be bundled together.'],
+  NotFirstShot: [GAME, () => 'The pot is no longer empty. Take a regular shot instead.'],
+  NotEOA: [GAME, () => 'Shots must be sent directly from a wallet, not through another contract.'],
+  EnforcedPause: [GAME, () => 'The game is paused. Shots will reopen when it resumes.'],
+  OnlyRandomnessProvider: [GAME, () => 'Only the randomness provider can settle oracle shots.'],
+
+  // Payments
+  IncorrectPayment: [PAYMENT, ({ expected }) => `Incorrect payment. This costs exactly ${formatEth(expected)}.`],
+  PaymentTooLow: [PAYMENT, ({ minimum }) => `Payment too low. The minimum is ${formatEth(minimum)}.`],
+  BidTooLow: [PAYMENT, ({ minimum }) => `Bid too low. The minimum bid is ${formatEth(minimum)}.`],
+  TokenNotAccepted: [PAYMENT, () => 'This token is not accepted for shots.'],
+  VoucherAlreadyRedeemed: [PAYMENT, () => 'This voucher has already been redeemed.'],
+  NoPendingPayout: [PAYMENT, () => 'You have no failed payout to claim.'],
+  InsufficientShotDeposit: [PAYMENT, ({ required }) => `Your shot deposit does not cover a relayed shot (${formatEth(required)}). Top it up first.`],
+  NoShotDeposit: [PAYMENT, () => 'You have no shot deposit to withdraw.'],
+  TransferFailed: [PAYMENT, () => 'The ETH transfer failed. Please try again.'],
+
+  // Relayed requests and vouchers
+  SignatureExpired: [SIGNATURE, () => 'The signed request has expired. Please sign it again.'],
+  InvalidSignature: [SIGNATURE, () => 'The signature does not match this request.'],
+
+  // Responsible play
+  SelfExcluded: [RESPONSIBLE_PLAY, ({ until }) =>
+    `You have self-excluded from playing until ${new Date(Number(until) * 1000).toLocaleString()}.`],
+  DailySpendLimitReached: [RESPONSIBLE_PLAY, ({ remaining }) =>
+    `This shot would go over your daily spending limit (${formatEth(remaining)} left today). It resets at 00:00 UTC.`],
+  InvalidExclusionPeriod: [RESPONSIBLE_PLAY, () => 'Choose a self-exclusion period within the allowed range.'],
+  InvalidSpendLimit: [RESPONSIBLE_PLAY, () => 'That daily spending limit is too large.'],
+
+  // Sponsorship and rounds
+  InvalidSponsorName: [GAME, () => 'The sponsor name must be between 1 and 50 characters.'],
+  InvalidLogoUrl: [GAME, () => 'The logo URL must be between 1 and 200 characters.'],
+  AuctionNotEnded: [GAME, () => 'The sponsor auction has not ended yet.'],
+  RoundDoesNotExist: [GAME, ({ roundId }) => `Round ${roundId} does not exist.`],
+
+  // Admin
+  OwnableUnauthorizedAccount: [ADMIN, () => 'Only the contract owner can do this.'],
+  ExpectedPause: [ADMIN, () => 'Pause the contract first.'],
+  NoHouseFunds: [ADMIN, () => 'There are no house funds to withdraw.'],
+  PotMigrationFailed: [ADMIN, () => 'The new contract did not accept the pot.'],
+  TestModeNotEnabled: [ADMIN, () => 'Enable test mode first.'],
+
+  // Timelock
+  NotApprover: [ADMIN, () => 'Only timelock approvers can do this.'],
+  OnlyTimelock: [ADMIN, () => 'Timelock settings can only change through a queued action.'],
+  InvalidTarget: [ADMIN, () => 'The timelock only queues calls to EthShot or to itself.'],
+  UnknownAction: [ADMIN, ({ id }) => `Timelock action #${id} does not exist.`],
+  ActionNotPending: [ADMIN, ({ id }) => `Timelock action #${id} was already executed or cancelled.`],
+  AlreadyApproved: [ADMIN, ({ id }) => `You have already approved timelock action #${id}.`],
+  NotEnoughApprovals: [ADMIN, ({ approvals, required }) =>
+    `This action has ${approvals} of the ${required} approvals it needs.`],
+  ActionTimelocked: [ADMIN, ({ eta }) =>
+    `This action is timelocked until ${new Date(Number(eta) * 1000).toLocaleString()}.`],
+  ActionExpired: [ADMIN, () => 'This action was not executed within the grace period and has expired. Propose it again.'],
+  WouldFallBelowThreshold: [ADMIN, () => 'Removing this approver would leave fewer approvers than the threshold.']
+};
+
+/**
+ * Find ABI-encoded revert data anywhere in an error
+ * @param {*} error - Error thrown by ethers, a wallet or an RPC provider
+ * @returns {string|null} Revert data (0x-prefixed hex), or null if the error has none
+ * @notice ethers puts it on error.data, wallets nest it in error.error or error.info,
+ *   and some providers only include it in a JSON response body or the message text
+ */
+export const findRevertData = (error) => {
+  const seen = new Set();
+
+  const search = (value, depth) => {
+    if (typeof value === 'string') {
+      if (REVERT_DATA_PATTERN.test(value)) return value;
+      if (value.startsWith('{')) {
+        try {
+          return search(JSON.parse(value), depth + 1);
+        } catch {
+          return null;
+        }
+      }
+      return value.match(/data="(0x[0-9a-f]+)"/i)?.[1] ?? null;
+    }
+    if (!value || typeof value !== 'object' || seen.has(value) || depth > MAX_SEARCH_DEPTH) {
+      return null;
+    }
+    seen.add(value);
+
+    // Own property names include non-enumerable ones such as Error.cause
+    for (const key of Object.getOwnPropertyNames(value)) {
+      if (SKIPPED_KEYS.has(key) || key === 'stack') continue;
+      const found = search(value[key], depth + 1);
+      if (found && REVERT_DATA_PATTERN.test(found)) return found;
+    }
+    return null;
+  };
+
+  const found = search(error, 0);
+  return found && REVERT_DATA_PATTERN.test(found) ? found : null;
+};
+
+/**
+ * Decode the revert behind an error
+ * @param {*} error - Error thrown by a contract call or transaction
+ * @param {ethers.Interface} iface - Interface declaring the contract's custom errors
+ * @returns {Object|null} { name, args, category, message }, or null when the error
+ *   carries no revert data (rejected by the user, network failure, ...)
+ */
+export const decodeRevert = (error, iface) => {
+  const data = findRevertData(error);
+  if (!data) return null;
+
+  let parsed = null;
+  try {
+    parsed = iface.parseError(data);
+  } catch {
+    // Selector not in the ABI; fall through to the generic message
+  }
+
+  if (!parsed) {
+    return {
+      name: null,
+      args: {},
+      category: UNKNOWN,
+      message: `The contract rejected the transaction (error ${data.slice(0, 10)}).`
+    };
+  }
+
+  if (parsed.name === 'Error') {
+    const [reason] = parsed.args;
+    return { name: 'Error', args: { reason }, category: UNKNOWN, message: reason };
+  }
+  if (parsed.name === 'Panic') {
+    const [code] = parsed.args;
+    return {
+      name: 'Panic',
+      args: { code },
+      category: UNKNOWN,
+      message: `The contract hit an internal error (panic 0x${code.toString(16)}).`
+    };
+  }
+
+  const args = Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name || i, parsed.args[i]]));
+  const [category, describe] = REVERTS[parsed.name] || [UNKNOWN, () => `The contract rejected the transaction (${parsed.name}).`];
+  return { name: parsed.name, args, category, message: describe(args) };
+};
+
+/**
+ * Create a decoder bound to a contract ABI
+ * @param {Array} abi - Contract ABI (JSON or human-readable fragments; only errors are used)
+ * @returns {Function} (error) => decoded revert or null, see decodeRevert
+ */
+export const createRevertDecoder = (abi) => {
+  const errors = abi.filter((fragment) =>
+    typeof fragment === 'string' ? fragment.startsWith('error ') : fragment.type === 'error'
+  );
+  const iface = new ethers.Interface(errors);
+  return (error) => decodeRevert(error, iface);
+};
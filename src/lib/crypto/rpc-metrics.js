@@ -0,0 +1,90 @@
+/**
+ * RPC Metrics Reporter
+ *
+ * Buffers the per-request metrics, health checks and rate limit events RPCProviderManager
+ * records and hands them to a sender in batches: the metrics API from the browser, the
+ * database directly on the server (see src/lib/server/rpc-metrics.js).
+ */
+
+// Most request metrics and rate limit events held between flushes; older ones are dropped first
+export const MAX_BUFFERED_REQUEST_METRICS = 200;
+export const MAX_BUFFERED_RATE_LIMIT_EVENTS = 100;
+
+/**
+ * Create a batching metrics reporter for RPCProviderManager
+ * @param {Object} options - Reporter options
+ * @param {Function} options.send - Receives { requests, health, rateLimitEvents } batches; may
+ *   return a Promise
+ * @param {number} [options.flushIntervalMs] - How often batches are sent
+ * @param {number} [options.maxBuffered] - Request metrics kept between flushes
+ * @returns {Object} { recordRequest, recordHealth, recordRateLimitEvent, flush, stop }
+ */
+export const createRpcMetricsReporter = ({
+  send,
+  flushIntervalMs = 30000,
+  maxBuffered = MAX_BUFFERED_REQUEST_METRICS
+}) => {
+  let requests = [];
+  let rateLimitEvents = [];
+  // Only the latest health check per provider matters
+  let health = new Map();
+
+  const keepLatest = (buffer, limit) => {
+    if (buffer.length > limit) {
+      buffer.splice(0, buffer.length - limit);
+    }
+  };
+
+  /**
+   * Send everything buffered so far
+   * @returns {Promise<void>}
+   */
+  const flush = async () => {
+    if (requests.length === 0 && health.size === 0 && rateLimitEvents.length === 0) return;
+
+    const batch = { requests, health: [...health.values()], rateLimitEvents };
+    requests = [];
+    rateLimitEvents = [];
+    health = new Map();
+
+    try {
+      await send(batch);
+    } catch (error) {
+      // Metrics are best effort; a failed batch is not retried
+      console.warn('Failed to report RPC metrics:', error.message);
+    }
+  };
+
+  const timer = setInterval(flush, flushIntervalMs);
+  // Never keep a server process alive just to report metrics
+  timer.unref?.();
+
+  return {
+    /**
+     * @param {Object} metric - { provider, method, success, responseTimeMs, errorType, errorMessage, cached }
+     */
+    recordRequest: (metric) => {
+      requests.push(metric);
+      keepLatest(requests, maxBuffered);
+    },
+
+    /**
+     * @param {Object} check - { provider, isHealthy, responseTimeMs, errorMessage }
+     */
+    recordHealth: (check) => {
+      health.set(check.provider, check);
+    },
+
+    /**
+     * @param {Object} event - { provider, eventType, method, delayMs, attempt }
+     */
+    recordRateLimitEvent: (event) => {
+      rateLimitEvents.push(event);
+      keepLatest(rateLimitEvents, MAX_BUFFERED_RATE_LIMIT_EVENTS);
+    },
+
+    flush,
+
+    stop: () => clearInterval(timer)
+  };
+};
@@ -2,12 +2,22 @@
  * RPC Provider Manager
  * 
  * Manages multiple RPC providers with automatic failover,
- * load balancing, and health monitoring.
+ * latency-weighted load balancing, quorum reads and health monitoring.
  */
 
 import { defaultRateLimiter } from './rpc-rate-limiter.js';
+import { createWeightedRoundRobin, providerWeight, requestWithQuorum, updateLatency } from './provider-selection.js';
+import { createRpcMetricsReporter } from './rpc-metrics.js';
+import { sendRpcMetricsAPI } from '../utils/client-rpc-metrics.js';
+import { loadDisabledRpcProvidersAPI } from '../utils/client-rpc-health.js';
 import { NETWORK_CONFIG } from '../config.js';
 
+// Methods whose trailing 'latest' block tag quorum reads pin to one block
+const BLOCK_TAGGED_METHODS = ['eth_call', 'eth_getBalance', 'eth_getCode', 'eth_getStorageAt'];
+
+// Each quorum answer must come from the provider asked, not the cache or a fallback
+const QUORUM_REQUEST_OPTIONS = { cache: false, fallback: false };
+
 /**
  * RPC Provider Manager class
  * Handles multiple providers with failover and health monitoring
@@ -15,14 +25,22 @@ import { NETWORK_CONFIG } from '../config.js';
 export class RPCProviderManager {
   constructor(options = {}) {
     this.providers = [];
-    this.currentProviderIndex = 0;
+    this.pickWeighted = createWeightedRoundRobin();
     this.rateLimiter = options.rateLimiter || defaultRateLimiter;
     this.healthCheckInterval = options.healthCheckInterval || 60000; // 1 minute
     this.maxFailures = options.maxFailures || 3;
     this.failureWindow = options.failureWindow || 300000; // 5 minutes
+    this.latencyAlpha = options.latencyAlpha || 0.3;
+    // Receives per-request metrics, health checks and rate limit events
+    // ({ recordRequest, recordHealth, recordRateLimitEvent })
+    this.metricsReporter = options.metricsReporter || null;
     
     // Provider health tracking
     this.providerHealth = new Map();
+    // Names of providers an admin disabled; they only serve requests when nothing else can
+    this.disabledProviders = new Set();
+
+    this.rateLimiter.addEventListener?.(event => this.recordRateLimitEvent(event));
     
     // Start health monitoring
     this.startHealthMonitoring();
@@ -43,6 +61,10 @@ export class RPCProviderManager {
       isHealthy: true,
       failures: [],
       lastHealthCheck: null,
+      latencyMs: null,
+      requestCount: 0,
+      failedRequestCount: 0,
+      lastError: null,
       ...config
     };
 
@@ -63,18 +85,128 @@ export class RPCProviderManager {
    * @returns {Object|null} Provider configuration or null
    */
   getCurrentProvider() {
-    const healthyProviders = this.providers.filter(p => p.isHealthy);
+    const enabledProviders = this.getEnabledProviders();
+    const healthyProviders = enabledProviders.filter(p => p.isHealthy);
     
     if (healthyProviders.length === 0) {
       console.warn('⚠️ No healthy providers available');
-      return this.providers[0] || null; // Fallback to first provider even if unhealthy
+      return enabledProviders[0] || null; // Fallback to first provider even if unhealthy
     }
 
-    // Round-robin through healthy providers
-    const provider = healthyProviders[this.currentProviderIndex % healthyProviders.length];
-    this.currentProviderIndex = (this.currentProviderIndex + 1) % healthyProviders.length;
-    
-    return provider;
+    // Weighted round-robin: faster and higher-priority providers take a larger share
+    return this.pickWeighted(healthyProviders);
+  }
+
+  /**
+   * Providers that are not disabled (all of them if every one is)
+   * @returns {Array} Provider configurations
+   */
+  getEnabledProviders() {
+    const enabled = this.providers.filter(p => !this.disabledProviders.has(p.name));
+    return enabled.length > 0 ? enabled : this.providers;
+  }
+
+  /**
+   * Enable or disable a provider by name
+   * @param {string} providerName - Provider name
+   * @param {boolean} enabled - Whether it may serve requests
+   */
+  setProviderEnabled(providerName, enabled) {
+    if (enabled) {
+      this.disabledProviders.delete(providerName);
+    } else {
+      this.disabledProviders.add(providerName);
+    }
+    console.log(`${enabled ? '✅ Enabled' : '⛔ Disabled'} RPC provider: ${providerName}`);
+  }
+
+  /**
+   * Replace the set of disabled providers
+   * @param {Array<string>} providerNames - Names of the providers to disable
+   */
+  setDisabledProviders(providerNames) {
+    this.disabledProviders = new Set(providerNames);
+  }
+
+  /**
+   * Providers in the order quorum reads ask them: healthy first, then by weight
+   * @returns {Array} Provider configurations
+   */
+  getQuorumCandidates() {
+    return [...this.getEnabledProviders()].sort((a, b) =>
+      Number(b.isHealthy) - Number(a.isHealthy) || providerWeight(b) - providerWeight(a)
+    );
+  }
+
+  /**
+   * Record the outcome of one request for latency weighting and metrics
+   * @param {Object} config - Provider configuration
+   * @param {string} method - RPC method
+   * @param {number} responseTime - Time to answer in ms
+   * @param {Error|null} error - The error, if the request failed
+   * @param {boolean} cached - Whether the rate limiter answered from its cache
+   */
+  recordRequest(config, method, responseTime, error = null, cached = false) {
+    config.requestCount++;
+    if (error) {
+      config.failedRequestCount++;
+      config.lastError = error.message;
+    } else if (!cached) {
+      config.latencyMs = updateLatency(config.latencyMs, responseTime, this.latencyAlpha);
+    }
+
+    this.metricsReporter?.recordRequest({
+      provider: config.name,
+      method,
+      success: !error,
+      responseTimeMs: cached ? null : responseTime,
+      errorType: error ? String(error.code || error.name || 'Error') : null,
+      errorMessage: error?.message || null,
+      cached
+    });
+  }
+
+  /**
+   * Report a rate limiter retry or fallback for one of this manager's providers
+   * @param {Object} event - { provider, eventType, method, delayMs, attempt } from the rate limiter
+   */
+  recordRateLimitEvent({ provider, eventType, method, delayMs, attempt }) {
+    const config = this.providerHealth.get(provider);
+    if (!config) return;
+
+    this.metricsReporter?.recordRateLimitEvent?.({
+      provider: config.name,
+      eventType,
+      method,
+      delayMs,
+      attempt
+    });
+  }
+
+  /**
+   * Send one request to a specific provider, timing it
+   * @param {Object} config - Provider configuration
+   * @param {string} method - RPC method
+   * @param {Array} params - RPC parameters
+   * @param {Object} [options] - Rate limiter options ({ cache, fallback })
+   * @returns {Promise<*>} Response
+   */
+  async sendRequest(config, method, params = [], options = {}) {
+    const { rateLimiter } = this;
+    const cached = options.cache !== false && rateLimiter.shouldCache(method) &&
+      rateLimiter.getCachedResponse(rateLimiter.generateCacheKey(method, params)) !== null;
+    const startTime = Date.now();
+
+    try {
+      const result = await rateLimiter.makeRequest(config.provider, method, params, options);
+      this.recordRequest(config, method, Date.now() - startTime, null, cached);
+      this.recordSuccess(config.provider);
+      return result;
+    } catch (error) {
+      this.recordRequest(config, method, Date.now() - startTime, error);
+      this.recordFailure(config.provider, error);
+      throw error;
+    }
   }
 
   /**
@@ -133,16 +265,34 @@ export class RPCProviderManager {
       const responseTime = Date.now() - startTime;
       providerConfig.lastHealthCheck = Date.now();
       providerConfig.responseTime = responseTime;
+      providerConfig.latencyMs = updateLatency(providerConfig.latencyMs, responseTime, this.latencyAlpha);
       
       this.recordSuccess(providerConfig.provider);
+      this.reportHealth(providerConfig, responseTime);
       return true;
     } catch (error) {
       console.warn(`❌ Health check failed for ${providerConfig.name}:`, error.message);
       this.recordFailure(providerConfig.provider, error);
+      this.reportHealth(providerConfig, null, error);
       return false;
     }
   }
 
+  /**
+   * Report a provider's health check to the metrics reporter
+   * @param {Object} config - Provider configuration
+   * @param {number|null} responseTime - Health check time in ms
+   * @param {Error|null} error - The error, if the check failed
+   */
+  reportHealth(config, responseTime, error = null) {
+    this.metricsReporter?.recordHealth({
+      provider: config.name,
+      isHealthy: config.isHealthy && !error,
+      responseTimeMs: responseTime,
+      errorMessage: error?.message || null
+    });
+  }
+
   /**
    * Start periodic health monitoring
    */
@@ -174,19 +324,70 @@ export class RPCProviderManager {
       throw new Error('No RPC providers available');
     }
 
+    return this.sendRequest(providerConfig, method, params);
+  }
+
+  /**
+   * Make a request that several providers must answer identically, for values a single
+   * lagging or misbehaving node should not decide (the pot, a pending shot)
+   * @param {string} method - RPC method
+   * @param {Array} params - RPC parameters
+   * @param {Object} [options] - Quorum options
+   * @param {number} [options.quorum] - Number of providers that must agree
+   * @returns {Promise<*>} The agreed response
+   */
+  async makeQuorumRequest(method, params = [], { quorum = 2 } = {}) {
+    const candidates = this.getQuorumCandidates();
+    if (candidates.length < quorum) {
+      throw new Error(`A quorum of ${quorum} needs ${quorum} RPC providers, ${candidates.length} configured`);
+    }
+
+    const pinnedParams = await this.pinLatestBlock(method, params, candidates.slice(0, quorum));
+    let agreement;
     try {
-      const result = await this.rateLimiter.makeRequest(
-        providerConfig.provider,
-        method,
-        params
+      agreement = await requestWithQuorum(candidates, quorum, config =>
+        this.sendRequest(config, method, pinnedParams, QUORUM_REQUEST_OPTIONS)
       );
-      
-      this.recordSuccess(providerConfig.provider);
-      return result;
     } catch (error) {
-      this.recordFailure(providerConfig.provider, error);
+      error.message = `${method}: ${error.message}`;
       throw error;
     }
+
+    const { value, providers, responses } = agreement;
+
+    if (responses.length > providers.length) {
+      const outvoted = responses.filter(({ provider }) => !providers.includes(provider));
+      console.warn(`⚠️ RPC providers disagreed on ${method}; outvoted: ${outvoted.map(({ provider }) => provider).join(', ')}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Replace a trailing 'latest' block tag with the newest block all the given providers have,
+   * so providers a block apart do not disagree only because of it
+   * @param {string} method - RPC method
+   * @param {Array} params - RPC parameters
+   * @param {Array} configs - Providers about to be asked
+   * @returns {Promise<Array>} Parameters to send
+   */
+  async pinLatestBlock(method, params, configs) {
+    const tagIndex = params.length - 1;
+    if (!BLOCK_TAGGED_METHODS.includes(method) || params[tagIndex] !== 'latest') {
+      return params;
+    }
+
+    const results = await Promise.allSettled(
+      configs.map(config => this.sendRequest(config, 'eth_blockNumber', [], QUORUM_REQUEST_OPTIONS))
+    );
+    const heights = results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => Number(result.value));
+    if (heights.length === 0) {
+      return params;
+    }
+
+    return [...params.slice(0, tagIndex), `0x${Math.min(...heights).toString(16)}`];
   }
 
   /**
@@ -226,9 +427,15 @@ export class RPCProviderManager {
       providers: this.providers.map(config => ({
         name: config.name,
         isHealthy: config.isHealthy,
+        isEnabled: !this.disabledProviders.has(config.name),
         failures: config.failures.length,
         lastHealthCheck: config.lastHealthCheck,
         responseTime: config.responseTime,
+        latencyMs: config.latencyMs,
+        weight: providerWeight(config),
+        requests: config.requestCount,
+        failedRequests: config.failedRequestCount,
+        lastError: config.lastError,
         priority: config.priority
       })),
       rateLimiter: this.rateLimiter.getStats()
@@ -274,9 +481,20 @@ export const createProviderManager = () => {
   const manager = new RPCProviderManager({
     healthCheckInterval: 60000, // 1 minute
     maxFailures: 3,
-    failureWindow: 300000 // 5 minutes
+    failureWindow: 300000, // 5 minutes
+    // Browsers report provider stats through /api/rpc-metrics
+    metricsReporter: typeof window !== 'undefined'
+      ? createRpcMetricsReporter({ send: sendRpcMetricsAPI })
+      : null
   });
 
+  // Providers an admin disabled in the RPC health dashboard stay out of rotation
+  if (typeof window !== 'undefined') {
+    loadDisabledRpcProvidersAPI()
+      .then(providerNames => manager.setDisabledProviders(providerNames))
+      .catch(error => console.warn('Failed to load disabled RPC providers:', error.message));
+  }
+
   return manager;
 };
 
@@ -25,6 +25,7 @@ export class RPCRateLimiter {
     this.requestTimes = [];
     this.cache = new Map();
     this.fallbackProviders = [];
+    this.eventListeners = [];
 
     // Start processing queue
     this.processQueue();
@@ -38,6 +39,33 @@ export class RPCRateLimiter {
     this.fallbackProviders.push(provider);
   }
 
+  /**
+   * Listen for retries and fallbacks
+   * @param {Function} listener - Receives { provider, eventType, method, delayMs, attempt };
+   *   eventType is 'rate_limited', 'retry' or 'fallback'
+   * @returns {Function} Removes the listener
+   */
+  addEventListener(listener) {
+    this.eventListeners.push(listener);
+    return () => {
+      this.eventListeners = this.eventListeners.filter(existing => existing !== listener);
+    };
+  }
+
+  /**
+   * Notify listeners of a retry or fallback
+   * @param {Object} event - Event details
+   */
+  emitEvent(event) {
+    this.eventListeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn('RPC rate limiter event listener failed:', error.message);
+      }
+    });
+  }
+
   /**
    * Generate cache key for request
    * @param {string} method - RPC method
@@ -179,7 +207,7 @@ export class RPCRateLimiter {
    * @param {Object} request - Request object
    */
   async executeRequest(request) {
-    const { provider, method, params, resolve, reject, attempt = 0 } = request;
+    const { provider, method, params, resolve, reject, attempt = 0, fallback = true } = request;
     
     this.activeRequests++;
     this.requestTimes.push(Date.now());
@@ -198,20 +226,30 @@ export class RPCRateLimiter {
       // Check if this is a rate limit error and we should retry
       if (this.shouldRetry(error, attempt)) {
         const delay = this.calculateRetryDelay(attempt);
+        this.emitEvent({
+          provider,
+          eventType: this.isRateLimitError(error) ? 'rate_limited' : 'retry',
+          method,
+          delayMs: delay,
+          attempt: attempt + 1
+        });
         setTimeout(() => {
           this.requestQueue.unshift({
             ...request,
             attempt: attempt + 1
           });
         }, delay);
-      } else {
+      } else if (fallback) {
         // Try fallback providers
+        this.emitEvent({ provider, eventType: 'fallback', method, delayMs: null, attempt: attempt + 1 });
         const fallbackResult = await this.tryFallbackProviders(method, params);
         if (fallbackResult !== null) {
           resolve(fallbackResult);
         } else {
           reject(error);
         }
+      } else {
+        reject(error);
       }
     } finally {
       this.activeRequests--;
@@ -227,7 +265,7 @@ export class RPCRateLimiter {
    */
   async callProvider(provider, method, params) {
     if (method === 'eth_call' && params.length > 0) {
-      return await provider.call(params[0], params[1] || 'latest');
+      return await provider.call({ ...params[0], blockTag: params[1] || 'latest' });
     } else if (method === 'eth_getBalance') {
       return await provider.getBalance(params[0], params[1] || 'latest');
     } else if (method === 'eth_getTransactionCount') {
@@ -277,6 +315,16 @@ export class RPCRateLimiter {
     );
   }
 
+  /**
+   * Check if the provider rejected a request for exceeding its rate limit
+   * @param {Error} error - The error
+   * @returns {boolean} Whether it is a rate limit error
+   */
+  isRateLimitError(error) {
+    const errorMessage = error.message?.toLowerCase() || '';
+    return errorMessage.includes('too many requests') || errorMessage.includes('rate limit');
+  }
+
   /**
    * Calculate retry delay with exponential backoff
    * @param {number} attempt - Attempt number
@@ -311,11 +359,14 @@ export class RPCRateLimiter {
    * @param {Object} provider - Ethers provider
    * @param {string} method - RPC method
    * @param {Array} params - RPC parameters
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.cache] - Answer from the response cache when possible
+   * @param {boolean} [options.fallback] - Let fallback providers answer if this one fails
    * @returns {Promise<*>} Response
    */
-  async makeRequest(provider, method, params = []) {
+  async makeRequest(provider, method, params = [], { cache = true, fallback = true } = {}) {
     // Check cache first
-    if (this.shouldCache(method)) {
+    if (cache && this.shouldCache(method)) {
       const cacheKey = this.generateCacheKey(method, params);
       const cachedResponse = this.getCachedResponse(cacheKey);
       if (cachedResponse !== null) {
@@ -328,6 +379,7 @@ export class RPCRateLimiter {
         provider,
         method,
         params,
+        fallback,
         resolve,
         reject
       });
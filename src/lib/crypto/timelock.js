@@ -0,0 +1,173 @@
+/**
+ * EthShot Timelock Helpers
+ *
+ * When EthShot is owned by an EthShotTimelock, owner-only calls are proposed to the
+ * timelock, approved by a quorum and executed after the delay (except emergencyPause,
+ * which any approver can call directly). These helpers detect the
+ * timelock behind EthShot.owner(), load its queue and describe queued calls for the
+ * AdminPanel. Must stay in sync with contracts/EthShotTimelock.sol.
+ */
+
+import { ethers } from 'ethers';
+
+export const TIMELOCK_ABI = [
+  'function ethShot() view returns (address)',
+  'function delay() view returns (uint256)',
+  'function threshold() view returns (uint256)',
+  'function approverCount() view returns (uint256)',
+  'function GRACE_PERIOD() view returns (uint256)',
+  'function isApprover(address account) view returns (bool)',
+  'function hasApproved(uint256 id, address account) view returns (bool)',
+  'function approvalCount(uint256 id) view returns (uint256)',
+  'function actionCount() view returns (uint256)',
+  'function getAction(uint256 id) view returns (tuple(address target, bytes data, uint256 eta, uint256 approvals, bool executed, bool cancelled))',
+  'function propose(address target, bytes data) returns (uint256 id)',
+  'function approve(uint256 id)',
+  'function execute(uint256 id)',
+  'function cancel(uint256 id)',
+  'function emergencyPause()',
+  'function setApprover(address approver, bool allowed)',
+  'function setThreshold(uint256 threshold)',
+  'function setDelay(uint256 delay)',
+  'event ActionProposed(uint256 indexed id, address indexed proposer, address indexed target, bytes data, uint256 eta)',
+  'event ActionApproved(uint256 indexed id, address indexed approver, uint256 approvals)',
+  'event ActionExecuted(uint256 indexed id, address indexed executor)',
+  'event ActionCancelled(uint256 indexed id, address indexed canceller)',
+  'event EmergencyPaused(address indexed approver)',
+  'error InvalidAddress()',
+  'error InvalidDelay()',
+  'error InvalidThreshold()',
+  'error InvalidApprover(address approver)',
+  'error InvalidTarget(address target)',
+  'error MissingSelector()',
+  'error NotApprover()',
+  'error OnlyTimelock()',
+  'error UnknownAction(uint256 id)',
+  'error ActionNotPending(uint256 id)',
+  'error AlreadyApproved(uint256 id)',
+  'error NotEnoughApprovals(uint256 approvals, uint256 required)',
+  'error ActionTimelocked(uint256 eta)',
+  'error ActionExpired(uint256 expiredAt)',
+  'error WouldFallBelowThreshold()'
+];
+
+export const TIMELOCK_ACTION_STATUS = {
+  AWAITING_APPROVALS: 'awaiting_approvals',
+  TIMELOCKED: 'timelocked',
+  READY: 'ready',
+  EXPIRED: 'expired',
+  EXECUTED: 'executed',
+  CANCELLED: 'cancelled'
+};
+
+// How many of the most recent actions the AdminPanel queue looks at
+const QUEUE_LOOKBACK = 25;
+
+const timelockInterface = new ethers.Interface(TIMELOCK_ABI);
+
+/**
+ * Get the timelock that owns an EthShot contract
+ * @param {Object} ethShot - EthShot contract (with owner())
+ * @param {Object} runner - Provider or signer for the timelock contract
+ * @returns {Promise<Object|null>} Timelock contract, or null when the owner is a plain account
+ */
+export async function getOwnerTimelock(ethShot, runner) {
+  const owner = await ethShot.owner();
+  const provider = runner.provider || runner;
+  if ((await provider.getCode(owner)) === '0x') {
+    return null;
+  }
+
+  const timelock = new ethers.Contract(owner, TIMELOCK_ABI, runner);
+  try {
+    const target = await timelock.ethShot();
+    return target.toLowerCase() === (await ethShot.getAddress()).toLowerCase() ? timelock : null;
+  } catch {
+    // Owned by some other contract (e.g. a multisig wallet)
+    return null;
+  }
+}
+
+/**
+ * Work out where a timelock action is in its lifecycle
+ * @param {Object} action - getAction result ({ eta, approvals, executed, cancelled })
+ * @param {Object} settings - { threshold, gracePeriod } as numbers
+ * @param {number} [now] - Current time in seconds
+ * @returns {string} One of TIMELOCK_ACTION_STATUS
+ */
+export function getActionStatus(action, { threshold, gracePeriod }, now = Math.floor(Date.now() / 1000)) {
+  if (action.executed) return TIMELOCK_ACTION_STATUS.EXECUTED;
+  if (action.cancelled) return TIMELOCK_ACTION_STATUS.CANCELLED;
+
+  const eta = Number(action.eta);
+  if (now > eta + gracePeriod) return TIMELOCK_ACTION_STATUS.EXPIRED;
+  if (Number(action.approvals) < threshold) return TIMELOCK_ACTION_STATUS.AWAITING_APPROVALS;
+  return now < eta ? TIMELOCK_ACTION_STATUS.TIMELOCKED : TIMELOCK_ACTION_STATUS.READY;
+}
+
+/**
+ * Describe a queued call, e.g. "setTestMode(true)" or "timelock.setDelay(86400)"
+ * @param {Object} action - getAction result ({ target, data })
+ * @param {Object} ethShotInterface - ethers Interface of EthShot
+ * @param {string} timelockAddress - Timelock address, to recognise settings changes
+ * @returns {string} Human readable call
+ */
+export function describeAction(action, ethShotInterface, timelockAddress) {
+  const isSettingsChange = action.target.toLowerCase() === timelockAddress.toLowerCase();
+  const iface = isSettingsChange ? timelockInterface : ethShotInterface;
+
+  try {
+    const call = iface.parseTransaction({ data: action.data });
+    const args = call.args.map((arg) => arg.toString()).join(', ');
+    return `${isSettingsChange ? 'timelock.' : ''}${call.name}(${args})`;
+  } catch {
+    return `unknown call ${action.data.slice(0, 10)}`;
+  }
+}
+
+/**
+ * Load the timelock settings and its most recent actions, newest first
+ * @param {Object} timelock - Timelock contract
+ * @param {string|null} account - Connected wallet, to flag actions it already approved
+ * @param {Object} ethShotInterface - ethers Interface of EthShot
+ * @returns {Promise<Object>} { delay, threshold, approverCount, gracePeriod, isApprover, actions }
+ */
+export async function loadTimelockQueue(timelock, account, ethShotInterface) {
+  const [delay, threshold, approverCount, gracePeriod, count, isApprover] = await Promise.all([
+    timelock.delay(),
+    timelock.threshold(),
+    timelock.approverCount(),
+    timelock.GRACE_PERIOD(),
+    timelock.actionCount(),
+    account ? timelock.isApprover(account) : false
+  ]);
+
+  const settings = { threshold: Number(threshold), gracePeriod: Number(gracePeriod) };
+  const timelockAddress = await timelock.getAddress();
+  const firstId = Math.max(0, Number(count) - QUEUE_LOOKBACK);
+  const ids = Array.from({ length: Number(count) - firstId }, (_, i) => Number(count) - 1 - i);
+
+  const actions = await Promise.all(ids.map(async (id) => {
+    const [action, approvedByAccount] = await Promise.all([
+      timelock.getAction(id),
+      account ? timelock.hasApproved(id, account) : false
+    ]);
+    return {
+      id,
+      description: describeAction(action, ethShotInterface, timelockAddress),
+      eta: Number(action.eta),
+      approvals: Number(action.approvals),
+      approvedByAccount,
+      status: getActionStatus(action, settings)
+    };
+  }));
+
+  return {
+    delay: Number(delay),
+    threshold: settings.threshold,
+    approverCount: Number(approverCount),
+    gracePeriod: settings.gracePeriod,
+    isApprover,
+    actions
+  };
+}
@@ -43,6 +43,7 @@ export const TABLES = {
   REFERRAL_CODES: 'referral_codes',
   REFERRALS: 'referrals',
   REFERRAL_DISCOUNTS: 'referral_discounts',
+  BONUS_SHOTS: 'bonus_shots',
   USER_PROFILES: 'user_profiles',
 };
 
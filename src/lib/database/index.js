@@ -7,9 +7,10 @@
 
 import { supabase, TABLES, isSupabaseAvailable, getSupabaseClient } from './client.js';
 import { getPlayer, upsertPlayer, getTopPlayers, getLeaderboard } from './players.js';
-import { withAuthenticatedClient } from './authenticated-client.js';
 import { NETWORK_CONFIG } from '../config.js';
+import { selectLiveCampaign } from '../utils/sponsor-schedule.js';
 import { ProfileAPI, profileAPI } from '../api/profile.js';
+import { shotsAPI } from '../api/shots.js';
 import {
   createReferralCodeAPI,
   processReferralSignupAPI,
@@ -57,138 +58,17 @@ export const db = {
   getTopPlayers,
   getLeaderboard,
 
-  // Shot operations
+  // Shot operations - recorded by /api/shots once the transaction is checked on-chain
   async recordShot(shotData) {
-    if (!supabase) {
-      console.warn('Supabase not configured - returning null for recordShot');
-      return null;
-    }
-
-    try {
-      console.log('🎯 Recording shot to Supabase:', {
-        player_address: shotData.playerAddress.toLowerCase(),
-        amount: shotData.amount,
-        won: shotData.won || false,
-        tx_hash: shotData.txHash,
-        block_number: shotData.blockNumber,
-        timestamp: shotData.timestamp || new Date().toISOString(),
-        crypto_type: shotData.cryptoType || 'ETH',
-        contract_address: shotData.contractAddress
-      });
-
-      const { data, error } = await supabase
-        .from(TABLES.SHOTS)
-        .insert({
-          player_address: shotData.playerAddress.toLowerCase(),
-          amount: shotData.amount,
-          won: shotData.won || false,
-          tx_hash: shotData.txHash,
-          block_number: shotData.blockNumber,
-          timestamp: shotData.timestamp || new Date().toISOString(),
-          crypto_type: shotData.cryptoType || 'ETH',
-          contract_address: shotData.contractAddress
-        })
-        .select()
-        .single();
-
-      if (error) {
-        console.error('❌ Supabase recordShot error:', error);
-        throw error;
-      }
-      
-      console.log('✅ Shot recorded successfully:', data);
-      return data;
-    } catch (error) {
-      console.error('❌ Error recording shot:', error);
-      throw error;
-    }
+    return shotsAPI.recordShot(shotData);
   },
 
-  // Commit-reveal specific shot operations (simplified for current schema)
   async recordShotCommit(commitData) {
-    if (!supabase) {
-      console.warn('Supabase not configured - returning null for recordShotCommit');
-      return null;
-    }
-
-    try {
-      console.log('🔒 Recording shot commit to Supabase:', {
-        player_address: commitData.playerAddress.toLowerCase(),
-        amount: commitData.amount,
-        tx_hash: commitData.txHash,
-        block_number: commitData.blockNumber,
-        timestamp: commitData.timestamp || new Date().toISOString(),
-        crypto_type: commitData.cryptoType || 'ETH',
-        contract_address: commitData.contractAddress
-      });
-
-      const { data, error } = await supabase
-        .from(TABLES.SHOTS)
-        .insert({
-          player_address: commitData.playerAddress.toLowerCase(),
-          amount: commitData.amount,
-          won: false, // Unknown until revealed
-          tx_hash: commitData.txHash,
-          block_number: commitData.blockNumber,
-          timestamp: commitData.timestamp || new Date().toISOString(),
-          crypto_type: commitData.cryptoType || 'ETH',
-          contract_address: commitData.contractAddress
-        })
-        .select()
-        .single();
-
-      if (error) {
-        console.error('❌ Supabase recordShotCommit error:', error);
-        throw error;
-      }
-      
-      console.log('✅ Shot commit recorded successfully:', data);
-      return data;
-    } catch (error) {
-      console.error('❌ Error recording shot commit:', error);
-      throw error;
-    }
+    return shotsAPI.recordShot({ ...commitData, won: false });
   },
 
-  async updateShotResult(updateData) {
-    if (!supabase) {
-      console.warn('Supabase not configured - returning null for updateShotResult');
-      return null;
-    }
-
-    try {
-      console.log('🔓 Updating shot result in Supabase:', {
-        commitment_hash: updateData.commitmentHash,
-        won: updateData.won,
-        reveal_tx_hash: updateData.revealTxHash,
-        reveal_block_number: updateData.revealBlockNumber
-      });
-
-      const { data, error } = await supabase
-        .from(TABLES.SHOTS)
-        .update({
-          won: updateData.won,
-          status: 'revealed',
-          reveal_tx_hash: updateData.revealTxHash,
-          reveal_block_number: updateData.revealBlockNumber,
-          reveal_timestamp: updateData.revealTimestamp || new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        })
-        .eq('commitment_hash', updateData.commitmentHash)
-        .select()
-        .single();
-
-      if (error) {
-        console.error('❌ Supabase updateShotResult error:', error);
-        throw error;
-      }
-      
-      console.log('✅ Shot result updated successfully:', data);
-      return data;
-    } catch (error) {
-      console.error('❌ Error updating shot result:', error);
-      throw error;
-    }
+  async recordShotReveal(revealData) {
+    return shotsAPI.recordReveal(revealData);
   },
 
   async recordPayoutClaim(claimData) {
@@ -233,15 +113,13 @@ export const db = {
     }
   },
 
-  async getRecentShots(limit = 50) {
+  async getRecentShots(limit = 50, contractAddress = NETWORK_CONFIG.CONTRACT_ADDRESS) {
     if (!supabase) {
       console.warn('Supabase not configured - returning empty array for getRecentShots');
       return [];
     }
 
     try {
-      const contractAddress = NETWORK_CONFIG.CONTRACT_ADDRESS;
-      
       let query = supabase
         .from(TABLES.SHOTS)
         .select('*')
@@ -265,97 +143,16 @@ export const db = {
 
   // Winner operations
   async recordWinner(winnerData) {
-    try {
-      console.log('🏆 Recording winner to Supabase:', {
-        winner_address: winnerData.winnerAddress.toLowerCase(),
-        amount: winnerData.amount,
-        tx_hash: winnerData.txHash,
-        block_number: winnerData.blockNumber,
-        timestamp: winnerData.timestamp || new Date().toISOString(),
-        crypto_type: winnerData.cryptoType || 'ETH',
-        contract_address: winnerData.contractAddress
-      });
-
-      // Try JWT authentication first
-      const jwtToken = localStorage.getItem('ethshot_jwt_token');
-      const storedWalletAddress = localStorage.getItem('ethshot_wallet_address');
-      
-      if (jwtToken && storedWalletAddress && storedWalletAddress.toLowerCase() === winnerData.winnerAddress.toLowerCase()) {
-        try {
-          console.log('🔐 Attempting JWT authenticated winner recording...');
-          return await withAuthenticatedClient(async (client) => {
-            const { data, error } = await client
-              .from(TABLES.WINNERS)
-              .insert({
-                winner_address: winnerData.winnerAddress.toLowerCase(),
-                amount: winnerData.amount,
-                tx_hash: winnerData.txHash,
-                block_number: winnerData.blockNumber,
-                timestamp: winnerData.timestamp || new Date().toISOString(),
-                crypto_type: winnerData.cryptoType || 'ETH',
-                contract_address: winnerData.contractAddress
-              })
-              .select()
-              .single();
-
-            if (error) {
-              console.error('❌ Authenticated recordWinner error:', error);
-              throw error;
-            }
-            
-            console.log('✅ Winner recorded successfully with JWT authentication:', data);
-            return data;
-          });
-        } catch (jwtError) {
-          console.warn('⚠️ JWT authentication failed for winner recording, falling back to public insert:', jwtError.message);
-        }
-      } else {
-        console.log('ℹ️ No valid JWT token found, using public insert for winner recording');
-      }
-
-      // Fallback: Use public client for winner recording
-      // This ensures winners are recorded even without profiles
-      if (!supabase) {
-        throw new Error('Supabase not configured');
-      }
-
-      console.log('📝 Recording winner with public client (fallback)...');
-      const { data, error } = await supabase
-        .from(TABLES.WINNERS)
-        .insert({
-          winner_address: winnerData.winnerAddress.toLowerCase(),
-          amount: winnerData.amount,
-          tx_hash: winnerData.txHash,
-          block_number: winnerData.blockNumber,
-          timestamp: winnerData.timestamp || new Date().toISOString(),
-          crypto_type: winnerData.cryptoType || 'ETH',
-          contract_address: winnerData.contractAddress
-        })
-        .select()
-        .single();
-
-      if (error) {
-        console.error('❌ Public recordWinner error:', error);
-        throw error;
-      }
-      
-      console.log('✅ Winner recorded successfully with public client:', data);
-      return data;
-    } catch (error) {
-      console.error('❌ Error recording winner:', error);
-      throw error;
-    }
+    return shotsAPI.recordWinner(winnerData);
   },
 
-  async getRecentWinners(limit = 10) {
+  async getRecentWinners(limit = 10, contractAddress = NETWORK_CONFIG.CONTRACT_ADDRESS) {
     if (!supabase) {
       console.warn('Supabase not configured - returning empty array for getRecentWinners');
       return [];
     }
 
     try {
-      const contractAddress = NETWORK_CONFIG.CONTRACT_ADDRESS;
-      
       let query = supabase
         .from(TABLES.WINNERS)
         .select('*')
@@ -397,7 +194,7 @@ export const db = {
           active: true,
           timestamp: sponsorData.timestamp || new Date().toISOString(),
           crypto_type: sponsorData.cryptoType || 'ETH',
-          contract_address: sponsorData.contractAddress
+          contract_address: sponsorData.contractAddress || NETWORK_CONFIG.CONTRACT_ADDRESS
         })
         .select()
         .single();
@@ -419,26 +216,28 @@ export const db = {
     try {
       const contractAddress = NETWORK_CONFIG.CONTRACT_ADDRESS;
       
-      let query = supabase
-        .from(TABLES.SPONSORS)
-        .select('*')
-        .eq('active', true)
-        .order('timestamp', { ascending: false })
-        .limit(1);
-
-      // Filter by contract address if available
-      if (contractAddress) {
-        query = query.eq('contract_address', contractAddress);
-      }
-
-      const { data, error } = await query;
-
+      const now = new Date().toISOString();
+      const activeSponsors = () => {
+        const query = supabase
+          .from(TABLES.SPONSORS)
+          .select('*')
+          .eq('active', true);
+        // Filter by contract address if available
+        return contractAddress ? query.eq('contract_address', contractAddress) : query;
+      };
+
+      // The booked slot running now (if any) and the latest unbooked sponsorship
+      const [booked, unbooked] = await Promise.all([
+        activeSponsors().lte('starts_at', now).gt('ends_at', now).limit(1),
+        activeSponsors().is('starts_at', null).order('timestamp', { ascending: false }).limit(1)
+      ]);
+
+      const error = booked.error || unbooked.error;
       if (error) {
         throw error;
       }
 
-      // Return first item if exists, otherwise null
-      return data && data.length > 0 ? data[0] : null;
+      return selectLiveCampaign([...(booked.data || []), ...(unbooked.data || [])]);
     } catch (error) {
       console.error('Error fetching current sponsor:', error);
       return null;
@@ -457,7 +256,9 @@ export const db = {
       let query = supabase
         .from(TABLES.SPONSORS)
         .update({ active: false })
-        .eq('active', true);
+        .eq('active', true)
+        // Booked slots end on their own
+        .is('starts_at', null);
 
       // Filter by contract address if available
       if (contractAddress) {
@@ -802,6 +603,33 @@ export const db = {
     }
   },
 
+  async getBonusShots(walletAddress) {
+    if (!supabase) {
+      console.warn('Supabase not configured - returning empty array for getBonusShots');
+      return [];
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from(TABLES.BONUS_SHOTS)
+        .select('id, bonus_type, expires_at, created_at')
+        .eq('player_address', walletAddress.toLowerCase())
+        .eq('is_used', false)
+        .gt('expires_at', new Date().toISOString())
+        .order('expires_at', { ascending: true });
+
+      if (error) {
+        console.error('Error getting bonus shots:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error getting bonus shots:', error);
+      return [];
+    }
+  },
+
   async useReferralDiscount(discountId, userId) {
     try {
       console.log('🔗 Using referral discount via secure API:', { discountId, userId });
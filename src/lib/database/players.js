@@ -92,17 +92,16 @@ export const upsertPlayer = async (playerData) => {
  * Get top players by specified criteria
  * @param {number} limit - Number of players to return
  * @param {string} orderBy - Field to order by
+ * @param {string} [contractAddress] - Contract (season) to rank, defaults to the current one
  * @returns {Promise<Array>} Array of top players
  */
-export const getTopPlayers = async (limit = 10, orderBy = 'total_shots') => {
+export const getTopPlayers = async (limit = 10, orderBy = 'total_shots', contractAddress = NETWORK_CONFIG.CONTRACT_ADDRESS) => {
   if (!supabase) {
     console.warn('Supabase not configured - returning empty array for getTopPlayers');
     return [];
   }
 
   try {
-    const contractAddress = NETWORK_CONFIG.CONTRACT_ADDRESS;
-
     // Use the new contract-aware function
     const { data, error } = await supabase.rpc('get_top_players_by_contract', {
       p_contract_address: contractAddress || 'default',
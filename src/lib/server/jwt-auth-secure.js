@@ -297,6 +297,26 @@ export function verifyJWTSecure(token) {
   throw new Error('No JWT verification method available - missing both ES256 keys and HS256 secret');
 }
 
+/**
+ * Get the wallet address from a request's `Authorization: Bearer` JWT (server-side)
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Wallet address, or null if the token is missing or invalid
+ */
+export function getAuthenticatedWallet(request) {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  try {
+    const payload = verifyJWTSecure(authHeader.substring(7));
+    return payload.walletAddress || payload.wallet_address || payload.sub || null;
+  } catch (jwtError) {
+    console.error('❌ JWT verification failed:', jwtError);
+    return null;
+  }
+}
+
 /**
  * Fallback JWT verification using HS256 algorithm
  * @param {string} token - The JWT token to verify
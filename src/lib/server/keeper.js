@@ -0,0 +1,439 @@
+/**
+ * Auto-reveal Keeper
+ *
+ * Reveals shots that players committed and then abandoned (e.g. closed the tab), using
+ * the signed RevealShot request the player escrowed with the keeper at commit time.
+ * Shared by the keeper process (scripts/auto-reveal-keeper.js) and the API routes that
+ * store escrows and record keeper reveals, so it must not import SvelteKit modules.
+ */
+
+import { ethers } from 'ethers';
+import { decryptKeeperEscrow } from '../crypto/keeper-escrow.js';
+import { findRevertData } from '../crypto/revert-decoder.js';
+
+// Mirror the contract's reveal window (REVEAL_DELAY / MAX_REVEAL_DELAY blocks)
+const REVEAL_DELAY = 1;
+const MAX_REVEAL_DELAY = 256;
+
+// Blocks after the reveal window opens that are left to the player's own reveal, so the
+// keeper only steps in for abandoned shots rather than racing players who are still there
+export const DEFAULT_REVEAL_GRACE_BLOCKS = 30;
+
+const MAX_ESCROWS_PER_CYCLE = 50;
+const MAX_CIPHERTEXT_LENGTH = 4096;
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+export const KEEPER_ABI = [
+  'function getPendingShot(address player) external view returns (bool exists, uint256 blockNumber, uint256 amount)',
+  'function revealShotFor(address player, uint256 secret, uint256 deadline, bytes signature) external',
+  'error NoPendingShot()',
+  'event ShotCommitted(address indexed player, bytes32 indexed commitment, uint256 amount, uint256 indexed roundId)',
+  'event ShotRevealed(address indexed player, uint256 indexed amount, bool indexed won, uint256 roundId)',
+  'event ShotRelayed(address indexed player, address indexed relayer, bool isReveal)',
+  'event JackpotWon(address indexed winner, uint256 indexed amount, uint256 indexed timestamp, uint256 roundId)'
+];
+
+export const ESCROW_STATUS = {
+  PENDING: 'pending', // waiting for the reveal window or retrying
+  REVEALED: 'revealed', // revealed by the keeper
+  SETTLED: 'settled', // revealed by the player (or cleaned up) before the keeper got to it
+  EXPIRED: 'expired', // reveal window closed
+  FAILED: 'failed' // cannot be revealed with this escrow
+};
+
+/**
+ * Create the contract instance the keeper reads from and reveals through
+ * @param {string} contractAddress - EthShot contract address
+ * @param {Object} runner - Ethers signer (or provider for read-only use)
+ * @returns {Object} Ethers contract
+ */
+export const getKeeperContract = (contractAddress, runner) =>
+  new ethers.Contract(contractAddress, KEEPER_ABI, runner);
+
+/**
+ * Validate an escrow submitted by a player
+ * @param {Object} body - { playerAddress, commitTxHash, commitBlock, envelope }
+ * @returns {{isValid: boolean, error?: string}} Validation result
+ */
+export const validateEscrowRequest = (body) => {
+  const { playerAddress, commitTxHash, commitBlock, envelope } = body || {};
+
+  if (!playerAddress || !ethers.isAddress(playerAddress)) {
+    return { isValid: false, error: 'Invalid player address' };
+  }
+  if (!TX_HASH_PATTERN.test(commitTxHash || '')) {
+    return { isValid: false, error: 'Invalid commit transaction hash' };
+  }
+  if (!Number.isSafeInteger(commitBlock) || commitBlock <= 0) {
+    return { isValid: false, error: 'Invalid commit block' };
+  }
+
+  const key = envelope?.ephemeralPublicKey;
+  if (key?.kty !== 'EC' || key?.crv !== 'P-256' || typeof key.x !== 'string' || typeof key.y !== 'string') {
+    return { isValid: false, error: 'Invalid escrow key' };
+  }
+  if (typeof envelope.iv !== 'string' || typeof envelope.ciphertext !== 'string' ||
+      !envelope.ciphertext || envelope.ciphertext.length > MAX_CIPHERTEXT_LENGTH) {
+    return { isValid: false, error: 'Invalid escrow ciphertext' };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Map a validated escrow request to a keeper_escrows row
+ * @param {Object} body - Validated escrow request
+ * @param {string} contractAddress - EthShot contract address
+ * @returns {Object} Database row
+ */
+export const toEscrowRow = (body, contractAddress) => ({
+  player_address: body.playerAddress.toLowerCase(),
+  contract_address: contractAddress.toLowerCase(),
+  commit_tx_hash: body.commitTxHash.toLowerCase(),
+  commit_block: body.commitBlock,
+  ephemeral_public_key: {
+    kty: 'EC',
+    crv: 'P-256',
+    x: body.envelope.ephemeralPublicKey.x,
+    y: body.envelope.ephemeralPublicKey.y
+  },
+  iv: body.envelope.iv,
+  ciphertext: body.envelope.ciphertext,
+  status: ESCROW_STATUS.PENDING
+});
+
+/**
+ * Check on-chain that an escrow's commit transaction committed a shot for its player in the
+ * block it claims, so nobody can take the (write-once) escrow slot of another player's commit
+ * @param {Object} params
+ * @param {Object} params.provider - Ethers provider
+ * @param {string} params.contractAddress - EthShot contract address
+ * @param {Object} params.body - Validated escrow request
+ * @returns {Promise<{isValid: boolean, error?: string}>} Verification result
+ */
+export const verifyEscrowCommit = async ({ provider, contractAddress, body }) => {
+  const receipt = await provider.getTransactionReceipt(body.commitTxHash);
+  if (receipt?.status !== 1) {
+    return { isValid: false, error: 'Commit transaction not found or failed on-chain' };
+  }
+
+  const contractInterface = new ethers.Interface(KEEPER_ABI);
+  const committed = receipt.logs
+    .filter((log) => log.address.toLowerCase() === contractAddress.toLowerCase())
+    .some((log) => {
+      try {
+        const parsed = contractInterface.parseLog(log);
+        return parsed?.name === 'ShotCommitted' &&
+          parsed.args.player.toLowerCase() === body.playerAddress.toLowerCase();
+      } catch {
+        return false;
+      }
+    });
+  if (!committed) {
+    return { isValid: false, error: 'Commit transaction did not commit a shot for this player' };
+  }
+
+  if (receipt.blockNumber !== body.commitBlock) {
+    return { isValid: false, error: 'Commit block does not match the transaction' };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Find the reveal outcome of a player's shot in a transaction receipt
+ * @param {Object} contractInterface - Ethers interface with the keeper events
+ * @param {Object} receipt - Transaction receipt
+ * @param {string} player - Player address
+ * @returns {{won: boolean, relayer: string|null, payout: bigint}|null} Outcome, or null if no shot was revealed
+ */
+export const parseRevealOutcome = (contractInterface, receipt, player) => {
+  let outcome = null;
+  let relayer = null;
+  let payout = 0n;
+
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = contractInterface.parseLog(log);
+    } catch {
+      continue;
+    }
+    if (!parsed || parsed.args[0].toLowerCase() !== player.toLowerCase()) {
+      continue;
+    }
+
+    if (parsed.name === 'ShotRevealed') {
+      outcome = { won: parsed.args.won };
+    } else if (parsed.name === 'ShotRelayed' && parsed.args.isReveal) {
+      relayer = parsed.args.relayer;
+    } else if (parsed.name === 'JackpotWon') {
+      payout = parsed.args.amount;
+    }
+  }
+
+  return outcome ? { ...outcome, relayer, payout } : null;
+};
+
+/**
+ * Check whether the shot an escrow was made for is still waiting to be revealed
+ * @returns {Promise<boolean>} False once the player revealed it, cleaned it up or committed another
+ */
+const isEscrowedShotPending = async (contract, player, commitBlock) => {
+  const [exists, pendingBlock] = await contract.getPendingShot(player);
+  return exists && Number(pendingBlock) === commitBlock;
+};
+
+/**
+ * Check whether a failed reveal failed because the shot was already revealed
+ * @returns {Promise<boolean>} True if the revert is NoPendingShot or the shot is no longer pending
+ */
+const wasRevealedFirst = async (contract, error, player, commitBlock) => {
+  const data = findRevertData(error);
+  if (data && contract.interface.parseError(data)?.name === 'NoPendingShot') {
+    return true;
+  }
+  // A reveal mined after the player's reverts without revert data in the receipt
+  try {
+    return !(await isEscrowedShotPending(contract, player, commitBlock));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Try to reveal one escrowed shot
+ * @param {Object} params
+ * @param {Object} params.escrow - keeper_escrows row
+ * @param {Object} params.contract - EthShot contract (keeper ABI) connected to the keeper wallet
+ * @param {Object} params.provider - Ethers provider
+ * @param {Object} params.keeperPrivateKey - Keeper encryption private key (JWK)
+ * @param {number} [params.graceBlocks] - Blocks the player gets to reveal before the keeper does
+ * @returns {Promise<{status: string, error?: string, revealTxHash?: string, revealBlock?: number, won?: boolean}>}
+ *          New escrow status; PENDING without an error means "not yet"
+ */
+export const processEscrow = async ({
+  escrow,
+  contract,
+  provider,
+  keeperPrivateKey,
+  graceBlocks = DEFAULT_REVEAL_GRACE_BLOCKS
+}) => {
+  const player = ethers.getAddress(escrow.player_address);
+  const commitBlock = Number(escrow.commit_block);
+
+  if (!(await isEscrowedShotPending(contract, player, commitBlock))) {
+    return { status: ESCROW_STATUS.SETTLED };
+  }
+
+  // Nodes simulate against the latest block, and the reveal is mined in the next one
+  const latestBlock = await provider.getBlockNumber();
+  if (latestBlock <= commitBlock + REVEAL_DELAY + graceBlocks) {
+    return { status: ESCROW_STATUS.PENDING };
+  }
+  if (latestBlock + 1 > commitBlock + MAX_REVEAL_DELAY) {
+    return { status: ESCROW_STATUS.EXPIRED };
+  }
+
+  let request;
+  try {
+    request = await decryptKeeperEscrow(keeperPrivateKey, {
+      ephemeralPublicKey: escrow.ephemeral_public_key,
+      iv: escrow.iv,
+      ciphertext: escrow.ciphertext
+    });
+  } catch {
+    return { status: ESCROW_STATUS.FAILED, error: 'Escrow could not be decrypted' };
+  }
+
+  if (!request?.player || request.player.toLowerCase() !== player.toLowerCase()) {
+    return { status: ESCROW_STATUS.FAILED, error: 'Escrow was signed for a different player' };
+  }
+
+  try {
+    const args = [player, BigInt(request.secret), BigInt(request.deadline), request.signature];
+    // Simulate first so contract reverts don't cost gas
+    await contract.revealShotFor.staticCall(...args);
+    const tx = await contract.revealShotFor(...args);
+    const receipt = await tx.wait();
+    const outcome = parseRevealOutcome(contract.interface, receipt, player);
+
+    return {
+      status: ESCROW_STATUS.REVEALED,
+      revealTxHash: receipt.hash,
+      revealBlock: receipt.blockNumber,
+      won: Boolean(outcome?.won)
+    };
+  } catch (error) {
+    // The player's own reveal landed between our check and our transaction
+    if (await wasRevealedFirst(contract, error, player, commitBlock)) {
+      return { status: ESCROW_STATUS.SETTLED };
+    }
+    // Contract reverts (bad secret, stale signature) will not succeed on retry; some nodes
+    // surface them as raw revert data rather than an ethers CALL_EXCEPTION
+    const reverted = error.code === 'CALL_EXCEPTION' || typeof error.data === 'string';
+    const status = reverted ? ESCROW_STATUS.FAILED : ESCROW_STATUS.PENDING;
+    return { status, error: error.shortMessage || error.message };
+  }
+};
+
+/**
+ * Process every pending escrow of a contract once
+ * @param {Object} params
+ * @param {Object} params.supabase - Supabase client with the service role
+ * @param {Object} params.contract - EthShot contract (keeper ABI) connected to the keeper wallet
+ * @param {Object} params.provider - Ethers provider
+ * @param {Object} params.keeperPrivateKey - Keeper encryption private key (JWK)
+ * @param {string} params.contractAddress - EthShot contract address
+ * @param {Function} params.recordReveal - async ({ commitTxHash, revealTxHash }) => void
+ * @param {number} [params.maxAttempts=5] - Transient failures before an escrow is given up
+ * @param {number} [params.graceBlocks] - Blocks the player gets to reveal before the keeper does
+ * @returns {Promise<Object>} Count of escrows per resulting status
+ */
+export const runKeeperCycle = async ({
+  supabase,
+  contract,
+  provider,
+  keeperPrivateKey,
+  contractAddress,
+  recordReveal,
+  maxAttempts = 5,
+  graceBlocks = DEFAULT_REVEAL_GRACE_BLOCKS
+}) => {
+  const { data: escrows, error } = await supabase
+    .from('keeper_escrows')
+    .select('*')
+    .eq('contract_address', contractAddress.toLowerCase())
+    .eq('status', ESCROW_STATUS.PENDING)
+    .order('commit_block', { ascending: true })
+    .limit(MAX_ESCROWS_PER_CYCLE);
+
+  if (error) {
+    throw new Error(`Failed to load keeper escrows: ${error.message}`);
+  }
+
+  const summary = Object.fromEntries(Object.values(ESCROW_STATUS).map((status) => [status, 0]));
+
+  for (const escrow of escrows || []) {
+    let result;
+    try {
+      result = await processEscrow({ escrow, contract, provider, keeperPrivateKey, graceBlocks });
+    } catch (processError) {
+      result = { status: ESCROW_STATUS.PENDING, error: processError.message };
+    }
+
+    summary[result.status]++;
+    if (result.status === ESCROW_STATUS.PENDING && !result.error) {
+      continue;
+    }
+
+    const attempts = (escrow.attempts || 0) + (result.error ? 1 : 0);
+    const status = result.status === ESCROW_STATUS.PENDING && attempts >= maxAttempts
+      ? ESCROW_STATUS.FAILED
+      : result.status;
+
+    const { error: updateError } = await supabase
+      .from('keeper_escrows')
+      .update({
+        status,
+        attempts,
+        last_error: result.error || null,
+        reveal_tx_hash: result.revealTxHash || null
+      })
+      .eq('id', escrow.id);
+    if (updateError) {
+      console.error(`❌ Failed to update keeper escrow ${escrow.id}:`, updateError.message);
+    }
+
+    if (result.status === ESCROW_STATUS.REVEALED) {
+      console.log(`🤖 Revealed shot ${escrow.commit_tx_hash} for ${escrow.player_address} (won: ${result.won})`);
+      try {
+        await recordReveal({ commitTxHash: escrow.commit_tx_hash, revealTxHash: result.revealTxHash });
+      } catch (recordError) {
+        console.error(`❌ Failed to record keeper reveal ${result.revealTxHash}:`, recordError.message);
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Check on-chain that a transaction revealed the shot committed in another transaction
+ * @param {Object} params
+ * @param {Object} params.provider - Ethers provider
+ * @param {string} params.contractAddress - EthShot contract address
+ * @param {string} params.commitTxHash - Transaction that committed the shot
+ * @param {string} params.revealTxHash - Transaction that revealed it
+ * @returns {Promise<{isValid: boolean, error?: string, player?: string, won?: boolean, payout?: bigint, blockNumber?: number}>}
+ */
+export const verifyKeeperReveal = async ({ provider, contractAddress, commitTxHash, revealTxHash }) => {
+  if (!TX_HASH_PATTERN.test(commitTxHash || '') || !TX_HASH_PATTERN.test(revealTxHash || '')) {
+    return { isValid: false, error: 'Invalid transaction hash' };
+  }
+
+  const [commitReceipt, revealReceipt] = await Promise.all([
+    provider.getTransactionReceipt(commitTxHash),
+    provider.getTransactionReceipt(revealTxHash)
+  ]);
+  const contractInterface = new ethers.Interface(KEEPER_ABI);
+  const fromContract = (receipt) =>
+    receipt?.status === 1 && receipt.to?.toLowerCase() === contractAddress.toLowerCase();
+
+  if (!fromContract(commitReceipt) || !fromContract(revealReceipt)) {
+    return { isValid: false, error: 'Transactions not found on the game contract' };
+  }
+
+  const commitLog = commitReceipt.logs
+    .map((log) => {
+      try {
+        return contractInterface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed?.name === 'ShotCommitted');
+  if (!commitLog) {
+    return { isValid: false, error: 'Commit transaction did not commit a shot' };
+  }
+
+  const player = commitLog.args.player;
+  const outcome = parseRevealOutcome(contractInterface, revealReceipt, player);
+  if (!outcome || revealReceipt.blockNumber <= commitReceipt.blockNumber) {
+    return { isValid: false, error: 'Reveal transaction did not reveal this shot' };
+  }
+
+  return {
+    isValid: true,
+    player,
+    won: outcome.won,
+    payout: outcome.payout,
+    blockNumber: revealReceipt.blockNumber
+  };
+};
+
+/**
+ * Report a keeper reveal to the app's /api/shots endpoint
+ * @param {Object} params
+ * @param {string} params.appUrl - Base URL of the app, e.g. https://ethshot.io
+ * @param {string} params.apiKey - Shared KEEPER_API_KEY
+ * @param {string} params.commitTxHash - Transaction that committed the shot
+ * @param {string} params.revealTxHash - Keeper's reveal transaction
+ * @returns {Promise<Object>} API response
+ */
+export const recordKeeperReveal = async ({ appUrl, apiKey, commitTxHash, revealTxHash }) => {
+  const response = await fetch(new URL('/api/shots', appUrl), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({ action: 'record_keeper_reveal', commitTxHash, revealTxHash })
+  });
+
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return result;
+};
@@ -0,0 +1,80 @@
+/**
+ * API Rate Limiting
+ *
+ * Fixed-window request counters for API routes, keyed by client IP, wallet or
+ * anything else the route chooses. Counters live in the server process, so each
+ * instance enforces its own limits.
+ */
+
+// Expired windows are pruned once this many keys are tracked
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * Create a fixed-window rate limiter
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per key in each window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} [options.now] - Clock returning milliseconds (for tests)
+ * @returns {{consume: Function, reset: Function}} Limiter
+ */
+export const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+  const windows = new Map();
+
+  const prune = (time) => {
+    for (const [key, window] of windows) {
+      if (time >= window.resetAt) {
+        windows.delete(key);
+      }
+    }
+  };
+
+  return {
+    /**
+     * Count a request against a key
+     * @param {string} key - Client IP, wallet address, ...
+     * @returns {{allowed: boolean, retryAfterSeconds: number}} Whether the request may proceed
+     */
+    consume(key) {
+      const time = now();
+      let window = windows.get(key);
+      if (!window || time >= window.resetAt) {
+        if (windows.size >= PRUNE_THRESHOLD) {
+          prune(time);
+        }
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(key, window);
+      }
+
+      if (window.count >= limit) {
+        return { allowed: false, retryAfterSeconds: Math.ceil((window.resetAt - time) / 1000) };
+      }
+      window.count += 1;
+      return { allowed: true, retryAfterSeconds: 0 };
+    },
+
+    /**
+     * Forget all counters
+     */
+    reset() {
+      windows.clear();
+    }
+  };
+};
+
+/**
+ * Count a request against several limiters, stopping at the first that refuses it
+ * @param {Array<[Object, string]>} checks - [limiter, key] pairs; entries without a key are skipped
+ * @returns {{allowed: boolean, retryAfterSeconds: number}} Whether the request may proceed
+ */
+export const consumeRateLimits = (checks) => {
+  for (const [limiter, key] of checks) {
+    if (!key) {
+      continue;
+    }
+    const result = limiter.consume(key);
+    if (!result.allowed) {
+      return result;
+    }
+  }
+  return { allowed: true, retryAfterSeconds: 0 };
+};
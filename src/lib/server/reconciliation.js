@@ -0,0 +1,205 @@
+/**
+ * Player Stats Reconciliation
+ *
+ * Compares the contract's playerStats with the players table, which is maintained by the
+ * update_player_stats_from_shots trigger and drifts whenever a shot fails to be recorded.
+ * Both sides count every shot, token pots included, and keep amounts in ETH only.
+ * Shared by scripts/reconcile-player-stats.js and /api/reconcile-player-stats, so it must
+ * not import SvelteKit modules.
+ */
+
+import { ethers } from 'ethers';
+
+export const RECONCILIATION_ABI = [
+  'function getPlayerStats(address player) external view returns (tuple(uint256 totalShots, uint256 totalSpent, uint256 totalWon, uint256 lastShotTime))'
+];
+
+// Fields compared between the chain and the players table
+const STAT_FIELDS = [
+  { key: 'totalShots', column: 'total_shots', isWei: false },
+  { key: 'totalSpent', column: 'total_spent', isWei: true },
+  { key: 'totalWon', column: 'total_won', isWei: true }
+];
+
+/**
+ * Create the contract instance reconciliation reads from
+ * @param {string} contractAddress - EthShot contract address
+ * @param {Object} provider - Ethers provider
+ * @returns {Object} Ethers contract
+ */
+export const getReconciliationContract = (contractAddress, provider) =>
+  new ethers.Contract(contractAddress, RECONCILIATION_ABI, provider);
+
+/**
+ * Convert a players table value to the contract's units
+ * @param {string|number|null} value - Column value (ETH for amounts)
+ * @param {boolean} isWei - Whether the column holds an ETH amount
+ * @returns {bigint} Value as the contract stores it
+ */
+const toChainUnits = (value, isWei) => {
+  if (value === null || value === undefined) {
+    return 0n;
+  }
+  if (!isWei) {
+    return BigInt(value);
+  }
+  return ethers.parseEther(typeof value === 'number' ? value.toFixed(18) : String(value));
+};
+
+// PostgREST returns at most max-rows (1000 by default) rows per request
+const PAGE_SIZE = 1000;
+
+/**
+ * Fetch every row of a query a page at a time
+ * @param {Function} buildQuery - Returns a fresh, ordered query to take a page of
+ * @param {string} label - What is being loaded, for errors
+ * @returns {Promise<Array>} All rows
+ */
+const selectAllPages = async (buildQuery, label) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      throw new Error(`Failed to load ${label}: ${error.message}`);
+    }
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+/**
+ * Load every address the database knows for a contract: players rows, plus shooters
+ * whose players row was never created
+ * @returns {Promise<Map<string, Object|null>>} Lowercase address to players row (or null)
+ */
+const loadKnownPlayers = async (supabase, contractAddress) => {
+  const players = await selectAllPages(() => supabase
+    .from('players')
+    .select('id, address, total_shots, total_spent, total_won')
+    .ilike('contract_address', contractAddress)
+    .order('id'), 'players');
+
+  const shooters = await selectAllPages(() => supabase
+    .from('shots')
+    .select('id, player_address')
+    .ilike('contract_address', contractAddress)
+    .order('id'), 'shots');
+
+  const known = new Map();
+  for (const player of players) {
+    known.set(player.address.toLowerCase(), player);
+  }
+  for (const { player_address: address } of shooters) {
+    if (!known.has(address.toLowerCase())) {
+      known.set(address.toLowerCase(), null);
+    }
+  }
+  return known;
+};
+
+/**
+ * Write the on-chain stats to a player's row, creating it if missing
+ */
+const repairPlayer = async (supabase, contractAddress, address, row, stats) => {
+  const values = {
+    total_shots: Number(stats.totalShots),
+    total_spent: ethers.formatEther(stats.totalSpent),
+    total_won: ethers.formatEther(stats.totalWon),
+    last_shot_time: stats.lastShotTime > 0n ? new Date(Number(stats.lastShotTime) * 1000).toISOString() : null,
+    updated_at: new Date().toISOString()
+  };
+
+  const { error } = row
+    ? await supabase.from('players').update(values).eq('id', row.id)
+    : await supabase.from('players').insert({ address, contract_address: contractAddress, ...values });
+  if (error) {
+    throw new Error(`Failed to repair player ${address}: ${error.message}`);
+  }
+};
+
+/**
+ * Compare on-chain playerStats with the players table for every known address
+ * @param {Object} params
+ * @param {Object} params.contract - Contract with getPlayerStats
+ * @param {Object} params.supabase - Supabase client using the service role
+ * @param {string} params.contractAddress - EthShot contract address
+ * @param {boolean} [params.repair=false] - Overwrite mismatching rows with the on-chain stats
+ * @returns {Promise<Object>} Report: { contractAddress, dryRun, checked, discrepancies, repaired, errors }
+ */
+export const reconcilePlayerStats = async ({ contract, supabase, contractAddress, repair = false }) => {
+  const known = await loadKnownPlayers(supabase, contractAddress);
+  const report = {
+    contractAddress,
+    dryRun: !repair,
+    checked: 0,
+    discrepancies: [],
+    repaired: 0,
+    errors: []
+  };
+
+  for (const [address, row] of known) {
+    let stats;
+    try {
+      stats = await contract.getPlayerStats(address);
+    } catch (error) {
+      report.errors.push({ address, error: error.message });
+      continue;
+    }
+    report.checked++;
+
+    const fields = {};
+    for (const { key, column, isWei } of STAT_FIELDS) {
+      const dbValue = row ? toChainUnits(row[column], isWei) : 0n;
+      if (dbValue !== stats[key]) {
+        fields[key] = {
+          db: isWei ? ethers.formatEther(dbValue) : dbValue.toString(),
+          chain: isWei ? ethers.formatEther(stats[key]) : stats[key].toString()
+        };
+      }
+    }
+
+    if (Object.keys(fields).length === 0 && row) {
+      continue;
+    }
+    report.discrepancies.push({ address, missingRow: !row, fields });
+
+    if (repair) {
+      try {
+        await repairPlayer(supabase, contractAddress, address, row, stats);
+        report.repaired++;
+      } catch (error) {
+        report.errors.push({ address, error: error.message });
+      }
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Format a reconciliation report as plain text, one line per discrepancy
+ * @param {Object} report - Result of reconcilePlayerStats
+ * @returns {string} Report text
+ */
+export const formatReconciliationReport = (report) => {
+  const lines = [
+    `Player stats reconciliation for ${report.contractAddress}${report.dryRun ? ' (dry run)' : ''}`,
+    `Checked ${report.checked} players, ${report.discrepancies.length} discrepancies, ${report.repaired} repaired`
+  ];
+
+  for (const { address, missingRow, fields } of report.discrepancies) {
+    const changes = Object.entries(fields).map(([key, { db, chain }]) => `${key} db=${db} chain=${chain}`);
+    if (missingRow) {
+      changes.unshift('missing players row');
+    }
+    lines.push(`  ${address}: ${changes.join(', ')}`);
+  }
+
+  for (const { address, error } of report.errors) {
+    lines.push(`  ${address}: error ${error}`);
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,146 @@
+/**
+ * Server-side Shot Relayer
+ *
+ * Verifies EIP-712 signed commit/reveal requests and forwards them to the EthShot
+ * contract (commitShotFor / revealShotFor) from the relayer wallet, which pays the
+ * gas on the player's behalf. SHOT_COST for commits comes out of the player's
+ * on-chain shot deposit (depositForShots), never from the relayer wallet.
+ *
+ * SECURITY: This module should ONLY be used on the server-side (holds the relayer key).
+ */
+
+import { ethers } from 'ethers';
+import { RELAY_REQUEST_TYPES, buildRelayDomain } from '../crypto/relay.js';
+
+const RELAYER_ABI = [
+  'function SHOT_COST() external view returns (uint256)',
+  'function shotDeposits(address player) external view returns (uint256)',
+  'function nonces(address owner) external view returns (uint256)',
+  'function canCommitShot(address player) external view returns (bool allowed, uint8 reason)',
+  'function canRevealShot(address player) external view returns (bool)',
+  'function getPlayerStats(address player) external view returns (tuple(uint256 totalShots, uint256 totalSpent, uint256 totalWon, uint256 lastShotTime))',
+  'function commitShotFor(address player, bytes32 commitment, uint256 deadline, bytes signature) external',
+  'function revealShotFor(address player, uint256 secret, uint256 deadline, bytes signature) external'
+];
+
+/**
+ * Create the contract instance the relayer submits through
+ * @param {string} contractAddress - EthShot contract address
+ * @param {Object} runner - Ethers signer (or provider for read-only use)
+ * @returns {Object} Ethers contract
+ */
+export const getRelayerContract = (contractAddress, runner) =>
+  new ethers.Contract(contractAddress, RELAYER_ABI, runner);
+
+/**
+ * Normalize a request body into the typed-data message for its type
+ * @param {string} type - 'commit' or 'reveal'
+ * @param {Object} request - Raw request from the client
+ * @returns {Object} Typed-data message
+ */
+export const toRelayMessage = (type, request) => {
+  const base = {
+    player: ethers.getAddress(request.player),
+    nonce: BigInt(request.nonce),
+    deadline: BigInt(request.deadline)
+  };
+  return type === 'commit'
+    ? { ...base, commitment: ethers.hexlify(request.commitment) }
+    : { ...base, secret: BigInt(request.secret) };
+};
+
+/**
+ * Check a relay request against its signature and the relayer's sponsorship policy
+ * @param {Object} params
+ * @param {Object} params.contract - EthShot contract (relayer ABI)
+ * @param {Object} params.provider - Ethers provider
+ * @param {string} params.type - 'commit' or 'reveal'
+ * @param {Object} params.request - { player, commitment | secret, nonce, deadline }
+ * @param {string} params.signature - Player's EIP-712 signature
+ * @param {number} params.maxSponsoredShots - Commits are only relayed for players with fewer shots
+ * @returns {Promise<{isValid: boolean, error?: string, message?: Object}>} Validation result
+ */
+export const verifyRelayRequest = async ({ contract, provider, type, request, signature, maxSponsoredShots }) => {
+  if (!RELAY_REQUEST_TYPES[type]) {
+    return { isValid: false, error: 'Invalid request type. Supported types: commit, reveal' };
+  }
+
+  let message;
+  try {
+    message = toRelayMessage(type, request || {});
+  } catch {
+    return { isValid: false, error: 'Malformed relay request' };
+  }
+
+  const [{ chainId }, latestBlock, nonce] = await Promise.all([
+    provider.getNetwork(),
+    provider.getBlock('latest'),
+    contract.nonces(message.player)
+  ]);
+
+  if (message.deadline < BigInt(latestBlock.timestamp)) {
+    return { isValid: false, error: 'Relay request expired' };
+  }
+
+  if (message.nonce !== nonce) {
+    return { isValid: false, error: 'Stale relay request nonce' };
+  }
+
+  let signer;
+  try {
+    const domain = buildRelayDomain(chainId, await contract.getAddress());
+    signer = ethers.verifyTypedData(domain, RELAY_REQUEST_TYPES[type], message, signature);
+  } catch {
+    return { isValid: false, error: 'Invalid signature' };
+  }
+
+  if (signer !== message.player) {
+    return { isValid: false, error: 'Invalid signature' };
+  }
+
+  if (type === 'commit') {
+    const [{ allowed: canCommit }, stats, shotCost, deposit] = await Promise.all([
+      contract.canCommitShot(message.player),
+      contract.getPlayerStats(message.player),
+      contract.SHOT_COST(),
+      contract.shotDeposits(message.player)
+    ]);
+
+    // Gas sponsorship is for new players; the shot itself is paid from their deposit
+    if (Number(stats.totalShots) >= maxSponsoredShots) {
+      return { isValid: false, error: 'Relayed shots are only available for new players' };
+    }
+    if (deposit < shotCost) {
+      return { isValid: false, error: 'Shot deposit must cover the shot cost' };
+    }
+    if (!canCommit) {
+      return { isValid: false, error: 'Player cannot commit a shot right now' };
+    }
+  } else if (!(await contract.canRevealShot(message.player))) {
+    return { isValid: false, error: 'No shot ready to reveal' };
+  }
+
+  return { isValid: true, message };
+};
+
+/**
+ * Forward a verified request to the contract from the relayer wallet
+ * @param {Object} params
+ * @param {Object} params.contract - EthShot contract connected to the relayer signer
+ * @param {string} params.type - 'commit' or 'reveal'
+ * @param {Object} params.message - Message returned by verifyRelayRequest
+ * @param {string} params.signature - Player's EIP-712 signature
+ * @returns {Promise<Object>} Sent transaction
+ */
+export const submitRelayRequest = async ({ contract, type, message, signature }) => {
+  if (type === 'commit') {
+    const args = [message.player, message.commitment, message.deadline, signature];
+    // Simulate first so contract reverts surface as errors instead of failed transactions
+    await contract.commitShotFor.staticCall(...args);
+    return contract.commitShotFor(...args);
+  }
+
+  const args = [message.player, message.secret, message.deadline, signature];
+  await contract.revealShotFor.staticCall(...args);
+  return contract.revealShotFor(...args);
+};
@@ -0,0 +1,128 @@
+/**
+ * Server-side Round Sync
+ *
+ * Mirrors jackpot rounds from the EthShot contract (currentRound / getRound) into the
+ * `rounds` table. The chain is the source of truth, so syncing needs no user auth.
+ *
+ * SECURITY: This module should ONLY be used on the server-side (service role writes).
+ */
+
+import { ethers } from 'ethers';
+
+const ROUNDS_TABLE = 'rounds';
+
+// Upper bound on getRound calls per sync so a single request stays cheap
+export const MAX_ROUNDS_PER_SYNC = 25;
+
+const ROUNDS_ABI = [
+  'function currentRound() external view returns (uint256)',
+  'function getRound(uint256 roundId) external view returns (tuple(uint256 startTime, uint256 endTime, uint256 startBlock, uint256 endBlock, uint256 shotCount, uint256 potAmount, uint256 payout, address winner))'
+];
+
+const toISOString = (seconds) => {
+  const value = Number(seconds);
+  return value > 0 ? new Date(value * 1000).toISOString() : null;
+};
+
+/**
+ * Convert a getRound() result into a `rounds` table row
+ * @param {number} roundId - On-chain round number
+ * @param {Object} round - Round struct returned by the contract
+ * @param {string} contractAddress - EthShot contract address
+ * @returns {Object} Database row
+ */
+export const mapChainRound = (roundId, round, contractAddress) => {
+  const ended = Number(round.endTime) > 0;
+
+  return {
+    round_id: roundId,
+    contract_address: contractAddress.toLowerCase(),
+    crypto_type: 'ETH',
+    started_at: toISOString(round.startTime),
+    ended_at: toISOString(round.endTime),
+    start_block: Number(round.startBlock),
+    end_block: ended ? Number(round.endBlock) : null,
+    shot_count: Number(round.shotCount),
+    pot_amount: ethers.formatEther(round.potAmount),
+    payout: ethers.formatEther(round.payout),
+    winner_address: ended ? round.winner.toLowerCase() : null
+  };
+};
+
+/**
+ * Convert a `rounds` table row into the API response shape
+ * @param {Object} row - Database row
+ * @param {Date} [now] - Reference time for open rounds
+ * @returns {Object} Round for API consumers
+ */
+export const toApiRound = (row, now = new Date()) => {
+  const startedAt = new Date(row.started_at);
+  const endedAt = row.ended_at ? new Date(row.ended_at) : null;
+
+  return {
+    roundId: Number(row.round_id),
+    contractAddress: row.contract_address,
+    cryptoType: row.crypto_type || 'ETH',
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    startBlock: row.start_block,
+    endBlock: row.end_block,
+    durationSeconds: Math.max(0, Math.floor(((endedAt || now) - startedAt) / 1000)),
+    shotCount: row.shot_count || 0,
+    potAmount: row.pot_amount?.toString() || '0',
+    payout: row.payout?.toString() || '0',
+    winnerAddress: row.winner_address,
+    isOpen: !endedAt
+  };
+};
+
+/**
+ * Sync rounds that are missing or still open in the database from the contract
+ * @param {Object} params
+ * @param {Object} params.supabase - Service role Supabase client
+ * @param {Object} params.provider - Ethers provider
+ * @param {string} params.contractAddress - EthShot contract address
+ * @param {number} [params.maxRounds] - Maximum rounds to read from the chain
+ * @returns {Promise<{currentRound: number, synced: number}>} Sync summary
+ */
+export const syncRounds = async ({ supabase, provider, contractAddress, maxRounds = MAX_ROUNDS_PER_SYNC }) => {
+  const contract = new ethers.Contract(contractAddress, ROUNDS_ABI, provider);
+  const currentRound = Number(await contract.currentRound());
+
+  // Closed rounds never change, so resume after the newest closed one we have
+  const { data: lastClosed, error } = await supabase
+    .from(ROUNDS_TABLE)
+    .select('round_id')
+    .eq('contract_address', contractAddress.toLowerCase())
+    .not('ended_at', 'is', null)
+    .order('round_id', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to read synced rounds: ${error.message}`);
+  }
+
+  const fromRound = (lastClosed?.[0] ? Number(lastClosed[0].round_id) : 0) + 1;
+  const toRound = Math.min(currentRound, fromRound + maxRounds - 1);
+  if (fromRound > toRound) {
+    return { currentRound, synced: 0 };
+  }
+
+  const roundIds = [];
+  for (let id = fromRound; id <= toRound; id++) {
+    roundIds.push(id);
+  }
+
+  const chainRounds = await Promise.all(roundIds.map((id) => contract.getRound(id)));
+  const rows = chainRounds.map((round, i) => mapChainRound(roundIds[i], round, contractAddress));
+
+  const { error: upsertError } = await supabase
+    .from(ROUNDS_TABLE)
+    .upsert(rows, { onConflict: 'contract_address,round_id' });
+
+  if (upsertError) {
+    throw new Error(`Failed to store rounds: ${upsertError.message}`);
+  }
+
+  return { currentRound, synced: rows.length };
+};
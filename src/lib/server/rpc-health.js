@@ -0,0 +1,240 @@
+/**
+ * RPC Health Dashboard
+ *
+ * Per-provider health and latency, error rate and rate limit time series for the admin
+ * dashboard, plus the admin actions on providers: disabling one (rpc_providers.is_active,
+ * which browsers load at startup) and resetting its recorded health.
+ *
+ * SECURITY: This module should ONLY be used on the server-side (reads and writes with the service role).
+ */
+
+// Dashboard windows in hours and the bucket size (minutes) each is charted with
+export const DASHBOARD_WINDOWS = {
+  6: 15,
+  24: 60,
+  168: 360
+};
+
+/**
+ * Check whether a wallet belongs to an admin (user_profiles.is_admin)
+ * @param {Object} supabase - Server-side Supabase client
+ * @param {string} walletAddress - Wallet address
+ * @returns {Promise<boolean>} Whether the wallet's profile has is_admin set
+ */
+export const isAdminWallet = async (supabase, walletAddress) => {
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select('is_admin')
+    .eq('wallet_address', walletAddress.toLowerCase())
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check admin status: ${error.message}`);
+  }
+  return data?.is_admin === true;
+};
+
+/**
+ * Lay get_rpc_metrics_timeseries rows out as one gap-free series per provider
+ * @param {Object} params
+ * @param {Array} params.providers - rpc_providers rows
+ * @param {Array} params.health - rpc_provider_health rows
+ * @param {Array} params.rows - get_rpc_metrics_timeseries rows
+ * @param {number} params.since - Window start (ms)
+ * @param {number} params.now - Window end (ms)
+ * @param {number} params.bucketMinutes - Bucket size
+ * @returns {Array} Providers with their current health, window totals and series
+ */
+export const buildRpcHealthSeries = ({ providers, health, rows, since, now, bucketMinutes }) => {
+  const bucketMs = bucketMinutes * 60 * 1000;
+  const bucketCount = Math.max(1, Math.ceil((now - since) / bucketMs));
+  const healthByProvider = new Map(health.map((row) => [row.provider_id, row]));
+
+  return providers.map((provider) => {
+    const series = Array.from({ length: bucketCount }, (_, i) => ({
+      bucketStart: new Date(since + i * bucketMs).toISOString(),
+      requests: 0,
+      failed: 0,
+      avgLatencyMs: null,
+      rateLimited: 0,
+      fallbacks: 0
+    }));
+
+    for (const row of rows) {
+      if (row.provider_id !== provider.id) continue;
+      const bucket = series[Math.round((Date.parse(row.bucket_start) - since) / bucketMs)];
+      if (!bucket) continue;
+
+      bucket.requests = Number(row.request_count);
+      bucket.failed = Number(row.failed_count);
+      bucket.avgLatencyMs = row.avg_response_time_ms;
+      bucket.rateLimited = Number(row.rate_limited_count);
+      bucket.fallbacks = Number(row.fallback_count);
+    }
+    series.forEach((bucket) => {
+      bucket.errorRate = bucket.requests > 0 ? bucket.failed / bucket.requests : null;
+    });
+
+    // Window latency weighted by the successful requests behind each bucket's average
+    const timed = series.filter((bucket) => bucket.avgLatencyMs !== null && bucket.requests > bucket.failed);
+    const timedRequests = timed.reduce((sum, bucket) => sum + bucket.requests - bucket.failed, 0);
+    const requests = series.reduce((sum, bucket) => sum + bucket.requests, 0);
+    const failed = series.reduce((sum, bucket) => sum + bucket.failed, 0);
+    const providerHealth = healthByProvider.get(provider.id);
+
+    return {
+      id: provider.id,
+      name: provider.name,
+      chainId: provider.chain_id,
+      priority: provider.priority,
+      isActive: provider.is_active,
+      isHealthy: providerHealth ? providerHealth.is_healthy : null,
+      failureCount: providerHealth?.failure_count ?? 0,
+      lastResponseTimeMs: providerHealth?.response_time_ms ?? null,
+      lastError: providerHealth?.error_message ?? null,
+      lastCheckedAt: providerHealth?.checked_at ?? null,
+      totals: {
+        requests,
+        errorRate: requests > 0 ? failed / requests : null,
+        avgLatencyMs: timedRequests > 0
+          ? Math.round(timed.reduce((sum, bucket) => sum + bucket.avgLatencyMs * (bucket.requests - bucket.failed), 0) / timedRequests)
+          : null,
+        rateLimited: series.reduce((sum, bucket) => sum + bucket.rateLimited, 0),
+        fallbacks: series.reduce((sum, bucket) => sum + bucket.fallbacks, 0)
+      },
+      series
+    };
+  });
+};
+
+/**
+ * Load the dashboard for one of the DASHBOARD_WINDOWS
+ * @param {Object} params
+ * @param {Object} params.supabase - Server-side Supabase client (service role)
+ * @param {number} params.hours - Window length
+ * @param {number} [params.now] - Current time (ms)
+ * @returns {Promise<Object>} { success, providers, since, bucketMinutes } or { success: false, status, error }
+ */
+export const loadRpcHealthDashboard = async ({ supabase, hours, now = Date.now() }) => {
+  const bucketMinutes = DASHBOARD_WINDOWS[hours];
+  if (!bucketMinutes) {
+    return { success: false, status: 400, error: `hours must be one of ${Object.keys(DASHBOARD_WINDOWS).join(', ')}` };
+  }
+
+  const since = now - hours * 60 * 60 * 1000;
+  const [providers, health, series] = await Promise.all([
+    supabase.from('rpc_providers').select('id, name, chain_id, priority, is_active').order('priority', { ascending: false }),
+    supabase.from('rpc_provider_health').select('provider_id, is_healthy, failure_count, response_time_ms, error_message, checked_at'),
+    supabase.rpc('get_rpc_metrics_timeseries', {
+      p_since: new Date(since).toISOString(),
+      p_bucket_minutes: bucketMinutes
+    })
+  ]);
+
+  const error = providers.error || health.error || series.error;
+  if (error) {
+    throw new Error(`Failed to load RPC health: ${error.message}`);
+  }
+
+  return {
+    success: true,
+    since: new Date(since).toISOString(),
+    bucketMinutes,
+    providers: buildRpcHealthSeries({
+      providers: providers.data || [],
+      health: health.data || [],
+      rows: series.data || [],
+      since,
+      now,
+      bucketMinutes
+    })
+  };
+};
+
+/**
+ * Find a provider's ID by name
+ * @returns {Promise<string|null>} rpc_providers ID, or null for unknown names
+ */
+const findProviderId = async (supabase, providerName) => {
+  const { data, error } = await supabase
+    .from('rpc_providers')
+    .select('id')
+    .eq('name', providerName)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load RPC provider: ${error.message}`);
+  }
+  return data?.id || null;
+};
+
+/**
+ * Enable or disable a provider for every browser
+ * @param {Object} params - { supabase, providerName, isActive }
+ * @returns {Promise<Object>} { success } or { success: false, status, error }
+ */
+export const setRpcProviderActive = async ({ supabase, providerName, isActive }) => {
+  if (typeof providerName !== 'string' || typeof isActive !== 'boolean') {
+    return { success: false, status: 400, error: 'providerName and isActive are required' };
+  }
+
+  const providerId = await findProviderId(supabase, providerName);
+  if (!providerId) {
+    return { success: false, status: 404, error: 'RPC provider not found' };
+  }
+
+  const { error } = await supabase
+    .from('rpc_providers')
+    .update({ is_active: isActive, updated_at: new Date().toISOString() })
+    .eq('id', providerId);
+  if (error) {
+    throw new Error(`Failed to update RPC provider: ${error.message}`);
+  }
+
+  return { success: true };
+};
+
+/**
+ * Mark a provider healthy again and clear its failure count
+ * @param {Object} params - { supabase, providerName }
+ * @returns {Promise<Object>} { success } or { success: false, status, error }
+ */
+export const resetRpcProviderHealth = async ({ supabase, providerName }) => {
+  if (typeof providerName !== 'string') {
+    return { success: false, status: 400, error: 'providerName is required' };
+  }
+
+  const providerId = await findProviderId(supabase, providerName);
+  if (!providerId) {
+    return { success: false, status: 404, error: 'RPC provider not found' };
+  }
+
+  const { error } = await supabase.rpc('update_rpc_provider_health', {
+    p_provider_id: providerId,
+    p_is_healthy: true,
+    p_response_time_ms: null,
+    p_error_message: null
+  });
+  if (error) {
+    throw new Error(`Failed to reset RPC provider health: ${error.message}`);
+  }
+
+  return { success: true };
+};
+
+/**
+ * Names of the providers admins disabled
+ * @param {Object} supabase - Server-side Supabase client
+ * @returns {Promise<Array<string>>} Provider names
+ */
+export const getDisabledRpcProviders = async (supabase) => {
+  const { data, error } = await supabase
+    .from('rpc_providers')
+    .select('name')
+    .eq('is_active', false);
+
+  if (error) {
+    throw new Error(`Failed to load RPC providers: ${error.message}`);
+  }
+  return (data || []).map((row) => row.name);
+};
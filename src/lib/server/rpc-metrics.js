@@ -0,0 +1,260 @@
+/**
+ * RPC Metrics
+ *
+ * Writes RPC request metrics to rpc_request_metrics and rate limiter retries and fallbacks to
+ * rpc_rate_limit_events (the rows log_rpc_request_metric and log_rpc_rate_limit_event write,
+ * inserted in bulk), and provider health checks through update_rpc_provider_health.
+ * Metrics name providers as RPCProviderManager does; they are matched to rpc_providers
+ * rows by name and dropped for providers the table does not know.
+ *
+ * Health checks browsers report are votes, not writes: a provider's health only changes
+ * once HEALTH_QUORUM different reporters have checked it within HEALTH_REPORT_WINDOW_MS,
+ * and it is only marked unhealthy when most of them found it down.
+ *
+ * SECURITY: This module should ONLY be used on the server-side (writes with the service role).
+ */
+
+// Most entries accepted per batch
+export const MAX_REQUEST_METRICS = 200;
+export const MAX_HEALTH_CHECKS = 20;
+export const MAX_RATE_LIMIT_EVENTS = 100;
+
+// Distinct reporters (client IPs) needed before browser health checks change a provider's health
+export const HEALTH_QUORUM = 3;
+export const HEALTH_REPORT_WINDOW_MS = 5 * 60 * 1000;
+
+// rpc_rate_limit_events.event_type values the rate limiter reports
+const RATE_LIMIT_EVENT_TYPES = ['rate_limited', 'retry', 'fallback'];
+
+// rpc_providers changes rarely; the name to ID map is reloaded after this long
+const PROVIDER_IDS_TTL_MS = 5 * 60 * 1000;
+const MAX_RESPONSE_TIME_MS = 10 * 60 * 1000;
+const MAX_TEXT_LENGTH = 500;
+const METHOD_PATTERN = /^[a-z]+_[A-Za-z]+$/;
+
+const isText = (value, maxLength = 100) => typeof value === 'string' && value.length > 0 && value.length <= maxLength;
+
+const isResponseTime = (value) =>
+  value === null || value === undefined || (Number.isInteger(value) && value >= 0 && value <= MAX_RESPONSE_TIME_MS);
+
+const isAttempt = (value) => value === null || value === undefined || (Number.isInteger(value) && value >= 0 && value <= 100);
+
+const optionalText = (value) => (typeof value === 'string' && value ? value.slice(0, MAX_TEXT_LENGTH) : null);
+
+/**
+ * Validate a metrics batch sent to /api/rpc-metrics
+ * @param {Object} body - { requests, health, rateLimitEvents }
+ * @returns {{isValid: boolean, error?: string, batch?: Object}} Validation result with the
+ *   normalized batch
+ */
+export const validateRpcMetrics = (body) => {
+  const { requests = [], health = [], rateLimitEvents = [] } = body || {};
+
+  if (!Array.isArray(requests) || !Array.isArray(health) || !Array.isArray(rateLimitEvents)) {
+    return { isValid: false, error: 'requests, health and rateLimitEvents must be arrays' };
+  }
+  if (requests.length > MAX_REQUEST_METRICS || health.length > MAX_HEALTH_CHECKS ||
+      rateLimitEvents.length > MAX_RATE_LIMIT_EVENTS) {
+    return {
+      isValid: false,
+      error: `At most ${MAX_REQUEST_METRICS} request metrics, ${MAX_HEALTH_CHECKS} health checks and ${MAX_RATE_LIMIT_EVENTS} rate limit events per batch`
+    };
+  }
+
+  for (const metric of requests) {
+    if (!isText(metric?.provider) || !METHOD_PATTERN.test(metric.method || '') ||
+        typeof metric.success !== 'boolean' || !isResponseTime(metric.responseTimeMs)) {
+      return { isValid: false, error: 'Invalid request metric' };
+    }
+  }
+  for (const check of health) {
+    if (!isText(check?.provider) || typeof check.isHealthy !== 'boolean' || !isResponseTime(check.responseTimeMs)) {
+      return { isValid: false, error: 'Invalid health check' };
+    }
+  }
+  for (const event of rateLimitEvents) {
+    if (!isText(event?.provider) || !RATE_LIMIT_EVENT_TYPES.includes(event.eventType) ||
+        !METHOD_PATTERN.test(event.method || '') || !isResponseTime(event.delayMs) || !isAttempt(event.attempt)) {
+      return { isValid: false, error: 'Invalid rate limit event' };
+    }
+  }
+
+  return {
+    isValid: true,
+    batch: {
+      requests: requests.map((metric) => ({
+        provider: metric.provider,
+        method: metric.method,
+        success: metric.success,
+        responseTimeMs: metric.responseTimeMs ?? null,
+        errorType: optionalText(metric.errorType),
+        errorMessage: optionalText(metric.errorMessage),
+        cached: metric.cached === true
+      })),
+      health: health.map((check) => ({
+        provider: check.provider,
+        isHealthy: check.isHealthy,
+        responseTimeMs: check.responseTimeMs ?? null,
+        errorMessage: optionalText(check.errorMessage)
+      })),
+      rateLimitEvents: rateLimitEvents.map((event) => ({
+        provider: event.provider,
+        eventType: event.eventType,
+        method: event.method,
+        delayMs: event.delayMs ?? null,
+        attempt: event.attempt ?? null
+      }))
+    }
+  };
+};
+
+/**
+ * Create the tally that turns reported health checks into provider health
+ * @param {Object} params
+ * @param {Function} params.now - Current time in milliseconds
+ * @returns {Object} { record(reporter, check) => health check to write, or null }
+ */
+const createHealthTally = ({ now }) => {
+  // provider -> reporter -> { check, at }
+  const reports = new Map();
+  // provider -> { isHealthy, at } last written
+  const written = new Map();
+
+  return {
+    record: (reporter, check) => {
+      const time = now();
+      let byReporter = reports.get(check.provider);
+      if (!byReporter) {
+        byReporter = new Map();
+        reports.set(check.provider, byReporter);
+      }
+      byReporter.set(reporter, { check, at: time });
+      for (const [key, report] of byReporter) {
+        if (time - report.at >= HEALTH_REPORT_WINDOW_MS) {
+          byReporter.delete(key);
+        }
+      }
+      if (byReporter.size < HEALTH_QUORUM) {
+        return null;
+      }
+
+      const checks = [...byReporter.values()].map((report) => report.check);
+      const down = checks.filter((entry) => !entry.isHealthy);
+      const isHealthy = down.length * 2 <= checks.length;
+
+      // Rewriting the same verdict would only inflate failure_count
+      const last = written.get(check.provider);
+      if (last && last.isHealthy === isHealthy && time - last.at < HEALTH_REPORT_WINDOW_MS) {
+        return null;
+      }
+      written.set(check.provider, { isHealthy, at: time });
+
+      const agreeing = isHealthy ? checks.filter((entry) => entry.isHealthy) : down;
+      const times = agreeing
+        .map((entry) => entry.responseTimeMs)
+        .filter((value) => value !== null)
+        .sort((a, b) => a - b);
+      return {
+        provider: check.provider,
+        isHealthy,
+        responseTimeMs: times.length > 0 ? times[Math.floor(times.length / 2)] : null,
+        errorMessage: isHealthy ? null : down[down.length - 1].errorMessage
+      };
+    }
+  };
+};
+
+/**
+ * Create a writer for validated metrics batches
+ * @param {Object} params
+ * @param {Object} params.supabase - Server-side Supabase client (service role)
+ * @param {Function} [params.now] - Current time in milliseconds
+ * @returns {Object} { writeRpcMetrics(batch, options) => Promise<{ written, skipped }> }
+ */
+export const createRpcMetricsWriter = ({ supabase, now = Date.now }) => {
+  const healthTally = createHealthTally({ now });
+  let providerIds = null;
+  let providerIdsLoadedAt = 0;
+
+  const loadProviderIds = async () => {
+    if (providerIds && now() - providerIdsLoadedAt < PROVIDER_IDS_TTL_MS) {
+      return providerIds;
+    }
+
+    const { data, error } = await supabase.from('rpc_providers').select('id, name');
+    if (error) {
+      throw new Error(`Failed to load RPC providers: ${error.message}`);
+    }
+
+    providerIds = new Map((data || []).map((row) => [row.name, row.id]));
+    providerIdsLoadedAt = now();
+    return providerIds;
+  };
+
+  return {
+    /**
+     * Write a batch from validateRpcMetrics (or a server-side reporter)
+     * @param {Object} batch - { requests, health, rateLimitEvents }
+     * @param {Object} [options]
+     * @param {string} [options.reporter] - Who sent the batch (client IP). With a reporter the
+     *   health checks only count towards the quorum; without one they are the server's own
+     *   checks and written as they are.
+     * @returns {Promise<{written: number, skipped: number}>} Health checks held back for the
+     *   quorum count as skipped
+     */
+    writeRpcMetrics: async ({ requests = [], health = [], rateLimitEvents = [] }, { reporter } = {}) => {
+      const ids = await loadProviderIds();
+      const known = (entry) => ids.has(entry.provider);
+
+      // Same columns log_rpc_request_metric fills, in one insert instead of a call per request
+      const rows = requests.filter(known).map((metric) => ({
+        provider_id: ids.get(metric.provider),
+        method: metric.method,
+        success: metric.success,
+        response_time_ms: metric.responseTimeMs,
+        error_type: metric.errorType,
+        error_message: metric.errorMessage,
+        cached: metric.cached,
+        batch_size: 1
+      }));
+      if (rows.length > 0) {
+        const { error } = await supabase.from('rpc_request_metrics').insert(rows);
+        if (error) {
+          throw new Error(`Failed to log RPC request metrics: ${error.message}`);
+        }
+      }
+
+      const events = rateLimitEvents.filter(known).map((event) => ({
+        provider_id: ids.get(event.provider),
+        event_type: event.eventType,
+        method: event.method,
+        delay_ms: event.delayMs,
+        attempt_number: event.attempt
+      }));
+      if (events.length > 0) {
+        const { error } = await supabase.from('rpc_rate_limit_events').insert(events);
+        if (error) {
+          throw new Error(`Failed to log RPC rate limit events: ${error.message}`);
+        }
+      }
+
+      const checks = reporter
+        ? health.filter(known).map((check) => healthTally.record(reporter, check)).filter(Boolean)
+        : health.filter(known);
+      for (const check of checks) {
+        const { error } = await supabase.rpc('update_rpc_provider_health', {
+          p_provider_id: ids.get(check.provider),
+          p_is_healthy: check.isHealthy,
+          p_response_time_ms: check.responseTimeMs,
+          p_error_message: check.errorMessage
+        });
+        if (error) {
+          throw new Error(`Failed to update RPC provider health: ${error.message}`);
+        }
+      }
+
+      const written = rows.length + events.length + checks.length;
+      return { written, skipped: requests.length + health.length + rateLimitEvents.length - written };
+    }
+  };
+};
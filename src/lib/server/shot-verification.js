@@ -0,0 +1,172 @@
+/**
+ * Shot Verification
+ *
+ * Checks shot and winner records submitted to /api/shots against the EthShot events in
+ * the transaction receipt, so the leaderboard only counts shots and wins that happened
+ * on-chain. A shot is recorded once, from its commit transaction; the reveal only adds
+ * the outcome to that record. Receipts are fetched through an RPCProviderManager (anything with
+ * makeRequest(method, params)) so verification fails over between RPC providers.
+ */
+
+import { ethers } from 'ethers';
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+const SHOT_EVENTS_ABI = [
+  'event ShotCommitted(address indexed player, bytes32 indexed commitment, uint256 amount, uint256 indexed roundId)',
+  'event TokenShotCommitted(address indexed player, address indexed token, uint256 amount)',
+  'event JackpotWon(address indexed winner, uint256 indexed amount, uint256 indexed timestamp, uint256 roundId)',
+  'event TokenJackpotWon(address indexed winner, address indexed token, uint256 amount)'
+];
+
+const shotEvents = new ethers.Interface(SHOT_EVENTS_ABI);
+
+const ETH_POT = { cryptoType: 'ETH', decimals: 18 };
+
+/**
+ * Parse an amount sent by the client in its pot's units
+ * @param {string|number} amount - Amount in ETH or whole tokens
+ * @param {number} decimals - Decimals of the pot's currency
+ * @returns {bigint|null} Amount in base units, or null if it is not a valid amount
+ */
+const parseAmount = (amount, decimals) => {
+  try {
+    return ethers.parseUnits(String(amount), decimals);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Find the token pot a token shot was played in
+ * @param {Object} tokens - Token pots keyed by crypto type: { USDC: { address, decimals } }
+ * @param {string} tokenAddress - Token address from the TokenShotCommitted log
+ * @returns {{cryptoType: string, decimals: number}|null} Pot, or null for tokens the app does not play
+ */
+const findTokenPot = (tokens, tokenAddress) => {
+  const entry = Object.entries(tokens)
+    .find(([, token]) => token.address?.toLowerCase() === tokenAddress.toLowerCase());
+  return entry ? { cryptoType: entry[0], decimals: entry[1].decimals } : null;
+};
+
+/**
+ * Fetch a successful transaction and decode its EthShot events
+ * @param {Object} rpc - RPC provider manager
+ * @param {string} txHash - Transaction hash
+ * @param {string} contractAddress - EthShot contract address
+ * @returns {Promise<{isValid: boolean, error?: string, events?: Array, blockNumber?: number}>}
+ */
+export const getContractEvents = async (rpc, txHash, contractAddress) => {
+  if (!TX_HASH_PATTERN.test(txHash || '')) {
+    return { isValid: false, error: 'Invalid transaction hash' };
+  }
+
+  const receipt = await rpc.makeRequest('eth_getTransactionReceipt', [txHash]);
+  if (!receipt || Number(receipt.status) !== 1) {
+    return { isValid: false, error: 'Transaction not found or failed on-chain' };
+  }
+
+  const events = receipt.logs
+    .filter((log) => log.address.toLowerCase() === contractAddress.toLowerCase())
+    .map((log) => {
+      try {
+        return shotEvents.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return { isValid: true, events, blockNumber: Number(receipt.blockNumber) };
+};
+
+/**
+ * Check a record_shot request against the commit transaction. The amount and crypto type
+ * are read from the player's ShotCommitted (and TokenShotCommitted) logs rather than the
+ * request, and the shot is recorded as not won until its reveal is recorded.
+ * @param {Object} params
+ * @param {Object} params.rpc - RPC provider manager
+ * @param {string} params.contractAddress - EthShot contract address
+ * @param {Object} params.shotData - Shot record sent by the client
+ * @param {Object} [params.tokens] - Token pots keyed by crypto type: { USDC: { address, decimals } }
+ * @returns {Promise<{isValid: boolean, error?: string, amount?: string, cryptoType?: string, blockNumber?: number}>}
+ */
+export const verifyShotRecord = async ({ rpc, contractAddress, shotData, tokens = {} }) => {
+  if (shotData.contractAddress?.toLowerCase() !== contractAddress.toLowerCase()) {
+    return { isValid: false, error: 'Contract address mismatch' };
+  }
+
+  const result = await getContractEvents(rpc, shotData.txHash, contractAddress);
+  if (!result.isValid) {
+    return result;
+  }
+
+  const player = shotData.playerAddress.toLowerCase();
+  const playerEvents = (name) =>
+    result.events.filter((event) => event.name === name && event.args.player.toLowerCase() === player);
+  const commits = playerEvents('ShotCommitted');
+
+  if (commits.length === 0) {
+    return { isValid: false, error: 'Transaction did not commit a shot by this player' };
+  }
+
+  const [tokenCommit] = playerEvents('TokenShotCommitted');
+  const pot = tokenCommit ? findTokenPot(tokens, tokenCommit.args.token) : ETH_POT;
+  if (!pot) {
+    return { isValid: false, error: 'Shot was taken with an unsupported token' };
+  }
+
+  const chainAmount = commits.reduce((total, event) => total + event.args.amount, 0n);
+
+  return {
+    isValid: true,
+    amount: ethers.formatUnits(chainAmount, pot.decimals),
+    cryptoType: pot.cryptoType,
+    blockNumber: result.blockNumber
+  };
+};
+
+/**
+ * Check a record_winner request against the JackpotWon (or TokenJackpotWon) event of the
+ * transaction. Token payouts are compared in the token's decimals.
+ * @param {Object} params
+ * @param {Object} params.rpc - RPC provider manager
+ * @param {string} params.contractAddress - EthShot contract address
+ * @param {Object} params.winnerData - Winner record sent by the client
+ * @param {Object} [params.tokens] - Token pots keyed by crypto type: { USDC: { address, decimals } }
+ * @returns {Promise<{isValid: boolean, error?: string, amount?: string, cryptoType?: string, blockNumber?: number}>}
+ */
+export const verifyWinnerRecord = async ({ rpc, contractAddress, winnerData, tokens = {} }) => {
+  if (winnerData.contractAddress?.toLowerCase() !== contractAddress.toLowerCase()) {
+    return { isValid: false, error: 'Contract address mismatch' };
+  }
+
+  const result = await getContractEvents(rpc, winnerData.txHash, contractAddress);
+  if (!result.isValid) {
+    return result;
+  }
+
+  const jackpot = result.events.find((event) =>
+    (event.name === 'JackpotWon' || event.name === 'TokenJackpotWon') &&
+    event.args.winner.toLowerCase() === winnerData.winnerAddress.toLowerCase()
+  );
+  if (!jackpot) {
+    return { isValid: false, error: 'Transaction has no jackpot won by this player' };
+  }
+
+  const pot = jackpot.name === 'TokenJackpotWon' ? findTokenPot(tokens, jackpot.args.token) : ETH_POT;
+  if (!pot) {
+    return { isValid: false, error: 'Jackpot was won in an unsupported token' };
+  }
+
+  if (parseAmount(winnerData.amount, pot.decimals) !== jackpot.args.amount) {
+    return { isValid: false, error: 'Winner amount does not match the transaction' };
+  }
+
+  return {
+    isValid: true,
+    amount: ethers.formatUnits(jackpot.args.amount, pot.decimals),
+    cryptoType: pot.cryptoType,
+    blockNumber: result.blockNumber
+  };
+};
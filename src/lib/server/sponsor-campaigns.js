@@ -0,0 +1,258 @@
+/**
+ * Sponsor Campaigns
+ *
+ * Impression tracking and slot booking for sponsor campaigns (rows of the `sponsors` table).
+ * Browsers make up their own session IDs, so events are also deduplicated and rate limited per
+ * client IP and hour by the record_sponsor_event database function, which only sees a keyed
+ * hash of the IP.
+ * A campaign can only be booked by the wallet that won it on-chain, which is checked against
+ * the SponsorshipActivated event of the transaction that recorded it, and only before it has
+ * been displayed or replaced.
+ */
+
+import { createHmac } from 'crypto';
+import { ethers } from 'ethers';
+import { findOverlappingBooking } from '../utils/sponsor-schedule.js';
+
+export const SPONSOR_EVENT_TYPES = ['impression', 'click'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Events a client IP can report per clock hour, across all campaigns
+export const SPONSOR_EVENTS_PER_IP_PER_HOUR = 120;
+
+const SPONSORSHIP_ACTIVATED_ABI = [
+  'event SponsorshipActivated(address indexed sponsor, string name, string logoUrl)'
+];
+
+/**
+ * Validate a banner event reported by a browser
+ * @param {Object} body - { sponsorId, eventType, sessionId }
+ * @returns {{isValid: boolean, error?: string}} Validation result
+ */
+export const validateSponsorEvent = (body) => {
+  const { sponsorId, eventType, sessionId } = body || {};
+
+  if (!UUID_PATTERN.test(sponsorId || '')) {
+    return { isValid: false, error: 'Invalid sponsor ID' };
+  }
+  if (!SPONSOR_EVENT_TYPES.includes(eventType)) {
+    return { isValid: false, error: `Invalid event type. Must be one of: ${SPONSOR_EVENT_TYPES.join(', ')}` };
+  }
+  if (!SESSION_ID_PATTERN.test(sessionId || '')) {
+    return { isValid: false, error: 'Invalid session ID' };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Hash a client IP for sponsor event deduplication, so raw IPs are never stored
+ * @param {string} clientAddress - Client IP
+ * @param {string} secret - Server-side key
+ * @returns {string} Hex HMAC-SHA256 of the IP
+ */
+export const hashClientAddress = (clientAddress, secret) =>
+  createHmac('sha256', secret).update(clientAddress).digest('hex');
+
+/**
+ * Seconds until the current clock hour ends, when per-hour limits reset
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number} Seconds to wait
+ */
+export const secondsUntilNextHour = (now = Date.now()) => Math.ceil((HOUR_MS - (now % HOUR_MS)) / 1000);
+
+/**
+ * Validate a slot booking and compute the slot
+ * @param {Object} params
+ * @param {string} params.startsAt - Requested slot start (ISO 8601)
+ * @param {number} params.slotHours - Length of a slot in hours
+ * @param {number} params.maxDaysAhead - How far ahead slots can be booked
+ * @param {number} [params.now=Date.now()] - Current time in milliseconds
+ * @returns {{isValid: boolean, error?: string, startsAt?: number, endsAt?: number}} Slot in milliseconds
+ */
+export const validateBooking = ({ startsAt, slotHours, maxDaysAhead, now = Date.now() }) => {
+  const start = typeof startsAt === 'string' ? Date.parse(startsAt) : NaN;
+  if (Number.isNaN(start)) {
+    return { isValid: false, error: 'Invalid slot start time' };
+  }
+  if (start <= now) {
+    return { isValid: false, error: 'Slots must start in the future' };
+  }
+  if (start > now + maxDaysAhead * DAY_MS) {
+    return { isValid: false, error: `Slots can be booked at most ${maxDaysAhead} days ahead` };
+  }
+
+  return { isValid: true, startsAt: start, endsAt: start + slotHours * HOUR_MS };
+};
+
+/**
+ * Map a get_sponsor_campaign_stats row to the API response shape
+ * @param {Object} row - Database row
+ * @returns {Object} Campaign with impression and click totals
+ */
+export const toApiCampaign = (row) => {
+  const impressions = Number(row.impressions || 0);
+  const clicks = Number(row.clicks || 0);
+  return {
+    id: row.id,
+    name: row.name,
+    logoUrl: row.logo_url,
+    sponsorUrl: row.sponsor_url,
+    amount: row.amount,
+    txHash: row.tx_hash,
+    active: row.active,
+    activatedAt: row.activated_at,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    impressions,
+    clicks,
+    clickThroughRate: impressions > 0 ? clicks / impressions : 0
+  };
+};
+
+/**
+ * Check on-chain that a transaction activated a sponsorship for a wallet
+ * @param {Object} params
+ * @param {Object} params.provider - Ethers provider
+ * @param {string} params.contractAddress - EthShot contract address
+ * @param {string} params.txHash - Transaction recorded with the campaign
+ * @param {string} params.sponsorAddress - Wallet that should have won the sponsorship
+ * @returns {Promise<boolean>} True if the transaction emitted SponsorshipActivated for the wallet
+ */
+export const verifySponsorshipActivation = async ({ provider, contractAddress, txHash, sponsorAddress }) => {
+  if (!TX_HASH_PATTERN.test(txHash || '')) {
+    return false;
+  }
+
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (receipt?.status !== 1) {
+    return false;
+  }
+
+  const contractInterface = new ethers.Interface(SPONSORSHIP_ACTIVATED_ABI);
+  return receipt.logs.some((log) => {
+    if (log.address.toLowerCase() !== contractAddress.toLowerCase()) {
+      return false;
+    }
+    try {
+      const parsed = contractInterface.parseLog(log);
+      return parsed?.args.sponsor.toLowerCase() === sponsorAddress.toLowerCase();
+    } catch {
+      return false;
+    }
+  });
+};
+
+/**
+ * Book a slot for one of a sponsor's campaigns
+ * @param {Object} params
+ * @param {Object} params.supabase - Supabase client with the service role
+ * @param {Object} params.provider - Ethers provider
+ * @param {string} params.contractAddress - EthShot contract address
+ * @param {string} params.walletAddress - Authenticated sponsor wallet
+ * @param {string} params.campaignId - sponsors row ID
+ * @param {number} params.startsAt - Slot start in milliseconds (from validateBooking)
+ * @param {number} params.endsAt - Slot end in milliseconds (from validateBooking)
+ * @param {number} [params.now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<{success: boolean, status?: number, error?: string, campaign?: Object}>}
+ */
+export const bookCampaignSlot = async ({
+  supabase,
+  provider,
+  contractAddress,
+  walletAddress,
+  campaignId,
+  startsAt,
+  endsAt,
+  now = Date.now()
+}) => {
+  if (!UUID_PATTERN.test(campaignId || '')) {
+    return { success: false, status: 400, error: 'Invalid campaign ID' };
+  }
+
+  const { data: campaign, error } = await supabase
+    .from('sponsors')
+    .select('*')
+    .eq('id', campaignId)
+    .ilike('sponsor_address', walletAddress)
+    .ilike('contract_address', contractAddress)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load campaign: ${error.message}`);
+  }
+  if (!campaign) {
+    return { success: false, status: 404, error: 'Campaign not found' };
+  }
+  if (campaign.starts_at && Date.parse(campaign.starts_at) <= now) {
+    return { success: false, status: 409, error: 'Campaign slot has already started' };
+  }
+  // Unbooked campaigns run from activation until a newer sponsorship deactivates them; one
+  // that has been replaced or shown has had its run and cannot be booked for another
+  if (!campaign.active) {
+    return { success: false, status: 409, error: 'Campaign has already run' };
+  }
+
+  const { count: events, error: eventsError } = await supabase
+    .from('sponsor_impressions')
+    .select('id', { count: 'exact', head: true })
+    .eq('sponsor_id', campaign.id);
+
+  if (eventsError) {
+    throw new Error(`Failed to load campaign impressions: ${eventsError.message}`);
+  }
+  if (events > 0) {
+    return { success: false, status: 409, error: 'Campaign has already been displayed' };
+  }
+
+  const verified = await verifySponsorshipActivation({
+    provider,
+    contractAddress,
+    txHash: campaign.tx_hash,
+    sponsorAddress: walletAddress
+  });
+  if (!verified) {
+    return { success: false, status: 403, error: 'Campaign was not won on-chain by this wallet' };
+  }
+
+  const { data: bookings, error: bookingsError } = await supabase
+    .from('sponsors')
+    .select('id, name, starts_at, ends_at')
+    .ilike('contract_address', contractAddress)
+    .not('starts_at', 'is', null)
+    .gt('ends_at', new Date(now).toISOString());
+
+  if (bookingsError) {
+    throw new Error(`Failed to load booked slots: ${bookingsError.message}`);
+  }
+
+  const overlap = findOverlappingBooking(bookings, startsAt, endsAt, campaign.id);
+  if (overlap) {
+    return { success: false, status: 409, error: 'That slot overlaps another booked campaign' };
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('sponsors')
+    .update({
+      starts_at: new Date(startsAt).toISOString(),
+      ends_at: new Date(endsAt).toISOString()
+    })
+    .eq('id', campaign.id)
+    .select()
+    .single();
+
+  // The exclusion constraint catches bookings that raced past the overlap check
+  if (updateError?.code === '23P01') {
+    return { success: false, status: 409, error: 'That slot overlaps another booked campaign' };
+  }
+  if (updateError) {
+    throw new Error(`Failed to book slot: ${updateError.message}`);
+  }
+
+  return { success: true, campaign: updated };
+};
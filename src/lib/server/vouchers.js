@@ -0,0 +1,245 @@
+/**
+ * Shot Vouchers
+ *
+ * Issues EIP-712 ShotVoucher signatures that let a player redeem a referral discount or a
+ * bonus shot on-chain with commitShotWithVoucher. Every discount or bonus shot row maps to
+ * one voucher ID and the contract accepts each voucher ID once, so the on-chain
+ * redeemedVouchers flag is the source of truth; rows are marked used once it is set.
+ *
+ * SECURITY: This module should ONLY be used on the server-side (signs with the voucher key).
+ */
+
+import { ethers } from 'ethers';
+import { buildRelayDomain } from '../crypto/relay.js';
+
+// Must stay in sync with SHOT_VOUCHER_TYPEHASH in EthShot.sol
+export const SHOT_VOUCHER_TYPES = {
+  ShotVoucher: [
+    { name: 'player', type: 'address' },
+    { name: 'voucherId', type: 'bytes32' },
+    { name: 'price', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+export const VOUCHER_KINDS = ['discount', 'bonus'];
+
+// How long an issued voucher stays valid
+export const VOUCHER_TTL_SECONDS = 10 * 60;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const VOUCHER_ABI = [
+  'function SHOT_COST() external view returns (uint256)',
+  'function redeemedVouchers(bytes32 voucherId) external view returns (bool)'
+];
+
+// Where the discount or bonus shot behind each voucher kind lives
+const VOUCHER_SOURCES = {
+  discount: {
+    table: 'referral_discounts',
+    addressColumn: 'wallet_address',
+    columns: 'id, discount_percentage, is_used, expires_at',
+    label: 'Discount'
+  },
+  bonus: {
+    table: 'bonus_shots',
+    addressColumn: 'player_address',
+    columns: 'id, is_used, expires_at',
+    label: 'Bonus shot'
+  }
+};
+
+/**
+ * Create the contract instance used to price and check vouchers
+ * @param {string} contractAddress - EthShot contract address
+ * @param {Object} runner - Ethers provider
+ * @returns {Object} Ethers contract
+ */
+export const getVoucherContract = (contractAddress, runner) =>
+  new ethers.Contract(contractAddress, VOUCHER_ABI, runner);
+
+/**
+ * Get the on-chain voucher ID of a discount or bonus shot
+ * @param {string} kind - 'discount' or 'bonus'
+ * @param {string} sourceId - referral_discounts or bonus_shots row ID
+ * @returns {string} bytes32 voucher ID
+ */
+export const getVoucherId = (kind, sourceId) => ethers.id(`ethshot:${kind}:${sourceId.toLowerCase()}`);
+
+/**
+ * Get the price a voucher shot is charged
+ * @param {bigint} shotCost - Contract SHOT_COST in wei
+ * @param {string} kind - 'discount' or 'bonus'
+ * @param {number|string} [discountPercentage] - Fraction off for discounts (0.2 = 20%)
+ * @returns {bigint} Price in wei (0 for bonus shots)
+ */
+export const calculateVoucherPrice = (shotCost, kind, discountPercentage = 0) => {
+  if (kind === 'bonus') {
+    return 0n;
+  }
+  const discountBP = BigInt(Math.round(Number(discountPercentage) * 10000));
+  return shotCost - (shotCost * discountBP) / 10000n;
+};
+
+/**
+ * Validate the discount or bonus shot a voucher is requested for
+ * @param {Object} body - { kind, sourceId }
+ * @returns {{isValid: boolean, error?: string}} Validation result
+ */
+export const validateVoucherRequest = (body) => {
+  const { kind, sourceId } = body || {};
+
+  if (!VOUCHER_KINDS.includes(kind)) {
+    return { isValid: false, error: `Invalid voucher kind. Must be one of: ${VOUCHER_KINDS.join(', ')}` };
+  }
+  if (!UUID_PATTERN.test(sourceId || '')) {
+    return { isValid: false, error: `Invalid ${kind} ID` };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Load a discount or bonus shot belonging to the wallet
+ */
+const loadVoucherSource = async (supabase, kind, sourceId, walletAddress) => {
+  const source = VOUCHER_SOURCES[kind];
+  const { data, error } = await supabase
+    .from(source.table)
+    .select(source.columns)
+    .eq('id', sourceId)
+    .eq(source.addressColumn, walletAddress.toLowerCase())
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load ${kind}: ${error.message}`);
+  }
+  return data;
+};
+
+/**
+ * Mark a discount or bonus shot used after its voucher was redeemed on-chain
+ */
+const markVoucherSourceUsed = async (supabase, kind, sourceId) => {
+  const { error } = await supabase
+    .from(VOUCHER_SOURCES[kind].table)
+    .update({ is_used: true, used_at: new Date().toISOString() })
+    .eq('id', sourceId)
+    .eq('is_used', false);
+
+  if (error) {
+    throw new Error(`Failed to mark ${kind} used: ${error.message}`);
+  }
+};
+
+/**
+ * Sign a voucher for one of the wallet's unused discounts or bonus shots
+ * @param {Object} params
+ * @param {Object} params.supabase - Server-side Supabase client
+ * @param {Object} params.contract - EthShot contract (voucher ABI)
+ * @param {Object} params.signer - Ethers signer of the contract's voucherSigner
+ * @param {number|bigint} params.chainId - Chain the contract is deployed on
+ * @param {string} params.contractAddress - EthShot contract address
+ * @param {string} params.walletAddress - Authenticated player
+ * @param {string} params.kind - 'discount' or 'bonus'
+ * @param {string} params.sourceId - referral_discounts or bonus_shots row ID
+ * @param {number} [params.now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<{success: boolean, status?: number, error?: string, voucher?: Object}>}
+ *   voucher is { player, voucherId, price (wei string), deadline, signature }
+ */
+export const issueShotVoucher = async ({
+  supabase,
+  contract,
+  signer,
+  chainId,
+  contractAddress,
+  walletAddress,
+  kind,
+  sourceId,
+  now = Date.now()
+}) => {
+  const validation = validateVoucherRequest({ kind, sourceId });
+  if (!validation.isValid) {
+    return { success: false, status: 400, error: validation.error };
+  }
+
+  const { label } = VOUCHER_SOURCES[kind];
+  const source = await loadVoucherSource(supabase, kind, sourceId, walletAddress);
+  if (!source) {
+    return { success: false, status: 404, error: `${label} not found` };
+  }
+  if (source.is_used) {
+    return { success: false, status: 409, error: `${label} has already been used` };
+  }
+
+  const expiresAt = source.expires_at ? Date.parse(source.expires_at) : Infinity;
+  if (expiresAt <= now) {
+    return { success: false, status: 410, error: `${label} has expired` };
+  }
+
+  // A voucher for this row may already have been redeemed without the row being updated
+  const voucherId = getVoucherId(kind, sourceId);
+  if (await contract.redeemedVouchers(voucherId)) {
+    await markVoucherSourceUsed(supabase, kind, sourceId);
+    return { success: false, status: 409, error: `${label} has already been used` };
+  }
+
+  const price = calculateVoucherPrice(await contract.SHOT_COST(), kind, source.discount_percentage);
+  const deadline = Math.floor(Math.min(now / 1000 + VOUCHER_TTL_SECONDS, expiresAt / 1000));
+  const voucher = {
+    player: ethers.getAddress(walletAddress),
+    voucherId,
+    price,
+    deadline: BigInt(deadline)
+  };
+
+  const signature = await signer.signTypedData(
+    buildRelayDomain(chainId, contractAddress),
+    SHOT_VOUCHER_TYPES,
+    voucher
+  );
+
+  return {
+    success: true,
+    voucher: {
+      player: voucher.player,
+      voucherId,
+      price: price.toString(),
+      deadline,
+      signature
+    }
+  };
+};
+
+/**
+ * Mark a discount or bonus shot used if its voucher has been redeemed on-chain
+ * @param {Object} params
+ * @param {Object} params.supabase - Server-side Supabase client
+ * @param {Object} params.contract - EthShot contract (voucher ABI)
+ * @param {string} params.walletAddress - Authenticated player
+ * @param {string} params.kind - 'discount' or 'bonus'
+ * @param {string} params.sourceId - referral_discounts or bonus_shots row ID
+ * @returns {Promise<{success: boolean, status?: number, error?: string, redeemed?: boolean}>}
+ */
+export const syncVoucherRedemption = async ({ supabase, contract, walletAddress, kind, sourceId }) => {
+  const validation = validateVoucherRequest({ kind, sourceId });
+  if (!validation.isValid) {
+    return { success: false, status: 400, error: validation.error };
+  }
+
+  const source = await loadVoucherSource(supabase, kind, sourceId, walletAddress);
+  if (!source) {
+    return { success: false, status: 404, error: `${VOUCHER_SOURCES[kind].label} not found` };
+  }
+  if (source.is_used) {
+    return { success: true, redeemed: true };
+  }
+
+  const redeemed = await contract.redeemedVouchers(getVoucherId(kind, sourceId));
+  if (redeemed) {
+    await markVoucherSourceUsed(supabase, kind, sourceId);
+  }
+
+  return { success: true, redeemed };
+};
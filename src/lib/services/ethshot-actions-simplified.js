@@ -11,9 +11,13 @@ import { get } from 'svelte/store';
 import { getActiveAdapter } from '../crypto/adapters/index.js';
 import { toastStore } from '../stores/toast.js';
 import { db } from '../database/index.js';
-import { supabase } from '../database/client.js';
 import { rpcCache } from '../stores/game/cache.js';
+import { formatShotBlockReason, getShotBlockMessage } from '../stores/game/utils.js';
 import { GAME_CONFIG } from '../config.js';
+import { RELAY_REQUEST_TTL_SECONDS, buildRelayDomain, signRelayRequest } from '../crypto/relay.js';
+import { submitRelayRequestAPI } from '../utils/client-relay.js';
+import { escrowRevealWithKeeper, isKeeperAvailable, isKeeperOptedIn } from '../utils/client-keeper.js';
+import { takeVoucherShot } from './ethshot-actions.js';
 
 /**
  * Wait until the contract allows reveal (handles REVEAL_DELAY block requirement).
@@ -36,12 +40,527 @@ const waitForRevealEligibility = async ({ wallet, contract, maxWaitMs = 45000, i
   }
   return false;
 };
+
+/**
+ * Check whether the contract settles shots through a randomness oracle.
+ * Deployments without the view (pre-oracle contracts) are treated as commit-reveal.
+ */
+const usesRandomnessOracle = async (contract) => {
+  try {
+    return Boolean(await contract.usesRandomnessOracle());
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wait for the randomness oracle to settle committed shots (oracle mode only).
+ * A bundle settles in one callback, so wait for one ShotRevealed per shot.
+ * Returns the ShotRevealed outcome, or null if it did not arrive before the timeout.
+ */
+const waitForOracleOutcome = async ({ wallet, contract, fromBlock, shotCount = 1, maxWaitMs = 120000, intervalMs = 3000 }) => {
+  const start = Date.now();
+  while (Date.now() - start < maxWaitMs) {
+    try {
+      const events = await contract.queryFilter(contract.filters.ShotRevealed(wallet.address), fromBlock);
+      if (events.length >= shotCount) {
+        const settled = events[events.length - 1];
+        return {
+          hash: settled.transactionHash,
+          blockNumber: settled.blockNumber,
+          won: events.slice(-shotCount).some(event => Boolean(event.args.won))
+        };
+      }
+    } catch (e) {
+      console.warn('⚠️ [takeShot] Oracle outcome check failed:', e?.message || e);
+    }
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+  return null;
+};
+
+/**
+ * Record a shot outcome settled outside revealShot (oracle or relayer) in the database.
+ */
+const recordSettledOutcome = async ({ commitHash, outcome, wallet, gameState }) => {
+  try {
+    await db.recordShotReveal({
+      playerAddress: wallet.address,
+      commitTxHash: commitHash,
+      revealTxHash: outcome.hash
+    });
+  } catch (updateError) {
+    console.error('Failed to update shot record with settled outcome:', updateError);
+  }
+
+  if (outcome.won) {
+    try {
+      await db.recordWinner({
+        winnerAddress: wallet.address,
+        amount: gameState.currentPot || gameState.shotCost || '0',
+        txHash: outcome.hash,
+        blockNumber: outcome.blockNumber,
+        timestamp: new Date().toISOString(),
+        cryptoType: gameState.activeCrypto,
+        contractAddress: gameState.contractAddress
+      });
+    } catch (dbError) {
+      console.error('Failed to record settled win in database:', dbError);
+    }
+  }
+};
+
+/**
+ * Escrow a signed reveal with the auto-reveal keeper when the player opted in, so the
+ * shot is still revealed if they leave before the automatic reveal below completes.
+ */
+const escrowRevealIfOptedIn = async ({ secret, receipt, wallet, contract, updateStatus }) => {
+  if (!isKeeperAvailable() || !isKeeperOptedIn()) return;
+
+  updateStatus('escrowing_reveal', 'Authorizing auto-reveal...');
+  try {
+    await escrowRevealWithKeeper({ secret, receipt, wallet, contract });
+  } catch (error) {
+    // The in-page reveal still runs; only the safety net is missing
+    console.warn('⚠️ [takeShot] Failed to escrow reveal with keeper:', error.message);
+  }
+};
+
+/**
+ * Wait for the oracle to settle a shot and record the outcome in the database.
+ * Mirrors the database side of revealShot for deployments without manual reveals.
+ */
+const settleViaOracle = async ({ commitReceipt, wallet, contract, gameState, updateStatus, shotCount = 1 }) => {
+  updateStatus('waiting_oracle', 'Waiting for randomness oracle...');
+  const outcome = await waitForOracleOutcome({ wallet, contract, fromBlock: commitReceipt.blockNumber, shotCount });
+
+  if (!outcome) {
+    console.warn('⚠️ [takeShot] Oracle did not settle the shot in time; it will settle on-chain later');
+    toastStore.info('Shot committed. The randomness oracle will settle it shortly.');
+    return {
+      hash: null,
+      receipt: null,
+      won: false,
+      oraclePending: true
+    };
+  }
+
+  updateStatus('updating_database', 'Updating database with results...');
+  await recordSettledOutcome({ commitHash: commitReceipt.hash, outcome, wallet, gameState });
+
+  return {
+    hash: outcome.hash,
+    receipt: null,
+    won: outcome.won
+  };
+};
+
+/**
+ * Wait until a bundle committed at commitBlock can be revealed (REVEAL_DELAY is one block).
+ * Returns true once the reveal window is open, false on timeout.
+ */
+const waitForBatchRevealWindow = async ({ wallet, commitBlock, maxWaitMs = 45000, intervalMs = 1500 }) => {
+  const start = Date.now();
+  while (Date.now() - start < maxWaitMs) {
+    try {
+      const blockNumber = await wallet.provider.getBlockNumber();
+      if (blockNumber > commitBlock + 1) return true;
+    } catch (e) {
+      console.warn('⚠️ [takeShotBundle] Block number check failed:', e?.message || e);
+    }
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+  return false;
+};
+
+/**
+ * Commit a bundle of shots with commitShots and reveal each one (ETH-only mode).
+ * The whole bundle starts a single cooldown; each shot still rolls on its own.
+ */
+const takeShotBundle = async ({
+  shotCount,
+  gameState,
+  wallet,
+  contract,
+  ethers,
+  updateGameState,
+  loadGameState,
+  loadPlayerData,
+  onStatusUpdate,
+  updateStatus
+}) => {
+  if (!contract || !ethers || !wallet.signer) {
+    throw new Error('Contract or signer not available');
+  }
+
+  if (parseFloat(gameState?.currentPot ?? '0') === 0) {
+    throw new Error('The first shot has to be taken on its own before bundles are available.');
+  }
+
+  updateStatus('preparing', 'Preparing bundle transaction...');
+
+  const contractWithSigner = contract.connect(wallet.signer);
+  const [shotCost, maxBatchShots] = await Promise.all([contract.SHOT_COST(), contract.MAX_BATCH_SHOTS()]);
+  if (!Number.isInteger(shotCount) || shotCount < 1 || shotCount > Number(maxBatchShots)) {
+    throw new Error(`Bundles can contain between 1 and ${maxBatchShots} shots.`);
+  }
+
+  const totalValue = shotCost * BigInt(shotCount);
+
+  updateStatus('generating_commitment', 'Generating secure commitments...');
+
+  // One secret per shot - each shot is revealed (and can win) on its own
+  const secrets = Array.from({ length: shotCount }, () => ethers.hexlify(ethers.randomBytes(32)));
+  const commitments = secrets.map(secret =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [BigInt(secret), wallet.address]))
+  );
+
+  updateStatus('pre_flight_check', 'Performing pre-flight validation...');
+
+  const isPaused = await contract.paused().catch(() => false);
+  if (isPaused) {
+    throw new Error('Contract is currently paused. Please try again later.');
+  }
+
+  const { allowed: canCommit, reason } = await contract.canCommitShot(wallet.address);
+  if (!canCommit) {
+    const blockReason = formatShotBlockReason(reason);
+    if (blockReason === 'cooldown') {
+      const cooldownRemaining = await contract.getCooldownRemaining(wallet.address);
+      throw new Error(`Cooldown period not elapsed. Please wait ${cooldownRemaining} more seconds.`);
+    }
+    throw new Error(getShotBlockMessage(blockReason) || 'You have a pending shot that needs to be revealed first.');
+  }
+
+  updateStatus('estimating_gas', 'Estimating gas costs...');
+
+  let gasEstimate;
+  try {
+    gasEstimate = await contractWithSigner.commitShots.estimateGas(commitments, { value: totalValue });
+  } catch (estimateError) {
+    console.warn('⚠️ [takeShotBundle] Failed to estimate gas, using default:', estimateError?.message || estimateError);
+    gasEstimate = 100000n + 80000n * BigInt(shotCount);
+  }
+  const gasLimit = gasEstimate + (gasEstimate * 20n / 100n);
+
+  const feeData = await wallet.provider.getFeeData();
+  const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || ethers.parseUnits('20', 'gwei');
+  const txOverrides = { gasLimit, value: totalValue };
+  if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+    txOverrides.maxFeePerGas = feeData.maxFeePerGas;
+    txOverrides.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+  } else {
+    txOverrides.gasPrice = gasPrice;
+  }
+
+  updateStatus('checking_balance', 'Checking wallet balance...');
+
+  const balance = await wallet.provider.getBalance(wallet.address);
+  const requiredBalance = totalValue + gasLimit * gasPrice;
+  if (balance < requiredBalance) {
+    const shortfall = ethers.formatEther(requiredBalance - balance);
+    throw new Error(`Insufficient ETH. Need ${shortfall} more ETH for this bundle.`);
+  }
+
+  updateStatus('sending_transaction', `Sending ${shotCount}-shot bundle to blockchain...`);
+
+  const tx = await contractWithSigner.commitShots(commitments, txOverrides);
+  console.log('✅ [takeShotBundle] Bundle transaction sent, hash:', tx.hash);
+
+  updateStatus('waiting_confirmation', 'Waiting for blockchain confirmation...');
+
+  const receipt = await tx.wait();
+  if (receipt.status !== 1) {
+    throw new Error('Transaction reverted during execution');
+  }
+
+  updateStatus('processing', 'Processing transaction result...');
+
+  // Store every secret so shots that fail to auto-reveal can be revealed manually
+  try {
+    const savedSecretsKey = `ethshot_saved_secrets_${wallet.address}`;
+    const existingSecrets = JSON.parse(localStorage.getItem(savedSecretsKey) || '[]');
+    secrets.forEach((secret, batchIndex) => {
+      const secretKey = `ethshot_secret_${wallet.address}_${receipt.hash.slice(0, 10)}_${batchIndex}`;
+      localStorage.setItem(secretKey, JSON.stringify({
+        secret,
+        txHash: receipt.hash,
+        batchIndex,
+        timestamp: Date.now(),
+        isFirstShot: false
+      }));
+      existingSecrets.push(secretKey);
+    });
+    localStorage.setItem(savedSecretsKey, JSON.stringify(existingSecrets));
+  } catch (storageError) {
+    console.warn('Failed to save bundle secrets to localStorage:', storageError);
+  }
+
+  // The shots table is keyed by transaction, so the bundle is recorded as one row
+  const totalSpent = ethers.formatEther(totalValue);
+  try {
+    await db.recordShot({
+      playerAddress: wallet.address,
+      amount: totalSpent,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      timestamp: new Date().toISOString(),
+      won: false, // Will be updated when revealed
+      cryptoType: gameState.activeCrypto,
+      contractAddress: gameState.contractAddress
+    });
+  } catch (dbError) {
+    console.error('Failed to log shot bundle to database:', dbError);
+  }
+
+  try {
+    await db.upsertPlayer({
+      address: wallet.address,
+      totalShots: shotCount,
+      totalSpent,
+      totalWon: '0',
+      lastShotTime: new Date().toISOString(),
+      cryptoType: gameState.activeCrypto,
+      contractAddress: gameState.contractAddress
+    });
+  } catch (playerUpsertErr) {
+    console.warn('⚠️ Player stats upsert after shot bundle failed (auth likely missing). Address:', wallet.address, playerUpsertErr?.message || playerUpsertErr);
+  }
+
+  const result = {
+    hash: receipt.hash,
+    receipt,
+    isCommitOnly: true,
+    isBundle: true,
+    shotCount,
+    revealResults: []
+  };
+
+  if (await usesRandomnessOracle(contract)) {
+    // Oracle mode: one random word settles every shot in the bundle
+    result.revealResult = await settleViaOracle({ commitReceipt: receipt, wallet, contract, gameState, updateStatus, shotCount });
+  } else {
+    updateStatus('waiting_reveal_window', 'Waiting for reveal window...');
+    const ready = await waitForBatchRevealWindow({ wallet, commitBlock: receipt.blockNumber });
+
+    for (const [batchIndex, secret] of secrets.entries()) {
+      if (!ready) {
+        result.revealResults.push({ hash: null, receipt: null, won: false, autoRevealFailed: true, error: 'Reveal window not yet open' });
+        continue;
+      }
+
+      updateStatus('auto_revealing', `Revealing shot ${batchIndex + 1} of ${shotCount}...`);
+      try {
+        result.revealResults.push(await revealShot({
+          secret,
+          batchIndex,
+          gameState,
+          wallet,
+          contract,
+          ethers,
+          loadGameState,
+          loadPlayerData,
+          onStatusUpdate
+        }));
+      } catch (revealError) {
+        console.error(`❌ [takeShotBundle] Auto-reveal of shot ${batchIndex + 1} failed:`, revealError);
+        result.revealResults.push({ hash: null, receipt: null, won: false, autoRevealFailed: true, error: revealError.message });
+      }
+    }
+
+    const failedReveals = result.revealResults.filter(reveal => reveal.autoRevealFailed).length;
+    if (failedReveals > 0) {
+      toastStore.info(`${failedReveals} shot(s) in your bundle were not revealed automatically. Your secrets are saved for manual reveal.`);
+    }
+
+    result.revealResult = {
+      won: result.revealResults.some(reveal => reveal.won),
+      wins: result.revealResults.filter(reveal => reveal.won || reveal.tierPrize).length,
+      autoRevealFailed: failedReveals > 0
+    };
+  }
+  result.won = result.revealResult.won;
+
+  updateGameState(s => ({
+    ...(s ?? gameState),
+    totalShots: (s?.totalShots ?? gameState.totalShots) + shotCount,
+    lastShotTime: new Date().toISOString(),
+    canShoot: false,
+    cooldownUntil: new Date(Date.now() + (parseInt(GAME_CONFIG.COOLDOWN_PERIOD) || 60000)).toISOString()
+  }));
+
+  updateStatus('refreshing_state', 'Refreshing game state...');
+
+  rpcCache.clear();
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  await loadGameState();
+  await loadPlayerData(wallet.address);
+
+  updateStatus('completed', `${shotCount}-shot bundle completed!`);
+
+  return result;
+};
+
+/**
+ * Sign a relayed commit/reveal request and wait for the relayer's transaction.
+ */
+const relayShotRequest = async ({ type, fields, wallet, contract }) => {
+  const [network, latestBlock, nonce] = await Promise.all([
+    wallet.provider.getNetwork(),
+    wallet.provider.getBlock('latest'),
+    contract.nonces(wallet.address)
+  ]);
+
+  const request = {
+    player: wallet.address,
+    ...fields,
+    nonce: nonce.toString(),
+    deadline: String(latestBlock.timestamp + RELAY_REQUEST_TTL_SECONDS)
+  };
+  const domain = buildRelayDomain(network.chainId, await contract.getAddress());
+  const signature = await signRelayRequest({ signer: wallet.signer, type, domain, request });
+
+  const txHash = await submitRelayRequestAPI(type, request, signature);
+  const receipt = await wallet.provider.waitForTransaction(txHash);
+  if (!receipt || receipt.status !== 1) {
+    throw new Error(`Relayed ${type} transaction failed`);
+  }
+  return receipt;
+};
+
+/**
+ * Take a shot through the gasless relayer (ETH-only mode, regular shots).
+ * The player only signs; the relayer pays gas and the shot cost comes out of the
+ * player's shot deposit.
+ */
+const takeRelayedShot = async ({
+  gameState,
+  wallet,
+  contract,
+  ethers,
+  updateGameState,
+  loadGameState,
+  loadPlayerData,
+  updateStatus
+}) => {
+  updateStatus('generating_commitment', 'Generating secure commitment...');
+
+  const secret = ethers.hexlify(ethers.randomBytes(32));
+  const commitment = ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [BigInt(secret), wallet.address]));
+
+  updateStatus('signing_request', 'Sign the gasless shot request in your wallet...');
+  const commitReceipt = await relayShotRequest({ type: 'commit', fields: { commitment }, wallet, contract });
+  console.log('✅ [takeRelayedShot] Relayed commit confirmed:', commitReceipt.hash);
+
+  updateStatus('processing', 'Processing transaction result...');
+
+  try {
+    const secretKey = `ethshot_secret_${wallet.address}_${commitReceipt.hash.slice(0, 10)}`;
+    localStorage.setItem(secretKey, JSON.stringify({
+      secret,
+      txHash: commitReceipt.hash,
+      timestamp: Date.now(),
+      isFirstShot: false,
+      relayed: true
+    }));
+    const savedSecretsKey = `ethshot_saved_secrets_${wallet.address}`;
+    const existingSecrets = JSON.parse(localStorage.getItem(savedSecretsKey) || '[]');
+    existingSecrets.push(secretKey);
+    localStorage.setItem(savedSecretsKey, JSON.stringify(existingSecrets));
+  } catch (storageError) {
+    console.warn('Failed to save relayed shot secret to localStorage:', storageError);
+  }
+
+  try {
+    await db.recordShot({
+      playerAddress: wallet.address,
+      amount: gameState.shotCost,
+      txHash: commitReceipt.hash,
+      blockNumber: commitReceipt.blockNumber,
+      timestamp: new Date().toISOString(),
+      won: false, // Will be updated when revealed
+      cryptoType: gameState.activeCrypto,
+      contractAddress: gameState.contractAddress
+    });
+  } catch (dbError) {
+    console.error('Failed to log relayed shot to database:', dbError);
+  }
+
+  const result = {
+    hash: commitReceipt.hash,
+    receipt: commitReceipt,
+    isCommitOnly: true,
+    relayed: true
+  };
+
+  if (await usesRandomnessOracle(contract)) {
+    result.revealResult = await settleViaOracle({ commitReceipt, wallet, contract, gameState, updateStatus });
+  } else {
+    updateStatus('waiting_reveal_window', 'Waiting for reveal window...');
+    const ready = await waitForRevealEligibility({ wallet, contract });
+
+    if (!ready) {
+      toastStore.info('Shot committed. Your secret is saved so it can be revealed once the reveal window opens.');
+      result.revealResult = { hash: null, receipt: null, won: false, autoRevealFailed: true, error: 'Reveal window not yet open' };
+    } else {
+      updateStatus('auto_revealing', 'Sign the gasless reveal request in your wallet...');
+      try {
+        const revealReceipt = await relayShotRequest({ type: 'reveal', fields: { secret: BigInt(secret).toString() }, wallet, contract });
+        const revealed = revealReceipt.logs
+          .map(log => {
+            try {
+              return contract.interface.parseLog(log);
+            } catch {
+              return null;
+            }
+          })
+          .find(parsed => parsed?.name === 'ShotRevealed');
+
+        const outcome = {
+          hash: revealReceipt.hash,
+          blockNumber: revealReceipt.blockNumber,
+          won: Boolean(revealed?.args?.won)
+        };
+        updateStatus('updating_database', 'Updating database with results...');
+        await recordSettledOutcome({ commitHash: commitReceipt.hash, outcome, wallet, gameState });
+        result.revealResult = { ...outcome, receipt: revealReceipt };
+      } catch (revealError) {
+        console.error('❌ [takeRelayedShot] Relayed reveal failed:', revealError);
+        toastStore.info('Shot committed but the gasless reveal failed. Your secret is saved for manual reveal.');
+        result.revealResult = { hash: null, receipt: null, won: false, autoRevealFailed: true, error: revealError.message };
+      }
+    }
+  }
+  result.won = result.revealResult.won;
+
+  updateGameState(s => ({
+    ...(s ?? gameState),
+    totalShots: (s?.totalShots ?? gameState.totalShots) + 1,
+    lastShotTime: new Date().toISOString(),
+    canShoot: false,
+    cooldownUntil: new Date(Date.now() + (parseInt(GAME_CONFIG.COOLDOWN_PERIOD) || 60000)).toISOString()
+  }));
+
+  updateStatus('refreshing_state', 'Refreshing game state...');
+
+  rpcCache.clear();
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  await loadGameState();
+  await loadPlayerData(wallet.address);
+
+  updateStatus('completed', 'Shot completed successfully!');
+
+  return result;
+};
+
 /**
  * Take a shot in the game (simplified flow)
  * @param {Object} params - Parameters object
  * @param {boolean} params.useDiscount - Whether to use a discount
  * @param {string} params.discountId - Discount ID to use
+ * @param {string} params.bonusShotId - Bonus shot ID to use
  * @param {string} params.customShotCost - Custom shot cost
+ * @param {number} params.shotCount - Number of shots to buy; more than one commits a bundle
  * @param {Object} params.gameState - Current game state
  * @param {Object} params.wallet - Wallet instance
  * @param {Object} params.contract - Contract instance (ETH mode)
@@ -54,7 +573,9 @@ const waitForRevealEligibility = async ({ wallet, contract, maxWaitMs = 45000, i
 export const takeShot = async ({
   useDiscount = false,
   discountId = null,
+  bonusShotId = null,
   customShotCost = null,
+  shotCount = 1,
   gameState,
   wallet,
   contract,
@@ -104,6 +625,40 @@ export const takeShot = async ({
   assertFn(loadPlayerData, 'loadPlayerData');
   assertFn(onStatusUpdate, 'onStatusUpdate');
 
+  if (bonusShotId || (useDiscount && discountId)) {
+    return takeVoucherShot({
+      kind: bonusShotId ? 'bonus' : 'discount',
+      sourceId: bonusShotId || discountId,
+      gameState,
+      wallet,
+      contract,
+      ethers,
+      updateGameState,
+      loadGameState,
+      loadPlayerData,
+      onStatusUpdate
+    });
+  }
+
+  if (shotCount > 1) {
+    if (gameState.isMultiCryptoMode) {
+      throw new Error('Shot bundles are not yet available in multi-crypto mode.');
+    }
+
+    return takeShotBundle({
+      shotCount,
+      gameState,
+      wallet,
+      contract,
+      ethers,
+      updateGameState,
+      loadGameState,
+      loadPlayerData,
+      onStatusUpdate,
+      updateStatus
+    });
+  }
+
   let result;
 
   if (gameState.isMultiCryptoMode) {
@@ -234,6 +789,21 @@ export const takeShot = async ({
     });
     
     if (balance < balanceCheckCost) {
+      // Players whose shot deposit covers the shot but who have nothing for gas can go through the relayer
+      if (GAME_CONFIG.RELAYER_ENABLED && !isFirstShot && (await contract.shotDeposits(wallet.address)) >= shotCost) {
+        console.log('🛰️ [takeShot] Not enough ETH for gas, taking the shot through the relayer');
+        return takeRelayedShot({
+          gameState,
+          wallet,
+          contract,
+          ethers,
+          updateGameState,
+          loadGameState,
+          loadPlayerData,
+          updateStatus
+        });
+      }
+
       const shortfall = ethers.formatEther(balanceCheckCost - balance);
       throw new Error(`Insufficient ETH. Need ${shortfall} more ETH for gas fees.`);
     }
@@ -278,8 +848,14 @@ export const takeShot = async ({
       }
       
       // Check 2: Player can commit shot
-      const canCommit = await contract.canCommitShot(wallet.address);
-      console.log('🔧 [takeShot] Can commit shot:', canCommit);
+      const { allowed: canCommit, reason } = await contract.canCommitShot(wallet.address);
+      const blockReason = formatShotBlockReason(reason);
+      console.log('🔧 [takeShot] Can commit shot:', canCommit, blockReason);
+      
+      // Responsible play limits can't be waited out like a cooldown
+      if (blockReason === 'self_excluded' || blockReason === 'daily_spend_limit') {
+        throw new Error(getShotBlockMessage(blockReason));
+      }
       
       if (!canCommit) {
         // Get more specific information about why they can't commit
@@ -432,6 +1008,7 @@ export const takeShot = async ({
     }
     
     updateStatus('processing', 'Processing transaction result...');
+    const oracleMode = await usesRandomnessOracle(contract);
     
     if (isFirstShot) {
       // First shot: no secret storage, no reveal needed - just adds to pot
@@ -511,58 +1088,66 @@ export const takeShot = async ({
         // Don't throw here - the shot was successful even if storage failed
       }
 
-      // Automatically reveal the first shot to clear pending state (cannot win by design)
-      // This ALWAYS runs regardless of database logging outcome to ensure on-chain pending is cleared
-      updateStatus('waiting_reveal_window', 'Waiting for reveal window...');
-      const readyFirst = await waitForRevealEligibility({ wallet, contract });
-      if (readyFirst) {
-        updateStatus('auto_revealing', 'Automatically revealing shot...');
-        try {
-          console.log('🔧 [takeShot] Starting auto-reveal for first shot with secret:', secret);
-          const revealResult = await revealShot({
-            secret,
-            gameState,
-            wallet,
-            contract,
-            ethers,
-            loadGameState,
-            loadPlayerData,
-            onStatusUpdate
-          });
-          console.log('✅ [takeShot] Auto-reveal (first shot) completed:', revealResult);
-
-          // Update result with reveal information
-          result.revealResult = revealResult;
-          result.won = revealResult.won;
-        } catch (revealError) {
-          console.error('❌ [takeShot] Auto-reveal (first shot) failed:', revealError);
-          console.error('❌ [takeShot] Auto-reveal (first shot) error stack:', revealError.stack);
-
-          // Don't throw the error - instead provide a helpful message
-          // The secret is already stored in localStorage for manual recovery
-          toastStore.info('First shot committed but auto-reveal failed. Your secret is saved for manual reveal if needed.');
-
-          // Return the result without reveal information for the UI to handle
+      if (oracleMode) {
+        // Oracle mode: the randomness provider settles the shot, no reveal transaction
+        result.revealResult = await settleViaOracle({ commitReceipt: receipt, wallet, contract, gameState, updateStatus });
+        result.won = result.revealResult.won;
+      } else {
+        await escrowRevealIfOptedIn({ secret, receipt, wallet, contract, updateStatus });
+
+        // Automatically reveal the first shot to clear pending state (cannot win by design)
+        // This ALWAYS runs regardless of database logging outcome to ensure on-chain pending is cleared
+        updateStatus('waiting_reveal_window', 'Waiting for reveal window...');
+        const readyFirst = await waitForRevealEligibility({ wallet, contract });
+        if (readyFirst) {
+          updateStatus('auto_revealing', 'Automatically revealing shot...');
+          try {
+            console.log('🔧 [takeShot] Starting auto-reveal for first shot with secret:', secret);
+            const revealResult = await revealShot({
+              secret,
+              gameState,
+              wallet,
+              contract,
+              ethers,
+              loadGameState,
+              loadPlayerData,
+              onStatusUpdate
+            });
+            console.log('✅ [takeShot] Auto-reveal (first shot) completed:', revealResult);
+
+            // Update result with reveal information
+            result.revealResult = revealResult;
+            result.won = revealResult.won;
+          } catch (revealError) {
+            console.error('❌ [takeShot] Auto-reveal (first shot) failed:', revealError);
+            console.error('❌ [takeShot] Auto-reveal (first shot) error stack:', revealError.stack);
+
+            // Don't throw the error - instead provide a helpful message
+            // The secret is already stored in localStorage for manual recovery
+            toastStore.info('First shot committed but auto-reveal failed. Your secret is saved for manual reveal if needed.');
+
+            // Return the result without reveal information for the UI to handle
+            result.revealResult = {
+              hash: null,
+              receipt: null,
+              won: false,
+              autoRevealFailed: true,
+              error: revealError.message
+            };
+            result.won = false;
+          }
+        } else {
+          console.warn('⚠️ [takeShot] Reveal window did not open in time for first shot; leaving pending with saved secret');
+          toastStore.info('First shot committed. Waiting for the next block to reveal automatically soon.');
           result.revealResult = {
             hash: null,
             receipt: null,
             won: false,
             autoRevealFailed: true,
-            error: revealError.message
+            error: 'Reveal window not yet open'
           };
           result.won = false;
         }
-      } else {
-        console.warn('⚠️ [takeShot] Reveal window did not open in time for first shot; leaving pending with saved secret');
-        toastStore.info('First shot committed. Waiting for the next block to reveal automatically soon.');
-        result.revealResult = {
-          hash: null,
-          receipt: null,
-          won: false,
-          autoRevealFailed: true,
-          error: 'Reveal window not yet open'
-        };
-        result.won = false;
       }
       
       
@@ -643,57 +1228,65 @@ export const takeShot = async ({
         console.warn('⚠️ Player stats upsert after regular shot failed (auth likely missing). Address:', wallet.address, playerUpsertErr?.message || playerUpsertErr);
       }
       
-      // Automatically reveal the shot after commitment; wait until reveal window is open
-      updateStatus('waiting_reveal_window', 'Waiting for reveal window...');
-      const readyRegular = await waitForRevealEligibility({ wallet, contract });
-      if (readyRegular) {
-        updateStatus('auto_revealing', 'Automatically revealing shot...');
-        try {
-          console.log('🔧 [takeShot] Starting auto-reveal with secret:', secret);
-          const revealResult = await revealShot({
-            secret,
-            gameState,
-            wallet,
-            contract,
-            ethers,
-            loadGameState,
-            loadPlayerData,
-            onStatusUpdate
-          });
-          console.log('✅ [takeShot] Auto-reveal completed:', revealResult);
+      if (oracleMode) {
+        // Oracle mode: the randomness provider settles the shot, no reveal transaction
+        result.revealResult = await settleViaOracle({ commitReceipt: receipt, wallet, contract, gameState, updateStatus });
+        result.won = result.revealResult.won;
+      } else {
+        await escrowRevealIfOptedIn({ secret, receipt, wallet, contract, updateStatus });
+
+        // Automatically reveal the shot after commitment; wait until reveal window is open
+        updateStatus('waiting_reveal_window', 'Waiting for reveal window...');
+        const readyRegular = await waitForRevealEligibility({ wallet, contract });
+        if (readyRegular) {
+          updateStatus('auto_revealing', 'Automatically revealing shot...');
+          try {
+            console.log('🔧 [takeShot] Starting auto-reveal with secret:', secret);
+            const revealResult = await revealShot({
+              secret,
+              gameState,
+              wallet,
+              contract,
+              ethers,
+              loadGameState,
+              loadPlayerData,
+              onStatusUpdate
+            });
+            console.log('✅ [takeShot] Auto-reveal completed:', revealResult);
           
-          // Update result with reveal information
-          result.revealResult = revealResult;
-          result.won = revealResult.won;
-        } catch (revealError) {
-          console.error('❌ [takeShot] Auto-reveal failed:', revealError);
-          console.error('❌ [takeShot] Auto-reveal error stack:', revealError.stack);
+            // Update result with reveal information
+            result.revealResult = revealResult;
+            result.won = revealResult.won;
+          } catch (revealError) {
+            console.error('❌ [takeShot] Auto-reveal failed:', revealError);
+            console.error('❌ [takeShot] Auto-reveal error stack:', revealError.stack);
           
-          // Don't throw the error - instead provide a helpful message
-          // The secret is already stored in localStorage for manual recovery
-          toastStore.info('Shot committed but auto-reveal failed. Your secret is saved for manual reveal if needed.');
+            // Don't throw the error - instead provide a helpful message
+            // The secret is already stored in localStorage for manual recovery
+            toastStore.info('Shot committed but auto-reveal failed. Your secret is saved for manual reveal if needed.');
           
-          // Return the result without reveal information for the UI to handle
+            // Return the result without reveal information for the UI to handle
+            result.revealResult = {
+              hash: null,
+              receipt: null,
+              won: false,
+              autoRevealFailed: true,
+              error: revealError.message
+            };
+            result.won = false;
+          }
+        } else {
+          console.warn('⚠️ [takeShot] Reveal window did not open in time; leaving pending with saved secret');
+          toastStore.info('Shot committed. Waiting for the next block to reveal automatically soon.');
           result.revealResult = {
             hash: null,
             receipt: null,
             won: false,
             autoRevealFailed: true,
-            error: revealError.message
+            error: 'Reveal window not yet open'
           };
           result.won = false;
         }
-      } else {
-        console.warn('⚠️ [takeShot] Reveal window did not open in time; leaving pending with saved secret');
-        toastStore.info('Shot committed. Waiting for the next block to reveal automatically soon.');
-        result.revealResult = {
-          hash: null,
-          receipt: null,
-          won: false,
-          autoRevealFailed: true,
-          error: 'Reveal window not yet open'
-        };
-        result.won = false;
       }
     }
 
@@ -731,150 +1324,6 @@ export const takeShot = async ({
   return result;
 };
 
-/**
- * Sponsor a round
- * @param {Object} params - Parameters object
- * @param {string} params.name - Sponsor name
- * @param {string} params.logoUrl - Sponsor logo URL
- * @param {string} params.sponsorUrl - Sponsor website URL
- * @param {Object} params.gameState - Current game state
- * @param {Object} params.wallet - Wallet instance
- * @param {Object} params.contract - Contract instance (ETH mode)
- * @param {Object} params.ethers - Ethers library (ETH mode)
- * @param {Function} params.loadGameState - Function to reload game state
- * @returns {Promise<Object>} Transaction result
- */
-export const sponsorRound = async ({
-  name,
-  logoUrl,
-  sponsorUrl = null,
-  gameState,
-  wallet,
-  contract,
-  ethers,
-  loadGameState
-}) => {
-  if (!wallet.connected || !wallet.address) {
-    throw new Error('Please connect your wallet first');
-  }
-
-  if (gameState.contractDeployed === false) {
-    throw new Error(`${gameState.activeCrypto} contract not deployed yet.`);
-  }
-
-  if (!name || !logoUrl) {
-    throw new Error('Please provide sponsor name and logo URL');
-  }
-
-  let result;
-  let sponsorAmountWei = null;
-
-  if (gameState.isMultiCryptoMode) {
-    // Multi-crypto mode: use adapter
-    const adapter = getActiveAdapter();
-    if (!adapter) {
-      throw new Error('No active cryptocurrency adapter');
-    }
-
-    result = await adapter.sponsorRound(name, logoUrl);
-  } else {
-    // ETH-only mode: direct contract interaction
-    if (!contract || !ethers || !wallet.signer) {
-      throw new Error('Contract or signer not available');
-    }
-
-    const contractWithSigner = contract.connect(wallet.signer);
-    const sponsorCost = await contract.SPONSOR_COST();
-    sponsorAmountWei = sponsorCost;
-
-    // Check user balance
-    const balance = await wallet.provider.getBalance(wallet.address);
-    
-    // Estimate gas
-    let gasEstimate;
-    try {
-      gasEstimate = await contractWithSigner.estimateGas.sponsorRound(name, logoUrl, {
-        value: sponsorCost
-      });
-    } catch (estimateError) {
-      console.warn('Failed to estimate gas, using default:', estimateError.message);
-      gasEstimate = 100000n;
-    }
-    
-    const gasLimit = gasEstimate < 80000n ? 100000n : gasEstimate + (gasEstimate * 20n / 100n);
-    
-    // Get gas price and calculate total cost
-    const feeData = await wallet.provider.getFeeData();
-    let gasPrice;
-    
-    // Handle different fee structures (EIP-1559 vs legacy)
-    if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-      // EIP-1559 transaction
-      gasPrice = feeData.maxFeePerGas;
-    } else if (feeData.gasPrice) {
-      // Legacy transaction
-      gasPrice = feeData.gasPrice;
-    } else {
-      // Fallback to a reasonable gas price (20 gwei)
-      gasPrice = ethers.parseUnits('20', 'gwei');
-    }
-    
-    const estimatedGasCost = gasLimit * gasPrice;
-    const totalCost = sponsorCost + estimatedGasCost;
-    
-    console.log('Sponsor gas estimation details:', {
-      sponsorCost: ethers.formatEther(sponsorCost),
-      gasLimit: gasLimit.toString(),
-      gasPrice: ethers.formatUnits(gasPrice, 'gwei') + ' gwei',
-      estimatedGasCost: ethers.formatEther(estimatedGasCost),
-      totalCost: ethers.formatEther(totalCost),
-      balance: ethers.formatEther(balance)
-    });
-    
-    if (balance < totalCost) {
-      const shortfall = ethers.formatEther(totalCost - balance);
-      throw new Error(`Insufficient ETH. Need ${shortfall} more ETH for gas fees.`);
-    }
-
-    const tx = await contractWithSigner.sponsorRound(name, logoUrl, {
-      value: sponsorCost,
-      gasLimit: gasLimit
-    });
-
-    const receipt = await tx.wait();
-    
-    result = {
-      hash: receipt.hash,
-      receipt
-    };
-  }
-  
-  // Log sponsorship to database
-  try {
-    await db.recordSponsor({
-      sponsorAddress: wallet.address,
-      name,
-      logoUrl,
-      sponsorUrl,
-      amount: sponsorAmountWei !== null ? ethers.formatEther(sponsorAmountWei) : null,
-      txHash: result?.hash || null,
-      blockNumber: result?.receipt?.blockNumber || null,
-      timestamp: new Date().toISOString(),
-      active: true,
-      cryptoType: gameState.activeCrypto
-    });
-  } catch (dbError) {
-    console.error('Failed to log sponsorship to database:', dbError);
-  }
-  
-  // Clear cache and refresh state
-  rpcCache.clear();
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  await loadGameState();
-
-  return result;
-};
-
 /**
  * Clear a pending shot using the stored secret (for recovery from failed auto-reveal)
  * @param {Object} params - Parameters object
@@ -983,6 +1432,7 @@ export const clearPendingShot = async ({
  * Reveal a shot (simplified)
  * @param {Object} params - Parameters object
  * @param {string} params.secret - Secret used when committing the shot
+ * @param {number|null} params.batchIndex - Position of the shot in a commitShots bundle (null for single shots)
  * @param {Object} params.gameState - Current game state
  * @param {Object} params.wallet - Wallet instance
  * @param {Object} params.contract - Contract instance (ETH mode)
@@ -993,6 +1443,7 @@ export const clearPendingShot = async ({
  */
 export const revealShot = async ({
   secret,
+  batchIndex = null,
   gameState,
   wallet,
   contract,
@@ -1040,8 +1491,10 @@ export const revealShot = async ({
 
     updateStatus('checking_pending', 'Checking for pending shot...');
 
-    // Check if user has a pending shot
-    const hasPending = await contract.hasPendingShot(wallet.address);
+    // Check if user has a pending shot (or this bundle shot is still unrevealed)
+    const hasPending = batchIndex === null
+      ? await contract.hasPendingShot(wallet.address)
+      : Boolean((await contract.getPendingBatch(wallet.address)).pending[batchIndex]);
     if (!hasPending) {
       // No pending shot found - this is normal for auto-reveal
       console.log('No pending shot found - this is expected for auto-reveal');
@@ -1065,7 +1518,9 @@ export const revealShot = async ({
     try {
       console.log('🔧 [revealShot] Starting gas estimation for reveal...');
       console.log('🔧 [revealShot] Secret for estimation:', secret);
-      gasEstimate = await contractWithSigner.estimateGas.revealShot(secret);
+      gasEstimate = batchIndex === null
+        ? await contractWithSigner.estimateGas.revealShot(secret)
+        : await contractWithSigner.revealBatchShot.estimateGas(batchIndex, secret);
       console.log('✅ [revealShot] Gas estimate successful:', gasEstimate.toString());
     } catch (estimateError) {
       console.error('❌ [revealShot] Failed to estimate gas for reveal:', estimateError);
@@ -1133,7 +1588,9 @@ export const revealShot = async ({
       }
     });
     
-    const tx = await contractWithSigner.revealShot(secret, txOverrides);
+    const tx = batchIndex === null
+      ? await contractWithSigner.revealShot(secret, txOverrides)
+      : await contractWithSigner.revealBatchShot(batchIndex, secret, txOverrides);
     console.log('✅ [revealShot] Transaction sent, hash:', tx.hash);
 
     updateStatus('waiting_reveal_confirmation', 'Waiting for reveal confirmation...');
@@ -1161,6 +1618,7 @@ export const revealShot = async ({
       
       let parsedShotRevealed = null;
       let jackpotWin = false;
+      let tierPrize = null;
       for (const [index, log] of receipt.logs.entries()) {
         try {
           console.log(`🔧 [revealShot] Parsing log ${index}:`, {
@@ -1189,6 +1647,14 @@ export const revealShot = async ({
             } else {
               console.log('🔧 [revealShot] JackpotWon emitted but for different address:', winnerAddr);
             }
+          } else if (parsed?.name === 'TierPrizeWon' && String(parsed.args.winner || '').toLowerCase() === (wallet.address || '').toLowerCase()) {
+            const tier = Number(parsed.args.tier);
+            tierPrize = {
+              tier,
+              name: gameState.gameConfig?.prizeTiers?.[tier]?.name || `Tier ${tier + 1}`,
+              amount: ethers.formatEther(parsed.args.amount)
+            };
+            console.log('✅ [revealShot] Found TierPrizeWon event for this wallet:', tierPrize);
           }
         } catch (parseError) {
           console.log(`🔧 [revealShot] Log ${index} not from this contract (expected):`, parseError.message);
@@ -1239,9 +1705,14 @@ export const revealShot = async ({
       result = {
         hash: receipt.hash,
         receipt,
-        won
+        won,
+        tierPrize
       };
       console.log('✅ [revealShot] Final result:', result);
+
+      if (tierPrize) {
+        toastStore.success(`🎁 You won the ${tierPrize.name} prize: ${tierPrize.amount} ETH!`);
+      }
     } catch (waitError) {
       console.error('❌ [revealShot] Reveal transaction failed:', waitError);
       console.error('❌ [revealShot] Wait error stack:', waitError.stack);
@@ -1278,69 +1749,20 @@ export const revealShot = async ({
       }
     }
     
-    if (commitTxHash) {
+    if (commitTxHash && batchIndex !== null && !result?.won) {
+      // Bundle shots share one commit record; only a win updates it so a later losing reveal can't overwrite it
+      console.log('🔧 [revealShot] Bundle shot did not win, leaving shared shot record unchanged');
+    } else if (commitTxHash) {
       // Update the shot record with reveal information
       try {
-        const { data, error } = await supabase.rpc('update_shot_on_reveal', {
-          p_tx_hash: commitTxHash,
-          p_won: result && result.won ? result.won : false,
-          p_reveal_tx_hash: result?.hash || null,
-          p_reveal_block_number: result?.receipt?.blockNumber || null
+        await db.recordShotReveal({
+          playerAddress: wallet.address,
+          commitTxHash,
+          revealTxHash: result.hash
         });
-        
-        if (error) {
-          console.error('Failed to update shot record:', error);
-          // If the function doesn't exist, try a fallback update
-          if (error.code === '42883' || error.message?.includes('function') || error.message?.includes('does not exist')) {
-            console.log('Database function not available, using fallback update method');
-            try {
-              const { error: fallbackError } = await supabase
-                .from('shots')
-                .update({
-                  won: result && result.won ? result.won : false,
-                  reveal_tx_hash: result?.hash || null,
-                  reveal_block_number: result?.receipt?.blockNumber || null,
-                  reveal_timestamp: new Date().toISOString()
-                })
-                .eq('tx_hash', commitTxHash);
-              
-              if (fallbackError) {
-                console.error('Fallback update also failed:', fallbackError);
-              } else {
-                console.log('✅ Shot record updated successfully via fallback method');
-              }
-            } catch (fallbackUpdateError) {
-              console.error('Error in fallback update:', fallbackUpdateError);
-            }
-          }
-        } else {
-          console.log('✅ Shot record updated successfully');
-        }
+        console.log('✅ Shot record updated successfully');
       } catch (updateError) {
-        console.error('Error calling update_shot_on_reveal:', updateError);
-        // Try fallback method if the function call fails completely
-        if (updateError.message?.includes('function') || updateError.message?.includes('does not exist')) {
-          console.log('Database function not available, using fallback update method');
-          try {
-            const { error: fallbackError } = await supabase
-              .from('shots')
-              .update({
-                won: result && result.won ? result.won : false,
-                reveal_tx_hash: result?.hash || null,
-                reveal_block_number: result?.receipt?.blockNumber || null,
-                reveal_timestamp: new Date().toISOString()
-              })
-              .eq('tx_hash', commitTxHash);
-            
-            if (fallbackError) {
-              console.error('Fallback update also failed:', fallbackError);
-            } else {
-              console.log('✅ Shot record updated successfully via fallback method');
-            }
-          } catch (fallbackUpdateError) {
-            console.error('Error in fallback update:', fallbackUpdateError);
-          }
-        }
+        console.error('Failed to update shot record:', updateError);
       }
     } else {
       console.warn('Could not find commit transaction hash to update shot record');
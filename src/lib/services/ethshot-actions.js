@@ -9,16 +9,172 @@ import { get } from 'svelte/store';
 import { getActiveAdapter } from '../crypto/adapters/index.js';
 import { toastStore } from '../stores/toast.js';
 import { db } from '../database/index.js';
-import { supabase } from '../database/client.js';
 import { rpcCache } from '../stores/game/cache.js';
-import { safeBigIntToNumber } from '../stores/game/utils.js';
+import { decodeContractRevert, formatResponsiblePlay, formatSponsorAuction, safeBigIntToNumber } from '../stores/game/utils.js';
 import { GAME_CONFIG } from '../config.js';
+import { confirmVoucherRedemptionAPI, issueShotVoucherAPI } from '../utils/client-vouchers.js';
+
+/**
+ * Store a committed shot's secret in localStorage so it can be revealed after a reload
+ * @param {string} walletAddress - Player address
+ * @param {string} secret - Commitment secret
+ * @param {string} txHash - Commit transaction hash
+ */
+const saveShotSecret = (walletAddress, secret, txHash) => {
+  try {
+    const secretKey = `ethshot_secret_${walletAddress}_${txHash.slice(0, 10)}`;
+    const secretData = {
+      secret,
+      txHash,
+      timestamp: Date.now(),
+      isFirstShot: false // Mark as regular shot
+    };
+    localStorage.setItem(secretKey, JSON.stringify(secretData));
+
+    // Also maintain a list of saved secrets for this wallet
+    const savedSecretsKey = `ethshot_saved_secrets_${walletAddress}`;
+    const existingSecrets = JSON.parse(localStorage.getItem(savedSecretsKey) || '[]');
+    existingSecrets.push(secretKey);
+    localStorage.setItem(savedSecretsKey, JSON.stringify(existingSecrets));
+  } catch (storageError) {
+    console.warn('Failed to save secret to localStorage:', storageError);
+  }
+};
+
+/**
+ * Take a shot at the reduced price of a referral discount or bonus shot. The discount is
+ * redeemed on-chain with a voucher signed by /api/vouchers, so it can only be spent once.
+ * @param {Object} params - Parameters object
+ * @param {'discount'|'bonus'} params.kind - Voucher kind
+ * @param {string} params.sourceId - Discount or bonus shot ID
+ * @param {Object} params.gameState - Current game state
+ * @param {Object} params.wallet - Wallet instance
+ * @param {Object} params.contract - Contract instance (ETH mode)
+ * @param {Object} params.ethers - Ethers library (ETH mode)
+ * @param {Function} params.updateGameState - Function to update game state
+ * @param {Function} params.loadGameState - Function to reload game state
+ * @param {Function} params.loadPlayerData - Function to reload player data
+ * @param {Function} [params.onStatusUpdate] - Status update callback
+ * @returns {Promise<Object>} Transaction result
+ */
+export const takeVoucherShot = async ({
+  kind,
+  sourceId,
+  gameState,
+  wallet,
+  contract,
+  ethers,
+  updateGameState,
+  loadGameState,
+  loadPlayerData,
+  onStatusUpdate = null
+}) => {
+  const updateStatus = (status, message) => {
+    if (onStatusUpdate) {
+      onStatusUpdate(status, message);
+    }
+  };
+
+  let adapter = null;
+  if (gameState.isMultiCryptoMode) {
+    adapter = getActiveAdapter();
+    if (!adapter) {
+      throw new Error('No active cryptocurrency adapter');
+    }
+  } else if (!contract || !ethers || !wallet.signer) {
+    throw new Error('Contract or signer not available');
+  }
+
+  updateStatus('preparing', kind === 'bonus' ? 'Claiming bonus shot...' : 'Applying discount...');
+  const voucher = await issueShotVoucherAPI(kind, sourceId);
+
+  updateStatus('generating_commitment', 'Generating secure commitment...');
+  const secret = adapter ? adapter.generateSecret() : ethers.hexlify(ethers.randomBytes(32));
+  const commitment = adapter
+    ? adapter.generateCommitment(secret, wallet.address)
+    : ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, wallet.address]));
+
+  updateStatus('sending_transaction', 'Sending transaction to blockchain...');
+
+  let receipt;
+  if (adapter) {
+    ({ receipt } = await adapter.commitShotWithVoucher(commitment, voucher));
+  } else {
+    const tx = await contract.connect(wallet.signer).commitShotWithVoucher(
+      commitment,
+      voucher.voucherId,
+      voucher.price,
+      voucher.deadline,
+      voucher.signature,
+      { value: voucher.price }
+    );
+    updateStatus('waiting_confirmation', 'Waiting for blockchain confirmation...');
+    receipt = await tx.wait();
+  }
+
+  const pendingShotData = {
+    secret,
+    commitment,
+    commitHash: receipt.hash,
+    commitBlock: receipt.blockNumber,
+    amount: voucher.price,
+    timestamp: Date.now()
+  };
+
+  updateGameState(state => ({
+    ...state,
+    pendingShot: pendingShotData,
+    takingShot: false
+  }));
+  saveShotSecret(wallet.address, secret, receipt.hash);
+
+  updateStatus('logging_database', 'Recording shot to database...');
+
+  // Mark the discount or bonus shot used; the contract already refuses a second redemption
+  try {
+    await confirmVoucherRedemptionAPI(kind, sourceId);
+  } catch (confirmError) {
+    console.warn('Failed to confirm voucher redemption:', confirmError.message);
+  }
+
+  try {
+    await db.recordShot({
+      playerAddress: wallet.address,
+      amount: adapter ? adapter.formatUnits(voucher.price) : ethers.formatEther(voucher.price),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      timestamp: new Date().toISOString(),
+      won: false, // Will be updated when revealed
+      cryptoType: gameState.activeCrypto,
+      contractAddress: gameState.contractAddress
+    });
+  } catch (dbError) {
+    console.error('Failed to log shot to database:', dbError);
+  }
+
+  updateStatus('refreshing_state', 'Refreshing game state...');
+
+  rpcCache.invalidateForReceipt(receipt);
+  await loadGameState();
+  await loadPlayerData(wallet.address);
+
+  updateStatus('completed', 'Shot committed successfully!');
+
+  return {
+    hash: receipt.hash,
+    receipt,
+    secret,
+    isCommitOnly: true,
+    pendingShot: pendingShotData
+  };
+};
 
 /**
  * Take a shot in the game
  * @param {Object} params - Parameters object
  * @param {boolean} params.useDiscount - Whether to use a discount
  * @param {string} params.discountId - Discount ID to use
+ * @param {string} params.bonusShotId - Bonus shot ID to use
  * @param {string} params.customShotCost - Custom shot cost
  * @param {Object} params.gameState - Current game state
  * @param {Object} params.wallet - Wallet instance
@@ -32,6 +188,7 @@ import { GAME_CONFIG } from '../config.js';
 export const takeShot = async ({
   useDiscount = false,
   discountId = null,
+  bonusShotId = null,
   customShotCost = null,
   gameState,
   wallet,
@@ -64,6 +221,21 @@ export const takeShot = async ({
     throw new Error('Shot already in progress');
   }
 
+  if (bonusShotId || (useDiscount && discountId)) {
+    return takeVoucherShot({
+      kind: bonusShotId ? 'bonus' : 'discount',
+      sourceId: bonusShotId || discountId,
+      gameState,
+      wallet,
+      contract,
+      ethers,
+      updateGameState,
+      loadGameState,
+      loadPlayerData,
+      onStatusUpdate
+    });
+  }
+
   let result;
 
   if (gameState.isMultiCryptoMode) {
@@ -128,6 +300,10 @@ export const takeShot = async ({
         }
       }
     } catch (estimateError) {
+      // A contract revert would fail on-chain too, so surface it instead of sending the shot
+      if (decodeContractRevert(estimateError)) {
+        throw estimateError;
+      }
       console.warn('Failed to estimate gas, using default:', estimateError.message);
       gasEstimate = 100000n;
     }
@@ -234,24 +410,7 @@ export const takeShot = async ({
       }));
       
       // Store secret in localStorage for persistence - ONLY for regular shots, not first shots
-      try {
-        const secretKey = `ethshot_secret_${wallet.address}_${receipt.hash.slice(0, 10)}`;
-        const secretData = {
-          secret,
-          txHash: receipt.hash,
-          timestamp: Date.now(),
-          isFirstShot: false // Mark as regular shot
-        };
-        localStorage.setItem(secretKey, JSON.stringify(secretData));
-        
-        // Also maintain a list of saved secrets for this wallet
-        const savedSecretsKey = `ethshot_saved_secrets_${wallet.address}`;
-        const existingSecrets = JSON.parse(localStorage.getItem(savedSecretsKey) || '[]');
-        existingSecrets.push(secretKey);
-        localStorage.setItem(savedSecretsKey, JSON.stringify(existingSecrets));
-      } catch (storageError) {
-        console.warn('Failed to save secret to localStorage:', storageError);
-      }
+      saveShotSecret(wallet.address, secret, receipt.hash);
       
       result = {
         hash: receipt.hash,
@@ -306,8 +465,8 @@ export const takeShot = async ({
 
     updateStatus('refreshing_state', 'Refreshing game state...');
 
-    // Clear cache and refresh state
-    rpcCache.clear();
+    // Drop the reads the transaction made stale and refresh state
+    rpcCache.invalidateForReceipt(result?.receipt);
     await new Promise(resolve => setTimeout(resolve, 1000));
     await loadGameState();
     await loadPlayerData(wallet.address);
@@ -320,8 +479,8 @@ export const takeShot = async ({
   // For multi-crypto mode, refresh state after adapter call
   updateStatus('refreshing_state', 'Refreshing game state...');
 
-  // Clear cache and refresh state
-  rpcCache.clear();
+  // Drop the reads the transaction made stale and refresh state
+  rpcCache.invalidateForReceipt(result?.receipt);
   await new Promise(resolve => setTimeout(resolve, 1000));
   await loadGameState();
   await loadPlayerData(wallet.address);
@@ -332,11 +491,86 @@ export const takeShot = async ({
 };
 
 /**
- * Sponsor a round
+ * Record the sponsorship a transaction activated (bids settle the previous auction, so any
+ * sponsor auction transaction may activate one)
+ * @param {Object} params - Parameters object
+ * @param {Object} params.receipt - Transaction receipt
+ * @param {Object} params.contractInterface - Ethers interface of the game contract
+ * @param {Object} params.settledAuction - Auction state read before the transaction
+ * @param {Object} params.wallet - Wallet instance
+ * @param {string|null} params.sponsorUrl - Sponsor website URL (only known for the sender's own bid)
+ * @param {Object} params.gameState - Current game state
+ */
+const recordActivatedSponsorship = async ({ receipt, contractInterface, settledAuction, wallet, sponsorUrl, gameState }) => {
+  const activated = receipt?.logs
+    ?.map((log) => {
+      try {
+        return contractInterface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed?.name === 'SponsorshipActivated');
+  if (!activated) {
+    return;
+  }
+
+  const sponsorAddress = activated.args.sponsor;
+  try {
+    await db.recordSponsor({
+      sponsorAddress,
+      name: activated.args.name,
+      logoUrl: activated.args.logoUrl,
+      sponsorUrl: sponsorAddress.toLowerCase() === wallet.address.toLowerCase() ? sponsorUrl : null,
+      amount: settledAuction?.highestBid || null,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      timestamp: new Date().toISOString(),
+      active: true,
+      cryptoType: gameState.activeCrypto
+    });
+  } catch (dbError) {
+    console.error('Failed to log sponsorship to database:', dbError);
+  }
+};
+
+/**
+ * Load the running sponsor auction
+ * @param {Object} params - Parameters object
+ * @param {string} [params.playerAddress] - Bidder to include the pending refund for
+ * @param {Object} params.gameState - Current game state
+ * @param {Object} params.contract - Contract instance (ETH mode)
+ * @param {Object} params.ethers - Ethers library (ETH mode)
+ * @returns {Promise<Object>} Auction state (see formatSponsorAuction)
+ */
+export const loadSponsorAuction = async ({ playerAddress, gameState, contract, ethers }) => {
+  if (gameState.isMultiCryptoMode) {
+    const adapter = getActiveAdapter();
+    if (!adapter) {
+      throw new Error('No active cryptocurrency adapter');
+    }
+    return adapter.getSponsorAuction(playerAddress);
+  }
+
+  if (!contract || !ethers) {
+    throw new Error('Contract not available');
+  }
+
+  const [auction, minimumBid, pendingRefund] = await Promise.all([
+    contract.sponsorAuction(),
+    contract.getMinimumSponsorBid(),
+    playerAddress ? contract.getPendingPayout(playerAddress) : 0n
+  ]);
+  return formatSponsorAuction(auction, minimumBid, pendingRefund, ethers);
+};
+
+/**
+ * Bid for the next sponsorship slot
  * @param {Object} params - Parameters object
  * @param {string} params.name - Sponsor name
  * @param {string} params.logoUrl - Sponsor logo URL
  * @param {string} params.sponsorUrl - Sponsor website URL
+ * @param {string} [params.bidAmount] - Bid in ETH, defaults to the minimum accepted bid
  * @param {Object} params.gameState - Current game state
  * @param {Object} params.wallet - Wallet instance
  * @param {Object} params.contract - Contract instance (ETH mode)
@@ -344,10 +578,11 @@ export const takeShot = async ({
  * @param {Function} params.loadGameState - Function to reload game state
  * @returns {Promise<Object>} Transaction result
  */
-export const sponsorRound = async ({
+export const bidForSponsorship = async ({
   name,
   logoUrl,
   sponsorUrl = null,
+  bidAmount,
   gameState,
   wallet,
   contract,
@@ -366,8 +601,11 @@ export const sponsorRound = async ({
     throw new Error('Please provide sponsor name and logo URL');
   }
 
+  // A bid after the auction ended settles it, so remember what was being settled
+  const settledAuction = await loadSponsorAuction({ playerAddress: wallet.address, gameState, contract, ethers });
+
   let result;
-  let sponsorCost = null;
+  let contractInterface;
 
   if (gameState.isMultiCryptoMode) {
     // Multi-crypto mode: use adapter
@@ -376,7 +614,8 @@ export const sponsorRound = async ({
       throw new Error('No active cryptocurrency adapter');
     }
 
-    result = await adapter.sponsorRound(name, logoUrl);
+    result = await adapter.bidForSponsorship(name, logoUrl, bidAmount);
+    contractInterface = adapter.getContract().interface;
   } else {
     // ETH-only mode: direct contract interaction
     if (!contract || !ethers || !wallet.signer) {
@@ -384,7 +623,11 @@ export const sponsorRound = async ({
     }
 
     const contractWithSigner = contract.connect(wallet.signer);
-    sponsorCost = await contract.SPONSOR_COST();
+    const minimumBid = await contract.getMinimumSponsorBid();
+    const bid = bidAmount ? ethers.parseEther(bidAmount.toString()) : minimumBid;
+    if (bid < minimumBid) {
+      throw new Error(`Bid must be at least ${ethers.formatEther(minimumBid)} ETH`);
+    }
 
     // Check user balance
     const balance = await wallet.provider.getBalance(wallet.address);
@@ -392,51 +635,31 @@ export const sponsorRound = async ({
     // Estimate gas
     let gasEstimate;
     try {
-      gasEstimate = await contractWithSigner.sponsorRound.estimateGas(name, logoUrl, {
-        value: sponsorCost
+      gasEstimate = await contractWithSigner.bidForSponsorship.estimateGas(name, logoUrl, {
+        value: bid
       });
     } catch (estimateError) {
+      if (decodeContractRevert(estimateError)) {
+        throw estimateError;
+      }
       console.warn('Failed to estimate gas, using default:', estimateError.message);
-      gasEstimate = 100000n;
+      gasEstimate = 200000n;
     }
     
     const gasLimit = gasEstimate < 80000n ? 100000n : gasEstimate + (gasEstimate * 20n / 100n);
     
     // Get gas price and calculate total cost
     const feeData = await wallet.provider.getFeeData();
-    let gasPrice;
-    
-    // Handle different fee structures (EIP-1559 vs legacy)
-    if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-      // EIP-1559 transaction
-      gasPrice = feeData.maxFeePerGas;
-    } else if (feeData.gasPrice) {
-      // Legacy transaction
-      gasPrice = feeData.gasPrice;
-    } else {
-      // Fallback to a reasonable gas price (20 gwei)
-      gasPrice = ethers.parseUnits('20', 'gwei');
-    }
-    
-    const estimatedGasCost = gasLimit * gasPrice;
-    const totalCost = sponsorCost + estimatedGasCost;
-    
-    console.log('Sponsor gas estimation details:', {
-      sponsorCost: ethers.formatEther(sponsorCost),
-      gasLimit: gasLimit.toString(),
-      gasPrice: ethers.formatUnits(gasPrice, 'gwei') + ' gwei',
-      estimatedGasCost: ethers.formatEther(estimatedGasCost),
-      totalCost: ethers.formatEther(totalCost),
-      balance: ethers.formatEther(balance)
-    });
+    const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || ethers.parseUnits('20', 'gwei');
+    const totalCost = bid + gasLimit * gasPrice;
     
     if (balance < totalCost) {
       const shortfall = ethers.formatEther(totalCost - balance);
-      throw new Error(`Insufficient ETH. Need ${shortfall} more ETH for gas fees.`);
+      throw new Error(`Insufficient ETH. Need ${shortfall} more ETH for the bid and gas fees.`);
     }
 
-    const tx = await contractWithSigner.sponsorRound(name, logoUrl, {
-      value: sponsorCost,
+    const tx = await contractWithSigner.bidForSponsorship(name, logoUrl, {
+      value: bid,
       gasLimit: gasLimit
     });
 
@@ -444,36 +667,239 @@ export const sponsorRound = async ({
     
     result = {
       hash: receipt.hash,
-      receipt
+      receipt,
+      bidAmount: ethers.formatEther(bid)
     };
+    contractInterface = contract.interface;
   }
-  
-  // Log sponsorship to database
-  try {
-    await db.recordSponsor({
-      sponsorAddress: wallet.address,
-      name,
-      logoUrl,
+
+  if (settledAuction.ended) {
+    await recordActivatedSponsorship({
+      receipt: result.receipt,
+      contractInterface,
+      settledAuction,
+      wallet,
       sponsorUrl,
-      amount: sponsorCost ? ethers.formatEther(sponsorCost) : null,
-      txHash: result?.hash || null,
-      blockNumber: result?.receipt?.blockNumber || null,
-      timestamp: new Date().toISOString(),
-      active: true,
-      cryptoType: gameState.activeCrypto
+      gameState
     });
-  } catch (dbError) {
-    console.error('Failed to log sponsorship to database:', dbError);
   }
   
-  // Clear cache and refresh state
-  rpcCache.clear();
-  await new Promise(resolve => setTimeout(resolve, 1000));
+  // Drop the reads the transaction made stale and refresh state
+  rpcCache.invalidateForReceipt(result?.receipt);
   await loadGameState();
 
   return result;
 };
 
+/**
+ * Activate the winning bid of an ended sponsor auction (anyone can settle)
+ * @param {Object} params - Parameters object
+ * @param {string} params.sponsorUrl - Sponsor website URL, recorded if the caller won
+ * @param {Object} params.gameState - Current game state
+ * @param {Object} params.wallet - Wallet instance
+ * @param {Object} params.contract - Contract instance (ETH mode)
+ * @param {Object} params.ethers - Ethers library (ETH mode)
+ * @param {Function} params.loadGameState - Function to reload game state
+ * @returns {Promise<Object>} Transaction result
+ */
+export const settleSponsorAuction = async ({
+  sponsorUrl = null,
+  gameState,
+  wallet,
+  contract,
+  ethers,
+  loadGameState
+}) => {
+  if (!wallet.connected || !wallet.address) {
+    throw new Error('Please connect your wallet first');
+  }
+
+  const settledAuction = await loadSponsorAuction({ gameState, contract, ethers });
+  if (!settledAuction.ended) {
+    throw new Error('The sponsor auction has not ended yet');
+  }
+
+  let result;
+  let contractInterface;
+
+  if (gameState.isMultiCryptoMode) {
+    const adapter = getActiveAdapter();
+    if (!adapter) {
+      throw new Error('No active cryptocurrency adapter');
+    }
+
+    result = await adapter.settleSponsorAuction();
+    contractInterface = adapter.getContract().interface;
+  } else {
+    if (!contract || !wallet.signer) {
+      throw new Error('Contract or signer not available');
+    }
+
+    const tx = await contract.connect(wallet.signer).settleSponsorAuction();
+    const receipt = await tx.wait();
+    result = { hash: receipt.hash, receipt };
+    contractInterface = contract.interface;
+  }
+
+  await recordActivatedSponsorship({
+    receipt: result.receipt,
+    contractInterface,
+    settledAuction,
+    wallet,
+    sponsorUrl,
+    gameState
+  });
+
+  rpcCache.invalidateForReceipt(result?.receipt);
+  await loadGameState();
+
+  return result;
+};
+
+/**
+ * Withdraw outbid sponsor refunds and failed jackpot payouts
+ * @param {Object} params - Parameters object
+ * @param {Object} params.gameState - Current game state
+ * @param {Object} params.wallet - Wallet instance
+ * @param {Object} params.contract - Contract instance (ETH mode)
+ * @param {Object} params.ethers - Ethers library (ETH mode)
+ * @returns {Promise<Object>} Transaction result with the claimed amount in ETH
+ */
+export const claimPayout = async ({ gameState, wallet, contract, ethers }) => {
+  if (!wallet.connected || !wallet.address) {
+    throw new Error('Please connect your wallet first');
+  }
+
+  if (gameState.isMultiCryptoMode) {
+    const adapter = getActiveAdapter();
+    if (!adapter) {
+      throw new Error('No active cryptocurrency adapter');
+    }
+    return adapter.claimPayout();
+  }
+
+  if (!contract || !ethers || !wallet.signer) {
+    throw new Error('Contract or signer not available');
+  }
+
+  const pendingPayout = await contract.getPendingPayout(wallet.address);
+  if (pendingPayout === 0n) {
+    throw new Error('No pending payout to claim');
+  }
+
+  const tx = await contract.connect(wallet.signer).claimPayout();
+  const receipt = await tx.wait();
+
+  return {
+    hash: receipt.hash,
+    receipt,
+    claimedAmount: ethers.formatEther(pendingPayout)
+  };
+};
+
+/**
+ * Load a player's self-exclusion and daily spend limit settings
+ * @param {Object} params - Parameters object
+ * @param {string} params.playerAddress - Player address
+ * @param {Object} params.gameState - Current game state
+ * @param {Object} params.contract - Contract instance (ETH mode)
+ * @param {Object} params.ethers - Ethers library (ETH mode)
+ * @returns {Promise<Object>} Settings (see formatResponsiblePlay)
+ */
+export const loadResponsiblePlay = async ({ playerAddress, gameState, contract, ethers }) => {
+  if (gameState.isMultiCryptoMode) {
+    const adapter = getActiveAdapter();
+    if (!adapter) {
+      throw new Error('No active cryptocurrency adapter');
+    }
+    return adapter.getResponsiblePlay(playerAddress);
+  }
+
+  if (!contract || !ethers) {
+    throw new Error('Contract not available');
+  }
+
+  return formatResponsiblePlay(await contract.getResponsiblePlay(playerAddress, ethers.ZeroAddress), ethers);
+};
+
+/**
+ * Self-exclude the connected player from taking shots. An exclusion can be extended but
+ * never shortened or lifted early.
+ * @param {Object} params - Parameters object
+ * @param {number} params.durationSeconds - Exclusion period in seconds
+ * @param {Object} params.gameState - Current game state
+ * @param {Object} params.wallet - Wallet instance
+ * @param {Object} params.contract - Contract instance (ETH mode)
+ * @returns {Promise<Object>} Transaction result
+ */
+export const setSelfExclusion = async ({ durationSeconds, gameState, wallet, contract }) => {
+  if (!wallet.connected || !wallet.address) {
+    throw new Error('Please connect your wallet first');
+  }
+
+  let result;
+  if (gameState.isMultiCryptoMode) {
+    const adapter = getActiveAdapter();
+    if (!adapter) {
+      throw new Error('No active cryptocurrency adapter');
+    }
+    result = await adapter.setSelfExclusion(durationSeconds);
+  } else {
+    if (!contract || !wallet.signer) {
+      throw new Error('Contract or signer not available');
+    }
+
+    const tx = await contract.connect(wallet.signer).setSelfExclusion(durationSeconds);
+    const receipt = await tx.wait();
+    result = { hash: receipt.hash, receipt };
+  }
+
+  rpcCache.invalidateForReceipt(result?.receipt);
+  return result;
+};
+
+/**
+ * Set the connected player's daily spend limit. Lowering the limit applies immediately;
+ * raising or removing it only takes effect after the contract's cooling-off period.
+ * @param {Object} params - Parameters object
+ * @param {string} params.amount - Limit in ETH (or the active payment token), empty or 0 removes the limit
+ * @param {Object} params.gameState - Current game state
+ * @param {Object} params.wallet - Wallet instance
+ * @param {Object} params.contract - Contract instance (ETH mode)
+ * @param {Object} params.ethers - Ethers library (ETH mode)
+ * @returns {Promise<Object>} Transaction result
+ */
+export const setDailySpendLimit = async ({ amount, gameState, wallet, contract, ethers }) => {
+  if (!wallet.connected || !wallet.address) {
+    throw new Error('Please connect your wallet first');
+  }
+
+  const limit = amount ? String(amount) : '0';
+  if (!(Number(limit) >= 0)) {
+    throw new Error('Daily spend limit must be a positive amount');
+  }
+
+  let result;
+  if (gameState.isMultiCryptoMode) {
+    const adapter = getActiveAdapter();
+    if (!adapter) {
+      throw new Error('No active cryptocurrency adapter');
+    }
+    result = await adapter.setDailySpendLimit(limit);
+  } else {
+    if (!contract || !ethers || !wallet.signer) {
+      throw new Error('Contract or signer not available');
+    }
+
+    const tx = await contract.connect(wallet.signer).setDailySpendLimit(ethers.ZeroAddress, ethers.parseEther(limit));
+    const receipt = await tx.wait();
+    result = { hash: receipt.hash, receipt };
+  }
+
+  rpcCache.invalidateForReceipt(result?.receipt);
+  return result;
+};
+
 /**
  * Reveal a pending shot
  * @param {Object} params - Parameters object
@@ -706,66 +1132,14 @@ export const revealShot = async ({
     if (commitTxHash) {
       // Update the shot record with reveal information
       try {
-        const { data, error } = await supabase.rpc('update_shot_on_reveal', {
-          p_tx_hash: commitTxHash,
-          p_won: result && result.won ? result.won : false,
-          p_reveal_tx_hash: result?.hash || null,
-          p_reveal_block_number: result?.receipt?.blockNumber || null
+        await db.recordShotReveal({
+          playerAddress: wallet.address,
+          commitTxHash,
+          revealTxHash: result.hash
         });
-        
-        if (error) {
-          console.error('Failed to update shot record:', error);
-          // If the function doesn't exist, try a fallback update
-          if (error.code === '42883' || error.message?.includes('function') || error.message?.includes('does not exist')) {
-            console.log('Database function not available, using fallback update method');
-            try {
-              const { error: fallbackError } = await supabase
-                .from('shots')
-                .update({
-                  won: result && result.won ? result.won : false,
-                  reveal_tx_hash: result?.hash || null,
-                  reveal_block_number: result?.receipt?.blockNumber || null,
-                  reveal_timestamp: new Date().toISOString()
-                })
-                .eq('tx_hash', commitTxHash);
-              
-              if (fallbackError) {
-                console.error('Fallback update also failed:', fallbackError);
-              } else {
-                console.log('✅ Shot record updated successfully via fallback method');
-              }
-            } catch (fallbackUpdateError) {
-              console.error('Error in fallback update:', fallbackUpdateError);
-            }
-          }
-        } else {
-          console.log('✅ Shot record updated successfully');
-        }
+        console.log('✅ Shot record updated successfully');
       } catch (updateError) {
-        console.error('Error calling update_shot_on_reveal:', updateError);
-        // Try fallback method if the function call fails completely
-        if (updateError.message?.includes('function') || updateError.message?.includes('does not exist')) {
-          console.log('Database function not available, using fallback update method');
-          try {
-            const { error: fallbackError } = await supabase
-              .from('shots')
-              .update({
-                won: result && result.won ? result.won : false,
-                reveal_tx_hash: result?.hash || null,
-                reveal_block_number: result?.receipt?.blockNumber || null,
-                reveal_timestamp: new Date().toISOString()
-              })
-              .eq('tx_hash', commitTxHash);
-            
-            if (fallbackError) {
-              console.error('Fallback update also failed:', fallbackError);
-            } else {
-              console.log('✅ Shot record updated successfully via fallback method');
-            }
-          } catch (fallbackUpdateError) {
-            console.error('Error in fallback update:', fallbackUpdateError);
-          }
-        }
+        console.error('Failed to update shot record:', updateError);
       }
     } else {
       console.warn('Could not find commit transaction hash to update shot record');
@@ -821,8 +1195,8 @@ export const revealShot = async ({
 
   updateStatus('refreshing_reveal_state', 'Refreshing game state...');
 
-  // Clear cache and refresh state
-  rpcCache.clear();
+  // Drop the reads the transaction made stale and refresh state
+  rpcCache.invalidateForReceipt(result?.receipt);
   await new Promise(resolve => setTimeout(resolve, 1000));
   await loadGameState();
   await loadPlayerData(wallet.address);
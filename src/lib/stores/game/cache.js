@@ -1,48 +1,206 @@
 /**
  * RPC Cache Module
- * 
- * Provides caching functionality to reduce RPC calls and improve performance
+ *
+ * Provides caching functionality to reduce RPC calls and improve performance.
+ * Each key has its own TTL, concurrent requests for the same key share one call,
+ * and our own transactions invalidate exactly the reads their receipts made stale.
  */
 
+import { writable } from 'svelte/store';
+import { GAME_CHANGES, getGameChanges } from './event-updates.js';
+
+// Default TTL for keys without their own
+const DEFAULT_TTL = 30000;
+
 /**
- * Cache for reducing RPC calls
+ * How long each cached read stays fresh, in milliseconds
  */
-export const rpcCache = {
-  data: new Map(),
-  timestamps: new Map(),
-  TTL: 30000, // 30 seconds cache
-  
-  get(key) {
-    const timestamp = this.timestamps.get(key);
-    if (timestamp && Date.now() - timestamp < this.TTL) {
-      return this.data.get(key);
+export const CACHE_TTLS = {
+  // Fixed at deploy time
+  shotCost: Infinity,
+  sponsorCost: Infinity,
+  prizeTierConfig: Infinity,
+  // Change with every shot
+  contractBalance: 5000,
+  houseFunds: 5000,
+  tierPots: 5000,
+  gameData: 5000,
+  recentWinners: 15000,
+  currentSponsor: 30000
+};
+
+// Cached reads that each kind of change makes stale
+const STALE_CACHE_KEYS = {
+  [GAME_CHANGES.POT]: ['contractBalance', 'houseFunds', 'gameData'],
+  [GAME_CHANGES.TIER_POTS]: ['contractBalance', 'tierPots', 'gameData'],
+  [GAME_CHANGES.WINNERS]: ['recentWinners', 'gameData'],
+  [GAME_CHANGES.SPONSOR]: ['currentSponsor', 'gameData']
+};
+
+const emptyStats = () => ({ hits: 0, misses: 0, coalesced: 0, invalidations: 0 });
+
+/**
+ * Create an RPC cache
+ * @param {Object} [options] - Cache options
+ * @param {Object} [options.ttls] - TTL in ms by key (Infinity keeps a value until invalidated)
+ * @param {number} [options.defaultTTL] - TTL for keys not in ttls
+ * @param {Function} [options.now] - Current time in milliseconds
+ * @returns {Object} Cache with get/set/fetch/invalidate and a stats store
+ */
+export const createRpcCache = ({ ttls = CACHE_TTLS, defaultTTL = DEFAULT_TTL, now = Date.now } = {}) => {
+  // key -> { value, expiresAt }
+  const entries = new Map();
+  // key -> Promise of a load in progress
+  const inflight = new Map();
+  let counters = emptyStats();
+
+  const snapshot = () => {
+    const lookups = counters.hits + counters.misses;
+    return {
+      ...counters,
+      entries: entries.size,
+      inflight: inflight.size,
+      hitRate: lookups > 0 ? counters.hits / lookups : null
+    };
+  };
+
+  const stats = writable(snapshot());
+  const publishStats = () => stats.set(snapshot());
+
+  const count = (counter) => {
+    counters[counter]++;
+    publishStats();
+  };
+
+  const ttlFor = (key) => ttls[key] ?? defaultTTL;
+
+  /**
+   * Cached value without touching the stats
+   * @param {string} key - Cache key
+   * @returns {*} Value, or null when missing or expired
+   */
+  const peek = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (now() >= entry.expiresAt) {
+      entries.delete(key);
+      return null;
     }
-    return null;
-  },
-  
-  set(key, value) {
-    this.data.set(key, value);
-    this.timestamps.set(key, Date.now());
-  },
-  
-  clear() {
-    this.data.clear();
-    this.timestamps.clear();
-  },
-  
-  invalidate(keys) {
-    if (Array.isArray(keys)) {
-      keys.forEach(key => {
-        this.data.delete(key);
-        this.timestamps.delete(key);
-      });
-    } else {
-      this.data.delete(keys);
-      this.timestamps.delete(keys);
+    return entry.value;
+  };
+
+  const remove = (key) => {
+    const existed = entries.has(key) || inflight.has(key);
+    entries.delete(key);
+    inflight.delete(key);
+    return existed;
+  };
+
+  const cache = {
+    peek,
+
+    get(key) {
+      const value = peek(key);
+      count(value === null ? 'misses' : 'hits');
+      return value;
+    },
+
+    set(key, value, ttl = ttlFor(key)) {
+      entries.set(key, { value, expiresAt: now() + ttl });
+      publishStats();
+    },
+
+    /**
+     * Get a value, loading it on a miss; callers asking for a key that is already loading
+     * share that request instead of starting another
+     * @param {string} key - Cache key
+     * @param {Function} load - Returns a Promise of the value
+     * @param {Object} [options] - { ttl } overriding the key's TTL
+     * @returns {Promise<*>} The value (load errors are passed on and nothing is cached)
+     */
+    async fetch(key, load, { ttl = ttlFor(key) } = {}) {
+      const cached = peek(key);
+      if (cached !== null) {
+        count('hits');
+        return cached;
+      }
+
+      const pending = inflight.get(key);
+      if (pending) {
+        count('coalesced');
+        return pending;
+      }
+
+      const request = Promise.resolve().then(load);
+      inflight.set(key, request);
+      count('misses');
+
+      try {
+        const value = await request;
+        // A value invalidated while loading may already be stale
+        if (inflight.get(key) === request) {
+          entries.set(key, { value, expiresAt: now() + ttl });
+        }
+        return value;
+      } finally {
+        if (inflight.get(key) === request) {
+          inflight.delete(key);
+        }
+        publishStats();
+      }
+    },
+
+    clear() {
+      entries.clear();
+      inflight.clear();
+      count('invalidations');
+    },
+
+    invalidate(keys) {
+      const removed = (Array.isArray(keys) ? keys : [keys]).filter(remove);
+      if (removed.length > 0) {
+        count('invalidations');
+      }
+    },
+
+    /**
+     * Drop the reads that a set of game changes made stale
+     * @param {Iterable<string>} changes - GAME_CHANGES values
+     */
+    invalidateChanges(changes) {
+      cache.invalidate([...new Set([...changes].flatMap((change) => STALE_CACHE_KEYS[change] || []))]);
+    },
+
+    /**
+     * Drop the reads one of our own transactions made stale, judged by its receipt's logs
+     * @param {Object|null} receipt - Transaction receipt; without one everything is dropped
+     */
+    invalidateForReceipt(receipt) {
+      if (!receipt?.logs) {
+        cache.clear();
+        return;
+      }
+      cache.invalidateChanges(getGameChanges(receipt.logs));
+    },
+
+    stats: { subscribe: stats.subscribe },
+
+    getStats: snapshot,
+
+    resetStats() {
+      counters = emptyStats();
+      publishStats();
     }
-  }
+  };
+
+  return cache;
 };
 
+/**
+ * Cache for reducing RPC calls
+ */
+export const rpcCache = createRpcCache();
+
 /**
  * Helper function to retry operations with exponential backoff
  * @param {Function} operation - The operation to retry
@@ -9,27 +9,54 @@ import { get } from 'svelte/store';
 import { getActiveAdapter } from '../../crypto/adapters/index.js';
 import { NETWORK_CONFIG } from '../../config.js';
 import { rpcCache, retryWithBackoff } from './cache.js';
+import { MULTICALL3_ADDRESS, contractRead, createMulticall } from '../../crypto/multicall.js';
 import { 
   ETH_SHOT_ABI, 
   createProviderWithRetry, 
   updateUSDValues,
   checkPotMilestones,
+  buildPrizeTiers,
   validateContractDeployment,
   handleContractError,
   safeBigIntToNumber
 } from './utils.js';
 import { notifyPotMilestone } from '../../utils/notifications.js';
 
+/**
+ * Load prize tiers: configuration is fixed at deploy time and cached, sub-pots change with every shot
+ * @param {Function} fetchTiers - Returns tier configuration ({ name, chanceBP, contributionBP })
+ * @param {Function} fetchPots - Returns sub-pots in native units, indexed like the tiers
+ * @returns {Promise<Array>} Prize tiers with current pots (empty for single-jackpot contracts)
+ */
+const loadPrizeTiers = async (fetchTiers, fetchPots) => {
+  try {
+    // Contracts known to have no tiers are not asked for their sub-pots again
+    const hasNoTiers = rpcCache.peek('prizeTierConfig')?.length === 0;
+    const [tiers, pots] = await Promise.all([
+      rpcCache.fetch('prizeTierConfig', () => retryWithBackoff(fetchTiers, 2, 2000)),
+      hasNoTiers ? [] : rpcCache.fetch('tierPots', () => retryWithBackoff(fetchPots, 2, 2000))
+    ]);
+    if (tiers.length === 0) return [];
+
+    return buildPrizeTiers(tiers, pots);
+  } catch (error) {
+    // Contracts deployed before prize tiers do not expose them
+    console.warn('Failed to fetch prize tiers:', error.message);
+    return [];
+  }
+};
+
 /**
  * Load game state from contract/program and database
  * @param {Object} params - Parameters object
  * @param {Object} params.state - Current game state
  * @param {Object} params.contract - Contract instance (ETH mode)
  * @param {Object} params.ethers - Ethers library (ETH mode)
+ * @param {Object} params.multicall - Multicall3 read batcher (ETH mode)
  * @param {Object} params.db - Database instance
  * @param {Function} params.updateState - State update function
  */
-export const loadGameState = async ({ state, contract, ethers, db, updateState }) => {
+export const loadGameState = async ({ state, contract, ethers, multicall, db, updateState }) => {
   if (!browser) return;
 
   try {
@@ -43,54 +70,68 @@ export const loadGameState = async ({ state, contract, ethers, db, updateState }
         return;
       }
 
-      // Check cache first
-      contractBalance = rpcCache.get('contractBalance');
-      houseFunds = rpcCache.get('houseFunds');
-      shotCost = rpcCache.get('shotCost');
-      sponsorCost = rpcCache.get('sponsorCost');
-      currentSponsor = rpcCache.get('currentSponsor');
-      recentWinners = rpcCache.get('recentWinners');
+      let actualPot, prizeTiers;
+      if (adapter.getGameData) {
+        // Everything the refresh needs comes back from one Multicall3 batch, shared by concurrent refreshes
+        const gameData = await rpcCache.fetch('gameData', () => retryWithBackoff(() => adapter.getGameData(), 2, 2000));
+        ({ contractBalance, houseFunds, shotCost, sponsorCost, currentSponsor, recentWinners } = gameData);
+
+        actualPot = gameData.currentPot;
+        prizeTiers = buildPrizeTiers(gameData.prizeTierConfig, gameData.tierPots);
+      } else {
+        // Check cache first
+        contractBalance = rpcCache.get('contractBalance');
+        houseFunds = rpcCache.get('houseFunds');
+        shotCost = rpcCache.get('shotCost');
+        sponsorCost = rpcCache.get('sponsorCost');
+        currentSponsor = rpcCache.get('currentSponsor');
+        recentWinners = rpcCache.get('recentWinners');
 
-      // Only fetch from contract if not cached
-      const contractCalls = [];
-      if (!contractBalance) contractCalls.push(['contractBalance', () => adapter.getContractBalance()]);
-      if (!houseFunds) contractCalls.push(['houseFunds', () => adapter.getHouseFunds()]);
-      if (!shotCost) contractCalls.push(['shotCost', () => adapter.getShotCost()]);
-      if (!sponsorCost) contractCalls.push(['sponsorCost', () => adapter.getSponsorCost()]);
-      if (!currentSponsor) contractCalls.push(['currentSponsor', () => adapter.getCurrentSponsor()]);
-      if (!recentWinners) contractCalls.push(['recentWinners', () => adapter.getRecentWinners()]);
+        // Only fetch from contract if not cached
+        const contractCalls = [];
+        if (!contractBalance) contractCalls.push(['contractBalance', () => adapter.getContractBalance()]);
+        if (!houseFunds) contractCalls.push(['houseFunds', () => adapter.getHouseFunds()]);
+        if (!shotCost) contractCalls.push(['shotCost', () => adapter.getShotCost()]);
+        if (!sponsorCost) contractCalls.push(['sponsorCost', () => adapter.getSponsorCost()]);
+        if (!currentSponsor) contractCalls.push(['currentSponsor', () => adapter.getCurrentSponsor()]);
+        if (!recentWinners) contractCalls.push(['recentWinners', () => adapter.getRecentWinners()]);
 
-      // Execute calls sequentially
-      for (const [key, call] of contractCalls) {
-        try {
-          const result = await retryWithBackoff(call, 2, 2000);
-          rpcCache.set(key, result);
+        // Execute calls sequentially
+        for (const [key, call] of contractCalls) {
+          try {
+            const result = await retryWithBackoff(call, 2, 2000);
+            rpcCache.set(key, result);
           
-          if (key === 'contractBalance') contractBalance = result;
-          else if (key === 'houseFunds') houseFunds = result;
-          else if (key === 'shotCost') shotCost = result;
-          else if (key === 'sponsorCost') sponsorCost = result;
-          else if (key === 'currentSponsor') currentSponsor = result;
-          else if (key === 'recentWinners') recentWinners = result;
+            if (key === 'contractBalance') contractBalance = result;
+            else if (key === 'houseFunds') houseFunds = result;
+            else if (key === 'shotCost') shotCost = result;
+            else if (key === 'sponsorCost') sponsorCost = result;
+            else if (key === 'currentSponsor') currentSponsor = result;
+            else if (key === 'recentWinners') recentWinners = result;
           
-          // Add delay between calls
-          if (contractCalls.indexOf([key, call]) < contractCalls.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 500));
+            // Add delay between calls
+            if (contractCalls.indexOf([key, call]) < contractCalls.length - 1) {
+              await new Promise(resolve => setTimeout(resolve, 500));
+            }
+          } catch (error) {
+            console.warn(`Failed to fetch ${key}, using cached or default value:`, error.message);
+            // Use defaults for failed calls
+            if (key === 'contractBalance') contractBalance = contractBalance || '0';
+            else if (key === 'houseFunds') houseFunds = houseFunds || '0';
+            else if (key === 'shotCost') shotCost = shotCost || '0';
+            else if (key === 'sponsorCost') sponsorCost = sponsorCost || '0';
+            else if (key === 'currentSponsor') currentSponsor = currentSponsor || { active: false };
+            else if (key === 'recentWinners') recentWinners = recentWinners || [];
           }
-        } catch (error) {
-          console.warn(`Failed to fetch ${key}, using cached or default value:`, error.message);
-          // Use defaults for failed calls
-          if (key === 'contractBalance') contractBalance = contractBalance || '0';
-          else if (key === 'houseFunds') houseFunds = houseFunds || '0';
-          else if (key === 'shotCost') shotCost = shotCost || '0';
-          else if (key === 'sponsorCost') sponsorCost = sponsorCost || '0';
-          else if (key === 'currentSponsor') currentSponsor = currentSponsor || { active: false };
-          else if (key === 'recentWinners') recentWinners = recentWinners || [];
         }
-      }
 
-      // Calculate actual pot using adapter
-      const actualPot = await adapter.getCurrentPot();
+        // Calculate actual pot using adapter
+        actualPot = await adapter.getCurrentPot();
+        prizeTiers = await loadPrizeTiers(
+          async () => (await adapter.getGameConfig()).prizeTiers || [],
+          () => adapter.getTierPots()
+        );
+      }
       
       // Update state with contract values
       updateState(currentState => ({
@@ -98,6 +139,7 @@ export const loadGameState = async ({ state, contract, ethers, db, updateState }
         currentPot: actualPot || '0',
         shotCost: shotCost || '0',
         sponsorCost: sponsorCost || '0',
+        gameConfig: { ...currentState.gameConfig, prizeTiers },
       }));
 
       // Update USD values for multi-crypto mode
@@ -113,53 +155,47 @@ export const loadGameState = async ({ state, contract, ethers, db, updateState }
 
     } else {
       // ETH-only mode: direct contract calls
-      if (!contract || !ethers) return;
+      if (!contract || !ethers || !multicall) return;
 
-      // Check cache first
-      contractBalance = rpcCache.get('contractBalance');
-      houseFunds = rpcCache.get('houseFunds');
-      shotCost = rpcCache.get('shotCost');
-      sponsorCost = rpcCache.get('sponsorCost');
-      currentSponsor = rpcCache.get('currentSponsor');
-      recentWinners = rpcCache.get('recentWinners');
+      // Each value comes from the cache, joins a concurrent refresh's request for it, or goes
+      // out in this tick's Multicall3 batch
+      const readValue = (method) => async () => {
+        const { value: result } = await multicall.read({ value: contractRead(contract, method) });
+        if (!result.success) throw result.error;
+        return result.value;
+      };
+      const cachedRead = (key, method, fallback) => rpcCache
+        .fetch(key, () => retryWithBackoff(readValue(method), 2, 2000))
+        .catch((error) => {
+          console.warn(`Failed to fetch ${key}, using cached or default value:`, error.message);
+          return fallback;
+        });
 
-      // Only fetch from contract if not cached
-      const contractCalls = [];
-      if (!contractBalance) contractCalls.push(['contractBalance', () => contract.getContractBalance()]);
-      if (!houseFunds) contractCalls.push(['houseFunds', () => contract.getHouseFunds()]);
-      if (!shotCost) contractCalls.push(['shotCost', () => contract.SHOT_COST()]);
-      if (!sponsorCost) contractCalls.push(['sponsorCost', () => contract.SPONSOR_COST()]);
-      if (!currentSponsor) contractCalls.push(['currentSponsor', () => contract.getCurrentSponsor()]);
-      if (!recentWinners) contractCalls.push(['recentWinners', () => contract.getRecentWinners()]);
+      // The pot is never cached, as every shot changes it; its read joins the same batch
+      const potRead = readValue('getCurrentPot')().catch((error) => {
+        console.warn('Failed to fetch currentPot, keeping the last known value:', error.message);
+        return null;
+      });
 
-      // Execute calls sequentially
-      for (const [key, call] of contractCalls) {
-        try {
-          const result = await retryWithBackoff(call, 2, 2000);
-          rpcCache.set(key, result);
-          
-          if (key === 'contractBalance') contractBalance = result;
-          else if (key === 'houseFunds') houseFunds = result;
-          else if (key === 'shotCost') shotCost = result;
-          else if (key === 'sponsorCost') sponsorCost = result;
-          else if (key === 'currentSponsor') currentSponsor = result;
-          else if (key === 'recentWinners') recentWinners = result;
-          
-          // Add delay between calls
-          if (contractCalls.indexOf([key, call]) < contractCalls.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 500));
-          }
-        } catch (error) {
-          console.warn(`Failed to fetch ${key}, using cached or default value:`, error.message);
-          // Use defaults for failed calls
-          if (key === 'contractBalance') contractBalance = contractBalance || '0';
-          else if (key === 'houseFunds') houseFunds = houseFunds || '0';
-          else if (key === 'shotCost') shotCost = shotCost || ethers.parseEther('0.001');
-          else if (key === 'sponsorCost') sponsorCost = sponsorCost || ethers.parseEther('0.001');
-          else if (key === 'currentSponsor') currentSponsor = currentSponsor || { active: false };
-          else if (key === 'recentWinners') recentWinners = recentWinners || [];
-        }
-      }
+      let prizeTiers, currentPot;
+      [currentPot, shotCost, sponsorCost, currentSponsor, recentWinners, prizeTiers] = await Promise.all([
+        potRead,
+        cachedRead('shotCost', 'SHOT_COST', ethers.parseEther('0.001')),
+        cachedRead('sponsorCost', 'SPONSOR_COST', ethers.parseEther('0.001')),
+        cachedRead('currentSponsor', 'getCurrentSponsor', { active: false }),
+        cachedRead('recentWinners', 'getRecentWinners', []),
+        loadPrizeTiers(
+          async () => {
+            const config = await readValue('getGameConfig')();
+            return (config.tiers || []).map(tier => ({
+              name: tier.name,
+              chanceBP: safeBigIntToNumber(tier.chanceBP),
+              contributionBP: safeBigIntToNumber(tier.contributionBP)
+            }));
+          },
+          async () => (await readValue('getTierPots')()).map(pot => ethers.formatEther(pot))
+        )
+      ]);
       
       // Normalize current sponsor timestamp (contract returns seconds as uint256/BigInt)
       try {
@@ -174,52 +210,14 @@ export const loadGameState = async ({ state, contract, ethers, db, updateState }
             active: currentSponsor.active,
             timestamp: new Date(ms).toISOString(),
           };
-          // keep cache consistent
-          rpcCache.set('currentSponsor', currentSponsor);
         }
       } catch (normalizeErr) {
         console.warn('Failed to normalize currentSponsor timestamp:', normalizeErr);
       }
-      
-      // Calculate actual pot (contract balance minus house funds)
-      // Ensure pot never goes negative
-      const rawPot = contractBalance && houseFunds ?
-        BigInt(contractBalance) - BigInt(houseFunds) :
-        BigInt(contractBalance || '0');
-      const actualPot = rawPot < 0n ? 0n : rawPot;
-      
-      // Log for debugging if pot calculation seems off
-      if (rawPot < 0n) {
-        console.warn('⚠️ Pot calculation resulted in negative value:', {
-          contractBalance: contractBalance?.toString(),
-          houseFunds: houseFunds?.toString(),
-          rawPot: rawPot.toString(),
-          adjustedPot: actualPot.toString()
-        });
-      }
-        
-      // Force fresh contract calls if pot seems wrong
-      if (ethers.formatEther(actualPot) === '0.001') {
-        console.log('🚨 Pot is 0.001 ETH - forcing fresh contract calls to verify');
-        try {
-          const freshContractBalance = await contract.getContractBalance();
-          const freshHouseFunds = await contract.getHouseFunds();
-          
-          // Use fresh data if different
-          if (freshContractBalance.toString() !== contractBalance?.toString() ||
-              freshHouseFunds.toString() !== houseFunds?.toString()) {
-            console.log('📊 Using fresh data instead of cached data');
-            contractBalance = freshContractBalance;
-            houseFunds = freshHouseFunds;
-            
-            // Update cache with fresh data
-            rpcCache.set('contractBalance', contractBalance);
-            rpcCache.set('houseFunds', houseFunds);
-          }
-        } catch (freshError) {
-          console.error('❌ Failed to fetch fresh contract data:', freshError);
-        }
-      }
+
+      // The contract tracks the pot itself: its balance also holds house funds, tier sub-pots,
+      // escrowed sponsor bids and pending refunds
+      const actualPot = currentPot ?? ethers.parseEther(state.currentPot || '0');
 
       const newPotAmount = ethers.formatEther(actualPot);
       const previousPot = state.currentPot;
@@ -233,6 +231,7 @@ export const loadGameState = async ({ state, contract, ethers, db, updateState }
         currentPot: newPotAmount,
         shotCost: ethers.formatEther(shotCost || ethers.parseEther('0.001')),
         sponsorCost: ethers.formatEther(sponsorCost || ethers.parseEther('0.001')),
+        gameConfig: { ...currentState.gameConfig, prizeTiers },
       }));
 
       // Update USD values for ETH-only mode
@@ -287,7 +286,7 @@ export const loadGameState = async ({ state, contract, ethers, db, updateState }
  * Initialize contract for ETH-only mode
  * @param {Object} params - Parameters object
  * @param {Function} params.updateState - State update function
- * @returns {Promise<Object>} Contract instance and ethers library
+ * @returns {Promise<Object>} Contract instance, ethers library and Multicall3 read batcher
  */
 export const initializeEthContract = async ({ updateState }) => {
   const contractAddress = NETWORK_CONFIG.CONTRACT_ADDRESS;
@@ -301,7 +300,7 @@ export const initializeEthContract = async ({ updateState }) => {
       loading: false,
       error: validation.error
     }));
-    return { contract: null, ethers: null };
+    return { contract: null, ethers: null, multicall: null };
   }
 
   updateState(state => ({
@@ -316,6 +315,10 @@ export const initializeEthContract = async ({ updateState }) => {
   // Create contract instance with read-only provider and retry logic
   const provider = await createProviderWithRetry(ethers, NETWORK_CONFIG, retryWithBackoff);
   const contract = new ethers.Contract(contractAddress, ETH_SHOT_ABI, provider);
+  const multicall = createMulticall({
+    call: (tx) => provider.call(tx),
+    address: NETWORK_CONFIG.MULTICALL_ADDRESS || MULTICALL3_ADDRESS
+  });
   
   // Check if contract is actually deployed by trying to call a view function
   try {
@@ -327,7 +330,7 @@ export const initializeEthContract = async ({ updateState }) => {
       contract
     }));
     
-    return { contract, ethers };
+    return { contract, ethers, multicall };
     
   } catch (contractError) {
     console.error('Contract not deployed or not accessible:', contractError);
@@ -341,7 +344,7 @@ export const initializeEthContract = async ({ updateState }) => {
       error: errorMessage
     }));
     
-    return { contract: null, ethers: null };
+    return { contract: null, ethers: null, multicall: null };
   }
 };
 
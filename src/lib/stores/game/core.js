@@ -9,13 +9,16 @@ import { browser } from '$app/environment';
 import { multiCryptoWalletStore } from '../wallet-multi-crypto.js';
 import { walletStore } from '../wallet.js';
 import { getCryptoGameConfig, getCurrentCrypto } from '../../crypto/config.js';
-import { GAME_CONFIG } from '../../config.js';
+import { GAME_CONFIG, NETWORK_CONFIG } from '../../config.js';
+import { getActiveAdapter } from '../../crypto/adapters/index.js';
 import { db } from '../../database/index.js';
 import { rpcCache } from './cache.js';
 import { createInitialGameState, updateUSDValues, formatTimeRemaining, safeBigIntToNumber } from './utils.js';
 import { loadGameState, initializeEthContract, initializeMultiCryptoAdapter } from './contract-operations.js';
 import { loadPlayerData } from './player-operations.js';
 import { startRealTimeUpdates, stopRealTimeUpdates } from './real-time.js';
+import { startGameTabSync } from './tab-sync.js';
+import { tabLeader } from '../../utils/tab-leader.js';
 
 // Winner event store for triggering animations
 export const winnerEventStore = writable(null);
@@ -29,6 +32,9 @@ const createUnifiedGameStore = () => {
   let contract = null;
   let updateInterval = null;
   let ethers = null;
+  let multicall = null;
+  let tabSync = null;
+  let leadershipUnsubscribe = null;
 
   // Helper function to get the appropriate wallet store
   const getWalletStore = () => {
@@ -65,6 +71,7 @@ const createUnifiedGameStore = () => {
         const result = await initializeEthContract({ updateState: update });
         contract = result.contract;
         ethers = result.ethers;
+        multicall = result.multicall;
         
         // Store contract and ethers in the state so components can access them
         update(state => ({
@@ -76,11 +83,14 @@ const createUnifiedGameStore = () => {
         if (!contract) return;
       }
       
-      // Load initial game state
-      await loadGameStateWrapper();
-      
-      // Start real-time updates
-      startRealTimeUpdatesWrapper();
+      // Only the leader tab reads the chain; the others mirror its game state
+      await startTabSync();
+      if (tabLeader.isLeader()) {
+        await loadGameStateWrapper();
+        startRealTimeUpdatesWrapper();
+      } else {
+        tabSync.requestState();
+      }
       
       // Update USD values after loading game state
       const currentState = get({ subscribe });
@@ -153,6 +163,7 @@ const createUnifiedGameStore = () => {
       state,
       contract,
       ethers,
+      multicall,
       db,
       updateState: update
     });
@@ -165,6 +176,7 @@ const createUnifiedGameStore = () => {
       state,
       contract,
       ethers,
+      multicall,
       db,
       updateState: update
     });
@@ -177,13 +189,23 @@ const createUnifiedGameStore = () => {
 
   // Start real-time updates wrapper
   const startRealTimeUpdatesWrapper = () => {
+    const state = get({ subscribe });
+    const eventSource = state.isMultiCryptoMode
+      ? getActiveAdapter()?.getEventSource?.() || null
+      : contract && {
+        address: contract.target,
+        wsUrl: NETWORK_CONFIG.WS_RPC_URL || null,
+        request: (method, params) => contract.runner.send(method, params)
+      };
+
     updateInterval = startRealTimeUpdates({
       db,
       getWalletStore,
       loadGameState: loadGameStateWrapper,
       loadPlayerData: loadPlayerDataWrapper,
       updateState: update,
-      subscribe
+      subscribe,
+      eventSource: eventSource || null
     });
   };
 
@@ -193,6 +215,40 @@ const createUnifiedGameStore = () => {
     updateInterval = null;
   };
 
+  // A follower that takes over from a closed leader tab starts reading the chain itself
+  const handleLeadershipChange = async (leading) => {
+    if (get({ subscribe }).contractDeployed !== true) return;
+
+    stopRealTimeUpdatesWrapper();
+    if (leading) {
+      console.log('👑 This tab now reads game state for all open tabs');
+      await loadGameStateWrapper();
+      startRealTimeUpdatesWrapper();
+    }
+  };
+
+  // Join the tab election and share game state with the other tabs
+  const startTabSync = async () => {
+    tabSync?.stop();
+    tabSync = startGameTabSync({
+      tabLeader,
+      subscribe,
+      updateState: update,
+      getWalletStore,
+      loadPlayerData: loadPlayerDataWrapper
+    });
+
+    tabLeader.start();
+    await tabLeader.whenElected();
+
+    // init handles the first election result; this covers later failovers
+    if (!leadershipUnsubscribe) {
+      leadershipUnsubscribe = tabLeader.onLeadershipChange((leading) => {
+        handleLeadershipChange(leading).catch((error) => console.error('❌ Failed to take over game updates:', error));
+      });
+    }
+  };
+
   // Clean up expired pending shot - try contract call first, fallback to refresh
   const cleanupExpiredPendingShot = async (playerAddress = null) => {
     if (!browser) {
@@ -0,0 +1,266 @@
+/**
+ * Contract Event Updates
+ *
+ * Folds EthShot logs into incremental game state changes, so a shot, win or sponsorship
+ * updates the store directly instead of reloading the whole game state.
+ */
+
+import { ethers } from 'ethers';
+
+// Events that change what the game store shows
+const GAME_EVENTS = new ethers.Interface([
+  'event ShotCommitted(address indexed player, bytes32 indexed commitment, uint256 amount, uint256 indexed roundId)',
+  'event ShotRevealed(address indexed player, uint256 indexed amount, bool indexed won, uint256 roundId)',
+  'event JackpotWon(address indexed winner, uint256 indexed amount, uint256 indexed timestamp, uint256 roundId)',
+  'event TierPrizeWon(address indexed winner, uint256 indexed tier, uint256 amount, uint256 roundId)',
+  'event PendingShotExpired(address indexed player, uint256 indexed commitBlock, uint256 indexed currentBlock)',
+  'event PotSeeded(address indexed from, uint256 amount)',
+  'event TokenPotSeeded(address indexed from, address indexed token, uint256 amount)',
+  'event SponsorshipActivated(address indexed sponsor, string name, string logoUrl)',
+  'event SponsorshipCleared()',
+  'event TokenShotCommitted(address indexed player, address indexed token, uint256 amount)',
+  'event TokenJackpotWon(address indexed winner, address indexed token, uint256 amount)'
+]);
+
+// What a batch of logs changed, so callers know which cached reads are stale
+export const GAME_CHANGES = {
+  POT: 'pot',
+  TIER_POTS: 'tierPots',
+  WINNERS: 'winners',
+  SPONSOR: 'sponsor'
+};
+
+// Everything each event can change, whichever pot the store shows
+const EVENT_CHANGES = {
+  ShotCommitted: [GAME_CHANGES.POT, GAME_CHANGES.TIER_POTS],
+  TokenShotCommitted: [GAME_CHANGES.POT],
+  PotSeeded: [GAME_CHANGES.POT],
+  TokenPotSeeded: [GAME_CHANGES.POT],
+  JackpotWon: [GAME_CHANGES.POT, GAME_CHANGES.WINNERS],
+  TokenJackpotWon: [GAME_CHANGES.POT],
+  TierPrizeWon: [GAME_CHANGES.TIER_POTS],
+  SponsorshipActivated: [GAME_CHANGES.SPONSOR],
+  SponsorshipCleared: [GAME_CHANGES.SPONSOR]
+};
+
+// loadGameState shows the last 10 winners
+const MAX_RECENT_WINNERS = 10;
+const MAX_TRACKED_TOKEN_SHOTS = 50;
+const BASIS_POINTS = 10000n;
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const addAmount = (display, amount, decimals) =>
+  ethers.formatUnits(ethers.parseUnits(display || '0', decimals) + amount, decimals);
+
+/**
+ * Split an ETH shot between the jackpot and prize tier sub-pots, as _addToPots does
+ * @param {Object} state - Game state (currentPot and gameConfig.prizeTiers in ETH)
+ * @param {bigint} amount - Shot amount in wei
+ * @returns {Object} currentPot and, for contracts with prize tiers, gameConfig
+ */
+const addShotToPots = (state, amount) => {
+  const tiers = state.gameConfig?.prizeTiers || [];
+  let remaining = amount;
+  const prizeTiers = tiers.map((tier) => {
+    const contribution = (amount * BigInt(tier.contributionBP)) / BASIS_POINTS;
+    remaining -= contribution;
+    return { ...tier, pot: addAmount(tier.pot, contribution, 18) };
+  });
+
+  const updates = { currentPot: addAmount(state.currentPot, remaining, 18) };
+  if (tiers.length > 0) {
+    updates.gameConfig = { ...state.gameConfig, prizeTiers };
+  }
+  return updates;
+};
+
+/**
+ * Put a new winner at the top of the list, in the same shape as the existing entries
+ * @param {Array} winners - Current winners (database rows or contract entries)
+ * @param {Object} winner - { winner, amount, timestamp, blockNumber, txHash }
+ * @returns {Array} Updated winners
+ */
+const addWinner = (winners = [], winner) => {
+  if (winners.some((entry) => (entry.txHash || entry.tx_hash) === winner.txHash)) {
+    return winners;
+  }
+
+  const entry = winners[0] && 'winner_address' in winners[0]
+    ? {
+      winner_address: winner.winner,
+      amount: winner.amount,
+      timestamp: winner.timestamp,
+      block_number: winner.blockNumber,
+      tx_hash: winner.txHash
+    }
+    : winner;
+  return [entry, ...winners].slice(0, MAX_RECENT_WINNERS);
+};
+
+/**
+ * Create a reducer that folds contract logs into game state changes
+ * @param {Object} [options] - Reducer options
+ * @param {string} [options.paymentToken] - ERC-20 whose pot the store shows (the ETH pot when unset)
+ * @param {number} [options.decimals] - Payment token decimals
+ * @returns {Function} (state, logs) => { patch, changes, players, resync }: state fields to merge
+ *   (null if none), a Set of GAME_CHANGES, lowercase addresses whose player data changed, and
+ *   whether the logs could not be applied incrementally (removed by a reorg)
+ */
+export const createGameEventReducer = ({ paymentToken = null, decimals = 18 } = {}) => {
+  // Token shots emit ShotCommitted too, right after TokenShotCommitted in the same transaction
+  const tokenShotTxs = new Set();
+
+  const rememberTokenShot = (txHash) => {
+    tokenShotTxs.add(txHash);
+    if (tokenShotTxs.size > MAX_TRACKED_TOKEN_SHOTS) {
+      tokenShotTxs.delete(tokenShotTxs.values().next().value);
+    }
+  };
+
+  return (state, logs) => {
+    const patch = {};
+    const changes = new Set();
+    const players = new Set();
+    let resync = false;
+
+    // Later logs in the batch build on the changes of earlier ones
+    const current = () => ({ ...state, ...patch });
+
+    for (const log of logs) {
+      if (log.removed) {
+        resync = true;
+        continue;
+      }
+
+      let event = null;
+      try {
+        event = GAME_EVENTS.parseLog(log);
+      } catch {
+        // Malformed log; nothing to apply
+      }
+      if (!event) continue;
+
+      const { args } = event;
+      switch (event.name) {
+        case 'ShotCommitted':
+          players.add(args.player.toLowerCase());
+          if (!paymentToken && !tokenShotTxs.has(log.transactionHash)) {
+            Object.assign(patch, addShotToPots(current(), args.amount));
+            changes.add(GAME_CHANGES.POT);
+            if (patch.gameConfig) changes.add(GAME_CHANGES.TIER_POTS);
+          }
+          break;
+
+        case 'TokenShotCommitted':
+          rememberTokenShot(log.transactionHash);
+          players.add(args.player.toLowerCase());
+          if (paymentToken && sameAddress(args.token, paymentToken)) {
+            patch.currentPot = addAmount(current().currentPot, args.amount, decimals);
+            changes.add(GAME_CHANGES.POT);
+          }
+          break;
+
+        case 'ShotRevealed':
+        case 'PendingShotExpired':
+          players.add(args.player.toLowerCase());
+          break;
+
+        case 'PotSeeded':
+          if (!paymentToken) {
+            patch.currentPot = addAmount(current().currentPot, args.amount, 18);
+            changes.add(GAME_CHANGES.POT);
+          }
+          break;
+
+        case 'TokenPotSeeded':
+          if (paymentToken && sameAddress(args.token, paymentToken)) {
+            patch.currentPot = addAmount(current().currentPot, args.amount, decimals);
+            changes.add(GAME_CHANGES.POT);
+          }
+          break;
+
+        case 'JackpotWon':
+          players.add(args.winner.toLowerCase());
+          if (!paymentToken) {
+            patch.currentPot = '0';
+            patch.recentWinners = addWinner(current().recentWinners, {
+              winner: args.winner,
+              amount: ethers.formatEther(args.amount),
+              timestamp: new Date(Number(args.timestamp) * 1000).toISOString(),
+              blockNumber: log.blockNumber != null ? Number(log.blockNumber) : null,
+              txHash: log.transactionHash
+            });
+            changes.add(GAME_CHANGES.POT);
+            changes.add(GAME_CHANGES.WINNERS);
+          }
+          break;
+
+        case 'TierPrizeWon': {
+          players.add(args.winner.toLowerCase());
+          const { gameConfig } = current();
+          const tier = Number(args.tier);
+          if (!paymentToken && gameConfig?.prizeTiers?.[tier]) {
+            patch.gameConfig = {
+              ...gameConfig,
+              prizeTiers: gameConfig.prizeTiers.map((entry, i) => (i === tier ? { ...entry, pot: '0' } : entry))
+            };
+            changes.add(GAME_CHANGES.TIER_POTS);
+          }
+          break;
+        }
+
+        case 'TokenJackpotWon':
+          players.add(args.winner.toLowerCase());
+          if (paymentToken && sameAddress(args.token, paymentToken)) {
+            patch.currentPot = '0';
+            changes.add(GAME_CHANGES.POT);
+          }
+          break;
+
+        case 'SponsorshipActivated':
+          patch.currentSponsor = {
+            sponsor: args.sponsor,
+            name: args.name,
+            logoUrl: args.logoUrl,
+            active: true,
+            timestamp: new Date().toISOString()
+          };
+          changes.add(GAME_CHANGES.SPONSOR);
+          break;
+
+        case 'SponsorshipCleared':
+          patch.currentSponsor = null;
+          changes.add(GAME_CHANGES.SPONSOR);
+          break;
+      }
+    }
+
+    return {
+      patch: Object.keys(patch).length > 0 ? patch : null,
+      changes,
+      players,
+      resync
+    };
+  };
+};
+
+/**
+ * What a set of logs may have changed, without applying them to any state (e.g. the logs of a
+ * receipt for one of our own transactions)
+ * @param {Array} logs - Contract logs
+ * @returns {Set<string>} GAME_CHANGES values
+ */
+export const getGameChanges = (logs) => {
+  const changes = new Set();
+  for (const log of logs) {
+    let event = null;
+    try {
+      event = GAME_EVENTS.parseLog(log);
+    } catch {
+      // Malformed log; nothing changed
+    }
+    (EVENT_CHANGES[event?.name] || []).forEach((change) => changes.add(change));
+  }
+  return changes;
+};
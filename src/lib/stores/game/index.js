@@ -20,6 +20,8 @@ export const canTakeShot = derived(gameStore, $game => $game.canShoot && !$game.
 
 export const cooldownRemaining = derived(gameStore, $game => $game.cooldownRemaining);
 
+export const shotBlockReason = derived(gameStore, $game => $game.shotBlockReason);
+
 export const isLoading = derived(gameStore, $game => $game.loading || $game.takingShot);
 
 export const currentSponsor = derived(gameStore, $game => $game.currentSponsor);
@@ -32,10 +34,14 @@ export const contractDeployed = derived(gameStore, $game => $game.contractDeploy
 
 export const gameError = derived(gameStore, $game => $game.error);
 
+export const gameErrorRevert = derived(gameStore, $game => $game.errorRevert);
+
 export const activeCrypto = derived(gameStore, $game => $game.activeCrypto);
 
 export const gameConfig = derived(gameStore, $game => $game.gameConfig);
 
+export const prizeTiers = derived(gameStore, $game => $game.gameConfig?.prizeTiers || []);
+
 export const shotCost = derived(gameStore, $game => $game.shotCost);
 
 export const shotCostUSD = derived(gameStore, $game => $game.shotCostUSD);
@@ -64,6 +70,15 @@ export const nextDiscount = derived(gameStore, $game => {
   return discounts.length > 0 ? discounts[0] : null;
 });
 
+export const availableBonusShots = derived(gameStore, $game => $game.availableBonusShots || []);
+
+export const bonusShotCount = derived(gameStore, $game => $game.availableBonusShots?.length || 0);
+
+export const nextBonusShot = derived(gameStore, $game => {
+  const bonusShots = $game.availableBonusShots || [];
+  return bonusShots.length > 0 ? bonusShots[0] : null;
+});
+
 // Legacy exports for backward compatibility
 export const multiCryptoGameStore = gameStore;
 
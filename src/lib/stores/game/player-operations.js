@@ -10,6 +10,7 @@ import { getActiveAdapter } from '../../crypto/adapters/index.js';
 import { toastStore } from '../toast.js';
 import { winnerEventStore } from './core.js';
 import { rpcCache } from './cache.js';
+import { contractRead } from '../../crypto/multicall.js';
 import { NETWORK_CONFIG } from '../../config.js';
 import { shotsAPI } from '../../api/shots.js';
 import {
@@ -17,7 +18,7 @@ import {
   scheduleCooldownNotification
 } from '../../utils/notifications.js';
 import { showWinMessage, showLossMessage } from '../shot-result-message.js';
-import { safeBigIntToNumber } from './utils.js';
+import { decodeContractRevert, formatShotBlockReason, getShotBlockMessage, safeBigIntToNumber } from './utils.js';
 
 /**
  * Load player-specific data
@@ -26,38 +27,46 @@ import { safeBigIntToNumber } from './utils.js';
  * @param {Object} params.state - Current game state
  * @param {Object} params.contract - Contract instance (ETH mode)
  * @param {Object} params.ethers - Ethers library (ETH mode)
+ * @param {Object} params.multicall - Multicall3 read batcher (ETH mode)
  * @param {Object} params.db - Database instance
  * @param {Function} params.updateState - State update function
+ * @notice Contract reads share a Multicall3 batch with a loadGameState started in the same tick
  */
-export const loadPlayerData = async ({ address, state, contract, ethers, db, updateState }) => {
+export const loadPlayerData = async ({ address, state, contract, ethers, multicall, db, updateState }) => {
   if (!browser || !address) return;
 
   try {
     let playerStats, canShoot, cooldownRemaining;
+    let shotBlockReason = null;
 
     if (state.isMultiCryptoMode) {
       // Multi-crypto mode: use adapter with batched calls for efficiency
       const adapter = getActiveAdapter();
       if (!adapter) return;
 
-      // Use batched contract calls to reduce RPC requests
+      // Use one Multicall3 batch to reduce RPC requests; reads that fail fall back to defaults on their own
       try {
-        const batchCalls = [
-          { method: 'getPlayerStats', params: [address] },
-          { method: 'canCommitShot', params: [address] },
-          { method: 'getCooldownRemaining', params: [address] }
-        ];
+        const results = await adapter.multicallContract({
+          playerStats: { method: 'getPlayerStats', params: [address] },
+          canCommit: { method: 'canCommitShot', params: [address] },
+          cooldownRemaining: { method: 'getCooldownRemaining', params: [address] }
+        });
 
-        const [playerStatsResult, canShootResult, cooldownResult] = await adapter.batchContractCalls(batchCalls);
-        
-        playerStats = {
-          totalShots: safeBigIntToNumber(playerStatsResult[0].totalShots),
-          totalSpent: adapter.ethers.formatEther(playerStatsResult[0].totalSpent),
-          totalWon: adapter.ethers.formatEther(playerStatsResult[0].totalWon),
-          lastShotTime: new Date(safeBigIntToNumber(playerStatsResult[0].lastShotTime) * 1000).toISOString(),
+        const stats = results.playerStats.success ? results.playerStats.value : null;
+        playerStats = stats ? {
+          totalShots: safeBigIntToNumber(stats.totalShots),
+          totalSpent: adapter.ethers.formatEther(stats.totalSpent),
+          totalWon: adapter.ethers.formatEther(stats.totalWon),
+          lastShotTime: new Date(safeBigIntToNumber(stats.lastShotTime) * 1000).toISOString(),
+        } : {
+          totalShots: 0,
+          totalSpent: '0',
+          totalWon: '0',
+          lastShotTime: new Date().toISOString()
         };
-        canShoot = canShootResult[0];
-        cooldownRemaining = safeBigIntToNumber(cooldownResult[0]);
+        canShoot = results.canCommit.success ? results.canCommit.value.allowed : false;
+        shotBlockReason = results.canCommit.success ? formatShotBlockReason(results.canCommit.value.reason) : null;
+        cooldownRemaining = results.cooldownRemaining.success ? safeBigIntToNumber(results.cooldownRemaining.value) : 0;
       } catch (batchError) {
         console.warn('Batch call failed, falling back to individual calls:', batchError.message);
         
@@ -79,24 +88,28 @@ export const loadPlayerData = async ({ address, state, contract, ethers, db, upd
       }
     } else {
       // ETH-only mode: direct contract calls with error handling
-      if (!contract) return;
+      if (!contract || !multicall) return;
 
       try {
-        [playerStats, canShoot, cooldownRemaining] = await Promise.allSettled([
-          contract.getPlayerStats(address),
-          contract.canCommitShot(address),
-          contract.getCooldownRemaining(address)
-        ]).then(results => [
-          results[0].status === 'fulfilled' ? results[0].value : {
+        let canCommitResult;
+        [playerStats, canCommitResult, cooldownRemaining] = await multicall.read({
+          playerStats: contractRead(contract, 'getPlayerStats', [address]),
+          canCommit: contractRead(contract, 'canCommitShot', [address]),
+          cooldownRemaining: contractRead(contract, 'getCooldownRemaining', [address])
+        }).then(results => [
+          results.playerStats.success ? results.playerStats.value : {
             totalShots: 0n,
             totalSpent: 0n,
             totalWon: 0n,
             lastShotTime: 0n
           },
-          results[1].status === 'fulfilled' ? results[1].value : false,
-          results[2].status === 'fulfilled' ? results[2].value : 0n
+          results.canCommit.success ? results.canCommit.value : null,
+          results.cooldownRemaining.success ? results.cooldownRemaining.value : 0n
         ]);
 
+        canShoot = canCommitResult?.allowed ?? false;
+        shotBlockReason = canCommitResult ? formatShotBlockReason(canCommitResult.reason) : null;
+
         // Format ETH-specific data
         playerStats = {
           totalShots: safeBigIntToNumber(playerStats.totalShots),
@@ -125,8 +138,9 @@ export const loadPlayerData = async ({ address, state, contract, ethers, db, upd
     const dbPlayerStats = await db.getPlayer(address);
 
     // Load referral data and ensure user has a referral code
-    const [availableDiscounts, referralStats] = await Promise.all([
+    const [availableDiscounts, availableBonusShots, referralStats] = await Promise.all([
       db.getUserDiscounts(address),
+      db.getBonusShots(address),
       db.getReferralStats(address)
     ]);
 
@@ -165,8 +179,10 @@ export const loadPlayerData = async ({ address, state, contract, ethers, db, upd
         ...dbPlayerStats
       },
       canShoot,
+      shotBlockReason,
       cooldownRemaining,
       availableDiscounts,
+      availableBonusShots,
       referralStats,
       lastUpdate: new Date().toISOString()
     }));
@@ -249,7 +265,7 @@ export const takeShot = async ({
   console.log('✅ All takeShot checks passed, starting transaction...');
 
   try {
-    updateState(state => ({ ...state, takingShot: true, error: null }));
+    updateState(state => ({ ...state, takingShot: true, error: null, errorRevert: null }));
 
     let result;
     let actualShotCost = state.shotCost; // Default to full shot cost
@@ -312,6 +328,7 @@ export const takeShot = async ({
       const commitResult = await adapter.commitShot(commitment, actualShotCost);
       console.log('✅ Shot committed successfully:', commitResult.hash);
       toastStore.success('✅ Shot committed! Waiting for reveal...');
+      await recordShotCommit({ wallet, receipt: commitResult.receipt, state });
       
       // Wait a moment for the commit to be processed
       console.log('⏳ Waiting 2 seconds for commit to be processed...');
@@ -330,6 +347,7 @@ export const takeShot = async ({
           hash: revealResult.hash,
           receipt: revealResult,
           won: revealResult.won,
+          commitHash: commitResult.hash,
           isCommitOnly: false
         };
         
@@ -381,8 +399,9 @@ export const takeShot = async ({
         `Shot committed with ${(discountPercentage * 100).toFixed(0)}% discount! Waiting for reveal window...` :
         'Shot committed! Waiting for reveal window...';
       toastStore.info(message);
+      await recordShotCommit({ wallet, receipt: result.receipt, state });
       
-      // Don't log to database yet - wait for reveal
+      // Don't record the outcome yet - wait for reveal
       // Don't trigger winner animations - wait for reveal
       // Still update wallet balance since commit costs money
       await walletStore.updateBalance();
@@ -430,21 +449,16 @@ export const takeShot = async ({
       notifyJackpotWon(state.currentPot, wallet.address);
     }
 
-    // Log transaction to database
-    // For first shots, log the custom cost for display purposes even though we charged full amount
-    const loggedShotCost = customShotCost ? customShotCost.toString() : actualShotCost;
+    // Record the outcome against the committed shot (checked on-chain by /api/shots)
     await logShotToDatabase({
       result,
       wallet,
-      actualShotCost: loggedShotCost,
       state,
-      discountApplied,
-      discountPercentage,
-      db
+      commitHash: result.commitHash
     });
 
-    // Clear cache to force fresh data fetch
-    rpcCache.clear();
+    // Drop the reads the transaction made stale so the refresh fetches them again
+    rpcCache.invalidateForReceipt(result.receipt);
     
     // Add a small delay to ensure blockchain state is updated
     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -459,11 +473,12 @@ export const takeShot = async ({
   } catch (error) {
     console.error('Failed to take shot:', error);
     
+    const revert = decodeContractRevert(error);
     let errorMessage = 'Failed to take shot';
-    if (error.message.includes('insufficient funds')) {
+    if (revert) {
+      errorMessage = revert.message;
+    } else if (error.message.includes('insufficient funds')) {
       errorMessage = `Insufficient ${state.activeCrypto} balance`;
-    } else if (error.message.includes('Cooldown')) {
-      errorMessage = 'Please wait for cooldown period';
     } else if (error.message.includes('user rejected')) {
       errorMessage = 'Transaction cancelled';
     } else if (error.message.includes('not yet implemented')) {
@@ -473,7 +488,7 @@ export const takeShot = async ({
     }
     
     toastStore.error(errorMessage);
-    updateState(state => ({ ...state, error: errorMessage }));
+    updateState(state => ({ ...state, error: errorMessage, errorRevert: revert }));
   } finally {
     updateState(state => ({ ...state, takingShot: false }));
   }
@@ -547,16 +562,21 @@ const executeShotTransaction = async ({ contract, ethers, wallet, actualShotCost
   // We'll run a validation check after setting up the signed contract
 
   // Check if user can commit a shot
-  const canCommit = await contract.canCommitShot(wallet.address);
+  const { allowed: canCommit, reason } = await contract.canCommitShot(wallet.address);
+  const blockReason = formatShotBlockReason(reason);
   const hasPending = await contract.hasPendingShot(wallet.address);
   
   console.log('🔍 Shot validation checks:', {
     canCommit,
+    blockReason,
     hasPending,
     walletAddress: wallet.address
   });
   
   if (!canCommit) {
+    if (blockReason !== 'pending_shot') {
+      throw new Error(getShotBlockMessage(blockReason) || 'Cannot take shot. Please wait and try again.');
+    }
     if (hasPending) {
       // Get detailed pending shot info to determine if it's expired
       try {
@@ -584,7 +604,7 @@ const executeShotTransaction = async ({ contract, ethers, wallet, actualShotCost
         throw new Error('You have a pending shot that needs to be resolved. Please refresh the page to clear it.');
       }
     } else {
-      throw new Error('Cannot take shot. You may be in cooldown period. Please wait and try again.');
+      throw new Error(getShotBlockMessage(blockReason));
     }
   }
 
@@ -636,6 +656,11 @@ const executeShotTransaction = async ({ contract, ethers, wallet, actualShotCost
       reason: estimateError.reason
     });
     
+    // Contract reverts are decoded by the caller, so keep the revert data intact
+    if (decodeContractRevert(estimateError)) {
+      throw estimateError;
+    }
+    
     // Check if this is a simulation failure
     if (estimateError.message.includes('execution reverted') ||
         estimateError.message.includes('transaction may fail') ||
@@ -789,9 +814,10 @@ export const revealShot = async ({
   }
 
   try {
-    updateState(state => ({ ...state, takingShot: true, error: null }));
+    updateState(state => ({ ...state, takingShot: true, error: null, errorRevert: null }));
 
     let result;
+    const pendingShot = state.pendingShot;
     
     // Handle multi-crypto mode vs ETH-only mode
     if (state.isMultiCryptoMode) {
@@ -808,7 +834,6 @@ export const revealShot = async ({
       }
       
       // Get the secret from pending shot if not provided
-      const pendingShot = state.pendingShot;
       const revealSecret = secret || pendingShot?.secret;
       
       if (!revealSecret) {
@@ -876,10 +901,24 @@ export const revealShot = async ({
         console.log('🎲 Shot result:', won ? 'WON!' : 'Lost');
       }
 
+      // The winner's payout, as recorded by /api/shots
+      let payout = null;
+      for (const log of receipt.logs) {
+        try {
+          const parsed = contract.interface.parseLog(log);
+          if (parsed?.name === 'JackpotWon') {
+            payout = ethers.formatEther(parsed.args.amount);
+          }
+        } catch {
+          // Not an EthShot event
+        }
+      }
+
       result = {
         hash: receipt.hash,
         receipt,
-        won
+        won,
+        payout
       };
       
       // Clear pending shot from state after successful reveal
@@ -928,20 +967,16 @@ export const revealShot = async ({
       notifyJackpotWon(state.currentPot, wallet.address);
     }
 
-    // Log transaction to database with pending shot details
-    const pendingShot = state.pendingShot;
+    // Record the outcome against the pending shot's commit
     await logShotToDatabase({
       result,
       wallet,
-      actualShotCost: pendingShot?.actualShotCost || state.shotCost,
       state,
-      discountApplied: pendingShot?.discountApplied || false,
-      discountPercentage: pendingShot?.discountPercentage || 0,
-      db
+      commitHash: pendingShot?.commitHash
     });
 
-    // Clear cache to force fresh data fetch
-    rpcCache.clear();
+    // Drop the reads the transaction made stale so the refresh fetches them again
+    rpcCache.invalidateForReceipt(result.receipt);
     
     // Add a small delay to ensure blockchain state is updated
     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -958,8 +993,11 @@ export const revealShot = async ({
   } catch (error) {
     console.error('Failed to reveal shot:', error);
     
+    const revert = decodeContractRevert(error);
     let errorMessage = 'Failed to reveal shot';
-    if (error.message.includes('insufficient funds')) {
+    if (revert) {
+      errorMessage = revert.message;
+    } else if (error.message.includes('insufficient funds')) {
       errorMessage = `Insufficient ${state.activeCrypto} balance for gas`;
     } else if (error.message.includes('user rejected')) {
       errorMessage = 'Transaction cancelled';
@@ -970,54 +1008,66 @@ export const revealShot = async ({
     }
     
     toastStore.error(errorMessage);
-    updateState(state => ({ ...state, error: errorMessage }));
+    updateState(state => ({ ...state, error: errorMessage, errorRevert: revert }));
   } finally {
     updateState(state => ({ ...state, takingShot: false }));
   }
 };
 
 /**
- * Log shot transaction to database via local API with proper JWT authentication
+ * Record a committed shot via the shots API; /api/shots reads the amount and crypto type
+ * from the commit transaction
+ * @param {Object} params - Recording parameters
+ */
+const recordShotCommit = async ({ wallet, receipt, state }) => {
+  try {
+    const shotRecord = await shotsAPI.recordShot({
+      playerAddress: wallet.address,
+      txHash: receipt.hash,
+      blockNumber: safeBigIntToNumber(receipt.blockNumber),
+      timestamp: new Date().toISOString(),
+      contractAddress: state.contractAddress || NETWORK_CONFIG.CONTRACT_ADDRESS
+    });
+    console.log('✅ Shot commit recorded successfully via API:', shotRecord?.id);
+  } catch (apiError) {
+    // The reveal can still be played; the shot is missing from the leaderboard until reconciled
+    console.error('❌ Failed to record shot commit via API:', apiError);
+  }
+};
+
+/**
+ * Log a revealed shot's outcome to the database via local API with proper JWT authentication
  * @param {Object} params - Logging parameters
  */
 const logShotToDatabase = async ({
   result,
   wallet,
-  actualShotCost,
   state,
-  discountApplied,
-  discountPercentage,
-  db
+  commitHash
 }) => {
   try {
-    console.log('📝 Recording shot via local API...');
-
     // Get contract address from centralized config or state
     const contractAddress = state.contractAddress || NETWORK_CONFIG.CONTRACT_ADDRESS;
 
-    console.log('🔐 Recording shot via shots API...');
-    const shotRecord = await shotsAPI.recordShot({
-      playerAddress: wallet.address,
-      amount: actualShotCost,
-      won: result.won,
-      txHash: result.hash,
-      blockNumber: safeBigIntToNumber(result.receipt.blockNumber),
-      timestamp: new Date().toISOString(),
-      cryptoType: state.activeCrypto,
-      contractAddress: contractAddress
-    });
-
-    console.log('✅ Shot recorded successfully via API:', shotRecord?.id);
+    if (commitHash) {
+      console.log('🔐 Recording reveal via shots API...');
+      await shotsAPI.recordReveal({
+        playerAddress: wallet.address,
+        commitTxHash: commitHash,
+        revealTxHash: result.hash
+      });
+    } else {
+      console.warn('Could not find commit transaction hash to record the reveal');
+    }
 
     if (result.won) {
       console.log('🏆 Recording winner via shots API...');
       const winnerRecord = await shotsAPI.recordWinner({
         winnerAddress: wallet.address,
-        amount: state.currentPot,
+        amount: result.payout || state.currentPot,
         txHash: result.hash,
         blockNumber: safeBigIntToNumber(result.receipt.blockNumber),
         timestamp: new Date().toISOString(),
-        cryptoType: state.activeCrypto,
         contractAddress: contractAddress
       });
       console.log('✅ Winner recorded successfully via API:', winnerRecord?.id);
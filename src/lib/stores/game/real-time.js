@@ -1,16 +1,19 @@
 /**
  * Real-time Updates Module
  *
- * Handles real-time subscriptions and periodic updates for the game store
+ * Keeps the game store current from contract logs, streamed over a WebSocket subscription
+ * or a polled log filter. Game state is only reloaded on a timer while that stream is down.
  */
 
 import { get } from 'svelte/store';
-import { notifyShotTaken } from '../../utils/notifications.js';
-import {
-  handleShotEvent,
-  handleWinnerEvent,
-  handlePotUpdate
-} from './social-proof-integration.js';
+import { handlePotUpdate } from './social-proof-integration.js';
+import { rpcCache } from './cache.js';
+import { updateUSDValues } from './utils.js';
+import { createGameEventReducer, GAME_CHANGES } from './event-updates.js';
+import { createLogSubscription, SUBSCRIPTION_STATUS } from '../../crypto/log-subscription.js';
+
+// Reload interval while contract events are unavailable
+const POLL_INTERVAL_MS = 30000;
 
 /**
  * Start real-time updates
@@ -21,7 +24,9 @@ import {
  * @param {Function} params.loadPlayerData - Function to load player data
  * @param {Function} params.updateState - State update function
  * @param {Function} params.subscribe - Store subscribe function
- * @returns {Object} Update interval object with timer and subscriptions
+ * @param {Object|null} params.eventSource - Where to watch contract logs ({ address, wsUrl, request,
+ *   paymentToken, decimals }, see createLogSubscription); null to poll game state only
+ * @returns {Object} Handle for stopRealTimeUpdates
  */
 export const startRealTimeUpdates = ({
   db,
@@ -29,37 +34,146 @@ export const startRealTimeUpdates = ({
   loadGameState,
   loadPlayerData,
   updateState,
-  subscribe
+  subscribe,
+  eventSource = null
 }) => {
-  // DISABLED: Supabase real-time subscriptions to avoid websocket connection errors
-  // Real-time updates are now handled via periodic polling only
-  console.log('🔄 Starting periodic updates (realtime subscriptions disabled)');
-  
-  // Placeholder subscriptions that return null to avoid errors
-  const winnersSubscription = null;
-  const shotsSubscription = null;
-  const sponsorsSubscription = null;
-
-  // Update every 30 seconds for more responsive updates (since realtime is disabled)
-  const timer = setInterval(async () => {
-    const previousState = get({ subscribe });
-    const previousPot = previousState.currentPot;
-    
-    await loadGameState();
-    
-    // Check for pot updates for social proof
-    const currentState = get({ subscribe });
-    const currentPot = currentState.currentPot;
+  let timer = null;
+  let logSubscription = null;
+
+  const getWallet = () => get(getWalletStore());
+
+  const checkPotUpdate = (previousPot) => {
+    const currentPot = get({ subscribe }).currentPot;
     if (currentPot && currentPot !== previousPot) {
       handlePotUpdate(currentPot);
     }
-    
-    const walletStore = getWalletStore();
-    const wallet = get(walletStore);
-    if (wallet.connected && wallet.address) {
+  };
+
+  // Full reload; game state and player data are started together to share one Multicall3 batch
+  const refresh = async () => {
+    const previousPot = get({ subscribe }).currentPot;
+    const wallet = getWallet();
+    await Promise.all([
+      loadGameState(),
+      wallet.connected && wallet.address ? loadPlayerData(wallet.address) : null
+    ]);
+    checkPotUpdate(previousPot);
+  };
+
+  const startPolling = () => {
+    if (timer) return;
+    timer = setInterval(refresh, POLL_INTERVAL_MS);
+  };
+
+  const stopPolling = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const setLiveUpdates = (liveUpdates) => {
+    updateState(state => (state.liveUpdates === liveUpdates ? state : { ...state, liveUpdates }));
+  };
+
+  const applyLogs = createGameEventReducer({
+    paymentToken: eventSource?.paymentToken || null,
+    decimals: eventSource?.decimals ?? 18
+  });
+
+  const handleLogs = async (logs) => {
+    const state = get({ subscribe });
+    const { patch, changes, players, resync } = applyLogs(state, logs);
+
+    // Drop cached reads the logs made stale so the next reload does not bring them back
+    rpcCache.invalidateChanges(changes);
+
+    if (resync) {
+      await refresh();
+      return;
+    }
+
+    if (patch) {
+      updateState(currentState => ({ ...currentState, ...patch, lastUpdate: new Date().toISOString() }));
+    }
+
+    if (changes.has(GAME_CHANGES.POT)) {
+      checkPotUpdate(state.currentPot);
+      const { currentPotUSD } = await updateUSDValues(get({ subscribe }));
+      updateState(currentState => ({ ...currentState, currentPotUSD }));
+    }
+
+    const wallet = getWallet();
+    if (wallet.connected && wallet.address && players.has(wallet.address.toLowerCase())) {
       await loadPlayerData(wallet.address);
     }
-  }, 30000); // Reduced from 60s to 30s for better responsiveness
+  };
+
+  const handleStatusChange = (status, error) => {
+    if (status === SUBSCRIPTION_STATUS.LIVE) {
+      console.log(`🔌 Streaming contract events (${logSubscription.transport})`);
+      stopPolling();
+      setLiveUpdates(logSubscription.transport);
+      // Logs emitted while the stream was down are not replayed
+      refresh();
+    } else if (status === SUBSCRIPTION_STATUS.DISCONNECTED) {
+      console.warn('⚠️ Contract event stream dropped, polling until it reconnects:', error?.message);
+      setLiveUpdates('polling');
+      startPolling();
+    }
+  };
+
+  if (eventSource) {
+    try {
+      logSubscription = createLogSubscription({
+        address: eventSource.address,
+        wsUrl: eventSource.wsUrl,
+        request: eventSource.request,
+        onLogs: (logs) => {
+          handleLogs(logs).catch((error) => console.error('❌ Failed to apply contract events:', error));
+        },
+        onStatusChange: handleStatusChange
+      });
+    } catch (error) {
+      console.warn('Contract events unavailable, polling game state instead:', error.message);
+    }
+  }
+
+  const resume = () => {
+    if (logSubscription) {
+      // Polls until the stream is live, then handleStatusChange takes over
+      startPolling();
+      logSubscription.start();
+    } else {
+      console.log('🔄 Starting periodic updates');
+      setLiveUpdates('polling');
+      startPolling();
+    }
+  };
+
+  const pause = () => {
+    stopPolling();
+    logSubscription?.stop();
+  };
+
+  // Hidden tabs stop polling and release their subscription; they resync when shown again.
+  // A hidden leader also hands its chain reads to a visible tab (see tab-leader.js), so this
+  // only leaves updates paused when no tab is visible
+  const handleVisibilityChange = () => {
+    if (document.hidden) {
+      pause();
+    } else {
+      resume();
+      // A live stream resyncs by itself once it reconnects
+      if (!logSubscription) refresh();
+    }
+  };
+
+  const watchVisibility = typeof document !== 'undefined';
+  if (watchVisibility) {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+  }
+  if (!watchVisibility || !document.hidden) {
+    resume();
+  }
 
   // Listen for wallet connection changes
   const walletStore = getWalletStore();
@@ -75,32 +189,26 @@ export const startRealTimeUpdates = ({
     }
   });
 
-  // Return subscriptions for cleanup (subscriptions are null since realtime is disabled)
   return {
-    timer,
-    subscriptions: [winnersSubscription, shotsSubscription, sponsorsSubscription].filter(Boolean),
+    stop: () => {
+      pause();
+      if (watchVisibility) {
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+      }
+    },
     walletUnsubscribe
   };
 };
 
 /**
  * Stop real-time updates
- * @param {Object} updateInterval - Update interval object from startRealTimeUpdates
+ * @param {Object} updateInterval - Handle returned by startRealTimeUpdates
  */
 export const stopRealTimeUpdates = (updateInterval) => {
   if (updateInterval) {
-    if (updateInterval.timer) {
-      clearInterval(updateInterval.timer);
-    }
-    if (updateInterval.subscriptions) {
-      updateInterval.subscriptions.forEach(subscription => {
-        if (subscription && subscription.unsubscribe) {
-          subscription.unsubscribe();
-        }
-      });
-    }
+    updateInterval.stop();
     if (updateInterval.walletUnsubscribe) {
       updateInterval.walletUnsubscribe();
     }
   }
-};
\ No newline at end of file
+};
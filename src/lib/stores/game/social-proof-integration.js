@@ -19,6 +19,7 @@ import {
   socialMetrics
 } from '../social-proof.js';
 import { db } from '../../database/index.js';
+import { tabLeader, TAB_TOPICS } from '../../utils/tab-leader.js';
 
 // Integration state
 let isInitialized = false;
@@ -360,11 +361,9 @@ function formatAddress(address) {
 }
 
 /**
- * Subscribe to real-time database changes
+ * Open the Supabase channel for social activity inserts
  */
-export function subscribeSocialProofUpdates() {
-  if (!db.supabase || !isInitialized) return null;
-  
+function openSocialProofChannel() {
   try {
     // Subscribe to social activity changes
     const subscription = db.supabase
@@ -379,13 +378,15 @@ export function subscribeSocialProofUpdates() {
         // Process the new activity in the social proof store
         if (payload.new) {
           const activity = payload.new;
-          addActivity({
+          const update = {
             type: activity.activity_type,
             playerAddress: activity.user_address,
             message: generateActivityMessage(activity),
             intensity: activity.intensity,
             timestamp: new Date(activity.created_at).getTime()
-          });
+          };
+          addActivity(update);
+          tabLeader.publish(TAB_TOPICS.SOCIAL_ACTIVITY, update);
         }
       })
       .subscribe();
@@ -398,6 +399,36 @@ export function subscribeSocialProofUpdates() {
   }
 }
 
+/**
+ * Subscribe to real-time database changes
+ * Only the leader tab holds the Supabase channel; follower tabs get its activity relayed
+ * @returns {Object|null} Handle with unsubscribe(), or null when unavailable
+ */
+export function subscribeSocialProofUpdates() {
+  if (!db.supabase || !isInitialized) return null;
+
+  let channel = null;
+  const open = () => {
+    if (!channel) channel = openSocialProofChannel();
+  };
+  const close = () => {
+    channel?.unsubscribe();
+    channel = null;
+  };
+
+  if (tabLeader.isLeader()) open();
+  const leadershipUnsubscribe = tabLeader.onLeadershipChange((leading) => (leading ? open() : close()));
+  const relayUnsubscribe = tabLeader.subscribe(TAB_TOPICS.SOCIAL_ACTIVITY, addActivity);
+
+  return {
+    unsubscribe: () => {
+      close();
+      leadershipUnsubscribe();
+      relayUnsubscribe();
+    }
+  };
+}
+
 /**
  * Generate activity message from database record
  */
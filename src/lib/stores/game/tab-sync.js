@@ -0,0 +1,148 @@
+/**
+ * Game Tab Sync Module
+ *
+ * Only the leader tab (see tab-leader.js) loads game state from the chain; it publishes what
+ * it loads and follower tabs mirror it. Player fields belong to the leader's wallet, so a
+ * follower only takes them while it is connected with the same address.
+ */
+
+import { get } from 'svelte/store';
+import { TAB_TOPICS } from '../../utils/tab-leader.js';
+
+// Game fields every tab shows the same way
+const SHARED_GAME_FIELDS = [
+  'contractDeployed',
+  'currentPot',
+  'currentPotUSD',
+  'shotCost',
+  'shotCostUSD',
+  'sponsorCost',
+  'sponsorCostUSD',
+  'currentSponsor',
+  'recentWinners',
+  'topPlayers',
+  'gameConfig',
+  'lastUpdate',
+  'liveUpdates'
+];
+
+// Fields loadPlayerData fills for one wallet
+const PLAYER_GAME_FIELDS = [
+  'playerStats',
+  'canShoot',
+  'shotBlockReason',
+  'cooldownRemaining',
+  'availableDiscounts',
+  'availableBonusShots',
+  'referralStats'
+];
+
+// Coalesces the burst of store updates a refresh makes into one message
+const PUBLISH_DELAY_MS = 100;
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+const pick = (state, fields) => Object.fromEntries(fields.map((field) => [field, state[field]]));
+
+/**
+ * Take the part of the game state other tabs can show
+ * @param {Object} state - Game state
+ * @param {string|null} playerAddress - Wallet the player fields were loaded for
+ * @returns {Object} Snapshot safe to post to other tabs
+ */
+export const pickSharedGameState = (state, playerAddress) => ({
+  activeCrypto: state.activeCrypto,
+  game: pick(state, SHARED_GAME_FIELDS),
+  playerAddress: playerAddress || null,
+  player: playerAddress ? pick(state, PLAYER_GAME_FIELDS) : null
+});
+
+/**
+ * Merge a snapshot from the leader tab into this tab's game state
+ * @param {Object} state - This tab's game state
+ * @param {Object} snapshot - Snapshot from pickSharedGameState
+ * @param {string|null} walletAddress - Wallet connected in this tab
+ * @returns {Object} Updated game state (unchanged if the snapshot is for another crypto)
+ */
+export const applySharedGameState = (state, snapshot, walletAddress) => {
+  if (snapshot.activeCrypto !== state.activeCrypto) {
+    return state;
+  }
+
+  return {
+    ...state,
+    ...snapshot.game,
+    ...(sameAddress(snapshot.playerAddress, walletAddress) ? snapshot.player : {}),
+    loading: false
+  };
+};
+
+/**
+ * Publish game state while this tab leads and mirror the leader's otherwise
+ * @param {Object} params - Parameters object
+ * @param {Object} params.tabLeader - Tab leader election (see createTabLeader)
+ * @param {Function} params.subscribe - Game store subscribe function
+ * @param {Function} params.updateState - State update function
+ * @param {Function} params.getWalletStore - Function to get wallet store
+ * @param {Function} params.loadPlayerData - Loads player data for an address in this tab
+ * @returns {Object} { requestState, stop }
+ */
+export const startGameTabSync = ({ tabLeader, subscribe, updateState, getWalletStore, loadPlayerData }) => {
+  let publishTimer = null;
+  // The follower's wallet when the leader last shared player data for another one
+  let loadedOwnPlayer = null;
+
+  const getWalletAddress = () => get(getWalletStore()).address || null;
+
+  const publishState = () => {
+    publishTimer = null;
+    if (!tabLeader.isLeader()) return;
+    tabLeader.publish(TAB_TOPICS.GAME_STATE, pickSharedGameState(get({ subscribe }), getWalletAddress()));
+  };
+
+  const storeUnsubscribe = subscribe(() => {
+    if (tabLeader.isLeader() && !publishTimer) {
+      publishTimer = setTimeout(publishState, PUBLISH_DELAY_MS);
+    }
+  });
+
+  const stateUnsubscribe = tabLeader.subscribe(TAB_TOPICS.GAME_STATE, (snapshot) => {
+    if (tabLeader.isLeader()) return;
+    const walletAddress = getWalletAddress();
+    updateState(state => applySharedGameState(state, snapshot, walletAddress));
+
+    // The leader has another wallet (or none); this tab loads its own player data once
+    if (walletAddress && !sameAddress(snapshot.playerAddress, walletAddress) && loadedOwnPlayer !== walletAddress) {
+      loadedOwnPlayer = walletAddress;
+      loadPlayerData(walletAddress);
+    }
+  });
+
+  const requestUnsubscribe = tabLeader.subscribe(TAB_TOPICS.GAME_STATE_REQUEST, () => {
+    if (tabLeader.isLeader()) publishState();
+  });
+
+  // Followers ask again when their wallet connects, to pick up its player data
+  const walletUnsubscribe = getWalletStore().subscribe((wallet) => {
+    if (!wallet.address) loadedOwnPlayer = null;
+    if (wallet.connected && !tabLeader.isLeader()) {
+      tabLeader.publish(TAB_TOPICS.GAME_STATE_REQUEST, null);
+    }
+  });
+
+  return {
+    /**
+     * Ask the leader tab for its current game state
+     */
+    requestState: () => tabLeader.publish(TAB_TOPICS.GAME_STATE_REQUEST, null),
+
+    stop: () => {
+      clearTimeout(publishTimer);
+      publishTimer = null;
+      storeUnsubscribe();
+      stateUnsubscribe();
+      requestUnsubscribe();
+      walletUnsubscribe();
+    }
+  };
+};
@@ -5,6 +5,9 @@
  */
 
 import { GAME_CONFIG, calculateUSDValue } from '../../config.js';
+import { CONTRACT_ABI } from '../../crypto/config.js';
+import { createRevertDecoder } from '../../crypto/revert-decoder.js';
+import { TIMELOCK_ABI } from '../../crypto/timelock.js';
 
 /**
  * Safely convert BigInt to number, handling edge cases
@@ -52,17 +55,31 @@ export const ETH_SHOT_ABI = [
   // Game functions
   'function commitFirstShot(bytes32 commitment) external payable',
   'function commitShot(bytes32 commitment) external payable',
+  'function commitShots(bytes32[] commitments) external payable',
+  'function commitShotWithToken(address token, bytes32 commitment) external',
   'function revealShot(uint256 secret) external',
-  'function sponsorRound(string calldata name, string calldata logoUrl) external payable',
+  'function revealBatchShot(uint256 index, uint256 secret) external',
+  'function commitShotFor(address player, bytes32 commitment, uint256 deadline, bytes signature) external',
+  'function revealShotFor(address player, uint256 secret, uint256 deadline, bytes signature) external',
+  'function nonces(address owner) external view returns (uint256)',
+  'function shotDeposits(address player) external view returns (uint256)',
+  'function depositForShots(address player) external payable',
+  'function withdrawShotDeposit() external',
+  'function commitShotWithVoucher(bytes32 commitment, bytes32 voucherId, uint256 price, uint256 deadline, bytes signature) external payable',
+  'function redeemedVouchers(bytes32 voucherId) external view returns (bool)',
+  'function voucherSigner() external view returns (address)',
+  'function bidForSponsorship(string calldata name, string calldata logoUrl) external payable',
+  'function settleSponsorAuction() external',
   'function paused() external view returns (bool)',
   'function getCurrentPot() external view returns (uint256)',
   'function getContractBalance() external view returns (uint256)',
   'function getHouseFunds() external view returns (uint256)',
   'function getPlayerStats(address player) external view returns (tuple(uint256 totalShots, uint256 totalSpent, uint256 totalWon, uint256 lastShotTime))',
-  'function canCommitShot(address player) external view returns (bool)',
+  'function canCommitShot(address player) external view returns (bool allowed, uint8 reason)',
   'function canRevealShot(address player) external view returns (bool)',
   'function hasPendingShot(address player) external view returns (bool)',
   'function getPendingShot(address player) external view returns (bool exists, uint256 blockNumber, uint256 amount)',
+  'function getPendingBatch(address player) external view returns (uint256 blockNumber, bool[] pending)',
   'function getPendingPayout(address player) external view returns (uint256)',
   'function getCooldownRemaining(address player) external view returns (uint256)',
   'function claimPayout() external',
@@ -71,28 +88,72 @@ export const ETH_SHOT_ABI = [
   'function getRecentWinners() external view returns (tuple(address winner, uint256 amount, uint256 timestamp, uint256 blockNumber)[])',
   'function SHOT_COST() external view returns (uint256)',
   'function SPONSOR_COST() external view returns (uint256)',
+  'function sponsorAuction() external view returns (address highestBidder, uint256 highestBid, uint256 endTime, string name, string logoUrl)',
+  'function getMinimumSponsorBid() external view returns (uint256)',
+  'function MAX_BATCH_SHOTS() external view returns (uint256)',
+  'function usesRandomnessOracle() external view returns (bool)',
+  'function getGameConfig() external view returns (uint256 winPercentageBP, uint256 housePercentageBP, uint256 winChanceBP, tuple(string name, uint256 chanceBP, uint256 contributionBP)[] tiers)',
+  'function getTierPots() external view returns (uint256[] pots)',
+  'function getAcceptedTokens() external view returns (address[] tokens)',
+  'function getTokenPot(address token) external view returns (uint256 shotCost, uint256 pot, uint256 tokenHouseFunds)',
+  'function currentRound() external view returns (uint256)',
+  'function getResponsiblePlay(address player, address token) external view returns (uint256 excludedUntil, uint256 dailyLimit, uint256 spentToday, uint256 pendingLimit, uint256 pendingFrom)',
+  'function setSelfExclusion(uint256 duration) external',
+  'function setDailySpendLimit(address token, uint256 amount) external',
+  'function MAX_SELF_EXCLUSION() external view returns (uint256)',
+  'function SPEND_LIMIT_INCREASE_DELAY() external view returns (uint256)',
+  'function getRound(uint256 roundId) external view returns (tuple(uint256 startTime, uint256 endTime, uint256 startBlock, uint256 endBlock, uint256 shotCount, uint256 potAmount, uint256 payout, address winner))',
   
   // Admin functions (Ownable)
   'function owner() external view returns (address)',
   'function transferOwnership(address newOwner) external',
   'function renounceOwnership() external',
   
-  // Test mode functions
-  'function setTestMode(bool enabled) external',
-  'function setTestFiftyPercentMode(bool enabled) external',
-  'function setWinningNumber(uint256 number) external',
+  // Test mode (always off on the production contract)
   'function getTestModeConfig() external view returns (tuple(bool isTestMode, bool isFiftyPercentMode, uint256 currentChainId))',
   
   // House funds management
   'function withdrawHouseFunds() external',
+  'function withdrawTokenHouseFunds(address token) external',
+  'function setAcceptedToken(address token, uint256 shotCost) external',
+  'function setVoucherSigner(address signer) external',
   
   // Events
   'event ShotTaken(address indexed player, uint256 amount, bool won)',
-  'event JackpotWon(address indexed winner, uint256 amount, uint256 timestamp)',
+  'event ShotCommitted(address indexed player, bytes32 indexed commitment, uint256 amount, uint256 indexed roundId)',
+  'event ShotRevealed(address indexed player, uint256 indexed amount, bool indexed won, uint256 roundId)',
+  'event RandomnessRequested(address indexed player, uint256 indexed requestId)',
+  'event TierPrizeWon(address indexed winner, uint256 indexed tier, uint256 amount, uint256 roundId)',
+  'event ShotRelayed(address indexed player, address indexed relayer, bool isReveal)',
+  'event TokenShotCommitted(address indexed player, address indexed token, uint256 amount)',
+  'event TokenJackpotWon(address indexed winner, address indexed token, uint256 amount)',
+  'event JackpotWon(address indexed winner, uint256 indexed amount, uint256 indexed timestamp, uint256 roundId)',
   'event SponsorshipActivated(address indexed sponsor, string name, string logoUrl)',
+  'event SponsorBidPlaced(address indexed bidder, uint256 amount, uint256 endTime)',
+  'event SponsorBidRefunded(address indexed bidder, uint256 amount)',
+  'event SelfExclusionSet(address indexed player, uint256 until)',
+  'event DailySpendLimitSet(address indexed player, address indexed token, uint256 limit, uint256 effectiveFrom)',
+  'event VoucherRedeemed(address indexed player, bytes32 indexed voucherId, uint256 price)',
   'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
 ];
 
+// Test hooks only deployed in EthShotTestable (Hardhat and testnets, never mainnet)
+export const ETH_SHOT_TESTABLE_ABI = [
+  ...ETH_SHOT_ABI,
+  'function testMode() external view returns (bool)',
+  'function setTestMode(bool enabled) external',
+  'function setTestFiftyPercentMode(bool enabled) external',
+  'function setWinningNumber(uint256 number) external',
+  'error TestModeNotEnabled()'
+];
+
+/**
+ * Decode the EthShot (or owning EthShotTimelock) revert behind a failed call or transaction
+ * @param {*} error - Error thrown by the contract call or transaction
+ * @returns {Object|null} { name, args, category, message }, or null when the error is not a revert
+ */
+export const decodeContractRevert = createRevertDecoder([...CONTRACT_ABI, ...ETH_SHOT_TESTABLE_ABI, ...TIMELOCK_ABI]);
+
 /**
  * Helper function to create provider with retry logic (ETH-only mode)
  * @param {Object} ethers - Ethers library instance
@@ -179,6 +240,95 @@ export const checkPotMilestones = (previousPot, newPotAmount, notifyPotMilestone
   }
 };
 
+/**
+ * Combine prize tier configuration with current sub-pots for display
+ * @param {Array} tiers - Tier configuration ({ name, chanceBP, contributionBP })
+ * @param {string[]} pots - Sub-pots in native units, indexed like tiers
+ * @returns {Array} Prize tiers with chance percentage and current pot
+ */
+export const buildPrizeTiers = (tiers, pots) => {
+  return (tiers || []).map((tier, index) => ({
+    index,
+    name: tier.name,
+    chanceBP: tier.chanceBP,
+    contributionBP: tier.contributionBP,
+    chancePercent: tier.chanceBP / 100,
+    pot: pots?.[index] || '0'
+  }));
+};
+
+/**
+ * Format the contract's sponsor auction for display
+ * @param {Object} auction - sponsorAuction() result
+ * @param {bigint} minimumBid - getMinimumSponsorBid() result
+ * @param {bigint} pendingRefund - Outbid refunds (and failed payouts) the viewer can claim
+ * @param {Object} ethers - Ethers library instance
+ * @returns {Object} Auction state with amounts in ETH and endTime in milliseconds
+ */
+export const formatSponsorAuction = (auction, minimumBid, pendingRefund, ethers) => {
+  const endTime = safeBigIntToNumber(auction.endTime) * 1000;
+  return {
+    active: endTime > 0 && Date.now() < endTime,
+    ended: endTime > 0 && Date.now() >= endTime,
+    highestBidder: auction.highestBidder,
+    highestBid: ethers.formatEther(auction.highestBid),
+    endTime,
+    name: auction.name,
+    logoUrl: auction.logoUrl,
+    minimumBid: ethers.formatEther(minimumBid),
+    pendingRefund: ethers.formatEther(pendingRefund || 0n)
+  };
+};
+
+// ShotBlock reason codes returned by canCommitShot, in EthShot.sol enum order
+export const SHOT_BLOCK_REASONS = ['none', 'paused', 'self_excluded', 'daily_spend_limit', 'pending_shot', 'cooldown'];
+
+/**
+ * Map a canCommitShot reason code to its name
+ * @param {bigint|number} reason - ShotBlock reason code
+ * @returns {string|null} Reason name ('none' when the shot is allowed), or null if unknown
+ */
+export const formatShotBlockReason = (reason) => SHOT_BLOCK_REASONS[Number(reason)] ?? null;
+
+const SHOT_BLOCK_MESSAGES = {
+  paused: 'The game is paused. Shots will reopen when it resumes.',
+  self_excluded: 'You have self-excluded from playing. Shots are blocked until your exclusion period ends.',
+  daily_spend_limit: 'You have reached your daily spending limit. It resets at 00:00 UTC.',
+  pending_shot: 'You have a pending shot. Reveal it (or wait for it to expire) before taking another.',
+  cooldown: 'You are in the cooldown period. Please wait and try again.'
+};
+
+/**
+ * Get the user-facing explanation for a shot block reason
+ * @param {string} reason - Reason name from formatShotBlockReason
+ * @returns {string|null} Message, or null when nothing blocks the shot
+ */
+export const getShotBlockMessage = (reason) => SHOT_BLOCK_MESSAGES[reason] || null;
+
+/**
+ * Format the contract's responsible play settings for display
+ * @param {Object} settings - getResponsiblePlay() result
+ * @param {Object} ethers - Ethers library instance
+ * @param {Object} [currency] - Payment currency the limit applies to
+ * @param {number} [currency.decimals] - Token decimals (18 for ETH)
+ * @param {string} [currency.symbol] - Token symbol
+ * @returns {Object} Settings with amounts in the payment currency and times in milliseconds;
+ *   a pendingFrom with a null pendingLimit means the daily limit is being removed
+ */
+export const formatResponsiblePlay = (settings, ethers, { decimals = 18, symbol = 'ETH' } = {}) => {
+  const excludedUntil = safeBigIntToNumber(settings.excludedUntil) * 1000;
+  const pendingFrom = safeBigIntToNumber(settings.pendingFrom) * 1000;
+  return {
+    excludedUntil: excludedUntil || null,
+    selfExcluded: Date.now() < excludedUntil,
+    dailyLimit: settings.dailyLimit > 0n ? ethers.formatUnits(settings.dailyLimit, decimals) : null,
+    spentToday: ethers.formatUnits(settings.spentToday, decimals),
+    pendingLimit: pendingFrom && settings.pendingLimit > 0n ? ethers.formatUnits(settings.pendingLimit, decimals) : null,
+    pendingFrom: pendingFrom || null,
+    symbol
+  };
+};
+
 /**
  * Validate contract deployment status
  * @param {string} contractAddress - Contract address to validate
@@ -216,6 +366,7 @@ export const createInitialGameState = () => ({
   // Player state
   playerStats: null,
   canShoot: false,
+  shotBlockReason: null, // Why canShoot is false (see SHOT_BLOCK_REASONS)
   cooldownRemaining: 0,
   
   // Sponsor info
@@ -229,6 +380,7 @@ export const createInitialGameState = () => ({
   loading: false,
   takingShot: false,
   error: null,
+  errorRevert: null, // Decoded contract revert behind error, if any (see decodeContractRevert)
   
   // Multi-crypto state
   activeCrypto: 'ETH', // Default to ETH for backward compatibility
@@ -237,11 +389,13 @@ export const createInitialGameState = () => ({
   
   // Referral system state
   availableDiscounts: [],
+  availableBonusShots: [],
   referralStats: null,
   referralProcessed: false,
   
   // Real-time updates
   lastUpdate: null,
+  liveUpdates: null, // 'websocket' or 'filter' while contract events stream in, 'polling' otherwise
 });
 
 /**
@@ -251,6 +405,11 @@ export const createInitialGameState = () => ({
  * @returns {string} User-friendly error message
  */
 export const handleContractError = (error, cryptoType) => {
+  const revert = decodeContractRevert(error);
+  if (revert) {
+    return revert.message;
+  }
+  
   let errorMessage = `${cryptoType} contract not found at the configured address.`;
   
   if (error.message.includes('not yet implemented')) {
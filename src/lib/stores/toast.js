@@ -1,4 +1,5 @@
 import { writable } from 'svelte/store';
+import { tabLeader, TAB_TOPICS } from '../utils/tab-leader.js';
 
 // Toast notification store
 const createToastStore = () => {
@@ -6,7 +7,7 @@ const createToastStore = () => {
 
   let toastId = 0;
 
-  const addToast = (message, type = 'info', duration = 5000) => {
+  const showToast = (message, type = 'info', duration = 5000) => {
     const id = ++toastId;
     const toast = {
       id,
@@ -27,6 +28,18 @@ const createToastStore = () => {
     return id;
   };
 
+  const addToast = (message, type = 'info', duration = 5000) => {
+    // Follower tabs show what the leader tab reports, since only it watches the chain
+    if (tabLeader.isLeader()) {
+      tabLeader.publish(TAB_TOPICS.TOAST, { message, type, duration });
+    }
+    return showToast(message, type, duration);
+  };
+
+  tabLeader.subscribe(TAB_TOPICS.TOAST, ({ message, type, duration }) => {
+    showToast(message, type, duration);
+  });
+
   const removeToast = (id) => {
     update(toasts => toasts.filter(toast => toast.id !== id));
   };
@@ -1,6 +1,7 @@
-import { writable, derived } from 'svelte/store';
+import { writable, derived, get } from 'svelte/store';
 import { browser } from '$app/environment';
 import { NETWORK_CONFIG, WALLET_CONFIG, RPC_URLS, EXPLORER_URLS } from '../config.js';
+import { tabLeader, TAB_TOPICS } from '../utils/tab-leader.js';
 import { authenticateWithWalletAPI, signOutFromSupabaseAPI, getCurrentSessionAPI, isAuthenticatedAPI, isAuthenticatedForWalletAPI, getAuthStatusAPI } from '../utils/client-auth.js';
 
 // Wallet connection state
@@ -305,6 +306,7 @@ const createWalletStore = () => {
         connecting: false,
         error: null,
       }));
+      shareBalance(address, Number(network.chainId), ethers.formatEther(balance));
 
       // Set up event listeners
       setupEventListeners(instance);
@@ -337,9 +339,29 @@ const createWalletStore = () => {
     }
   };
 
+  // Let other tabs connected with the same wallet show a fresh balance without reading it
+  const shareBalance = (address, chainId, balance) => {
+    tabLeader.publish(TAB_TOPICS.WALLET, { type: 'balance', address, chainId, balance });
+  };
+
+  const clearConnection = () => {
+    set({
+      connected: false,
+      address: null,
+      balance: '0',
+      chainId: null,
+      provider: null,
+      signer: null,
+      connecting: false,
+      error: null,
+    });
+  };
+
   // Disconnect wallet
   const disconnect = async () => {
     try {
+      const { address } = get({ subscribe });
+
       if (web3Modal) {
         web3Modal.clearCachedProvider();
       }
@@ -361,16 +383,10 @@ const createWalletStore = () => {
       // Clear localStorage
       localStorage.removeItem('wallet_connected');
 
-      set({
-        connected: false,
-        address: null,
-        balance: '0',
-        chainId: null,
-        provider: null,
-        signer: null,
-        connecting: false,
-        error: null,
-      });
+      clearConnection();
+      if (address) {
+        tabLeader.publish(TAB_TOPICS.WALLET, { type: 'disconnected', address });
+      }
 
       console.log('🔌 Wallet disconnected');
     } catch (error) {
@@ -419,6 +435,7 @@ const createWalletStore = () => {
             ...currentState,
             balance: ethers.formatEther(balance),
           }));
+          shareBalance(state.address, state.chainId, ethers.formatEther(balance));
         })
         .catch(error => {
           console.error('Failed to update balance:', error);
@@ -486,6 +503,22 @@ const createWalletStore = () => {
     });
   };
 
+  // Balance and disconnect events from other tabs with the same wallet
+  tabLeader.subscribe(TAB_TOPICS.WALLET, event => {
+    const state = get({ subscribe });
+    if (!state.connected || state.address?.toLowerCase() !== event.address.toLowerCase()) {
+      return;
+    }
+
+    if (event.type === 'balance' && event.chainId === state.chainId && event.balance !== state.balance) {
+      update(currentState => ({ ...currentState, balance: event.balance }));
+    } else if (event.type === 'disconnected') {
+      // The other tab already signed out and cleared the shared session
+      clearConnection();
+      console.log('🔌 Wallet disconnected in another tab');
+    }
+  });
+
   return {
     subscribe,
     init,
@@ -0,0 +1,98 @@
+/**
+ * Client-side Auto-reveal Keeper Utilities
+ *
+ * Lets players opt in to the auto-reveal keeper: after a commit, the player signs a
+ * RevealShot request that is encrypted to the keeper and escrowed via /api/keeper, so
+ * the shot still gets revealed if they close the tab.
+ */
+
+import { GAME_CONFIG } from '../config.js';
+import { buildRelayDomain, signRelayRequest } from '../crypto/relay.js';
+import { encryptForKeeper, KEEPER_REVEAL_TTL_SECONDS } from '../crypto/keeper-escrow.js';
+
+const OPT_IN_STORAGE_KEY = 'ethshot_keeper_opt_in';
+
+/**
+ * Check whether the deployment runs an auto-reveal keeper
+ * @returns {boolean} True when a keeper public key is configured
+ */
+export function isKeeperAvailable() {
+  return Boolean(GAME_CONFIG.KEEPER_PUBLIC_KEY);
+}
+
+/**
+ * Check whether the player opted in to auto-reveal
+ * @returns {boolean} True if opted in
+ */
+export function isKeeperOptedIn() {
+  if (typeof window === 'undefined') return false;
+  return localStorage.getItem(OPT_IN_STORAGE_KEY) === 'true';
+}
+
+/**
+ * Save the player's auto-reveal preference
+ * @param {boolean} optedIn - Whether the keeper may reveal abandoned shots
+ */
+export function setKeeperOptIn(optedIn) {
+  if (typeof window === 'undefined') return;
+  localStorage.setItem(OPT_IN_STORAGE_KEY, optedIn ? 'true' : 'false');
+}
+
+/**
+ * Sign a reveal request for a freshly committed shot and escrow it with the keeper
+ * @param {Object} params
+ * @param {string} params.secret - Secret used in the commitment
+ * @param {Object} params.receipt - Commit transaction receipt
+ * @param {Object} params.wallet - Connected wallet ({ address, signer })
+ * @param {Object} params.contract - EthShot contract
+ * @returns {Promise<void>}
+ */
+export async function escrowRevealWithKeeper({ secret, receipt, wallet, contract }) {
+  const token = localStorage.getItem('ethshot_jwt_token');
+  if (!token) {
+    throw new Error('No authentication token found. Please connect your wallet first.');
+  }
+
+  const [{ chainId }, nonce, latestBlock] = await Promise.all([
+    wallet.provider.getNetwork(),
+    contract.nonces(wallet.address),
+    wallet.provider.getBlock('latest')
+  ]);
+
+  const request = {
+    player: wallet.address,
+    secret: BigInt(secret).toString(),
+    nonce: nonce.toString(),
+    deadline: (latestBlock.timestamp + KEEPER_REVEAL_TTL_SECONDS).toString()
+  };
+  const signature = await signRelayRequest({
+    signer: wallet.signer,
+    type: 'reveal',
+    domain: buildRelayDomain(chainId, await contract.getAddress()),
+    request
+  });
+
+  const envelope = await encryptForKeeper(JSON.parse(GAME_CONFIG.KEEPER_PUBLIC_KEY), { ...request, signature });
+
+  const response = await fetch('/api/keeper', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({
+      playerAddress: wallet.address,
+      commitTxHash: receipt.hash,
+      commitBlock: receipt.blockNumber,
+      envelope
+    })
+  });
+
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    console.error('❌ Keeper API error:', result);
+    throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  console.log('🤖 Reveal escrowed with auto-reveal keeper:', receipt.hash);
+}
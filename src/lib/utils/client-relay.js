@@ -0,0 +1,49 @@
+/**
+ * Client-side Relay API Utilities
+ *
+ * Sends EIP-712 signed shot requests to the server-side relayer (/api/relay),
+ * which submits them on-chain and pays the gas. Requires the player's JWT.
+ */
+
+/**
+ * Submit a signed commit or reveal request to the relayer
+ * @param {string} type - 'commit' or 'reveal'
+ * @param {Object} request - { player, commitment | secret, nonce, deadline } (numbers as strings)
+ * @param {string} signature - Player's EIP-712 signature
+ * @returns {Promise<string>} Hash of the relayed transaction
+ */
+export async function submitRelayRequestAPI(type, request, signature) {
+  try {
+    console.log('🛰️ Submitting relay request:', { type, player: request.player });
+
+    const token = localStorage.getItem('ethshot_jwt_token');
+    if (!token) {
+      throw new Error('No authentication token found. Please connect your wallet first.');
+    }
+
+    const response = await fetch('/api/relay', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ type, request, signature })
+    });
+
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      console.error('❌ Relay API error:', result);
+      // Keep the revert data so decodeContractRevert can explain contract reverts
+      throw Object.assign(new Error(result.error || `HTTP ${response.status}: ${response.statusText}`), {
+        data: result.revertData
+      });
+    }
+
+    console.log('✅ Relay request submitted:', result.txHash);
+    return result.txHash;
+  } catch (error) {
+    console.error('❌ Relay API error:', error);
+    throw error;
+  }
+}
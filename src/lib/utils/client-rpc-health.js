@@ -0,0 +1,78 @@
+/**
+ * Client-side RPC Health Utilities
+ *
+ * Calls /api/rpc-health for the providers admins disabled (loaded by every browser's
+ * RPCProviderManager) and for the admin RPC health dashboard and its provider actions.
+ */
+
+/**
+ * Load the names of the providers admins disabled
+ * @returns {Promise<Array<string>>} Provider names
+ */
+export async function loadDisabledRpcProvidersAPI() {
+  const response = await fetch('/api/rpc-health');
+
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return result.disabledProviders;
+}
+
+/**
+ * Make an authenticated /api/rpc-health request
+ * @param {string} action - API action
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} API response
+ */
+async function callRpcHealthAPI(action, params = {}) {
+  const token = localStorage.getItem('ethshot_jwt_token');
+  if (!token) {
+    throw new Error('No authentication token found. Please connect your wallet first.');
+  }
+
+  const response = await fetch('/api/rpc-health', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ action, ...params })
+  });
+
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    console.error('❌ RPC health API error:', result);
+    throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return result;
+}
+
+/**
+ * Load per-provider health and time series
+ * @param {number} hours - Window length (6, 24 or 168)
+ * @returns {Promise<{since: string, bucketMinutes: number, providers: Array}>}
+ */
+export async function loadRpcHealthDashboardAPI(hours) {
+  const { since, bucketMinutes, providers } = await callRpcHealthAPI('load_dashboard', { hours });
+  return { since, bucketMinutes, providers };
+}
+
+/**
+ * Enable or disable a provider for every browser
+ * @param {string} providerName - Provider name
+ * @param {boolean} isActive - Whether it may serve requests
+ * @returns {Promise<void>}
+ */
+export async function setRpcProviderActiveAPI(providerName, isActive) {
+  await callRpcHealthAPI('set_provider_active', { providerName, isActive });
+}
+
+/**
+ * Mark a provider healthy again and clear its failure count
+ * @param {string} providerName - Provider name
+ * @returns {Promise<void>}
+ */
+export async function resetRpcProviderHealthAPI(providerName) {
+  await callRpcHealthAPI('reset_provider_health', { providerName });
+}
@@ -0,0 +1,38 @@
+/**
+ * Client-side RPC Metrics Utilities
+ *
+ * Sends the RPC request metrics, provider health checks and rate limit events the browser's
+ * RPCProviderManager batches up to /api/rpc-metrics. Requires the player's JWT, so only
+ * signed-in players report.
+ */
+
+/**
+ * Send a metrics batch to /api/rpc-metrics
+ * @param {Object} batch - { requests, health, rateLimitEvents } from the RPC metrics reporter
+ * @returns {Promise<{written: number, skipped: number}>} How many entries were stored
+ */
+export async function sendRpcMetricsAPI(batch) {
+  const token = localStorage.getItem('ethshot_jwt_token');
+  if (!token) {
+    // Not signed in: the batch is dropped like any other failed report
+    const total = batch.requests.length + batch.health.length + batch.rateLimitEvents.length;
+    return { written: 0, skipped: total };
+  }
+
+  const response = await fetch('/api/rpc-metrics', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(batch),
+    // Lets the last batch go out while the page unloads
+    keepalive: true
+  });
+
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return { written: result.written, skipped: result.skipped };
+}
@@ -0,0 +1,104 @@
+/**
+ * Client-side Sponsor Campaign Utilities
+ *
+ * Reports SponsorBanner impressions and clicks, and calls /api/sponsors for the sponsor
+ * dashboard (campaign analytics and slot booking).
+ */
+
+const SESSION_STORAGE_KEY = 'ethshot_sponsor_session';
+
+// Events already reported from this page load; the server also deduplicates per session
+const reportedEvents = new Set();
+
+/**
+ * Get (or create) the anonymous browser session used to deduplicate banner events
+ * @returns {string} Session ID
+ */
+function getSponsorSessionId() {
+  let sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    sessionStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+  }
+  return sessionId;
+}
+
+/**
+ * Make an authenticated /api/sponsors request
+ * @param {string} action - API action
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} API response
+ */
+async function callSponsorsAPI(action, params = {}) {
+  const token = localStorage.getItem('ethshot_jwt_token');
+  if (!token) {
+    throw new Error('No authentication token found. Please connect your wallet first.');
+  }
+
+  const response = await fetch('/api/sponsors', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ action, ...params })
+  });
+
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    console.error('❌ Sponsors API error:', result);
+    throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return result;
+}
+
+/**
+ * Report a banner impression or click for a campaign (fire and forget)
+ * @param {string} sponsorId - sponsors row ID
+ * @param {'impression'|'click'} eventType - Event type
+ */
+export function recordSponsorEvent(sponsorId, eventType) {
+  if (typeof window === 'undefined' || !sponsorId) return;
+
+  const key = `${sponsorId}:${eventType}`;
+  if (reportedEvents.has(key)) return;
+  reportedEvents.add(key);
+
+  fetch('/api/sponsors', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      action: 'record_event',
+      sponsorId,
+      eventType,
+      sessionId: getSponsorSessionId()
+    }),
+    // Clicks navigate away from the page
+    keepalive: true
+  }).catch((error) => {
+    console.warn('Failed to record sponsor event:', error.message);
+  });
+}
+
+/**
+ * Get the connected sponsor's campaigns with impressions and clicks
+ * @returns {Promise<{campaigns: Array, bookedSlots: Array, slotHours: number, maxBookingDays: number}>}
+ */
+export async function getSponsorCampaignsAPI() {
+  const { campaigns, bookedSlots, slotHours, maxBookingDays } = await callSponsorsAPI('get_campaigns');
+  return { campaigns, bookedSlots, slotHours, maxBookingDays };
+}
+
+/**
+ * Book a future slot for a campaign
+ * @param {string} campaignId - sponsors row ID
+ * @param {Date} startsAt - Slot start
+ * @returns {Promise<{id: string, startsAt: string, endsAt: string}>} Booked slot
+ */
+export async function bookSponsorSlotAPI(campaignId, startsAt) {
+  const { campaign } = await callSponsorsAPI('book_slot', {
+    campaignId,
+    startsAt: startsAt.toISOString()
+  });
+  return campaign;
+}
@@ -0,0 +1,57 @@
+/**
+ * Client-side Shot Voucher Utilities
+ *
+ * Calls /api/vouchers to get a signed voucher for a referral discount or bonus shot,
+ * and to mark it used once commitShotWithVoucher has been mined.
+ */
+
+/**
+ * Make an authenticated /api/vouchers request
+ * @param {string} action - API action
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} API response
+ */
+async function callVouchersAPI(action, params = {}) {
+  const token = localStorage.getItem('ethshot_jwt_token');
+  if (!token) {
+    throw new Error('No authentication token found. Please connect your wallet first.');
+  }
+
+  const response = await fetch('/api/vouchers', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ action, ...params })
+  });
+
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    console.error('❌ Vouchers API error:', result);
+    throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return result;
+}
+
+/**
+ * Get a signed voucher for one of the player's discounts or bonus shots
+ * @param {'discount'|'bonus'} kind - Voucher kind
+ * @param {string} sourceId - referral_discounts or bonus_shots row ID
+ * @returns {Promise<{player: string, voucherId: string, price: string, deadline: number, signature: string}>}
+ */
+export async function issueShotVoucherAPI(kind, sourceId) {
+  const { voucher } = await callVouchersAPI('issue_voucher', { kind, sourceId });
+  return voucher;
+}
+
+/**
+ * Mark a discount or bonus shot used after its voucher was redeemed on-chain
+ * @param {'discount'|'bonus'} kind - Voucher kind
+ * @param {string} sourceId - referral_discounts or bonus_shots row ID
+ * @returns {Promise<boolean>} Whether the contract reports the voucher as redeemed
+ */
+export async function confirmVoucherRedemptionAPI(kind, sourceId) {
+  const { redeemed } = await callVouchersAPI('confirm_redemption', { kind, sourceId });
+  return redeemed;
+}
@@ -0,0 +1,87 @@
+/**
+ * Deployment History
+ *
+ * deployment.json describes the live EthShot deployment; earlier deployments are kept in
+ * its `history` array, oldest first. Each deployment is a season: shots, players and
+ * winners are already tagged with contract_address, so a season's leaderboard is the
+ * same query filtered by that season's contract. Shared by the deploy and migration
+ * scripts and the leaderboard page, so it must stay free of Node and SvelteKit imports.
+ */
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Build the deployment.json contents for a new deployment, archiving the previous one
+ * @param {Object|null} previous - Current deployment.json contents, if any
+ * @param {Object} deploymentInfo - Details of the new deployment
+ * @returns {Object} New deployment.json contents with the previous deployment in history
+ */
+export const archiveDeployment = (previous, deploymentInfo) => {
+  const { history = [], ...previousDeployment } = previous || {};
+
+  // Redeploying to the same address (or a first deploy) has nothing to archive
+  if (!previousDeployment.contractAddress || sameAddress(previousDeployment.contractAddress, deploymentInfo.contractAddress)) {
+    return { ...deploymentInfo, history };
+  }
+
+  return {
+    ...deploymentInfo,
+    history: [
+      ...history,
+      {
+        ...previousDeployment,
+        retiredAt: deploymentInfo.deploymentTime || new Date().toISOString()
+      }
+    ]
+  };
+};
+
+/**
+ * Record a pot migration on the archived deployment it came from
+ * @param {Object} deployment - deployment.json contents
+ * @param {Object} migration
+ * @param {string} migration.from - Retired contract address
+ * @param {string} migration.to - Contract that received the pot
+ * @param {string} migration.amount - Amount carried over, in ETH
+ * @param {string} migration.txHash - migratePot transaction hash
+ * @returns {Object} Updated deployment.json contents
+ */
+export const recordPotMigration = (deployment, { from, to, amount, txHash }) => {
+  const history = deployment.history || [];
+  if (!history.some((entry) => sameAddress(entry.contractAddress, from))) {
+    throw new Error(`${from} is not in the deployment history`);
+  }
+
+  return {
+    ...deployment,
+    history: history.map((entry) =>
+      sameAddress(entry.contractAddress, from)
+        ? { ...entry, migratedTo: to, migratedPot: amount, migrationTxHash: txHash }
+        : entry
+    )
+  };
+};
+
+/**
+ * List every deployment as a season, newest first
+ * @param {Object|null} deployment - deployment.json contents
+ * @returns {Array<Object>} Seasons: { number, contractAddress, startedAt, endedAt, current, migratedPot }
+ */
+export const getSeasons = (deployment) => {
+  if (!deployment?.contractAddress) {
+    return [];
+  }
+
+  const deployments = [...(deployment.history || []), deployment];
+  return deployments
+    .map((entry, index) => ({
+      number: index + 1,
+      contractAddress: entry.contractAddress,
+      network: entry.network,
+      startedAt: entry.deploymentTime || null,
+      endedAt: entry === deployment ? null : entry.retiredAt || null,
+      current: entry === deployment,
+      migratedPot: entry.migratedPot || null
+    }))
+    .reverse();
+};
@@ -3,7 +3,8 @@
  * Contains streamlined business logic for handling game actions
  */
 import { get } from 'svelte/store';
-import { takeShot, sponsorRound, revealShot } from '../services/ethshot-actions-simplified.js';
+import { goto } from '$app/navigation';
+import { takeShot, revealShot } from '../services/ethshot-actions-simplified.js';
 import { GAME_CONFIG, NETWORK_CONFIG } from '../config.js';
 import { resetTransactionStatus, setCooldownStatus } from './ethshot-button-utils.js';
 
@@ -33,9 +34,10 @@ export const createGameActionHandlers = (dependencies) => {
 
   /**
    * Handle taking a shot (simplified)
+   * @param {number} [shotCount=1] - Number of shots; more than one buys a bundle
    */
-  const handleTakeShot = async () => {
-    console.log('🎯 TAKE SHOT BUTTON CLICKED!');
+  const handleTakeShot = async (shotCount = 1) => {
+    console.log('🎯 TAKE SHOT BUTTON CLICKED!', { shotCount });
     console.log('🔍 Button click handler executing...');
     
     const isConnected = getIsConnected();
@@ -89,6 +91,7 @@ export const createGameActionHandlers = (dependencies) => {
         useDiscount: false,
         discountId: null,
         customShotCost: null,
+        shotCount,
         gameState,
         wallet,
         contract: gameStore.getContract(),
@@ -116,6 +119,21 @@ export const createGameActionHandlers = (dependencies) => {
           }
         }, 2000);
       } 
+      // Handle shot bundle (one commit, every shot revealed on its own)
+      else if (result && result.isBundle) {
+        const { won, wins = 0 } = result.revealResult || {};
+        if (won) {
+          toastStore.success(`🎉 JACKPOT! One of your ${result.shotCount} shots WON! 🎊`);
+        } else if (wins > 0) {
+          toastStore.success(`🎁 ${wins} of your ${result.shotCount} shots won a prize!`);
+        } else {
+          toastStore.info(`🎲 All ${result.shotCount} shots revealed - No win this time. Better luck next bundle!`);
+        }
+
+        setTimeout(() => {
+          resetTransactionStatus(setTransactionStatus, setStatusMessage, setProgressPercentage, 0);
+        }, 2000);
+      }
       // Handle regular shot (commit + auto-reveal)
       else if (result && result.revealResult) {
         console.log('🎯 Shot committed and revealed successfully');
@@ -246,41 +264,8 @@ export const createGameActionHandlers = (dependencies) => {
    * Handle sponsor round
    */
   const handleSponsorRound = async () => {
-    console.log('💰 SPONSOR ROUND BUTTON CLICKED!');
-    
-    const isConnected = getIsConnected();
-    const isCorrectNetwork = getIsCorrectNetwork();
-
-    if (!isConnected) {
-      toastStore.error('Please connect your wallet first');
-      return;
-    }
-
-    if (!isCorrectNetwork) {
-      toastStore.error('Please switch to the correct network');
-      return;
-    }
-
-    try {
-      const gameState = gameStore.getGameState();
-      const walletStoreInstance = gameStore.getWalletStore();
-      const wallet = get(walletStoreInstance);
-      
-      const result = await sponsorRound({
-        name: 'Anonymous Sponsor',
-        logoUrl: '/icons/sponsor-default.png',
-        sponsorUrl: null,
-        gameState,
-        wallet,
-        contract: gameStore.getContract(),
-        ethers: gameStore.getEthers(),
-        loadGameState: gameStore.loadGameState
-      });
-      console.log('✅ sponsorRound() completed:', result);
-    } catch (error) {
-      console.error('❌ Failed to sponsor round:', error);
-      toastStore.error('Failed to sponsor round: ' + error.message);
-    }
+    // Sponsorship slots are auctioned; bids are placed on the sponsor page
+    await goto('/sponsor');
   };
 
   /**
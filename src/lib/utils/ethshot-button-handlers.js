@@ -4,10 +4,12 @@
  */
 
 import { get } from 'svelte/store';
-import { takeShot, sponsorRound, revealShot, cleanupExpiredPendingShot } from '../services/ethshot-actions.js';
+import { goto } from '$app/navigation';
+import { takeShot, revealShot, cleanupExpiredPendingShot } from '../services/ethshot-actions.js';
 import { GAME_CONFIG, NETWORK_CONFIG } from '../config.js';
 import { saveSecretToStorage, removeRevealedSecret, copySecretToClipboard } from './ethshot-button-storage.js';
 import { resetTransactionStatus, setCooldownStatus } from './ethshot-button-utils.js';
+import { decodeContractRevert } from '../stores/game/utils.js';
 
 /**
  * Create game action handlers
@@ -39,6 +41,17 @@ export const createGameActionHandlers = (dependencies) => {
     getGameError
   } = dependencies;
 
+  /**
+   * Show a decoded contract revert in EthShotErrorMessage (null clears the previous one)
+   * @param {Object|null} revert - Result of decodeContractRevert
+   */
+  const setContractRevert = (revert) => {
+    gameStore.updateState(state => {
+      if (!revert && !state.errorRevert) return state;
+      return { ...state, error: revert ? revert.message : null, errorRevert: revert };
+    });
+  };
+
   /**
    * Handle taking a shot
    */
@@ -87,6 +100,7 @@ export const createGameActionHandlers = (dependencies) => {
     setTransactionStatus('idle');
     setStatusMessage('');
     setProgressPercentage(0);
+    setContractRevert(null);
     
     try {
       const gameState = gameStore.getGameState();
@@ -256,7 +270,9 @@ export const createGameActionHandlers = (dependencies) => {
         code: error.code,
         stack: error.stack
       });
-      toastStore.error('Failed to take shot: ' + error.message);
+      const revert = decodeContractRevert(error);
+      setContractRevert(revert);
+      toastStore.error(revert ? revert.message : 'Failed to take shot: ' + error.message);
       
       // Reset status on error
       resetTransactionStatus(setTransactionStatus, setStatusMessage, setProgressPercentage, 0);
@@ -314,6 +330,7 @@ export const createGameActionHandlers = (dependencies) => {
     setTransactionStatus('idle');
     setStatusMessage('');
     setProgressPercentage(0);
+    setContractRevert(null);
     
     try {
       const gameState = gameStore.getGameState();
@@ -346,7 +363,9 @@ export const createGameActionHandlers = (dependencies) => {
         code: error.code,
         stack: error.stack
       });
-      toastStore.error('Failed to take first shot: ' + error.message);
+      const revert = decodeContractRevert(error);
+      setContractRevert(revert);
+      toastStore.error(revert ? revert.message : 'Failed to take first shot: ' + error.message);
       
       // Reset status on error
       resetTransactionStatus(setTransactionStatus, setStatusMessage, setProgressPercentage, 0);
@@ -357,41 +376,8 @@ export const createGameActionHandlers = (dependencies) => {
    * Handle sponsor round
    */
   const handleSponsorRound = async () => {
-    console.log('💰 SPONSOR ROUND BUTTON CLICKED!');
-    
-    const isConnected = getIsConnected();
-    const isCorrectNetwork = getIsCorrectNetwork();
-
-    if (!isConnected) {
-      toastStore.error('Please connect your wallet first');
-      return;
-    }
-
-    if (!isCorrectNetwork) {
-      toastStore.error('Please switch to the correct network');
-      return;
-    }
-
-    try {
-      const gameState = gameStore.getGameState();
-      const walletStoreInstance = gameStore.getWalletStore();
-      const wallet = get(walletStoreInstance);
-      
-      const result = await sponsorRound({
-        name: 'Anonymous Sponsor',
-        logoUrl: '/icons/sponsor-default.png',
-        sponsorUrl: null,
-        gameState,
-        wallet,
-        contract: gameStore.getContract(),
-        ethers: gameStore.getEthers(),
-        loadGameState: gameStore.loadGameState
-      });
-      console.log('✅ sponsorRound() completed:', result);
-    } catch (error) {
-      console.error('❌ Failed to sponsor round:', error);
-      toastStore.error('Failed to sponsor round: ' + error.message);
-    }
+    // Sponsorship slots are auctioned; bids are placed on the sponsor page
+    await goto('/sponsor');
   };
 
   /**
@@ -478,7 +464,10 @@ export const createGameActionHandlers = (dependencies) => {
           console.error(`❌ Manual reveal attempt ${retryCount} failed:`, error);
           
           // Check if it's a "no pending shot" error and we should retry
-          const isPendingShotError = error.message?.includes('No pending shot') ||
+          const revert = decodeContractRevert(error);
+          const isPendingShotError = revert?.name === 'NoPendingShot' ||
+                                    revert?.name === 'RevealDelayNotElapsed' ||
+                                    error.message?.includes('No pending shot') ||
                                     error.message?.includes('pending shot') ||
                                     error.message?.includes('reveal window');
           
@@ -487,12 +476,12 @@ export const createGameActionHandlers = (dependencies) => {
             continue; // Try again
           } else if (retryCount > maxRetries) {
             console.error('❌ All manual reveal attempts failed');
-            toastStore.error(`Failed to reveal shot after ${maxRetries + 1} attempts: ${error.message}`);
+            toastStore.error(`Failed to reveal shot after ${maxRetries + 1} attempts: ${revert?.message || error.message}`);
             return { success: false, error };
           } else {
             // Non-retryable error
             console.error('❌ Non-retryable error in manual reveal:', error);
-            toastStore.error('Failed to reveal shot: ' + error.message);
+            toastStore.error('Failed to reveal shot: ' + (revert?.message || error.message));
             return { success: false, error };
           }
         }
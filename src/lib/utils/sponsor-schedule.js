@@ -0,0 +1,51 @@
+/**
+ * Sponsor Campaign Scheduling
+ *
+ * A campaign is a `sponsors` row. Campaigns without a booked slot (starts_at is null) run
+ * from activation until they are replaced, as before; booked campaigns only run inside
+ * their [starts_at, ends_at) slot and take precedence while they do.
+ */
+
+const toMs = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Check whether a campaign should be shown at a given time
+ * @param {Object} campaign - sponsors row ({ active, starts_at, ends_at })
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @returns {boolean} True if the campaign is live
+ */
+export const isCampaignLive = (campaign, now = Date.now()) => {
+  if (!campaign?.active) {
+    return false;
+  }
+  const startsAt = toMs(campaign.starts_at);
+  const endsAt = toMs(campaign.ends_at);
+  return (startsAt === null || startsAt <= now) && (endsAt === null || now < endsAt);
+};
+
+/**
+ * Pick the campaign to display from active sponsors rows
+ * @param {Array} campaigns - sponsors rows, newest first
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @returns {Object|null} Live booked campaign, else the newest live unbooked one
+ */
+export const selectLiveCampaign = (campaigns, now = Date.now()) => {
+  const live = (campaigns || []).filter((campaign) => isCampaignLive(campaign, now));
+  return live.find((campaign) => campaign.starts_at) || live[0] || null;
+};
+
+/**
+ * Find a booked campaign whose slot overlaps [startsAt, endsAt)
+ * @param {Array} bookings - sponsors rows with starts_at and ends_at
+ * @param {number} startsAt - Slot start in milliseconds
+ * @param {number} endsAt - Slot end in milliseconds
+ * @param {string} [excludeId] - Campaign being rebooked
+ * @returns {Object|null} First overlapping campaign
+ */
+export const findOverlappingBooking = (bookings, startsAt, endsAt, excludeId) =>
+  (bookings || []).find((booking) =>
+    booking.id !== excludeId &&
+    booking.starts_at &&
+    toMs(booking.starts_at) < endsAt &&
+    startsAt < toMs(booking.ends_at)
+  ) || null;
@@ -0,0 +1,302 @@
+/**
+ * Tab Leader Election
+ *
+ * Elects one open tab to talk to the chain and the database, over a BroadcastChannel.
+ * The leader sends a heartbeat; when it closes (resign) or stops beating (crash, frozen
+ * tab) the remaining tabs hold a new election. Visible tabs win over hidden ones, so a
+ * leader that is hidden hands over to a visible tab; otherwise ties go to the oldest tab.
+ * Tabs also use the channel to pass store updates, so followers mirror what the leader loads.
+ */
+
+// Topics the app publishes on the channel
+export const TAB_TOPICS = {
+  GAME_STATE: 'gameState',
+  GAME_STATE_REQUEST: 'gameStateRequest',
+  WALLET: 'wallet',
+  TOAST: 'toast',
+  SOCIAL_ACTIVITY: 'socialActivity'
+};
+
+const createTabId = () =>
+  `${Date.now().toString(36).padStart(9, '0')}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Create a leader election between the tabs of this origin
+ * @param {Object} [options] - Election options
+ * @param {string} [options.channelName] - BroadcastChannel name shared by the tabs
+ * @param {Function} [options.BroadcastChannelImpl] - BroadcastChannel constructor; without one
+ *   this tab always leads
+ * @param {number} [options.heartbeatMs] - How often the leader announces itself
+ * @param {number} [options.leaseMs] - How long followers wait for a heartbeat before electing
+ * @param {number} [options.electionMs] - How long a candidate waits for a better claim
+ * @param {Object} [options.documentImpl] - Document whose visibility decides who may lead
+ * @returns {Object} { start, stop, isLeader, getTabId, whenElected, onLeadershipChange, publish, subscribe }
+ */
+export const createTabLeader = ({
+  channelName = 'ethshot-tabs',
+  BroadcastChannelImpl = globalThis.BroadcastChannel,
+  heartbeatMs = 1000,
+  leaseMs = 3000,
+  electionMs = 250,
+  documentImpl = globalThis.document
+} = {}) => {
+  const tabId = createTabId();
+  const topicHandlers = new Map();
+  const leadershipHandlers = new Set();
+
+  let channel = null;
+  let started = false;
+  let leading = false;
+  let electing = false;
+  let leaderId = null;
+  let leaderSeenAt = 0;
+  let heartbeatTimer = null;
+  let leaseTimer = null;
+  let electionTimer = null;
+  let electedWaiters = [];
+  let pageListeners = false;
+  let restartOnShow = false;
+
+  const isHidden = () => Boolean(documentImpl?.hidden);
+
+  // Lower ranks lead: visible tabs first, then the oldest tab
+  const rank = (id, hidden) => `${hidden ? 1 : 0}${id}`;
+  const outranksThisTab = ({ from, hidden }) => rank(from, hidden) < rank(tabId, isHidden());
+
+  const post = (message) => {
+    try {
+      channel?.postMessage({ ...message, from: tabId, hidden: isHidden() });
+    } catch (error) {
+      // Values that cannot be cloned (functions, class instances) never leave the tab
+      console.warn('Failed to post tab message:', error.message);
+    }
+  };
+
+  const resolveElected = () => {
+    electedWaiters.forEach((resolve) => resolve());
+    electedWaiters = [];
+  };
+
+  const setLeading = (next) => {
+    if (leading === next) return;
+    leading = next;
+    leadershipHandlers.forEach((handler) => {
+      try {
+        handler(next);
+      } catch (error) {
+        console.error('Tab leadership handler failed:', error);
+      }
+    });
+  };
+
+  const followLeader = (id) => {
+    clearTimeout(electionTimer);
+    electionTimer = null;
+    electing = false;
+    leaderId = id;
+    leaderSeenAt = Date.now();
+    resolveElected();
+  };
+
+  const becomeLeader = () => {
+    electing = false;
+    electionTimer = null;
+    leaderId = tabId;
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = setInterval(() => post({ kind: 'heartbeat' }), heartbeatMs);
+    post({ kind: 'heartbeat' });
+    resolveElected();
+    setLeading(true);
+  };
+
+  const stepDown = (newLeaderId) => {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+    followLeader(newLeaderId);
+    setLeading(false);
+  };
+
+  const elect = () => {
+    if (leading || electing) return;
+    electing = true;
+    leaderId = null;
+    post({ kind: 'claim' });
+    electionTimer = setTimeout(becomeLeader, electionMs);
+  };
+
+  const handleMessage = (message) => {
+    if (!message || message.from === tabId) return;
+    const { kind, from, hidden } = message;
+
+    switch (kind) {
+      case 'hello':
+        if (leading) post({ kind: 'heartbeat' });
+        break;
+
+      case 'claim':
+        if (leading) {
+          // A hidden leader gives way to a visible candidate, whose heartbeat follows once its election ends
+          if (outranksThisTab(message)) stepDown(from);
+          else post({ kind: 'heartbeat' });
+        } else if (electing) {
+          if (outranksThisTab(message)) {
+            // The better-ranked tab wins; its heartbeat follows once its own election ends
+            followLeader(from);
+          } else {
+            post({ kind: 'claim' });
+          }
+        }
+        break;
+
+      case 'heartbeat':
+        if (leading) {
+          // Two leaders after a partition or a slow tab; the better-ranked one keeps leading
+          if (outranksThisTab(message)) stepDown(from);
+          else post({ kind: 'heartbeat' });
+        } else if (hidden && !isHidden()) {
+          // The leader was hidden, so this visible tab takes over its chain reads
+          elect();
+        } else {
+          followLeader(from);
+        }
+        break;
+
+      case 'resign':
+        if (from === leaderId && !leading) {
+          leaderId = null;
+          elect();
+        }
+        break;
+
+      case 'message':
+        topicHandlers.get(message.topic)?.forEach((handler) => {
+          try {
+            handler(message.payload, from);
+          } catch (error) {
+            console.error(`Tab message handler for "${message.topic}" failed:`, error);
+          }
+        });
+        break;
+    }
+  };
+
+  // Tell the other tabs when this tab is hidden or shown; a hidden leader's heartbeat
+  // makes visible followers take over, and a shown follower hears from a hidden leader
+  const handleVisibilityChange = () => {
+    if (!channel) return;
+    post({ kind: leading ? 'heartbeat' : 'hello' });
+  };
+
+  const checkLease = () => {
+    if (!leading && !electing && Date.now() - leaderSeenAt > leaseMs) {
+      elect();
+    }
+  };
+
+  /**
+   * Join the election; a tab that hears no leader within electionMs claims leadership
+   */
+  const start = () => {
+    if (started) return;
+    started = true;
+
+    if (!BroadcastChannelImpl) {
+      // Nothing to coordinate with
+      becomeLeader();
+      return;
+    }
+
+    channel = new BroadcastChannelImpl(channelName);
+    channel.onmessage = (event) => handleMessage(event.data);
+    leaderSeenAt = Date.now();
+    leaseTimer = setInterval(checkLease, heartbeatMs);
+    documentImpl?.addEventListener?.('visibilitychange', handleVisibilityChange);
+    post({ kind: 'hello' });
+    electionTimer = setTimeout(() => {
+      if (!leaderId) elect();
+    }, electionMs);
+
+    if (typeof window !== 'undefined' && !pageListeners) {
+      pageListeners = true;
+      // Closing tabs hand over at once; tabs restored from the back/forward cache rejoin
+      window.addEventListener('pagehide', () => {
+        if (!started) return;
+        stop();
+        restartOnShow = true;
+      });
+      window.addEventListener('pageshow', (event) => {
+        if (!event.persisted || !restartOnShow) return;
+        restartOnShow = false;
+        start();
+      });
+    }
+  };
+
+  /**
+   * Leave the election, handing leadership to another tab at once
+   */
+  const stop = () => {
+    if (!started) return;
+    started = false;
+
+    if (leading) post({ kind: 'resign' });
+    clearInterval(heartbeatTimer);
+    clearInterval(leaseTimer);
+    clearTimeout(electionTimer);
+    heartbeatTimer = null;
+    leaseTimer = null;
+    electionTimer = null;
+    electing = false;
+    leaderId = null;
+
+    documentImpl?.removeEventListener?.('visibilitychange', handleVisibilityChange);
+    channel?.close();
+    channel = null;
+    setLeading(false);
+  };
+
+  return {
+    start,
+    stop,
+    isLeader: () => leading,
+    getTabId: () => tabId,
+
+    /**
+     * Resolve once this tab knows who leads (itself or another tab)
+     * @returns {Promise<void>}
+     */
+    whenElected: () => (leaderId ? Promise.resolve() : new Promise((resolve) => electedWaiters.push(resolve))),
+
+    /**
+     * Call handler(isLeader) whenever this tab gains or loses leadership
+     * @param {Function} handler - Leadership handler
+     * @returns {Function} Unsubscribe
+     */
+    onLeadershipChange: (handler) => {
+      leadershipHandlers.add(handler);
+      return () => leadershipHandlers.delete(handler);
+    },
+
+    /**
+     * Send a payload to every other tab (structured-cloneable values only)
+     * @param {string} topic - One of TAB_TOPICS
+     * @param {*} payload - Message payload
+     */
+    publish: (topic, payload) => post({ kind: 'message', topic, payload }),
+
+    /**
+     * Receive payloads other tabs publish on a topic
+     * @param {string} topic - One of TAB_TOPICS
+     * @param {Function} handler - Called with (payload, fromTabId)
+     * @returns {Function} Unsubscribe
+     */
+    subscribe: (topic, handler) => {
+      if (!topicHandlers.has(topic)) topicHandlers.set(topic, new Set());
+      topicHandlers.get(topic).add(handler);
+      return () => topicHandlers.get(topic).delete(handler);
+    }
+  };
+};
+
+// Shared by every store in this tab; the game store starts it in the browser
+export const tabLeader = createTabLeader();
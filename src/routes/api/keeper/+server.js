@@ -0,0 +1,94 @@
+/**
+ * Keeper Escrow API Endpoint
+ *
+ * Stores a player's reveal request, encrypted to the auto-reveal keeper, so the keeper can
+ * reveal the shot if the player abandons it. Requires the player's ES256 JWT, and the commit
+ * transaction must have committed a shot for that player.
+ */
+
+import { json } from '@sveltejs/kit';
+import { ethers } from 'ethers';
+import { SERVER_CONFIG } from '../../../lib/config-server.js';
+import { verifyJWTSecure } from '../../../lib/server/jwt-auth-secure.js';
+import { getSupabaseServerClient, isSupabaseServerAvailable } from '../../../lib/database/server-client.js';
+import { validateEscrowRequest, toEscrowRow, verifyEscrowCommit } from '../../../lib/server/keeper.js';
+
+/**
+ * POST /api/keeper
+ * Body: { playerAddress, commitTxHash, commitBlock, envelope: { ephemeralPublicKey, iv, ciphertext } }
+ */
+export async function POST({ request }) {
+  try {
+    if (!SERVER_CONFIG.KEEPER_API_KEY || !SERVER_CONFIG.CONTRACT_ADDRESS || !SERVER_CONFIG.RPC_URL) {
+      return json({
+        success: false,
+        error: 'Auto-reveal keeper is not enabled'
+      }, { status: 503 });
+    }
+
+    const authHeader = request.headers.get('authorization');
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return json({ success: false, error: 'Authorization header required' }, { status: 401 });
+    }
+
+    let walletAddress;
+    try {
+      const payload = verifyJWTSecure(authHeader.substring(7));
+      walletAddress = payload.walletAddress || payload.wallet_address || payload.sub;
+    } catch (jwtError) {
+      console.error('❌ JWT verification failed:', jwtError);
+      return json({ success: false, error: 'Invalid or expired token' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const validation = validateEscrowRequest(body);
+    if (!validation.isValid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    if (!walletAddress || walletAddress.toLowerCase() !== body.playerAddress.toLowerCase()) {
+      return json({ success: false, error: 'Wallet address mismatch' }, { status: 403 });
+    }
+
+    const commit = await verifyEscrowCommit({
+      provider: new ethers.JsonRpcProvider(SERVER_CONFIG.RPC_URL),
+      contractAddress: SERVER_CONFIG.CONTRACT_ADDRESS,
+      body
+    });
+    if (!commit.isValid) {
+      return json({ success: false, error: commit.error }, { status: 400 });
+    }
+
+    if (!isSupabaseServerAvailable()) {
+      console.error('❌ Server-side Supabase not configured');
+      return json({
+        success: false,
+        error: 'Server configuration error. Please check environment variables.'
+      }, { status: 500 });
+    }
+
+    const supabase = getSupabaseServerClient();
+    const { error } = await supabase
+      .from('keeper_escrows')
+      .insert(toEscrowRow(body, SERVER_CONFIG.CONTRACT_ADDRESS));
+
+    // Escrows are write-once so one player cannot replace another's
+    if (error?.code === '23505') {
+      return json({ success: false, error: 'Escrow already exists for this shot' }, { status: 409 });
+    }
+    if (error) {
+      console.error('❌ Failed to store keeper escrow:', error);
+      return json({ success: false, error: 'Failed to store escrow' }, { status: 500 });
+    }
+
+    console.log('🤖 Keeper escrow stored:', { playerAddress: body.playerAddress, commitTxHash: body.commitTxHash });
+
+    return json({ success: true });
+  } catch (error) {
+    console.error('❌ Keeper API error:', error);
+    return json({
+      success: false,
+      error: error.message || 'Internal server error'
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Player Stats Reconciliation Endpoint
+ *
+ * Compares on-chain playerStats with the players table and reports discrepancies.
+ * Dry run by default; send { repair: true } to overwrite mismatching rows with the
+ * on-chain stats. Requires the ADMIN_API_KEY bearer token.
+ */
+
+import { json } from '@sveltejs/kit';
+import { timingSafeEqual } from 'crypto';
+import { ethers } from 'ethers';
+import { SERVER_CONFIG } from '../../../lib/config-server.js';
+import { getSupabaseServerClient, isSupabaseServerAvailable } from '../../../lib/database/server-client.js';
+import {
+  formatReconciliationReport,
+  getReconciliationContract,
+  reconcilePlayerStats
+} from '../../../lib/server/reconciliation.js';
+
+/**
+ * Check the admin bearer token against ADMIN_API_KEY in constant time
+ */
+function isAdminRequest(request) {
+  const authHeader = request.headers.get('authorization') || '';
+  if (!SERVER_CONFIG.ADMIN_API_KEY || !authHeader.startsWith('Bearer ')) {
+    return false;
+  }
+
+  const provided = Buffer.from(authHeader.substring(7));
+  const expected = Buffer.from(SERVER_CONFIG.ADMIN_API_KEY);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+/**
+ * POST /api/reconcile-player-stats
+ * Body (optional): { repair: boolean }
+ */
+export async function POST({ request }) {
+  try {
+    if (!isAdminRequest(request)) {
+      return json({ success: false, error: 'Admin authorization required' }, { status: 401 });
+    }
+
+    if (!isSupabaseServerAvailable() || !SERVER_CONFIG.RPC_URL || !SERVER_CONFIG.CONTRACT_ADDRESS) {
+      return json({
+        success: false,
+        error: 'Server configuration error. Please check environment variables.'
+      }, { status: 500 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const provider = new ethers.JsonRpcProvider(SERVER_CONFIG.RPC_URL);
+
+    const report = await reconcilePlayerStats({
+      contract: getReconciliationContract(SERVER_CONFIG.CONTRACT_ADDRESS, provider),
+      supabase: getSupabaseServerClient(),
+      contractAddress: SERVER_CONFIG.CONTRACT_ADDRESS,
+      repair: body?.repair === true
+    });
+
+    return json({
+      success: true,
+      report,
+      summary: formatReconciliationReport(report)
+    });
+  } catch (error) {
+    console.error('Error in reconcile-player-stats API:', error);
+    return json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Relay API Endpoint
+ *
+ * Submits EIP-712 signed commit/reveal requests on behalf of players so that new
+ * players can take a shot without holding ETH for gas. The shot itself is paid from
+ * the player's on-chain shot deposit. ES256 JWT required; rate limited per wallet and IP.
+ */
+
+import { json } from '@sveltejs/kit';
+import { ethers } from 'ethers';
+import { SERVER_CONFIG } from '../../../lib/config-server.js';
+import { getAuthenticatedWallet } from '../../../lib/server/jwt-auth-secure.js';
+import { consumeRateLimits, createRateLimiter } from '../../../lib/server/rate-limit.js';
+import { getRelayerContract, submitRelayRequest, verifyRelayRequest } from '../../../lib/server/relayer.js';
+import { findRevertData } from '../../../lib/crypto/revert-decoder.js';
+
+// Server-side relayer state
+let provider = null;
+let relayerSigner = null;
+
+// Every relayed transaction costs the relayer gas
+const walletLimiter = createRateLimiter({ limit: 10, windowMs: 60 * 60 * 1000 });
+const ipLimiter = createRateLimiter({ limit: 30, windowMs: 60 * 60 * 1000 });
+
+const getProvider = () => {
+  if (!provider) {
+    provider = new ethers.JsonRpcProvider(SERVER_CONFIG.RPC_URL);
+  }
+  return provider;
+};
+
+const getRelayerSigner = () => {
+  if (!relayerSigner) {
+    // NonceManager keeps concurrent relays from reusing the relayer's nonce
+    relayerSigner = new ethers.NonceManager(new ethers.Wallet(SERVER_CONFIG.RELAYER_PRIVATE_KEY, getProvider()));
+  }
+  return relayerSigner;
+};
+
+/**
+ * POST /api/relay
+ * Body: { type: 'commit' | 'reveal', request: { player, commitment | secret, nonce, deadline }, signature }
+ */
+export async function POST({ request, getClientAddress }) {
+  try {
+    if (!SERVER_CONFIG.RELAYER_PRIVATE_KEY || !SERVER_CONFIG.RPC_URL || !SERVER_CONFIG.CONTRACT_ADDRESS) {
+      return json({
+        success: false,
+        error: 'Relayer is not configured'
+      }, { status: 503 });
+    }
+
+    const walletAddress = getAuthenticatedWallet(request);
+    if (!walletAddress) {
+      return json({ success: false, error: 'Invalid or missing authentication token' }, { status: 401 });
+    }
+
+    const { type, request: relayRequest, signature } = await request.json();
+    if (relayRequest?.player?.toLowerCase() !== walletAddress.toLowerCase()) {
+      return json({
+        success: false,
+        error: 'Relay requests can only be submitted for your own wallet'
+      }, { status: 403 });
+    }
+
+    const rateLimit = consumeRateLimits([
+      [walletLimiter, walletAddress.toLowerCase()],
+      [ipLimiter, getClientAddress()]
+    ]);
+    if (!rateLimit.allowed) {
+      return json({
+        success: false,
+        error: 'Too many relay requests. Please try again later.'
+      }, { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfterSeconds) } });
+    }
+
+    if (!signature) {
+      return json({
+        success: false,
+        error: 'Signature is required'
+      }, { status: 400 });
+    }
+
+    const contract = getRelayerContract(SERVER_CONFIG.CONTRACT_ADDRESS, getRelayerSigner());
+
+    const validation = await verifyRelayRequest({
+      contract,
+      provider: getProvider(),
+      type,
+      request: relayRequest,
+      signature,
+      maxSponsoredShots: SERVER_CONFIG.RELAYER_MAX_SPONSORED_SHOTS
+    });
+
+    if (!validation.isValid) {
+      return json({
+        success: false,
+        error: validation.error
+      }, { status: 400 });
+    }
+
+    const tx = await submitRelayRequest({ contract, type, message: validation.message, signature });
+    console.log(`✅ Relayed ${type} for ${validation.message.player}: ${tx.hash}`);
+
+    return json({
+      success: true,
+      txHash: tx.hash
+    });
+
+  } catch (error) {
+    console.error('❌ Relay API error:', error);
+    return json({
+      success: false,
+      error: error.shortMessage || error.message || 'Internal server error',
+      // Lets the client decode EthShot custom errors (see decodeContractRevert)
+      revertData: findRevertData(error) || undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Rounds API Endpoint
+ *
+ * Returns jackpot round history (duration, shot count, payout) for the configured contract.
+ * Rounds are mirrored from the chain into the `rounds` table before being served.
+ */
+
+import { json } from '@sveltejs/kit';
+import { ethers } from 'ethers';
+import { SERVER_CONFIG } from '../../../lib/config-server.js';
+import { getSupabaseServerClient, isSupabaseServerAvailable } from '../../../lib/database/server-client.js';
+import { syncRounds, toApiRound } from '../../../lib/server/rounds.js';
+
+// Sync throttling configuration
+const SYNC_INTERVAL = 30 * 1000; // 30 seconds in milliseconds
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Server-side sync state
+let lastSyncTimestamp = null;
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    provider = new ethers.JsonRpcProvider(SERVER_CONFIG.RPC_URL);
+  }
+  return provider;
+};
+
+/**
+ * GET /api/rounds?limit=50&offset=0
+ * Returns rounds newest first, including the open round
+ */
+export async function GET({ url }) {
+  try {
+    if (!isSupabaseServerAvailable()) {
+      console.error('❌ Server-side Supabase not configured');
+      return json({
+        success: false,
+        error: 'Server configuration error. Please check environment variables.'
+      }, { status: 500 });
+    }
+
+    const contractAddress = SERVER_CONFIG.CONTRACT_ADDRESS;
+    if (!contractAddress) {
+      return json({
+        success: false,
+        error: 'Contract address not configured'
+      }, { status: 500 });
+    }
+
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(url.searchParams.get('offset') || '0', 10) || 0, 0);
+
+    const supabase = getSupabaseServerClient();
+
+    // Pull new rounds from the chain, at most once per interval
+    let currentRound = null;
+    if (SERVER_CONFIG.RPC_URL && (!lastSyncTimestamp || Date.now() - lastSyncTimestamp >= SYNC_INTERVAL)) {
+      try {
+        const result = await syncRounds({ supabase, provider: getProvider(), contractAddress });
+        currentRound = result.currentRound;
+        lastSyncTimestamp = Date.now();
+        if (result.synced > 0) {
+          console.log(`✅ Synced ${result.synced} round(s) from chain, current round ${currentRound}`);
+        }
+      } catch (syncError) {
+        // Serve what we already have rather than failing the request
+        console.error('⚠️ Round sync failed, serving stored rounds:', syncError.message);
+      }
+    }
+
+    const { data, error, count } = await supabase
+      .from('rounds')
+      .select('*', { count: 'exact' })
+      .eq('contract_address', contractAddress.toLowerCase())
+      .order('round_id', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('❌ Failed to load rounds:', error);
+      return json({
+        success: false,
+        error: 'Failed to load rounds',
+        message: error.message
+      }, { status: 500 });
+    }
+
+    const rounds = (data || []).map((row) => toApiRound(row));
+
+    return json({
+      success: true,
+      rounds,
+      total: count ?? rounds.length,
+      currentRound: currentRound ?? rounds.find((round) => round.isOpen)?.roundId ?? null
+    });
+
+  } catch (error) {
+    console.error('❌ Rounds API error:', error);
+    return json({
+      success: false,
+      error: error.message || 'Internal server error'
+    }, { status: 500 });
+  }
+}
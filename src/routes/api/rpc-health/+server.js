@@ -0,0 +1,108 @@
+/**
+ * RPC Health API Endpoint
+ *
+ * Lists the RPC providers admins disabled (public, loaded by every browser's provider manager),
+ * and serves the admin RPC health dashboard: per-provider time series, disabling a provider
+ * and resetting its health (ES256 JWT of a wallet whose profile has is_admin set).
+ */
+
+import { json } from '@sveltejs/kit';
+import { getAuthenticatedWallet } from '../../../lib/server/jwt-auth-secure.js';
+import { getSupabaseServerClient, isSupabaseServerAvailable } from '../../../lib/database/server-client.js';
+import {
+  getDisabledRpcProviders,
+  isAdminWallet,
+  loadRpcHealthDashboard,
+  resetRpcProviderHealth,
+  setRpcProviderActive
+} from '../../../lib/server/rpc-health.js';
+
+const configurationError = () => json({
+  success: false,
+  error: 'Server configuration error. Please check environment variables.'
+}, { status: 500 });
+
+/**
+ * GET /api/rpc-health
+ * Names of disabled providers
+ */
+export async function GET() {
+  try {
+    if (!isSupabaseServerAvailable()) {
+      return configurationError();
+    }
+
+    const disabledProviders = await getDisabledRpcProviders(getSupabaseServerClient());
+    return json({ success: true, disabledProviders });
+  } catch (error) {
+    console.error('❌ RPC health API error:', error);
+    return json({
+      success: false,
+      error: error.message || 'Internal server error'
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/rpc-health
+ * Body: { action: 'load_dashboard', hours } |
+ *       { action: 'set_provider_active', providerName, isActive } |
+ *       { action: 'reset_provider_health', providerName }
+ */
+export async function POST({ request }) {
+  try {
+    if (!isSupabaseServerAvailable()) {
+      console.error('❌ Server-side Supabase not configured');
+      return configurationError();
+    }
+
+    const walletAddress = getAuthenticatedWallet(request);
+    if (!walletAddress) {
+      return json({ success: false, error: 'Invalid or missing authentication token' }, { status: 401 });
+    }
+
+    const supabase = getSupabaseServerClient();
+    if (!await isAdminWallet(supabase, walletAddress)) {
+      return json({ success: false, error: 'Admin access required' }, { status: 403 });
+    }
+
+    const { action, hours, providerName, isActive } = await request.json();
+
+    let result;
+    switch (action) {
+      case 'load_dashboard':
+        result = await loadRpcHealthDashboard({ supabase, hours: Number(hours) });
+        break;
+
+      case 'set_provider_active':
+        result = await setRpcProviderActive({ supabase, providerName, isActive });
+        break;
+
+      case 'reset_provider_health':
+        result = await resetRpcProviderHealth({ supabase, providerName });
+        break;
+
+      default:
+        return json({
+          success: false,
+          error: 'Invalid action. Must be "load_dashboard", "set_provider_active" or "reset_provider_health"'
+        }, { status: 400 });
+    }
+
+    if (!result.success) {
+      return json({ success: false, error: result.error }, { status: result.status });
+    }
+
+    if (action !== 'load_dashboard') {
+      console.log('🛠️ RPC provider updated by admin:', { walletAddress, action, providerName, isActive });
+    }
+
+    return json(result);
+  } catch (error) {
+    console.error('❌ RPC health API error:', error);
+    return json({
+      success: false,
+      error: error.message || 'Internal server error'
+    }, { status: 500 });
+  }
+}
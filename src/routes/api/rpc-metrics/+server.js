@@ -0,0 +1,81 @@
+/**
+ * RPC Metrics API Endpoint
+ *
+ * Stores the per-provider request metrics, health checks and rate limit events browsers report
+ * from RPCProviderManager in rpc_request_metrics, rpc_provider_health and rpc_rate_limit_events.
+ * Those tables are service role only, so clients write through here. ES256 JWT required and
+ * rate limited per wallet and IP; entries for providers rpc_providers does not list are dropped,
+ * and health checks only change a provider's health once enough clients agree.
+ */
+
+import { json } from '@sveltejs/kit';
+import { getSupabaseServerClient, isSupabaseServerAvailable } from '../../../lib/database/server-client.js';
+import { getAuthenticatedWallet } from '../../../lib/server/jwt-auth-secure.js';
+import { consumeRateLimits, createRateLimiter } from '../../../lib/server/rate-limit.js';
+import { createRpcMetricsWriter, validateRpcMetrics } from '../../../lib/server/rpc-metrics.js';
+
+// Server-side writer (caches the provider name to ID map and tallies health reports)
+let metricsWriter = null;
+
+// Browsers flush every 30 seconds; this leaves room for a few tabs and the unload flush
+const walletLimiter = createRateLimiter({ limit: 20, windowMs: 5 * 60 * 1000 });
+const ipLimiter = createRateLimiter({ limit: 60, windowMs: 5 * 60 * 1000 });
+
+const getMetricsWriter = () => {
+  if (!metricsWriter) {
+    metricsWriter = createRpcMetricsWriter({ supabase: getSupabaseServerClient() });
+  }
+  return metricsWriter;
+};
+
+/**
+ * POST /api/rpc-metrics
+ * Body: { requests: [{ provider, method, success, responseTimeMs, errorType, errorMessage, cached }],
+ *         health: [{ provider, isHealthy, responseTimeMs, errorMessage }],
+ *         rateLimitEvents: [{ provider, eventType, method, delayMs, attempt }] }
+ */
+export async function POST({ request, getClientAddress }) {
+  try {
+    if (!isSupabaseServerAvailable()) {
+      console.error('❌ Server-side Supabase not configured');
+      return json({
+        success: false,
+        error: 'Server configuration error. Please check environment variables.'
+      }, { status: 500 });
+    }
+
+    const walletAddress = getAuthenticatedWallet(request);
+    if (!walletAddress) {
+      return json({ success: false, error: 'Invalid or missing authentication token' }, { status: 401 });
+    }
+
+    const clientAddress = getClientAddress();
+    const rateLimit = consumeRateLimits([
+      [walletLimiter, walletAddress.toLowerCase()],
+      [ipLimiter, clientAddress]
+    ]);
+    if (!rateLimit.allowed) {
+      return json({
+        success: false,
+        error: 'Too many metrics reports. Please try again later.'
+      }, { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfterSeconds) } });
+    }
+
+    const validation = validateRpcMetrics(await request.json());
+    if (!validation.isValid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    // Health votes are counted per IP, which is harder to multiply than wallets
+    const { written, skipped } = await getMetricsWriter().writeRpcMetrics(validation.batch, {
+      reporter: clientAddress
+    });
+    return json({ success: true, written, skipped });
+  } catch (error) {
+    console.error('❌ RPC metrics API error:', error);
+    return json({
+      success: false,
+      error: error.message || 'Internal server error'
+    }, { status: 500 });
+  }
+}
@@ -1,12 +1,39 @@
 /**
  * Shots API Endpoint
  *
- * Handles shot recording and winner recording with ES256 JWT authentication
+ * Handles shot, reveal and winner recording with ES256 JWT authentication, and reveals
+ * submitted by the auto-reveal keeper (authenticated with KEEPER_API_KEY). A shot is
+ * recorded from its commit transaction and its reveal then sets the outcome.
+ * Shots and winners are checked against the transaction receipt before they are recorded,
+ * and only this endpoint writes them (players cannot insert into shots or winners).
  */
 
 import { json } from '@sveltejs/kit';
+import { timingSafeEqual } from 'crypto';
+import { ethers } from 'ethers';
+import { SERVER_CONFIG } from '../../../lib/config-server.js';
+import { verifyKeeperReveal } from '../../../lib/server/keeper.js';
+import { verifyShotRecord, verifyWinnerRecord } from '../../../lib/server/shot-verification.js';
+import { RPCProviderManager } from '../../../lib/crypto/rpc-provider-manager.js';
 import { verifyJWTSecure } from '../../../lib/server/jwt-auth-secure.js';
-import { getSupabaseJWTClient, isSupabaseServerAvailable } from '../../../lib/database/server-client.js';
+import { getSupabaseServerClient, isSupabaseServerAvailable } from '../../../lib/database/server-client.js';
+
+let providerManager = null;
+
+/**
+ * Provider manager used to read receipts when verifying records
+ */
+function getProviderManager() {
+  if (!providerManager) {
+    providerManager = new RPCProviderManager();
+    providerManager.addProvider(new ethers.JsonRpcProvider(SERVER_CONFIG.RPC_URL), {
+      name: 'Server-RPC',
+      priority: 10,
+      rpcUrl: SERVER_CONFIG.RPC_URL
+    });
+  }
+  return providerManager;
+}
 
 /** @type {import('./$types').RequestHandler} */
 export async function POST({ request }) {
@@ -17,13 +44,19 @@ export async function POST({ request }) {
       case 'record_shot':
         return await handleRecordShot(request, data);
       
+      case 'record_reveal':
+        return await handleRecordReveal(request, data);
+      
       case 'record_winner':
         return await handleRecordWinner(request, data);
       
+      case 'record_keeper_reveal':
+        return await handleRecordKeeperReveal(request, data);
+      
       default:
         return json({
           success: false,
-          error: 'Invalid action. Supported actions: record_shot, record_winner'
+          error: 'Invalid action. Supported actions: record_shot, record_reveal, record_winner, record_keeper_reveal'
         }, { status: 400 });
     }
   } catch (error) {
@@ -36,52 +69,61 @@ export async function POST({ request }) {
 }
 
 /**
- * Handle shot recording with JWT authentication
+ * Validate the JWT and check it belongs to the wallet the record is for
+ * @returns {{success: boolean, status?: number, error?: string}}
  */
-async function handleRecordShot(request, shotData) {
+function authenticateWallet(request, recordAddress) {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { success: false, status: 401, error: 'Authorization header required' };
+  }
+
+  const token = authHeader.substring(7);
+  let walletAddress;
+
   try {
-    // Validate and extract wallet address from JWT
-    const authHeader = request.headers.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return json(
-        { success: false, error: 'Authorization header required' },
-        { status: 401 }
-      );
-    }
+    const payload = verifyJWTSecure(token);
+    walletAddress = payload.walletAddress || payload.wallet_address || payload.sub;
 
-    const token = authHeader.substring(7);
-    let walletAddress;
-    
-    try {
-      const payload = verifyJWTSecure(token);
-      walletAddress = payload.walletAddress || payload.wallet_address || payload.sub;
-      
-      if (!walletAddress) {
-        console.error('❌ JWT payload missing wallet address:', payload);
-        return json(
-          { success: false, error: 'Invalid token: no wallet address' },
-          { status: 401 }
-        );
-      }
-    } catch (jwtError) {
-      console.error('❌ JWT verification failed:', jwtError);
-      return json(
-        { success: false, error: 'Invalid or expired token' },
-        { status: 401 }
-      );
+    if (!walletAddress) {
+      console.error('❌ JWT payload missing wallet address:', payload);
+      return { success: false, status: 401, error: 'Invalid token: no wallet address' };
     }
+  } catch (jwtError) {
+    console.error('❌ JWT verification failed:', jwtError);
+    return { success: false, status: 401, error: 'Invalid or expired token' };
+  }
 
-    // Verify the wallet address matches the shot data
-    if (walletAddress.toLowerCase() !== shotData.playerAddress.toLowerCase()) {
-      return json(
-        { success: false, error: 'Wallet address mismatch' },
-        { status: 403 }
-      );
+  // Verify the wallet address matches the record
+  if (walletAddress.toLowerCase() !== recordAddress?.toLowerCase()) {
+    return { success: false, status: 403, error: 'Wallet address mismatch' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Check that Supabase and the RPC needed to verify records are configured
+ */
+function isRecordingConfigured() {
+  if (!isSupabaseServerAvailable() || !SERVER_CONFIG.RPC_URL || !SERVER_CONFIG.CONTRACT_ADDRESS) {
+    console.error('❌ Shot recording not configured');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Handle shot recording with JWT authentication
+ */
+async function handleRecordShot(request, shotData) {
+  try {
+    const auth = authenticateWallet(request, shotData.playerAddress);
+    if (!auth.success) {
+      return json({ success: false, error: auth.error }, { status: auth.status });
     }
 
-    // Check if server-side Supabase is available
-    if (!isSupabaseServerAvailable()) {
-      console.error('❌ Server-side Supabase not configured');
+    if (!isRecordingConfigured()) {
       return json(
         {
           success: false,
@@ -91,27 +133,46 @@ async function handleRecordShot(request, shotData) {
       );
     }
 
+    // Only the player's commit transaction is accepted, and it decides the amount and pot
+    const verification = await verifyShotRecord({
+      rpc: getProviderManager(),
+      contractAddress: SERVER_CONFIG.CONTRACT_ADDRESS,
+      shotData,
+      tokens: SERVER_CONFIG.TOKENS
+    });
+    if (!verification.isValid) {
+      console.warn('⚠️ Rejected shot record:', verification.error, shotData.txHash);
+      return json({ success: false, error: verification.error }, { status: 400 });
+    }
+
     console.log('🎯 Recording shot via secure API:', {
       playerAddress: shotData.playerAddress,
-      amount: shotData.amount,
-      won: shotData.won,
+      amount: verification.amount,
+      cryptoType: verification.cryptoType,
       txHash: shotData.txHash
     });
 
-    // Use Supabase client with JWT authentication
-    const supabase = getSupabaseJWTClient(token);
-    
-    const { data, error } = await supabase.rpc('record_shot_secure', {
-      p_player_address: shotData.playerAddress.toLowerCase(),
-      p_amount: shotData.amount,
-      p_won: shotData.won,
-      p_tx_hash: shotData.txHash,
-      p_block_number: shotData.blockNumber,
-      p_timestamp: shotData.timestamp || new Date().toISOString(),
-      p_crypto_type: shotData.cryptoType || 'ETH',
-      p_contract_address: shotData.contractAddress
-    });
+    // Written with the service role now that the chain has vouched for it
+    const supabase = getSupabaseServerClient();
+
+    const { data, error } = await supabase
+      .from('shots')
+      .insert({
+        player_address: shotData.playerAddress.toLowerCase(),
+        amount: verification.amount,
+        won: false,
+        tx_hash: shotData.txHash,
+        block_number: verification.blockNumber,
+        timestamp: shotData.timestamp || new Date().toISOString(),
+        crypto_type: verification.cryptoType,
+        contract_address: shotData.contractAddress
+      })
+      .select()
+      .single();
 
+    if (error?.code === '23505') {
+      return json({ success: false, error: 'Shot already recorded' }, { status: 409 });
+    }
     if (error) {
       console.error('❌ Supabase shot recording error:', error);
       return json(
@@ -156,31 +217,147 @@ async function handleRecordShot(request, shotData) {
 }
 
 /**
- * Handle winner recording
+ * Set the outcome of a recorded shot from its verified reveal
+ * @returns {Promise<{error: Object|null}>} Supabase result
+ */
+function recordRevealOutcome(supabase, { commitTxHash, revealTxHash }, verification) {
+  return supabase.rpc('update_shot_on_reveal', {
+    p_tx_hash: commitTxHash,
+    p_won: verification.won,
+    p_reveal_tx_hash: revealTxHash,
+    p_reveal_block_number: verification.blockNumber
+  });
+}
+
+/**
+ * Handle a player's own reveal with JWT authentication. The outcome is read from the
+ * chain rather than trusted from the request.
  */
-async function handleRecordWinner(winnerData) {
+async function handleRecordReveal(request, revealData) {
   try {
+    const auth = authenticateWallet(request, revealData.playerAddress);
+    if (!auth.success) {
+      return json({ success: false, error: auth.error }, { status: auth.status });
+    }
+
+    if (!isRecordingConfigured()) {
+      return json(
+        {
+          success: false,
+          error: 'Server configuration error. Please check environment variables.'
+        },
+        { status: 500 }
+      );
+    }
+
+    const verification = await verifyKeeperReveal({
+      provider: new ethers.JsonRpcProvider(SERVER_CONFIG.RPC_URL),
+      contractAddress: SERVER_CONFIG.CONTRACT_ADDRESS,
+      commitTxHash: revealData.commitTxHash,
+      revealTxHash: revealData.revealTxHash
+    });
+    if (!verification.isValid) {
+      console.warn('⚠️ Rejected reveal record:', verification.error, revealData.revealTxHash);
+      return json({ success: false, error: verification.error }, { status: 400 });
+    }
+
+    if (verification.player.toLowerCase() !== revealData.playerAddress.toLowerCase()) {
+      return json({ success: false, error: 'Shot was committed by another player' }, { status: 403 });
+    }
+
+    const { error } = await recordRevealOutcome(getSupabaseServerClient(), revealData, verification);
+    if (error) {
+      console.error('❌ Failed to update shot with reveal:', error);
+      return json({ success: false, error: 'Failed to record reveal' }, { status: 500 });
+    }
+
+    return json({
+      success: true,
+      won: verification.won,
+      message: 'Reveal recorded successfully'
+    });
+  } catch (error) {
+    console.error('❌ Failed to record reveal:', error);
+    return json({
+      success: false,
+      error: error.message || 'Failed to record reveal'
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Handle winner recording with JWT authentication
+ */
+async function handleRecordWinner(request, winnerData) {
+  try {
+    const auth = authenticateWallet(request, winnerData.winnerAddress);
+    if (!auth.success) {
+      return json({ success: false, error: auth.error }, { status: auth.status });
+    }
+
+    if (!isRecordingConfigured()) {
+      return json(
+        {
+          success: false,
+          error: 'Server configuration error. Please check environment variables.'
+        },
+        { status: 500 }
+      );
+    }
+
+    const verification = await verifyWinnerRecord({
+      rpc: getProviderManager(),
+      contractAddress: SERVER_CONFIG.CONTRACT_ADDRESS,
+      winnerData,
+      tokens: SERVER_CONFIG.TOKENS
+    });
+    if (!verification.isValid) {
+      console.warn('⚠️ Rejected winner record:', verification.error, winnerData.txHash);
+      return json({ success: false, error: verification.error }, { status: 400 });
+    }
+
     console.log('🏆 Recording winner via API:', {
       winnerAddress: winnerData.winnerAddress,
-      amount: winnerData.amount,
+      amount: verification.amount,
       txHash: winnerData.txHash
     });
 
-    const result = await db.recordWinner({
-      winnerAddress: winnerData.winnerAddress,
-      amount: winnerData.amount,
-      txHash: winnerData.txHash,
-      blockNumber: winnerData.blockNumber,
-      timestamp: winnerData.timestamp || new Date().toISOString(),
-      cryptoType: winnerData.cryptoType || 'ETH',
-      contractAddress: winnerData.contractAddress
-    });
+    const supabase = getSupabaseServerClient();
 
-    console.log('✅ Winner recorded successfully via API:', result?.id);
+    const { data, error } = await supabase
+      .from('winners')
+      .insert({
+        winner_address: winnerData.winnerAddress.toLowerCase(),
+        amount: verification.amount,
+        tx_hash: winnerData.txHash,
+        block_number: verification.blockNumber,
+        timestamp: winnerData.timestamp || new Date().toISOString(),
+        crypto_type: verification.cryptoType,
+        contract_address: winnerData.contractAddress
+      })
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      return json({ success: false, error: 'Winner already recorded' }, { status: 409 });
+    }
+    if (error) {
+      console.error('❌ Supabase winner recording error:', error);
+      return json(
+        {
+          success: false,
+          error: 'Failed to record winner',
+          message: error.message
+        },
+        { status: 500 }
+      );
+    }
+
+    console.log('✅ Winner recorded successfully via API:', data);
 
     return json({
       success: true,
-      winner: result,
+      winner: data,
       message: 'Winner recorded successfully'
     });
 
@@ -205,4 +382,99 @@ async function handleRecordWinner(winnerData) {
       }, { status: 500 });
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Check the keeper's bearer token against KEEPER_API_KEY in constant time
+ */
+function isKeeperRequest(request) {
+  const authHeader = request.headers.get('authorization') || '';
+  if (!SERVER_CONFIG.KEEPER_API_KEY || !authHeader.startsWith('Bearer ')) {
+    return false;
+  }
+
+  const provided = Buffer.from(authHeader.substring(7));
+  const expected = Buffer.from(SERVER_CONFIG.KEEPER_API_KEY);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+/**
+ * Handle a reveal submitted by the auto-reveal keeper. The outcome is read from the
+ * chain rather than trusted from the request.
+ */
+async function handleRecordKeeperReveal(request, revealData) {
+  try {
+    if (!isKeeperRequest(request)) {
+      return json(
+        { success: false, error: 'Keeper authorization required' },
+        { status: 401 }
+      );
+    }
+
+    if (!isSupabaseServerAvailable() || !SERVER_CONFIG.RPC_URL || !SERVER_CONFIG.CONTRACT_ADDRESS) {
+      console.error('❌ Keeper reveal recording not configured');
+      return json(
+        {
+          success: false,
+          error: 'Server configuration error. Please check environment variables.'
+        },
+        { status: 500 }
+      );
+    }
+
+    const provider = new ethers.JsonRpcProvider(SERVER_CONFIG.RPC_URL);
+    const verification = await verifyKeeperReveal({
+      provider,
+      contractAddress: SERVER_CONFIG.CONTRACT_ADDRESS,
+      commitTxHash: revealData.commitTxHash,
+      revealTxHash: revealData.revealTxHash
+    });
+
+    if (!verification.isValid) {
+      return json({ success: false, error: verification.error }, { status: 400 });
+    }
+
+    console.log('🤖 Recording keeper reveal:', {
+      playerAddress: verification.player,
+      won: verification.won,
+      revealTxHash: revealData.revealTxHash
+    });
+
+    const supabase = getSupabaseServerClient();
+    const { error } = await recordRevealOutcome(supabase, revealData, verification);
+
+    if (error) {
+      console.error('❌ Failed to update shot with keeper reveal:', error);
+      return json({ success: false, error: 'Failed to record reveal' }, { status: 500 });
+    }
+
+    if (verification.won) {
+      const { error: winnerError } = await supabase
+        .from('winners')
+        .insert({
+          winner_address: verification.player.toLowerCase(),
+          amount: ethers.formatEther(verification.payout),
+          tx_hash: revealData.revealTxHash,
+          block_number: verification.blockNumber,
+          timestamp: new Date().toISOString(),
+          crypto_type: 'ETH',
+          contract_address: SERVER_CONFIG.CONTRACT_ADDRESS
+        });
+      if (winnerError) {
+        console.error('❌ Failed to record keeper-revealed winner:', winnerError);
+      }
+    }
+
+    return json({
+      success: true,
+      won: verification.won,
+      message: 'Keeper reveal recorded successfully'
+    });
+  } catch (error) {
+    console.error('❌ Failed to record keeper reveal:', error);
+    return json({
+      success: false,
+      error: error.message || 'Failed to record keeper reveal'
+    }, { status: 500 });
+  }
+}
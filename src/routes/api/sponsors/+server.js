@@ -0,0 +1,211 @@
+/**
+ * Sponsor Campaigns API Endpoint
+ *
+ * Records SponsorBanner impressions and clicks (public; once per client IP, campaign and hour,
+ * and rate limited per IP, both enforced in the database), and lets sponsors see per-campaign analytics and book future slots
+ * for campaigns they won on-chain (ES256 JWT required).
+ */
+
+import { json } from '@sveltejs/kit';
+import { ethers } from 'ethers';
+import { SERVER_CONFIG } from '../../../lib/config-server.js';
+import { getAuthenticatedWallet } from '../../../lib/server/jwt-auth-secure.js';
+import { getSupabaseServerClient, isSupabaseServerAvailable } from '../../../lib/database/server-client.js';
+import {
+  bookCampaignSlot,
+  hashClientAddress,
+  secondsUntilNextHour,
+  SPONSOR_EVENTS_PER_IP_PER_HOUR,
+  toApiCampaign,
+  validateBooking,
+  validateSponsorEvent
+} from '../../../lib/server/sponsor-campaigns.js';
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    provider = new ethers.JsonRpcProvider(SERVER_CONFIG.RPC_URL);
+  }
+  return provider;
+};
+
+/**
+ * POST /api/sponsors
+ * Body: { action: 'record_event' | 'get_campaigns' | 'book_slot', ...params }
+ */
+export async function POST({ request, getClientAddress }) {
+  try {
+    const { action, ...params } = await request.json();
+
+    if (!isSupabaseServerAvailable()) {
+      console.error('❌ Server-side Supabase not configured');
+      return json({
+        success: false,
+        error: 'Server configuration error. Please check environment variables.'
+      }, { status: 500 });
+    }
+
+    const supabase = getSupabaseServerClient();
+
+    switch (action) {
+      case 'record_event':
+        return await handleRecordEvent(supabase, params, getClientAddress());
+
+      case 'get_campaigns':
+      case 'book_slot': {
+        const walletAddress = getAuthenticatedWallet(request);
+        if (!walletAddress) {
+          return json({ success: false, error: 'Invalid or missing authentication token' }, { status: 401 });
+        }
+        if (!SERVER_CONFIG.CONTRACT_ADDRESS) {
+          return json({ success: false, error: 'Contract address not configured' }, { status: 500 });
+        }
+
+        return action === 'get_campaigns'
+          ? await handleGetCampaigns(supabase, walletAddress)
+          : await handleBookSlot(supabase, walletAddress, params);
+      }
+
+      default:
+        return json({
+          success: false,
+          error: 'Invalid action. Must be "record_event", "get_campaigns" or "book_slot"'
+        }, { status: 400 });
+    }
+  } catch (error) {
+    console.error('❌ Sponsors API error:', error);
+    return json({
+      success: false,
+      error: error.message || 'Internal server error'
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Record a banner impression or click (once per browser session and campaign, and once
+ * per client IP, campaign and hour)
+ */
+async function handleRecordEvent(supabase, params, clientAddress) {
+  const validation = validateSponsorEvent(params);
+  if (!validation.isValid) {
+    return json({ success: false, error: validation.error }, { status: 400 });
+  }
+
+  // Impressions and clicks are what sponsors pay for, so a client cannot inflate them;
+  // the counters live in the database because server instances do not share memory
+  const { data: outcome, error } = await supabase.rpc('record_sponsor_event', {
+    p_sponsor_id: params.sponsorId,
+    p_event_type: params.eventType,
+    p_session_id: params.sessionId,
+    p_ip_hash: hashClientAddress(clientAddress, SERVER_CONFIG.SUPABASE_JWT_SECRET),
+    p_max_events_per_hour: SPONSOR_EVENTS_PER_IP_PER_HOUR
+  });
+
+  // Unknown campaign
+  if (error?.code === '23503') {
+    return json({ success: false, error: 'Sponsor not found' }, { status: 404 });
+  }
+  if (error) {
+    console.error('❌ Failed to record sponsor event:', error);
+    return json({ success: false, error: 'Failed to record event' }, { status: 500 });
+  }
+
+  if (outcome === 'rate_limited') {
+    return json({
+      success: false,
+      error: 'Too many sponsor events. Please try again later.'
+    }, { status: 429, headers: { 'Retry-After': String(secondsUntilNextHour()) } });
+  }
+  if (outcome === 'duplicate') {
+    // Already counted for this client; not an error for the banner
+    return json({ success: true, duplicate: true });
+  }
+
+  return json({ success: true });
+}
+
+/**
+ * Get the sponsor's campaigns with impression totals, plus all upcoming booked slots
+ */
+async function handleGetCampaigns(supabase, walletAddress) {
+  const [{ data: campaigns, error }, { data: bookings, error: bookingsError }] = await Promise.all([
+    supabase.rpc('get_sponsor_campaign_stats', {
+      p_sponsor_address: walletAddress,
+      p_contract_address: SERVER_CONFIG.CONTRACT_ADDRESS
+    }),
+    supabase
+      .from('sponsors')
+      .select('id, name, starts_at, ends_at')
+      .ilike('contract_address', SERVER_CONFIG.CONTRACT_ADDRESS)
+      .not('starts_at', 'is', null)
+      .gt('ends_at', new Date().toISOString())
+      .order('starts_at', { ascending: true })
+  ]);
+
+  if (error || bookingsError) {
+    console.error('❌ Failed to load sponsor campaigns:', error || bookingsError);
+    return json({ success: false, error: 'Failed to load campaigns' }, { status: 500 });
+  }
+
+  return json({
+    success: true,
+    campaigns: (campaigns || []).map(toApiCampaign),
+    bookedSlots: (bookings || []).map((booking) => ({
+      id: booking.id,
+      name: booking.name,
+      startsAt: booking.starts_at,
+      endsAt: booking.ends_at
+    })),
+    slotHours: SERVER_CONFIG.SPONSOR_SLOT_HOURS,
+    maxBookingDays: SERVER_CONFIG.SPONSOR_MAX_BOOKING_DAYS
+  });
+}
+
+/**
+ * Book a future slot for one of the sponsor's campaigns
+ */
+async function handleBookSlot(supabase, walletAddress, { campaignId, startsAt }) {
+  if (!SERVER_CONFIG.RPC_URL) {
+    return json({ success: false, error: 'RPC URL not configured' }, { status: 503 });
+  }
+
+  const slot = validateBooking({
+    startsAt,
+    slotHours: SERVER_CONFIG.SPONSOR_SLOT_HOURS,
+    maxDaysAhead: SERVER_CONFIG.SPONSOR_MAX_BOOKING_DAYS
+  });
+  if (!slot.isValid) {
+    return json({ success: false, error: slot.error }, { status: 400 });
+  }
+
+  const result = await bookCampaignSlot({
+    supabase,
+    provider: getProvider(),
+    contractAddress: SERVER_CONFIG.CONTRACT_ADDRESS,
+    walletAddress,
+    campaignId,
+    startsAt: slot.startsAt,
+    endsAt: slot.endsAt
+  });
+
+  if (!result.success) {
+    return json({ success: false, error: result.error }, { status: result.status });
+  }
+
+  console.log('📅 Sponsor slot booked:', {
+    campaignId,
+    walletAddress,
+    startsAt: result.campaign.starts_at,
+    endsAt: result.campaign.ends_at
+  });
+
+  return json({
+    success: true,
+    campaign: {
+      id: result.campaign.id,
+      startsAt: result.campaign.starts_at,
+      endsAt: result.campaign.ends_at
+    }
+  });
+}
@@ -0,0 +1,109 @@
+/**
+ * Shot Vouchers API Endpoint
+ *
+ * Issues EIP-712 vouchers that redeem a player's referral discount or bonus shot on-chain
+ * (commitShotWithVoucher), and marks them used once the contract reports the redemption.
+ * ES256 JWT required.
+ */
+
+import { json } from '@sveltejs/kit';
+import { ethers } from 'ethers';
+import { SERVER_CONFIG } from '../../../lib/config-server.js';
+import { getAuthenticatedWallet } from '../../../lib/server/jwt-auth-secure.js';
+import { getSupabaseServerClient, isSupabaseServerAvailable } from '../../../lib/database/server-client.js';
+import { getVoucherContract, issueShotVoucher, syncVoucherRedemption } from '../../../lib/server/vouchers.js';
+
+// Server-side voucher state
+let provider = null;
+let voucherSigner = null;
+
+const getProvider = () => {
+  if (!provider) {
+    provider = new ethers.JsonRpcProvider(SERVER_CONFIG.RPC_URL);
+  }
+  return provider;
+};
+
+const getVoucherSigner = () => {
+  if (!voucherSigner) {
+    voucherSigner = new ethers.Wallet(SERVER_CONFIG.VOUCHER_SIGNER_PRIVATE_KEY);
+  }
+  return voucherSigner;
+};
+
+/**
+ * POST /api/vouchers
+ * Body: { action: 'issue_voucher' | 'confirm_redemption', kind: 'discount' | 'bonus', sourceId }
+ */
+export async function POST({ request }) {
+  try {
+    if (!SERVER_CONFIG.VOUCHER_SIGNER_PRIVATE_KEY || !SERVER_CONFIG.RPC_URL || !SERVER_CONFIG.CONTRACT_ADDRESS) {
+      return json({
+        success: false,
+        error: 'Vouchers are not configured'
+      }, { status: 503 });
+    }
+
+    if (!isSupabaseServerAvailable()) {
+      console.error('❌ Server-side Supabase not configured');
+      return json({
+        success: false,
+        error: 'Server configuration error. Please check environment variables.'
+      }, { status: 500 });
+    }
+
+    const walletAddress = getAuthenticatedWallet(request);
+    if (!walletAddress) {
+      return json({ success: false, error: 'Invalid or missing authentication token' }, { status: 401 });
+    }
+
+    const { action, kind, sourceId } = await request.json();
+    const params = {
+      supabase: getSupabaseServerClient(),
+      contract: getVoucherContract(SERVER_CONFIG.CONTRACT_ADDRESS, getProvider()),
+      walletAddress,
+      kind,
+      sourceId
+    };
+
+    let result;
+    switch (action) {
+      case 'issue_voucher': {
+        const { chainId } = await getProvider().getNetwork();
+        result = await issueShotVoucher({
+          ...params,
+          signer: getVoucherSigner(),
+          chainId,
+          contractAddress: SERVER_CONFIG.CONTRACT_ADDRESS
+        });
+        break;
+      }
+
+      case 'confirm_redemption':
+        result = await syncVoucherRedemption(params);
+        break;
+
+      default:
+        return json({
+          success: false,
+          error: 'Invalid action. Must be "issue_voucher" or "confirm_redemption"'
+        }, { status: 400 });
+    }
+
+    if (!result.success) {
+      return json({ success: false, error: result.error }, { status: result.status });
+    }
+
+    if (action === 'issue_voucher') {
+      console.log('🎟️ Shot voucher issued:', { walletAddress, kind, sourceId, price: result.voucher.price });
+    }
+
+    return json(result);
+  } catch (error) {
+    console.error('❌ Vouchers API error:', error);
+    return json({
+      success: false,
+      error: error.message || 'Internal server error'
+    }, { status: 500 });
+  }
+}
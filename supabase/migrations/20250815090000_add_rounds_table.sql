@@ -0,0 +1,54 @@
+-- Migration: Add rounds table for multi-round jackpot history
+-- Created: 2025-08-15 09:00:00 UTC
+-- Description: Mirrors the contract's getRound(id) data so the stats page can list every
+-- past round's duration, shot count and payout. Rows are written by /api/rounds using the
+-- service role after reading the round from the chain; clients only read.
+
+CREATE TABLE IF NOT EXISTS rounds (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    round_id BIGINT NOT NULL,
+    contract_address TEXT NOT NULL,
+    crypto_type TEXT DEFAULT 'ETH',
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    start_block BIGINT,
+    end_block BIGINT,
+    shot_count INTEGER DEFAULT 0,
+    pot_amount DECIMAL(20, 18) DEFAULT 0,
+    payout DECIMAL(20, 18) DEFAULT 0,
+    winner_address TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT rounds_contract_round_unique UNIQUE (contract_address, round_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rounds_contract_round ON rounds(contract_address, round_id DESC);
+CREATE INDEX IF NOT EXISTS idx_rounds_winner_address ON rounds(winner_address);
+
+-- Public read access; writes go through the service role only
+ALTER TABLE rounds ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow public read access on rounds" ON rounds FOR SELECT USING (true);
+
+-- Keep updated_at current when an open round is closed
+CREATE OR REPLACE FUNCTION update_rounds_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS rounds_updated_at ON rounds;
+CREATE TRIGGER rounds_updated_at
+    BEFORE UPDATE ON rounds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_rounds_updated_at();
+
+COMMENT ON TABLE rounds IS 'Jackpot rounds mirrored from the EthShot contract (getRound)';
+COMMENT ON COLUMN rounds.round_id IS 'On-chain round number, starting at 1 per contract';
+COMMENT ON COLUMN rounds.ended_at IS 'NULL while the round is still open';
+COMMENT ON COLUMN rounds.pot_amount IS 'Pot size when the jackpot was won';
+COMMENT ON COLUMN rounds.payout IS 'Amount paid to the winner';
@@ -0,0 +1,54 @@
+-- Migration: Add keeper_escrows table for the auto-reveal keeper
+-- Created: 2025-08-16 09:00:00 UTC
+-- Description: Players who opt in escrow a signed RevealShot request, encrypted to the keeper,
+-- when they commit a shot. The keeper (scripts/auto-reveal-keeper.js) reveals the shot with
+-- revealShotFor if the player never comes back. Rows are written by /api/keeper and the keeper
+-- using the service role; the ciphertext is never exposed to clients.
+
+CREATE TABLE IF NOT EXISTS keeper_escrows (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    player_address TEXT NOT NULL,
+    contract_address TEXT NOT NULL,
+    commit_tx_hash TEXT NOT NULL UNIQUE,
+    commit_block BIGINT NOT NULL,
+    ephemeral_public_key JSONB NOT NULL,
+    iv TEXT NOT NULL,
+    ciphertext TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'revealed', 'settled', 'expired', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    reveal_tx_hash TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_keeper_escrows_pending
+    ON keeper_escrows(contract_address, commit_block)
+    WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_keeper_escrows_player ON keeper_escrows(player_address);
+
+-- No policies: only the service role can read or write escrows
+ALTER TABLE keeper_escrows ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION update_keeper_escrows_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS keeper_escrows_updated_at ON keeper_escrows;
+CREATE TRIGGER keeper_escrows_updated_at
+    BEFORE UPDATE ON keeper_escrows
+    FOR EACH ROW
+    EXECUTE FUNCTION update_keeper_escrows_updated_at();
+
+COMMENT ON TABLE keeper_escrows IS 'Encrypted reveal requests the auto-reveal keeper can submit for abandoned shots';
+COMMENT ON COLUMN keeper_escrows.ephemeral_public_key IS 'Player-side ECDH P-256 public key (JWK) used to encrypt the escrow';
+COMMENT ON COLUMN keeper_escrows.ciphertext IS 'AES-GCM encrypted { player, secret, nonce, deadline, signature }';
+COMMENT ON COLUMN keeper_escrows.status IS 'pending, revealed (by the keeper), settled (by the player), expired or failed';
@@ -0,0 +1,120 @@
+-- Migration: Sponsor campaign scheduling and impression analytics
+-- Created: 2025-08-17 09:00:00 UTC
+-- Description: Each sponsors row is a campaign. Sponsors can book a future time slot for a
+-- campaign they won on-chain (via /api/sponsors) instead of only replacing the
+-- current sponsor, and SponsorBanner views and click-throughs are recorded in
+-- sponsor_impressions for the sponsor dashboard.
+
+-- Booked slots ([starts_at, ends_at)); NULL means "from activation until replaced"
+ALTER TABLE sponsors ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE sponsors ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'check_sponsors_slot') THEN
+        ALTER TABLE sponsors ADD CONSTRAINT check_sponsors_slot CHECK (
+            (starts_at IS NULL AND ends_at IS NULL) OR (starts_at IS NOT NULL AND ends_at > starts_at)
+        );
+    END IF;
+END $$;
+
+-- Two booked campaigns of the same contract can never overlap
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'sponsors_no_overlapping_slots') THEN
+        ALTER TABLE sponsors ADD CONSTRAINT sponsors_no_overlapping_slots
+            EXCLUDE USING gist (contract_address WITH =, tstzrange(starts_at, ends_at) WITH &&)
+            WHERE (starts_at IS NOT NULL);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_sponsors_contract_slot ON sponsors(contract_address, starts_at)
+    WHERE starts_at IS NOT NULL;
+
+-- Slots are booked through the API (which checks the on-chain sponsorship), not directly
+CREATE OR REPLACE FUNCTION protect_sponsor_slots()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF auth.role() IS DISTINCT FROM 'service_role' AND (
+        (TG_OP = 'INSERT' AND (NEW.starts_at IS NOT NULL OR NEW.ends_at IS NOT NULL)) OR
+        (TG_OP = 'UPDATE' AND (NEW.starts_at IS DISTINCT FROM OLD.starts_at OR NEW.ends_at IS DISTINCT FROM OLD.ends_at))
+    ) THEN
+        RAISE EXCEPTION 'Sponsor slots can only be booked through the sponsor API';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sponsors_protect_slots ON sponsors;
+CREATE TRIGGER sponsors_protect_slots
+    BEFORE INSERT OR UPDATE ON sponsors
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_sponsor_slots();
+
+-- Banner views and click-throughs, at most one of each per browser session and campaign
+CREATE TABLE IF NOT EXISTS sponsor_impressions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    sponsor_id UUID NOT NULL REFERENCES sponsors(id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL CHECK (event_type IN ('impression', 'click')),
+    session_id TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (sponsor_id, event_type, session_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sponsor_impressions_sponsor ON sponsor_impressions(sponsor_id, event_type);
+
+-- No policies: events are written by /api/sponsors with the service role
+ALTER TABLE sponsor_impressions ENABLE ROW LEVEL SECURITY;
+
+-- Per-campaign totals for the sponsor dashboard
+CREATE OR REPLACE FUNCTION get_sponsor_campaign_stats(p_sponsor_address TEXT, p_contract_address TEXT)
+RETURNS TABLE (
+    id UUID,
+    name TEXT,
+    logo_url TEXT,
+    sponsor_url TEXT,
+    amount DECIMAL(20, 18),
+    tx_hash TEXT,
+    active BOOLEAN,
+    activated_at TIMESTAMP WITH TIME ZONE,
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    impressions BIGINT,
+    clicks BIGINT
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT
+        s.id,
+        s.name,
+        s.logo_url,
+        s.sponsor_url,
+        s.amount,
+        s.tx_hash,
+        s.active,
+        s.timestamp AS activated_at,
+        s.starts_at,
+        s.ends_at,
+        COUNT(i.id) FILTER (WHERE i.event_type = 'impression') AS impressions,
+        COUNT(i.id) FILTER (WHERE i.event_type = 'click') AS clicks
+    FROM sponsors s
+    LEFT JOIN sponsor_impressions i ON i.sponsor_id = s.id
+    WHERE LOWER(s.sponsor_address) = LOWER(p_sponsor_address)
+      AND (p_contract_address IS NULL OR LOWER(s.contract_address) = LOWER(p_contract_address))
+    GROUP BY s.id
+    ORDER BY s.timestamp DESC;
+$$;
+
+REVOKE ALL ON FUNCTION get_sponsor_campaign_stats(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON COLUMN sponsors.starts_at IS 'Start of the booked slot; NULL runs the campaign from activation until replaced';
+COMMENT ON COLUMN sponsors.ends_at IS 'End (exclusive) of the booked slot';
+COMMENT ON TABLE sponsor_impressions IS 'SponsorBanner views and click-throughs per campaign, deduplicated per browser session';
+COMMENT ON FUNCTION get_sponsor_campaign_stats(TEXT, TEXT) IS 'Impressions and clicks per campaign of a sponsor, for the sponsor dashboard';
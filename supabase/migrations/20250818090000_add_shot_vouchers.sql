@@ -0,0 +1,36 @@
+-- Migration: On-chain redemption of referral discounts and bonus shots
+-- Created: 2025-08-18 09:00:00 UTC
+-- Description: Referral discounts and bonus shots are now redeemed on-chain with EIP-712
+-- shot vouchers signed by /api/vouchers (commitShotWithVoucher charges the reduced price
+-- once per voucher). The API marks a row used once the contract reports its voucher as
+-- redeemed. Restores the bonus_shots table (dropped when referral rewards moved to
+-- discounts) so operators can grant free shots again.
+
+CREATE TABLE IF NOT EXISTS bonus_shots (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    player_address VARCHAR(42) NOT NULL, -- lowercase
+    bonus_type VARCHAR(50) NOT NULL, -- 'referral_signup', 'referral_reward', 'promotion', etc.
+    amount INTEGER NOT NULL DEFAULT 1,
+    source_referral_id UUID REFERENCES referrals(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '30 days'),
+    used_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    is_used BOOLEAN DEFAULT false
+);
+
+CREATE INDEX IF NOT EXISTS idx_bonus_shots_player ON bonus_shots(player_address);
+CREATE INDEX IF NOT EXISTS idx_bonus_shots_unused ON bonus_shots(player_address, is_used) WHERE is_used = false;
+
+-- Players can see their bonus shots; grants and redemptions use the service role
+ALTER TABLE bonus_shots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Bonus shots are publicly readable" ON bonus_shots;
+CREATE POLICY "Bonus shots are publicly readable" ON bonus_shots
+    FOR SELECT USING (true);
+
+-- Discounts are now worth ETH on-chain, so the browser may only read them. They are
+-- created by create_referral_discounts and marked used by /api/vouchers.
+DROP POLICY IF EXISTS "Allow all operations on referral_discounts" ON referral_discounts;
+DROP POLICY IF EXISTS "Referral discounts are publicly readable" ON referral_discounts;
+CREATE POLICY "Referral discounts are publicly readable" ON referral_discounts
+    FOR SELECT USING (true);
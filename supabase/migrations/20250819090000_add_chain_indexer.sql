@@ -0,0 +1,53 @@
+-- Migration: Chain event indexer
+-- Created: 2025-08-19 09:00:00 UTC
+-- Description: The chain indexer (servers/indexer) tails EthShot logs and writes shots, reveals,
+-- winners, sponsorships and failed payouts with the service role, so rows no longer depend on
+-- the browser staying open. Each contract keeps a checkpoint (last indexed block and its hash)
+-- used to resume and to detect reorgs.
+
+CREATE TABLE IF NOT EXISTS indexer_checkpoints (
+    contract_address TEXT PRIMARY KEY, -- lowercase
+    chain_id BIGINT NOT NULL,
+    last_block BIGINT NOT NULL,
+    last_block_hash TEXT NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- No policies: only the service role can read or write checkpoints
+ALTER TABLE indexer_checkpoints ENABLE ROW LEVEL SECURITY;
+
+-- Number of shots committed in the transaction (commitShots bundles are one row)
+ALTER TABLE shots ADD COLUMN IF NOT EXISTS shot_count INTEGER NOT NULL DEFAULT 1;
+
+-- Sponsorship block, so rows from dropped blocks can be found after a reorg
+ALTER TABLE sponsors ADD COLUMN IF NOT EXISTS block_number BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_shots_contract_block ON shots (contract_address, block_number);
+CREATE INDEX IF NOT EXISTS idx_shots_player_block ON shots (player_address, block_number);
+
+-- Winner payouts that could not be pushed and wait for claimPayout
+CREATE TABLE IF NOT EXISTS failed_payouts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    player_address TEXT NOT NULL, -- lowercase
+    amount DECIMAL(20, 18) NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number BIGINT NOT NULL,
+    timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+    contract_address TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_failed_payouts_player ON failed_payouts(player_address);
+
+ALTER TABLE failed_payouts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Failed payouts are publicly readable" ON failed_payouts;
+CREATE POLICY "Failed payouts are publicly readable" ON failed_payouts
+    FOR SELECT USING (true);
+
+COMMENT ON TABLE indexer_checkpoints IS 'Last block the chain indexer processed for each contract';
+COMMENT ON COLUMN indexer_checkpoints.last_block_hash IS 'Hash of last_block when it was indexed; a different hash on-chain means a reorg';
+COMMENT ON COLUMN shots.shot_count IS 'Shots committed in the transaction (greater than 1 for commitShots bundles)';
+COMMENT ON TABLE failed_payouts IS 'PayoutFailed events: winnings credited to pendingPayouts because the transfer failed';
@@ -0,0 +1,18 @@
+-- Migration: One health row per RPC provider
+-- Created: 2025-08-20 09:00:00 UTC
+-- Description: Clients now report provider health checks through /api/rpc-metrics, which calls
+-- update_rpc_provider_health. That function upserts with ON CONFLICT (provider_id), which needs
+-- a unique constraint the table never had. Keeps the latest row per provider and adds it.
+
+DELETE FROM rpc_provider_health h
+USING rpc_provider_health newer
+WHERE h.provider_id = newer.provider_id
+  AND (h.checked_at, h.id) < (newer.checked_at, newer.id);
+
+ALTER TABLE rpc_provider_health
+    DROP CONSTRAINT IF EXISTS rpc_provider_health_provider_id_key;
+ALTER TABLE rpc_provider_health
+    ADD CONSTRAINT rpc_provider_health_provider_id_key UNIQUE (provider_id);
+
+-- The unique constraint's index replaces the plain one
+DROP INDEX IF EXISTS idx_rpc_provider_health_provider_id;
@@ -0,0 +1,58 @@
+-- Migration: RPC metrics time series
+-- Created: 2025-08-21 09:00:00 UTC
+-- Description: The admin RPC health dashboard charts per-provider latency, error rate and rate
+-- limit events over time. Buckets rpc_request_metrics and rpc_rate_limit_events in the database
+-- so the dashboard does not page through raw rows.
+
+CREATE OR REPLACE FUNCTION get_rpc_metrics_timeseries(
+    p_since TIMESTAMP WITH TIME ZONE DEFAULT NOW() - INTERVAL '24 hours',
+    p_bucket_minutes INTEGER DEFAULT 60
+)
+RETURNS TABLE (
+    provider_id UUID,
+    bucket_start TIMESTAMP WITH TIME ZONE,
+    request_count BIGINT,
+    failed_count BIGINT,
+    avg_response_time_ms INTEGER,
+    rate_limited_count BIGINT,
+    fallback_count BIGINT
+) AS $$
+    WITH requests AS (
+        SELECT
+            m.provider_id,
+            date_bin(make_interval(mins => p_bucket_minutes), m.created_at, p_since) AS bucket_start,
+            COUNT(*) AS request_count,
+            COUNT(*) FILTER (WHERE NOT m.success) AS failed_count,
+            -- Latency of answers that actually reached the provider
+            ROUND(AVG(m.response_time_ms) FILTER (WHERE m.success AND NOT m.cached))::INTEGER AS avg_response_time_ms
+        FROM rpc_request_metrics m
+        WHERE m.created_at >= p_since
+        GROUP BY 1, 2
+    ),
+    events AS (
+        SELECT
+            e.provider_id,
+            date_bin(make_interval(mins => p_bucket_minutes), e.created_at, p_since) AS bucket_start,
+            COUNT(*) FILTER (WHERE e.event_type = 'rate_limited') AS rate_limited_count,
+            COUNT(*) FILTER (WHERE e.event_type = 'fallback') AS fallback_count
+        FROM rpc_rate_limit_events e
+        WHERE e.created_at >= p_since
+        GROUP BY 1, 2
+    )
+    SELECT
+        COALESCE(r.provider_id, e.provider_id),
+        COALESCE(r.bucket_start, e.bucket_start),
+        COALESCE(r.request_count, 0),
+        COALESCE(r.failed_count, 0),
+        r.avg_response_time_ms,
+        COALESCE(e.rate_limited_count, 0),
+        COALESCE(e.fallback_count, 0)
+    FROM requests r
+    FULL OUTER JOIN events e ON e.provider_id = r.provider_id AND e.bucket_start = r.bucket_start
+    ORDER BY 2, 1;
+$$ LANGUAGE sql STABLE;
+
+-- The admin API reads it with the service role
+GRANT EXECUTE ON FUNCTION get_rpc_metrics_timeseries TO service_role;
+
+COMMENT ON FUNCTION get_rpc_metrics_timeseries IS 'Per-provider RPC request and rate limit counts in time buckets, for the admin dashboard';
@@ -0,0 +1,20 @@
+-- Migration: Restrict shot recording to the server
+-- Created: 2025-08-22 09:00:00 UTC
+-- Description: /api/shots checks every shot and winner against the transaction receipt and then
+-- writes it with the service role. A player's JWT could still skip that check by inserting into
+-- shots/winners directly or by calling the record_*_secure functions, so take both away from
+-- client roles. The service role bypasses RLS and keeps its table privileges.
+
+DROP POLICY IF EXISTS "shots_authenticated_only_insert" ON shots;
+DROP POLICY IF EXISTS "winners_authenticated_only_insert" ON winners;
+DROP POLICY IF EXISTS "Users can insert own shots" ON shots;
+DROP POLICY IF EXISTS "Allow public insert on shots" ON shots;
+DROP POLICY IF EXISTS "Allow public insert on winners" ON winners;
+
+REVOKE INSERT ON shots FROM anon, authenticated;
+REVOKE INSERT ON winners FROM anon, authenticated;
+
+REVOKE EXECUTE ON FUNCTION record_shot_secure(TEXT, DECIMAL, BOOLEAN, TEXT, BIGINT, TIMESTAMPTZ, TEXT, TEXT)
+    FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_winner_secure(TEXT, DECIMAL, TEXT, BIGINT, TIMESTAMPTZ, TEXT, TEXT)
+    FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,8 @@
+-- Migration: Restrict shot reveal updates to the server
+-- Created: 2025-08-22 09:10:00 UTC
+-- Description: Shots are recorded from their commit transaction as not won, and the reveal
+-- sets the outcome. /api/shots (record_reveal, record_keeper_reveal) reads that outcome from
+-- the reveal receipt, so clients must not be able to call update_shot_on_reveal themselves.
+
+REVOKE EXECUTE ON FUNCTION update_shot_on_reveal(TEXT, BOOLEAN, TEXT, INTEGER)
+    FROM PUBLIC, anon, authenticated;
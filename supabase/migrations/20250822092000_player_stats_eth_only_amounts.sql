@@ -0,0 +1,117 @@
+-- Migration: Player stats amounts in ETH only
+-- Created: 2025-08-22 09:20:00 UTC
+-- Description: Token pots (e.g. USDC) play on the same contract as ETH. The contract's
+-- playerStats counts every shot in totalShots but keeps totalSpent and totalWon in ETH only,
+-- while the players trigger summed token amounts into the same columns. Keep counting every
+-- shot, and sum only ETH shots into total_spent and total_won, so players rows mean what the
+-- contract means and the reconciliation job compares like with like.
+
+CREATE OR REPLACE FUNCTION update_player_stats_from_shots()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    player_stats RECORD;
+    target_contract_address TEXT;
+BEGIN
+    target_contract_address := COALESCE(NEW.contract_address, OLD.contract_address);
+
+    SELECT
+        COUNT(*) AS total_shots,
+        COALESCE(SUM(amount::decimal) FILTER (WHERE crypto_type = 'ETH'), 0) AS total_spent,
+        COALESCE(SUM(amount::decimal) FILTER (WHERE crypto_type = 'ETH' AND won), 0) AS total_won,
+        MAX(timestamp) AS last_shot_time
+    INTO player_stats
+    FROM shots
+    WHERE player_address = COALESCE(NEW.player_address, OLD.player_address)
+      AND (contract_address = target_contract_address OR (contract_address IS NULL AND target_contract_address IS NULL));
+
+    INSERT INTO players (
+        address,
+        total_shots,
+        total_spent,
+        total_won,
+        last_shot_time,
+        crypto_type,
+        contract_address,
+        created_at,
+        updated_at
+    )
+    VALUES (
+        COALESCE(NEW.player_address, OLD.player_address),
+        player_stats.total_shots,
+        player_stats.total_spent,
+        player_stats.total_won,
+        player_stats.last_shot_time,
+        COALESCE(NEW.crypto_type, OLD.crypto_type, 'ETH'),
+        target_contract_address,
+        NOW(),
+        NOW()
+    )
+    ON CONFLICT (address, contract_address) DO UPDATE SET
+        total_shots = EXCLUDED.total_shots,
+        total_spent = EXCLUDED.total_spent,
+        total_won = EXCLUDED.total_won,
+        last_shot_time = EXCLUDED.last_shot_time,
+        crypto_type = EXCLUDED.crypto_type,
+        updated_at = NOW();
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION refresh_all_player_stats()
+RETURNS INTEGER
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    updated_count INTEGER := 0;
+    player_record RECORD;
+BEGIN
+    FOR player_record IN
+        SELECT DISTINCT player_address, contract_address FROM shots
+    LOOP
+        INSERT INTO players (
+            address,
+            total_shots,
+            total_spent,
+            total_won,
+            last_shot_time,
+            crypto_type,
+            contract_address,
+            created_at,
+            updated_at
+        )
+        SELECT
+            player_record.player_address,
+            COUNT(*),
+            COALESCE(SUM(amount::decimal) FILTER (WHERE crypto_type = 'ETH'), 0),
+            COALESCE(SUM(amount::decimal) FILTER (WHERE crypto_type = 'ETH' AND won), 0),
+            MAX(timestamp),
+            COALESCE(MAX(crypto_type), 'ETH'),
+            player_record.contract_address,
+            NOW(),
+            NOW()
+        FROM shots
+        WHERE player_address = player_record.player_address
+          AND (contract_address = player_record.contract_address OR (contract_address IS NULL AND player_record.contract_address IS NULL))
+        ON CONFLICT (address, contract_address) DO UPDATE SET
+            total_shots = EXCLUDED.total_shots,
+            total_spent = EXCLUDED.total_spent,
+            total_won = EXCLUDED.total_won,
+            last_shot_time = EXCLUDED.last_shot_time,
+            crypto_type = EXCLUDED.crypto_type,
+            updated_at = NOW();
+
+        updated_count := updated_count + 1;
+    END LOOP;
+
+    RETURN updated_count;
+END;
+$$;
+
+SELECT refresh_all_player_stats();
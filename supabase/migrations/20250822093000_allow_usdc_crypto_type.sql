@@ -0,0 +1,16 @@
+-- Migration: Allow USDC crypto type
+-- Created: 2025-08-22 09:30:00 UTC
+-- Description: USDC shots play a token pot on the EthShot contract and are recorded with
+-- crypto_type 'USDC', which the crypto_type checks from 20250723225802 rejected.
+
+ALTER TABLE players DROP CONSTRAINT IF EXISTS check_players_crypto_type;
+ALTER TABLE players ADD CONSTRAINT check_players_crypto_type CHECK (crypto_type IN ('ETH', 'USDC', 'SOL'));
+
+ALTER TABLE shots DROP CONSTRAINT IF EXISTS check_shots_crypto_type;
+ALTER TABLE shots ADD CONSTRAINT check_shots_crypto_type CHECK (crypto_type IN ('ETH', 'USDC', 'SOL'));
+
+ALTER TABLE winners DROP CONSTRAINT IF EXISTS check_winners_crypto_type;
+ALTER TABLE winners ADD CONSTRAINT check_winners_crypto_type CHECK (crypto_type IN ('ETH', 'USDC', 'SOL'));
+
+ALTER TABLE sponsors DROP CONSTRAINT IF EXISTS check_sponsors_crypto_type;
+ALTER TABLE sponsors ADD CONSTRAINT check_sponsors_crypto_type CHECK (crypto_type IN ('ETH', 'USDC', 'SOL'));
@@ -0,0 +1,74 @@
+-- Migration: Deduplicate sponsor events in the database
+-- Created: 2025-08-22 09:40:00 UTC
+-- Description: /api/sponsors counted banner events once per client IP, campaign and hour, and
+-- rate limited each IP, with counters held in the server process. On serverless every instance
+-- starts with empty counters, so neither held. Record events through record_sponsor_event, which
+-- keeps both per (hashed) IP and clock hour in the database.
+
+-- Keyed HMAC of the client IP (see hashClientAddress), never the IP itself
+ALTER TABLE sponsor_impressions ADD COLUMN IF NOT EXISTS ip_hash TEXT;
+ALTER TABLE sponsor_impressions ADD COLUMN IF NOT EXISTS hour_bucket TIMESTAMP WITH TIME ZONE;
+
+-- One event per campaign, event type, client IP and hour (older rows have NULLs and never clash)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sponsor_impressions_ip_hour
+    ON sponsor_impressions(sponsor_id, event_type, ip_hash, hour_bucket);
+
+-- Events reported per client IP and hour, for the rate limit
+CREATE TABLE IF NOT EXISTS sponsor_event_rate_limits (
+    ip_hash TEXT NOT NULL,
+    hour_bucket TIMESTAMP WITH TIME ZONE NOT NULL,
+    events INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (ip_hash, hour_bucket)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sponsor_event_rate_limits_hour ON sponsor_event_rate_limits(hour_bucket);
+
+-- No policies: only record_sponsor_event writes it
+ALTER TABLE sponsor_event_rate_limits ENABLE ROW LEVEL SECURITY;
+
+-- Returns 'recorded', 'duplicate' or 'rate_limited'; unknown campaigns raise a foreign key violation
+CREATE OR REPLACE FUNCTION record_sponsor_event(
+    p_sponsor_id UUID,
+    p_event_type TEXT,
+    p_session_id TEXT,
+    p_ip_hash TEXT,
+    p_max_events_per_hour INTEGER
+)
+RETURNS TEXT
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    current_hour TIMESTAMP WITH TIME ZONE := date_trunc('hour', NOW());
+    reported_events INTEGER;
+BEGIN
+    DELETE FROM sponsor_event_rate_limits WHERE hour_bucket < current_hour;
+
+    INSERT INTO sponsor_event_rate_limits (ip_hash, hour_bucket, events)
+    VALUES (p_ip_hash, current_hour, 1)
+    ON CONFLICT (ip_hash, hour_bucket) DO UPDATE SET events = sponsor_event_rate_limits.events + 1
+    RETURNING events INTO reported_events;
+
+    IF reported_events > p_max_events_per_hour THEN
+        RETURN 'rate_limited';
+    END IF;
+
+    -- Conflicts on either the session or the IP and hour key mean it was already counted
+    INSERT INTO sponsor_impressions (sponsor_id, event_type, session_id, ip_hash, hour_bucket)
+    VALUES (p_sponsor_id, p_event_type, p_session_id, p_ip_hash, current_hour)
+    ON CONFLICT DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN 'duplicate';
+    END IF;
+
+    RETURN 'recorded';
+END;
+$$;
+
+REVOKE ALL ON FUNCTION record_sponsor_event(UUID, TEXT, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_sponsor_event(UUID, TEXT, TEXT, TEXT, INTEGER) TO service_role;
+
+COMMENT ON TABLE sponsor_impressions IS 'SponsorBanner views and click-throughs per campaign, deduplicated per browser session and per client IP and hour';
+COMMENT ON TABLE sponsor_event_rate_limits IS 'Sponsor events reported per hashed client IP and hour, for the /api/sponsors rate limit';
+COMMENT ON FUNCTION record_sponsor_event(UUID, TEXT, TEXT, TEXT, INTEGER) IS 'Record a banner event once per session and per client IP and hour, within the per-IP hourly limit';
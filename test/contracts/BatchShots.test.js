@@ -0,0 +1,207 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+const { ethers } = hre;
+
+describe('EthShot Batch Shots', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const COOLDOWN_PERIOD = 60;
+  const WIN_PERCENTAGE_BP = 9000;
+  const HOUSE_PERCENTAGE_BP = 1000;
+  const WIN_CHANCE_BP = 100;
+  const MAX_RECENT_WINNERS = 100;
+  const MIN_POT_SIZE = SHOT_COST;
+
+  let owner;
+  let player1;
+  let player2;
+
+  const deployEthShot = async (randomnessProvider = ethers.ZeroAddress) => {
+    const EthShot = await ethers.getContractFactory('EthShotTestable');
+    const ethShot = await EthShot.deploy(
+      owner.address,
+      owner.address,
+      SHOT_COST,
+      SPONSOR_COST,
+      COOLDOWN_PERIOD,
+      WIN_PERCENTAGE_BP,
+      HOUSE_PERCENTAGE_BP,
+      WIN_CHANCE_BP,
+      MAX_RECENT_WINNERS,
+      MIN_POT_SIZE,
+      randomnessProvider,
+      []
+    );
+    await ethShot.waitForDeployment();
+    return ethShot;
+  };
+
+  const commitmentFor = (secret, player) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, player.address]));
+
+  const commitmentsFor = (secrets, player) => secrets.map((secret) => commitmentFor(secret, player));
+
+  const mine = (blocks) => hre.network.provider.send('hardhat_mine', [ethers.toQuantity(blocks)]);
+
+  beforeEach(async () => {
+    [owner, player1, player2] = await ethers.getSigners();
+  });
+
+  describe('commitShots', () => {
+    let ethShot;
+
+    beforeEach(async () => {
+      ethShot = await deployEthShot();
+    });
+
+    it('should commit a bundle of shots in one transaction', async () => {
+      const commitments = commitmentsFor([1n, 2n, 3n], player1);
+
+      const tx = ethShot.connect(player1).commitShots(commitments, { value: SHOT_COST * 3n });
+      await expect(tx).to.emit(ethShot, 'ShotCommitted').withArgs(player1.address, commitments[2], SHOT_COST, 1);
+
+      const batch = await ethShot.getPendingBatch(player1.address);
+      expect(batch.pending).to.deep.equal([true, true, true]);
+      expect(await ethShot.getCurrentPot()).to.equal(SHOT_COST * 3n);
+      expect((await ethShot.getPlayerStats(player1.address)).totalShots).to.equal(3n);
+      expect((await ethShot.getRound(1)).shotCount).to.equal(3n);
+      expect(await ethShot.canCommitShot(player1.address)).to.deep.equal([false, 5n]); // Cooldown, reported before the pending batch as commits revert
+    });
+
+    it('should reject empty and oversized bundles', async () => {
+      const maxBatch = Number(await ethShot.MAX_BATCH_SHOTS());
+      const tooMany = commitmentsFor(Array.from({ length: maxBatch + 1 }, (_, i) => BigInt(i + 1)), player1);
+
+      await expect(ethShot.connect(player1).commitShots([], { value: 0 }))
+        .to.be.revertedWithCustomError(ethShot, 'InvalidBatchSize');
+      await expect(ethShot.connect(player1).commitShots(tooMany, { value: SHOT_COST * BigInt(tooMany.length) }))
+        .to.be.revertedWithCustomError(ethShot, 'InvalidBatchSize');
+    });
+
+    it('should require SHOT_COST per shot', async () => {
+      await expect(ethShot.connect(player1).commitShots(commitmentsFor([1n, 2n], player1), { value: SHOT_COST }))
+        .to.be.revertedWithCustomError(ethShot, 'IncorrectPayment');
+    });
+
+    it('should reject zero commitments', async () => {
+      await expect(ethShot.connect(player1).commitShots([commitmentFor(1n, player1), ethers.ZeroHash], { value: SHOT_COST * 2n }))
+        .to.be.revertedWithCustomError(ethShot, 'InvalidCommitment');
+    });
+
+    it('should block further commits until the bundle is revealed', async () => {
+      await ethShot.connect(player1).commitShots(commitmentsFor([1n, 2n], player1), { value: SHOT_COST * 2n });
+      await hre.network.provider.send('evm_increaseTime', [COOLDOWN_PERIOD + 1]);
+
+      await expect(ethShot.connect(player1).commitShot(commitmentFor(3n, player1), { value: SHOT_COST }))
+        .to.be.revertedWithCustomError(ethShot, 'PendingShotExists');
+    });
+  });
+
+  describe('revealBatchShot', () => {
+    let ethShot;
+
+    beforeEach(async () => {
+      ethShot = await deployEthShot();
+      await ethShot.setTestMode(true);
+    });
+
+    it('should reveal each shot on its own', async () => {
+      await ethShot.connect(player1).commitShots(commitmentsFor([1n, 2n], player1), { value: SHOT_COST * 2n });
+      await mine(2);
+
+      await expect(ethShot.connect(player1).revealBatchShot(1, 2n))
+        .to.emit(ethShot, 'ShotRevealed')
+        .withArgs(player1.address, SHOT_COST, false, 1);
+      expect((await ethShot.getPendingBatch(player1.address)).pending).to.deep.equal([true, false]);
+
+      await expect(ethShot.connect(player1).revealBatchShot(1, 2n))
+        .to.be.revertedWithCustomError(ethShot, 'NoPendingShot');
+
+      await ethShot.connect(player1).revealBatchShot(0, 1n);
+      const batch = await ethShot.getPendingBatch(player1.address);
+      expect(batch.blockNumber).to.equal(0n);
+      expect(batch.pending).to.deep.equal([]);
+    });
+
+    it('should reject a secret for a different shot', async () => {
+      await ethShot.connect(player1).commitShots(commitmentsFor([1n, 2n], player1), { value: SHOT_COST * 2n });
+      await mine(2);
+
+      await expect(ethShot.connect(player1).revealBatchShot(0, 2n))
+        .to.be.revertedWithCustomError(ethShot, 'InvalidSecret');
+    });
+
+    it('should enforce the reveal delay', async () => {
+      await ethShot.connect(player1).commitShots(commitmentsFor([1n], player1), { value: SHOT_COST });
+
+      await expect(ethShot.connect(player1).revealBatchShot(0, 1n))
+        .to.be.revertedWithCustomError(ethShot, 'RevealDelayNotElapsed');
+    });
+
+    it('should pay the jackpot from a bundle shot', async () => {
+      await ethShot.connect(player2).commitShot(commitmentFor(9n, player2), { value: SHOT_COST });
+      await mine(2);
+      await ethShot.connect(player2).revealShot(9n);
+
+      await ethShot.connect(player1).commitShots(commitmentsFor([1n, 2n], player1), { value: SHOT_COST * 2n });
+      await mine(2);
+      await ethShot.setWinningNumber(1);
+
+      const payout = (SHOT_COST * 3n * BigInt(WIN_PERCENTAGE_BP)) / 10000n;
+      await expect(ethShot.connect(player1).revealBatchShot(0, 1n))
+        .to.emit(ethShot, 'JackpotWon');
+      expect((await ethShot.getPlayerStats(player1.address)).totalWon).to.equal(payout);
+      expect(await ethShot.currentRound()).to.equal(2n);
+
+      // The pot is empty now, so the second shot can no longer win it
+      await expect(ethShot.connect(player1).revealBatchShot(1, 2n))
+        .to.emit(ethShot, 'ShotRevealed')
+        .withArgs(player1.address, SHOT_COST, false, 1);
+    });
+
+    it('should let anyone clean up an expired bundle', async () => {
+      await ethShot.connect(player1).commitShots(commitmentsFor([1n, 2n], player1), { value: SHOT_COST * 2n });
+      await mine(257);
+
+      await expect(ethShot.connect(player2).cleanupExpiredPendingShot(player1.address))
+        .to.emit(ethShot, 'PendingShotExpired');
+      expect((await ethShot.getPendingBatch(player1.address)).pending).to.deep.equal([]);
+    });
+  });
+
+  describe('Oracle mode', () => {
+    let coordinator;
+    let ethShot;
+
+    beforeEach(async () => {
+      const Coordinator = await ethers.getContractFactory('MockRandomnessCoordinator');
+      coordinator = await Coordinator.deploy();
+      await coordinator.waitForDeployment();
+      ethShot = await deployEthShot(await coordinator.getAddress());
+    });
+
+    it('should settle the whole bundle with one random word', async () => {
+      const tx = ethShot.connect(player1).commitShots(commitmentsFor([1n, 2n, 3n], player1), { value: SHOT_COST * 3n });
+      await expect(tx).to.emit(ethShot, 'RandomnessRequested').withArgs(player1.address, 1);
+
+      await expect(ethShot.connect(player1).revealBatchShot(0, 1n))
+        .to.be.revertedWithCustomError(ethShot, 'SettledByOracle');
+
+      const fulfillTx = await coordinator.fulfill(1, 12345n);
+      const receipt = await fulfillTx.wait();
+      const revealed = receipt.logs
+        .map((log) => {
+          try {
+            return ethShot.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .filter((parsed) => parsed?.name === 'ShotRevealed');
+
+      expect(revealed).to.have.length(3);
+      expect((await ethShot.getPendingBatch(player1.address)).pending).to.deep.equal([]);
+      expect(await ethShot.canCommitShot(player1.address)).to.deep.equal([false, 5n]); // Cooldown still applies
+    });
+  });
+});
@@ -7,7 +7,7 @@ describe('EthShot Contract', function () {
   async function deployEthShotFixture() {
     const [owner, player1, player2, sponsor] = await ethers.getSigners();
     
-    const EthShot = await ethers.getContractFactory('EthShot');
+    const EthShot = await ethers.getContractFactory('EthShotTestable');
     const ethShot = await EthShot.deploy(owner.address);
     
     const shotCost = ethers.parseEther('0.001');
@@ -51,7 +51,7 @@ describe('EthShot Contract', function () {
       
       const wrongAmount = shotCost + ethers.parseEther('0.001');
       await expect(ethShot.connect(player1).takeShot({ value: wrongAmount }))
-        .to.be.revertedWith('Incorrect payment amount');
+        .to.be.revertedWithCustomError(ethShot, 'IncorrectPayment');
     });
 
     it('Should increase pot size after shot', async function () {
@@ -67,7 +67,7 @@ describe('EthShot Contract', function () {
       await ethShot.connect(player1).takeShot({ value: shotCost });
       
       await expect(ethShot.connect(player1).takeShot({ value: shotCost }))
-        .to.be.revertedWith('Cooldown period not elapsed');
+        .to.be.revertedWithCustomError(ethShot, 'CooldownActive');
     });
 
     it('Should emit ShotTaken event', async function () {
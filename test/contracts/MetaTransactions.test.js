@@ -0,0 +1,213 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+const { ethers } = hre;
+
+describe('EthShot Meta-Transactions', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const COOLDOWN_PERIOD = 60;
+  const WIN_PERCENTAGE_BP = 9000;
+  const HOUSE_PERCENTAGE_BP = 1000;
+  const WIN_CHANCE_BP = 100;
+  const MAX_RECENT_WINNERS = 100;
+  const MIN_POT_SIZE = SHOT_COST;
+
+  const COMMIT_TYPES = {
+    CommitShot: [
+      { name: 'player', type: 'address' },
+      { name: 'commitment', type: 'bytes32' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  };
+
+  const REVEAL_TYPES = {
+    RevealShot: [
+      { name: 'player', type: 'address' },
+      { name: 'secret', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  };
+
+  let owner;
+  let player;
+  let relayer;
+  let ethShot;
+  let domain;
+
+  const commitmentFor = (secret, signer) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, signer.address]));
+
+  const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp;
+
+  const signCommit = async (signer, commitment, overrides = {}) => {
+    const request = {
+      player: signer.address,
+      commitment,
+      nonce: await ethShot.nonces(signer.address),
+      deadline: (await latestTimestamp()) + 600,
+      ...overrides
+    };
+    return { request, signature: await signer.signTypedData(domain, COMMIT_TYPES, request) };
+  };
+
+  const signReveal = async (signer, secret, overrides = {}) => {
+    const request = {
+      player: signer.address,
+      secret,
+      nonce: await ethShot.nonces(signer.address),
+      deadline: (await latestTimestamp()) + 600,
+      ...overrides
+    };
+    return { request, signature: await signer.signTypedData(domain, REVEAL_TYPES, request) };
+  };
+
+  beforeEach(async () => {
+    [owner, player, relayer] = await ethers.getSigners();
+
+    const EthShot = await ethers.getContractFactory('EthShot');
+    ethShot = await EthShot.deploy(
+      owner.address,
+      owner.address,
+      SHOT_COST,
+      SPONSOR_COST,
+      COOLDOWN_PERIOD,
+      WIN_PERCENTAGE_BP,
+      HOUSE_PERCENTAGE_BP,
+      WIN_CHANCE_BP,
+      MAX_RECENT_WINNERS,
+      MIN_POT_SIZE,
+      ethers.ZeroAddress,
+      []
+    );
+    await ethShot.waitForDeployment();
+
+    // Prepay a few relayed shots
+    await ethShot.connect(player).depositForShots(player.address, { value: SHOT_COST * 3n });
+
+    domain = {
+      name: 'EthShot',
+      version: '1',
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await ethShot.getAddress()
+    };
+  });
+
+  it('should commit and reveal a relayed shot for the signing player', async () => {
+    const { request, signature } = await signCommit(player, commitmentFor(7n, player));
+
+    const commitTx = ethShot.connect(relayer).commitShotFor(
+      request.player, request.commitment, request.deadline, signature
+    );
+    await expect(commitTx).to.emit(ethShot, 'ShotCommitted').withArgs(player.address, request.commitment, SHOT_COST, 1);
+    await expect(commitTx).to.emit(ethShot, 'ShotRelayed').withArgs(player.address, relayer.address, false);
+    await expect(commitTx).to.changeEtherBalance(player, 0);
+
+    expect(await ethShot.hasPendingShot(player.address)).to.equal(true);
+    expect(await ethShot.hasPendingShot(relayer.address)).to.equal(false);
+    expect((await ethShot.getPlayerStats(player.address)).totalShots).to.equal(1n);
+    expect(await ethShot.nonces(player.address)).to.equal(1n);
+
+    await hre.network.provider.send('hardhat_mine', ['0x2']);
+    const reveal = await signReveal(player, 7n);
+
+    await expect(ethShot.connect(relayer).revealShotFor(player.address, 7n, reveal.request.deadline, reveal.signature))
+      .to.emit(ethShot, 'ShotRevealed')
+      .withArgs(player.address, SHOT_COST, false, 1);
+    expect(await ethShot.hasPendingShot(player.address)).to.equal(false);
+  });
+
+  it('should reject signatures from someone other than the player', async () => {
+    const commitment = commitmentFor(7n, player);
+    const { request } = await signCommit(player, commitment);
+    const forged = await relayer.signTypedData(domain, COMMIT_TYPES, request);
+
+    await expect(ethShot.connect(relayer).commitShotFor(player.address, commitment, request.deadline, forged))
+      .to.be.revertedWithCustomError(ethShot, 'InvalidSignature');
+  });
+
+  it('should not accept a signature twice', async () => {
+    const { request, signature } = await signCommit(player, commitmentFor(7n, player));
+    await ethShot.connect(relayer).commitShotFor(player.address, request.commitment, request.deadline, signature);
+
+    await hre.network.provider.send('evm_increaseTime', [COOLDOWN_PERIOD + 1]);
+    await hre.network.provider.send('hardhat_mine', ['0x101']);
+
+    await expect(ethShot.connect(relayer).commitShotFor(player.address, request.commitment, request.deadline + 3600, signature))
+      .to.be.revertedWithCustomError(ethShot, 'InvalidSignature');
+    await expect(ethShot.connect(relayer).commitShotFor(player.address, request.commitment, request.deadline, signature))
+      .to.be.revertedWithCustomError(ethShot, 'InvalidSignature');
+  });
+
+  it('should reject expired requests', async () => {
+    const deadline = (await latestTimestamp()) - 1;
+    const { request, signature } = await signCommit(player, commitmentFor(7n, player), { deadline });
+
+    await expect(ethShot.connect(relayer).commitShotFor(player.address, request.commitment, deadline, signature))
+      .to.be.revertedWithCustomError(ethShot, 'SignatureExpired');
+  });
+
+  it('should charge the shot to the player\'s deposit while the relayer only pays gas', async () => {
+    const { request, signature } = await signCommit(player, commitmentFor(7n, player));
+    const relayerBalance = await ethers.provider.getBalance(relayer.address);
+    const contractBalance = await ethers.provider.getBalance(await ethShot.getAddress());
+
+    const tx = await ethShot.connect(relayer).commitShotFor(player.address, request.commitment, request.deadline, signature);
+    const receipt = await tx.wait();
+
+    expect(await ethShot.shotDeposits(player.address)).to.equal(SHOT_COST * 2n);
+    expect(await ethers.provider.getBalance(relayer.address)).to.equal(relayerBalance - receipt.gasUsed * receipt.gasPrice);
+    expect(await ethers.provider.getBalance(await ethShot.getAddress())).to.equal(contractBalance);
+    expect((await ethShot.getPlayerStats(player.address)).totalSpent).to.equal(SHOT_COST);
+  });
+
+  it('should not accept ETH from the relayer', async () => {
+    const { request, signature } = await signCommit(player, commitmentFor(7n, player));
+    const commitShotFor = ethShot.connect(relayer).commitShotFor;
+
+    await expect(commitShotFor(player.address, request.commitment, request.deadline, signature, { value: SHOT_COST }))
+      .to.be.rejected;
+  });
+
+  it('should reject relayed shots the player\'s deposit does not cover', async () => {
+    const { request, signature } = await signCommit(relayer, commitmentFor(7n, relayer));
+
+    await expect(ethShot.connect(owner).commitShotFor(relayer.address, request.commitment, request.deadline, signature))
+      .to.be.revertedWithCustomError(ethShot, 'InsufficientShotDeposit')
+      .withArgs(SHOT_COST);
+  });
+
+  it('should let anyone fund a player and the player withdraw what is left', async () => {
+    await expect(ethShot.connect(owner).depositForShots(player.address, { value: SHOT_COST }))
+      .to.emit(ethShot, 'ShotDepositMade')
+      .withArgs(player.address, owner.address, SHOT_COST);
+
+    await expect(ethShot.connect(player).withdrawShotDeposit())
+      .to.changeEtherBalance(player, SHOT_COST * 4n);
+    expect(await ethShot.shotDeposits(player.address)).to.equal(0n);
+    await expect(ethShot.connect(player).withdrawShotDeposit())
+      .to.be.revertedWithCustomError(ethShot, 'NoShotDeposit');
+  });
+
+  it('should count relayed shots towards the player\'s daily spend limit', async () => {
+    await ethShot.connect(player).setDailySpendLimit(ethers.ZeroAddress, SHOT_COST / 2n);
+    const { request, signature } = await signCommit(player, commitmentFor(7n, player));
+
+    await expect(ethShot.connect(relayer).commitShotFor(player.address, request.commitment, request.deadline, signature))
+      .to.be.revertedWithCustomError(ethShot, 'DailySpendLimitReached');
+  });
+
+  it('should enforce the player\'s cooldown and reveal window', async () => {
+    const first = await signCommit(player, commitmentFor(7n, player));
+    await ethShot.connect(relayer).commitShotFor(player.address, first.request.commitment, first.request.deadline, first.signature);
+
+    const reveal = await signReveal(player, 7n);
+    await expect(ethShot.connect(relayer).revealShotFor(player.address, 7n, reveal.request.deadline, reveal.signature))
+      .to.be.revertedWithCustomError(ethShot, 'RevealDelayNotElapsed');
+
+    const second = await signCommit(player, commitmentFor(8n, player));
+    await expect(ethShot.connect(relayer).commitShotFor(player.address, second.request.commitment, second.request.deadline, second.signature))
+      .to.be.revertedWithCustomError(ethShot, 'CooldownActive');
+  });
+});
@@ -0,0 +1,179 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+const { ethers } = hre;
+
+describe('EthShot Pot Migration', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+
+  const PRIZE_TIERS = [{ name: 'mini', chanceBP: 1000, contributionBP: 500 }];
+
+  let owner;
+  let player1;
+  let player2;
+  let oldShot;
+  let newShot;
+
+  const deployEthShot = async () => {
+    const EthShot = await ethers.getContractFactory('EthShot');
+    const ethShot = await EthShot.deploy(
+      owner.address,
+      owner.address,
+      SHOT_COST,
+      SPONSOR_COST,
+      60,
+      9000,
+      1000,
+      100,
+      100,
+      SHOT_COST,
+      ethers.ZeroAddress,
+      PRIZE_TIERS
+    );
+    await ethShot.waitForDeployment();
+    return ethShot;
+  };
+
+  const commitShot = (player, secret) =>
+    oldShot.connect(player).commitShot(
+      ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, player.address])),
+      { value: SHOT_COST }
+    );
+
+  beforeEach(async () => {
+    [owner, player1, player2] = await ethers.getSigners();
+    oldShot = await deployEthShot();
+    newShot = await deployEthShot();
+
+    await commitShot(player1, 1n);
+    await commitShot(player2, 2n);
+  });
+
+  describe('migratePot', () => {
+    it('should move the jackpot and tier pots to the new contract', async () => {
+      const jackpot = await oldShot.getCurrentPot();
+      const [tierPot] = await oldShot.getTierPots();
+      const houseFunds = await oldShot.getHouseFunds();
+      expect(tierPot).to.be.gt(0n);
+
+      await oldShot.pause();
+      await expect(oldShot.migratePot(await newShot.getAddress()))
+        .to.emit(newShot, 'PotSeeded')
+        .withArgs(await oldShot.getAddress(), jackpot + tierPot)
+        .and.to.emit(oldShot, 'PotMigrated')
+        .withArgs(await newShot.getAddress(), ethers.ZeroAddress, jackpot + tierPot);
+
+      expect(await oldShot.getCurrentPot()).to.equal(0n);
+      expect(await oldShot.getTierPots()).to.deep.equal([0n]);
+      expect(await newShot.getCurrentPot()).to.equal(jackpot + tierPot);
+
+      // House funds stay behind for withdrawal
+      expect(await oldShot.getHouseFunds()).to.equal(houseFunds);
+      expect(await ethers.provider.getBalance(await oldShot.getAddress())).to.equal(houseFunds);
+    });
+
+    it('should only run while paused', async () => {
+      await expect(oldShot.migratePot(await newShot.getAddress()))
+        .to.be.revertedWithCustomError(oldShot, 'ExpectedPause');
+    });
+
+    it('should only be callable by the owner', async () => {
+      await oldShot.pause();
+      await expect(oldShot.connect(player1).migratePot(await newShot.getAddress()))
+        .to.be.revertedWithCustomError(oldShot, 'OwnableUnauthorizedAccount');
+    });
+
+    it('should not send the pot to an address without a contract', async () => {
+      await oldShot.pause();
+      await expect(oldShot.migratePot(player1.address)).to.be.reverted;
+      expect(await oldShot.getCurrentPot()).to.be.gt(0n);
+    });
+  });
+
+  describe('token pots', () => {
+    const TOKEN_SHOT_COST = ethers.parseUnits('1', 6);
+
+    let token;
+    let tokenAddress;
+
+    beforeEach(async () => {
+      const MockERC20 = await ethers.getContractFactory('MockERC20');
+      token = await MockERC20.deploy('USD Coin', 'USDC', 6);
+      await token.waitForDeployment();
+      tokenAddress = await token.getAddress();
+
+      await oldShot.setAcceptedToken(tokenAddress, TOKEN_SHOT_COST);
+      await token.mint(player1.address, ethers.parseUnits('100', 6));
+      await token.connect(player1).approve(await oldShot.getAddress(), ethers.MaxUint256);
+
+      // Mine past player1's cooldown and let their ETH shot from the outer beforeEach expire
+      await ethers.provider.send('hardhat_mine', ['0x100']);
+      await oldShot.connect(player1).commitShotWithToken(
+        tokenAddress,
+        ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [3n, player1.address]))
+      );
+    });
+
+    it('should move each token pot to the new contract', async () => {
+      const [, tokenPot, tokenHouseFunds] = await oldShot.getTokenPot(tokenAddress);
+      expect(tokenPot).to.be.gt(0n);
+      await newShot.setAcceptedToken(tokenAddress, TOKEN_SHOT_COST);
+
+      await oldShot.pause();
+      await expect(oldShot.migratePot(await newShot.getAddress()))
+        .to.emit(oldShot, 'PotMigrated')
+        .withArgs(await newShot.getAddress(), tokenAddress, tokenPot)
+        .and.to.emit(newShot, 'TokenPotSeeded')
+        .withArgs(await oldShot.getAddress(), tokenAddress, tokenPot);
+
+      expect((await oldShot.getTokenPot(tokenAddress))[1]).to.equal(0n);
+      expect((await newShot.getTokenPot(tokenAddress))[1]).to.equal(tokenPot);
+      expect(await token.balanceOf(await newShot.getAddress())).to.equal(tokenPot);
+
+      // Token house funds stay behind for withdrawal
+      expect(await token.balanceOf(await oldShot.getAddress())).to.equal(tokenHouseFunds);
+    });
+
+    it('should revert when the new contract does not accept the token', async () => {
+      await oldShot.pause();
+      await expect(oldShot.migratePot(await newShot.getAddress()))
+        .to.be.revertedWithCustomError(newShot, 'TokenNotAccepted')
+        .withArgs(tokenAddress);
+      expect((await oldShot.getTokenPot(tokenAddress))[1]).to.be.gt(0n);
+    });
+  });
+
+  describe('seedPot', () => {
+    it('should add the sent ETH to the jackpot', async () => {
+      const potBefore = await newShot.getCurrentPot();
+      const amount = ethers.parseEther('0.5');
+
+      await expect(newShot.connect(player1).seedPot({ value: amount }))
+        .to.emit(newShot, 'PotSeeded')
+        .withArgs(player1.address, amount);
+
+      expect(await newShot.getCurrentPot()).to.equal(potBefore + amount);
+    });
+  });
+
+  describe('seedTokenPot', () => {
+    it('should pull the tokens into an accepted token pot', async () => {
+      const MockERC20 = await ethers.getContractFactory('MockERC20');
+      const token = await MockERC20.deploy('USD Coin', 'USDC', 6);
+      const tokenAddress = await token.getAddress();
+      const amount = ethers.parseUnits('50', 6);
+
+      await expect(newShot.connect(player1).seedTokenPot(tokenAddress, amount))
+        .to.be.revertedWithCustomError(newShot, 'TokenNotAccepted');
+
+      await newShot.setAcceptedToken(tokenAddress, ethers.parseUnits('1', 6));
+      await token.mint(player1.address, amount);
+      await token.connect(player1).approve(await newShot.getAddress(), amount);
+
+      await expect(newShot.connect(player1).seedTokenPot(tokenAddress, amount))
+        .to.emit(newShot, 'TokenPotSeeded')
+        .withArgs(player1.address, tokenAddress, amount);
+      expect((await newShot.getTokenPot(tokenAddress))[1]).to.equal(amount);
+    });
+  });
+});
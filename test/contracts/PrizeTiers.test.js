@@ -0,0 +1,153 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+const { ethers } = hre;
+
+describe('EthShot Prize Tiers', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const COOLDOWN_PERIOD = 60;
+  const WIN_PERCENTAGE_BP = 9000;
+  const HOUSE_PERCENTAGE_BP = 1000;
+  const WIN_CHANCE_BP = 100;
+  const MAX_RECENT_WINNERS = 100;
+  const MIN_POT_SIZE = SHOT_COST;
+
+  const PRIZE_TIERS = [
+    { name: 'major', chanceBP: 200, contributionBP: 1000 },
+    { name: 'mini', chanceBP: 1000, contributionBP: 500 }
+  ];
+
+  const MAJOR_SHARE = (SHOT_COST * 1000n) / 10000n;
+  const MINI_SHARE = (SHOT_COST * 500n) / 10000n;
+  const JACKPOT_SHARE = SHOT_COST - MAJOR_SHARE - MINI_SHARE;
+
+  let owner;
+  let player1;
+  let player2;
+
+  const deployEthShot = async (prizeTiers = PRIZE_TIERS) => {
+    const EthShot = await ethers.getContractFactory('EthShotTestable');
+    const ethShot = await EthShot.deploy(
+      owner.address,
+      owner.address,
+      SHOT_COST,
+      SPONSOR_COST,
+      COOLDOWN_PERIOD,
+      WIN_PERCENTAGE_BP,
+      HOUSE_PERCENTAGE_BP,
+      WIN_CHANCE_BP,
+      MAX_RECENT_WINNERS,
+      MIN_POT_SIZE,
+      ethers.ZeroAddress,
+      prizeTiers
+    );
+    await ethShot.waitForDeployment();
+    return ethShot;
+  };
+
+  const commitmentFor = (secret, player) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, player.address]));
+
+  const takeShot = async (ethShot, player, secret) => {
+    await ethShot.connect(player).commitShot(commitmentFor(secret, player), { value: SHOT_COST });
+    await hre.network.provider.send('hardhat_mine', ['0x2']);
+    return ethShot.connect(player).revealShot(secret);
+  };
+
+  beforeEach(async () => {
+    [owner, player1, player2] = await ethers.getSigners();
+  });
+
+  describe('Configuration', () => {
+    it('should return the tiers from getGameConfig', async () => {
+      const ethShot = await deployEthShot();
+      const config = await ethShot.getGameConfig();
+
+      expect(config.winChanceBP).to.equal(BigInt(WIN_CHANCE_BP));
+      expect(config.tiers).to.have.length(2);
+      expect(config.tiers[0].name).to.equal('major');
+      expect(config.tiers[0].chanceBP).to.equal(200n);
+      expect(config.tiers[1].contributionBP).to.equal(500n);
+    });
+
+    it('should allow deploying without tiers', async () => {
+      const ethShot = await deployEthShot([]);
+      const config = await ethShot.getGameConfig();
+
+      expect(config.tiers).to.have.length(0);
+      expect(await ethShot.getTierPots()).to.deep.equal([]);
+    });
+
+    it('should reject invalid tier configurations', async () => {
+      const EthShot = await ethers.getContractFactory('EthShotTestable');
+      await expect(deployEthShot([{ name: 'mini', chanceBP: 0, contributionBP: 500 }]))
+        .to.be.revertedWithCustomError(EthShot, 'InvalidPrizeTier').withArgs(0);
+      await expect(deployEthShot([{ name: 'mini', chanceBP: 100, contributionBP: 0 }]))
+        .to.be.revertedWithCustomError(EthShot, 'InvalidPrizeTier').withArgs(0);
+      await expect(deployEthShot([{ name: 'mini', chanceBP: 9901, contributionBP: 500 }]))
+        .to.be.revertedWithCustomError(EthShot, 'TierChancesTooHigh');
+      await expect(deployEthShot([{ name: 'mini', chanceBP: 100, contributionBP: 10000 }]))
+        .to.be.revertedWithCustomError(EthShot, 'TierContributionsTooHigh');
+
+      const tooMany = Array.from({ length: 5 }, (_, i) => ({ name: `t${i}`, chanceBP: 10, contributionBP: 10 }));
+      await expect(deployEthShot(tooMany)).to.be.revertedWithCustomError(EthShot, 'TooManyPrizeTiers');
+    });
+  });
+
+  describe('Sub-pots', () => {
+    let ethShot;
+
+    beforeEach(async () => {
+      ethShot = await deployEthShot();
+      await ethShot.setTestMode(true);
+    });
+
+    it('should split every shot between the tiers and the jackpot', async () => {
+      await ethShot.connect(player1).commitShot(commitmentFor(1n, player1), { value: SHOT_COST });
+
+      expect(await ethShot.getTierPots()).to.deep.equal([MAJOR_SHARE, MINI_SHARE]);
+      expect(await ethShot.getCurrentPot()).to.equal(JACKPOT_SHARE);
+    });
+
+    it('should pay a tier prize from its sub-pot without ending the round', async () => {
+      await takeShot(ethShot, player1, 1n);
+      await ethShot.setWinningNumber(3); // Second tier (mini)
+
+      const miniPot = MINI_SHARE * 2n;
+      const payout = (miniPot * BigInt(WIN_PERCENTAGE_BP)) / 10000n;
+
+      const tx = takeShot(ethShot, player2, 2n);
+      await expect(tx).to.emit(ethShot, 'TierPrizeWon').withArgs(player2.address, 1, payout, 1);
+      await expect(tx).to.emit(ethShot, 'ShotRevealed').withArgs(player2.address, SHOT_COST, false, 1);
+      await expect(tx).to.changeEtherBalance(player2, payout);
+
+      expect(await ethShot.getTierPots()).to.deep.equal([MAJOR_SHARE * 2n, 0n]);
+      expect(await ethShot.getCurrentPot()).to.equal(JACKPOT_SHARE * 2n);
+      expect(await ethShot.getHouseFunds()).to.equal(miniPot - payout);
+      expect(await ethShot.currentRound()).to.equal(1n);
+      expect((await ethShot.getPlayerStats(player2.address)).totalWon).to.equal(payout);
+    });
+
+    it('should leave the sub-pots untouched on a grand jackpot', async () => {
+      await takeShot(ethShot, player1, 1n);
+      await ethShot.setWinningNumber(1);
+
+      const tx = takeShot(ethShot, player2, 2n);
+      await expect(tx).to.emit(ethShot, 'JackpotWon');
+      await expect(tx).to.not.emit(ethShot, 'TierPrizeWon');
+
+      expect(await ethShot.getCurrentPot()).to.equal(0n);
+      expect(await ethShot.getTierPots()).to.deep.equal([MAJOR_SHARE * 2n, MINI_SHARE * 2n]);
+      expect(await ethShot.currentRound()).to.equal(2n);
+    });
+
+    it('should not pay the grand jackpot from the player\'s own contribution', async () => {
+      await ethShot.setWinningNumber(1);
+
+      await expect(takeShot(ethShot, player1, 1n))
+        .to.emit(ethShot, 'ShotRevealed')
+        .withArgs(player1.address, SHOT_COST, false, 1);
+      expect(await ethShot.getCurrentPot()).to.equal(JACKPOT_SHARE);
+    });
+  });
+});
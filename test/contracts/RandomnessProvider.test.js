@@ -0,0 +1,153 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+const { ethers } = hre;
+
+describe('EthShot Randomness Provider', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const COOLDOWN_PERIOD = 60;
+  const WIN_PERCENTAGE_BP = 9000;
+  const HOUSE_PERCENTAGE_BP = 1000;
+  const WIN_CHANCE_BP = 1000; // 10%
+  const MAX_RECENT_WINNERS = 100;
+  const MIN_POT_SIZE = SHOT_COST;
+
+  const WINNING_WORD = 5n; // 5 % 10000 < WIN_CHANCE_BP
+  const LOSING_WORD = 9999n;
+
+  let owner;
+  let player1;
+  let player2;
+
+  const deployEthShot = async (randomnessProvider) => {
+    const EthShot = await ethers.getContractFactory('EthShot');
+    const ethShot = await EthShot.deploy(
+      owner.address,
+      owner.address,
+      SHOT_COST,
+      SPONSOR_COST,
+      COOLDOWN_PERIOD,
+      WIN_PERCENTAGE_BP,
+      HOUSE_PERCENTAGE_BP,
+      WIN_CHANCE_BP,
+      MAX_RECENT_WINNERS,
+      MIN_POT_SIZE,
+      randomnessProvider,
+      []
+    );
+    await ethShot.waitForDeployment();
+    return ethShot;
+  };
+
+  const commitmentFor = (secret, player) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, player.address]));
+
+  beforeEach(async () => {
+    [owner, player1, player2] = await ethers.getSigners();
+  });
+
+  describe('Commit-reveal mode (no provider)', () => {
+    it('should keep the reveal flow when deployed without a provider', async () => {
+      const ethShot = await deployEthShot(ethers.ZeroAddress);
+      expect(await ethShot.usesRandomnessOracle()).to.be.false;
+
+      await ethShot.connect(player1).commitShot(commitmentFor(1n, player1), { value: SHOT_COST });
+      await hre.network.provider.send('hardhat_mine', ['0x2']);
+
+      expect(await ethShot.canRevealShot(player1.address)).to.be.true;
+      await expect(ethShot.connect(player1).revealShot(1n))
+        .to.emit(ethShot, 'ShotRevealed')
+        .withArgs(player1.address, SHOT_COST, false, 1);
+    });
+
+    it('should reject randomness callbacks', async () => {
+      const ethShot = await deployEthShot(ethers.ZeroAddress);
+      await expect(ethShot.fulfillRandomness(1, WINNING_WORD)).to.be.revertedWithCustomError(ethShot, 'OnlyRandomnessProvider');
+    });
+  });
+
+  describe('Oracle mode', () => {
+    let coordinator;
+    let ethShot;
+
+    beforeEach(async () => {
+      const Coordinator = await ethers.getContractFactory('MockRandomnessCoordinator');
+      coordinator = await Coordinator.deploy();
+      await coordinator.waitForDeployment();
+      ethShot = await deployEthShot(await coordinator.getAddress());
+    });
+
+    it('should request randomness on commit', async () => {
+      expect(await ethShot.usesRandomnessOracle()).to.be.true;
+
+      await expect(
+        ethShot.connect(player1).commitShot(commitmentFor(1n, player1), { value: SHOT_COST })
+      )
+        .to.emit(ethShot, 'RandomnessRequested')
+        .withArgs(player1.address, 1);
+
+      expect(await ethShot.hasPendingShot(player1.address)).to.be.true;
+      expect(await ethShot.canRevealShot(player1.address)).to.be.false;
+    });
+
+    it('should not allow manual reveals', async () => {
+      await ethShot.connect(player1).commitShot(commitmentFor(1n, player1), { value: SHOT_COST });
+      await ethers.provider.send('evm_mine');
+
+      await expect(ethShot.connect(player1).revealShot(1n)).to.be.revertedWithCustomError(ethShot, 'SettledByOracle');
+    });
+
+    it('should settle a losing shot on fulfillment', async () => {
+      await ethShot.connect(player1).commitShot(commitmentFor(1n, player1), { value: SHOT_COST });
+
+      await expect(coordinator.fulfill(1, LOSING_WORD))
+        .to.emit(ethShot, 'ShotRevealed')
+        .withArgs(player1.address, SHOT_COST, false, 1);
+
+      expect(await ethShot.hasPendingShot(player1.address)).to.be.false;
+      expect(await ethShot.getCurrentPot()).to.equal(SHOT_COST);
+    });
+
+    it('should not let a shot win its own contribution', async () => {
+      await ethShot.connect(player1).commitShot(commitmentFor(1n, player1), { value: SHOT_COST });
+
+      await expect(coordinator.fulfill(1, WINNING_WORD))
+        .to.emit(ethShot, 'ShotRevealed')
+        .withArgs(player1.address, SHOT_COST, false, 1);
+    });
+
+    it('should pay the jackpot when the oracle word wins', async () => {
+      await ethShot.connect(player1).commitShot(commitmentFor(1n, player1), { value: SHOT_COST });
+      await coordinator.fulfill(1, LOSING_WORD);
+
+      await ethShot.connect(player2).commitShot(commitmentFor(2n, player2), { value: SHOT_COST });
+      const pot = await ethShot.getCurrentPot();
+      const expectedPayout = (pot * BigInt(WIN_PERCENTAGE_BP)) / 10000n;
+
+      const fulfillTx = coordinator.fulfill(2, WINNING_WORD);
+      await expect(fulfillTx).to.emit(ethShot, 'JackpotWon');
+      await expect(fulfillTx).to.changeEtherBalance(player2, expectedPayout);
+
+      expect(await ethShot.getCurrentPot()).to.equal(0);
+      const [winner] = await ethShot.getRecentWinners();
+      expect(winner.winner).to.equal(player2.address);
+    });
+
+    it('should only accept callbacks from the provider', async () => {
+      await ethShot.connect(player1).commitShot(commitmentFor(1n, player1), { value: SHOT_COST });
+
+      await expect(
+        ethShot.connect(player1).fulfillRandomness(1, WINNING_WORD)
+      ).to.be.revertedWithCustomError(ethShot, 'OnlyRandomnessProvider');
+    });
+
+    it('should ignore fulfillment of an expired request', async () => {
+      await ethShot.connect(player1).commitShot(commitmentFor(1n, player1), { value: SHOT_COST });
+
+      await hre.network.provider.send('hardhat_mine', ['0x102']); // 258 blocks
+      await ethShot.cleanupExpiredPendingShot(player1.address);
+
+      await expect(coordinator.fulfill(1, WINNING_WORD)).to.not.emit(ethShot, 'ShotRevealed');
+    });
+  });
+});
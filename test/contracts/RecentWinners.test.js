@@ -0,0 +1,116 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+const { ethers } = hre;
+
+describe('EthShot Recent Winners', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const COOLDOWN_PERIOD = 60;
+  const WIN_PERCENTAGE_BP = 9000;
+  const HOUSE_PERCENTAGE_BP = 1000;
+  const WIN_CHANCE_BP = 1000;
+  const MIN_POT_SIZE = SHOT_COST;
+
+  let owner;
+  let loser;
+  let winner;
+  let nextSecret;
+
+  const commitmentFor = (secret, player) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, player.address]));
+
+  const takeShot = async (ethShot, player) => {
+    // Same-width secrets keep calldata gas identical between shots
+    const secret = nextSecret++;
+    await ethShot.connect(player).commitShot(commitmentFor(secret, player), { value: SHOT_COST });
+    await hre.network.provider.send('hardhat_mine', ['0x2']);
+    const tx = await ethShot.connect(player).revealShot(secret);
+    await hre.network.provider.send('evm_increaseTime', [COOLDOWN_PERIOD + 1]);
+    return tx.wait();
+  };
+
+  // In 50% mode every odd shot rolls the jackpot, so after one warm-up shot
+  // (blocked by pot protection) the loser/winner pair produces exactly one win
+  const win = async (ethShot) => {
+    await takeShot(ethShot, loser);
+    return takeShot(ethShot, winner);
+  };
+
+  const deploy = async (maxRecentWinners) => {
+    const EthShot = await ethers.getContractFactory('EthShotTestable');
+    const ethShot = await EthShot.deploy(
+      owner.address,
+      owner.address,
+      SHOT_COST,
+      SPONSOR_COST,
+      COOLDOWN_PERIOD,
+      WIN_PERCENTAGE_BP,
+      HOUSE_PERCENTAGE_BP,
+      WIN_CHANCE_BP,
+      maxRecentWinners,
+      MIN_POT_SIZE,
+      ethers.ZeroAddress,
+      []
+    );
+    await ethShot.waitForDeployment();
+    await ethShot.setTestMode(true);
+    await ethShot.setTestFiftyPercentMode(true);
+    await takeShot(ethShot, loser);
+    return ethShot;
+  };
+
+  beforeEach(async () => {
+    [owner, loser, winner] = await ethers.getSigners();
+    nextSecret = 1000n;
+  });
+
+  it('should return an empty history before the first win', async () => {
+    const ethShot = await deploy(3);
+
+    expect(await ethShot.getRecentWinners()).to.deep.equal([]);
+    expect(await ethShot.totalWinners()).to.equal(0n);
+  });
+
+  it('should return winners newest first after the buffer wraps', async () => {
+    const ethShot = await deploy(3);
+    const blocks = [];
+    for (let i = 0; i < 5; i++) {
+      blocks.push((await win(ethShot)).blockNumber);
+    }
+
+    const recent = await ethShot.getRecentWinners();
+    expect(recent.map((entry) => Number(entry.blockNumber))).to.deep.equal(blocks.slice(2).reverse());
+    expect(recent.every((entry) => entry.winner === winner.address)).to.equal(true);
+    expect(await ethShot.totalWinners()).to.equal(5n);
+  });
+
+  it('should return the partial history before the buffer is full', async () => {
+    const ethShot = await deploy(5);
+    const first = await win(ethShot);
+    const second = await win(ethShot);
+
+    const recent = await ethShot.getRecentWinners();
+    expect(recent.map((entry) => Number(entry.blockNumber))).to.deep.equal([second.blockNumber, first.blockNumber]);
+  });
+
+  it('should keep win gas constant regardless of history size', async () => {
+    const winGasOnceFull = async (maxRecentWinners) => {
+      const ethShot = await deploy(maxRecentWinners);
+      for (let i = 0; i < maxRecentWinners; i++) {
+        await win(ethShot);
+      }
+
+      const gas = [];
+      for (let i = 0; i < 3; i++) {
+        gas.push((await win(ethShot)).gasUsed);
+      }
+      return gas;
+    };
+
+    const small = await winGasOnceFull(3);
+    const large = await winGasOnceFull(25);
+
+    // Each overwrite touches the same slots, so a 25 entry history costs no more than 3
+    expect(large).to.deep.equal(small);
+  });
+});
@@ -0,0 +1,248 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+const { ethers } = hre;
+
+describe('EthShot Responsible Play', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const DAY = 24 * 60 * 60;
+
+  // ShotBlock reason codes
+  const NONE = 0n;
+  const PAUSED = 1n;
+  const SELF_EXCLUDED = 2n;
+  const DAILY_SPEND_LIMIT = 3n;
+  const PENDING_SHOT = 4n;
+  const COOLDOWN = 5n;
+  const TOKEN_SHOT_COST = ethers.parseUnits('2', 6);
+
+  let ethShot;
+  let owner;
+  let player;
+
+  const commitment = (secret, address) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, address]));
+
+  const commitShots = (count) => {
+    const commitments = Array.from({ length: count }, (_, i) => commitment(1000 + i, player.address));
+    return ethShot.connect(player).commitShots(commitments, { value: SHOT_COST * BigInt(count) });
+  };
+
+  const increaseTime = async (seconds) => {
+    await hre.network.provider.send('evm_increaseTime', [seconds]);
+    await hre.network.provider.send('evm_mine');
+  };
+
+  // Let a committed batch expire so the player can commit again
+  const expirePendingShots = () => hre.network.provider.send('hardhat_mine', ['0x102']);
+
+  // Start the test early in a UTC day so waiting out cooldowns stays on the same day
+  const startOfNextDay = async () => {
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    await hre.network.provider.send('evm_setNextBlockTimestamp', [(Math.floor(timestamp / DAY) + 1) * DAY + 3600]);
+    await hre.network.provider.send('evm_mine');
+  };
+
+  beforeEach(async () => {
+    [owner, player] = await ethers.getSigners();
+
+    const EthShot = await ethers.getContractFactory('EthShot');
+    ethShot = await EthShot.deploy(
+      owner.address,
+      owner.address,
+      SHOT_COST,
+      SPONSOR_COST,
+      60,
+      9000,
+      1000,
+      1000,
+      100,
+      SHOT_COST,
+      ethers.ZeroAddress,
+      []
+    );
+    await ethShot.waitForDeployment();
+  });
+
+  describe('canCommitShot', () => {
+    it('should allow a new player', async () => {
+      expect(await ethShot.canCommitShot(player.address)).to.deep.equal([true, NONE]);
+    });
+
+    it('should report a paused game', async () => {
+      await ethShot.pause();
+      expect(await ethShot.canCommitShot(player.address)).to.deep.equal([false, PAUSED]);
+    });
+
+    it('should report reasons in the order commits revert', async () => {
+      await startOfNextDay();
+      await ethShot.connect(player).setDailySpendLimit(ethers.ZeroAddress, SHOT_COST);
+      await ethShot.connect(player).commitShot(commitment(1, player.address), { value: SHOT_COST });
+      await ethShot.connect(player).setSelfExclusion(DAY);
+
+      // Cooldown, pending shot, self-exclusion and the daily limit all block the next shot
+      const nextShot = () => ethShot.connect(player).commitShot(commitment(2, player.address), { value: SHOT_COST });
+      expect(await ethShot.canCommitShot(player.address)).to.deep.equal([false, COOLDOWN]);
+      await expect(nextShot()).to.be.revertedWithCustomError(ethShot, 'CooldownActive');
+
+      await increaseTime(61);
+      expect(await ethShot.canCommitShot(player.address)).to.deep.equal([false, PENDING_SHOT]);
+      await expect(nextShot()).to.be.revertedWithCustomError(ethShot, 'PendingShotExists');
+
+      await hre.network.provider.send('hardhat_mine', ['0x2']);
+      await ethShot.connect(player).revealShot(1);
+      expect(await ethShot.canCommitShot(player.address)).to.deep.equal([false, SELF_EXCLUDED]);
+      await expect(nextShot()).to.be.revertedWithCustomError(ethShot, 'SelfExcluded');
+    });
+  });
+
+  describe('setSelfExclusion', () => {
+    it('should block shots until the exclusion ends', async () => {
+      await expect(ethShot.connect(player).setSelfExclusion(7 * DAY)).to.emit(ethShot, 'SelfExclusionSet');
+
+      expect(await ethShot.canCommitShot(player.address)).to.deep.equal([false, SELF_EXCLUDED]);
+      await expect(
+        ethShot.connect(player).commitShot(commitment(1, player.address), { value: SHOT_COST })
+      ).to.be.revertedWithCustomError(ethShot, 'SelfExcluded');
+
+      await increaseTime(7 * DAY);
+      expect(await ethShot.canCommitShot(player.address)).to.deep.equal([true, NONE]);
+    });
+
+    it('should never shorten an exclusion', async () => {
+      await ethShot.connect(player).setSelfExclusion(30 * DAY);
+      const { excludedUntil } = await ethShot.getResponsiblePlay(player.address, ethers.ZeroAddress);
+
+      await expect(ethShot.connect(player).setSelfExclusion(DAY))
+        .to.emit(ethShot, 'SelfExclusionSet')
+        .withArgs(player.address, excludedUntil);
+      expect((await ethShot.getResponsiblePlay(player.address, ethers.ZeroAddress)).excludedUntil).to.equal(excludedUntil);
+    });
+
+    it('should reject invalid periods', async () => {
+      const maxExclusion = await ethShot.MAX_SELF_EXCLUSION();
+      await expect(ethShot.connect(player).setSelfExclusion(0)).to.be.revertedWithCustomError(ethShot, 'InvalidExclusionPeriod');
+      await expect(ethShot.connect(player).setSelfExclusion(maxExclusion + 1n)).to.be.revertedWithCustomError(ethShot, 'InvalidExclusionPeriod');
+    });
+  });
+
+  describe('setDailySpendLimit', () => {
+    it('should block spending over the limit for the rest of the day', async () => {
+      await startOfNextDay();
+      await ethShot.connect(player).setDailySpendLimit(ethers.ZeroAddress, SHOT_COST * 2n);
+
+      await expect(commitShots(3))
+        .to.be.revertedWithCustomError(ethShot, 'DailySpendLimitReached')
+        .withArgs(SHOT_COST * 2n);
+      await commitShots(2);
+
+      const settings = await ethShot.getResponsiblePlay(player.address, ethers.ZeroAddress);
+      expect(settings.dailyLimit).to.equal(SHOT_COST * 2n);
+      expect(settings.spentToday).to.equal(SHOT_COST * 2n);
+
+      // Once the batch has expired and the cooldown is over, only the limit blocks the next shot
+      await expirePendingShots();
+      expect(await ethShot.canCommitShot(player.address)).to.deep.equal([false, DAILY_SPEND_LIMIT]);
+    });
+
+    it('should reset spending on the next UTC day', async () => {
+      await ethShot.connect(player).setDailySpendLimit(ethers.ZeroAddress, SHOT_COST * 2n);
+      await commitShots(2);
+
+      await expirePendingShots();
+      await increaseTime(DAY);
+
+      expect((await ethShot.getResponsiblePlay(player.address, ethers.ZeroAddress)).spentToday).to.equal(0n);
+      await commitShots(2);
+    });
+
+    it('should lower the limit immediately', async () => {
+      await ethShot.connect(player).setDailySpendLimit(ethers.ZeroAddress, SHOT_COST * 5n);
+      await ethShot.connect(player).setDailySpendLimit(ethers.ZeroAddress, SHOT_COST);
+
+      const settings = await ethShot.getResponsiblePlay(player.address, ethers.ZeroAddress);
+      expect(settings.dailyLimit).to.equal(SHOT_COST);
+      expect(settings.pendingFrom).to.equal(0n);
+      await expect(commitShots(2)).to.be.revertedWithCustomError(ethShot, 'DailySpendLimitReached');
+    });
+
+    it('should raise the limit only after the cooling-off period', async () => {
+      const delay = await ethShot.SPEND_LIMIT_INCREASE_DELAY();
+      await ethShot.connect(player).setDailySpendLimit(ethers.ZeroAddress, SHOT_COST);
+
+      const tx = await ethShot.connect(player).setDailySpendLimit(ethers.ZeroAddress, SHOT_COST * 3n);
+      const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+      await expect(tx)
+        .to.emit(ethShot, 'DailySpendLimitSet')
+        .withArgs(player.address, ethers.ZeroAddress, SHOT_COST * 3n, BigInt(timestamp) + delay);
+
+      let settings = await ethShot.getResponsiblePlay(player.address, ethers.ZeroAddress);
+      expect(settings.dailyLimit).to.equal(SHOT_COST);
+      expect(settings.pendingLimit).to.equal(SHOT_COST * 3n);
+      await expect(commitShots(2)).to.be.revertedWithCustomError(ethShot, 'DailySpendLimitReached');
+
+      await increaseTime(Number(delay));
+
+      settings = await ethShot.getResponsiblePlay(player.address, ethers.ZeroAddress);
+      expect(settings.dailyLimit).to.equal(SHOT_COST * 3n);
+      expect(settings.pendingFrom).to.equal(0n);
+      await commitShots(3);
+    });
+
+    it('should remove the limit only after the cooling-off period', async () => {
+      await ethShot.connect(player).setDailySpendLimit(ethers.ZeroAddress, SHOT_COST);
+      await ethShot.connect(player).setDailySpendLimit(ethers.ZeroAddress, 0);
+
+      expect((await ethShot.getResponsiblePlay(player.address, ethers.ZeroAddress)).dailyLimit).to.equal(SHOT_COST);
+      await expect(commitShots(2)).to.be.revertedWithCustomError(ethShot, 'DailySpendLimitReached');
+
+      await increaseTime(DAY);
+      expect((await ethShot.getResponsiblePlay(player.address, ethers.ZeroAddress)).dailyLimit).to.equal(0n);
+      await commitShots(2);
+    });
+  });
+
+  describe('token spend limits', () => {
+    let token;
+    let tokenAddress;
+
+    const commitTokenShot = (secret) =>
+      ethShot.connect(player).commitShotWithToken(tokenAddress, commitment(secret, player.address));
+
+    beforeEach(async () => {
+      const MockERC20 = await ethers.getContractFactory('MockERC20');
+      token = await MockERC20.deploy('USD Coin', 'USDC', 6);
+      await token.waitForDeployment();
+      tokenAddress = await token.getAddress();
+
+      await ethShot.setAcceptedToken(tokenAddress, TOKEN_SHOT_COST);
+      await token.mint(player.address, ethers.parseUnits('100', 6));
+      await token.connect(player).approve(await ethShot.getAddress(), ethers.MaxUint256);
+    });
+
+    it('should count token shots against the limit for that token', async () => {
+      await startOfNextDay();
+      await expect(ethShot.connect(player).setDailySpendLimit(tokenAddress, TOKEN_SHOT_COST))
+        .to.emit(ethShot, 'DailySpendLimitSet');
+      await commitTokenShot(1);
+
+      const settings = await ethShot.getResponsiblePlay(player.address, tokenAddress);
+      expect(settings.dailyLimit).to.equal(TOKEN_SHOT_COST);
+      expect(settings.spentToday).to.equal(TOKEN_SHOT_COST);
+
+      await expirePendingShots();
+      await expect(commitTokenShot(2))
+        .to.be.revertedWithCustomError(ethShot, 'DailySpendLimitReached')
+        .withArgs(0n);
+    });
+
+    it('should keep ETH and token limits apart', async () => {
+      await ethShot.connect(player).setDailySpendLimit(ethers.ZeroAddress, SHOT_COST);
+
+      // An ETH limit does not cap token shots, nor do token shots use it up
+      await commitTokenShot(1);
+      expect((await ethShot.getResponsiblePlay(player.address, ethers.ZeroAddress)).spentToday).to.equal(0n);
+      expect((await ethShot.getResponsiblePlay(player.address, tokenAddress)).spentToday).to.equal(0n);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+const { ethers } = hre;
+
+describe('EthShot Rounds', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const COOLDOWN_PERIOD = 60;
+  const WIN_PERCENTAGE_BP = 9000;
+  const HOUSE_PERCENTAGE_BP = 1000;
+  const WIN_CHANCE_BP = 1000;
+  const MAX_RECENT_WINNERS = 100;
+  const MIN_POT_SIZE = SHOT_COST;
+
+  let ethShot;
+  let owner;
+  let player1;
+  let player2;
+
+  const commitmentFor = (secret, player) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, player.address]));
+
+  const takeShot = async (player, secret) => {
+    await ethShot.connect(player).commitShot(commitmentFor(secret, player), { value: SHOT_COST });
+    await hre.network.provider.send('hardhat_mine', ['0x2']);
+    return ethShot.connect(player).revealShot(secret);
+  };
+
+  beforeEach(async () => {
+    [owner, player1, player2] = await ethers.getSigners();
+
+    const EthShot = await ethers.getContractFactory('EthShotTestable');
+    ethShot = await EthShot.deploy(
+      owner.address,
+      owner.address,
+      SHOT_COST,
+      SPONSOR_COST,
+      COOLDOWN_PERIOD,
+      WIN_PERCENTAGE_BP,
+      HOUSE_PERCENTAGE_BP,
+      WIN_CHANCE_BP,
+      MAX_RECENT_WINNERS,
+      MIN_POT_SIZE,
+      ethers.ZeroAddress,
+      []
+    );
+    await ethShot.waitForDeployment();
+    await ethShot.setTestMode(true);
+  });
+
+  it('should open round 1 at deployment', async () => {
+    expect(await ethShot.currentRound()).to.equal(1n);
+
+    const round = await ethShot.getRound(1);
+    expect(round.startTime).to.be.greaterThan(0n);
+    expect(round.endTime).to.equal(0n);
+    expect(round.shotCount).to.equal(0n);
+    expect(round.winner).to.equal(ethers.ZeroAddress);
+  });
+
+  it('should revert for rounds that have not started', async () => {
+    await expect(ethShot.getRound(0)).to.be.revertedWithCustomError(ethShot, 'RoundDoesNotExist').withArgs(0);
+    await expect(ethShot.getRound(2)).to.be.revertedWithCustomError(ethShot, 'RoundDoesNotExist').withArgs(2);
+  });
+
+  it('should emit the round ID with commits and reveals', async () => {
+    await expect(
+      ethShot.connect(player1).commitShot(commitmentFor(1n, player1), { value: SHOT_COST })
+    )
+      .to.emit(ethShot, 'ShotCommitted')
+      .withArgs(player1.address, commitmentFor(1n, player1), SHOT_COST, 1);
+
+    await hre.network.provider.send('hardhat_mine', ['0x2']);
+    await expect(ethShot.connect(player1).revealShot(1n))
+      .to.emit(ethShot, 'ShotRevealed')
+      .withArgs(player1.address, SHOT_COST, false, 1);
+
+    expect((await ethShot.getRound(1)).shotCount).to.equal(1n);
+  });
+
+  it('should close the round on a jackpot and start the next one', async () => {
+    await takeShot(player1, 1n);
+    await ethShot.setWinningNumber(1);
+
+    const tx = takeShot(player2, 2n);
+    await expect(tx).to.emit(ethShot, 'JackpotWon');
+    const receipt = await (await tx).wait();
+
+    const potAmount = SHOT_COST * 2n;
+    const payout = (potAmount * BigInt(WIN_PERCENTAGE_BP)) / 10000n;
+
+    const closed = await ethShot.getRound(1);
+    expect(closed.shotCount).to.equal(2n);
+    expect(closed.potAmount).to.equal(potAmount);
+    expect(closed.payout).to.equal(payout);
+    expect(closed.winner).to.equal(player2.address);
+    expect(closed.endBlock).to.equal(BigInt(receipt.blockNumber));
+    expect(closed.endTime).to.be.greaterThanOrEqual(closed.startTime);
+
+    const jackpot = receipt.logs
+      .map((log) => {
+        try {
+          return ethShot.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((parsed) => parsed?.name === 'JackpotWon');
+    expect(jackpot.args.roundId).to.equal(1n);
+
+    expect(await ethShot.currentRound()).to.equal(2n);
+    const next = await ethShot.getRound(2);
+    expect(next.startBlock).to.equal(BigInt(receipt.blockNumber));
+    expect(next.endTime).to.equal(0n);
+    expect(next.shotCount).to.equal(0n);
+  });
+});
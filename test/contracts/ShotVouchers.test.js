@@ -0,0 +1,140 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+const { ethers } = hre;
+
+describe('EthShot Shot Vouchers', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const DISCOUNT_PRICE = ethers.parseEther('0.0008');
+
+  const VOUCHER_TYPES = {
+    ShotVoucher: [
+      { name: 'player', type: 'address' },
+      { name: 'voucherId', type: 'bytes32' },
+      { name: 'price', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  };
+
+  let owner;
+  let player;
+  let other;
+  let voucherSigner;
+  let ethShot;
+  let domain;
+
+  const commitmentFor = (secret, signer) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, signer.address]));
+
+  const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp;
+
+  const signVoucher = async (overrides = {}, signer = voucherSigner) => {
+    const voucher = {
+      player: player.address,
+      voucherId: ethers.id(`discount:${Math.random()}`),
+      price: DISCOUNT_PRICE,
+      deadline: (await latestTimestamp()) + 600,
+      ...overrides
+    };
+    return { voucher, signature: await signer.signTypedData(domain, VOUCHER_TYPES, voucher) };
+  };
+
+  const redeem = (caller, { voucher, signature }, value = voucher.price) =>
+    ethShot.connect(caller).commitShotWithVoucher(
+      commitmentFor(42, caller),
+      voucher.voucherId,
+      voucher.price,
+      voucher.deadline,
+      signature,
+      { value }
+    );
+
+  beforeEach(async () => {
+    [owner, player, other, voucherSigner] = await ethers.getSigners();
+
+    const EthShot = await ethers.getContractFactory('EthShot');
+    ethShot = await EthShot.deploy(
+      owner.address,
+      owner.address,
+      SHOT_COST,
+      SPONSOR_COST,
+      60,
+      9000,
+      1000,
+      1000,
+      100,
+      SHOT_COST,
+      ethers.ZeroAddress,
+      []
+    );
+    await ethShot.waitForDeployment();
+    await ethShot.setVoucherSigner(voucherSigner.address);
+
+    domain = {
+      name: 'EthShot',
+      version: '1',
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await ethShot.getAddress()
+    };
+  });
+
+  it('should commit a shot at the voucher price', async () => {
+    const signed = await signVoucher();
+
+    await expect(redeem(player, signed))
+      .to.emit(ethShot, 'VoucherRedeemed')
+      .withArgs(player.address, signed.voucher.voucherId, DISCOUNT_PRICE);
+
+    expect(await ethShot.redeemedVouchers(signed.voucher.voucherId)).to.be.true;
+    expect(await ethShot.getCurrentPot()).to.equal(DISCOUNT_PRICE);
+    const [exists, , amount] = await ethShot.getPendingShot(player.address);
+    expect(exists).to.be.true;
+    expect(amount).to.equal(DISCOUNT_PRICE);
+  });
+
+  it('should accept free bonus shot vouchers', async () => {
+    await redeem(player, await signVoucher({ price: 0n }));
+    expect((await ethShot.getPlayerStats(player.address)).totalShots).to.equal(1n);
+  });
+
+  it('should only redeem each voucher once', async () => {
+    const signed = await signVoucher();
+    await redeem(player, signed);
+    await hre.network.provider.send('hardhat_mine', ['0x102']);
+    await ethShot.cleanupExpiredPendingShot(player.address);
+    await hre.network.provider.send('evm_increaseTime', [60]);
+
+    await expect(redeem(player, signed)).to.be.revertedWithCustomError(ethShot, 'VoucherAlreadyRedeemed');
+  });
+
+  it('should reject vouchers issued to another player', async () => {
+    await expect(redeem(other, await signVoucher())).to.be.revertedWithCustomError(ethShot, 'InvalidSignature');
+  });
+
+  it('should reject vouchers not signed by the voucher signer', async () => {
+    await expect(redeem(player, await signVoucher({}, other))).to.be.revertedWithCustomError(ethShot, 'InvalidSignature');
+  });
+
+  it('should reject a payment other than the voucher price', async () => {
+    await expect(redeem(player, await signVoucher(), SHOT_COST)).to.be.revertedWithCustomError(ethShot, 'IncorrectPayment');
+  });
+
+  it('should reject expired vouchers', async () => {
+    const signed = await signVoucher({ deadline: (await latestTimestamp()) - 1 });
+    await expect(redeem(player, signed)).to.be.revertedWithCustomError(ethShot, 'SignatureExpired');
+  });
+
+  it('should reject all vouchers once the signer is removed', async () => {
+    const signed = await signVoucher();
+    await expect(ethShot.setVoucherSigner(ethers.ZeroAddress))
+      .to.emit(ethShot, 'VoucherSignerUpdated')
+      .withArgs(ethers.ZeroAddress);
+
+    await expect(redeem(player, signed)).to.be.revertedWithCustomError(ethShot, 'InvalidSignature');
+  });
+
+  it('should only let the owner set the voucher signer', async () => {
+    await expect(ethShot.connect(player).setVoucherSigner(player.address))
+      .to.be.revertedWithCustomError(ethShot, 'OwnableUnauthorizedAccount');
+  });
+});
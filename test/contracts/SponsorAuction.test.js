@@ -0,0 +1,164 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+const { ethers } = hre;
+
+describe('EthShot Sponsor Auctions', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const AUCTION_DURATION = 60 * 60;
+
+  let ethShot;
+  let owner;
+  let bidder1;
+  let bidder2;
+
+  const bid = (bidder, name, value) =>
+    ethShot.connect(bidder).bidForSponsorship(name, `https://example.com/${name}.png`, { value });
+
+  const endAuction = async () => {
+    await hre.network.provider.send('evm_increaseTime', [AUCTION_DURATION]);
+    await hre.network.provider.send('evm_mine');
+  };
+
+  beforeEach(async () => {
+    [owner, bidder1, bidder2] = await ethers.getSigners();
+
+    const EthShot = await ethers.getContractFactory('EthShot');
+    ethShot = await EthShot.deploy(
+      owner.address,
+      owner.address,
+      SHOT_COST,
+      SPONSOR_COST,
+      60,
+      9000,
+      1000,
+      1000,
+      100,
+      SHOT_COST,
+      ethers.ZeroAddress,
+      []
+    );
+    await ethShot.waitForDeployment();
+  });
+
+  it('should open an auction with the first bid of at least SPONSOR_COST', async () => {
+    expect(await ethShot.getMinimumSponsorBid()).to.equal(SPONSOR_COST);
+    await expect(bid(bidder1, 'Acme', SPONSOR_COST - 1n)).to.be.revertedWithCustomError(ethShot, 'BidTooLow');
+
+    const tx = await bid(bidder1, 'Acme', SPONSOR_COST);
+    const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+
+    await expect(tx).to.emit(ethShot, 'SponsorBidPlaced')
+      .withArgs(bidder1.address, SPONSOR_COST, timestamp + AUCTION_DURATION);
+
+    const auction = await ethShot.sponsorAuction();
+    expect(auction.highestBidder).to.equal(bidder1.address);
+    expect(auction.highestBid).to.equal(SPONSOR_COST);
+    expect(auction.name).to.equal('Acme');
+
+    // The slot is not sponsored until the auction is settled
+    expect((await ethShot.getCurrentSponsor()).active).to.equal(false);
+  });
+
+  it('should require each bid to beat the last by the minimum increment', async () => {
+    await bid(bidder1, 'Acme', SPONSOR_COST);
+
+    const minimumBid = SPONSOR_COST + SPONSOR_COST * 500n / 10000n;
+    expect(await ethShot.getMinimumSponsorBid()).to.equal(minimumBid);
+    await expect(bid(bidder2, 'Globex', minimumBid - 1n)).to.be.revertedWithCustomError(ethShot, 'BidTooLow');
+    await expect(bid(bidder2, 'Globex', minimumBid)).to.emit(ethShot, 'SponsorBidPlaced');
+  });
+
+  it('should refund outbid bidders through claimPayout', async () => {
+    await bid(bidder1, 'Acme', SPONSOR_COST);
+
+    const outbid = ethers.parseEther('0.02');
+    await expect(bid(bidder2, 'Globex', outbid))
+      .to.emit(ethShot, 'SponsorBidRefunded')
+      .withArgs(bidder1.address, SPONSOR_COST);
+
+    expect(await ethShot.getPendingPayout(bidder1.address)).to.equal(SPONSOR_COST);
+    await expect(ethShot.connect(bidder1).claimPayout()).to.changeEtherBalances(
+      [bidder1, ethShot],
+      [SPONSOR_COST, -SPONSOR_COST]
+    );
+    expect(await ethShot.getPendingPayout(bidder1.address)).to.equal(0n);
+  });
+
+  it('should refund outbid contract wallets that need more than a gas stipend', async () => {
+    const MockContractWallet = await ethers.getContractFactory('MockContractWallet');
+    const wallet = await MockContractWallet.deploy();
+    await wallet.waitForDeployment();
+    const walletAddress = await wallet.getAddress();
+    const call = (name, args, value = 0n) =>
+      wallet.execute(ethShot.target, ethShot.interface.encodeFunctionData(name, args), { value });
+
+    await call('bidForSponsorship', ['Safe', 'https://example.com/Safe.png'], SPONSOR_COST);
+    await bid(bidder2, 'Globex', ethers.parseEther('0.02'));
+
+    await expect(call('claimPayout', [])).to.changeEtherBalances(
+      [walletAddress, ethShot],
+      [SPONSOR_COST, -SPONSOR_COST]
+    );
+    expect(await wallet.totalReceived()).to.equal(SPONSOR_COST);
+    expect(await ethShot.getPendingPayout(walletAddress)).to.equal(0n);
+  });
+
+  it('should not extend the auction when outbid', async () => {
+    await bid(bidder1, 'Acme', SPONSOR_COST);
+    const { endTime } = await ethShot.sponsorAuction();
+
+    await bid(bidder2, 'Globex', ethers.parseEther('0.02'));
+    expect((await ethShot.sponsorAuction()).endTime).to.equal(endTime);
+  });
+
+  it('should activate the winning bid once the auction has ended', async () => {
+    await bid(bidder1, 'Acme', SPONSOR_COST);
+    const winningBid = ethers.parseEther('0.02');
+    await bid(bidder2, 'Globex', winningBid);
+
+    await expect(ethShot.settleSponsorAuction()).to.be.revertedWithCustomError(ethShot, 'AuctionNotEnded');
+    await endAuction();
+
+    const houseFundsBefore = await ethShot.getHouseFunds();
+    await expect(ethShot.connect(bidder1).settleSponsorAuction())
+      .to.emit(ethShot, 'SponsorshipActivated')
+      .withArgs(bidder2.address, 'Globex', 'https://example.com/Globex.png');
+
+    const sponsor = await ethShot.getCurrentSponsor();
+    expect(sponsor.sponsor).to.equal(bidder2.address);
+    expect(sponsor.active).to.equal(true);
+    expect(await ethShot.getHouseFunds()).to.equal(houseFundsBefore + winningBid);
+
+    expect((await ethShot.sponsorAuction()).endTime).to.equal(0n);
+    expect(await ethShot.getMinimumSponsorBid()).to.equal(SPONSOR_COST);
+    await expect(ethShot.settleSponsorAuction()).to.be.revertedWithCustomError(ethShot, 'AuctionNotEnded');
+  });
+
+  it('should settle an ended auction when the next one is opened', async () => {
+    await bid(bidder1, 'Acme', SPONSOR_COST);
+    await endAuction();
+
+    await expect(bid(bidder2, 'Globex', SPONSOR_COST))
+      .to.emit(ethShot, 'SponsorshipActivated')
+      .withArgs(bidder1.address, 'Acme', 'https://example.com/Acme.png');
+
+    expect((await ethShot.getCurrentSponsor()).sponsor).to.equal(bidder1.address);
+    expect((await ethShot.sponsorAuction()).highestBidder).to.equal(bidder2.address);
+    expect(await ethShot.getPendingPayout(bidder1.address)).to.equal(0n);
+  });
+
+  it('should validate sponsor branding', async () => {
+    await expect(ethShot.connect(bidder1).bidForSponsorship('', 'https://example.com/logo.png', { value: SPONSOR_COST }))
+      .to.be.revertedWithCustomError(ethShot, 'InvalidSponsorName');
+    await expect(ethShot.connect(bidder1).bidForSponsorship('x'.repeat(51), 'https://example.com/logo.png', { value: SPONSOR_COST }))
+      .to.be.revertedWithCustomError(ethShot, 'InvalidSponsorName');
+    await expect(ethShot.connect(bidder1).bidForSponsorship('Acme', '', { value: SPONSOR_COST }))
+      .to.be.revertedWithCustomError(ethShot, 'InvalidLogoUrl');
+  });
+
+  it('should not accept bids while paused', async () => {
+    await ethShot.pause();
+    await expect(bid(bidder1, 'Acme', SPONSOR_COST)).to.be.revertedWithCustomError(ethShot, 'EnforcedPause');
+  });
+});
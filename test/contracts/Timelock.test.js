@@ -0,0 +1,248 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { getOwnerTimelock, loadTimelockQueue, TIMELOCK_ACTION_STATUS } from '../../src/lib/crypto/timelock.js';
+const { ethers } = hre;
+
+describe('EthShot Timelock', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const DELAY = 24 * 60 * 60;
+
+  let ethShot;
+  let timelock;
+  let ethShotAddress;
+  let timelockAddress;
+  let deployer;
+  let approver1;
+  let approver2;
+  let approver3;
+  let outsider;
+
+  const increaseTime = async (seconds) => {
+    await hre.network.provider.send('evm_increaseTime', [seconds]);
+    await hre.network.provider.send('evm_mine');
+  };
+
+  const encode = (method, args = []) => ethShot.interface.encodeFunctionData(method, args);
+
+  const propose = (data, target = ethShotAddress) => timelock.connect(approver1).propose(target, data);
+
+  beforeEach(async () => {
+    [deployer, approver1, approver2, approver3, outsider] = await ethers.getSigners();
+
+    const EthShot = await ethers.getContractFactory('EthShotTestable');
+    ethShot = await EthShot.deploy(
+      deployer.address, deployer.address, SHOT_COST, SPONSOR_COST, 60,
+      9000, 1000, 100, 100, SHOT_COST, ethers.ZeroAddress, []
+    );
+    await ethShot.waitForDeployment();
+    ethShotAddress = await ethShot.getAddress();
+
+    const Timelock = await ethers.getContractFactory('EthShotTimelock');
+    timelock = await Timelock.deploy(
+      ethShotAddress,
+      [approver1.address, approver2.address, approver3.address],
+      2,
+      DELAY
+    );
+    await timelock.waitForDeployment();
+    timelockAddress = await timelock.getAddress();
+
+    await ethShot.transferOwnership(timelockAddress);
+  });
+
+  describe('Deployment', () => {
+    it('should own EthShot and lock out the previous owner', async () => {
+      expect(await ethShot.owner()).to.equal(timelockAddress);
+      await expect(ethShot.connect(deployer).pause())
+        .to.be.revertedWithCustomError(ethShot, 'OwnableUnauthorizedAccount');
+    });
+
+    it('should reject delays outside the allowed range and unreachable thresholds', async () => {
+      const Timelock = await ethers.getContractFactory('EthShotTimelock');
+      await expect(Timelock.deploy(ethShotAddress, [approver1.address], 1, 60))
+        .to.be.revertedWithCustomError(Timelock, 'InvalidDelay');
+      await expect(Timelock.deploy(ethShotAddress, [approver1.address], 2, DELAY))
+        .to.be.revertedWithCustomError(Timelock, 'InvalidThreshold');
+      await expect(Timelock.deploy(ethShotAddress, [approver1.address, approver1.address], 1, DELAY))
+        .to.be.revertedWithCustomError(Timelock, 'InvalidApprover').withArgs(approver1.address);
+      await expect(Timelock.deploy(ethers.ZeroAddress, [approver1.address], 1, DELAY))
+        .to.be.revertedWithCustomError(Timelock, 'InvalidAddress');
+    });
+  });
+
+  describe('Propose, wait, execute', () => {
+    it('should emit an event for each stage and pause EthShot after the delay', async () => {
+      const data = encode('pause');
+      const tx = timelock.connect(approver1).propose(ethShotAddress, data);
+      const eta = BigInt((await ethers.provider.getBlock('latest')).timestamp) + 1n + BigInt(DELAY);
+
+      await expect(tx).to.emit(timelock, 'ActionProposed').withArgs(0, approver1.address, ethShotAddress, data, eta);
+      await expect(timelock.connect(approver2).approve(0))
+        .to.emit(timelock, 'ActionApproved').withArgs(0, approver2.address, 2);
+
+      await expect(timelock.connect(approver1).execute(0))
+        .to.be.revertedWithCustomError(timelock, 'ActionTimelocked').withArgs(eta);
+
+      await increaseTime(DELAY);
+      await expect(timelock.connect(approver3).execute(0))
+        .to.emit(timelock, 'ActionExecuted').withArgs(0, approver3.address);
+
+      expect(await ethShot.paused()).to.equal(true);
+      expect((await timelock.getAction(0)).executed).to.equal(true);
+      await expect(timelock.connect(approver1).execute(0))
+        .to.be.revertedWithCustomError(timelock, 'ActionNotPending').withArgs(0);
+    });
+
+    it('should require the approval threshold', async () => {
+      await propose(encode('pause'));
+      await increaseTime(DELAY);
+
+      await expect(timelock.connect(approver1).execute(0))
+        .to.be.revertedWithCustomError(timelock, 'NotEnoughApprovals').withArgs(1, 2);
+      await expect(timelock.connect(approver1).approve(0))
+        .to.be.revertedWithCustomError(timelock, 'AlreadyApproved').withArgs(0);
+    });
+
+    it('should bubble up the EthShot revert reason and keep the action queued', async () => {
+      await propose(encode('withdrawHouseFunds'));
+      await timelock.connect(approver2).approve(0);
+      await increaseTime(DELAY);
+
+      await expect(timelock.connect(approver1).execute(0)).to.be.revertedWithCustomError(ethShot, 'NoHouseFunds');
+      expect((await timelock.getAction(0)).executed).to.equal(false);
+    });
+
+    it('should let any approver cancel a queued action', async () => {
+      await propose(encode('setTestMode', [true]));
+
+      await expect(timelock.connect(approver3).cancel(0))
+        .to.emit(timelock, 'ActionCancelled').withArgs(0, approver3.address);
+
+      await expect(timelock.connect(approver2).approve(0))
+        .to.be.revertedWithCustomError(timelock, 'ActionNotPending').withArgs(0);
+    });
+
+    it('should expire actions that were not executed within the grace period', async () => {
+      await propose(encode('pause'));
+      await timelock.connect(approver2).approve(0);
+      await increaseTime(DELAY + Number(await timelock.GRACE_PERIOD()) + 1);
+
+      await expect(timelock.connect(approver1).execute(0))
+        .to.be.revertedWithCustomError(timelock, 'ActionExpired');
+    });
+
+    it('should only accept approvers and known targets', async () => {
+      await expect(timelock.connect(outsider).propose(ethShotAddress, encode('pause')))
+        .to.be.revertedWithCustomError(timelock, 'NotApprover');
+      await expect(timelock.connect(approver1).propose(outsider.address, encode('pause')))
+        .to.be.revertedWithCustomError(timelock, 'InvalidTarget').withArgs(outsider.address);
+      await expect(timelock.connect(approver1).propose(ethShotAddress, '0x1234'))
+        .to.be.revertedWithCustomError(timelock, 'MissingSelector');
+      await expect(timelock.getAction(0)).to.be.revertedWithCustomError(timelock, 'UnknownAction').withArgs(0);
+    });
+  });
+
+  describe('Emergency pause', () => {
+    it('should let a single approver pause EthShot without the delay', async () => {
+      await expect(timelock.connect(approver2).emergencyPause())
+        .to.emit(timelock, 'EmergencyPaused').withArgs(approver2.address);
+      expect(await ethShot.paused()).to.equal(true);
+
+      await expect(timelock.connect(approver2).emergencyPause())
+        .to.be.revertedWithCustomError(ethShot, 'EnforcedPause');
+    });
+
+    it('should only let approvers pause and still queue unpausing', async () => {
+      await expect(timelock.connect(outsider).emergencyPause())
+        .to.be.revertedWithCustomError(timelock, 'NotApprover');
+
+      await timelock.connect(approver1).emergencyPause();
+      await propose(encode('unpause'));
+      await timelock.connect(approver2).approve(0);
+      await expect(timelock.connect(approver1).execute(0))
+        .to.be.revertedWithCustomError(timelock, 'ActionTimelocked');
+
+      await increaseTime(DELAY);
+      await timelock.connect(approver1).execute(0);
+      expect(await ethShot.paused()).to.equal(false);
+    });
+  });
+
+  describe('AdminPanel queue', () => {
+    it('should find the timelock behind EthShot.owner() and list queued actions', async () => {
+      await propose(encode('setTestMode', [true]));
+      await propose(encode('pause'));
+      await timelock.connect(approver2).approve(1);
+
+      const ownerTimelock = await getOwnerTimelock(ethShot, ethers.provider);
+      expect(await ownerTimelock.getAddress()).to.equal(timelockAddress);
+
+      const queue = await loadTimelockQueue(ownerTimelock, approver2.address, ethShot.interface);
+      expect(queue).to.include({ delay: DELAY, threshold: 2, approverCount: 3, isApprover: true });
+      expect(queue.actions.map(({ id, description, approvals, approvedByAccount, status }) =>
+        ({ id, description, approvals, approvedByAccount, status }))).to.deep.equal([
+        { id: 1, description: 'pause()', approvals: 2, approvedByAccount: true, status: TIMELOCK_ACTION_STATUS.TIMELOCKED },
+        { id: 0, description: 'setTestMode(true)', approvals: 1, approvedByAccount: false, status: TIMELOCK_ACTION_STATUS.AWAITING_APPROVALS }
+      ]);
+    });
+
+    it('should not report a timelock for an account owner', async () => {
+      const EthShot = await ethers.getContractFactory('EthShot');
+      const ownedByAccount = await EthShot.deploy(
+        deployer.address, deployer.address, SHOT_COST, SPONSOR_COST, 60,
+        9000, 1000, 100, 100, SHOT_COST, ethers.ZeroAddress, []
+      );
+
+      expect(await getOwnerTimelock(ownedByAccount, ethers.provider)).to.equal(null);
+    });
+  });
+
+  describe('Timelock settings', () => {
+    it('should only change settings through the queue', async () => {
+      await expect(timelock.connect(approver1).setDelay(2 * DELAY))
+        .to.be.revertedWithCustomError(timelock, 'OnlyTimelock');
+
+      await propose(timelock.interface.encodeFunctionData('setDelay', [2 * DELAY]), timelockAddress);
+      await timelock.connect(approver2).approve(0);
+      await increaseTime(DELAY);
+      await expect(timelock.connect(approver1).execute(0)).to.emit(timelock, 'DelayUpdated').withArgs(2 * DELAY);
+
+      expect(await timelock.delay()).to.equal(2 * DELAY);
+    });
+
+    it('should not remove approvers below the threshold', async () => {
+      const remove = (signer) => timelock.interface.encodeFunctionData('setApprover', [signer.address, false]);
+      await propose(remove(approver3), timelockAddress);
+      await propose(remove(approver2), timelockAddress);
+      for (const id of [0, 1]) {
+        await timelock.connect(approver2).approve(id);
+      }
+      await increaseTime(DELAY);
+
+      await timelock.connect(approver1).execute(0);
+      expect(await timelock.isApprover(approver3.address)).to.equal(false);
+      await expect(timelock.connect(approver1).execute(1))
+        .to.be.revertedWithCustomError(timelock, 'WouldFallBelowThreshold');
+    });
+
+    it('should stop counting approvals from removed approvers', async () => {
+      await propose(encode('pause'));
+      await timelock.connect(approver3).approve(0);
+      await propose(timelock.interface.encodeFunctionData('setApprover', [approver3.address, false]), timelockAddress);
+      await timelock.connect(approver2).approve(1);
+      await increaseTime(DELAY);
+
+      await timelock.connect(approver1).execute(1);
+      expect(await timelock.approverCount()).to.equal(2);
+      expect((await timelock.getAction(0)).approvals).to.equal(1);
+      await expect(timelock.connect(approver1).execute(0))
+        .to.be.revertedWithCustomError(timelock, 'NotEnoughApprovals').withArgs(1, 2);
+
+      await expect(timelock.connect(approver2).approve(0))
+        .to.emit(timelock, 'ActionApproved').withArgs(0, approver2.address, 2);
+      await timelock.connect(approver1).execute(0);
+      expect(await ethShot.paused()).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+const { ethers } = hre;
+
+describe('EthShot ERC-20 Token Shots', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const COOLDOWN_PERIOD = 60;
+  const WIN_PERCENTAGE_BP = 9000;
+  const HOUSE_PERCENTAGE_BP = 1000;
+  const WIN_CHANCE_BP = 100;
+  const MAX_RECENT_WINNERS = 100;
+  const MIN_POT_SIZE = SHOT_COST;
+  const TOKEN_SHOT_COST = ethers.parseUnits('2', 6);
+
+  let owner;
+  let house;
+  let player1;
+  let player2;
+  let ethShot;
+  let token;
+  let tokenAddress;
+
+  const commitmentFor = (secret, signer) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, signer.address]));
+
+  const mine = (blocks) => hre.network.provider.send('hardhat_mine', [ethers.toQuantity(blocks)]);
+
+  const commitTokenShot = (signer, secret) =>
+    ethShot.connect(signer).commitShotWithToken(tokenAddress, commitmentFor(secret, signer));
+
+  beforeEach(async () => {
+    [owner, house, player1, player2] = await ethers.getSigners();
+
+    const EthShot = await ethers.getContractFactory('EthShotTestable');
+    ethShot = await EthShot.deploy(
+      owner.address,
+      house.address,
+      SHOT_COST,
+      SPONSOR_COST,
+      COOLDOWN_PERIOD,
+      WIN_PERCENTAGE_BP,
+      HOUSE_PERCENTAGE_BP,
+      WIN_CHANCE_BP,
+      MAX_RECENT_WINNERS,
+      MIN_POT_SIZE,
+      ethers.ZeroAddress,
+      []
+    );
+    await ethShot.waitForDeployment();
+
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    token = await MockERC20.deploy('USD Coin', 'USDC', 6);
+    await token.waitForDeployment();
+    tokenAddress = await token.getAddress();
+
+    for (const signer of [player1, player2]) {
+      await token.mint(signer.address, ethers.parseUnits('100', 6));
+      await token.connect(signer).approve(await ethShot.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  describe('Token configuration', () => {
+    it('should let the owner accept a token', async () => {
+      await expect(ethShot.setAcceptedToken(tokenAddress, TOKEN_SHOT_COST))
+        .to.emit(ethShot, 'TokenAccepted')
+        .withArgs(tokenAddress, TOKEN_SHOT_COST);
+
+      expect(await ethShot.getAcceptedTokens()).to.deep.equal([tokenAddress]);
+      const [shotCost, pot, houseFunds] = await ethShot.getTokenPot(tokenAddress);
+      expect(shotCost).to.equal(TOKEN_SHOT_COST);
+      expect(pot).to.equal(0n);
+      expect(houseFunds).to.equal(0n);
+    });
+
+    it('should list a token once when its cost changes', async () => {
+      await ethShot.setAcceptedToken(tokenAddress, TOKEN_SHOT_COST);
+      await ethShot.setAcceptedToken(tokenAddress, 0);
+      await ethShot.setAcceptedToken(tokenAddress, TOKEN_SHOT_COST * 2n);
+
+      expect(await ethShot.getAcceptedTokens()).to.deep.equal([tokenAddress]);
+      expect((await ethShot.getTokenPot(tokenAddress)).shotCost).to.equal(TOKEN_SHOT_COST * 2n);
+    });
+
+    it('should only let the owner accept tokens', async () => {
+      await expect(ethShot.connect(player1).setAcceptedToken(tokenAddress, TOKEN_SHOT_COST))
+        .to.be.revertedWithCustomError(ethShot, 'OwnableUnauthorizedAccount');
+      await expect(ethShot.setAcceptedToken(ethers.ZeroAddress, TOKEN_SHOT_COST))
+        .to.be.revertedWithCustomError(ethShot, 'InvalidAddress');
+    });
+  });
+
+  describe('Token shots', () => {
+    beforeEach(async () => {
+      await ethShot.setAcceptedToken(tokenAddress, TOKEN_SHOT_COST);
+    });
+
+    it('should pull the shot cost into the token pot', async () => {
+      const tx = commitTokenShot(player1, 7n);
+
+      await expect(tx).to.emit(ethShot, 'TokenShotCommitted').withArgs(player1.address, tokenAddress, TOKEN_SHOT_COST);
+      await expect(tx).to.emit(ethShot, 'ShotCommitted');
+      await expect(tx).to.changeTokenBalances(token, [player1, ethShot], [-TOKEN_SHOT_COST, TOKEN_SHOT_COST]);
+
+      expect((await ethShot.getTokenPot(tokenAddress)).pot).to.equal(TOKEN_SHOT_COST);
+      expect(await ethShot.getCurrentPot()).to.equal(0n);
+
+      const stats = await ethShot.getPlayerStats(player1.address);
+      expect(stats.totalShots).to.equal(1n);
+      expect(stats.totalSpent).to.equal(0n);
+    });
+
+    it('should reject tokens that are not accepted', async () => {
+      await ethShot.setAcceptedToken(tokenAddress, 0);
+
+      await expect(commitTokenShot(player1, 7n))
+        .to.be.revertedWithCustomError(ethShot, 'TokenNotAccepted')
+        .withArgs(tokenAddress);
+    });
+
+    it('should revert without an allowance', async () => {
+      await token.connect(player1).approve(await ethShot.getAddress(), 0);
+
+      await expect(commitTokenShot(player1, 7n))
+        .to.be.revertedWithCustomError(token, 'ERC20InsufficientAllowance');
+    });
+
+    it('should share the cooldown with ETH shots', async () => {
+      await commitTokenShot(player1, 7n);
+      await mine(2);
+      await ethShot.connect(player1).revealShot(7n);
+
+      const lastShotTime = await ethShot.lastShotTime(player1.address);
+      await hre.network.provider.send('evm_setNextBlockTimestamp', [Number(lastShotTime) + 10]);
+      await expect(ethShot.connect(player1).commitShot(commitmentFor(8n, player1), { value: SHOT_COST }))
+        .to.be.revertedWithCustomError(ethShot, 'CooldownActive')
+        .withArgs(COOLDOWN_PERIOD - 10);
+    });
+
+    it('should pay the token pot to a winner and keep the house share', async () => {
+      await ethShot.setTestMode(true);
+      await commitTokenShot(player2, 1n);
+      await mine(2);
+      await ethShot.connect(player2).revealShot(1n);
+
+      await commitTokenShot(player1, 7n);
+      await mine(2);
+      await ethShot.setWinningNumber(1);
+
+      const pot = TOKEN_SHOT_COST * 2n;
+      const winnerAmount = (pot * BigInt(WIN_PERCENTAGE_BP)) / 10000n;
+      const tx = ethShot.connect(player1).revealShot(7n);
+
+      await expect(tx).to.emit(ethShot, 'TokenJackpotWon').withArgs(player1.address, tokenAddress, winnerAmount);
+      await expect(tx).to.changeTokenBalance(token, player1, winnerAmount);
+      await expect(tx).to.not.emit(ethShot, 'JackpotWon');
+
+      const [, tokenPot, houseFunds] = await ethShot.getTokenPot(tokenAddress);
+      expect(tokenPot).to.equal(0n);
+      expect(houseFunds).to.equal(pot - winnerAmount);
+      expect(await ethShot.currentRound()).to.equal(1n);
+
+      await expect(ethShot.withdrawTokenHouseFunds(tokenAddress))
+        .to.emit(ethShot, 'TokenHouseFundsWithdrawn')
+        .withArgs(tokenAddress, house.address, pot - winnerAmount);
+      expect(await token.balanceOf(house.address)).to.equal(pot - winnerAmount);
+    });
+
+    it('should not let a token shot win a pot holding only its own payment', async () => {
+      await ethShot.setTestMode(true);
+      await ethShot.setWinningNumber(1);
+      await commitTokenShot(player1, 7n);
+      await mine(2);
+
+      await expect(ethShot.connect(player1).revealShot(7n))
+        .to.emit(ethShot, 'ShotRevealed')
+        .withArgs(player1.address, TOKEN_SHOT_COST, false, 1);
+      expect((await ethShot.getTokenPot(tokenAddress)).pot).to.equal(TOKEN_SHOT_COST);
+    });
+
+    it('should keep ETH and token pots separate', async () => {
+      await ethShot.connect(player2).commitShot(commitmentFor(3n, player2), { value: SHOT_COST });
+      await commitTokenShot(player1, 7n);
+
+      expect(await ethShot.getCurrentPot()).to.equal(SHOT_COST);
+      expect((await ethShot.getTokenPot(tokenAddress)).pot).to.equal(TOKEN_SHOT_COST);
+    });
+  });
+});
@@ -19,8 +19,9 @@ describe('EthShot Test Mode Network Protection', () => {
   beforeEach(async () => {
     [owner, player] = await ethers.getSigners();
     
-    const EthShot = await ethers.getContractFactory('EthShot');
+    const EthShot = await ethers.getContractFactory('EthShotTestable');
     ethShot = await EthShot.deploy(
+      owner.address,
       owner.address,
       SHOT_COST,
       SPONSOR_COST,
@@ -29,12 +30,42 @@ describe('EthShot Test Mode Network Protection', () => {
       HOUSE_PERCENTAGE_BP,
       WIN_CHANCE_BP,
       MAX_RECENT_WINNERS,
-      MIN_POT_SIZE
+      MIN_POT_SIZE,
+      ethers.ZeroAddress,
+      []
     );
     
     await ethShot.waitForDeployment();
   });
 
+  describe('Production Contract', () => {
+    it('should have no rigging functions and always report test mode off', async () => {
+      const EthShot = await ethers.getContractFactory('EthShot');
+      const production = await EthShot.deploy(
+        owner.address,
+        owner.address,
+        SHOT_COST,
+        SPONSOR_COST,
+        COOLDOWN_PERIOD,
+        WIN_PERCENTAGE_BP,
+        HOUSE_PERCENTAGE_BP,
+        WIN_CHANCE_BP,
+        MAX_RECENT_WINNERS,
+        MIN_POT_SIZE,
+        ethers.ZeroAddress,
+        []
+      );
+
+      for (const name of ['setTestMode', 'setWinningNumber', 'setTestFiftyPercentMode', 'testMode']) {
+        expect(production.interface.getFunction(name)).to.equal(null);
+      }
+
+      const config = await production.getTestModeConfig();
+      expect(config.isTestMode).to.be.false;
+      expect(config.isFiftyPercentMode).to.be.false;
+    });
+  });
+
   describe('Network Protection', () => {
     it('should allow test mode on testnet (non-mainnet)', async () => {
       // This test assumes we're running on a testnet (not chain ID 1)
@@ -51,11 +82,11 @@ describe('EthShot Test Mode Network Protection', () => {
       // Test mode is false by default
       await expect(
         ethShot.setWinningNumber(1)
-      ).to.be.revertedWith('Test mode not enabled');
+      ).to.be.revertedWithCustomError(ethShot, 'TestModeNotEnabled');
       
       await expect(
         ethShot.setTestFiftyPercentMode(true)
-      ).to.be.revertedWith('Test mode not enabled');
+      ).to.be.revertedWithCustomError(ethShot, 'TestModeNotEnabled');
     });
 
     it('should allow test functions when test mode is enabled', async () => {
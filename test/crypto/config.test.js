@@ -22,6 +22,7 @@ describe('Multi-Crypto Configuration System', () => {
     it('should define correct crypto types', () => {
       expect(CRYPTO_TYPES).to.deep.equal({
         ETH: 'ETH',
+        USDC: 'USDC',
         SOL: 'SOL'
       });
     });
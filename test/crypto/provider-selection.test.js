@@ -0,0 +1,187 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import {
+  createWeightedRoundRobin,
+  findQuorum,
+  providerWeight,
+  requestWithQuorum,
+  updateLatency
+} from '../../src/lib/crypto/provider-selection.js';
+import { createRpcMetricsReporter } from '../../src/lib/crypto/rpc-metrics.js';
+
+const countPicks = (pick, configs, rounds) => {
+  const counts = new Map(configs.map((config) => [config.name, 0]));
+  for (let i = 0; i < rounds; i++) {
+    const picked = pick(configs);
+    counts.set(picked.name, counts.get(picked.name) + 1);
+  }
+  return Object.fromEntries(counts);
+};
+
+describe('RPC Provider Selection', () => {
+  describe('updateLatency / providerWeight', () => {
+    it('should start from the first sample and smooth later ones', () => {
+      expect(updateLatency(null, 120)).to.equal(120);
+      expect(updateLatency(100, 200, 0.5)).to.equal(150);
+    });
+
+    it('should weight faster providers higher at equal priority', () => {
+      const fast = providerWeight({ priority: 1, latencyMs: 50 });
+      const slow = providerWeight({ priority: 1, latencyMs: 500 });
+      const unknown = providerWeight({ priority: 1, latencyMs: null });
+
+      expect(fast).to.equal(10 * slow);
+      expect(unknown).to.be.within(slow, fast);
+    });
+  });
+
+  describe('createWeightedRoundRobin', () => {
+    it('should share picks in proportion to weight', () => {
+      const pick = createWeightedRoundRobin((config) => config.weight);
+      const configs = [{ name: 'a', weight: 5 }, { name: 'b', weight: 3 }, { name: 'c', weight: 2 }];
+
+      expect(countPicks(pick, configs, 100)).to.deep.equal({ a: 50, b: 30, c: 20 });
+    });
+
+    it('should interleave picks instead of sending runs to the heaviest provider', () => {
+      const pick = createWeightedRoundRobin((config) => config.weight);
+      const configs = [{ name: 'a', weight: 2 }, { name: 'b', weight: 1 }];
+
+      expect([1, 2, 3, 4, 5, 6].map(() => pick(configs).name)).to.deep.equal(['a', 'b', 'a', 'a', 'b', 'a']);
+    });
+
+    it('should move traffic towards lower observed latency', () => {
+      const pick = createWeightedRoundRobin();
+      const configs = [
+        { name: 'fast', priority: 1, latencyMs: 100 },
+        { name: 'slow', priority: 1, latencyMs: 400 }
+      ];
+
+      expect(countPicks(pick, configs, 50)).to.deep.equal({ fast: 40, slow: 10 });
+    });
+
+    it('should return null without providers', () => {
+      expect(createWeightedRoundRobin()([])).to.equal(null);
+    });
+  });
+
+  describe('findQuorum', () => {
+    it('should match equal results regardless of key order or bigints', () => {
+      const agreed = findQuorum([
+        { provider: 'a', value: { pot: 5n, round: 1 } },
+        { provider: 'b', value: { round: 1, pot: 5n } }
+      ], 2);
+
+      expect(agreed.providers).to.deep.equal(['a', 'b']);
+    });
+
+    it('should return null when too few providers agree', () => {
+      expect(findQuorum([
+        { provider: 'a', value: '0x01' },
+        { provider: 'b', value: '0x02' }
+      ], 2)).to.equal(null);
+    });
+  });
+
+  describe('requestWithQuorum', () => {
+    const candidates = ['a', 'b', 'c', 'd'].map((name) => ({ name }));
+
+    it('should ask only the first quorum providers when they agree', async () => {
+      const asked = [];
+      const result = await requestWithQuorum(candidates, 2, async ({ name }) => {
+        asked.push(name);
+        return '0x05';
+      });
+
+      expect(result.value).to.equal('0x05');
+      expect(asked).to.deep.equal(['a', 'b']);
+    });
+
+    it('should ask further providers after a failure or disagreement', async () => {
+      const answers = { a: '0x05', b: '0x04', c: null, d: '0x05' };
+      const asked = [];
+      const result = await requestWithQuorum(candidates, 2, async ({ name }) => {
+        asked.push(name);
+        if (answers[name] === null) throw new Error('timeout');
+        return answers[name];
+      });
+
+      expect(result.value).to.equal('0x05');
+      expect(result.providers).to.deep.equal(['a', 'd']);
+      expect(asked).to.deep.equal(['a', 'b', 'c', 'd']);
+      expect(result.responses).to.have.length(3);
+    });
+
+    it('should fail with every answer attached when no quorum is reached', async () => {
+      let thrown;
+      try {
+        await requestWithQuorum(candidates.slice(0, 3), 2, async ({ name }) => {
+          if (name === 'c') throw new Error('rate limited');
+          return name;
+        });
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown.message).to.match(/2 RPC providers did not agree \(2 answered, 1 failed\)/);
+      expect(thrown.responses.map((response) => response.provider)).to.deep.equal(['a', 'b']);
+      expect(thrown.errors).to.deep.equal([{ provider: 'c', error: 'rate limited' }]);
+    });
+  });
+
+  describe('createRpcMetricsReporter', () => {
+    it('should batch requests and keep the latest health check per provider', async () => {
+      const batches = [];
+      const reporter = createRpcMetricsReporter({ send: (batch) => batches.push(batch), maxBuffered: 2 });
+
+      ['eth_call', 'eth_getBalance', 'eth_blockNumber'].forEach((method) =>
+        reporter.recordRequest({ provider: 'a', method, success: true }));
+      reporter.recordHealth({ provider: 'a', isHealthy: true });
+      reporter.recordHealth({ provider: 'a', isHealthy: false });
+      await reporter.flush();
+      await reporter.flush();
+      reporter.stop();
+
+      expect(batches).to.have.length(1);
+      expect(batches[0].requests.map((metric) => metric.method)).to.deep.equal(['eth_getBalance', 'eth_blockNumber']);
+      expect(batches[0].health).to.deep.equal([{ provider: 'a', isHealthy: false }]);
+    });
+
+    it('should send rate limit events with the batch', async () => {
+      const batches = [];
+      const reporter = createRpcMetricsReporter({ send: (batch) => batches.push(batch) });
+
+      reporter.recordRateLimitEvent({ provider: 'a', eventType: 'rate_limited', method: 'eth_call', delayMs: 1000, attempt: 1 });
+      await reporter.flush();
+      reporter.stop();
+
+      expect(batches).to.have.length(1);
+      expect(batches[0].requests).to.deep.equal([]);
+      expect(batches[0].rateLimitEvents).to.deep.equal([
+        { provider: 'a', eventType: 'rate_limited', method: 'eth_call', delayMs: 1000, attempt: 1 }
+      ]);
+    });
+
+    it('should drop a batch the sender rejects', async () => {
+      let sends = 0;
+      const reporter = createRpcMetricsReporter({
+        send: () => {
+          sends++;
+          return Promise.reject(new Error('offline'));
+        }
+      });
+      const warn = console.warn;
+      console.warn = () => {};
+      try {
+        reporter.recordRequest({ provider: 'a', method: 'eth_call', success: true });
+        await reporter.flush();
+        await reporter.flush();
+      } finally {
+        console.warn = warn;
+        reporter.stop();
+      }
+
+      expect(sends).to.equal(1);
+    });
+  });
+});
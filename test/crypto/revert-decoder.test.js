@@ -0,0 +1,91 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { ethers } from 'ethers';
+import {
+  createRevertDecoder,
+  findRevertData,
+  REVERT_CATEGORIES
+} from '../../src/lib/crypto/revert-decoder.js';
+
+const ERRORS = [
+  'error CooldownActive(uint256 remaining)',
+  'error PendingShotExists()',
+  'error DailySpendLimitReached(uint256 remaining)',
+  'error TierChancesTooHigh()'
+];
+const errorsInterface = new ethers.Interface(ERRORS);
+const decode = createRevertDecoder([...ERRORS, 'function commitShot(bytes32 commitment) payable']);
+
+const cooldown = errorsInterface.encodeErrorResult('CooldownActive', [90]);
+const errorString = (reason) => '0x08c379a0' + ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason]).slice(2);
+
+describe('Revert Decoder', () => {
+  describe('findRevertData', () => {
+    it('should read ethers CALL_EXCEPTION data', () => {
+      expect(findRevertData({ code: 'CALL_EXCEPTION', data: cooldown })).to.equal(cooldown);
+    });
+
+    it('should find data nested by wallets and RPC providers', () => {
+      expect(findRevertData({ error: { code: -32603, data: { originalError: { data: cooldown } } } })).to.equal(cooldown);
+      expect(findRevertData({ info: { error: { code: 3, data: cooldown } } })).to.equal(cooldown);
+      expect(findRevertData(new Error('failed', { cause: { data: cooldown } }))).to.equal(cooldown);
+    });
+
+    it('should parse JSON response bodies and message text', () => {
+      const body = JSON.stringify({ jsonrpc: '2.0', error: { code: 3, message: 'execution reverted', data: cooldown } });
+      expect(findRevertData({ body })).to.equal(cooldown);
+      expect(findRevertData({ message: `execution reverted (data="${cooldown}", transaction={})` })).to.equal(cooldown);
+    });
+
+    it('should ignore transaction calldata and errors without revert data', () => {
+      const calldata = new ethers.Interface(['function commitShot(bytes32 commitment)'])
+        .encodeFunctionData('commitShot', [ethers.ZeroHash]);
+      expect(findRevertData({ transaction: { data: calldata }, data: '0x' })).to.equal(null);
+      expect(findRevertData({ code: 'ACTION_REJECTED', message: 'user rejected action' })).to.equal(null);
+    });
+  });
+
+  describe('decode', () => {
+    it('should decode custom errors into typed messages', () => {
+      const revert = decode({ data: cooldown });
+      expect(revert.name).to.equal('CooldownActive');
+      expect(revert.args.remaining).to.equal(90n);
+      expect(revert.category).to.equal(REVERT_CATEGORIES.COOLDOWN);
+      expect(revert.message).to.include('1m 30s');
+
+      const pending = decode({ data: errorsInterface.encodeErrorResult('PendingShotExists', []) });
+      expect(pending.category).to.equal(REVERT_CATEGORIES.PENDING_SHOT);
+
+      const limit = decode({ data: errorsInterface.encodeErrorResult('DailySpendLimitReached', [ethers.parseEther('0.002')]) });
+      expect(limit.category).to.equal(REVERT_CATEGORIES.RESPONSIBLE_PLAY);
+      expect(limit.message).to.include('0.002 ETH');
+    });
+
+    it('should name errors that have no player-facing message', () => {
+      const revert = decode({ data: errorsInterface.encodeErrorResult('TierChancesTooHigh', []) });
+      expect(revert.name).to.equal('TierChancesTooHigh');
+      expect(revert.category).to.equal(REVERT_CATEGORIES.UNKNOWN);
+      expect(revert.message).to.include('TierChancesTooHigh');
+    });
+
+    it('should decode Error(string) and Panic(uint256) reverts', () => {
+      const reason = decode({ data: errorString('Action is still timelocked') });
+      expect(reason.name).to.equal('Error');
+      expect(reason.message).to.equal('Action is still timelocked');
+
+      const panic = decode({ data: '0x4e487b71' + ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [0x11]).slice(2) });
+      expect(panic.name).to.equal('Panic');
+      expect(panic.message).to.include('0x11');
+    });
+
+    it('should report unknown selectors without throwing', () => {
+      const revert = decode({ data: '0xdeadbeef' });
+      expect(revert.name).to.equal(null);
+      expect(revert.message).to.include('0xdeadbeef');
+    });
+
+    it('should return null when there is nothing to decode', () => {
+      expect(decode(new Error('network error'))).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { ethers } from 'ethers';
+import {
+  describeAction,
+  getActionStatus,
+  TIMELOCK_ABI,
+  TIMELOCK_ACTION_STATUS
+} from '../../src/lib/crypto/timelock.js';
+import { createRevertDecoder, REVERT_CATEGORIES } from '../../src/lib/crypto/revert-decoder.js';
+
+const ETH_SHOT = '0x1111111111111111111111111111111111111111';
+const TIMELOCK = '0x2222222222222222222222222222222222222222';
+const NOW = 1_700_000_000;
+const SETTINGS = { threshold: 2, gracePeriod: 14 * 24 * 60 * 60 };
+
+const ethShotInterface = new ethers.Interface([
+  'function pause()',
+  'function setTestMode(bool _testMode)',
+  'function setWinningNumber(uint256 _winningNumber)'
+]);
+const timelockInterface = new ethers.Interface(TIMELOCK_ABI);
+
+const actionOf = (overrides = {}) => ({
+  target: ETH_SHOT,
+  data: ethShotInterface.encodeFunctionData('pause'),
+  eta: BigInt(NOW + 3600),
+  approvals: 2n,
+  executed: false,
+  cancelled: false,
+  ...overrides
+});
+
+describe('Timelock Helpers', () => {
+  describe('getActionStatus', () => {
+    it('should wait for approvals before anything else', () => {
+      expect(getActionStatus(actionOf({ approvals: 1n }), SETTINGS, NOW)).to.equal(TIMELOCK_ACTION_STATUS.AWAITING_APPROVALS);
+    });
+
+    it('should be timelocked until the ETA and ready after it', () => {
+      expect(getActionStatus(actionOf(), SETTINGS, NOW)).to.equal(TIMELOCK_ACTION_STATUS.TIMELOCKED);
+      expect(getActionStatus(actionOf(), SETTINGS, NOW + 3600)).to.equal(TIMELOCK_ACTION_STATUS.READY);
+    });
+
+    it('should expire after the grace period', () => {
+      const afterGrace = NOW + 3600 + SETTINGS.gracePeriod + 1;
+      expect(getActionStatus(actionOf(), SETTINGS, afterGrace)).to.equal(TIMELOCK_ACTION_STATUS.EXPIRED);
+    });
+
+    it('should report executed and cancelled actions', () => {
+      expect(getActionStatus(actionOf({ executed: true }), SETTINGS, NOW)).to.equal(TIMELOCK_ACTION_STATUS.EXECUTED);
+      expect(getActionStatus(actionOf({ cancelled: true }), SETTINGS, NOW)).to.equal(TIMELOCK_ACTION_STATUS.CANCELLED);
+    });
+  });
+
+  describe('describeAction', () => {
+    it('should decode EthShot calls with their arguments', () => {
+      const action = actionOf({ data: ethShotInterface.encodeFunctionData('setWinningNumber', [1]) });
+      expect(describeAction(action, ethShotInterface, TIMELOCK)).to.equal('setWinningNumber(1)');
+    });
+
+    it('should prefix changes to the timelock settings', () => {
+      const action = actionOf({ target: TIMELOCK, data: timelockInterface.encodeFunctionData('setDelay', [86400]) });
+      expect(describeAction(action, ethShotInterface, TIMELOCK)).to.equal('timelock.setDelay(86400)');
+    });
+
+    it('should fall back to the selector for unknown calls', () => {
+      const action = actionOf({ data: '0xdeadbeef' });
+      expect(describeAction(action, ethShotInterface, TIMELOCK)).to.equal('unknown call 0xdeadbeef');
+    });
+  });
+
+  describe('timelock reverts', () => {
+    it('should decode the timelock custom errors for the AdminPanel', () => {
+      const decode = createRevertDecoder(TIMELOCK_ABI);
+
+      const approvals = decode({ data: timelockInterface.encodeErrorResult('NotEnoughApprovals', [1, 2]) });
+      expect(approvals.category).to.equal(REVERT_CATEGORIES.ADMIN);
+      expect(approvals.message).to.equal('This action has 1 of the 2 approvals it needs.');
+
+      const pending = decode({ data: timelockInterface.encodeErrorResult('ActionNotPending', [3]) });
+      expect(pending.args).to.deep.equal({ id: 3n });
+      expect(pending.message).to.include('#3');
+    });
+  });
+});
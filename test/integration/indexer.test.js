@@ -0,0 +1,294 @@
+/**
+ * Integration tests for the chain indexer
+ * Runs the indexer against the Hardhat network: npx hardhat test test/integration/indexer.test.js
+ */
+
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { ChainIndexer, findDeployBlock } from '../../servers/indexer/chain-indexer.js';
+
+const { ethers } = hre;
+
+/**
+ * Minimal in-memory stand-in for the Supabase queries used by ChainIndexer
+ */
+const createStore = () => {
+  const tables = {};
+  const rowsOf = (table) => (tables[table] ||= []);
+
+  return {
+    tables,
+    rowsOf,
+    from(table) {
+      const rows = rowsOf(table);
+      const filters = [];
+      let sort = null;
+      let limit = Infinity;
+      let run = () => rows.filter((row) => filters.every((filter) => filter(row)));
+
+      const result = () => {
+        let data = run();
+        if (Array.isArray(data)) {
+          if (sort) {
+            data = [...data].sort((a, b) => (a[sort.column] - b[sort.column]) * (sort.ascending ? 1 : -1));
+          }
+          data = data.slice(0, limit);
+        }
+        return { data, error: null };
+      };
+
+      const query = {
+        select: () => query,
+        eq: (column, value) => {
+          filters.push((row) => row[column] === value);
+          return query;
+        },
+        ilike: (column, value) => {
+          filters.push((row) => row[column]?.toLowerCase() === value.toLowerCase());
+          return query;
+        },
+        gt: (column, value) => {
+          filters.push((row) => row[column] !== null && row[column] > value);
+          return query;
+        },
+        gte: (column, value) => {
+          filters.push((row) => row[column] >= value);
+          return query;
+        },
+        lt: (column, value) => {
+          filters.push((row) => row[column] < value);
+          return query;
+        },
+        order: (column, { ascending = true } = {}) => {
+          sort = { column, ascending };
+          return query;
+        },
+        limit: (count) => {
+          limit = count;
+          return query;
+        },
+        maybeSingle: () => {
+          const { data } = result();
+          return Promise.resolve({ data: data[0] || null, error: null });
+        },
+        upsert: (row, { onConflict }) => {
+          const keys = onConflict.split(',');
+          const existing = rows.find((candidate) => keys.every((key) => candidate[key] === row[key]));
+          if (existing) {
+            Object.assign(existing, row);
+          } else {
+            rows.push({ won: false, reveal_tx_hash: null, reveal_block_number: null, ...row });
+          }
+          return Promise.resolve({ error: null });
+        },
+        update: (changes) => {
+          run = () => {
+            rows.filter((row) => filters.every((filter) => filter(row))).forEach((row) => Object.assign(row, changes));
+            return null;
+          };
+          return query;
+        },
+        delete: () => {
+          run = () => {
+            const kept = rows.filter((row) => !filters.every((filter) => filter(row)));
+            rows.splice(0, rows.length, ...kept);
+            return null;
+          };
+          return query;
+        },
+        then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+      };
+      return query;
+    }
+  };
+};
+
+describe('Chain Indexer', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+
+  let owner;
+  let player;
+  let otherPlayer;
+  let ethShot;
+  let contractAddress;
+  let deployBlock;
+  let store;
+  let indexer;
+
+  const mine = (blocks) => hre.network.provider.send('hardhat_mine', [ethers.toQuantity(blocks)]);
+
+  const commitmentFor = (secret, signer) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, signer.address]));
+
+  const deploy = async (winChanceBP = 100) => {
+    const EthShot = await ethers.getContractFactory('EthShot');
+    ethShot = await EthShot.deploy(
+      owner.address, owner.address, SHOT_COST, SPONSOR_COST, 60,
+      9000, 1000, winChanceBP, 100, SHOT_COST, ethers.ZeroAddress, []
+    );
+    const receipt = await ethShot.deploymentTransaction().wait();
+    deployBlock = receipt.blockNumber;
+    contractAddress = await ethShot.getAddress();
+
+    store = createStore();
+    indexer = new ChainIndexer({
+      provider: ethers.provider,
+      supabase: store,
+      contractAddress,
+      deployBlock,
+      confirmations: 0,
+      batchSize: 5,
+      reorgDepth: 4
+    });
+  };
+
+  const commitShot = async (signer, secret) => {
+    const tx = await ethShot.connect(signer).commitShot(commitmentFor(secret, signer), { value: SHOT_COST });
+    return tx.wait();
+  };
+
+  beforeEach(async () => {
+    [owner, player, otherPlayer] = await ethers.getSigners();
+    await deploy();
+  });
+
+  it('should index a commit and apply its reveal', async () => {
+    const commit = await commitShot(player, 42n);
+    await mine(1);
+    const reveal = await (await ethShot.connect(player).revealShot(42n)).wait();
+
+    const result = await indexer.sync();
+    expect(result.fromBlock).to.equal(deployBlock);
+
+    const [shot] = store.rowsOf('shots');
+    expect(shot).to.include({
+      player_address: player.address.toLowerCase(),
+      amount: ethers.formatEther(SHOT_COST),
+      tx_hash: commit.hash,
+      block_number: commit.blockNumber,
+      crypto_type: 'ETH',
+      shot_count: 1,
+      reveal_tx_hash: reveal.hash,
+      reveal_block_number: reveal.blockNumber
+    });
+
+    const checkpoint = await indexer.getCheckpoint();
+    expect(checkpoint.blockNumber).to.equal(result.toBlock);
+
+    // Syncing again resumes after the checkpoint and changes nothing
+    const again = await indexer.sync();
+    expect(again.fromBlock).to.equal(result.toBlock + 1);
+    expect(store.rowsOf('shots')).to.have.length(1);
+  });
+
+  it('should stay behind the head by the configured confirmations', async () => {
+    indexer.confirmations = 3;
+    await commitShot(player, 42n);
+
+    await indexer.sync();
+    expect(store.rowsOf('shots')).to.have.length(0);
+
+    await mine(3);
+    await indexer.sync();
+    expect(store.rowsOf('shots')).to.have.length(1);
+  });
+
+  it('should index a shot bundle as one row with its shot count', async () => {
+    const commitments = [1n, 2n, 3n].map((secret) => commitmentFor(secret, player));
+    const commit = await (await ethShot.connect(player).commitShots(commitments, { value: SHOT_COST * 3n })).wait();
+    await mine(1);
+    await (await ethShot.connect(player).revealBatchShot(0, 1n)).wait();
+    const lastReveal = await (await ethShot.connect(player).revealBatchShot(1, 2n)).wait();
+
+    await indexer.sync();
+
+    const [shot] = store.rowsOf('shots');
+    expect(shot).to.include({
+      tx_hash: commit.hash,
+      amount: ethers.formatEther(SHOT_COST * 3n),
+      shot_count: 3,
+      reveal_tx_hash: lastReveal.hash
+    });
+  });
+
+  it('should record jackpot winners', async () => {
+    await deploy(10000);
+    await commitShot(otherPlayer, 1n);
+    await commitShot(player, 42n);
+    await mine(1);
+    const reveal = await (await ethShot.connect(player).revealShot(42n)).wait();
+
+    await indexer.sync();
+
+    const [winner] = store.rowsOf('winners');
+    expect(winner).to.include({
+      winner_address: player.address.toLowerCase(),
+      tx_hash: reveal.hash,
+      block_number: reveal.blockNumber
+    });
+
+    const shot = store.rowsOf('shots').find((row) => row.player_address === player.address.toLowerCase());
+    expect(shot.won).to.equal(true);
+  });
+
+  it('should record sponsorships with the winning bid', async () => {
+    const bid = SPONSOR_COST * 2n;
+    await (await ethShot.connect(otherPlayer).bidForSponsorship('Acme', 'https://example.com/acme.png', { value: bid })).wait();
+    await hre.network.provider.send('evm_increaseTime', [Number(await ethShot.SPONSOR_AUCTION_DURATION())]);
+    const settle = await (await ethShot.settleSponsorAuction()).wait();
+
+    await indexer.sync();
+
+    const [sponsor] = store.rowsOf('sponsors');
+    expect(sponsor).to.include({
+      sponsor_address: otherPlayer.address.toLowerCase(),
+      name: 'Acme',
+      logo_url: 'https://example.com/acme.png',
+      amount: ethers.formatEther(bid),
+      tx_hash: settle.hash,
+      block_number: settle.blockNumber
+    });
+  });
+
+  it('should remove rows from reorged blocks and re-index the new chain', async () => {
+    await commitShot(otherPlayer, 1n);
+    await mine(2);
+    const snapshot = await hre.network.provider.send('evm_snapshot');
+
+    const orphan = await commitShot(player, 42n);
+    await indexer.sync();
+    expect(store.rowsOf('shots').map((row) => row.tx_hash)).to.include(orphan.hash);
+
+    // Replace the indexed blocks with a different chain of the same length
+    await hre.network.provider.send('evm_revert', [snapshot]);
+    const replacement = await commitShot(player, 7n);
+    await mine(1);
+
+    const result = await indexer.sync();
+
+    expect(result.reorg).to.equal(true);
+    const hashes = store.rowsOf('shots').map((row) => row.tx_hash);
+    expect(hashes).to.not.include(orphan.hash);
+    expect(hashes).to.include(replacement.hash);
+    expect(hashes).to.have.length(2);
+
+    const checkpoint = await indexer.getCheckpoint();
+    expect(checkpoint.blockHash).to.equal((await ethers.provider.getBlock(result.toBlock)).hash);
+  });
+
+  it('should find the deploy block and backfill from it', async () => {
+    await commitShot(player, 42n);
+    // Real blocks: historical getCode is unreliable inside ranges reserved by hardhat_mine
+    for (let i = 0; i < 10; i++) {
+      await hre.network.provider.send('evm_mine');
+    }
+
+    expect(await findDeployBlock(ethers.provider, contractAddress)).to.equal(deployBlock);
+
+    const result = await indexer.sync({ fromBlock: deployBlock });
+    expect(result.fromBlock).to.equal(deployBlock);
+    expect(store.rowsOf('shots')).to.have.length(1);
+    expect((await indexer.getCheckpoint()).blockNumber).to.equal(result.toBlock);
+  });
+});
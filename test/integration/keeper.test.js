@@ -0,0 +1,262 @@
+/**
+ * Integration tests for the auto-reveal keeper
+ * Runs the keeper against the Hardhat network: npx hardhat test test/integration/keeper.test.js
+ */
+
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { buildRelayDomain, signRelayRequest } from '../../src/lib/crypto/relay.js';
+import { encryptForKeeper, generateKeeperKeyPair } from '../../src/lib/crypto/keeper-escrow.js';
+import {
+  DEFAULT_REVEAL_GRACE_BLOCKS,
+  ESCROW_STATUS,
+  getKeeperContract,
+  processEscrow,
+  runKeeperCycle,
+  toEscrowRow,
+  verifyEscrowCommit,
+  verifyKeeperReveal
+} from '../../src/lib/server/keeper.js';
+
+const { ethers } = hre;
+
+/**
+ * Minimal in-memory stand-in for the keeper_escrows queries used by runKeeperCycle
+ */
+const createEscrowStore = (rows) => ({
+  rows,
+  from() {
+    const filters = [];
+    const query = {
+      select: () => query,
+      eq: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      order: () => query,
+      limit: () => Promise.resolve({ data: rows.filter((row) => filters.every((filter) => filter(row))), error: null }),
+      update: (changes) => ({
+        eq: (column, value) => {
+          rows.filter((row) => row[column] === value).forEach((row) => Object.assign(row, changes));
+          return Promise.resolve({ error: null });
+        }
+      })
+    };
+    return query;
+  }
+});
+
+describe('Auto-reveal Keeper', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  // Past the reveal delay and the player's grace window
+  const KEEPER_TURN = DEFAULT_REVEAL_GRACE_BLOCKS + 2;
+
+  let owner;
+  let keeper;
+  let player;
+  let ethShot;
+  let contract;
+  let contractAddress;
+  let keeperKeys;
+  let otherCommitTxHash;
+
+  const mine = (blocks) => hre.network.provider.send('hardhat_mine', [ethers.toQuantity(blocks)]);
+
+  const commitmentFor = (secret, signer) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, signer.address]));
+
+  // Commit a shot as the player and build the escrow row /api/keeper would store
+  const commitWithEscrow = async (secret, { escrowedSecret = secret, publicKey = keeperKeys.publicKey } = {}) => {
+    const signer = player;
+    const tx = await ethShot.connect(signer).commitShot(commitmentFor(secret, signer), { value: SHOT_COST });
+    const receipt = await tx.wait();
+
+    const domain = buildRelayDomain((await ethers.provider.getNetwork()).chainId, contractAddress);
+    const request = {
+      player: signer.address,
+      secret: escrowedSecret.toString(),
+      nonce: (await ethShot.nonces(signer.address)).toString(),
+      deadline: String((await ethers.provider.getBlock('latest')).timestamp + 3600)
+    };
+    const signature = await signRelayRequest({ signer, type: 'reveal', domain, request });
+    const envelope = await encryptForKeeper(publicKey, { ...request, signature });
+
+    const row = toEscrowRow({
+      playerAddress: signer.address,
+      commitTxHash: receipt.hash,
+      commitBlock: receipt.blockNumber,
+      envelope
+    }, contractAddress);
+    return { ...row, id: receipt.hash, attempts: 0 };
+  };
+
+  const process = (escrow, keeperContract = contract) =>
+    processEscrow({ escrow, contract: keeperContract, provider: ethers.provider, keeperPrivateKey: keeperKeys.privateKey });
+
+  beforeEach(async () => {
+    let otherPlayer;
+    [owner, keeper, player, otherPlayer] = await ethers.getSigners();
+
+    const EthShot = await ethers.getContractFactory('EthShot');
+    ethShot = await EthShot.deploy(
+      owner.address, owner.address, SHOT_COST, ethers.parseEther('0.01'), 60,
+      9000, 1000, 100, 100, SHOT_COST, ethers.ZeroAddress, []
+    );
+    await ethShot.waitForDeployment();
+    contractAddress = await ethShot.getAddress();
+
+    contract = getKeeperContract(contractAddress, keeper);
+    keeperKeys = await generateKeeperKeyPair();
+
+    // Someone else's shot so the pot is not empty
+    const otherCommit = await ethShot.connect(otherPlayer).commitShot(commitmentFor(1n, otherPlayer), { value: SHOT_COST });
+    otherCommitTxHash = otherCommit.hash;
+  });
+
+  it('should wait out the player\'s grace window and then reveal an abandoned shot', async () => {
+    const escrow = await commitWithEscrow(42n);
+
+    expect(await process(escrow)).to.deep.equal({ status: ESCROW_STATUS.PENDING });
+
+    // The reveal window is open, but the player may still reveal themselves
+    await mine(2);
+    expect(await process(escrow)).to.deep.equal({ status: ESCROW_STATUS.PENDING });
+
+    await mine(DEFAULT_REVEAL_GRACE_BLOCKS);
+    const result = await process(escrow);
+
+    expect(result.status).to.equal(ESCROW_STATUS.REVEALED);
+    expect(result.won).to.equal(false);
+    expect(await ethShot.hasPendingShot(player.address)).to.equal(false);
+
+    const verification = await verifyKeeperReveal({
+      provider: ethers.provider,
+      contractAddress,
+      commitTxHash: escrow.commit_tx_hash,
+      revealTxHash: result.revealTxHash
+    });
+    expect(verification).to.include({ isValid: true, player: player.address, won: false });
+  });
+
+  it('should leave shots the player revealed themselves', async () => {
+    const escrow = await commitWithEscrow(42n);
+    await mine(2);
+    await ethShot.connect(player).revealShot(42n);
+
+    expect(await process(escrow)).to.deep.equal({ status: ESCROW_STATUS.SETTLED });
+  });
+
+  it('should count a reveal the player got in first as settled, not failed', async () => {
+    const escrow = await commitWithEscrow(42n);
+    await mine(KEEPER_TURN);
+
+    // The keeper read the shot as pending just before the player's reveal was mined
+    const [, commitBlock, amount] = await contract.getPendingShot(player.address);
+    const staleContract = {
+      interface: contract.interface,
+      getPendingShot: async () => [true, commitBlock, amount],
+      revealShotFor: contract.revealShotFor
+    };
+    await ethShot.connect(player).revealShot(42n);
+
+    expect(await process(escrow, staleContract)).to.deep.equal({ status: ESCROW_STATUS.SETTLED });
+  });
+
+  it('should count a reveal that lost the race after its simulation as settled', async () => {
+    const escrow = await commitWithEscrow(42n);
+    await mine(KEEPER_TURN);
+
+    // Simulation passes, then the player's reveal is mined before the keeper's transaction
+    const racedContract = {
+      interface: contract.interface,
+      getPendingShot: (address) => contract.getPendingShot(address),
+      revealShotFor: Object.assign((...args) => contract.revealShotFor(...args), {
+        staticCall: async () => {
+          await ethShot.connect(player).revealShot(42n);
+        }
+      })
+    };
+
+    expect(await process(escrow, racedContract)).to.deep.equal({ status: ESCROW_STATUS.SETTLED });
+    expect(await ethShot.hasPendingShot(player.address)).to.equal(false);
+  });
+
+  it('should give up once the reveal window has closed', async () => {
+    const escrow = await commitWithEscrow(42n);
+    await mine(256);
+
+    expect(await process(escrow)).to.deep.equal({ status: ESCROW_STATUS.EXPIRED });
+  });
+
+  it('should fail escrows encrypted to a different keeper', async () => {
+    const otherKeys = await generateKeeperKeyPair();
+    const escrow = await commitWithEscrow(42n, { publicKey: otherKeys.publicKey });
+    await mine(KEEPER_TURN);
+
+    expect(await process(escrow)).to.deep.equal({
+      status: ESCROW_STATUS.FAILED,
+      error: 'Escrow could not be decrypted'
+    });
+  });
+
+  it('should fail escrows whose secret does not match the commitment', async () => {
+    const escrow = await commitWithEscrow(42n, { escrowedSecret: 43n });
+    await mine(KEEPER_TURN);
+
+    const result = await process(escrow);
+    expect(result.status).to.equal(ESCROW_STATUS.FAILED);
+    expect(await ethShot.hasPendingShot(player.address)).to.equal(true);
+  });
+
+  it('should update escrow rows and record reveals in a keeper cycle', async () => {
+    const escrow = await commitWithEscrow(42n);
+    const store = createEscrowStore([escrow]);
+    const recorded = [];
+
+    await mine(KEEPER_TURN);
+    const summary = await runKeeperCycle({
+      supabase: store,
+      contract,
+      provider: ethers.provider,
+      keeperPrivateKey: keeperKeys.privateKey,
+      contractAddress,
+      recordReveal: async (reveal) => recorded.push(reveal)
+    });
+
+    expect(summary[ESCROW_STATUS.REVEALED]).to.equal(1);
+    expect(store.rows[0].status).to.equal(ESCROW_STATUS.REVEALED);
+    expect(store.rows[0].reveal_tx_hash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(recorded).to.deep.equal([{ commitTxHash: escrow.commit_tx_hash, revealTxHash: store.rows[0].reveal_tx_hash }]);
+  });
+
+  it('should reject a reveal that belongs to a different shot', async () => {
+    const escrow = await commitWithEscrow(42n);
+    await mine(KEEPER_TURN);
+    const result = await process(escrow);
+
+    const verification = await verifyKeeperReveal({
+      provider: ethers.provider,
+      contractAddress,
+      commitTxHash: otherCommitTxHash,
+      revealTxHash: result.revealTxHash
+    });
+    expect(verification).to.deep.equal({ isValid: false, error: 'Reveal transaction did not reveal this shot' });
+  });
+
+  it('should only store escrows for the player and block of the commit', async () => {
+    const escrow = await commitWithEscrow(42n);
+    const body = { playerAddress: player.address, commitTxHash: escrow.commit_tx_hash, commitBlock: escrow.commit_block };
+    const verify = (overrides) => verifyEscrowCommit({ provider: ethers.provider, contractAddress, body: { ...body, ...overrides } });
+
+    expect(await verify({})).to.deep.equal({ isValid: true });
+    expect((await verify({ commitTxHash: otherCommitTxHash })).error)
+      .to.equal('Commit transaction did not commit a shot for this player');
+    expect((await verify({ commitBlock: body.commitBlock - 1 })).error)
+      .to.equal('Commit block does not match the transaction');
+    expect((await verify({ commitTxHash: ethers.ZeroHash })).error)
+      .to.equal('Commit transaction not found or failed on-chain');
+
+    const otherContract = await verifyEscrowCommit({ provider: ethers.provider, contractAddress: owner.address, body });
+    expect(otherContract.error).to.equal('Commit transaction did not commit a shot for this player');
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Integration tests for streaming contract logs into game state
+ * Runs against the Hardhat network: npx hardhat test test/integration/log-subscription.test.js
+ */
+
+import { expect } from 'chai';
+import hre from 'hardhat';
+import WebSocket from 'ws';
+import { TASK_NODE_CREATE_SERVER } from 'hardhat/builtin-tasks/task-names.js';
+import {
+  createLogSubscription,
+  SUBSCRIPTION_STATUS,
+  SUBSCRIPTION_TRANSPORTS
+} from '../../src/lib/crypto/log-subscription.js';
+import { createGameEventReducer, GAME_CHANGES } from '../../src/lib/stores/game/event-updates.js';
+
+const { ethers } = hre;
+
+const WS_PORT = 8599;
+
+// Resolves once check() passes, polling every few milliseconds
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+describe('Contract Log Subscription', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const COOLDOWN_PERIOD = 3600;
+
+  let player;
+  let ethShot;
+  let address;
+  let subscription;
+  let server;
+  let received;
+  let statuses;
+
+  const commitmentFor = (secret) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, player.address]));
+
+  const startServer = async () => {
+    server = await hre.run(TASK_NODE_CREATE_SERVER, {
+      hostname: '127.0.0.1',
+      port: WS_PORT,
+      provider: hre.network.provider
+    });
+    await server.listen();
+  };
+
+  const watch = (options) => {
+    subscription = createLogSubscription({
+      address,
+      onLogs: (logs) => received.push(...logs),
+      onStatusChange: (status) => statuses.push(status),
+      ...options
+    });
+    subscription.start();
+    return subscription;
+  };
+
+  beforeEach(async () => {
+    let owner;
+    [owner, player] = await ethers.getSigners();
+    received = [];
+    statuses = [];
+
+    const EthShot = await ethers.getContractFactory('EthShot');
+    ethShot = await EthShot.deploy(
+      owner.address, owner.address, SHOT_COST, SPONSOR_COST, COOLDOWN_PERIOD,
+      9000, 1000, 1000, 100, SHOT_COST, ethers.ZeroAddress, []
+    );
+    await ethShot.waitForDeployment();
+    address = await ethShot.getAddress();
+  });
+
+  afterEach(async () => {
+    subscription?.stop();
+    subscription = null;
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  it('should poll a log filter when no WebSocket endpoint is configured', async () => {
+    const watcher = watch({
+      request: (method, params) => hre.network.provider.send(method, params),
+      pollIntervalMs: 50
+    });
+    expect(watcher.transport).to.equal(SUBSCRIPTION_TRANSPORTS.FILTER);
+    await waitFor(() => watcher.getStatus() === SUBSCRIPTION_STATUS.LIVE);
+
+    await ethShot.connect(player).commitShot(commitmentFor(1n), { value: SHOT_COST });
+    await waitFor(() => received.length > 0);
+
+    // The shot reaches the pot without reloading game state
+    const applyLogs = createGameEventReducer();
+    const { patch, changes, players } = applyLogs({ currentPot: '0' }, received);
+    expect(patch.currentPot).to.equal(ethers.formatEther(SHOT_COST));
+    expect(changes.has(GAME_CHANGES.POT)).to.equal(true);
+    expect(players.has(player.address.toLowerCase())).to.equal(true);
+  });
+
+  it('should stream logs over eth_subscribe and reconnect after the socket drops', async () => {
+    await startServer();
+    const watcher = watch({
+      wsUrl: `ws://127.0.0.1:${WS_PORT}`,
+      WebSocketImpl: WebSocket,
+      reconnectDelayMs: 50
+    });
+    expect(watcher.transport).to.equal(SUBSCRIPTION_TRANSPORTS.WEBSOCKET);
+    await waitFor(() => watcher.getStatus() === SUBSCRIPTION_STATUS.LIVE);
+
+    await ethShot.connect(player).commitShot(commitmentFor(1n), { value: SHOT_COST });
+    await waitFor(() => received.length > 0);
+    expect(received[0].address.toLowerCase()).to.equal(address.toLowerCase());
+
+    // Callers poll game state while the socket is down
+    await server.close();
+    server = null;
+    await waitFor(() => watcher.getStatus() === SUBSCRIPTION_STATUS.DISCONNECTED);
+
+    await startServer();
+    await waitFor(() => watcher.getStatus() === SUBSCRIPTION_STATUS.LIVE);
+    expect(statuses).to.deep.equal([
+      SUBSCRIPTION_STATUS.CONNECTING,
+      SUBSCRIPTION_STATUS.LIVE,
+      SUBSCRIPTION_STATUS.DISCONNECTED,
+      SUBSCRIPTION_STATUS.LIVE
+    ]);
+
+    received = [];
+    await ethShot.connect(player).seedPot({ value: SHOT_COST });
+    await waitFor(() => received.length > 0);
+  });
+
+  it('should release its filter when stopped', async () => {
+    const requests = [];
+    const watcher = watch({
+      request: (method, params) => {
+        requests.push(method);
+        return hre.network.provider.send(method, params);
+      },
+      pollIntervalMs: 50
+    });
+    await waitFor(() => watcher.getStatus() === SUBSCRIPTION_STATUS.LIVE);
+
+    watcher.stop();
+    expect(watcher.getStatus()).to.equal(SUBSCRIPTION_STATUS.STOPPED);
+    expect(requests).to.include('eth_uninstallFilter');
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Integration tests for batching contract reads through Multicall3
+ * Runs against the Hardhat network: npx hardhat test test/integration/multicall.test.js
+ */
+
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { contractRead, createMulticall } from '../../src/lib/crypto/multicall.js';
+import { createRevertDecoder } from '../../src/lib/crypto/revert-decoder.js';
+
+const { ethers } = hre;
+
+describe('Multicall Batching', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const SPONSOR_COST = ethers.parseEther('0.01');
+  const COOLDOWN_PERIOD = 3600;
+
+  let player;
+  let ethShot;
+  let multicallAddress;
+  let ethCalls;
+
+  // Counts eth_calls so tests can tell one batch from many requests
+  const call = (tx) => {
+    ethCalls.push(tx);
+    return ethers.provider.call(tx);
+  };
+
+  const commitmentFor = (secret) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, player.address]));
+
+  beforeEach(async () => {
+    let owner;
+    [owner, player] = await ethers.getSigners();
+    ethCalls = [];
+
+    const EthShot = await ethers.getContractFactory('EthShot');
+    ethShot = await EthShot.deploy(
+      owner.address, owner.address, SHOT_COST, SPONSOR_COST, COOLDOWN_PERIOD,
+      9000, 1000, 1000, 100, SHOT_COST, ethers.ZeroAddress, []
+    );
+    await ethShot.waitForDeployment();
+
+    const Multicall3 = await ethers.getContractFactory('Multicall3');
+    const multicall = await Multicall3.deploy();
+    await multicall.waitForDeployment();
+    multicallAddress = await multicall.getAddress();
+
+    await ethShot.connect(player).commitShot(commitmentFor(1n), { value: SHOT_COST });
+  });
+
+  it('should send game state and player reads queued in the same tick as one eth_call', async () => {
+    const multicall = createMulticall({ call, address: multicallAddress });
+
+    const [game, playerData] = await Promise.all([
+      multicall.read({
+        contractBalance: contractRead(ethShot, 'getContractBalance'),
+        houseFunds: contractRead(ethShot, 'getHouseFunds'),
+        shotCost: contractRead(ethShot, 'SHOT_COST'),
+        sponsorCost: contractRead(ethShot, 'SPONSOR_COST'),
+        currentSponsor: contractRead(ethShot, 'getCurrentSponsor'),
+        recentWinners: contractRead(ethShot, 'getRecentWinners'),
+        gameConfig: contractRead(ethShot, 'getGameConfig'),
+        tierPots: contractRead(ethShot, 'getTierPots')
+      }),
+      multicall.read({
+        playerStats: contractRead(ethShot, 'getPlayerStats', [player.address]),
+        cooldownRemaining: contractRead(ethShot, 'getCooldownRemaining', [player.address]),
+        pendingShot: contractRead(ethShot, 'getPendingShot', [player.address])
+      })
+    ]);
+
+    expect(ethCalls).to.have.length(1);
+    expect(ethCalls[0].to).to.equal(multicallAddress);
+
+    expect(game.contractBalance.value).to.equal(await ethShot.getContractBalance());
+    expect(game.houseFunds.value).to.equal(await ethShot.getHouseFunds());
+    expect(game.shotCost.value).to.equal(SHOT_COST);
+    expect(game.sponsorCost.value).to.equal(SPONSOR_COST);
+    expect(game.currentSponsor.value.active).to.equal(false);
+    expect(game.recentWinners.value).to.have.length(0);
+    expect(game.gameConfig.value.winChanceBP).to.equal(1000n);
+    expect(game.tierPots.value).to.have.length(0);
+
+    expect(playerData.playerStats.value.totalShots).to.equal(1n);
+    expect(playerData.cooldownRemaining.value > 0n).to.equal(true);
+    expect(playerData.pendingShot.value.exists).to.equal(true);
+  });
+
+  it('should fail only the reads that revert', async () => {
+    const multicall = createMulticall({ call, address: multicallAddress });
+    // Stands in for a getter an older deployment does not have
+    const legacy = new ethers.Contract(await ethShot.getAddress(), ['function getLegacyStats() view returns (uint256)']);
+
+    const results = await multicall.read({
+      shotCost: contractRead(ethShot, 'SHOT_COST'),
+      round: contractRead(ethShot, 'getRound', [5]),
+      legacyStats: contractRead(legacy, 'getLegacyStats')
+    });
+
+    expect(ethCalls).to.have.length(1);
+    expect(results.shotCost).to.deep.equal({ success: true, value: SHOT_COST });
+    expect(results.round.success).to.equal(false);
+    expect(results.legacyStats.success).to.equal(false);
+
+    // The revert data is kept, so the failure can be explained like any other revert
+    const decode = createRevertDecoder((await hre.artifacts.readArtifact('EthShot')).abi);
+    const revert = decode(results.round.error);
+    expect(revert.name).to.equal('RoundDoesNotExist');
+    expect(revert.args.roundId).to.equal(5n);
+  });
+
+  it('should fall back to individual calls where Multicall3 is not deployed', async () => {
+    const multicall = createMulticall({ call, address: ethers.Wallet.createRandom().address });
+
+    const first = await multicall.read({
+      shotCost: contractRead(ethShot, 'SHOT_COST'),
+      round: contractRead(ethShot, 'getRound', [5])
+    });
+    expect(first.shotCost.value).to.equal(SHOT_COST);
+    expect(first.round.success).to.equal(false);
+    expect(multicall.isAvailable()).to.equal(false);
+
+    // The missing deployment is remembered instead of probed on every refresh
+    ethCalls = [];
+    const second = await multicall.read({ sponsorCost: contractRead(ethShot, 'SPONSOR_COST') });
+    expect(second.sponsorCost.value).to.equal(SPONSOR_COST);
+    expect(ethCalls).to.have.length(1);
+    expect(ethCalls[0].to).to.equal(await ethShot.getAddress());
+  });
+
+  it('should reject every queued caller when the batch request fails', async () => {
+    const multicall = createMulticall({
+      call: async () => {
+        throw new Error('Too Many Requests');
+      },
+      address: multicallAddress
+    });
+
+    const outcomes = await Promise.allSettled([
+      multicall.read({ shotCost: contractRead(ethShot, 'SHOT_COST') }),
+      multicall.read({ houseFunds: contractRead(ethShot, 'getHouseFunds') })
+    ]);
+
+    expect(outcomes.map((outcome) => outcome.status)).to.deep.equal(['rejected', 'rejected']);
+    expect(outcomes[0].reason.message).to.equal('Too Many Requests');
+    expect(multicall.isAvailable()).to.equal(true);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Integration tests for player stats reconciliation
+ * Runs against the Hardhat network: npx hardhat test test/integration/reconciliation.test.js
+ */
+
+import { expect } from 'chai';
+import hre from 'hardhat';
+import {
+  formatReconciliationReport,
+  getReconciliationContract,
+  reconcilePlayerStats
+} from '../../src/lib/server/reconciliation.js';
+
+const { ethers } = hre;
+
+/**
+ * Minimal in-memory stand-in for the players and shots queries used by reconcilePlayerStats
+ */
+const createStore = (tables) => ({
+  tables,
+  from(table) {
+    const rows = tables[table];
+    const filters = [];
+    let page = (matching) => matching;
+    let run = () => page(rows.filter((row) => filters.every((filter) => filter(row))));
+
+    const query = {
+      select: () => query,
+      eq: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      ilike: (column, value) => {
+        filters.push((row) => row[column]?.toLowerCase() === value.toLowerCase());
+        return query;
+      },
+      order: () => query,
+      range: (from, to) => {
+        page = (matching) => matching.slice(from, to + 1);
+        return query;
+      },
+      update: (changes) => {
+        run = () => {
+          rows.filter((row) => filters.every((filter) => filter(row))).forEach((row) => Object.assign(row, changes));
+          return null;
+        };
+        return query;
+      },
+      insert: (row) => {
+        rows.push({ id: `new-${rows.length}`, ...row });
+        return Promise.resolve({ error: null });
+      },
+      then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+    };
+    return query;
+  }
+});
+
+describe('Player Stats Reconciliation', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+
+  let owner;
+  let player;
+  let otherPlayer;
+  let unrecordedPlayer;
+  let tokenPlayer;
+  let ethShot;
+  let contractAddress;
+  let contract;
+  let store;
+
+  const mine = (blocks) => hre.network.provider.send('hardhat_mine', [ethers.toQuantity(blocks)]);
+
+  const commitShot = async (signer, secret) => {
+    const commitment = ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, signer.address]));
+    await (await ethShot.connect(signer).commitShot(commitment, { value: SHOT_COST })).wait();
+  };
+
+  const reconcile = (repair = false) =>
+    reconcilePlayerStats({ contract, supabase: store, contractAddress, repair });
+
+  beforeEach(async () => {
+    [owner, player, otherPlayer, unrecordedPlayer, tokenPlayer] = await ethers.getSigners();
+
+    const EthShot = await ethers.getContractFactory('EthShot');
+    ethShot = await EthShot.deploy(
+      owner.address, owner.address, SHOT_COST, ethers.parseEther('0.01'), 60,
+      9000, 1000, 100, 100, SHOT_COST, ethers.ZeroAddress, []
+    );
+    await ethShot.waitForDeployment();
+    contractAddress = await ethShot.getAddress();
+    contract = getReconciliationContract(contractAddress, ethers.provider);
+
+    // player took two shots but only the first was recorded; unrecordedPlayer has no players row
+    await commitShot(player, 1n);
+    await mine(1);
+    await (await ethShot.connect(player).revealShot(1n)).wait();
+    await hre.network.provider.send('evm_increaseTime', [60]);
+    await commitShot(player, 2n);
+    await commitShot(otherPlayer, 3n);
+    await commitShot(unrecordedPlayer, 4n);
+
+    // tokenPlayer only played the USDC pot: counted in totalShots, not in the ETH amounts
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    const token = await MockERC20.deploy('USD Coin', 'USDC', 6);
+    await token.waitForDeployment();
+    const tokenShotCost = ethers.parseUnits('2', 6);
+    await ethShot.setAcceptedToken(await token.getAddress(), tokenShotCost);
+    await token.mint(tokenPlayer.address, tokenShotCost);
+    await token.connect(tokenPlayer).approve(contractAddress, tokenShotCost);
+    const tokenCommitment = ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [5n, tokenPlayer.address]));
+    await (await ethShot.connect(tokenPlayer).commitShotWithToken(await token.getAddress(), tokenCommitment)).wait();
+
+    const playerRow = (id, signer, shots) => ({
+      id,
+      address: signer.address.toLowerCase(),
+      total_shots: shots,
+      total_spent: Number(ethers.formatEther(SHOT_COST * BigInt(shots))),
+      total_won: 0,
+      crypto_type: 'ETH',
+      contract_address: contractAddress
+    });
+
+    store = createStore({
+      players: [
+        playerRow('p1', player, 1),
+        playerRow('p2', otherPlayer, 1),
+        { ...playerRow('p3', tokenPlayer, 1), total_spent: 0, crypto_type: 'USDC' }
+      ],
+      shots: [
+        ...[player, otherPlayer, unrecordedPlayer].map((signer, index) => ({
+          id: index + 1,
+          player_address: signer.address.toLowerCase(),
+          crypto_type: 'ETH',
+          contract_address: contractAddress
+        })),
+        { id: 4, player_address: tokenPlayer.address.toLowerCase(), crypto_type: 'USDC', contract_address: contractAddress }
+      ]
+    });
+  });
+
+  it('should report discrepancies without writing in a dry run', async () => {
+    const report = await reconcile();
+
+    expect(report).to.include({ contractAddress, dryRun: true, checked: 4, repaired: 0 });
+    expect(report.errors).to.deep.equal([]);
+    expect(report.discrepancies).to.deep.equal([
+      {
+        address: player.address.toLowerCase(),
+        missingRow: false,
+        fields: {
+          totalShots: { db: '1', chain: '2' },
+          totalSpent: { db: '0.001', chain: '0.002' }
+        }
+      },
+      {
+        address: unrecordedPlayer.address.toLowerCase(),
+        missingRow: true,
+        fields: {
+          totalShots: { db: '0', chain: '1' },
+          totalSpent: { db: '0.0', chain: '0.001' }
+        }
+      }
+    ]);
+
+    expect(store.tables.players).to.have.length(3);
+    expect(store.tables.players[0].total_shots).to.equal(1);
+  });
+
+  it('should repair mismatching and missing rows with the on-chain stats', async () => {
+    const report = await reconcile(true);
+
+    expect(report).to.include({ dryRun: false, repaired: 2 });
+    const [repaired, untouched, tokenOnly, created] = store.tables.players;
+    expect(repaired).to.include({ total_shots: 2, total_spent: '0.002', total_won: '0.0' });
+    expect(untouched.total_shots).to.equal(1);
+    expect(tokenOnly).to.include({ total_shots: 1, total_spent: 0, crypto_type: 'USDC' });
+    expect(created).to.include({
+      address: unrecordedPlayer.address.toLowerCase(),
+      total_shots: 1,
+      contract_address: contractAddress
+    });
+
+    expect((await reconcile()).discrepancies).to.deep.equal([]);
+  });
+
+  it('should format the report with one line per discrepancy', async () => {
+    const text = formatReconciliationReport(await reconcile());
+
+    expect(text.split('\n')).to.deep.equal([
+      `Player stats reconciliation for ${contractAddress} (dry run)`,
+      'Checked 4 players, 2 discrepancies, 0 repaired',
+      `  ${player.address.toLowerCase()}: totalShots db=1 chain=2, totalSpent db=0.001 chain=0.002`,
+      `  ${unrecordedPlayer.address.toLowerCase()}: missing players row, totalShots db=0 chain=1, totalSpent db=0.0 chain=0.001`
+    ]);
+  });
+
+  it('should page through more shots than one request returns', async () => {
+    const filler = Array.from({ length: 2500 }, (_, index) => ({
+      id: index + 5,
+      player_address: otherPlayer.address.toLowerCase(),
+      crypto_type: 'ETH',
+      contract_address: contractAddress
+    }));
+    store.tables.shots = [...filler, ...store.tables.shots];
+
+    const report = await reconcile();
+
+    expect(report.checked).to.equal(4);
+    expect(report.discrepancies.map(({ address }) => address)).to.include(unrecordedPlayer.address.toLowerCase());
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Integration tests for the gasless shot relayer
+ * Runs the server-side relayer against the Hardhat network: npx hardhat test test/integration/relay.test.js
+ */
+
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { buildRelayDomain, signRelayRequest } from '../../src/lib/crypto/relay.js';
+import { getRelayerContract, submitRelayRequest, verifyRelayRequest } from '../../src/lib/server/relayer.js';
+
+const { ethers } = hre;
+
+describe('Shot Relayer', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+
+  let owner;
+  let relayer;
+  let player;
+  let ethShot;
+  let contract;
+  let domain;
+
+  const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp;
+
+  const signedRequest = async (type, fields, signer = player) => {
+    const request = {
+      player: player.address,
+      ...fields,
+      nonce: (await ethShot.nonces(player.address)).toString(),
+      deadline: String((await latestTimestamp()) + 600)
+    };
+    return { request, signature: await signRelayRequest({ signer, type, domain, request }) };
+  };
+
+  const relay = async (type, { request, signature }) => {
+    const validation = await verifyRelayRequest({
+      contract,
+      provider: ethers.provider,
+      type,
+      request,
+      signature,
+      maxSponsoredShots: 1
+    });
+    if (!validation.isValid) {
+      return validation;
+    }
+    const tx = await submitRelayRequest({ contract, type, message: validation.message, signature });
+    return { ...validation, receipt: await tx.wait() };
+  };
+
+  beforeEach(async () => {
+    [owner, relayer] = await ethers.getSigners();
+
+    // A new player without any ETH
+    player = ethers.Wallet.createRandom().connect(ethers.provider);
+
+    const EthShot = await ethers.getContractFactory('EthShot');
+    ethShot = await EthShot.deploy(
+      owner.address, owner.address, SHOT_COST, ethers.parseEther('0.01'), 60,
+      9000, 1000, 100, 100, SHOT_COST, ethers.ZeroAddress, []
+    );
+    await ethShot.waitForDeployment();
+
+    // An onramp or sponsor prepays the player's first shot
+    await ethShot.connect(owner).depositForShots(player.address, { value: SHOT_COST });
+
+    contract = getRelayerContract(await ethShot.getAddress(), relayer);
+    domain = buildRelayDomain((await ethers.provider.getNetwork()).chainId, await ethShot.getAddress());
+  });
+
+  it('should relay a commit and reveal paid from the player\'s deposit', async () => {
+    const secret = 42n;
+    const commitment = ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, player.address]));
+    const relayerBalance = await ethers.provider.getBalance(relayer.address);
+
+    const committed = await relay('commit', await signedRequest('commit', { commitment }));
+    expect(committed.isValid).to.equal(true);
+    expect(await ethShot.hasPendingShot(player.address)).to.equal(true);
+    expect(await ethShot.shotDeposits(player.address)).to.equal(0n);
+    expect(await ethers.provider.getBalance(relayer.address))
+      .to.equal(relayerBalance - committed.receipt.gasUsed * committed.receipt.gasPrice);
+
+    await hre.network.provider.send('hardhat_mine', ['0x2']);
+
+    const revealed = await relay('reveal', await signedRequest('reveal', { secret: secret.toString() }));
+    expect(revealed.isValid).to.equal(true);
+    expect(await ethShot.hasPendingShot(player.address)).to.equal(false);
+    expect(await ethers.provider.getBalance(player.address)).to.equal(0n);
+  });
+
+  it('should not relay commits the player\'s deposit does not cover', async () => {
+    const commitment = ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [1n, relayer.address]));
+    const request = {
+      player: relayer.address,
+      commitment,
+      nonce: '0',
+      deadline: String((await latestTimestamp()) + 600)
+    };
+    const signature = await signRelayRequest({ signer: relayer, type: 'commit', domain, request });
+
+    const result = await relay('commit', { request, signature });
+    expect(result.error).to.equal('Shot deposit must cover the shot cost');
+  });
+
+  it('should reject requests signed by another wallet', async () => {
+    const commitment = ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [1n, player.address]));
+    const result = await relay('commit', await signedRequest('commit', { commitment }, relayer));
+
+    expect(result).to.deep.equal({ isValid: false, error: 'Invalid signature' });
+  });
+
+  it('should reject stale nonces', async () => {
+    const commitment = ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [1n, player.address]));
+    const signed = await signedRequest('commit', { commitment });
+    signed.request.nonce = '5';
+
+    const result = await relay('commit', signed);
+    expect(result.error).to.equal('Stale relay request nonce');
+  });
+
+  it('should only sponsor gas for new players', async () => {
+    const secret = 7n;
+    const commitment = ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, player.address]));
+    await relay('commit', await signedRequest('commit', { commitment }));
+    await hre.network.provider.send('hardhat_mine', ['0x2']);
+    await relay('reveal', await signedRequest('reveal', { secret: secret.toString() }));
+    await hre.network.provider.send('evm_increaseTime', [61]);
+    await hre.network.provider.send('hardhat_mine', ['0x1']);
+    await ethShot.connect(owner).depositForShots(player.address, { value: SHOT_COST });
+
+    const again = await relay('commit', await signedRequest('commit', { commitment }));
+    expect(again.error).to.equal('Relayed shots are only available for new players');
+  });
+
+  it('should not relay reveals before the reveal window opens', async () => {
+    const result = await relay('reveal', await signedRequest('reveal', { secret: '1' }));
+    expect(result.error).to.equal('No shot ready to reveal');
+  });
+});
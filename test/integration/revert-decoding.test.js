@@ -0,0 +1,86 @@
+/**
+ * Integration tests for decoding EthShot custom errors from real node errors
+ * Runs against the Hardhat network: npx hardhat test test/integration/revert-decoding.test.js
+ */
+
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { createRevertDecoder, REVERT_CATEGORIES } from '../../src/lib/crypto/revert-decoder.js';
+
+const { ethers } = hre;
+
+describe('Revert Decoding', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+  const COOLDOWN_PERIOD = 3600;
+
+  // Like the front end's human-readable ABI: functions only, no error fragments
+  const PLAYER_ABI = ['function commitShot(bytes32 commitment) payable'];
+
+  let player;
+  let ethShot;
+  let decode;
+
+  const commitmentFor = (secret) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, player.address]));
+
+  const commitShot = (secret) => ethShot.commitShot(commitmentFor(secret), { value: SHOT_COST });
+
+  const catchError = async (promise) => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the call to revert');
+  };
+
+  beforeEach(async () => {
+    let owner;
+    [owner, player] = await ethers.getSigners();
+
+    const EthShot = await ethers.getContractFactory('EthShot');
+    const deployed = await EthShot.deploy(
+      owner.address, owner.address, SHOT_COST, ethers.parseEther('0.01'), COOLDOWN_PERIOD,
+      9000, 1000, 1000, 100, SHOT_COST, ethers.ZeroAddress, []
+    );
+    await deployed.waitForDeployment();
+    ethShot = new ethers.Contract(await deployed.getAddress(), PLAYER_ABI, player);
+
+    decode = createRevertDecoder((await hre.artifacts.readArtifact('EthShot')).abi);
+  });
+
+  it('should decode a pending shot from a failed transaction', async () => {
+    await (await commitShot(1n)).wait();
+
+    // Past the cooldown but still inside the reveal window, so only the pending shot blocks
+    await hre.network.provider.send('evm_increaseTime', [COOLDOWN_PERIOD]);
+    const revert = decode(await catchError(commitShot(2n)));
+
+    expect(revert.name).to.equal('PendingShotExists');
+    expect(revert.category).to.equal(REVERT_CATEGORIES.PENDING_SHOT);
+  });
+
+  it('should decode the cooldown with the seconds remaining', async () => {
+    await (await commitShot(1n)).wait();
+
+    const revert = decode(await catchError(ethShot.commitShot.estimateGas(commitmentFor(2n), { value: SHOT_COST })));
+
+    expect(revert.name).to.equal('CooldownActive');
+    expect(revert.args.remaining > 0n && revert.args.remaining <= BigInt(COOLDOWN_PERIOD)).to.equal(true);
+    expect(revert.message).to.match(/next shot unlocks in \d+m \d+s/);
+  });
+
+  it('should decode raw JSON-RPC errors', async () => {
+    const data = ethShot.interface.encodeFunctionData('commitShot', [commitmentFor(1n)]);
+    const error = await catchError(hre.network.provider.send('eth_call', [{
+      from: player.address,
+      to: await ethShot.getAddress(),
+      data,
+      value: ethers.toQuantity(SHOT_COST - 1n)
+    }]));
+
+    const revert = decode(error);
+    expect(revert.name).to.equal('IncorrectPayment');
+    expect(revert.args.expected).to.equal(SHOT_COST);
+  });
+});
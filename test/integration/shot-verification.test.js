@@ -0,0 +1,208 @@
+/**
+ * Integration tests for /api/shots on-chain verification
+ * Runs against the Hardhat network: npx hardhat test test/integration/shot-verification.test.js
+ */
+
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { verifyShotRecord, verifyWinnerRecord } from '../../src/lib/server/shot-verification.js';
+
+const { ethers } = hre;
+
+describe('Shot Verification', () => {
+  const SHOT_COST = ethers.parseEther('0.001');
+
+  let owner;
+  let player;
+  let otherPlayer;
+  let ethShot;
+  let contractAddress;
+
+  // Same interface as RPCProviderManager.makeRequest
+  const rpc = { makeRequest: (method, params) => hre.network.provider.send(method, params) };
+
+  const mine = (blocks) => hre.network.provider.send('hardhat_mine', [ethers.toQuantity(blocks)]);
+
+  const commitmentFor = (secret, signer) =>
+    ethers.keccak256(ethers.solidityPacked(['uint256', 'address'], [secret, signer.address]));
+
+  const deploy = async (winChanceBP) => {
+    const EthShot = await ethers.getContractFactory('EthShot');
+    ethShot = await EthShot.deploy(
+      owner.address, owner.address, SHOT_COST, ethers.parseEther('0.01'), 60,
+      9000, 1000, winChanceBP, 100, SHOT_COST, ethers.ZeroAddress, []
+    );
+    await ethShot.waitForDeployment();
+    contractAddress = await ethShot.getAddress();
+  };
+
+  const TOKEN_SHOT_COST = ethers.parseUnits('2', 6);
+
+  // Accept a 6-decimal USDC mock and let each signer pay for one token shot
+  const acceptToken = async (signers) => {
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    const token = await MockERC20.deploy('USD Coin', 'USDC', 6);
+    await token.waitForDeployment();
+    const tokenAddress = await token.getAddress();
+
+    await ethShot.setAcceptedToken(tokenAddress, TOKEN_SHOT_COST);
+    for (const signer of signers) {
+      await token.mint(signer.address, TOKEN_SHOT_COST);
+      await token.connect(signer).approve(contractAddress, TOKEN_SHOT_COST);
+    }
+    return tokenAddress;
+  };
+
+  const commitTokenShot = async (signer, tokenAddress, secret) =>
+    (await ethShot.connect(signer).commitShotWithToken(tokenAddress, commitmentFor(secret, signer))).wait();
+
+  const commitShot = async (signer, secret) =>
+    (await ethShot.connect(signer).commitShot(commitmentFor(secret, signer), { value: SHOT_COST })).wait();
+
+  const shotRecord = (receipt, overrides = {}) => ({
+    playerAddress: player.address,
+    txHash: receipt.hash,
+    contractAddress,
+    ...overrides
+  });
+
+  const verifyShot = (shotData, tokens) => verifyShotRecord({ rpc, contractAddress, shotData, tokens });
+
+  beforeEach(async () => {
+    [owner, player, otherPlayer] = await ethers.getSigners();
+    await deploy(100);
+  });
+
+  it('should accept a commit and read the amount from the chain', async () => {
+    const commit = await commitShot(player, 42n);
+
+    const result = await verifyShot(shotRecord(commit, { amount: '1', cryptoType: 'SOL', won: true }));
+
+    expect(result).to.deep.equal({
+      isValid: true,
+      amount: ethers.formatEther(SHOT_COST),
+      cryptoType: 'ETH',
+      blockNumber: commit.blockNumber
+    });
+  });
+
+  it('should reject a reveal so a shot is only recorded once', async () => {
+    await commitShot(player, 42n);
+    await mine(1);
+    const reveal = await (await ethShot.connect(player).revealShot(42n)).wait();
+
+    const result = await verifyShot(shotRecord(reveal));
+
+    expect(result).to.deep.equal({ isValid: false, error: 'Transaction did not commit a shot by this player' });
+  });
+
+  it('should sum the amounts of a shot bundle', async () => {
+    const commitments = [1n, 2n, 3n].map((secret) => commitmentFor(secret, player));
+    const commit = await (await ethShot.connect(player).commitShots(commitments, { value: SHOT_COST * 3n })).wait();
+
+    expect((await verifyShot(shotRecord(commit))).amount).to.equal(ethers.formatEther(SHOT_COST * 3n));
+  });
+
+  it('should record token shots in the token pot with its decimals', async () => {
+    const tokenAddress = await acceptToken([player]);
+    const commit = await commitTokenShot(player, tokenAddress, 42n);
+
+    const result = await verifyShot(shotRecord(commit), { USDC: { address: tokenAddress, decimals: 6 } });
+    expect(result).to.deep.equal({
+      isValid: true,
+      amount: '2.0',
+      cryptoType: 'USDC',
+      blockNumber: commit.blockNumber
+    });
+
+    expect((await verifyShot(shotRecord(commit))).error).to.equal('Shot was taken with an unsupported token');
+  });
+
+  it("should reject another player's transaction", async () => {
+    const commit = await commitShot(otherPlayer, 42n);
+
+    const result = await verifyShot(shotRecord(commit));
+
+    expect(result).to.deep.equal({ isValid: false, error: 'Transaction did not commit a shot by this player' });
+  });
+
+  it('should reject records for another contract', async () => {
+    const commit = await commitShot(player, 42n);
+
+    const result = await verifyShot(shotRecord(commit, { contractAddress: otherPlayer.address }));
+
+    expect(result).to.deep.equal({ isValid: false, error: 'Contract address mismatch' });
+  });
+
+  it('should reject unknown and malformed transaction hashes', async () => {
+    expect((await verifyShot(shotRecord({ hash: ethers.ZeroHash }))).error)
+      .to.equal('Transaction not found or failed on-chain');
+    expect((await verifyShot(shotRecord({ hash: '0x1234' }))).error).to.equal('Invalid transaction hash');
+  });
+
+  it('should check winners against the JackpotWon payout', async () => {
+    await deploy(10000);
+    await commitShot(otherPlayer, 1n);
+    await commitShot(player, 42n);
+    await mine(1);
+    const reveal = await (await ethShot.connect(player).revealShot(42n)).wait();
+    const jackpot = reveal.logs.map((log) => ethShot.interface.parseLog(log)).find((event) => event?.name === 'JackpotWon');
+    const payout = ethers.formatEther(jackpot.args.amount);
+
+    const winnerData = { winnerAddress: player.address, amount: payout, txHash: reveal.hash, contractAddress };
+
+    expect(await verifyWinnerRecord({ rpc, contractAddress, winnerData })).to.deep.equal({
+      isValid: true,
+      amount: payout,
+      cryptoType: 'ETH',
+      blockNumber: reveal.blockNumber
+    });
+
+    const inflated = await verifyWinnerRecord({ rpc, contractAddress, winnerData: { ...winnerData, amount: '100' } });
+    expect(inflated.error).to.equal('Winner amount does not match the transaction');
+
+    const impostor = await verifyWinnerRecord({
+      rpc,
+      contractAddress,
+      winnerData: { ...winnerData, winnerAddress: otherPlayer.address }
+    });
+    expect(impostor.error).to.equal('Transaction has no jackpot won by this player');
+  });
+
+  it('should check token winners in the token decimals', async () => {
+    await deploy(10000);
+    const tokenAddress = await acceptToken([otherPlayer, player]);
+    const tokens = { USDC: { address: tokenAddress, decimals: 6 } };
+    await commitTokenShot(otherPlayer, tokenAddress, 1n);
+    await commitTokenShot(player, tokenAddress, 42n);
+    await mine(1);
+    const reveal = await (await ethShot.connect(player).revealShot(42n)).wait();
+    const payout = (TOKEN_SHOT_COST * 2n * 9000n) / 10000n;
+
+    const winnerData = {
+      winnerAddress: player.address,
+      amount: ethers.formatUnits(payout, 6),
+      txHash: reveal.hash,
+      contractAddress
+    };
+
+    expect(await verifyWinnerRecord({ rpc, contractAddress, winnerData, tokens })).to.deep.equal({
+      isValid: true,
+      amount: ethers.formatUnits(payout, 6),
+      cryptoType: 'USDC',
+      blockNumber: reveal.blockNumber
+    });
+
+    // The same number read as ETH is off by twelve decimals
+    const asEth = await verifyWinnerRecord({
+      rpc,
+      contractAddress,
+      winnerData: { ...winnerData, amount: ethers.formatEther(payout) },
+      tokens
+    });
+    expect(asEth.error).to.equal('Winner amount does not match the transaction');
+
+    expect((await verifyWinnerRecord({ rpc, contractAddress, winnerData })).error)
+      .to.equal('Jackpot was won in an unsupported token');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Keeper Escrow Tests
+ *
+ * Tests for validating escrow requests and the keeper's encryption envelope
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import {
+  decryptKeeperEscrow,
+  encryptForKeeper,
+  generateKeeperKeyPair
+} from '../../src/lib/crypto/keeper-escrow.js';
+import { ESCROW_STATUS, toEscrowRow, validateEscrowRequest } from '../../src/lib/server/keeper.js';
+
+const PLAYER = '0x1111111111111111111111111111111111111111';
+const CONTRACT_ADDRESS = '0xABCDEF0123456789ABCDEF0123456789ABCDEF01';
+const COMMIT_TX_HASH = `0x${'ab'.repeat(32)}`;
+
+describe('Keeper Escrow', () => {
+  const createRequest = async (overrides = {}) => {
+    const { publicKey } = await generateKeeperKeyPair();
+    return {
+      playerAddress: PLAYER,
+      commitTxHash: COMMIT_TX_HASH,
+      commitBlock: 100,
+      envelope: await encryptForKeeper(publicKey, { player: PLAYER, secret: '42' }),
+      ...overrides
+    };
+  };
+
+  describe('encryptForKeeper', () => {
+    it('should only be decryptable with the keeper key', async () => {
+      const keeper = await generateKeeperKeyPair();
+      const other = await generateKeeperKeyPair();
+      const envelope = await encryptForKeeper(keeper.publicKey, { player: PLAYER, secret: '42' });
+
+      expect(await decryptKeeperEscrow(keeper.privateKey, envelope)).to.deep.equal({ player: PLAYER, secret: '42' });
+
+      let error;
+      try {
+        await decryptKeeperEscrow(other.privateKey, envelope);
+      } catch (decryptError) {
+        error = decryptError;
+      }
+      expect(error).to.be.instanceOf(Error);
+    });
+  });
+
+  describe('validateEscrowRequest', () => {
+    it('should accept a well-formed request', async () => {
+      expect(validateEscrowRequest(await createRequest())).to.deep.equal({ isValid: true });
+    });
+
+    it('should reject malformed fields', async () => {
+      expect(validateEscrowRequest(await createRequest({ playerAddress: '0x123' })).error)
+        .to.equal('Invalid player address');
+      expect(validateEscrowRequest(await createRequest({ commitTxHash: '0x1234' })).error)
+        .to.equal('Invalid commit transaction hash');
+      expect(validateEscrowRequest(await createRequest({ commitBlock: '100' })).error)
+        .to.equal('Invalid commit block');
+      expect(validateEscrowRequest(null).isValid).to.equal(false);
+    });
+
+    it('should reject envelopes that are not keeper escrows', async () => {
+      const request = await createRequest();
+
+      expect(validateEscrowRequest({
+        ...request,
+        envelope: { ...request.envelope, ephemeralPublicKey: { kty: 'RSA' } }
+      }).error).to.equal('Invalid escrow key');
+      expect(validateEscrowRequest({
+        ...request,
+        envelope: { ...request.envelope, ciphertext: 'a'.repeat(5000) }
+      }).error).to.equal('Invalid escrow ciphertext');
+    });
+  });
+
+  describe('toEscrowRow', () => {
+    it('should normalize addresses and keep only the public key coordinates', async () => {
+      const request = await createRequest();
+      const row = toEscrowRow({
+        ...request,
+        envelope: { ...request.envelope, ephemeralPublicKey: { ...request.envelope.ephemeralPublicKey, d: 'leaked' } }
+      }, CONTRACT_ADDRESS);
+
+      expect(row.player_address).to.equal(PLAYER.toLowerCase());
+      expect(row.contract_address).to.equal(CONTRACT_ADDRESS.toLowerCase());
+      expect(row.commit_block).to.equal(100);
+      expect(row.status).to.equal(ESCROW_STATUS.PENDING);
+      expect(row.ephemeral_public_key).to.have.keys('kty', 'crv', 'x', 'y');
+    });
+  });
+});
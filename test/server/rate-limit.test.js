@@ -0,0 +1,53 @@
+/**
+ * API Rate Limiting Tests
+ *
+ * Tests for the fixed-window limiter shared by the API routes
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { consumeRateLimits, createRateLimiter } from '../../src/lib/server/rate-limit.js';
+
+describe('API Rate Limiting', () => {
+  const clock = (start = 0) => {
+    const state = { time: start };
+    return Object.assign(() => state.time, { advance: (ms) => { state.time += ms; } });
+  };
+
+  it('should allow up to the limit per key and window', () => {
+    const now = clock();
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60000, now });
+
+    expect(limiter.consume('1.2.3.4').allowed).to.equal(true);
+    expect(limiter.consume('1.2.3.4').allowed).to.equal(true);
+    expect(limiter.consume('1.2.3.4')).to.deep.equal({ allowed: false, retryAfterSeconds: 60 });
+    expect(limiter.consume('5.6.7.8').allowed).to.equal(true);
+  });
+
+  it('should start a new window once the current one ends', () => {
+    const now = clock();
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60000, now });
+
+    limiter.consume('key');
+    now.advance(45000);
+    expect(limiter.consume('key')).to.deep.equal({ allowed: false, retryAfterSeconds: 15 });
+
+    now.advance(15000);
+    expect(limiter.consume('key').allowed).to.equal(true);
+  });
+
+  it('should refuse a request when any of its limiters does', () => {
+    const wallets = createRateLimiter({ limit: 1, windowMs: 60000, now: clock() });
+    const ips = createRateLimiter({ limit: 5, windowMs: 60000, now: clock() });
+
+    expect(consumeRateLimits([[wallets, '0xabc'], [ips, '1.2.3.4']]).allowed).to.equal(true);
+    expect(consumeRateLimits([[wallets, '0xabc'], [ips, '1.2.3.4']]).allowed).to.equal(false);
+    expect(consumeRateLimits([[wallets, '0xdef'], [ips, '1.2.3.4']]).allowed).to.equal(true);
+  });
+
+  it('should skip checks without a key', () => {
+    const limiter = createRateLimiter({ limit: 0, windowMs: 60000, now: clock() });
+
+    expect(consumeRateLimits([[limiter, null]]).allowed).to.equal(true);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Round Sync Tests
+ *
+ * Tests for mapping contract rounds into database rows and API responses
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { ethers } from 'ethers';
+import { mapChainRound, toApiRound } from '../../src/lib/server/rounds.js';
+
+const CONTRACT_ADDRESS = '0xABCDEF0123456789ABCDEF0123456789ABCDEF01';
+const WINNER = '0x1111111111111111111111111111111111111111';
+
+describe('Round Sync', () => {
+  describe('mapChainRound', () => {
+    it('should map a closed round', () => {
+      const row = mapChainRound(3, {
+        startTime: 1700000000n,
+        endTime: 1700003600n,
+        startBlock: 100n,
+        endBlock: 400n,
+        shotCount: 12n,
+        potAmount: ethers.parseEther('0.012'),
+        payout: ethers.parseEther('0.0108'),
+        winner: WINNER
+      }, CONTRACT_ADDRESS);
+
+      expect(row).to.deep.equal({
+        round_id: 3,
+        contract_address: CONTRACT_ADDRESS.toLowerCase(),
+        crypto_type: 'ETH',
+        started_at: '2023-11-14T22:13:20.000Z',
+        ended_at: '2023-11-14T23:13:20.000Z',
+        start_block: 100,
+        end_block: 400,
+        shot_count: 12,
+        pot_amount: '0.012',
+        payout: '0.0108',
+        winner_address: WINNER
+      });
+    });
+
+    it('should leave end fields empty for the open round', () => {
+      const row = mapChainRound(4, {
+        startTime: 1700003600n,
+        endTime: 0n,
+        startBlock: 400n,
+        endBlock: 0n,
+        shotCount: 2n,
+        potAmount: 0n,
+        payout: 0n,
+        winner: ethers.ZeroAddress
+      }, CONTRACT_ADDRESS);
+
+      expect(row.ended_at).to.be.null;
+      expect(row.end_block).to.be.null;
+      expect(row.winner_address).to.be.null;
+      expect(row.shot_count).to.equal(2);
+    });
+  });
+
+  describe('toApiRound', () => {
+    it('should compute the duration of a closed round', () => {
+      const round = toApiRound({
+        round_id: '3',
+        contract_address: CONTRACT_ADDRESS.toLowerCase(),
+        crypto_type: 'ETH',
+        started_at: '2023-11-14T22:13:20.000Z',
+        ended_at: '2023-11-14T23:13:20.000Z',
+        start_block: 100,
+        end_block: 400,
+        shot_count: 12,
+        pot_amount: 0.012,
+        payout: 0.0108,
+        winner_address: WINNER
+      });
+
+      expect(round.roundId).to.equal(3);
+      expect(round.durationSeconds).to.equal(3600);
+      expect(round.payout).to.equal('0.0108');
+      expect(round.isOpen).to.be.false;
+    });
+
+    it('should measure an open round up to now', () => {
+      const round = toApiRound({
+        round_id: 4,
+        started_at: '2023-11-14T23:13:20.000Z',
+        ended_at: null,
+        shot_count: 2
+      }, new Date('2023-11-14T23:23:20.000Z'));
+
+      expect(round.durationSeconds).to.equal(600);
+      expect(round.isOpen).to.be.true;
+      expect(round.payout).to.equal('0');
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * RPC Health Tests
+ *
+ * Tests for the admin RPC health dashboard: time series, admin check and provider actions
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import {
+  buildRpcHealthSeries,
+  getDisabledRpcProviders,
+  isAdminWallet,
+  loadRpcHealthDashboard,
+  resetRpcProviderHealth,
+  setRpcProviderActive
+} from '../../src/lib/server/rpc-health.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2025-08-21T12:00:00Z');
+
+const PROVIDERS = [
+  { id: 'provider-infura', name: 'Primary-Infura', chain_id: 11155111, priority: 100, is_active: true },
+  { id: 'provider-ankr', name: 'Ankr-Sepolia', chain_id: 11155111, priority: 50, is_active: false }
+];
+
+const bucket = (hoursAgo, overrides = {}) => ({
+  provider_id: 'provider-infura',
+  bucket_start: new Date(NOW - hoursAgo * HOUR).toISOString(),
+  request_count: 10,
+  failed_count: 0,
+  avg_response_time_ms: 100,
+  rate_limited_count: 0,
+  fallback_count: 0,
+  ...overrides
+});
+
+describe('RPC Health', () => {
+  // Query builder over in-memory tables that records updates and RPC calls
+  const fakeSupabase = (tables = {}, rpcData = []) => {
+    const calls = { updates: [], rpcs: [] };
+
+    const query = (table) => {
+      const filters = [];
+      let update = null;
+      const rows = () => (tables[table] || []).filter((row) => filters.every(([column, value]) => row[column] === value));
+      const result = () => {
+        if (update) {
+          calls.updates.push({ table, values: update, filters });
+          return { error: null };
+        }
+        return { data: rows(), error: null };
+      };
+
+      const builder = {
+        select: () => builder,
+        order: () => builder,
+        update: (values) => {
+          update = values;
+          return builder;
+        },
+        eq: (column, value) => {
+          filters.push([column, value]);
+          return builder;
+        },
+        maybeSingle: () => Promise.resolve({ data: rows()[0] || null, error: null }),
+        then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+      };
+      return builder;
+    };
+
+    return {
+      calls,
+      from: query,
+      rpc: (name, params) => {
+        calls.rpcs.push({ name, params });
+        return Promise.resolve({ data: rpcData, error: null });
+      }
+    };
+  };
+
+  describe('buildRpcHealthSeries', () => {
+    it('should fill every bucket and total the window', () => {
+      const [infura, ankr] = buildRpcHealthSeries({
+        providers: PROVIDERS,
+        health: [{ provider_id: 'provider-infura', is_healthy: false, failure_count: 2, error_message: 'timeout' }],
+        rows: [
+          bucket(6, { request_count: 10, failed_count: 5, avg_response_time_ms: 200, rate_limited_count: 3 }),
+          bucket(2, { request_count: 20, failed_count: 0, avg_response_time_ms: 50, fallback_count: 1 })
+        ],
+        since: NOW - 6 * HOUR,
+        now: NOW,
+        bucketMinutes: 60
+      });
+
+      expect(infura.series).to.have.length(6);
+      expect(infura.series[0]).to.include({ requests: 10, failed: 5, errorRate: 0.5, avgLatencyMs: 200, rateLimited: 3 });
+      expect(infura.series[1]).to.include({ requests: 0, errorRate: null, avgLatencyMs: null });
+      expect(infura.series[4]).to.include({ requests: 20, fallbacks: 1 });
+      // (5 * 200 + 20 * 50) / 25 successful requests
+      expect(infura.totals).to.deep.equal({ requests: 30, errorRate: 5 / 30, avgLatencyMs: 80, rateLimited: 3, fallbacks: 1 });
+      expect(infura).to.include({ isHealthy: false, failureCount: 2, lastError: 'timeout' });
+
+      expect(ankr.isActive).to.equal(false);
+      expect(ankr.isHealthy).to.equal(null);
+      expect(ankr.totals.requests).to.equal(0);
+    });
+  });
+
+  describe('loadRpcHealthDashboard', () => {
+    it('should ask for the window with its bucket size', async () => {
+      const supabase = fakeSupabase({ rpc_providers: PROVIDERS, rpc_provider_health: [] }, [bucket(3)]);
+
+      const result = await loadRpcHealthDashboard({ supabase, hours: 24, now: NOW });
+
+      expect(result.success).to.equal(true);
+      expect(result.bucketMinutes).to.equal(60);
+      expect(supabase.calls.rpcs).to.deep.equal([{
+        name: 'get_rpc_metrics_timeseries',
+        params: { p_since: '2025-08-20T12:00:00.000Z', p_bucket_minutes: 60 }
+      }]);
+      expect(result.providers[0].series).to.have.length(24);
+      expect(result.providers[0].series[21].requests).to.equal(10);
+    });
+
+    it('should reject windows the dashboard does not offer', async () => {
+      const result = await loadRpcHealthDashboard({ supabase: fakeSupabase(), hours: 1000, now: NOW });
+      expect(result).to.include({ success: false, status: 400 });
+    });
+  });
+
+  describe('isAdminWallet', () => {
+    it('should check is_admin on the lowercased wallet', async () => {
+      const supabase = fakeSupabase({
+        user_profiles: [
+          { wallet_address: '0xabc', is_admin: true },
+          { wallet_address: '0xdef', is_admin: false }
+        ]
+      });
+
+      expect(await isAdminWallet(supabase, '0xABC')).to.equal(true);
+      expect(await isAdminWallet(supabase, '0xdef')).to.equal(false);
+      expect(await isAdminWallet(supabase, '0x123')).to.equal(false);
+    });
+  });
+
+  describe('provider actions', () => {
+    it('should disable a provider by name', async () => {
+      const supabase = fakeSupabase({ rpc_providers: PROVIDERS });
+
+      const result = await setRpcProviderActive({ supabase, providerName: 'Primary-Infura', isActive: false });
+
+      expect(result).to.deep.equal({ success: true });
+      expect(supabase.calls.updates).to.have.length(1);
+      expect(supabase.calls.updates[0].values.is_active).to.equal(false);
+      expect(supabase.calls.updates[0].filters).to.deep.equal([['id', 'provider-infura']]);
+    });
+
+    it('should reset health through update_rpc_provider_health', async () => {
+      const supabase = fakeSupabase({ rpc_providers: PROVIDERS });
+
+      const result = await resetRpcProviderHealth({ supabase, providerName: 'Ankr-Sepolia' });
+
+      expect(result).to.deep.equal({ success: true });
+      expect(supabase.calls.rpcs).to.deep.equal([{
+        name: 'update_rpc_provider_health',
+        params: {
+          p_provider_id: 'provider-ankr',
+          p_is_healthy: true,
+          p_response_time_ms: null,
+          p_error_message: null
+        }
+      }]);
+    });
+
+    it('should 404 on unknown providers and 400 on missing parameters', async () => {
+      const supabase = fakeSupabase({ rpc_providers: PROVIDERS });
+
+      expect(await resetRpcProviderHealth({ supabase, providerName: 'Provider-3' })).to.include({ status: 404 });
+      expect(await setRpcProviderActive({ supabase, providerName: 'Primary-Infura' })).to.include({ status: 400 });
+      expect(supabase.calls.updates).to.have.length(0);
+      expect(supabase.calls.rpcs).to.have.length(0);
+    });
+
+    it('should list disabled provider names', async () => {
+      const supabase = fakeSupabase({ rpc_providers: PROVIDERS });
+      expect(await getDisabledRpcProviders(supabase)).to.deep.equal(['Ankr-Sepolia']);
+    });
+  });
+});
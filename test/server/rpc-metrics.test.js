@@ -0,0 +1,257 @@
+/**
+ * RPC Metrics Tests
+ *
+ * Tests for metrics batch validation and writing to the RPC monitoring tables
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import {
+  HEALTH_QUORUM,
+  HEALTH_REPORT_WINDOW_MS,
+  MAX_REQUEST_METRICS,
+  createRpcMetricsWriter,
+  validateRpcMetrics
+} from '../../src/lib/server/rpc-metrics.js';
+
+const PROVIDERS = [
+  { id: 'provider-infura', name: 'Primary-Infura' },
+  { id: 'provider-ankr', name: 'Ankr-Sepolia' }
+];
+
+const request = (overrides = {}) => ({
+  provider: 'Primary-Infura',
+  method: 'eth_call',
+  success: true,
+  responseTimeMs: 120,
+  errorType: null,
+  errorMessage: null,
+  cached: false,
+  ...overrides
+});
+
+const healthCheck = (overrides = {}) => ({
+  provider: 'Ankr-Sepolia',
+  isHealthy: false,
+  responseTimeMs: null,
+  errorMessage: 'timeout',
+  ...overrides
+});
+
+const rateLimitEvent = (overrides = {}) => ({
+  provider: 'Primary-Infura',
+  eventType: 'rate_limited',
+  method: 'eth_call',
+  delayMs: 2000,
+  attempt: 3,
+  ...overrides
+});
+
+describe('RPC Metrics', () => {
+  // Records provider lookups, inserts and RPC calls
+  const fakeSupabase = (providers = PROVIDERS) => {
+    const calls = { selects: 0, inserts: [], rpcs: [] };
+    return {
+      calls,
+      from: (table) => ({
+        select: () => {
+          calls.selects++;
+          return Promise.resolve({ data: table === 'rpc_providers' ? providers : [], error: null });
+        },
+        insert: (rows) => {
+          calls.inserts.push({ table, rows });
+          return Promise.resolve({ error: null });
+        }
+      }),
+      rpc: (name, params) => {
+        calls.rpcs.push({ name, params });
+        return Promise.resolve({ error: null });
+      }
+    };
+  };
+
+  describe('validateRpcMetrics', () => {
+    it('should accept and normalize a batch', () => {
+      const result = validateRpcMetrics({
+        requests: [request({ errorMessage: 'x'.repeat(600), responseTimeMs: undefined })],
+        health: [{ provider: 'Ankr-Sepolia', isHealthy: false, responseTimeMs: null, errorMessage: 'timeout' }]
+      });
+
+      expect(result.isValid).to.equal(true);
+      expect(result.batch.requests[0].responseTimeMs).to.equal(null);
+      expect(result.batch.requests[0].errorMessage).to.have.length(500);
+      expect(result.batch.health[0].errorMessage).to.equal('timeout');
+    });
+
+    it('should reject malformed entries', () => {
+      expect(validateRpcMetrics({ requests: 'eth_call' }).isValid).to.equal(false);
+      expect(validateRpcMetrics({ requests: [request({ method: 'DROP TABLE' })] }).isValid).to.equal(false);
+      expect(validateRpcMetrics({ requests: [request({ responseTimeMs: -1 })] }).isValid).to.equal(false);
+      expect(validateRpcMetrics({ health: [{ provider: 'Primary-Infura' }] }).isValid).to.equal(false);
+      expect(validateRpcMetrics({ rateLimitEvents: [rateLimitEvent({ eventType: 'cache_hit' })] }).isValid).to.equal(false);
+      expect(validateRpcMetrics({ rateLimitEvents: [rateLimitEvent({ attempt: 1.5 })] }).isValid).to.equal(false);
+    });
+
+    it('should accept rate limit events', () => {
+      const result = validateRpcMetrics({ rateLimitEvents: [rateLimitEvent({ eventType: 'fallback', delayMs: undefined })] });
+
+      expect(result.isValid).to.equal(true);
+      expect(result.batch.rateLimitEvents[0]).to.deep.equal({
+        provider: 'Primary-Infura',
+        eventType: 'fallback',
+        method: 'eth_call',
+        delayMs: null,
+        attempt: 3
+      });
+    });
+
+    it('should reject oversized batches', () => {
+      const requests = Array.from({ length: MAX_REQUEST_METRICS + 1 }, () => request());
+      expect(validateRpcMetrics({ requests }).isValid).to.equal(false);
+    });
+  });
+
+  describe('createRpcMetricsWriter', () => {
+    it('should insert request metrics in one call and update health per provider', async () => {
+      const supabase = fakeSupabase();
+      const { writeRpcMetrics } = createRpcMetricsWriter({ supabase });
+
+      const result = await writeRpcMetrics({
+        requests: [request(), request({ provider: 'Ankr-Sepolia', success: false, errorType: 'TIMEOUT' })],
+        health: [{ provider: 'Ankr-Sepolia', isHealthy: false, responseTimeMs: null, errorMessage: 'timeout' }]
+      });
+
+      expect(result).to.deep.equal({ written: 3, skipped: 0 });
+      expect(supabase.calls.inserts).to.have.length(1);
+      expect(supabase.calls.inserts[0].table).to.equal('rpc_request_metrics');
+      expect(supabase.calls.inserts[0].rows[1]).to.include({
+        provider_id: 'provider-ankr',
+        success: false,
+        error_type: 'TIMEOUT',
+        batch_size: 1
+      });
+      expect(supabase.calls.rpcs).to.deep.equal([{
+        name: 'update_rpc_provider_health',
+        params: {
+          p_provider_id: 'provider-ankr',
+          p_is_healthy: false,
+          p_response_time_ms: null,
+          p_error_message: 'timeout'
+        }
+      }]);
+    });
+
+    it('should insert rate limit events for known providers', async () => {
+      const supabase = fakeSupabase();
+      const { writeRpcMetrics } = createRpcMetricsWriter({ supabase });
+
+      const result = await writeRpcMetrics({
+        rateLimitEvents: [rateLimitEvent(), rateLimitEvent({ provider: 'Provider-3' })]
+      });
+
+      expect(result).to.deep.equal({ written: 1, skipped: 1 });
+      expect(supabase.calls.inserts).to.deep.equal([{
+        table: 'rpc_rate_limit_events',
+        rows: [{
+          provider_id: 'provider-infura',
+          event_type: 'rate_limited',
+          method: 'eth_call',
+          delay_ms: 2000,
+          attempt_number: 3
+        }]
+      }]);
+    });
+
+    it('should skip providers rpc_providers does not list', async () => {
+      const supabase = fakeSupabase();
+      const { writeRpcMetrics } = createRpcMetricsWriter({ supabase });
+
+      const result = await writeRpcMetrics({
+        requests: [request({ provider: 'Provider-3' })],
+        health: [{ provider: 'Provider-3', isHealthy: true, responseTimeMs: 50, errorMessage: null }]
+      });
+
+      expect(result).to.deep.equal({ written: 0, skipped: 2 });
+      expect(supabase.calls.inserts).to.have.length(0);
+      expect(supabase.calls.rpcs).to.have.length(0);
+    });
+
+    it('should cache the provider list between batches', async () => {
+      let now = 0;
+      const supabase = fakeSupabase();
+      const { writeRpcMetrics } = createRpcMetricsWriter({ supabase, now: () => now });
+
+      await writeRpcMetrics({ requests: [request()] });
+      await writeRpcMetrics({ requests: [request()] });
+      expect(supabase.calls.selects).to.equal(1);
+
+      now += 10 * 60 * 1000;
+      await writeRpcMetrics({ requests: [request()] });
+      expect(supabase.calls.selects).to.equal(2);
+    });
+  });
+
+  describe('reported health checks', () => {
+    const report = (writeRpcMetrics, reporter, overrides) =>
+      writeRpcMetrics({ health: [healthCheck(overrides)] }, { reporter });
+
+    it('should not let a single client change provider health', async () => {
+      const supabase = fakeSupabase();
+      const { writeRpcMetrics } = createRpcMetricsWriter({ supabase });
+
+      for (let i = 0; i < 10; i++) {
+        expect(await report(writeRpcMetrics, '1.2.3.4')).to.deep.equal({ written: 0, skipped: 1 });
+      }
+      expect(supabase.calls.rpcs).to.have.length(0);
+    });
+
+    it('should write the majority verdict once enough clients agree', async () => {
+      const supabase = fakeSupabase();
+      const { writeRpcMetrics } = createRpcMetricsWriter({ supabase });
+
+      await report(writeRpcMetrics, '10.0.0.1', { isHealthy: true, responseTimeMs: 80, errorMessage: null });
+      for (let i = 2; i <= HEALTH_QUORUM; i++) {
+        await report(writeRpcMetrics, `10.0.0.${i}`);
+      }
+
+      expect(supabase.calls.rpcs).to.deep.equal([{
+        name: 'update_rpc_provider_health',
+        params: {
+          p_provider_id: 'provider-ankr',
+          p_is_healthy: false,
+          p_response_time_ms: null,
+          p_error_message: 'timeout'
+        }
+      }]);
+
+      // The same verdict is not rewritten, which would bump failure_count
+      await report(writeRpcMetrics, '10.0.0.9');
+      expect(supabase.calls.rpcs).to.have.length(1);
+    });
+
+    it('should keep a provider healthy unless most clients found it down', async () => {
+      const supabase = fakeSupabase();
+      const { writeRpcMetrics } = createRpcMetricsWriter({ supabase });
+
+      await report(writeRpcMetrics, '10.0.0.1');
+      await report(writeRpcMetrics, '10.0.0.2', { isHealthy: true, responseTimeMs: 90, errorMessage: null });
+      await report(writeRpcMetrics, '10.0.0.3', { isHealthy: true, responseTimeMs: 70, errorMessage: null });
+
+      expect(supabase.calls.rpcs).to.have.length(1);
+      expect(supabase.calls.rpcs[0].params).to.include({ p_is_healthy: true, p_error_message: null });
+    });
+
+    it('should forget reports older than the window', async () => {
+      let now = 0;
+      const supabase = fakeSupabase();
+      const { writeRpcMetrics } = createRpcMetricsWriter({ supabase, now: () => now });
+
+      await report(writeRpcMetrics, '10.0.0.1');
+      await report(writeRpcMetrics, '10.0.0.2');
+      now += HEALTH_REPORT_WINDOW_MS;
+      await report(writeRpcMetrics, '10.0.0.3');
+
+      expect(supabase.calls.rpcs).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Sponsor Campaign Tests
+ *
+ * Tests for banner event validation, slot booking and campaign scheduling
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import {
+  bookCampaignSlot,
+  hashClientAddress,
+  secondsUntilNextHour,
+  toApiCampaign,
+  validateBooking,
+  validateSponsorEvent
+} from '../../src/lib/server/sponsor-campaigns.js';
+import {
+  findOverlappingBooking,
+  isCampaignLive,
+  selectLiveCampaign
+} from '../../src/lib/utils/sponsor-schedule.js';
+
+const SPONSOR_ID = '0b6f7c1e-2a3d-4c5b-9e8f-1a2b3c4d5e6f';
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2025-08-17T12:00:00Z');
+
+describe('Sponsor Campaigns', () => {
+  describe('validateSponsorEvent', () => {
+    it('should accept an impression', () => {
+      const result = validateSponsorEvent({
+        sponsorId: SPONSOR_ID,
+        eventType: 'impression',
+        sessionId: 'f47ac10b-58cc-4372-a567-0e02b2c3d479'
+      });
+      expect(result.isValid).to.be.true;
+    });
+
+    it('should reject unknown event types', () => {
+      const result = validateSponsorEvent({ sponsorId: SPONSOR_ID, eventType: 'hover', sessionId: 'abcdefgh' });
+      expect(result.isValid).to.be.false;
+      expect(result.error).to.include('Invalid event type');
+    });
+
+    it('should reject invalid sponsor and session IDs', () => {
+      expect(validateSponsorEvent({ sponsorId: '1', eventType: 'click', sessionId: 'abcdefgh' }).error)
+        .to.equal('Invalid sponsor ID');
+      expect(validateSponsorEvent({ sponsorId: SPONSOR_ID, eventType: 'click', sessionId: 'a b' }).error)
+        .to.equal('Invalid session ID');
+      expect(validateSponsorEvent(undefined).isValid).to.be.false;
+    });
+  });
+
+  describe('hashClientAddress', () => {
+    it('should hash IPs with the server key so they are comparable but not stored', () => {
+      const hash = hashClientAddress('203.0.113.7', 'secret');
+
+      expect(hash).to.match(/^[0-9a-f]{64}$/);
+      expect(hash).to.not.contain('203.0.113.7');
+      expect(hashClientAddress('203.0.113.7', 'secret')).to.equal(hash);
+      expect(hashClientAddress('198.51.100.2', 'secret')).to.not.equal(hash);
+      expect(hashClientAddress('203.0.113.7', 'other')).to.not.equal(hash);
+    });
+  });
+
+  describe('secondsUntilNextHour', () => {
+    it('should count down to the next clock hour', () => {
+      expect(secondsUntilNextHour(NOW)).to.equal(3600);
+      expect(secondsUntilNextHour(NOW + 59 * 60 * 1000 + 500)).to.equal(60);
+    });
+  });
+
+  describe('validateBooking', () => {
+    it('should compute the slot from the start time', () => {
+      const startsAt = new Date(NOW + 2 * HOUR_MS).toISOString();
+      const result = validateBooking({ startsAt, slotHours: 24, maxDaysAhead: 30, now: NOW });
+
+      expect(result.isValid).to.be.true;
+      expect(result.startsAt).to.equal(NOW + 2 * HOUR_MS);
+      expect(result.endsAt).to.equal(NOW + 26 * HOUR_MS);
+    });
+
+    it('should reject past and far-future slots', () => {
+      expect(validateBooking({ startsAt: new Date(NOW).toISOString(), slotHours: 24, maxDaysAhead: 30, now: NOW }).error)
+        .to.equal('Slots must start in the future');
+      expect(validateBooking({ startsAt: new Date(NOW + 31 * 24 * HOUR_MS).toISOString(), slotHours: 24, maxDaysAhead: 30, now: NOW }).error)
+        .to.equal('Slots can be booked at most 30 days ahead');
+      expect(validateBooking({ startsAt: 'tomorrow', slotHours: 24, maxDaysAhead: 30, now: NOW }).error)
+        .to.equal('Invalid slot start time');
+    });
+  });
+
+  describe('toApiCampaign', () => {
+    it('should map totals and click-through rate', () => {
+      const campaign = toApiCampaign({
+        id: SPONSOR_ID,
+        name: 'Acme',
+        logo_url: 'https://acme.test/logo.png',
+        impressions: '200',
+        clicks: '5',
+        starts_at: null,
+        ends_at: null
+      });
+
+      expect(campaign.impressions).to.equal(200);
+      expect(campaign.clicks).to.equal(5);
+      expect(campaign.clickThroughRate).to.equal(0.025);
+      expect(campaign.logoUrl).to.equal('https://acme.test/logo.png');
+    });
+
+    it('should report a zero rate without impressions', () => {
+      expect(toApiCampaign({ id: SPONSOR_ID }).clickThroughRate).to.equal(0);
+    });
+  });
+
+  describe('scheduling', () => {
+    const unbooked = { id: 'a', active: true, starts_at: null, ends_at: null };
+    const booked = {
+      id: 'b',
+      active: true,
+      starts_at: new Date(NOW - HOUR_MS).toISOString(),
+      ends_at: new Date(NOW + HOUR_MS).toISOString()
+    };
+    const upcoming = {
+      id: 'c',
+      active: true,
+      starts_at: new Date(NOW + 2 * HOUR_MS).toISOString(),
+      ends_at: new Date(NOW + 4 * HOUR_MS).toISOString()
+    };
+
+    it('should only treat campaigns inside their slot as live', () => {
+      expect(isCampaignLive(unbooked, NOW)).to.be.true;
+      expect(isCampaignLive(booked, NOW)).to.be.true;
+      expect(isCampaignLive(upcoming, NOW)).to.be.false;
+      expect(isCampaignLive({ ...unbooked, active: false }, NOW)).to.be.false;
+    });
+
+    it('should prefer a live booked campaign over the current sponsor', () => {
+      expect(selectLiveCampaign([unbooked, booked, upcoming], NOW)).to.equal(booked);
+      expect(selectLiveCampaign([unbooked, upcoming], NOW)).to.equal(unbooked);
+      expect(selectLiveCampaign([upcoming], NOW)).to.be.null;
+    });
+
+    it('should find overlapping bookings', () => {
+      expect(findOverlappingBooking([booked, upcoming], NOW + 3 * HOUR_MS, NOW + 5 * HOUR_MS)).to.equal(upcoming);
+      expect(findOverlappingBooking([booked, upcoming], NOW + HOUR_MS, NOW + 2 * HOUR_MS)).to.be.null;
+      expect(findOverlappingBooking([upcoming], NOW + 3 * HOUR_MS, NOW + 5 * HOUR_MS, 'c')).to.be.null;
+    });
+  });
+
+  describe('bookCampaignSlot', () => {
+    const CONTRACT = '0xABCDEF0123456789ABCDEF0123456789ABCDEF01';
+    const WALLET = '0x1111111111111111111111111111111111111111';
+
+    // Minimal query builder returning canned results per terminal call
+    const fakeSupabase = ({ campaign, bookings = [], impressions = 0 }) => ({
+      from: () => {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          ilike: () => query,
+          not: () => query,
+          gt: () => Promise.resolve({ data: bookings, error: null }),
+          maybeSingle: () => Promise.resolve({ data: campaign, error: null }),
+          then: (resolve) => resolve({ count: impressions, error: null })
+        };
+        return query;
+      }
+    });
+
+    it('should reject campaigns that do not exist for the wallet', async () => {
+      const result = await bookCampaignSlot({
+        supabase: fakeSupabase({ campaign: null }),
+        provider: {},
+        contractAddress: CONTRACT,
+        walletAddress: WALLET,
+        campaignId: SPONSOR_ID,
+        startsAt: NOW + HOUR_MS,
+        endsAt: NOW + 25 * HOUR_MS,
+        now: NOW
+      });
+
+      expect(result).to.deep.equal({ success: false, status: 404, error: 'Campaign not found' });
+    });
+
+    it('should reject campaigns not won on-chain', async () => {
+      const result = await bookCampaignSlot({
+        supabase: fakeSupabase({ campaign: { id: SPONSOR_ID, active: true, tx_hash: `0x${'ab'.repeat(32)}` } }),
+        provider: { getTransactionReceipt: async () => ({ status: 1, logs: [] }) },
+        contractAddress: CONTRACT,
+        walletAddress: WALLET,
+        campaignId: SPONSOR_ID,
+        startsAt: NOW + HOUR_MS,
+        endsAt: NOW + 25 * HOUR_MS,
+        now: NOW
+      });
+
+      expect(result.status).to.equal(403);
+    });
+
+    it('should reject campaigns that have already run or been displayed', async () => {
+      const book = (supabase) => bookCampaignSlot({
+        supabase,
+        provider: {},
+        contractAddress: CONTRACT,
+        walletAddress: WALLET,
+        campaignId: SPONSOR_ID,
+        startsAt: NOW + HOUR_MS,
+        endsAt: NOW + 25 * HOUR_MS,
+        now: NOW
+      });
+      const campaign = { id: SPONSOR_ID, active: true, starts_at: null };
+
+      expect(await book(fakeSupabase({ campaign: { ...campaign, active: false } })))
+        .to.deep.equal({ success: false, status: 409, error: 'Campaign has already run' });
+      expect(await book(fakeSupabase({ campaign, impressions: 3 })))
+        .to.deep.equal({ success: false, status: 409, error: 'Campaign has already been displayed' });
+    });
+
+    it('should reject an invalid campaign ID', async () => {
+      const result = await bookCampaignSlot({ campaignId: 'nope' });
+      expect(result.status).to.equal(400);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Shot Voucher Tests
+ *
+ * Tests for voucher pricing, request validation and signing
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { ethers } from 'ethers';
+import { buildRelayDomain } from '../../src/lib/crypto/relay.js';
+import {
+  SHOT_VOUCHER_TYPES,
+  VOUCHER_TTL_SECONDS,
+  calculateVoucherPrice,
+  getVoucherId,
+  issueShotVoucher,
+  syncVoucherRedemption,
+  validateVoucherRequest
+} from '../../src/lib/server/vouchers.js';
+
+const DISCOUNT_ID = '0b6f7c1e-2a3d-4c5b-9e8f-1a2b3c4d5e6f';
+const CONTRACT = '0xABCDEF0123456789ABCDEF0123456789ABCDEF01';
+const WALLET = '0x1111111111111111111111111111111111111111';
+const SHOT_COST = ethers.parseEther('0.001');
+const NOW = Date.parse('2025-08-18T12:00:00Z');
+
+describe('Shot Vouchers', () => {
+  // Minimal query builder returning the canned row and recording updates
+  const fakeSupabase = (row) => {
+    const updates = [];
+    return {
+      updates,
+      from: () => {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          update: (values) => {
+            updates.push(values);
+            return { eq: () => ({ eq: () => Promise.resolve({ error: null }) }) };
+          },
+          maybeSingle: () => Promise.resolve({ data: row, error: null })
+        };
+        return query;
+      }
+    };
+  };
+
+  describe('calculateVoucherPrice', () => {
+    it('should apply the discount percentage', () => {
+      expect(calculateVoucherPrice(SHOT_COST, 'discount', 0.2)).to.equal(ethers.parseEther('0.0008'));
+      expect(calculateVoucherPrice(SHOT_COST, 'discount', '0.1000')).to.equal(ethers.parseEther('0.0009'));
+    });
+
+    it('should make bonus shots free', () => {
+      expect(calculateVoucherPrice(SHOT_COST, 'bonus')).to.equal(0n);
+    });
+  });
+
+  describe('validateVoucherRequest', () => {
+    it('should accept discounts and bonus shots', () => {
+      expect(validateVoucherRequest({ kind: 'discount', sourceId: DISCOUNT_ID }).isValid).to.be.true;
+      expect(validateVoucherRequest({ kind: 'bonus', sourceId: DISCOUNT_ID }).isValid).to.be.true;
+    });
+
+    it('should reject unknown kinds and IDs', () => {
+      expect(validateVoucherRequest({ kind: 'refund', sourceId: DISCOUNT_ID }).error).to.include('Invalid voucher kind');
+      expect(validateVoucherRequest({ kind: 'bonus', sourceId: '1' }).error).to.equal('Invalid bonus ID');
+      expect(validateVoucherRequest(undefined).isValid).to.be.false;
+    });
+  });
+
+  describe('getVoucherId', () => {
+    it('should give each discount and bonus shot its own voucher', () => {
+      expect(getVoucherId('discount', DISCOUNT_ID)).to.equal(getVoucherId('discount', DISCOUNT_ID.toUpperCase()));
+      expect(getVoucherId('discount', DISCOUNT_ID)).to.not.equal(getVoucherId('bonus', DISCOUNT_ID));
+    });
+  });
+
+  describe('issueShotVoucher', () => {
+    const signer = new ethers.Wallet(ethers.id('voucher-signer'));
+
+    const fakeContract = (redeemed = false) => ({
+      SHOT_COST: async () => SHOT_COST,
+      redeemedVouchers: async () => redeemed
+    });
+
+    const issue = (row, contract = fakeContract()) =>
+      issueShotVoucher({
+        supabase: fakeSupabase(row),
+        contract,
+        signer,
+        chainId: 31337,
+        contractAddress: CONTRACT,
+        walletAddress: WALLET,
+        kind: 'discount',
+        sourceId: DISCOUNT_ID,
+        now: NOW
+      });
+
+    it('should sign a voucher for the discounted price', async () => {
+      const result = await issue({ id: DISCOUNT_ID, discount_percentage: '0.2000', is_used: false, expires_at: null });
+
+      expect(result.success).to.be.true;
+      const { voucher } = result;
+      expect(voucher.price).to.equal(ethers.parseEther('0.0008').toString());
+      expect(voucher.deadline).to.equal(NOW / 1000 + VOUCHER_TTL_SECONDS);
+      expect(voucher.voucherId).to.equal(getVoucherId('discount', DISCOUNT_ID));
+
+      const recovered = ethers.verifyTypedData(buildRelayDomain(31337, CONTRACT), SHOT_VOUCHER_TYPES, voucher, voucher.signature);
+      expect(recovered).to.equal(signer.address);
+    });
+
+    it('should not outlive the discount', async () => {
+      const expiresAt = NOW + 60 * 1000;
+      const result = await issue({ id: DISCOUNT_ID, discount_percentage: 0.2, is_used: false, expires_at: new Date(expiresAt).toISOString() });
+      expect(result.voucher.deadline).to.equal(expiresAt / 1000);
+    });
+
+    it('should reject missing, used and expired discounts', async () => {
+      expect((await issue(null)).status).to.equal(404);
+      expect((await issue({ id: DISCOUNT_ID, is_used: true })).status).to.equal(409);
+      expect((await issue({ id: DISCOUNT_ID, is_used: false, expires_at: new Date(NOW).toISOString() })).status).to.equal(410);
+    });
+
+    it('should reject discounts already redeemed on-chain', async () => {
+      const result = await issue({ id: DISCOUNT_ID, discount_percentage: 0.2, is_used: false, expires_at: null }, fakeContract(true));
+      expect(result).to.deep.equal({ success: false, status: 409, error: 'Discount has already been used' });
+    });
+  });
+
+  describe('syncVoucherRedemption', () => {
+    it('should mark the discount used once redeemed on-chain', async () => {
+      const supabase = fakeSupabase({ id: DISCOUNT_ID, is_used: false });
+
+      const result = await syncVoucherRedemption({
+        supabase,
+        contract: { redeemedVouchers: async () => true },
+        walletAddress: WALLET,
+        kind: 'discount',
+        sourceId: DISCOUNT_ID
+      });
+
+      expect(result).to.deep.equal({ success: true, redeemed: true });
+      expect(supabase.updates).to.have.length(1);
+      expect(supabase.updates[0].is_used).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for folding contract logs into game store changes
+ * Run: npx mocha test/stores/event-updates.test.js
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'ethers';
+import { createGameEventReducer, GAME_CHANGES } from '../../src/lib/stores/game/event-updates.js';
+
+const EVENTS = new ethers.Interface([
+  'event ShotCommitted(address indexed player, bytes32 indexed commitment, uint256 amount, uint256 indexed roundId)',
+  'event JackpotWon(address indexed winner, uint256 indexed amount, uint256 indexed timestamp, uint256 roundId)',
+  'event TierPrizeWon(address indexed winner, uint256 indexed tier, uint256 amount, uint256 roundId)',
+  'event SponsorshipCleared()',
+  'event TokenShotCommitted(address indexed player, address indexed token, uint256 amount)',
+  'event TokenPotSeeded(address indexed from, address indexed token, uint256 amount)'
+]);
+
+const PLAYER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+const makeLog = (name, args, { txHash = ethers.id(name), blockNumber = 10 } = {}) => ({
+  ...EVENTS.encodeEventLog(name, args),
+  transactionHash: txHash,
+  blockNumber,
+  removed: false
+});
+
+const shotCommitted = (amount, options) =>
+  makeLog('ShotCommitted', [PLAYER, ethers.ZeroHash, amount, 1n], options);
+
+describe('Game Event Reducer', () => {
+  const baseState = {
+    currentPot: '1.0',
+    recentWinners: [],
+    currentSponsor: { active: true, name: 'Sponsor' },
+    gameConfig: { winChanceBP: 1000 }
+  };
+
+  it('should add ETH shots to the pot and report the player', () => {
+    const applyLogs = createGameEventReducer();
+
+    const { patch, changes, players, resync } = applyLogs(baseState, [
+      shotCommitted(ethers.parseEther('0.001')),
+      shotCommitted(ethers.parseEther('0.001'), { txHash: ethers.id('second') })
+    ]);
+
+    expect(patch.currentPot).to.equal('1.002');
+    expect([...changes]).to.deep.equal([GAME_CHANGES.POT]);
+    expect([...players]).to.deep.equal([PLAYER.toLowerCase()]);
+    expect(resync).to.equal(false);
+  });
+
+  it('should split shots between the jackpot and prize tier pots', () => {
+    const applyLogs = createGameEventReducer();
+    const state = {
+      ...baseState,
+      gameConfig: {
+        winChanceBP: 1000,
+        prizeTiers: [{ winChanceBP: 500, contributionBP: 2000, pot: '0.5' }]
+      }
+    };
+
+    const { patch, changes } = applyLogs(state, [shotCommitted(ethers.parseEther('0.01'))]);
+
+    expect(patch.currentPot).to.equal('1.008');
+    expect(patch.gameConfig.prizeTiers[0].pot).to.equal('0.502');
+    expect(patch.gameConfig.winChanceBP).to.equal(1000);
+    expect(changes.has(GAME_CHANGES.TIER_POTS)).to.equal(true);
+  });
+
+  it('should count a token shot once, in the pot of its token', () => {
+    const txHash = ethers.id('token-shot');
+    const logs = [
+      makeLog('TokenShotCommitted', [PLAYER, TOKEN, 5_000_000n], { txHash }),
+      shotCommitted(5_000_000n, { txHash })
+    ];
+
+    // The ETH pot ignores both logs of a token shot
+    const ethPot = createGameEventReducer()(baseState, logs);
+    expect(ethPot.patch).to.equal(null);
+    expect(ethPot.players.has(PLAYER.toLowerCase())).to.equal(true);
+
+    const tokenPot = createGameEventReducer({ paymentToken: TOKEN.toLowerCase(), decimals: 6 })(
+      { ...baseState, currentPot: '10.0' },
+      logs
+    );
+    expect(tokenPot.patch.currentPot).to.equal('15.0');
+  });
+
+  it('should add a seeded token pot only to the pot of that token', () => {
+    const logs = [makeLog('TokenPotSeeded', [PLAYER, TOKEN, 2_500_000n])];
+
+    expect(createGameEventReducer()(baseState, logs).patch).to.equal(null);
+
+    const { patch, changes } = createGameEventReducer({ paymentToken: TOKEN.toLowerCase(), decimals: 6 })(
+      { ...baseState, currentPot: '10.0' },
+      logs
+    );
+    expect(patch.currentPot).to.equal('12.5');
+    expect(changes.has(GAME_CHANGES.POT)).to.equal(true);
+  });
+
+  it('should empty the pot and prepend the winner in the shape of the existing entries', () => {
+    const applyLogs = createGameEventReducer();
+    const state = {
+      ...baseState,
+      recentWinners: [{ winner_address: PLAYER, amount: '0.5', tx_hash: ethers.id('old') }]
+    };
+    const log = makeLog('JackpotWon', [PLAYER, ethers.parseEther('0.9'), 1700000000n, 1n]);
+
+    const { patch, changes } = applyLogs(state, [log]);
+
+    expect(patch.currentPot).to.equal('0');
+    expect(patch.recentWinners).to.have.length(2);
+    expect(patch.recentWinners[0]).to.deep.equal({
+      winner_address: PLAYER,
+      amount: '0.9',
+      timestamp: new Date(1700000000 * 1000).toISOString(),
+      block_number: 10,
+      tx_hash: log.transactionHash
+    });
+    expect(changes.has(GAME_CHANGES.WINNERS)).to.equal(true);
+
+    // The same win delivered twice is listed once
+    const again = applyLogs({ ...state, ...patch }, [log]);
+    expect(again.patch.recentWinners).to.have.length(2);
+  });
+
+  it('should empty the pot of a won prize tier', () => {
+    const applyLogs = createGameEventReducer();
+    const state = {
+      ...baseState,
+      gameConfig: {
+        prizeTiers: [
+          { contributionBP: 1000, pot: '0.2' },
+          { contributionBP: 1000, pot: '0.3' }
+        ]
+      }
+    };
+
+    const { patch } = applyLogs(state, [makeLog('TierPrizeWon', [PLAYER, 1n, ethers.parseEther('0.3'), 1n])]);
+
+    expect(patch.gameConfig.prizeTiers.map((tier) => tier.pot)).to.deep.equal(['0.2', '0']);
+  });
+
+  it('should clear the sponsor', () => {
+    const { patch, changes } = createGameEventReducer()(baseState, [makeLog('SponsorshipCleared', [])]);
+
+    expect(patch.currentSponsor).to.equal(null);
+    expect([...changes]).to.deep.equal([GAME_CHANGES.SPONSOR]);
+  });
+
+  it('should ask for a resync when a reorg removes a log', () => {
+    const { resync } = createGameEventReducer()(baseState, [
+      { ...shotCommitted(ethers.parseEther('0.001')), removed: true }
+    ]);
+
+    expect(resync).to.equal(true);
+  });
+
+  it('should skip logs it does not know', () => {
+    const { patch, changes } = createGameEventReducer()(baseState, [
+      { address: TOKEN, topics: [ethers.id('Unrelated()')], data: '0x', transactionHash: ethers.id('x') }
+    ]);
+
+    expect(patch).to.equal(null);
+    expect(changes.size).to.equal(0);
+  });
+});
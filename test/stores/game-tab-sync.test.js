@@ -0,0 +1,131 @@
+/**
+ * Tests for mirroring game state from the leader tab
+ * Run: npx mocha test/stores/game-tab-sync.test.js
+ */
+
+import { expect } from 'chai';
+import { writable, get } from 'svelte/store';
+import { createTabLeader } from '../../src/lib/utils/tab-leader.js';
+import {
+  applySharedGameState,
+  pickSharedGameState,
+  startGameTabSync
+} from '../../src/lib/stores/game/tab-sync.js';
+
+const PLAYER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const OTHER_PLAYER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const gameState = (overrides = {}) => ({
+  activeCrypto: 'ETH',
+  contract: { runner: {} },
+  currentPot: '0',
+  recentWinners: [],
+  playerStats: null,
+  canShoot: false,
+  loading: true,
+  ...overrides
+});
+
+describe('Game Tab Sync', () => {
+  describe('pickSharedGameState / applySharedGameState', () => {
+    it('should leave out what cannot cross tabs', () => {
+      const snapshot = pickSharedGameState(gameState({ currentPot: '1.5' }), PLAYER);
+
+      expect(snapshot.game.currentPot).to.equal('1.5');
+      expect(snapshot.game).to.not.have.property('contract');
+      expect(snapshot.playerAddress).to.equal(PLAYER);
+      // Everything left survives structured cloning
+      expect(structuredClone(snapshot)).to.deep.equal(snapshot);
+    });
+
+    it('should take player fields only for the same wallet', () => {
+      const snapshot = pickSharedGameState(gameState({ currentPot: '2', canShoot: true }), PLAYER);
+
+      const same = applySharedGameState(gameState(), snapshot, PLAYER.toLowerCase());
+      expect(same.currentPot).to.equal('2');
+      expect(same.canShoot).to.equal(true);
+      expect(same.loading).to.equal(false);
+
+      const other = applySharedGameState(gameState(), snapshot, OTHER_PLAYER);
+      expect(other.currentPot).to.equal('2');
+      expect(other.canShoot).to.equal(false);
+    });
+
+    it('should ignore snapshots for another crypto', () => {
+      const snapshot = pickSharedGameState(gameState({ activeCrypto: 'USDC', currentPot: '9' }), null);
+      const state = gameState();
+
+      expect(applySharedGameState(state, snapshot, null)).to.equal(state);
+    });
+  });
+
+  describe('startGameTabSync', () => {
+    const TIMINGS = { heartbeatMs: 20, leaseMs: 80, electionMs: 30 };
+    let tabs;
+
+    const openTab = async (channelName, walletAddress) => {
+      const tabLeader = createTabLeader({ channelName, ...TIMINGS });
+      const store = writable(gameState());
+      const walletStore = writable({ connected: Boolean(walletAddress), address: walletAddress });
+      const playerLoads = [];
+      const sync = startGameTabSync({
+        tabLeader,
+        subscribe: store.subscribe,
+        updateState: store.update,
+        getWalletStore: () => walletStore,
+        loadPlayerData: async (address) => playerLoads.push(address)
+      });
+      tabLeader.start();
+      await tabLeader.whenElected();
+
+      const tab = { tabLeader, store, walletStore, sync, playerLoads };
+      tabs.push(tab);
+      return tab;
+    };
+
+    beforeEach(() => {
+      tabs = [];
+    });
+
+    afterEach(() => {
+      tabs.forEach(({ tabLeader, sync }) => {
+        sync.stop();
+        tabLeader.stop();
+      });
+    });
+
+    it('should mirror the leader tab game state in followers', async () => {
+      const channelName = `ethshot-game-sync-${Math.random()}`;
+      const leader = await openTab(channelName, PLAYER);
+      const follower = await openTab(channelName, PLAYER);
+      expect(leader.tabLeader.isLeader()).to.equal(true);
+
+      leader.store.update((state) => ({ ...state, currentPot: '3.25', canShoot: true }));
+      await waitFor(() => get(follower.store).currentPot === '3.25');
+
+      expect(get(follower.store).canShoot).to.equal(true);
+      expect(follower.playerLoads).to.have.length(0);
+    });
+
+    it('should answer a follower that asks for the current state', async () => {
+      const channelName = `ethshot-game-sync-${Math.random()}`;
+      const leader = await openTab(channelName, null);
+      leader.store.update((state) => ({ ...state, currentPot: '7' }));
+
+      const follower = await openTab(channelName, OTHER_PLAYER);
+      follower.sync.requestState();
+      await waitFor(() => get(follower.store).currentPot === '7');
+
+      // The leader has no wallet, so the follower loads its own player data
+      expect(follower.playerLoads).to.deep.equal([OTHER_PLAYER]);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for the game store's RPC cache
+ * Run: npx mocha test/stores/rpc-cache.test.js
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'ethers';
+import { get } from 'svelte/store';
+import { createRpcCache } from '../../src/lib/stores/game/cache.js';
+import { GAME_CHANGES } from '../../src/lib/stores/game/event-updates.js';
+
+const EVENTS = new ethers.Interface([
+  'event ShotCommitted(address indexed player, bytes32 indexed commitment, uint256 amount, uint256 indexed roundId)'
+]);
+
+const PLAYER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const receiptWith = (...logs) => ({ hash: ethers.id('tx'), logs });
+
+const fillCache = (cache) => {
+  ['shotCost', 'contractBalance', 'houseFunds', 'tierPots', 'recentWinners', 'currentSponsor']
+    .forEach((key) => cache.set(key, `${key}-value`));
+};
+
+describe('RPC Cache', () => {
+  let time;
+  let cache;
+
+  beforeEach(() => {
+    time = 0;
+    cache = createRpcCache({
+      ttls: { shotCost: Infinity, contractBalance: 5000 },
+      defaultTTL: 30000,
+      now: () => time
+    });
+  });
+
+  it('should expire each key after its own TTL', () => {
+    cache.set('shotCost', 1n);
+    cache.set('contractBalance', 2n);
+    cache.set('recentWinners', []);
+
+    time = 5000;
+    expect(cache.get('contractBalance')).to.equal(null);
+    expect(cache.get('recentWinners')).to.deep.equal([]);
+
+    time = 365 * 24 * 3600 * 1000;
+    expect(cache.get('recentWinners')).to.equal(null);
+    expect(cache.get('shotCost')).to.equal(1n);
+  });
+
+  it('should share one load between concurrent callers', async () => {
+    let loads = 0;
+    let release;
+    const load = () => {
+      loads++;
+      return new Promise((resolve) => { release = resolve; });
+    };
+
+    const first = cache.fetch('contractBalance', load);
+    const second = cache.fetch('contractBalance', load);
+    await Promise.resolve();
+    release(7n);
+
+    expect(await Promise.all([first, second])).to.deep.equal([7n, 7n]);
+    expect(await cache.fetch('contractBalance', load)).to.equal(7n);
+    expect(loads).to.equal(1);
+    expect(cache.getStats()).to.include({ hits: 1, misses: 1, coalesced: 1, inflight: 0, entries: 1 });
+  });
+
+  it('should not cache failed loads or values invalidated while loading', async () => {
+    let error;
+    try {
+      await cache.fetch('houseFunds', () => Promise.reject(new Error('rate limited')));
+    } catch (loadError) {
+      error = loadError;
+    }
+    expect(error.message).to.equal('rate limited');
+    expect(cache.peek('houseFunds')).to.equal(null);
+
+    let release;
+    const loading = cache.fetch('houseFunds', () => new Promise((resolve) => { release = resolve; }));
+    await Promise.resolve();
+    cache.invalidate('houseFunds');
+    release(1n);
+
+    expect(await loading).to.equal(1n);
+    expect(cache.peek('houseFunds')).to.equal(null);
+  });
+
+  it('should drop only the reads a receipt made stale', () => {
+    fillCache(cache);
+    cache.invalidateForReceipt(receiptWith(
+      EVENTS.encodeEventLog('ShotCommitted', [PLAYER, ethers.ZeroHash, ethers.parseEther('0.001'), 1n])
+    ));
+
+    expect(cache.peek('contractBalance')).to.equal(null);
+    expect(cache.peek('houseFunds')).to.equal(null);
+    expect(cache.peek('tierPots')).to.equal(null);
+    expect(cache.peek('recentWinners')).to.equal('recentWinners-value');
+    expect(cache.peek('currentSponsor')).to.equal('currentSponsor-value');
+    expect(cache.peek('shotCost')).to.equal('shotCost-value');
+  });
+
+  it('should keep everything for receipts without game events and drop everything without a receipt', () => {
+    fillCache(cache);
+    cache.invalidateForReceipt(receiptWith({ topics: [ethers.id('Unrelated()')], data: '0x' }));
+    expect(cache.getStats().entries).to.equal(6);
+
+    cache.invalidateForReceipt(null);
+    expect(cache.getStats().entries).to.equal(0);
+  });
+
+  it('should invalidate by game change and publish stats', () => {
+    fillCache(cache);
+    cache.get('currentSponsor');
+    cache.get('missing');
+    cache.invalidateChanges(new Set([GAME_CHANGES.SPONSOR]));
+
+    expect(cache.peek('currentSponsor')).to.equal(null);
+    expect(get(cache.stats)).to.include({ hits: 1, misses: 1, invalidations: 1, entries: 5, hitRate: 0.5 });
+
+    cache.resetStats();
+    expect(get(cache.stats)).to.include({ hits: 0, misses: 0, hitRate: null });
+  });
+});
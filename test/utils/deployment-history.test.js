@@ -0,0 +1,99 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import {
+  archiveDeployment,
+  getSeasons,
+  recordPotMigration
+} from '../../src/lib/utils/deployment-history.js';
+
+const SEASON_1 = '0x1111111111111111111111111111111111111111';
+const SEASON_2 = '0x2222222222222222222222222222222222222222';
+const SEASON_3 = '0x3333333333333333333333333333333333333333';
+
+const deploymentOf = (contractAddress, deploymentTime) => ({
+  network: 'mainnet',
+  contractAddress,
+  deploymentTime
+});
+
+describe('Deployment History', () => {
+  describe('archiveDeployment', () => {
+    it('should start an empty history on the first deploy', () => {
+      const result = archiveDeployment(null, deploymentOf(SEASON_1, '2025-01-01T00:00:00.000Z'));
+
+      expect(result).to.deep.equal({ ...deploymentOf(SEASON_1, '2025-01-01T00:00:00.000Z'), history: [] });
+    });
+
+    it('should move the previous deployment into history', () => {
+      const first = archiveDeployment(null, deploymentOf(SEASON_1, '2025-01-01T00:00:00.000Z'));
+      const second = archiveDeployment(first, deploymentOf(SEASON_2, '2025-03-01T00:00:00.000Z'));
+      const third = archiveDeployment(second, deploymentOf(SEASON_3, '2025-06-01T00:00:00.000Z'));
+
+      expect(third.contractAddress).to.equal(SEASON_3);
+      expect(third.history).to.deep.equal([
+        { ...deploymentOf(SEASON_1, '2025-01-01T00:00:00.000Z'), retiredAt: '2025-03-01T00:00:00.000Z' },
+        { ...deploymentOf(SEASON_2, '2025-03-01T00:00:00.000Z'), retiredAt: '2025-06-01T00:00:00.000Z' }
+      ]);
+    });
+
+    it('should not archive a redeploy to the same address', () => {
+      const first = archiveDeployment(null, deploymentOf(SEASON_1, '2025-01-01T00:00:00.000Z'));
+      const result = archiveDeployment(first, deploymentOf(SEASON_1, '2025-02-01T00:00:00.000Z'));
+
+      expect(result.history).to.deep.equal([]);
+    });
+  });
+
+  describe('recordPotMigration', () => {
+    it('should record the carried over pot on the retired deployment', () => {
+      const deployment = archiveDeployment(deploymentOf(SEASON_1, '2025-01-01T00:00:00.000Z'), deploymentOf(SEASON_2, '2025-03-01T00:00:00.000Z'));
+
+      const result = recordPotMigration(deployment, { from: SEASON_1, to: SEASON_2, amount: '1.5', txHash: '0xabc' });
+
+      expect(result.history[0]).to.include({ migratedTo: SEASON_2, migratedPot: '1.5', migrationTxHash: '0xabc' });
+      expect(result.contractAddress).to.equal(SEASON_2);
+    });
+
+    it('should reject contracts that are not in history', () => {
+      const deployment = archiveDeployment(null, deploymentOf(SEASON_2, '2025-03-01T00:00:00.000Z'));
+
+      expect(() => recordPotMigration(deployment, { from: SEASON_1, to: SEASON_2, amount: '1', txHash: '0xabc' }))
+        .to.throw('is not in the deployment history');
+    });
+  });
+
+  describe('getSeasons', () => {
+    it('should list seasons newest first with the live deployment as current', () => {
+      const deployment = recordPotMigration(
+        archiveDeployment(deploymentOf(SEASON_1, '2025-01-01T00:00:00.000Z'), deploymentOf(SEASON_2, '2025-03-01T00:00:00.000Z')),
+        { from: SEASON_1, to: SEASON_2, amount: '1.5', txHash: '0xabc' }
+      );
+
+      expect(getSeasons(deployment)).to.deep.equal([
+        {
+          number: 2,
+          contractAddress: SEASON_2,
+          network: 'mainnet',
+          startedAt: '2025-03-01T00:00:00.000Z',
+          endedAt: null,
+          current: true,
+          migratedPot: null
+        },
+        {
+          number: 1,
+          contractAddress: SEASON_1,
+          network: 'mainnet',
+          startedAt: '2025-01-01T00:00:00.000Z',
+          endedAt: '2025-03-01T00:00:00.000Z',
+          current: false,
+          migratedPot: '1.5'
+        }
+      ]);
+    });
+
+    it('should treat a deployment.json without history as a single season', () => {
+      expect(getSeasons(deploymentOf(SEASON_1, '2025-01-01T00:00:00.000Z'))).to.have.length(1);
+      expect(getSeasons(null)).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { createTabLeader } from '../../src/lib/utils/tab-leader.js';
+
+// Short timings so elections settle within a test
+const TIMINGS = { heartbeatMs: 20, leaseMs: 80, electionMs: 30 };
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Tab Leader Election', () => {
+  let channelName;
+  let tabs = [];
+
+  // Each tab is a separate election on the same channel, as separate browser tabs would be
+  const openTab = (options = {}) => {
+    const tab = createTabLeader({ channelName, ...TIMINGS, ...options });
+    tabs.push(tab);
+    tab.start();
+    return tab;
+  };
+
+  const leaders = () => tabs.filter((tab) => tab.isLeader());
+
+  beforeEach(() => {
+    channelName = `ethshot-tabs-test-${Math.random()}`;
+  });
+
+  afterEach(() => {
+    tabs.forEach((tab) => tab.stop());
+    tabs = [];
+  });
+
+  it('should make a lone tab the leader', async () => {
+    const tab = openTab();
+    await tab.whenElected();
+
+    expect(tab.isLeader()).to.equal(true);
+  });
+
+  it('should keep the first tab as leader when more tabs open', async () => {
+    const first = openTab();
+    await first.whenElected();
+
+    const second = openTab();
+    const third = openTab();
+    await Promise.all([second.whenElected(), third.whenElected()]);
+    await sleep(TIMINGS.leaseMs);
+
+    expect(first.isLeader()).to.equal(true);
+    expect(leaders()).to.have.length(1);
+  });
+
+  it('should elect a single leader when tabs start together', async () => {
+    const opened = [openTab(), openTab(), openTab()];
+    await Promise.all(opened.map((tab) => tab.whenElected()));
+    await sleep(TIMINGS.leaseMs);
+
+    expect(leaders()).to.have.length(1);
+  });
+
+  it('should hand over at once when the leader closes', async () => {
+    const first = openTab();
+    await first.whenElected();
+    const second = openTab();
+    await second.whenElected();
+
+    const changes = [];
+    second.onLeadershipChange((leading) => changes.push(leading));
+    first.stop();
+
+    // Well inside the lease, so the resign message did it
+    await waitFor(() => second.isLeader(), TIMINGS.leaseMs);
+    expect(changes).to.deep.equal([true]);
+  });
+
+  it('should take over when the leader stops sending heartbeats', async () => {
+    // Stands in for a leader tab that froze or crashed without resigning
+    const frozen = new BroadcastChannel(channelName);
+    const beat = () => frozen.postMessage({ kind: 'heartbeat', from: '0' });
+    const heartbeat = setInterval(beat, TIMINGS.heartbeatMs);
+    beat();
+
+    const tab = openTab();
+    await tab.whenElected();
+    await sleep(TIMINGS.leaseMs);
+    expect(tab.isLeader()).to.equal(false);
+
+    clearInterval(heartbeat);
+    frozen.close();
+    await waitFor(() => tab.isLeader(), TIMINGS.leaseMs * 3);
+  });
+
+  it('should deliver published payloads to the other tabs only', async () => {
+    const first = openTab();
+    const second = openTab();
+    await Promise.all([first.whenElected(), second.whenElected()]);
+
+    const received = { first: [], second: [] };
+    first.subscribe('toast', (payload) => received.first.push(payload));
+    const unsubscribe = second.subscribe('toast', (payload, from) => received.second.push({ payload, from }));
+
+    first.publish('toast', { message: 'Shot committed', type: 'info' });
+    await waitFor(() => received.second.length === 1);
+
+    expect(received.second[0]).to.deep.equal({
+      payload: { message: 'Shot committed', type: 'info' },
+      from: first.getTabId()
+    });
+    expect(received.first).to.have.length(0);
+
+    unsubscribe();
+    first.publish('toast', { message: 'Again', type: 'info' });
+    await sleep(30);
+    expect(received.second).to.have.length(1);
+  });
+
+  it('should lead alone where BroadcastChannel is unavailable', async () => {
+    const tab = openTab({ BroadcastChannelImpl: null });
+    await tab.whenElected();
+
+    expect(tab.isLeader()).to.equal(true);
+    // Publishing has nowhere to go and is ignored
+    tab.publish('toast', { message: 'Hi' });
+  });
+
+  describe('visibility', () => {
+    // Stands in for a tab's document
+    const createDocument = (hidden = false) => Object.assign(new EventTarget(), { hidden });
+    const setHidden = (doc, hidden) => {
+      doc.hidden = hidden;
+      doc.dispatchEvent(new Event('visibilitychange'));
+    };
+
+    it('should hand chain reads to a visible tab when the leader is hidden', async () => {
+      const leaderDocument = createDocument();
+      const first = openTab({ documentImpl: leaderDocument });
+      await first.whenElected();
+      const second = openTab({ documentImpl: createDocument() });
+      await second.whenElected();
+      expect(first.isLeader()).to.equal(true);
+
+      setHidden(leaderDocument, true);
+
+      // Well inside the lease, so the hidden leader's heartbeat did it
+      await waitFor(() => second.isLeader(), TIMINGS.leaseMs);
+      await sleep(TIMINGS.leaseMs);
+      expect(first.isLeader()).to.equal(false);
+      expect(leaders()).to.deep.equal([second]);
+    });
+
+    it('should keep leading while hidden when no tab is visible', async () => {
+      const leaderDocument = createDocument();
+      const first = openTab({ documentImpl: leaderDocument });
+      await first.whenElected();
+      const second = openTab({ documentImpl: createDocument(true) });
+      await second.whenElected();
+
+      setHidden(leaderDocument, true);
+      await sleep(TIMINGS.leaseMs * 2);
+
+      expect(leaders()).to.deep.equal([first]);
+    });
+
+    it('should take over from a hidden leader once shown', async () => {
+      const first = openTab({ documentImpl: createDocument(true) });
+      await first.whenElected();
+      const followerDocument = createDocument(true);
+      const second = openTab({ documentImpl: followerDocument });
+      await second.whenElected();
+      expect(first.isLeader()).to.equal(true);
+
+      setHidden(followerDocument, false);
+
+      await waitFor(() => second.isLeader(), TIMINGS.leaseMs);
+      await sleep(TIMINGS.leaseMs);
+      expect(leaders()).to.deep.equal([second]);
+    });
+
+    it('should not let a hidden tab take over from a visible leader', async () => {
+      const first = openTab({ documentImpl: createDocument() });
+      await first.whenElected();
+      openTab({ documentImpl: createDocument(true) });
+      await sleep(TIMINGS.leaseMs * 2);
+
+      expect(leaders()).to.deep.equal([first]);
+    });
+  });
+});